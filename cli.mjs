@@ -7,6 +7,9 @@
  *
  * Auth Commands:
  *   login             Add a new account via browser OAuth flow
+ *   login --api-key   Add an API key as a pay-per-token account
+ *   login --headless  Log in from a machine without a browser (URL + QR code)
+ *   login --complete <code>  Hand the code to a waiting headless login
  *   logout <N>        Revoke tokens and remove account N
  *   logout --all      Revoke all tokens and clear all accounts
  *   reauth <N>        Re-authenticate account N with fresh OAuth tokens
@@ -19,23 +22,132 @@
  *   enable <N>        Enable a disabled account
  *   disable <N>       Disable an account (skipped in rotation)
  *   remove <N>        Remove an account permanently
+ *   label <N> [name]  Show or set an account label (--clear removes it)
+ *   note <N> [text]   Show or set an account note (--clear removes it)
+ *   schedule <N> [windows]  Show or set the hours an account may be used
+ *                     (--timezone, --clear removes the schedule)
  *   reset <N|all>     Clear rate-limit / failure tracking
  *   stats             Show per-account usage statistics
+ *                     (--since/--by/--format query the usage ledger)
  *   reset-stats [N|all] Reset usage statistics
+ *   history [N]       Show the account audit log (--since, --action, --all)
+ *
+ *   <N> is a 1-based account number, a label or an email.
  *   strategy [name]   Show or change account selection strategy
  *   config            Show current configuration and file paths
+ *   config validate [file]  Report unknown keys, type errors and out-of-range values
+ *   config schema     Write the config JSON Schema and link it via $schema
  *   manage            Interactive account management menu
+ *   dashboard         Live view of accounts, quotas and recent requests
  *   help              Show this help message
+ *
+ * Diagnostics:
+ *   replay [path]     Replay request dumps offline and diff against expectations
+ *
+ * Files API:
+ *   files sync <dir>  Upload new and changed files, show the plan first (--delete, --dry-run, --account)
+ *
+ * Storage Encryption:
+ *   encrypt           Encrypt the accounts file (--backend passphrase|keyfile|secret-service)
+ *   decrypt           Store the accounts file in plaintext again
+ *   rekey             Re-encrypt the accounts file with a new key
+ *
+ * Moving Accounts:
+ *   export [N,...]    Write accounts to a passphrase-encrypted bundle (--output, --stats)
+ *   import <file>     Merge accounts from a bundle (--force replaces conflicting tokens)
+ *
+ * Global Flags:
+ *   --json            Emit a single versioned JSON document instead of text
+ *   --no-color        Disable colored output
+ *
+ * Exit codes are listed in EXIT_CODES.
  */
 
-import { loadAccounts, saveAccounts, getStoragePath, createDefaultStats } from "./lib/storage.mjs";
-import { loadConfig, saveConfig, getConfigPath, VALID_STRATEGIES, CLIENT_ID } from "./lib/config.mjs";
+import {
+  loadAccounts,
+  saveAccounts,
+  getStoragePath,
+  createDefaultStats,
+  getStorageEncryption,
+  encryptAccountsFile,
+  decryptAccountsFile,
+  rekeyAccountsFile,
+  listKeyBackends,
+  setStoragePassphrase,
+  STORAGE_LOCKED_CODE,
+} from "./lib/storage.mjs";
+import {
+  loadConfig,
+  loadConfigLayers,
+  saveConfig,
+  findProjectConfigPath,
+  getConfigDir,
+  getConfigPath,
+  VALID_STRATEGIES,
+  CLIENT_ID,
+} from "./lib/config.mjs";
+import { CONFIG_SCHEMA_FILE, buildConfigSchema, checkConfigFile, checkConfigFiles } from "./lib/config-schema.mjs";
 import { authorize, exchange, revoke } from "./lib/oauth.mjs";
+import { isSshSession, startOAuthCallbackServer } from "./lib/oauth-callback.mjs";
+import {
+  PENDING_OAUTH_TTL_MS,
+  addPendingLogin,
+  deliverPendingLoginCode,
+  removePendingLogin,
+  takePendingLoginCode,
+} from "./lib/pending-login.mjs";
+import { encodeQr, renderQr } from "./lib/qr-code.mjs";
+import {
+  applyFilesSync,
+  formatFilesSyncPlan,
+  isFilesSyncPlanEmpty,
+  loadFilesManifest,
+  planFilesSync,
+  scanSyncDir,
+} from "./lib/files-sync.mjs";
+import {
+  accountDisplayName,
+  findAccountIndex,
+  isApiKeyAccount,
+  validateAccountLabel,
+  validateApiKey,
+} from "./lib/account-state.mjs";
+import { createAccountBundle, isAccountBundle, mergeBundleAccounts, openAccountBundle } from "./lib/account-bundle.mjs";
+import { MAX_ACCOUNTS } from "./lib/accounts.mjs";
+import { appendAuditEvent, auditedAccount, getAuditLogPath, readAuditEvents } from "./lib/audit-log.mjs";
+import {
+  formatAvailability,
+  isAccountAvailable,
+  nextAvailabilityChange,
+  normalizeTimezone,
+  parseAvailabilityWindows,
+} from "./lib/availability.mjs";
+import {
+  USAGE_GROUP_BY,
+  formatUsageCsv,
+  getUsageLedgerPath,
+  parseSince,
+  queryUsage,
+  readRecentUsageRecords,
+} from "./lib/usage-ledger.mjs";
+import {
+  REPLAY_FORMAT_VERSION,
+  diffJson,
+  formatReplayDiff,
+  getRequestDumpDir,
+  listReplayCases,
+  readReplayExpectation,
+  serveSseCapture,
+  writeReplayExpectation,
+} from "./lib/replay.mjs";
 import { AsyncLocalStorage } from "node:async_hooks";
+import { existsSync, readFileSync, statSync, writeFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
 import { pathToFileURL } from "node:url";
 import { exec } from "node:child_process";
 import { createInterface } from "node:readline/promises";
 import { stdin, stdout } from "node:process";
+import { Writable } from "node:stream";
 
 // ---------------------------------------------------------------------------
 // Color helpers — zero dependencies, respects NO_COLOR / TTY
@@ -44,7 +156,7 @@ import { stdin, stdout } from "node:process";
 let USE_COLOR = !process.env.NO_COLOR && process.stdout.isTTY !== false;
 
 /** @param {string} code @param {string} text @returns {string} */
-const ansi = (code, text) => (USE_COLOR ? `\x1b[${code}m${text}\x1b[0m` : text);
+const ansi = (code, text) => (USE_COLOR && !isJsonMode() ? `\x1b[${code}m${text}\x1b[0m` : text);
 
 const c = {
   bold: (/** @type {string} */ t) => ansi("1", t),
@@ -56,6 +168,26 @@ const c = {
   gray: (/** @type {string} */ t) => ansi("90", t),
 };
 
+/**
+ * A terminal hyperlink (OSC 8) that shows `text` but opens `url`. Without
+ * color (pipes, --no-color, --json) the full URL is printed instead, since
+ * the escape would only be noise there.
+ * @param {string} url
+ * @param {string} text
+ * @returns {string}
+ */
+const hyperlink = (url, text) => (USE_COLOR && !isJsonMode() ? `\x1b]8;;${url}\x1b\\${text}\x1b]8;;\x1b\\` : url);
+
+/**
+ * Short label for a long URL: origin and path, with the query elided.
+ * @param {string} url
+ * @returns {string}
+ */
+function shortUrlLabel(url) {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname}${parsed.search ? "?…" : ""}`;
+}
+
 // ---------------------------------------------------------------------------
 // Formatting helpers
 // ---------------------------------------------------------------------------
@@ -134,6 +266,214 @@ function rpad(str, width) {
   return diff > 0 ? " ".repeat(diff) + str : str;
 }
 
+// ---------------------------------------------------------------------------
+// Structured output (--json)
+// ---------------------------------------------------------------------------
+
+/** Version of the `--json` document shape. Bumped on breaking changes only. */
+export const JSON_OUTPUT_VERSION = 1;
+
+/**
+ * Process exit codes. Every failure path maps to one of these so scripts can
+ * branch on the code without parsing output.
+ */
+export const EXIT_CODES = Object.freeze({
+  /** Command succeeded */
+  OK: 0,
+  /** Unexpected failure (I/O error, crypto failure, cancelled prompt) */
+  ERROR: 1,
+  /** Invalid arguments, flags or unknown command */
+  USAGE: 2,
+  /** No accounts configured, or the requested account does not exist */
+  NOT_FOUND: 3,
+  /** OAuth login, re-auth or token refresh failed */
+  AUTH: 4,
+  /** Operation not allowed in the current state (disabled account, last account, not encrypted, ...) */
+  STATE: 5,
+  /** Command needs an interactive terminal or --force */
+  INTERACTIVE: 6,
+  /** Account storage is encrypted and could not be unlocked */
+  LOCKED: 7,
+  /** `replay` output differs from the stored expectation */
+  MISMATCH: 8,
+  /** `config validate` found problems in a config file */
+  INVALID_CONFIG: 9,
+});
+
+/** @type {AsyncLocalStorage<{ data: unknown }>} */
+const jsonContext = new AsyncLocalStorage();
+
+/**
+ * Whether the current command runs under `--json`.
+ * @returns {boolean}
+ */
+function isJsonMode() {
+  return jsonContext.getStore() !== undefined;
+}
+
+/**
+ * Whether the command may prompt the user. Never true under `--json`, where
+ * stdout must carry nothing but the document.
+ * @returns {boolean}
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY) && !isJsonMode();
+}
+
+/**
+ * Attach the structured result of the current command. No-op outside `--json`.
+ * @param {unknown} data
+ */
+function setJsonData(data) {
+  const store = jsonContext.getStore();
+  if (store) store.data = data;
+}
+
+/**
+ * @param {number | undefined} timestamp
+ * @returns {string | null}
+ */
+function toIsoOrNull(timestamp) {
+  return typeof timestamp === "number" && timestamp > 0 ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Describe an account for `--json` output. Never includes tokens.
+ * @param {import('./lib/storage.mjs').AccountMetadata} acc
+ * @param {number} index - 0-based position in storage
+ * @param {number} activeIndex
+ * @param {number} [now]
+ */
+function accountToJson(acc, index, activeIndex, now = Date.now()) {
+  const maxReset = Math.max(0, ...Object.values(acc.rateLimitResetTimes || {}));
+  const rateLimited = acc.enabled && maxReset > now;
+  const available = isAccountAvailable(acc.availability, now);
+  let status = "ready";
+  if (!acc.enabled) status = "disabled";
+  else if (!available) status = "off-hours";
+  else if (rateLimited) status = "rate-limited";
+  else if (index === activeIndex) status = "active";
+  return {
+    number: index + 1,
+    id: acc.id ?? null,
+    email: acc.email ?? null,
+    label: acc.label ?? null,
+    note: acc.note ?? null,
+    source: acc.source ?? "oauth",
+    billable: isApiKeyAccount(acc),
+    availability: acc.availability
+      ? {
+          windows: acc.availability.windows,
+          timezone: acc.availability.timezone ?? null,
+          available,
+          changesAt: toIsoOrNull(nextAvailabilityChange(acc.availability, now) ?? undefined),
+        }
+      : null,
+    enabled: acc.enabled,
+    active: index === activeIndex,
+    health: {
+      status,
+      consecutiveFailures: acc.consecutiveFailures ?? 0,
+      lastFailureAt: toIsoOrNull(acc.lastFailureTime ?? undefined),
+      rateLimitedUntil: rateLimited ? toIsoOrNull(maxReset) : null,
+    },
+    stats: acc.stats ?? createDefaultStats(),
+  };
+}
+
+/**
+ * Normalize a usage API response into quota entries.
+ * @param {Record<string, any> | null | undefined} usage
+ * @returns {{ bucket: string, label: string, utilization: number, resetsAt: string | null }[] | null}
+ */
+function quotasToJson(usage) {
+  if (!usage) return null;
+  return QUOTA_BUCKETS.filter(({ key }) => usage[key] && usage[key].utilization != null).map(({ key, label }) => ({
+    bucket: key,
+    label,
+    utilization: usage[key].utilization,
+    resetsAt: usage[key].resets_at ?? null,
+  }));
+}
+
+const SECRET_KEY_PATTERN = /token|secret|password|passphrase|authorization|api[-_]?key|cookie/i;
+
+/**
+ * Deep-copy a config value, replacing anything that looks like a credential.
+ * Header maps (`otel.headers`) are redacted wholesale since collector auth
+ * lives there under arbitrary names.
+ * @param {unknown} value
+ * @param {string} [key]
+ * @returns {unknown}
+ */
+function redactSecrets(value, key = "") {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const redactAll = key === "headers";
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        redactAll || (SECRET_KEY_PATTERN.test(k) && typeof v === "string") ? "[redacted]" : redactSecrets(v, k),
+      ]),
+    );
+  }
+  if (Array.isArray(value)) return value.map((v) => redactSecrets(v));
+  return value;
+}
+
+/**
+ * Run a command in `--json` mode: capture its console output and emit a
+ * single versioned document on stdout.
+ * @param {string} command
+ * @param {() => Promise<number>} fn
+ * @returns {Promise<number>} exit code
+ */
+async function runJsonCommand(command, fn) {
+  /** @type {string[]} */
+  const messages = [];
+  /** @type {string[]} */
+  const errors = [];
+  const capture =
+    (/** @type {string[]} */ sink) =>
+    (/** @type {any[]} */ ...args) => {
+      for (const line of stripAnsi(args.map(String).join(" ")).split("\n")) {
+        if (line.trim()) sink.push(line.trim());
+      }
+    };
+  /** @type {{ data: unknown }} */
+  const store = { data: null };
+
+  let exitCode;
+  try {
+    exitCode = await runWithIoContext({ log: capture(messages), error: capture(errors) }, () =>
+      jsonContext.run(store, fn),
+    );
+  } catch (err) {
+    const error = /** @type {any} */ (err);
+    errors.push(error?.message ?? String(err));
+    exitCode = error?.code === STORAGE_LOCKED_CODE ? EXIT_CODES.LOCKED : EXIT_CODES.ERROR;
+  }
+
+  const codeName = Object.keys(EXIT_CODES).find((name) => EXIT_CODES[name] === exitCode) ?? "ERROR";
+  const message = errors[0] ?? messages[0] ?? codeName;
+  console.log(
+    JSON.stringify(
+      {
+        version: JSON_OUTPUT_VERSION,
+        command,
+        ok: exitCode === EXIT_CODES.OK,
+        exitCode,
+        data: store.data ?? null,
+        messages,
+        error:
+          exitCode === EXIT_CODES.OK ? null : { code: codeName, message: message.replace(/^(Error|Warning):\s*/, "") },
+      },
+      null,
+      2,
+    ),
+  );
+  return exitCode;
+}
+
 // ---------------------------------------------------------------------------
 // Usage quota helpers
 // ---------------------------------------------------------------------------
@@ -192,11 +532,12 @@ export async function fetchUsage(accessToken) {
 
 /**
  * Ensure an account has a valid access token and fetch its usage data.
- * @param {{ refreshToken: string, access?: string, expires?: number, enabled: boolean }} account
+ * API-key accounts have no OAuth quotas and are skipped.
+ * @param {{ refreshToken: string, access?: string, expires?: number, enabled: boolean, source?: string }} account
  * @returns {Promise<{ usage: Record<string, any> | null, tokenRefreshed: boolean }>}
  */
 export async function ensureTokenAndFetchUsage(account) {
-  if (!account.enabled) return { usage: null, tokenRefreshed: false };
+  if (!account.enabled || isApiKeyAccount(account)) return { usage: null, tokenRefreshed: false };
 
   let token = account.access;
   let tokenRefreshed = false;
@@ -245,6 +586,19 @@ export function formatResetTime(isoString) {
   return formatDuration(remaining);
 }
 
+/**
+ * Describe an availability schedule and when it next opens or closes.
+ * @param {import('./lib/availability.mjs').AvailabilitySchedule} schedule
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function describeAvailability(schedule, now = Date.now()) {
+  const change = nextAvailabilityChange(schedule, now);
+  if (change === null) return formatAvailability(schedule);
+  const verb = isAccountAvailable(schedule, now) ? "closes" : "opens";
+  return `${formatAvailability(schedule)}, ${verb} in ${formatDuration(change - now)}`;
+}
+
 /**
  * Known usage quota buckets and their display labels.
  * Order determines display order.
@@ -302,12 +656,98 @@ function openBrowser(url) {
   exec(`${cmd} ${JSON.stringify(url)}`);
 }
 
+/**
+ * @typedef {{refresh: string, access: string, expires: number, email?: string}} OAuthCredentials
+ */
+
+/** How often a headless login checks whether `login --complete` delivered its code. */
+const HEADLESS_POLL_MS = 1000;
+
 /**
  * Run the OAuth PKCE login flow from the CLI.
- * Opens browser, prompts for code, exchanges for tokens.
- * @returns {Promise<{refresh: string, access: string, expires: number, email?: string} | null>}
+ * Opens the browser and receives the redirect on a loopback listener; when
+ * that is disabled, cannot start or times out, prompts for the code instead.
+ * With `headless` (implied over SSH) nothing is opened locally: see
+ * runHeadlessOAuthFlow.
+ * @param {{ headless?: boolean, action?: string }} [opts]
+ * @returns {Promise<OAuthCredentials | null>}
+ */
+async function runOAuthFlow({ headless = false, action = "login" } = {}) {
+  if (headless || isSshSession()) return runHeadlessOAuthFlow(action);
+  const { oauth_callback } = loadConfig();
+  if (oauth_callback.enabled) {
+    const credentials = await runLoopbackOAuthFlow(oauth_callback.timeout_seconds * 1000);
+    if (credentials !== undefined) return credentials;
+  }
+  return runPasteOAuthFlow();
+}
+
+/**
+ * @param {number} timeoutMs
+ * @returns {Promise<OAuthCredentials | null | undefined>} undefined when the code should be pasted instead
+ */
+async function runLoopbackOAuthFlow(timeoutMs) {
+  let callback;
+  try {
+    callback = await startOAuthCallbackServer();
+  } catch (err) {
+    console.error(
+      c.yellow(
+        `Could not listen for the browser (${err instanceof Error ? err.message : String(err)}); paste the code.`,
+      ),
+    );
+    return undefined;
+  }
+
+  let success = false;
+  try {
+    const { url, verifier, state } = await authorize("max", { redirectUri: callback.redirectUri });
+
+    console.log("");
+    console.log(c.bold("Opening browser for Anthropic OAuth login..."));
+    console.log("");
+    console.log(c.dim("If your browser didn't open, visit this URL:"));
+    console.log(c.cyan(url));
+    console.log("");
+    console.log(c.dim(`Waiting up to ${formatDuration(timeoutMs)} for the browser to come back...`));
+
+    openBrowser(url);
+
+    const result = await callback.waitForCode(state, timeoutMs);
+    if (!result) {
+      console.log(c.yellow("The browser did not come back; falling back to pasting the code."));
+      return undefined;
+    }
+    if ("error" in result) {
+      console.error(c.red(`Error: authorization was not granted (${result.error}).`));
+      return null;
+    }
+
+    const credentials = await exchange(`${result.code}#${result.state}`, verifier, {
+      redirectUri: callback.redirectUri,
+    });
+    if (credentials.type === "failed") {
+      reportExchangeFailure(credentials);
+      return null;
+    }
+
+    success = true;
+    return {
+      refresh: credentials.refresh,
+      access: credentials.access,
+      expires: credentials.expires,
+      email: credentials.email,
+    };
+  } finally {
+    await callback.close(success);
+  }
+}
+
+/**
+ * Classic flow: the authorization page shows a code for the user to paste.
+ * @returns {Promise<OAuthCredentials | null>}
  */
-async function runOAuthFlow() {
+async function runPasteOAuthFlow() {
   const { url, verifier } = await authorize("max");
 
   console.log("");
@@ -330,11 +770,7 @@ async function runOAuthFlow() {
 
     const credentials = await exchange(trimmed, verifier);
     if (credentials.type === "failed") {
-      if (credentials.details) {
-        console.error(c.red(`Error: token exchange failed (${credentials.details}).`));
-      } else {
-        console.error(c.red("Error: token exchange failed. The code may be invalid or expired."));
-      }
+      reportExchangeFailure(credentials);
       return null;
     }
 
@@ -349,24 +785,115 @@ async function runOAuthFlow() {
   }
 }
 
+/**
+ * Headless flow for machines without a browser: print the URL and a QR code
+ * to open on another device, then wait for `login --complete <code>` (run from
+ * any terminal on this machine) to hand the code over through the pending-login
+ * file. Gives up after PENDING_OAUTH_TTL_MS, like slash command logins.
+ * @param {string} action - Recorded with the pending flow, e.g. "reauth 2"
+ * @returns {Promise<OAuthCredentials | null>}
+ */
+async function runHeadlessOAuthFlow(action) {
+  const { url, verifier, state } = await authorize("max");
+  await addPendingLogin({ state, action });
+
+  try {
+    console.log("");
+    console.log(c.bold("Headless login: open this link on any device with a browser, or scan the QR code"));
+    console.log("");
+    console.log(c.cyan(hyperlink(url, shortUrlLabel(url))));
+    console.log("");
+    try {
+      console.log(renderQr(encodeQr(url)));
+    } catch {
+      // URL too long for a QR code; the link above still works
+    }
+    if (USE_COLOR && !isJsonMode()) {
+      console.log(c.dim("Link not clickable? Scan the QR code, or run with --no-color to print the full URL."));
+    }
+    console.log(c.dim("After approving, copy the code the page shows and run, in another terminal on this machine:"));
+    console.log(`  opencode-anthropic-auth login --complete ${c.cyan("<code>")}`);
+    console.log("");
+    console.log(c.dim(`Waiting up to ${formatDuration(PENDING_OAUTH_TTL_MS)} for the code...`));
+
+    for (;;) {
+      const pending = await takePendingLoginCode(state);
+      if (pending.status === "expired") {
+        console.error(c.red("Error: the login expired before a code was delivered. Start it again."));
+        return null;
+      }
+      if (pending.status === "delivered") {
+        const credentials = await exchange(pending.code, verifier);
+        if (credentials.type === "failed") {
+          reportExchangeFailure(credentials);
+          return null;
+        }
+        return {
+          refresh: credentials.refresh,
+          access: credentials.access,
+          expires: credentials.expires,
+          email: credentials.email,
+        };
+      }
+      await new Promise((done) => setTimeout(done, HEADLESS_POLL_MS));
+    }
+  } finally {
+    await removePendingLogin(state);
+  }
+}
+
+/**
+ * @param {{ details?: string }} failure
+ */
+function reportExchangeFailure(failure) {
+  if (failure.details) {
+    console.error(c.red(`Error: token exchange failed (${failure.details}).`));
+  } else {
+    console.error(c.red("Error: token exchange failed. The code may be invalid or expired."));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+
+/**
+ * Record an account mutation made by this process. Runs started from an
+ * /anthropic slash command are told apart from terminal runs.
+ * @param {string} action
+ * @param {import('./lib/storage.mjs').AccountMetadata | null} account - Null for actions on every account
+ * @param {{ reason?: string, details?: Record<string, unknown> }} [extra]
+ */
+function auditAccount(action, account, extra = {}) {
+  appendAuditEvent(
+    { source: ioContext.getStore() ? "slash" : "cli", action, ...auditedAccount(account), ...extra },
+    loadConfig().audit_log,
+  );
+}
+
 // ---------------------------------------------------------------------------
 // Auth commands (login, logout, reauth, refresh)
 // ---------------------------------------------------------------------------
 
 /**
- * Login: add a new account via browser OAuth flow.
+ * Login: add a new account via browser OAuth flow, or an API key with `--api-key`.
+ * `--headless` prints a URL and QR code instead of opening a browser;
+ * `--complete <code>` hands the code to a headless login waiting elsewhere.
+ * @param {{ apiKey?: boolean, headless?: boolean, complete?: string }} [opts]
  * @returns {Promise<number>} exit code
  */
-export async function cmdLogin() {
-  if (!process.stdin.isTTY) {
+export async function cmdLogin({ apiKey = false, headless = false, complete } = {}) {
+  if (complete !== undefined) return completeHeadlessLogin(complete);
+  if (!isInteractive()) {
     console.error(c.red("Error: 'login' requires an interactive terminal."));
-    return 1;
+    return EXIT_CODES.INTERACTIVE;
   }
+  if (apiKey) return loginWithApiKey();
 
   const stored = await loadAccounts();
 
-  const credentials = await runOAuthFlow();
-  if (!credentials) return 1;
+  const credentials = await runOAuthFlow({ headless });
+  if (!credentials) return EXIT_CODES.AUTH;
 
   // Load or create storage
   const storage = stored || { version: 1, accounts: [], activeIndex: 0 };
@@ -380,15 +907,20 @@ export async function cmdLogin() {
     if (credentials.email) storage.accounts[existingIdx].email = credentials.email;
     storage.accounts[existingIdx].enabled = true;
     await saveAccounts(storage);
+    auditAccount("update", storage.accounts[existingIdx]);
 
     const label = credentials.email || `Account ${existingIdx + 1}`;
     console.log(c.green(`Updated existing account #${existingIdx + 1} (${label}).`));
+    setJsonData({
+      account: accountToJson(storage.accounts[existingIdx], existingIdx, storage.activeIndex),
+      added: false,
+    });
     return 0;
   }
 
   if (storage.accounts.length >= 10) {
     console.error(c.red("Error: maximum of 10 accounts reached. Remove one first."));
-    return 1;
+    return EXIT_CODES.STATE;
   }
 
   // Add new account
@@ -411,13 +943,125 @@ export async function cmdLogin() {
 
   // If this is the first account, it's already active at index 0
   await saveAccounts(storage);
+  auditAccount("add", storage.accounts.at(-1));
 
   const label = credentials.email || `Account ${storage.accounts.length}`;
   console.log(c.green(`Added account #${storage.accounts.length} (${label}).`));
+  setJsonData({
+    account: accountToJson(storage.accounts.at(-1), storage.accounts.length - 1, storage.activeIndex),
+    added: true,
+  });
   console.log(c.dim(`${storage.accounts.length} account(s) total.`));
   return 0;
 }
 
+/**
+ * `login --complete <code>`: deliver a code copied from the authorization page
+ * to the headless login (in this or another terminal) that is waiting for it.
+ * The code's `#state` suffix says which login that is.
+ * @param {string} input
+ * @returns {Promise<number>} exit code
+ */
+async function completeHeadlessLogin(input) {
+  if (!input.trim()) {
+    console.error(c.red("Error: provide the code shown after approving (e.g., 'login --complete abc#xyz')."));
+    return EXIT_CODES.USAGE;
+  }
+
+  const result = await deliverPendingLoginCode(input);
+  if (!result.ok) {
+    switch (result.reason) {
+      case "no-state":
+        console.error(c.red("Error: the code is missing its '#...' part. Copy the whole code from the page."));
+        return EXIT_CODES.USAGE;
+      case "not-found":
+        console.error(c.red("Error: no headless login is waiting for this code."));
+        console.error(c.dim("Start one with: opencode-anthropic-auth login --headless"));
+        return EXIT_CODES.NOT_FOUND;
+      case "expired":
+        console.error(
+          c.red(`Error: that login expired (logins wait ${formatDuration(PENDING_OAUTH_TTL_MS)}). Start it again.`),
+        );
+        return EXIT_CODES.STATE;
+      case "gone":
+        console.error(c.red("Error: the login waiting for this code has exited. Start it again."));
+        return EXIT_CODES.STATE;
+      default:
+        console.error(c.red("Error: a code was already delivered to that login."));
+        return EXIT_CODES.STATE;
+    }
+  }
+
+  console.log(c.green(`Code delivered to the waiting ${result.flow.action} (pid ${result.flow.pid}).`));
+  console.log(c.dim("That terminal finishes the login."));
+  setJsonData({ delivered: true, action: result.flow.action, pid: result.flow.pid });
+  return 0;
+}
+
+/**
+ * Add an API key to the pool. API-key accounts are billed per token and, with
+ * api_key_accounts.fallback_only, only used when no OAuth account can serve.
+ * @returns {Promise<number>} exit code
+ */
+async function loginWithApiKey() {
+  const key = await promptSecret("Anthropic API key: ");
+  const problem = validateApiKey(key);
+  if (problem) {
+    console.error(c.red(`Error: ${problem}.`));
+    return EXIT_CODES.USAGE;
+  }
+
+  const storage = (await loadAccounts()) || { version: 1, accounts: [], activeIndex: 0 };
+
+  const existingIdx = storage.accounts.findIndex((acc) => isApiKeyAccount(acc) && acc.apiKey === key);
+  if (existingIdx >= 0) {
+    const existing = storage.accounts[existingIdx];
+    existing.enabled = true;
+    await saveAccounts(storage);
+    auditAccount("update", existing);
+    console.log(
+      c.green(`Updated existing account #${existingIdx + 1} (${accountDisplayName(existing, existingIdx + 1)}).`),
+    );
+    setJsonData({ account: accountToJson(existing, existingIdx, storage.activeIndex), added: false });
+    return 0;
+  }
+
+  if (storage.accounts.length >= 10) {
+    console.error(c.red("Error: maximum of 10 accounts reached. Remove one first."));
+    return EXIT_CODES.STATE;
+  }
+
+  const now = Date.now();
+  storage.accounts.push({
+    id: `${now}:${key.slice(0, 12)}`,
+    apiKey: key,
+    token_updated_at: now,
+    addedAt: now,
+    lastUsed: 0,
+    enabled: true,
+    rateLimitResetTimes: {},
+    consecutiveFailures: 0,
+    lastFailureTime: null,
+    stats: createDefaultStats(now),
+    source: "api-key",
+  });
+  await saveAccounts(storage);
+  const added = /** @type {import('./lib/storage.mjs').AccountMetadata} */ (storage.accounts.at(-1));
+  auditAccount("add", added);
+
+  const n = storage.accounts.length;
+  console.log(c.green(`Added account #${n} (${accountDisplayName(added, n)}).`));
+  console.log(
+    c.dim(
+      loadConfig().api_key_accounts.fallback_only
+        ? "Billed per token; used only when no OAuth account is available."
+        : "Billed per token; selected like any other account.",
+    ),
+  );
+  setJsonData({ account: accountToJson(added, n - 1, storage.activeIndex), added: true });
+  return 0;
+}
+
 /**
  * Logout: revoke tokens and remove an account, or all accounts.
  * @param {string} arg - Account number
@@ -431,31 +1075,31 @@ export async function cmdLogout(arg, opts = {}) {
     return cmdLogoutAll(opts);
   }
 
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number (e.g., 'logout 2') or --all."));
-    return 1;
+  if (!arg) {
+    console.error(c.red("Error: provide a valid account number, label or email (e.g., 'logout 2') or --all."));
+    return EXIT_CODES.USAGE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist. You have ${stored.accounts.length} account(s).`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist. You have ${stored.accounts.length} account(s).`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
 
-  const label = stored.accounts[idx].email || `Account ${n}`;
+  const label = accountDisplayName(stored.accounts[idx], n);
 
   // Confirm unless --force
   if (!opts.force) {
-    if (!process.stdin.isTTY) {
+    if (!isInteractive()) {
       console.error(c.red("Error: use --force to logout in non-interactive mode."));
-      return 1;
+      return EXIT_CODES.INTERACTIVE;
     }
     const rl = createInterface({ input: stdin, output: stdout });
     try {
@@ -471,16 +1115,19 @@ export async function cmdLogout(arg, opts = {}) {
     }
   }
 
-  // Attempt token revocation (best-effort)
-  const revoked = await revoke(stored.accounts[idx].refreshToken);
+  // Attempt token revocation (best-effort). API keys can only be revoked from the Console.
+  const apiKey = isApiKeyAccount(stored.accounts[idx]);
+  const revoked = apiKey ? false : await revoke(stored.accounts[idx].refreshToken);
   if (revoked) {
     console.log(c.dim("Token revoked server-side."));
+  } else if (apiKey) {
+    console.log(c.dim("API key removed locally; delete it in the Anthropic Console to revoke it."));
   } else {
     console.log(c.dim("Token revocation skipped (server may not support it)."));
   }
 
   // Remove the account
-  stored.accounts.splice(idx, 1);
+  const [removed] = stored.accounts.splice(idx, 1);
 
   // Adjust active index
   if (stored.accounts.length === 0) {
@@ -492,7 +1139,9 @@ export async function cmdLogout(arg, opts = {}) {
   }
 
   await saveAccounts(stored);
+  auditAccount("logout", removed, { details: { revoked } });
   console.log(c.green(`Logged out account #${n} (${label}).`));
+  setJsonData({ removed: n, revoked, remaining: stored.accounts.length });
 
   if (stored.accounts.length > 0) {
     console.log(c.dim(`${stored.accounts.length} account(s) remaining.`));
@@ -513,6 +1162,7 @@ async function cmdLogoutAll(opts = {}) {
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.log(c.dim("No accounts to logout."));
+    setJsonData({ removed: 0, revoked: 0, remaining: 0 });
     return 0;
   }
 
@@ -520,9 +1170,9 @@ async function cmdLogoutAll(opts = {}) {
 
   // Confirm unless --force
   if (!opts.force) {
-    if (!process.stdin.isTTY) {
+    if (!isInteractive()) {
       console.error(c.red("Error: use --force to logout all in non-interactive mode."));
-      return 1;
+      return EXIT_CODES.INTERACTIVE;
     }
     const rl = createInterface({ input: stdin, output: stdout });
     try {
@@ -539,7 +1189,9 @@ async function cmdLogoutAll(opts = {}) {
   }
 
   // Attempt token revocation for each account (best-effort, in parallel)
-  const results = await Promise.allSettled(stored.accounts.map((acc) => revoke(acc.refreshToken)));
+  const results = await Promise.allSettled(
+    stored.accounts.map((acc) => (isApiKeyAccount(acc) ? false : revoke(acc.refreshToken))),
+  );
   const revokedCount = results.filter((r) => r.status === "fulfilled" && r.value === true).length;
 
   if (revokedCount > 0) {
@@ -548,7 +1200,9 @@ async function cmdLogoutAll(opts = {}) {
 
   // Write explicit empty state so running plugin instances reconcile immediately.
   await saveAccounts({ version: 1, accounts: [], activeIndex: 0 });
+  auditAccount("logout", null, { details: { count, revoked: revokedCount } });
   console.log(c.green(`Logged out all ${count} account(s).`));
+  setJsonData({ removed: count, revoked: revokedCount, remaining: 0 });
 
   return 0;
 }
@@ -556,39 +1210,45 @@ async function cmdLogoutAll(opts = {}) {
 /**
  * Reauth: re-authenticate an existing account with fresh OAuth tokens.
  * @param {string} arg - Account number
+ * @param {{ headless?: boolean }} [opts]
  * @returns {Promise<number>} exit code
  */
-export async function cmdReauth(arg) {
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number (e.g., 'reauth 1')"));
-    return 1;
+export async function cmdReauth(arg, { headless = false } = {}) {
+  if (!arg) {
+    console.error(c.red("Error: provide a valid account number, label or email (e.g., 'reauth 1')."));
+    return EXIT_CODES.USAGE;
   }
 
-  if (!process.stdin.isTTY) {
+  if (!isInteractive()) {
     console.error(c.red("Error: 'reauth' requires an interactive terminal."));
-    return 1;
+    return EXIT_CODES.INTERACTIVE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist. You have ${stored.accounts.length} account(s).`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist. You have ${stored.accounts.length} account(s).`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
 
   const existing = stored.accounts[idx];
+  if (isApiKeyAccount(existing)) {
+    console.error(c.red(`Error: account #${n} uses an API key; there is no OAuth login to redo.`));
+    console.error(c.dim(`To replace the key: opencode-anthropic-auth remove ${n}, then login --api-key`));
+    return EXIT_CODES.USAGE;
+  }
   const wasDisabled = !existing.enabled;
-  const oldLabel = existing.email || `Account ${n}`;
+  const oldLabel = accountDisplayName(existing, n);
   console.log(c.bold(`Re-authenticating account #${n} (${oldLabel})...`));
 
-  const credentials = await runOAuthFlow();
-  if (!credentials) return 1;
+  const credentials = await runOAuthFlow({ headless, action: `reauth ${n}` });
+  if (!credentials) return EXIT_CODES.AUTH;
 
   // Update the account at the target index with fresh tokens
   existing.refreshToken = credentials.refresh;
@@ -603,9 +1263,11 @@ export async function cmdReauth(arg) {
   existing.rateLimitResetTimes = {};
 
   await saveAccounts(stored);
+  auditAccount("reauth", existing);
 
   const newLabel = credentials.email || `Account ${n}`;
   console.log(c.green(`Re-authenticated account #${n} (${newLabel}).`));
+  setJsonData({ account: accountToJson(existing, idx, stored.activeIndex), reenabled: wasDisabled });
   if (wasDisabled) {
     console.log(c.dim("Account has been re-enabled."));
   }
@@ -619,26 +1281,30 @@ export async function cmdReauth(arg) {
  * @returns {Promise<number>} exit code
  */
 export async function cmdRefresh(arg) {
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number (e.g., 'refresh 1')"));
-    return 1;
+  if (!arg) {
+    console.error(c.red("Error: provide a valid account number, label or email (e.g., 'refresh 1')."));
+    return EXIT_CODES.USAGE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist. You have ${stored.accounts.length} account(s).`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist. You have ${stored.accounts.length} account(s).`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
 
   const account = stored.accounts[idx];
-  const label = account.email || `Account ${n}`;
+  const label = accountDisplayName(account, n);
+  if (isApiKeyAccount(account)) {
+    console.error(c.red(`Error: account #${n} (${label}) uses an API key, which has no token to refresh.`));
+    return EXIT_CODES.USAGE;
+  }
 
   console.log(c.dim(`Refreshing token for account #${n} (${label})...`));
 
@@ -647,7 +1313,7 @@ export async function cmdRefresh(arg) {
     console.error(c.red(`Error: token refresh failed for account #${n}.`));
     console.error(c.dim("The refresh token may be invalid or expired."));
     console.error(c.dim(`Try: opencode-anthropic-auth reauth ${n}`));
-    return 1;
+    return EXIT_CODES.AUTH;
   }
 
   // Re-enable if disabled and reset failure tracking
@@ -658,9 +1324,15 @@ export async function cmdRefresh(arg) {
   account.rateLimitResetTimes = {};
 
   await saveAccounts(stored);
+  if (wasDisabled) auditAccount("enable", account, { reason: "refresh" });
 
   const expiresIn = account.expires ? formatDuration(account.expires - Date.now()) : "unknown";
   console.log(c.green(`Token refreshed for account #${n} (${label}).`));
+  setJsonData({
+    account: accountToJson(account, idx, stored.activeIndex),
+    expiresAt: toIsoOrNull(account.expires),
+    reenabled: wasDisabled,
+  });
   console.log(c.dim(`New token expires in ${expiresIn}.`));
   if (wasDisabled) {
     console.log(c.dim("Account has been re-enabled."));
@@ -683,7 +1355,7 @@ export async function cmdList() {
     console.log(c.yellow("No accounts configured."));
     console.log(c.dim(`Storage: ${shortPath(getStoragePath())}`));
     console.log(c.dim("\nRun 'opencode auth login' and select 'Claude Pro/Max' to add accounts."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
   const config = loadConfig();
@@ -722,12 +1394,15 @@ export async function cmdList() {
     const num = String(i + 1);
 
     // Label
-    const label = acc.email || `Account ${i + 1}`;
+    const label = accountDisplayName(acc, i + 1);
 
     // Status
+    const available = isAccountAvailable(acc.availability, now);
     let status;
     if (!acc.enabled) {
       status = c.gray("○ disabled");
+    } else if (!available) {
+      status = c.yellow("◌ off-hours");
     } else if (isActive) {
       status = c.green("● active");
     } else {
@@ -760,9 +1435,13 @@ export async function cmdList() {
 
     // Render account header line
     console.log("  " + pad(c.bold(num), 5) + pad(label, 22) + pad(status, 14) + pad(failures, 11) + rateLimit);
+    if (acc.note) console.log(c.dim(`${USAGE_INDENT}note: ${acc.note}`));
+    if (acc.availability) console.log(c.dim(`${USAGE_INDENT}hours: ${describeAvailability(acc.availability, now)}`));
 
     // Render usage quota lines for enabled accounts
-    if (acc.enabled) {
+    if (acc.enabled && isApiKeyAccount(acc)) {
+      console.log(c.dim(`${USAGE_INDENT}quotas: n/a (API key, billed per token)`));
+    } else if (acc.enabled) {
       const result = usageResults[i];
       const usage = result.status === "fulfilled" ? result.value.usage : null;
       if (usage) {
@@ -792,9 +1471,28 @@ export async function cmdList() {
   if (disabled > 0) {
     parts.push(`${c.yellow(String(disabled))} disabled`);
   }
+  const offHours = stored.accounts.filter((a) => a.enabled && !isAccountAvailable(a.availability, now)).length;
+  if (offHours > 0) {
+    parts.push(`${c.yellow(String(offHours))} off-hours`);
+  }
+  const apiKeys = stored.accounts.filter(isApiKeyAccount).length;
+  if (apiKeys > 0) {
+    const role = config.api_key_accounts.fallback_only ? " (fallback only)" : "";
+    parts.push(`${c.yellow(String(apiKeys))} API key${apiKeys !== 1 ? "s" : ""}${role}`);
+  }
   console.log(parts.join(c.dim(" | ")));
   console.log(c.dim(`Storage: ${shortPath(getStoragePath())}`));
 
+  setJsonData({
+    strategy: config.account_selection_strategy,
+    activeAccount: stored.activeIndex + 1,
+    storagePath: getStoragePath(),
+    accounts: stored.accounts.map((acc, i) => {
+      const result = usageResults[i];
+      const usage = acc.enabled && result.status === "fulfilled" ? result.value.usage : null;
+      return { ...accountToJson(acc, i, stored.activeIndex, now), quotas: quotasToJson(usage) };
+    }),
+  });
   return 0;
 }
 
@@ -806,7 +1504,7 @@ export async function cmdStatus() {
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.log("anthropic: no accounts configured");
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
   const config = loadConfig();
@@ -814,10 +1512,12 @@ export async function cmdStatus() {
   const enabled = stored.accounts.filter((a) => a.enabled).length;
   const now = Date.now();
 
-  // Count rate-limited accounts
+  // Count rate-limited and off-hours accounts
   let rateLimited = 0;
+  let offHours = 0;
   for (const acc of stored.accounts) {
     if (!acc.enabled) continue;
+    if (!isAccountAvailable(acc.availability, now)) offHours++;
     const resetTimes = acc.rateLimitResetTimes || {};
     const maxReset = Math.max(0, ...Object.values(resetTimes));
     if (maxReset > now) rateLimited++;
@@ -829,8 +1529,19 @@ export async function cmdStatus() {
   if (rateLimited > 0) {
     line += `, ${rateLimited} rate-limited`;
   }
+  if (offHours > 0) {
+    line += `, ${offHours} off-hours`;
+  }
 
   console.log(line);
+  setJsonData({
+    total,
+    enabled,
+    rateLimited,
+    offHours,
+    strategy: config.account_selection_strategy,
+    activeAccount: stored.activeIndex + 1,
+  });
   return 0;
 }
 
@@ -840,34 +1551,37 @@ export async function cmdStatus() {
  * @returns {Promise<number>} exit code
  */
 export async function cmdSwitch(arg) {
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number (e.g., 'switch 2')"));
-    return 1;
+  if (!arg) {
+    console.error(c.red("Error: provide a valid account number, label or email (e.g., 'switch 2')."));
+    return EXIT_CODES.USAGE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist. You have ${stored.accounts.length} account(s).`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist. You have ${stored.accounts.length} account(s).`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
 
   if (!stored.accounts[idx].enabled) {
     console.error(c.yellow(`Warning: account ${n} is disabled. Enable it first with 'enable ${n}'.`));
-    return 1;
+    return EXIT_CODES.STATE;
   }
 
+  const previous = stored.accounts[stored.activeIndex];
   stored.activeIndex = idx;
   await saveAccounts(stored);
+  auditAccount("switch", stored.accounts[idx], { reason: "manual", details: { fromAccountId: previous?.id } });
 
-  const label = stored.accounts[idx].email || `Account ${n}`;
+  const label = accountDisplayName(stored.accounts[idx], n);
   console.log(c.green(`Switched active account to #${n} (${label}).`));
+  setJsonData({ activeAccount: n, account: accountToJson(stored.accounts[idx], idx, stored.activeIndex) });
   return 0;
 }
 
@@ -877,34 +1591,37 @@ export async function cmdSwitch(arg) {
  * @returns {Promise<number>} exit code
  */
 export async function cmdEnable(arg) {
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number (e.g., 'enable 3')"));
-    return 1;
+  if (!arg) {
+    console.error(c.red("Error: provide a valid account number, label or email (e.g., 'enable 3')."));
+    return EXIT_CODES.USAGE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist.`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist.`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
 
   if (stored.accounts[idx].enabled) {
     console.log(c.dim(`Account ${n} is already enabled.`));
+    setJsonData({ account: accountToJson(stored.accounts[idx], idx, stored.activeIndex), changed: false });
     return 0;
   }
 
   stored.accounts[idx].enabled = true;
   await saveAccounts(stored);
+  auditAccount("enable", stored.accounts[idx]);
 
-  const label = stored.accounts[idx].email || `Account ${n}`;
+  const label = accountDisplayName(stored.accounts[idx], n);
   console.log(c.green(`Enabled account #${n} (${label}).`));
+  setJsonData({ account: accountToJson(stored.accounts[idx], idx, stored.activeIndex), changed: true });
   return 0;
 }
 
@@ -914,26 +1631,27 @@ export async function cmdEnable(arg) {
  * @returns {Promise<number>} exit code
  */
 export async function cmdDisable(arg) {
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number (e.g., 'disable 3')"));
-    return 1;
+  if (!arg) {
+    console.error(c.red("Error: provide a valid account number, label or email (e.g., 'disable 3')."));
+    return EXIT_CODES.USAGE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist.`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist.`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
 
   if (!stored.accounts[idx].enabled) {
     console.log(c.dim(`Account ${n} is already disabled.`));
+    setJsonData({ account: accountToJson(stored.accounts[idx], idx, stored.activeIndex), changed: false });
     return 0;
   }
 
@@ -941,12 +1659,12 @@ export async function cmdDisable(arg) {
   const enabledCount = stored.accounts.filter((a) => a.enabled).length;
   if (enabledCount <= 1) {
     console.error(c.red("Error: cannot disable the last enabled account."));
-    return 1;
+    return EXIT_CODES.STATE;
   }
 
   stored.accounts[idx].enabled = false;
 
-  const label = stored.accounts[idx].email || `Account ${n}`;
+  const label = accountDisplayName(stored.accounts[idx], n);
   let switchedTo = null;
 
   // If we disabled the active account, switch to the next enabled one
@@ -960,75 +1678,267 @@ export async function cmdDisable(arg) {
   }
 
   await saveAccounts(stored);
+  auditAccount("disable", stored.accounts[idx], { reason: "manual" });
+  if (switchedTo !== null) {
+    auditAccount("switch", stored.accounts[switchedTo], {
+      reason: "disabled",
+      details: { fromAccountId: stored.accounts[idx].id },
+    });
+  }
 
   console.log(c.yellow(`Disabled account #${n} (${label}).`));
   if (switchedTo !== null) {
-    const nextLabel = stored.accounts[switchedTo].email || `Account ${switchedTo + 1}`;
+    const nextLabel = accountDisplayName(stored.accounts[switchedTo], switchedTo + 1);
     console.log(c.dim(`Active account switched to #${switchedTo + 1} (${nextLabel}).`));
   }
 
+  setJsonData({
+    account: accountToJson(stored.accounts[idx], idx, stored.activeIndex),
+    changed: true,
+    activeAccount: stored.activeIndex + 1,
+  });
   return 0;
 }
 
+/** Longest account note accepted. */
+const MAX_ACCOUNT_NOTE_LENGTH = 200;
+
 /**
- * Remove an account permanently.
- * @param {string} arg
- * @param {object} [opts]
- * @param {boolean} [opts.force] Skip confirmation prompt
+ * Show, set or clear an account's label or note.
+ * @param {"label" | "note"} field
+ * @param {string | undefined} arg - Account number, label or email
+ * @param {string | undefined} value - New value; omitted shows the current one
+ * @param {{ clear?: boolean }} opts
  * @returns {Promise<number>} exit code
  */
-export async function cmdRemove(arg, opts = {}) {
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number (e.g., 'remove 2')"));
-    return 1;
+async function editAccountText(field, arg, value, { clear = false }) {
+  if (!arg) {
+    console.error(
+      c.red(
+        `Error: provide an account and a ${field} (e.g., '${field} 2 ${field === "label" ? "work" : '"weekend backup"'}').`,
+      ),
+    );
+    return EXIT_CODES.USAGE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist.`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist.`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
+  const account = stored.accounts[idx];
 
-  const label = stored.accounts[idx].email || `Account ${n}`;
+  if (!clear && value === undefined) {
+    console.log(account[field] ?? c.dim(`(no ${field})`));
+    setJsonData({ account: accountToJson(account, idx, stored.activeIndex), changed: false });
+    return 0;
+  }
 
-  // Confirm unless --force
-  if (!opts.force) {
-    if (!process.stdin.isTTY) {
-      console.error(c.red("Error: use --force to remove accounts in non-interactive mode."));
-      return 1;
-    }
-    const rl = createInterface({ input: stdin, output: stdout });
-    try {
-      const answer = await rl.question(`Remove account #${n} (${label})? This cannot be undone. [y/N]: `);
-      if (answer.trim().toLowerCase() !== "y") {
-        console.log(c.dim("Cancelled."));
-        return 0;
-      }
-    } finally {
-      rl.close();
+  const next = clear ? undefined : /** @type {string} */ (value).trim() || undefined;
+  if (next !== undefined) {
+    const problem =
+      field === "label"
+        ? validateAccountLabel(next, stored.accounts, idx)
+        : next.length > MAX_ACCOUNT_NOTE_LENGTH
+          ? `notes are at most ${MAX_ACCOUNT_NOTE_LENGTH} characters`
+          : null;
+    if (problem) {
+      console.error(c.red(`Error: invalid ${field} "${next}": ${problem}.`));
+      return EXIT_CODES.USAGE;
     }
   }
 
-  stored.accounts.splice(idx, 1);
+  const changed = account[field] !== next;
+  if (changed) {
+    account[field] = next;
+    await saveAccounts(stored);
+    auditAccount(field, account);
+  }
 
-  // Adjust active index
-  if (stored.accounts.length === 0) {
-    stored.activeIndex = 0;
-  } else if (stored.activeIndex >= stored.accounts.length) {
+  const name = accountDisplayName(account, n);
+  console.log(
+    c.green(
+      next === undefined ? `Cleared ${field} of account #${n} (${name}).` : `Set ${field} of account #${n} (${name}).`,
+    ),
+  );
+  setJsonData({ account: accountToJson(account, idx, stored.activeIndex), changed });
+  return 0;
+}
+
+/**
+ * Show, set or clear an account's label. Labels are accepted anywhere an
+ * account number or email is.
+ * @param {string | undefined} arg - Account number, label or email
+ * @param {string | undefined} value - New label
+ * @param {{ clear?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdLabel(arg, value, opts = {}) {
+  return editAccountText("label", arg, value, opts);
+}
+
+/**
+ * Show, set or clear an account's note.
+ * @param {string | undefined} arg - Account number, label or email
+ * @param {string | undefined} value - New note
+ * @param {{ clear?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdNote(arg, value, opts = {}) {
+  return editAccountText("note", arg, value, opts);
+}
+
+/**
+ * Show, set or clear the hours an account may be used. Outside them the
+ * plugin leaves the account out of selection.
+ * @param {string | undefined} arg - Account number, label or email
+ * @param {string[]} windows - e.g. ["mon-fri", "09:00-18:00"]; joined and parsed as one list
+ * @param {{ timezone?: string, clear?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdSchedule(arg, windows, { timezone, clear = false } = {}) {
+  if (!arg) {
+    console.error(c.red("Error: provide an account and its hours (e.g., 'schedule 2 mon-fri 09:00-18:00')."));
+    return EXIT_CODES.USAGE;
+  }
+
+  const stored = await loadAccounts();
+  if (!stored || stored.accounts.length === 0) {
+    console.error(c.red("Error: no accounts configured."));
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist.`));
+    return EXIT_CODES.NOT_FOUND;
+  }
+  const n = idx + 1;
+  const account = stored.accounts[idx];
+  const name = accountDisplayName(account, n);
+
+  if (!clear && windows.length === 0 && timezone === undefined) {
+    console.log(account.availability ? describeAvailability(account.availability) : c.dim("(always available)"));
+    setJsonData({ account: accountToJson(account, idx, stored.activeIndex), changed: false });
+    return 0;
+  }
+
+  /** @type {import('./lib/availability.mjs').AvailabilitySchedule | undefined} */
+  let next;
+  if (!clear) {
+    const current = account.availability;
+    let parsed = current?.windows;
+    if (windows.length > 0) {
+      try {
+        parsed = parseAvailabilityWindows(windows.join(" "));
+      } catch (err) {
+        console.error(c.red(`Error: ${err.message}.`));
+        console.error(c.dim("Windows look like 'mon-fri 09:00-18:00', 'sat,sun 10-14' or '22:00-06:00'."));
+        return EXIT_CODES.USAGE;
+      }
+    }
+    if (!parsed) {
+      console.error(c.red(`Error: account #${n} has no schedule yet; give its hours along with --timezone.`));
+      return EXIT_CODES.USAGE;
+    }
+    let zone = timezone === undefined ? current?.timezone : timezone || undefined;
+    if (zone) {
+      try {
+        zone = normalizeTimezone(zone);
+      } catch {
+        console.error(c.red(`Error: unknown time zone "${zone}" (use an IANA name such as Europe/Berlin).`));
+        return EXIT_CODES.USAGE;
+      }
+    }
+    next = zone ? { windows: parsed, timezone: zone } : { windows: parsed };
+  }
+
+  const changed = JSON.stringify(account.availability ?? null) !== JSON.stringify(next ?? null);
+  if (changed) {
+    account.availability = next;
+    await saveAccounts(stored);
+    auditAccount("schedule", account, next ? { details: { ...next } } : {});
+  }
+
+  console.log(
+    c.green(
+      next
+        ? `Account #${n} (${name}) is available ${describeAvailability(next)}.`
+        : `Cleared schedule of account #${n} (${name}); it is always available.`,
+    ),
+  );
+  setJsonData({ account: accountToJson(account, idx, stored.activeIndex), changed });
+  return 0;
+}
+
+/**
+ * Remove an account permanently.
+ * @param {string} arg
+ * @param {object} [opts]
+ * @param {boolean} [opts.force] Skip confirmation prompt
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdRemove(arg, opts = {}) {
+  if (!arg) {
+    console.error(c.red("Error: provide a valid account number, label or email (e.g., 'remove 2')."));
+    return EXIT_CODES.USAGE;
+  }
+
+  const stored = await loadAccounts();
+  if (!stored || stored.accounts.length === 0) {
+    console.error(c.red("Error: no accounts configured."));
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist.`));
+    return EXIT_CODES.NOT_FOUND;
+  }
+  const n = idx + 1;
+
+  const label = accountDisplayName(stored.accounts[idx], n);
+
+  // Confirm unless --force
+  if (!opts.force) {
+    if (!isInteractive()) {
+      console.error(c.red("Error: use --force to remove accounts in non-interactive mode."));
+      return EXIT_CODES.INTERACTIVE;
+    }
+    const rl = createInterface({ input: stdin, output: stdout });
+    try {
+      const answer = await rl.question(`Remove account #${n} (${label})? This cannot be undone. [y/N]: `);
+      if (answer.trim().toLowerCase() !== "y") {
+        console.log(c.dim("Cancelled."));
+        return 0;
+      }
+    } finally {
+      rl.close();
+    }
+  }
+
+  const [removed] = stored.accounts.splice(idx, 1);
+
+  // Adjust active index
+  if (stored.accounts.length === 0) {
+    stored.activeIndex = 0;
+  } else if (stored.activeIndex >= stored.accounts.length) {
     stored.activeIndex = stored.accounts.length - 1;
   } else if (stored.activeIndex > idx) {
     stored.activeIndex--;
   }
 
   await saveAccounts(stored);
+  auditAccount("remove", removed);
   console.log(c.green(`Removed account #${n} (${label}).`));
+  setJsonData({ removed: n, remaining: stored.accounts.length });
 
   if (stored.accounts.length > 0) {
     console.log(c.dim(`${stored.accounts.length} account(s) remaining.`));
@@ -1046,14 +1956,14 @@ export async function cmdRemove(arg, opts = {}) {
  */
 export async function cmdReset(arg) {
   if (!arg) {
-    console.error(c.red("Error: provide an account number or 'all' (e.g., 'reset 1' or 'reset all')"));
-    return 1;
+    console.error(c.red("Error: provide an account number, label, email or 'all' (e.g., 'reset 1' or 'reset all')"));
+    return EXIT_CODES.USAGE;
   }
 
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.error(c.red("Error: no accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
   if (arg.toLowerCase() === "all") {
@@ -1065,29 +1975,28 @@ export async function cmdReset(arg) {
       count++;
     }
     await saveAccounts(stored);
+    auditAccount("reset", null, { details: { count } });
     console.log(c.green(`Reset tracking for all ${count} account(s).`));
+    setJsonData({ reset: stored.accounts.map((_, i) => i + 1) });
     return 0;
   }
 
-  const n = parseInt(arg, 10);
-  if (isNaN(n) || n < 1) {
-    console.error(c.red("Error: provide a valid account number or 'all'."));
-    return 1;
-  }
-
-  const idx = n - 1;
-  if (idx >= stored.accounts.length) {
-    console.error(c.red(`Error: account ${n} does not exist.`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.error(c.red(`Error: account ${arg} does not exist. Use an account number, label, email or 'all'.`));
+    return EXIT_CODES.NOT_FOUND;
   }
+  const n = idx + 1;
 
   stored.accounts[idx].rateLimitResetTimes = {};
   stored.accounts[idx].consecutiveFailures = 0;
   stored.accounts[idx].lastFailureTime = null;
   await saveAccounts(stored);
+  auditAccount("reset", stored.accounts[idx]);
 
-  const label = stored.accounts[idx].email || `Account ${n}`;
+  const label = accountDisplayName(stored.accounts[idx], n);
   console.log(c.green(`Reset tracking for account #${n} (${label}).`));
+  setJsonData({ reset: [n] });
   return 0;
 }
 
@@ -1096,7 +2005,7 @@ export async function cmdReset(arg) {
  * @returns {Promise<number>} exit code
  */
 export async function cmdConfig() {
-  const config = loadConfig();
+  const { config, sources, projectPath } = loadConfigLayers({ directory: process.cwd() });
   const stored = await loadAccounts();
 
   console.log(c.bold("Anthropic Auth Configuration"));
@@ -1125,7 +2034,15 @@ export async function cmdConfig() {
 
   console.log(c.dim("Files"));
   console.log(c.dim("  Config:          ") + shortPath(getConfigPath()));
+  console.log(c.dim("  Project overlay: ") + (projectPath ? shortPath(projectPath) : c.dim("none")));
   console.log(c.dim("  Accounts:        ") + shortPath(getStoragePath()));
+  console.log(c.dim("  Usage ledger:    ") + shortPath(getUsageLedgerPath()));
+  const encryption = getStorageEncryption();
+  console.log(
+    c.dim("  Encryption:      ") +
+      (encryption ? c.green(`on (${encryption.backend})`) : c.dim("off")) +
+      (encryption?.keyFile ? c.dim(` key: ${shortPath(encryption.keyFile)}`) : ""),
+  );
 
   if (stored) {
     const enabled = stored.accounts.filter((a) => a.enabled).length;
@@ -1151,6 +2068,130 @@ export async function cmdConfig() {
     }
   }
 
+  const projectOverrides = Object.keys(sources).filter((path) => sources[path] === "project");
+  if (projectOverrides.length > 0) {
+    console.log(c.dim("Project overrides:"));
+    for (const path of projectOverrides) {
+      const value = path.split(".").reduce((node, key) => node?.[key], /** @type {any} */ (config));
+      console.log(c.dim("  ") + c.cyan(`${path} = ${JSON.stringify(value)}`));
+    }
+  }
+
+  setJsonData({
+    config: redactSecrets(config),
+    sources,
+    files: {
+      config: getConfigPath(),
+      project: projectPath,
+      accounts: getStoragePath(),
+      usageLedger: getUsageLedgerPath(),
+    },
+    encryption: encryption ? { backend: encryption.backend, keyFile: encryption.keyFile ?? null } : null,
+    accounts: stored
+      ? { total: stored.accounts.length, enabled: stored.accounts.filter((a) => a.enabled).length }
+      : { total: 0, enabled: 0 },
+    envOverrides: Object.fromEntries(envOverrides.map((ov) => ov.split(/=(.*)/s).slice(0, 2))),
+  });
+  return 0;
+}
+
+/**
+ * Strictly check the global config and the project overlay for the current
+ * directory (or a single file) against the config schema.
+ * @param {string} [file] - Check only this file
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdConfigValidate(file) {
+  /** @type {{ file: string, issues: import("./lib/config-schema.mjs").ConfigIssue[] }[]} */
+  let results;
+  if (file) {
+    const path = resolve(file);
+    if (!existsSync(path)) {
+      console.error(c.red(`Error: ${path} does not exist.`));
+      return EXIT_CODES.NOT_FOUND;
+    }
+    results = [{ file: path, issues: checkConfigFile(path) }];
+  } else {
+    results = checkConfigFiles({ directory: process.cwd() });
+  }
+
+  if (results.length === 0) {
+    console.log(c.dim("No config files found; defaults are in use."));
+  }
+  let problems = 0;
+  for (const result of results) {
+    problems += result.issues.length;
+    if (result.issues.length === 0) {
+      console.log(`${c.green("✓")} ${shortPath(result.file)}`);
+      continue;
+    }
+    const noun = result.issues.length === 1 ? "problem" : "problems";
+    console.log(`${c.red("✗")} ${shortPath(result.file)} ${c.dim(`— ${result.issues.length} ${noun}`)}`);
+    for (const issue of result.issues) {
+      console.log(`    ${c.yellow(issue.path)}: ${issue.message}`);
+    }
+  }
+
+  setJsonData({ valid: problems === 0, files: results });
+  return problems === 0 ? 0 : EXIT_CODES.INVALID_CONFIG;
+}
+
+/**
+ * Point a config file at the schema via `$schema` (kept as the first key).
+ * @param {string} path
+ * @param {string} reference
+ * @returns {boolean} Whether the file was changed
+ */
+function linkConfigSchema(path, reference) {
+  if (!existsSync(path)) return false;
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    console.error(c.yellow(`Warning: ${shortPath(path)} is not valid JSON; $schema not added.`));
+    return false;
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw) || raw.$schema === reference) return false;
+  const { $schema: _previous, ...rest } = raw;
+  writeFileSync(path, JSON.stringify({ $schema: reference, ...rest }, null, 2) + "\n", { encoding: "utf-8" });
+  return true;
+}
+
+/**
+ * Write the config JSON Schema and reference it from existing config files so
+ * editors offer completion and inline validation. `--output -` prints it instead.
+ * @param {{ output?: string }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdConfigSchema({ output } = {}) {
+  const schema = buildConfigSchema();
+  if (output === "-") {
+    console.log(JSON.stringify(schema, null, 2));
+    setJsonData({ schema });
+    return 0;
+  }
+
+  const schemaPath = output ? resolve(output) : resolve(getConfigDir(), CONFIG_SCHEMA_FILE);
+  try {
+    writeFileSync(schemaPath, JSON.stringify(schema, null, 2) + "\n", { encoding: "utf-8" });
+  } catch (err) {
+    console.error(c.red(`Error: could not write ${schemaPath}: ${err.message}`));
+    return EXIT_CODES.ERROR;
+  }
+  console.log(`${c.green("✓")} Schema written to ${shortPath(schemaPath)}`);
+
+  const globalPath = getConfigPath();
+  const linked = [];
+  // The global config lives next to the schema by default, so a relative reference keeps it portable.
+  const globalRef = dirname(schemaPath) === dirname(globalPath) ? `./${CONFIG_SCHEMA_FILE}` : schemaPath;
+  if (linkConfigSchema(globalPath, globalRef)) linked.push(globalPath);
+  const projectPath = findProjectConfigPath({ directory: process.cwd() });
+  if (projectPath && linkConfigSchema(projectPath, schemaPath)) linked.push(projectPath);
+  for (const path of linked) {
+    console.log(`${c.green("✓")} Linked $schema in ${shortPath(path)}`);
+  }
+
+  setJsonData({ schemaPath, linked });
   return 0;
 }
 
@@ -1193,6 +2234,11 @@ export async function cmdStrategy(arg) {
       );
     }
 
+    setJsonData({
+      strategy: config.account_selection_strategy,
+      available: VALID_STRATEGIES,
+      envOverride: process.env.OPENCODE_ANTHROPIC_STRATEGY ?? null,
+    });
     return 0;
   }
 
@@ -1202,16 +2248,18 @@ export async function cmdStrategy(arg) {
   if (!VALID_STRATEGIES.includes(normalized)) {
     console.error(c.red(`Error: invalid strategy '${arg}'.`));
     console.error(c.dim(`Valid strategies: ${VALID_STRATEGIES.join(", ")}`));
-    return 1;
+    return EXIT_CODES.USAGE;
   }
 
   if (normalized === config.account_selection_strategy && !process.env.OPENCODE_ANTHROPIC_STRATEGY) {
     console.log(c.dim(`Strategy is already '${normalized}'.`));
+    setJsonData({ strategy: normalized, changed: false, envOverride: null });
     return 0;
   }
 
   saveConfig({ account_selection_strategy: normalized });
   console.log(c.green(`Strategy changed to '${normalized}'.`));
+  setJsonData({ strategy: normalized, changed: true, envOverride: process.env.OPENCODE_ANTHROPIC_STRATEGY ?? null });
 
   if (process.env.OPENCODE_ANTHROPIC_STRATEGY) {
     console.log(
@@ -1237,13 +2285,22 @@ function fmtTokens(n) {
 
 /**
  * Show per-account usage statistics.
+ *
+ * With `--since`, `--by` or `--format`, queries the persistent usage ledger
+ * instead of the per-account counters.
+ *
+ * @param {{ since?: string, by?: string, format?: string }} [opts]
  * @returns {Promise<number>} exit code
  */
-export async function cmdStats() {
+export async function cmdStats(opts = {}) {
+  if (opts.since || opts.by || opts.format) {
+    return cmdLedgerStats(opts);
+  }
+
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.log(c.yellow("No accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
   // Column widths: marker(1) + gap(1) + num(2) + gap(2) + name(20) + gap(2) + 5 numeric cols(10 each)
@@ -1277,7 +2334,7 @@ export async function cmdStats() {
     const isActive = i === stored.activeIndex;
     const marker = isActive ? c.green("●") : " ";
     const num = `${marker} ${i + 1}`;
-    const name = acc.email || `Account ${i + 1}`;
+    const name = accountDisplayName(acc, i + 1) + (isApiKeyAccount(acc) ? c.yellow(" $") : "");
 
     console.log(
       "  " +
@@ -1315,10 +2372,132 @@ export async function cmdStats() {
   }
 
   console.log("");
+  if (stored.accounts.some(isApiKeyAccount)) {
+    console.log(c.dim(`${c.yellow("$")} API key, billed per token; see 'stats --by account' for cost.`));
+  }
   if (oldestReset < Infinity) {
     console.log(c.dim(`Tracking since: ${new Date(oldestReset).toLocaleString()} (${formatTimeAgo(oldestReset)})`));
   }
 
+  setJsonData({
+    accounts: stored.accounts.map((acc, i) => ({
+      number: i + 1,
+      email: acc.email ?? null,
+      active: i === stored.activeIndex,
+      billable: isApiKeyAccount(acc),
+      stats: acc.stats ?? createDefaultStats(),
+    })),
+    totals: {
+      requests: totReq,
+      inputTokens: totIn,
+      outputTokens: totOut,
+      cacheReadTokens: totCR,
+      cacheWriteTokens: totCW,
+    },
+    trackingSince: oldestReset < Infinity ? toIsoOrNull(oldestReset) : null,
+  });
+  return 0;
+}
+
+/**
+ * Query the usage ledger and print a grouped report (table, CSV or JSON).
+ * @param {{ since?: string, by?: string, format?: string }} opts
+ * @returns {Promise<number>} exit code
+ */
+async function cmdLedgerStats(opts) {
+  const since = parseSince(opts.since);
+  if (opts.since && since == null) {
+    console.error(c.red(`Invalid --since value: ${opts.since}`));
+    console.error(c.dim("Use a duration (30m, 24h, 7d, 2w), 'today', or a date (2026-01-31)."));
+    return EXIT_CODES.USAGE;
+  }
+  const by = opts.by || "day";
+  if (!USAGE_GROUP_BY.includes(by)) {
+    console.error(c.red(`Invalid --by value: ${by}. Use one of: ${USAGE_GROUP_BY.join(", ")}.`));
+    return EXIT_CODES.USAGE;
+  }
+  if (opts.format && opts.format !== "csv" && opts.format !== "json") {
+    console.error(c.red(`Invalid --format value: ${opts.format}. Use csv or json.`));
+    return EXIT_CODES.USAGE;
+  }
+
+  const result = queryUsage({ since, by });
+
+  // Ledger records carry stable account ids; show emails where we still know them.
+  if (by === "account") {
+    const stored = await loadAccounts();
+    const labels = new Map((stored?.accounts || []).map((acc, i) => [acc.id, accountDisplayName(acc, i + 1)]));
+    for (const row of result.rows) {
+      row.key = labels.get(row.key) || row.key;
+    }
+  }
+
+  const report = {
+    by,
+    since: since != null ? new Date(since).toISOString() : null,
+    rows: result.rows,
+    totals: result.totals,
+  };
+  setJsonData(report);
+  if (isJsonMode()) return 0;
+
+  if (opts.format === "json") {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+  if (opts.format === "csv") {
+    console.log(formatUsageCsv(result.rows, by));
+    return 0;
+  }
+
+  if (result.rows.length === 0) {
+    console.log(c.yellow("No usage recorded for this period."));
+    return 0;
+  }
+
+  const W = { key: 28, val: 10 };
+  const RULE = c.dim("  " + "─".repeat(W.key + W.val * 6));
+  const line = (/** @type {string} */ key, /** @type {import('./lib/usage-ledger.mjs').UsageRow} */ r) =>
+    "  " +
+    pad(key, W.key) +
+    rpad(String(r.requests), W.val) +
+    rpad(fmtTokens(r.inputTokens), W.val) +
+    rpad(fmtTokens(r.outputTokens), W.val) +
+    rpad(fmtTokens(r.cacheReadTokens), W.val) +
+    rpad(fmtTokens(r.cacheWriteTokens), W.val) +
+    rpad(`$${r.costUsd.toFixed(2)}`, W.val);
+
+  console.log(c.bold(`Anthropic Usage by ${by}`));
+  console.log(
+    "  " +
+      pad(c.dim(by[0].toUpperCase() + by.slice(1)), W.key) +
+      rpad(c.dim("Requests"), W.val) +
+      rpad(c.dim("Input"), W.val) +
+      rpad(c.dim("Output"), W.val) +
+      rpad(c.dim("Cache R"), W.val) +
+      rpad(c.dim("Cache W"), W.val) +
+      rpad(c.dim("Cost"), W.val),
+  );
+  console.log(RULE);
+  for (const row of result.rows) {
+    console.log(line(row.key, row));
+  }
+  if (result.rows.length > 1) {
+    console.log(RULE);
+    console.log(c.bold(line("Total", { key: "Total", ...result.totals })));
+  }
+
+  console.log("");
+  if (result.totals.billableCostUsd > 0) {
+    console.log(
+      `Billed to API keys: ${c.yellow(`$${result.totals.billableCostUsd.toFixed(2)}`)} of $${result.totals.costUsd.toFixed(2)}`,
+    );
+  }
+  const from = since ?? result.firstTs;
+  if (from != null) {
+    console.log(c.dim(`Since: ${new Date(from).toLocaleString()} (${formatTimeAgo(from)})`));
+  }
+
   return 0;
 }
 
@@ -1331,7 +2510,7 @@ export async function cmdResetStats(arg) {
   const stored = await loadAccounts();
   if (!stored || stored.accounts.length === 0) {
     console.log(c.yellow("No accounts configured."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
   const now = Date.now();
@@ -1341,20 +2520,85 @@ export async function cmdResetStats(arg) {
       acc.stats = createDefaultStats(now);
     }
     await saveAccounts(stored);
+    auditAccount("reset-stats", null, { details: { count: stored.accounts.length } });
     console.log(c.green("Reset usage statistics for all accounts."));
+    setJsonData({ reset: stored.accounts.map((_, i) => i + 1) });
     return 0;
   }
 
-  const idx = parseInt(arg, 10) - 1;
-  if (isNaN(idx) || idx < 0 || idx >= stored.accounts.length) {
-    console.log(c.red(`Invalid account number. Use 1-${stored.accounts.length} or 'all'.`));
-    return 1;
+  const idx = findAccountIndex(stored.accounts, arg);
+  if (idx === -1) {
+    console.log(c.red(`Invalid account. Use 1-${stored.accounts.length}, a label, an email or 'all'.`));
+    return EXIT_CODES.USAGE;
   }
 
   stored.accounts[idx].stats = createDefaultStats(now);
   await saveAccounts(stored);
-  const name = stored.accounts[idx].email || `Account ${idx + 1}`;
+  auditAccount("reset-stats", stored.accounts[idx]);
+  const name = accountDisplayName(stored.accounts[idx], idx + 1);
   console.log(c.green(`Reset usage statistics for ${name}.`));
+  setJsonData({ reset: [idx + 1] });
+  return 0;
+}
+
+/** Events `history` shows without --all. */
+const HISTORY_DEFAULT_LIMIT = 50;
+
+/**
+ * Show the account audit log: who added, removed, disabled or switched
+ * accounts, from which process, and why.
+ * @param {string | undefined} arg - Account number, label or email; omitted shows every account
+ * @param {{ since?: string, action?: string, all?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdHistory(arg, opts = {}) {
+  const since = parseSince(opts.since);
+  if (opts.since && since == null) {
+    console.error(c.red(`Invalid --since value: ${opts.since}`));
+    console.error(c.dim("Use a duration (30m, 24h, 7d, 2w), 'today', or a date (2026-01-31)."));
+    return EXIT_CODES.USAGE;
+  }
+
+  // Only used to resolve references and names; history stays readable while storage is locked
+  const accounts = (await loadAccounts().catch(() => null))?.accounts ?? [];
+  let account;
+  if (arg) {
+    // Removed accounts are still found by the email or label recorded at the time
+    const idx = findAccountIndex(accounts, arg);
+    account = idx >= 0 ? accounts[idx].id : arg;
+  }
+
+  const limit = opts.all ? undefined : HISTORY_DEFAULT_LIMIT;
+  const events = readAuditEvents({ since, account, action: opts.action, limit });
+  const path = getAuditLogPath();
+  setJsonData({ path, events: events.map((e) => ({ ...e, ts: toIsoOrNull(e.ts) })) });
+
+  if (events.length === 0) {
+    console.log(c.dim("No matching account changes recorded."));
+    console.log(c.dim(`Audit log: ${shortPath(path)}`));
+    return 0;
+  }
+
+  for (const e of events) {
+    const idx = e.accountId ? accounts.findIndex((acc) => acc.id === e.accountId) : -1;
+    const name =
+      idx >= 0
+        ? accountDisplayName(accounts[idx], idx + 1)
+        : e.accountId
+          ? e.label || e.email || e.accountId
+          : "all accounts";
+    console.log(
+      "  " +
+        pad(c.dim(new Date(e.ts).toLocaleString()), 24) +
+        pad(`${e.source}:${e.pid}`, 14) +
+        pad(c.bold(e.action), 13) +
+        name +
+        (e.reason ? c.dim(` (${e.reason})`) : ""),
+    );
+  }
+  if (limit && events.length === limit) {
+    console.log(c.dim(`Showing the last ${limit} events. Use --all for the full history.`));
+  }
   return 0;
 }
 
@@ -1371,13 +2615,13 @@ export async function cmdManage() {
   if (!stored || stored.accounts.length === 0) {
     console.log(c.yellow("No accounts configured."));
     console.log(c.dim("Run 'opencode auth login' and select 'Claude Pro/Max' to add accounts."));
-    return 1;
+    return EXIT_CODES.NOT_FOUND;
   }
 
-  if (!process.stdin.isTTY) {
+  if (!isInteractive()) {
     console.error(c.red("Error: 'manage' requires an interactive terminal."));
     console.error(c.dim("Use 'enable', 'disable', 'remove', 'switch' for non-interactive use."));
-    return 1;
+    return EXIT_CODES.INTERACTIVE;
   }
 
   const rl = createInterface({ input: stdin, output: stdout });
@@ -1397,7 +2641,7 @@ export async function cmdManage() {
       console.log(c.bold(`${accounts.length} account(s):`));
       for (let i = 0; i < accounts.length; i++) {
         const num = i + 1;
-        const label = accounts[i].email || `Account ${num}`;
+        const label = accountDisplayName(accounts[i], num);
         const active = i === stored.activeIndex ? c.green(" (active)") : "";
         const disabled = !accounts[i].enabled ? c.yellow(" [disabled]") : "";
         console.log(`  ${c.bold(String(num))}. ${label}${active}${disabled}`);
@@ -1442,6 +2686,7 @@ export async function cmdManage() {
         stored.accounts[idx].consecutiveFailures = 0;
         stored.accounts[idx].lastFailureTime = null;
         await saveAccounts(stored);
+        auditAccount("reset", stored.accounts[idx]);
         console.log(c.green(`Reset tracking for account #${num}.`));
         continue;
       }
@@ -1457,9 +2702,11 @@ export async function cmdManage() {
             console.log(c.yellow(`Account ${num} is disabled. Enable it first.`));
             break;
           }
+          const previous = accounts[stored.activeIndex];
           stored.activeIndex = idx;
           await saveAccounts(stored);
-          const switchLabel = accounts[idx].email || `Account ${num}`;
+          auditAccount("switch", accounts[idx], { reason: "manual", details: { fromAccountId: previous?.id } });
+          const switchLabel = accountDisplayName(accounts[idx], num);
           console.log(c.green(`Switched to #${num} (${switchLabel}).`));
           break;
         }
@@ -1475,6 +2722,7 @@ export async function cmdManage() {
           }
           stored.accounts[idx].enabled = true;
           await saveAccounts(stored);
+          auditAccount("enable", accounts[idx]);
           console.log(c.green(`Enabled account #${num}.`));
           break;
         }
@@ -1500,6 +2748,7 @@ export async function cmdManage() {
             if (nextEnabled >= 0) stored.activeIndex = nextEnabled;
           }
           await saveAccounts(stored);
+          auditAccount("disable", accounts[idx], { reason: "manual" });
           console.log(c.yellow(`Disabled account #${num}.`));
           break;
         }
@@ -1509,10 +2758,10 @@ export async function cmdManage() {
             console.log(c.red("Usage: r <number>"));
             break;
           }
-          const removeLabel = accounts[idx].email || `Account ${num}`;
+          const removeLabel = accountDisplayName(accounts[idx], num);
           const confirm = await rl.question(`Remove #${num} (${removeLabel})? [y/N]: `);
           if (confirm.trim().toLowerCase() === "y") {
-            stored.accounts.splice(idx, 1);
+            const [removed] = stored.accounts.splice(idx, 1);
             // Adjust active index
             if (stored.accounts.length === 0) {
               stored.activeIndex = 0;
@@ -1522,6 +2771,7 @@ export async function cmdManage() {
               stored.activeIndex--;
             }
             await saveAccounts(stored);
+            auditAccount("remove", removed);
             console.log(c.green(`Removed account #${num}.`));
           } else {
             console.log(c.dim("Cancelled."));
@@ -1557,61 +2807,1035 @@ export async function cmdManage() {
   return 0;
 }
 
+// ---------------------------------------------------------------------------
+// Dashboard (live, redraws in place)
+// ---------------------------------------------------------------------------
+
+/** How often the dashboard re-reads the accounts, stats and ledger files. */
+const DASHBOARD_REFRESH_MS = 2000;
+/** Quota polling hits the usage endpoint, so it runs far less often than redraws. */
+const DASHBOARD_QUOTA_REFRESH_MS = 60_000;
+/** Requests shown in the live tail. */
+const DASHBOARD_TAIL_SIZE = 8;
+
+const SCREEN_ENTER = "\x1b[?1049h\x1b[?25l";
+const SCREEN_LEAVE = "\x1b[?25h\x1b[?1049l";
+const SCREEN_HOME = "\x1b[H\x1b[J";
+
 /**
- * Show help text.
+ * @typedef {object} DashboardState
+ * @property {import('./lib/storage.mjs').AccountStorage} stored
+ * @property {import('./lib/config.mjs').AnthropicAuthConfig} config
+ * @property {Record<string, Record<string, any> | null>} usage - Quotas by account id (null when unavailable)
+ * @property {Record<string, any> | null} cacheStats - Last cache-stats.json written by the plugin
+ * @property {import('./lib/usage-ledger.mjs').UsageRecord[]} recent - Newest ledger records, oldest first
+ * @property {number} selected - Selected account index
+ * @property {string} message - Result of the last key action
  */
-export function cmdHelp() {
-  const bin = "opencode-anthropic-auth";
-  console.log(`
-${c.bold("Anthropic Multi-Account Auth CLI")}
 
-${c.dim("Usage:")}
-  ${bin} [command] [args]
+/**
+ * Read the stats file the plugin rewrites after every request.
+ * @returns {Record<string, any> | null}
+ */
+function readCacheStats() {
+  try {
+    return JSON.parse(readFileSync(join(getConfigDir(), "cache-stats.json"), "utf-8"));
+  } catch {
+    return null;
+  }
+}
 
-${c.dim("Auth Commands:")}
-  ${pad(c.cyan("login"), 22)}Add a new account via browser OAuth flow
-  ${pad(c.cyan("logout") + " <N>", 22)}Revoke tokens and remove account N
-  ${pad(c.cyan("logout") + " --all", 22)}Revoke all tokens and clear all accounts
-  ${pad(c.cyan("reauth") + " <N>", 22)}Re-authenticate account N with fresh tokens
-  ${pad(c.cyan("refresh") + " <N>", 22)}Attempt token refresh (no browser needed)
+/**
+ * Render one dashboard frame.
+ * @param {DashboardState} state
+ * @param {number} [now]
+ * @returns {string[]}
+ */
+export function renderDashboard(state, now = Date.now()) {
+  const { stored, config, usage, cacheStats, recent, selected, message } = state;
+  const clock = new Date(now).toLocaleTimeString();
+  const lines = [
+    `${c.bold("Anthropic Dashboard")}  ${c.dim(clock)}  Strategy: ${c.cyan(config.account_selection_strategy)}`,
+    c.dim("↑/↓ select · s switch · e enable · d disable · r refresh quotas · q quit"),
+    "",
+  ];
 
-${c.dim("Account Commands:")}
-  ${pad(c.cyan("list"), 22)}Show all accounts with status ${c.dim("(default)")}
-  ${pad(c.cyan("status"), 22)}Compact one-liner for scripts/prompts
-  ${pad(c.cyan("switch") + " <N>", 22)}Set account N as active
-  ${pad(c.cyan("enable") + " <N>", 22)}Enable a disabled account
-  ${pad(c.cyan("disable") + " <N>", 22)}Disable an account (skipped in rotation)
-  ${pad(c.cyan("remove") + " <N>", 22)}Remove an account permanently
-  ${pad(c.cyan("reset") + " <N|all>", 22)}Clear rate-limit / failure tracking
-  ${pad(c.cyan("stats"), 22)}Show per-account usage statistics
-  ${pad(c.cyan("reset-stats") + " [N|all]", 22)}Reset usage statistics
-  ${pad(c.cyan("strategy") + " [name]", 22)}Show or change selection strategy
-  ${pad(c.cyan("config"), 22)}Show configuration and file paths
-  ${pad(c.cyan("manage"), 22)}Interactive account management menu
-  ${pad(c.cyan("help"), 22)}Show this help message
+  /** @type {Map<string, { health_score: number, token_bucket: number }>} */
+  const health = new Map((cacheStats?.accounts ?? []).map((/** @type {any} */ a) => [a.id, a]));
+  const bucketMax = config.token_bucket.max_tokens;
 
-${c.dim("Options:")}
-  --force           Skip confirmation prompts
-  --all             Target all accounts (for logout)
-  --no-color        Disable colored output
+  stored.accounts.forEach((acc, i) => {
+    const cursor = i === selected ? c.cyan("▸") : " ";
+    const label = accountDisplayName(acc, i + 1);
+    let status;
+    if (!acc.enabled) status = c.gray("○ disabled");
+    else if (i === stored.activeIndex) status = c.green("● active");
+    else status = c.cyan("● ready");
+
+    const h = health.get(acc.id);
+    const healthText = h ? `health ${h.health_score}` : c.dim("health —");
+    const bucketText = h ? `bucket ${h.token_bucket}/${bucketMax}` : c.dim("bucket —");
+    lines.push(
+      `${cursor} ${pad(c.bold(String(i + 1)), 3)}${pad(label, 26)}${pad(status, 12)}${pad(healthText, 12)}${bucketText}`,
+    );
+    if (!acc.enabled) return;
 
-${c.dim("Examples:")}
-  ${bin} login             ${c.dim("# Add a new account via browser")}
-  ${bin} logout 2          ${c.dim("# Revoke tokens & remove account 2")}
-  ${bin} logout --all      ${c.dim("# Logout all accounts")}
-  ${bin} reauth 1          ${c.dim("# Re-authenticate account 1")}
-  ${bin} refresh 1         ${c.dim("# Quick token refresh for account 1")}
-  ${bin} list              ${c.dim("# Show all accounts")}
-  ${bin} switch 2          ${c.dim("# Make account 2 active")}
-  ${bin} disable 3         ${c.dim("# Temporarily disable account 3")}
+    const quotas = usage[acc.id];
+    if (quotas) lines.push(...renderUsageLines(quotas));
+    else lines.push(c.dim(`${USAGE_INDENT}quotas: ${quotas === null ? "unavailable" : "loading…"}`));
+
+    for (const [key, resetAt] of Object.entries(acc.rateLimitResetTimes || {})) {
+      if (resetAt > now) lines.push(c.yellow(`${USAGE_INDENT}cooldown ${formatDuration(resetAt - now)} (${key})`));
+    }
+  });
+
+  lines.push("", c.bold("Recent requests"));
+  if (recent.length === 0) {
+    lines.push(c.dim("  No requests in the usage ledger yet."));
+  }
+  const accountNumbers = new Map(stored.accounts.map((acc, i) => [acc.id, `#${i + 1}`]));
+  for (const r of [...recent].reverse()) {
+    const prompt = r.inputTokens + r.cacheReadTokens + r.cacheWriteTokens;
+    const hit = prompt > 0 ? `${Math.round((r.cacheReadTokens / prompt) * 100)}%` : "—";
+    lines.push(
+      "  " +
+        pad(c.dim(new Date(r.ts).toLocaleTimeString()), 11) +
+        pad(accountNumbers.get(r.accountId) ?? "?", 4) +
+        pad(r.model, 28) +
+        pad(r.role, 8) +
+        rpad(fmtTokens(prompt), 7) +
+        " in " +
+        rpad(fmtTokens(r.outputTokens), 6) +
+        " out " +
+        rpad(hit, 4) +
+        " cache  " +
+        `$${r.costUsd.toFixed(4)}`,
+    );
+  }
+
+  const session = cacheStats?.session;
+  if (session) {
+    const age = cacheStats.timestamp ? formatTimeAgo(Date.parse(cacheStats.timestamp)) : "unknown";
+    lines.push(
+      "",
+      `Session: ${session.turns} turns · $${Number(session.cost_usd).toFixed(4)} · cache ${Math.round(session.avg_recent_hit_rate * 100)}% ${c.dim(`(updated ${age})`)}`,
+    );
+  }
+
+  if (message) lines.push("", message);
+  return lines;
+}
+
+/**
+ * Apply a dashboard key action to the selected account. Mirrors the rules of
+ * `switch`, `enable` and `disable`.
+ * @param {import('./lib/storage.mjs').AccountStorage} stored - Fresh from disk; mutated
+ * @param {"switch" | "enable" | "disable"} action
+ * @param {number} idx
+ * @returns {{ changed: boolean, message: string }}
+ */
+function applyDashboardAction(stored, action, idx) {
+  const acc = stored.accounts[idx];
+  const num = idx + 1;
+  if (!acc) return { changed: false, message: c.red(`Account ${num} no longer exists.`) };
+  const label = accountDisplayName(acc, num);
+
+  if (action === "switch") {
+    if (!acc.enabled) return { changed: false, message: c.yellow(`Account ${num} is disabled. Enable it first.`) };
+    if (idx === stored.activeIndex) return { changed: false, message: c.dim(`#${num} is already active.`) };
+    stored.activeIndex = idx;
+    return { changed: true, message: c.green(`Switched to #${num} (${label}).`) };
+  }
+  if (action === "enable") {
+    if (acc.enabled) return { changed: false, message: c.dim(`Account ${num} is already enabled.`) };
+    acc.enabled = true;
+    return { changed: true, message: c.green(`Enabled account #${num}.`) };
+  }
+  if (!acc.enabled) return { changed: false, message: c.dim(`Account ${num} is already disabled.`) };
+  if (stored.accounts.filter((a) => a.enabled).length <= 1) {
+    return { changed: false, message: c.red("Cannot disable the last enabled account.") };
+  }
+  acc.enabled = false;
+  if (idx === stored.activeIndex) {
+    const nextEnabled = stored.accounts.findIndex((a) => a.enabled);
+    if (nextEnabled >= 0) stored.activeIndex = nextEnabled;
+  }
+  return { changed: true, message: c.yellow(`Disabled account #${num}.`) };
+}
+
+/**
+ * Live dashboard: accounts with health, token bucket, quota bars and
+ * cooldowns, plus a tail of recent requests from the usage ledger. Redraws
+ * in place until `q` or Ctrl-C.
+ * @param {{ input?: NodeJS.ReadStream | import('node:stream').Readable, output?: NodeJS.WriteStream | import('node:stream').Writable, refreshMs?: number }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdDashboard({ input = stdin, output = stdout, refreshMs = DASHBOARD_REFRESH_MS } = {}) {
+  const initial = await loadAccounts();
+  if (!initial || initial.accounts.length === 0) {
+    console.log(c.yellow("No accounts configured."));
+    console.log(c.dim("Run 'opencode auth login' and select 'Claude Pro/Max' to add accounts."));
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  if (!isInteractive()) {
+    console.error(c.red("Error: 'dashboard' requires an interactive terminal."));
+    console.error(c.dim("Use 'list' or 'list --json' for a one-off snapshot."));
+    return EXIT_CODES.INTERACTIVE;
+  }
+
+  /** @type {DashboardState} */
+  const state = {
+    stored: initial,
+    config: loadConfig(),
+    usage: {},
+    cacheStats: null,
+    recent: [],
+    selected: Math.max(0, initial.activeIndex),
+    message: "",
+  };
+  let lastQuotaFetch = 0;
+  let busy = false;
+
+  const draw = () => {
+    output.write(SCREEN_HOME + renderDashboard(state).join("\n") + "\n");
+  };
+
+  // Accounts can be removed from another terminal while the dashboard is open
+  const clampSelection = () => {
+    state.selected = Math.max(0, Math.min(state.selected, state.stored.accounts.length - 1));
+  };
+
+  const fetchQuotas = async () => {
+    lastQuotaFetch = Date.now();
+    const accounts = state.stored.accounts.filter((acc) => acc.enabled);
+    const results = await Promise.allSettled(accounts.map((acc) => ensureTokenAndFetchUsage(acc)));
+    results.forEach((result, i) => {
+      state.usage[accounts[i].id] = result.status === "fulfilled" ? result.value.usage : null;
+    });
+    if (results.some((r) => r.status === "fulfilled" && r.value.tokenRefreshed)) {
+      await saveAccounts(state.stored).catch(() => {});
+    }
+  };
+
+  const refresh = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      state.stored = (await loadAccounts()) ?? state.stored;
+      clampSelection();
+      state.cacheStats = readCacheStats();
+      state.recent = readRecentUsageRecords(DASHBOARD_TAIL_SIZE);
+      if (Date.now() - lastQuotaFetch >= DASHBOARD_QUOTA_REFRESH_MS) await fetchQuotas();
+    } catch (err) {
+      state.message = c.red(`Refresh failed: ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      busy = false;
+    }
+    draw();
+  };
+
+  /** @param {"switch" | "enable" | "disable"} action */
+  const act = async (action) => {
+    const stored = await loadAccounts();
+    if (!stored) return;
+    const result = applyDashboardAction(stored, action, state.selected);
+    if (result.changed) {
+      await saveAccounts(stored);
+      auditAccount(action, stored.accounts[state.selected], action === "enable" ? {} : { reason: "manual" });
+    }
+    state.stored = stored;
+    clampSelection();
+    state.message = result.message;
+    // Newly enabled accounts have no quotas yet
+    if (action === "enable" && result.changed) lastQuotaFetch = 0;
+  };
+
+  output.write(SCREEN_ENTER);
+  /** @type {any} */ (input).setRawMode?.(true);
+  input.resume();
+
+  return new Promise((resolveExit) => {
+    const timer = setInterval(refresh, refreshMs);
+
+    const quit = () => {
+      clearInterval(timer);
+      input.off("data", onData);
+      /** @type {any} */ (input).setRawMode?.(false);
+      input.pause();
+      output.write(SCREEN_LEAVE);
+      resolveExit(0);
+    };
+
+    /** @param {Buffer | string} chunk */
+    function onData(chunk) {
+      const key = String(chunk);
+      const count = state.stored.accounts.length;
+      if (key === "q" || key === "\x03") return quit();
+      if (key === "\x1b[A" || key === "k") {
+        if (count > 0) state.selected = (state.selected - 1 + count) % count;
+      } else if (key === "\x1b[B" || key === "j") {
+        if (count > 0) state.selected = (state.selected + 1) % count;
+      } else if (/^[1-9]$/.test(key) && Number(key) <= count) state.selected = Number(key) - 1;
+      else if (key === "s" || key === "e" || key === "d") {
+        const action = key === "s" ? "switch" : key === "e" ? "enable" : "disable";
+        act(action)
+          .catch((err) => {
+            state.message = c.red(`Error: ${err instanceof Error ? err.message : String(err)}`);
+          })
+          .then(draw);
+        return;
+      } else if (key === "r") {
+        state.message = c.dim("Refreshing quotas…");
+        lastQuotaFetch = 0;
+        refresh();
+      }
+      draw();
+    }
+
+    input.on("data", onData);
+    refresh();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Replay (offline request/response pipeline)
+// ---------------------------------------------------------------------------
+
+/**
+ * Replay captured request dumps through the plugin's request pipeline (and
+ * captured SSE responses through the response pipeline) without sending
+ * anything, then diff against stored expectations.
+ * @param {string} [target] - Dump file or directory (default: the debug dump directory)
+ * @param {{ expect?: string, update?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdReplay(target, opts = {}) {
+  const source = target || getRequestDumpDir();
+  const cases = listReplayCases(source, { expect: opts.expect });
+  if (cases === null) {
+    console.error(c.red(`Error: ${shortPath(source)} does not exist.`));
+    return EXIT_CODES.NOT_FOUND;
+  }
+  if (cases.length === 0) {
+    console.error(c.red(`Error: no request dumps (req-*.json) in ${shortPath(source)}.`));
+    console.error(c.dim("Enable token_economy.debug_dump_bodies, run a few turns, then replay."));
+    return EXIT_CODES.NOT_FOUND;
+  }
+  if (opts.expect && cases.length > 1) {
+    console.error(c.red("Error: --expect only applies when replaying a single dump file."));
+    return EXIT_CODES.USAGE;
+  }
+
+  const { AnthropicAuthPlugin } = await import("./index.mjs");
+  const { replayRequest, replayResponse } = AnthropicAuthPlugin.__replay__;
+  const config = loadConfig();
+
+  let changed = 0;
+  const results = [];
+  for (const replayCase of cases) {
+    /** @type {Record<string, any>} */
+    const actual = { version: REPLAY_FORMAT_VERSION };
+    try {
+      actual.request = replayRequest(readFileSync(replayCase.requestPath, "utf-8"), { config });
+      if (replayCase.responsePath) {
+        const server = await serveSseCapture(readFileSync(replayCase.responsePath, "utf-8"));
+        try {
+          actual.response = await replayResponse(await fetch(server.url));
+        } finally {
+          await server.close();
+        }
+      }
+    } catch (err) {
+      console.error(c.red(`Error: failed to replay ${replayCase.name}: ${err.message}`));
+      return EXIT_CODES.ERROR;
+    }
+
+    const expected = readReplayExpectation(replayCase.expectationPath);
+    let status;
+    let differences = [];
+    if (opts.update) {
+      writeReplayExpectation(replayCase.expectationPath, actual);
+      status = "recorded";
+      console.log(`${c.green("●")} ${replayCase.name} ${c.dim(`recorded → ${shortPath(replayCase.expectationPath)}`)}`);
+    } else if (!expected) {
+      status = "missing";
+      console.log(`${c.yellow("○")} ${replayCase.name} ${c.dim("no expectation (run with --update to record)")}`);
+    } else {
+      differences = diffJson(expected, actual);
+      status = differences.length === 0 ? "match" : "changed";
+      if (differences.length === 0) {
+        console.log(`${c.green("✓")} ${replayCase.name}`);
+      } else {
+        changed++;
+        console.log(`${c.red("✗")} ${replayCase.name} ${c.dim(`${differences.length} difference(s)`)}`);
+        for (const line of formatReplayDiff(differences)) {
+          console.log(`    ${line}`);
+        }
+      }
+    }
+    results.push({
+      name: replayCase.name,
+      status,
+      expectation: replayCase.expectationPath,
+      hasResponse: Boolean(replayCase.responsePath),
+      differences,
+      result: actual,
+    });
+  }
+
+  setJsonData({ source, changed, cases: results });
+  if (changed > 0) {
+    console.error(c.red(`Error: ${changed} of ${cases.length} replay(s) differ from their expectation.`));
+    return EXIT_CODES.MISMATCH;
+  }
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Files API (files sync)
+// ---------------------------------------------------------------------------
+
+/**
+ * Files API headers for a stored account, refreshing its access token first
+ * when it has expired.
+ * @param {import('./lib/storage.mjs').AccountMetadata} account
+ * @returns {Promise<{ headers: Record<string, string>, refreshed: boolean } | null>} null when the refresh failed
+ */
+async function filesApiHeaders(account) {
+  if (isApiKeyAccount(account)) {
+    return {
+      headers: { "x-api-key": account.apiKey, "anthropic-beta": "files-api-2025-04-14" },
+      refreshed: false,
+    };
+  }
+  let token = account.access;
+  let refreshed = false;
+  if (!token || !account.expires || account.expires < Date.now()) {
+    token = await refreshAccessToken(account);
+    if (!token) return null;
+    refreshed = true;
+  }
+  return {
+    headers: { authorization: `Bearer ${token}`, "anthropic-beta": "oauth-2025-04-20,files-api-2025-04-14" },
+    refreshed,
+  };
+}
+
+/**
+ * @param {import('./lib/files-sync.mjs').FilesSyncPlan} plan
+ */
+function filesSyncPlanToJson(plan) {
+  return {
+    dir: plan.dir,
+    upload: plan.upload.map((f) => ({ path: f.relPath, size: f.size, replaces: f.replaces?.fileId ?? null })),
+    delete: plan.remove.map((f) => ({ path: f.relPath, fileId: f.entry.fileId })),
+    kept: plan.kept.map((f) => ({ path: f.relPath, fileId: f.entry.fileId })),
+    unchanged: plan.unchanged,
+  };
+}
+
+/**
+ * Files: `files sync <dir>` mirrors a local directory into one account's
+ * Files API storage. It prints the plan first and applies it after
+ * confirmation (or with --force); --dry-run stops after the plan. Files that
+ * disappeared locally are only deleted remotely with --delete. What was
+ * uploaded where is kept in the files manifest, which also pins file IDs to
+ * their account across restarts.
+ * @param {string | undefined} action
+ * @param {string | undefined} dir
+ * @param {{ account?: string, deleteMissing?: boolean, dryRun?: boolean, force?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdFiles(action, dir, { account, deleteMissing = false, dryRun = false, force = false } = {}) {
+  if (action !== "sync") {
+    console.error(c.red("Usage: files sync <dir> [--account <N>] [--delete] [--dry-run] [--force]"));
+    console.error(c.dim("list, upload, get, delete and download are available as /anthropic files in OpenCode."));
+    return EXIT_CODES.USAGE;
+  }
+  if (!dir) {
+    console.error(c.red("Error: provide the directory to sync (e.g., 'files sync ./docs')."));
+    return EXIT_CODES.USAGE;
+  }
+  const root = resolve(dir);
+  if (!existsSync(root) || !statSync(root).isDirectory()) {
+    console.error(c.red(`Error: ${shortPath(root)} is not a directory.`));
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  const stored = await loadAccounts();
+  if (!stored || stored.accounts.length === 0) {
+    console.error(c.red("Error: no accounts configured."));
+    return EXIT_CODES.NOT_FOUND;
+  }
+  const idx = account ? findAccountIndex(stored.accounts, account) : stored.activeIndex;
+  if (idx === -1 || !stored.accounts[idx]) {
+    console.error(c.red(`Error: account ${account} does not exist. You have ${stored.accounts.length} account(s).`));
+    return EXIT_CODES.NOT_FOUND;
+  }
+  const target = stored.accounts[idx];
+  const label = accountDisplayName(target, idx + 1);
+  if (!target.enabled) {
+    console.error(c.red(`Error: account #${idx + 1} (${label}) is disabled.`));
+    return EXIT_CODES.STATE;
+  }
+
+  const manifest = loadFilesManifest();
+  const plan = planFilesSync(root, scanSyncDir(root), manifest, { deleteMissing });
+
+  console.log(c.bold(`Sync ${shortPath(root)} → account #${idx + 1} (${label})`));
+  for (const line of formatFilesSyncPlan(plan)) console.log(line);
+
+  if (isFilesSyncPlanEmpty(plan)) {
+    console.log(c.green("Already up to date."));
+    setJsonData({ plan: filesSyncPlanToJson(plan), applied: false });
+    return 0;
+  }
+  if (dryRun) {
+    setJsonData({ plan: filesSyncPlanToJson(plan), applied: false });
+    return 0;
+  }
+
+  // Confirm unless --force
+  if (!force) {
+    if (!isInteractive()) {
+      console.log(c.dim("Nothing changed yet. Re-run with --force to apply this plan."));
+      setJsonData({ plan: filesSyncPlanToJson(plan), applied: false });
+      return 0;
+    }
+    const rl = createInterface({ input: stdin, output: stdout });
+    try {
+      const answer = await rl.question("Apply this plan? [y/N]: ");
+      if (answer.trim().toLowerCase() !== "y") {
+        console.log(c.dim("Cancelled."));
+        return 0;
+      }
+    } finally {
+      rl.close();
+    }
+  }
+
+  let refreshed = false;
+  const result = await applyFilesSync(plan, manifest, {
+    accountId: target.id,
+    headersFor: async (accountId) => {
+      const owner = stored.accounts.find((acc) => acc.id === accountId);
+      if (!owner) return null;
+      const auth = await filesApiHeaders(owner);
+      if (!auth)
+        throw new Error(`token refresh failed for ${accountDisplayName(owner, stored.accounts.indexOf(owner) + 1)}`);
+      refreshed ||= auth.refreshed;
+      return auth.headers;
+    },
+  });
+  if (refreshed) await saveAccounts(stored);
+
+  for (const f of result.uploaded) console.log(`${c.green("+")} ${f.relPath}  ${c.dim(f.fileId)}`);
+  for (const f of result.deleted) console.log(`${c.red("-")} ${f.relPath}  ${c.dim(f.fileId)}`);
+  for (const f of result.failed) console.error(c.red(`Error: ${f.relPath}: ${f.error}`));
+  setJsonData({ plan: filesSyncPlanToJson(plan), applied: true, ...result });
+
+  if (result.failed.length > 0) {
+    console.error(c.dim("Re-run the sync to retry; finished steps are kept in the manifest."));
+    return EXIT_CODES.ERROR;
+  }
+  console.log(c.green(`Synced: ${result.uploaded.length} uploaded, ${result.deleted.length} deleted.`));
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Storage encryption commands (encrypt, decrypt, rekey)
+// ---------------------------------------------------------------------------
+
+/**
+ * Prompt for a secret without echoing it to the terminal.
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+async function promptSecret(question) {
+  stdout.write(question);
+  const muted = new Writable({
+    write(_chunk, _encoding, callback) {
+      callback();
+    },
+  });
+  const rl = createInterface({ input: stdin, output: muted, terminal: true });
+  try {
+    return (await rl.question("")).trim();
+  } finally {
+    rl.close();
+    stdout.write("\n");
+  }
+}
+
+/**
+ * Obtain a new passphrase for the passphrase backend: env var first (unless
+ * rotating interactively), then a prompt with confirmation.
+ * @param {boolean} [rotate] - Prefer prompting over the env var (rekey)
+ * @returns {Promise<string | null>}
+ */
+async function promptNewPassphrase(rotate = false) {
+  const envPassphrase = process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+  if (envPassphrase && !(rotate && isInteractive())) return envPassphrase;
+  if (!isInteractive()) {
+    console.error(c.red("Error: set OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE or run in an interactive terminal."));
+    return null;
+  }
+  const first = await promptSecret("New storage passphrase: ");
+  if (!first) {
+    console.error(c.red("Error: passphrase must not be empty."));
+    return null;
+  }
+  const second = await promptSecret("Repeat passphrase: ");
+  if (first !== second) {
+    console.error(c.red("Error: passphrases do not match."));
+    return null;
+  }
+  return first;
+}
+
+/**
+ * Print how the plugin will find the key for the given backend.
+ * @param {{ backend: string, keyFile?: string }} info
+ */
+function printUnlockHint(info) {
+  if (info.backend === "passphrase") {
+    console.log(c.dim("OpenCode must see OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE to unlock the accounts file."));
+  } else if (info.backend === "keyfile") {
+    console.log(c.dim(`Key file: ${shortPath(info.keyFile || "")} — keep it private and backed up.`));
+  } else if (info.backend === "secret-service") {
+    console.log(c.dim("Key stored in the Secret Service keyring (unlocked with your desktop session)."));
+  }
+}
+
+/**
+ * Resolve the options for encrypt/rekey, prompting for a passphrase if needed.
+ * @param {{ backend?: string, keyFile?: string }} opts
+ * @param {string} defaultBackend
+ * @param {boolean} [rotate]
+ * @returns {Promise<{ backend: string, keyFile?: string, passphrase?: string } | null>}
+ */
+async function resolveEncryptOptions(opts, defaultBackend, rotate = false) {
+  const backend = opts.backend || defaultBackend;
+  if (!listKeyBackends().includes(backend)) {
+    console.error(c.red(`Error: unknown backend '${backend}'. Choose: ${listKeyBackends().join(", ")}`));
+    return null;
+  }
+  if (backend !== "passphrase") return { backend, keyFile: opts.keyFile };
+  const passphrase = await promptNewPassphrase(rotate);
+  return passphrase ? { backend, passphrase } : null;
+}
+
+/**
+ * Encrypt the accounts file at rest (storage version 1 → 2).
+ * @param {{ backend?: string, keyFile?: string }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdEncrypt(opts = {}) {
+  const resolved = await resolveEncryptOptions(opts, "passphrase");
+  if (!resolved) return EXIT_CODES.ERROR;
+
+  try {
+    const info = await encryptAccountsFile(resolved);
+    console.log(c.green(`Account storage encrypted (backend: ${info.backend}).`));
+    printUnlockHint(info);
+    setJsonData({ encryption: { backend: info.backend, keyFile: info.keyFile ?? null } });
+    return 0;
+  } catch (err) {
+    console.error(c.red(`Error: ${err.message}`));
+    return EXIT_CODES.ERROR;
+  }
+}
+
+/**
+ * Decrypt the accounts file back to plaintext (storage version 2 → 1).
+ * @param {object} [opts]
+ * @param {boolean} [opts.force] Skip confirmation prompt
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdDecrypt(opts = {}) {
+  if (!opts.force) {
+    if (!isInteractive()) {
+      console.error(c.red("Error: use --force to decrypt in non-interactive mode."));
+      return EXIT_CODES.INTERACTIVE;
+    }
+    const rl = createInterface({ input: stdin, output: stdout });
+    try {
+      const answer = await rl.question("Store account tokens in plaintext again? [y/N] ");
+      if (answer.trim().toLowerCase() !== "y") {
+        console.log(c.dim("Cancelled."));
+        return EXIT_CODES.ERROR;
+      }
+    } finally {
+      rl.close();
+    }
+  }
+
+  try {
+    await decryptAccountsFile();
+    console.log(c.green("Account storage decrypted (plaintext, 0600 permissions)."));
+    setJsonData({ encryption: null });
+    return 0;
+  } catch (err) {
+    console.error(c.red(`Error: ${err.message}`));
+    return EXIT_CODES.ERROR;
+  }
+}
+
+/**
+ * Re-encrypt the accounts file with a fresh key, optionally moving to another backend.
+ * The old key file is deleted once the new envelope is saved, unless keepOldKey is set.
+ * @param {{ backend?: string, keyFile?: string, keepOldKey?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdRekey(opts = {}) {
+  // Unlock with the current key before asking for the new one. A locked
+  // error propagates so dispatch can prompt for the current passphrase.
+  await loadAccounts();
+  const current = getStorageEncryption();
+  if (!current) {
+    console.error(c.red("Error: account storage is not encrypted. Run 'encrypt' first."));
+    return EXIT_CODES.STATE;
+  }
+
+  const resolved = await resolveEncryptOptions(opts, current.backend, true);
+  if (!resolved) return EXIT_CODES.ERROR;
+
+  try {
+    const info = await rekeyAccountsFile({ ...resolved, keepOldKeyFile: Boolean(opts.keepOldKey) });
+    console.log(c.green(`Account storage re-keyed (backend: ${info.backend}).`));
+    printUnlockHint(info);
+    if (info.backend === "passphrase" && process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE !== resolved.passphrase) {
+      console.log(c.yellow("Update OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE wherever OpenCode runs."));
+    }
+    if (info.oldKeyFile && info.oldKeyFileRemoved) {
+      console.log(c.dim(`Removed the old key file ${shortPath(info.oldKeyFile)}.`));
+    } else if (info.oldKeyFile && opts.keepOldKey) {
+      console.log(c.dim(`Kept the old key file ${shortPath(info.oldKeyFile)} (--keep-old-key).`));
+    } else if (info.oldKeyFile) {
+      console.log(c.yellow(`Could not remove the old key file ${shortPath(info.oldKeyFile)}; delete it by hand.`));
+    }
+    setJsonData({ encryption: { backend: info.backend, keyFile: info.keyFile ?? null } });
+    return 0;
+  } catch (err) {
+    console.error(c.red(`Error: ${err.message}`));
+    return EXIT_CODES.ERROR;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Account bundles (export, import)
+// ---------------------------------------------------------------------------
+
+/** Default file written by `export` when --output is not given. */
+const DEFAULT_BUNDLE_FILE = "anthropic-accounts.bundle.json";
+
+/**
+ * Obtain the bundle passphrase: OPENCODE_ANTHROPIC_BUNDLE_PASSPHRASE, else a
+ * prompt (asked twice when creating a bundle).
+ * @param {boolean} confirm
+ * @returns {Promise<string | null>}
+ */
+async function promptBundlePassphrase(confirm) {
+  const envPassphrase = process.env.OPENCODE_ANTHROPIC_BUNDLE_PASSPHRASE;
+  if (envPassphrase) return envPassphrase;
+  if (!isInteractive()) {
+    console.error(c.red("Error: set OPENCODE_ANTHROPIC_BUNDLE_PASSPHRASE or run in an interactive terminal."));
+    return null;
+  }
+  const first = await promptSecret("Bundle passphrase: ");
+  if (!first) {
+    console.error(c.red("Error: passphrase must not be empty."));
+    return null;
+  }
+  if (confirm && (await promptSecret("Repeat passphrase: ")) !== first) {
+    console.error(c.red("Error: passphrases do not match."));
+    return null;
+  }
+  return first;
+}
+
+/**
+ * Parse an account selection: "all", nothing, or comma-separated 1-based numbers.
+ * @param {string | undefined} arg
+ * @param {number} count
+ * @returns {number[] | null} 0-based indices, or null when invalid
+ */
+function parseAccountSelection(arg, count) {
+  if (!arg || arg.toLowerCase() === "all") return Array.from({ length: count }, (_, i) => i);
+  const indices = [];
+  for (const part of arg.split(",")) {
+    const n = Number(part.trim());
+    if (!Number.isInteger(n) || n < 1 || n > count) return null;
+    if (!indices.includes(n - 1)) indices.push(n - 1);
+  }
+  return indices;
+}
+
+/**
+ * Write selected accounts to a passphrase-encrypted bundle for another machine.
+ * @param {string | undefined} arg - "all" (default) or comma-separated account numbers
+ * @param {{ output?: string, includeStats?: boolean, force?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdExport(arg, opts = {}) {
+  const stored = await loadAccounts();
+  if (!stored || stored.accounts.length === 0) {
+    console.error(c.red("Error: no accounts to export."));
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  const indices = parseAccountSelection(arg, stored.accounts.length);
+  if (!indices) {
+    console.error(c.red(`Error: invalid account selection '${arg}'. Use 'all' or numbers like 1,3.`));
+    return EXIT_CODES.USAGE;
+  }
+
+  const bundlePath = resolve(opts.output || DEFAULT_BUNDLE_FILE);
+  if (existsSync(bundlePath) && !opts.force) {
+    console.error(c.red(`Error: ${shortPath(bundlePath)} already exists. Use --force to overwrite it.`));
+    return EXIT_CODES.STATE;
+  }
+
+  const passphrase = await promptBundlePassphrase(true);
+  if (!passphrase) return EXIT_CODES.ERROR;
+
+  const accounts = indices.map((i) => stored.accounts[i]);
+  const bundle = createAccountBundle(accounts, passphrase, { includeStats: opts.includeStats });
+  try {
+    writeFileSync(bundlePath, JSON.stringify(bundle, null, 2) + "\n", { encoding: "utf-8", mode: 0o600 });
+  } catch (err) {
+    console.error(c.red(`Error: could not write ${bundlePath}: ${err.message}`));
+    return EXIT_CODES.ERROR;
+  }
+
+  for (const i of indices) {
+    console.log(`  ${c.green("✓")} #${i + 1} ${accountDisplayName(stored.accounts[i], i + 1)}`);
+  }
+  console.log(
+    c.green(`Exported ${accounts.length} account(s) to ${shortPath(bundlePath)}`) +
+      c.dim(opts.includeStats ? " (with usage stats)." : "."),
+  );
+  console.log(c.dim("The bundle holds refresh tokens: move it privately and delete it after importing."));
+  setJsonData({
+    path: bundlePath,
+    includesStats: Boolean(opts.includeStats),
+    accounts: indices.map((i) => ({
+      number: i + 1,
+      id: stored.accounts[i].id,
+      email: stored.accounts[i].email ?? null,
+    })),
+  });
+  return 0;
+}
+
+/**
+ * Merge the accounts from a bundle into local storage. Accounts that clash
+ * with a local one (same email or Anthropic account, different token) are
+ * reported and left alone unless --force replaces the local token.
+ * @param {string | undefined} arg - Bundle path
+ * @param {{ force?: boolean }} [opts]
+ * @returns {Promise<number>} exit code
+ */
+export async function cmdImport(arg, opts = {}) {
+  if (!arg) {
+    console.error(c.red("Error: provide the bundle to import (e.g., 'import anthropic-accounts.bundle.json')."));
+    return EXIT_CODES.USAGE;
+  }
+
+  // Unlock local storage before asking for the bundle passphrase
+  const stored = await loadAccounts();
+
+  const bundlePath = resolve(arg);
+  let bundle;
+  try {
+    bundle = JSON.parse(readFileSync(bundlePath, "utf-8"));
+  } catch (err) {
+    console.error(c.red(`Error: could not read ${bundlePath}: ${err.message}`));
+    return EXIT_CODES.ERROR;
+  }
+  if (!isAccountBundle(bundle)) {
+    console.error(c.red(`Error: ${shortPath(bundlePath)} is not an account bundle.`));
+    return EXIT_CODES.USAGE;
+  }
+
+  const passphrase = await promptBundlePassphrase(false);
+  if (!passphrase) return EXIT_CODES.ERROR;
+
+  let incoming;
+  try {
+    incoming = openAccountBundle(bundle, passphrase);
+  } catch (err) {
+    console.error(c.red(`Error: ${err.message}`));
+    return EXIT_CODES.ERROR;
+  }
+
+  const result = mergeBundleAccounts(stored, incoming, { replace: opts.force });
+  if (result.added.length > 0 || result.replaced.length > 0) {
+    await saveAccounts(result.storage);
+    for (const acc of result.added) auditAccount("import", acc);
+    for (const { account } of result.replaced) {
+      const local = result.storage.accounts.find((acc) => acc.refreshToken === account.refreshToken);
+      auditAccount("import", local ?? account, { reason: "replaced" });
+    }
+  }
+
+  const name = (/** @type {{ email?: string, label?: string, source?: string }} */ acc) =>
+    acc.email || acc.label || (isApiKeyAccount(acc) ? "(API key)" : "(no email)");
+  for (const acc of result.added) console.log(`  ${c.green("+")} ${name(acc)} ${c.dim("added")}`);
+  for (const { account, index } of result.replaced) {
+    console.log(`  ${c.yellow("~")} ${name(account)} ${c.dim(`replaced the token of #${index + 1}`)}`);
+  }
+  for (const acc of result.unchanged) console.log(`  ${c.dim("=")} ${name(acc)} ${c.dim("already present")}`);
+  for (const { account, index, reason } of result.conflicts) {
+    const why = reason === "email" ? "same email" : "same Anthropic account";
+    console.log(`  ${c.red("!")} ${name(account)} ${c.dim(`conflicts with #${index + 1} (${why}, different token)`)}`);
+  }
+  for (const acc of result.skipped)
+    console.log(`  ${c.red("!")} ${name(acc)} ${c.dim(`skipped: ${MAX_ACCOUNTS} account limit`)}`);
+
+  console.log(
+    `Imported ${result.added.length} account(s)` +
+      (result.replaced.length ? `, replaced ${result.replaced.length}` : "") +
+      `; ${result.unchanged.length} already present.`,
+  );
+  if (result.conflicts.length > 0) {
+    console.error(
+      c.yellow(`${result.conflicts.length} conflict(s) left untouched. Re-run with --force to replace them.`),
+    );
+  }
+
+  const summarize = (/** @type {import('./lib/account-bundle.mjs').BundleAccount} */ acc) => ({
+    id: acc.id,
+    email: acc.email ?? null,
+  });
+  setJsonData({
+    added: result.added.map(summarize),
+    replaced: result.replaced.map((r) => ({ ...summarize(r.account), number: r.index + 1 })),
+    unchanged: result.unchanged.map(summarize),
+    conflicts: result.conflicts.map((r) => ({ ...summarize(r.account), number: r.index + 1, reason: r.reason })),
+    skipped: result.skipped.map(summarize),
+  });
+  return result.conflicts.length > 0 || result.skipped.length > 0 ? EXIT_CODES.STATE : 0;
+}
+
+/**
+ * Show help text.
+ */
+export function cmdHelp() {
+  const bin = "opencode-anthropic-auth";
+  console.log(`
+${c.bold("Anthropic Multi-Account Auth CLI")}
+
+${c.dim("Usage:")}
+  ${bin} [command] [args]
+
+${c.dim("Auth Commands:")}
+  ${pad(c.cyan("login"), 22)}Add a new account via browser OAuth flow
+  ${pad(c.cyan("login") + " --api-key", 22)}Add an API key (billed per token) to the pool
+  ${pad(c.cyan("login") + " --headless", 22)}Log in over SSH: print a URL and QR code to open elsewhere
+  ${pad(c.cyan("login") + " --complete", 22)}Hand the page's code to a waiting headless login
+  ${pad(c.cyan("logout") + " <N>", 22)}Revoke tokens and remove account N
+  ${pad(c.cyan("logout") + " --all", 22)}Revoke all tokens and clear all accounts
+  ${pad(c.cyan("reauth") + " <N>", 22)}Re-authenticate account N with fresh tokens
+  ${pad(c.cyan("refresh") + " <N>", 22)}Attempt token refresh (no browser needed)
+
+${c.dim("Account Commands:")}
+  ${pad(c.cyan("list"), 22)}Show all accounts with status ${c.dim("(default)")}
+  ${pad(c.cyan("status"), 22)}Compact one-liner for scripts/prompts
+  ${pad(c.cyan("switch") + " <N>", 22)}Set account N as active
+  ${pad(c.cyan("enable") + " <N>", 22)}Enable a disabled account
+  ${pad(c.cyan("disable") + " <N>", 22)}Disable an account (skipped in rotation)
+  ${pad(c.cyan("remove") + " <N>", 22)}Remove an account permanently
+  ${pad(c.cyan("label") + " <N> [name]", 22)}Show or set an account label
+  ${pad(c.cyan("note") + " <N> [text]", 22)}Show or set an account note
+  ${pad(c.cyan("schedule") + " <N> [hours]", 22)}Show or set the hours an account may be used
+  ${pad(c.cyan("reset") + " <N|all>", 22)}Clear rate-limit / failure tracking
+  ${pad(c.cyan("stats"), 22)}Show per-account usage statistics
+  ${pad(c.cyan("reset-stats") + " [N|all]", 22)}Reset usage statistics
+  ${pad(c.cyan("history") + " [N]", 22)}Show who changed accounts, when and why
+  ${pad(c.cyan("strategy") + " [name]", 22)}Show or change selection strategy
+  ${pad(c.cyan("config"), 22)}Show configuration and file paths
+  ${pad(c.cyan("config validate") + " [file]", 22)}Check config files for typos and bad values
+  ${pad(c.cyan("config schema"), 22)}Write the JSON Schema and link it via $schema
+  ${pad(c.cyan("manage"), 22)}Interactive account management menu
+  ${pad(c.cyan("dashboard"), 22)}Live view of accounts, quotas and recent requests
+  ${pad(c.cyan("help"), 22)}Show this help message
+  ${c.dim("<N> is an account number, label or email.")}
+
+${c.dim("Storage Encryption:")}
+  ${pad(c.cyan("encrypt"), 22)}Encrypt the accounts file at rest
+  ${pad(c.cyan("decrypt"), 22)}Store the accounts file in plaintext again
+  ${pad(c.cyan("rekey"), 22)}Re-encrypt with a new key (or another backend)
+
+${c.dim("Moving Accounts:")}
+  ${pad(c.cyan("export") + " [N,...]", 22)}Write accounts to an encrypted bundle file
+  ${pad(c.cyan("import") + " <file>", 22)}Merge accounts from a bundle, reporting conflicts
+
+${c.dim("Diagnostics:")}
+  ${pad(c.cyan("replay") + " [path]", 22)}Replay request dumps offline and diff against expectations
+
+${c.dim("Files API:")}
+  ${pad(c.cyan("files sync") + " <dir>", 22)}Mirror a directory into the Files API (plan first)
+
+${c.dim("Options:")}
+  --force           Skip confirmation prompts
+  --api-key         Log in with an API key instead of OAuth
+  --headless        Don't open a browser; wait for login --complete (default over SSH)
+  --complete <code> Code from the authorization page, for a headless login
+  --account <N>     Account that files sync uploads to (default: active)
+  --delete          Let files sync delete remote files that are gone locally
+  --dry-run         Only print the files sync plan
+  --all             Target all accounts (logout) or show the full history
+  --clear           Remove an account's label, note or schedule
+  --timezone <tz>   Time zone of a schedule's hours (IANA name, e.g. Europe/Berlin)
+  --backend <name>  Key backend: passphrase, keyfile, secret-service
+  --key-file <path> Key file location (keyfile backend)
+  --keep-old-key    Keep the previous key file after rekey (default: delete it)
+  --since <when>    Window for stats or history (7d, 24h, 2w, today, 2026-01-31)
+  --action <name>   Only show history entries for one action (add, remove, disable, ...)
+  --by <dim>        Group stats by day, week, month, model, account or role
+  --format <fmt>    Export stats as csv or json
+  --expect <path>   Expectation file for replaying a single dump
+  --update          Record replay results as the new expectations
+  --output <path>   Where config schema or an export bundle is written
+  --stats           Include usage stats in an export bundle
+  --json            Print one versioned JSON document (never prompts)
+  --no-color        Disable colored output
+
+${c.dim("Exit Codes:")}
+  0 ok, 1 unexpected error, 2 invalid usage, 3 account not found,
+  4 auth/refresh failed, 5 not allowed in current state,
+  6 needs a terminal or --force, 7 storage locked, 8 replay mismatch,
+  9 invalid config
+
+${c.dim("Examples:")}
+  ${bin} login             ${c.dim("# Add a new account via browser")}
+  ${bin} logout 2          ${c.dim("# Revoke tokens & remove account 2")}
+  ${bin} logout --all      ${c.dim("# Logout all accounts")}
+  ${bin} reauth 1          ${c.dim("# Re-authenticate account 1")}
+  ${bin} refresh 1         ${c.dim("# Quick token refresh for account 1")}
+  ${bin} list              ${c.dim("# Show all accounts")}
+  ${bin} switch 2          ${c.dim("# Make account 2 active")}
+  ${bin} label 2 backup    ${c.dim("# Name account 2, then: switch backup")}
+  ${bin} schedule 2 mon-fri 09:00-18:00 --timezone Asia/Tokyo ${c.dim("# Use account 2 in Tokyo office hours")}
+  ${bin} disable 3         ${c.dim("# Temporarily disable account 3")}
   ${bin} reset all         ${c.dim("# Clear all rate-limit tracking")}
   ${bin} strategy sticky   ${c.dim("# Switch to sticky mode")}
   ${bin} stats             ${c.dim("# Show token usage per account")}
+  ${bin} stats --since 7d --by model ${c.dim("# Cost per model over the last week")}
+  ${bin} stats --by day --format csv ${c.dim("# Export daily usage as CSV")}
+  ${bin} history 2 --since 7d ${c.dim("# Who changed account 2 this week")}
   ${bin} status            ${c.dim("# One-liner for shell prompt")}
+  ${bin} list --json       ${c.dim("# Accounts, health and quotas as JSON")}
+  ${bin} encrypt --backend keyfile ${c.dim("# Encrypt tokens with a generated key file")}
+  ${bin} replay --update   ${c.dim("# Record expectations for the current dumps")}
 
 ${c.dim("Files:")}
   Config:   ${shortPath(getConfigPath())}
   Accounts: ${shortPath(getStoragePath())}
+  Usage:    ${shortPath(getUsageLedgerPath())}
+  Audit:    ${shortPath(getAuditLogPath())}
 `);
   return 0;
 }
@@ -1665,36 +3889,181 @@ async function runWithIoContext(io, fn) {
   }
 }
 
+/** Flags that take a value (`--flag value` or `--flag=value`). */
+const VALUE_FLAGS = new Set([
+  "--backend",
+  "--key-file",
+  "--since",
+  "--by",
+  "--format",
+  "--expect",
+  "--output",
+  "--action",
+  "--timezone",
+  "--complete",
+  "--account",
+]);
+
+/**
+ * Split argv into positional args, boolean flags and valued flags.
+ * @param {string[]} argv
+ * @returns {{ args: string[], flags: string[], values: Record<string, string | undefined> }}
+ */
+function parseArgv(argv) {
+  /** @type {string[]} */
+  const args = [];
+  /** @type {string[]} */
+  const flags = [];
+  /** @type {Record<string, string | undefined>} */
+  const values = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      args.push(a);
+      continue;
+    }
+    const eq = a.indexOf("=");
+    const name = eq >= 0 ? a.slice(0, eq) : a;
+    if (VALUE_FLAGS.has(name)) {
+      values[name.slice(2)] = eq >= 0 ? a.slice(eq + 1) : argv[++i];
+    }
+    flags.push(name);
+  }
+
+  return { args, flags, values };
+}
+
+/**
+ * Run a command, prompting once for the storage passphrase if the accounts
+ * file turns out to be locked (interactive terminals only).
+ * @param {() => Promise<number>} fn
+ * @returns {Promise<number>}
+ */
+async function withStorageUnlock(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (err?.code !== STORAGE_LOCKED_CODE || err.backend !== "passphrase" || !isInteractive()) throw err;
+    const passphrase = await promptSecret("Storage passphrase: ");
+    if (!passphrase) throw err;
+    setStoragePassphrase(passphrase);
+    return fn();
+  }
+}
+
 /**
  * Parse argv and route to the appropriate command.
  * @param {string[]} argv - process.argv.slice(2)
  * @returns {Promise<number>} exit code
  */
 async function dispatch(argv) {
-  const args = argv.filter((a) => !a.startsWith("--"));
-  const flags = argv.filter((a) => a.startsWith("--"));
+  const { args, flags, values } = parseArgv(argv);
 
   // Handle global flags
   if (flags.includes("--no-color")) USE_COLOR = false;
-  if (flags.includes("--help")) return cmdHelp();
+  if (flags.includes("--help"))
+    return flags.includes("--json") ? runJsonCommand("help", async () => cmdHelp()) : cmdHelp();
 
   const command = args[0] || "list";
   const arg = args[1];
+  const target = args[2];
 
   const force = flags.includes("--force");
   const all = flags.includes("--all");
+  const backend = values.backend;
+  const keyFile = values["key-file"];
+  const keepOldKey = flags.includes("--keep-old-key");
+  const { since, by, format, expect, output, action, timezone } = values;
+  const update = flags.includes("--update");
+  const includeStats = flags.includes("--stats");
+  const clear = flags.includes("--clear");
+  const apiKey = flags.includes("--api-key");
+  const headless = flags.includes("--headless");
+  const complete = values.complete;
+  const account = values.account;
+  const deleteMissing = flags.includes("--delete");
+  const dryRun = flags.includes("--dry-run");
+
+  const run = () =>
+    withStorageUnlock(() =>
+      runCommand(command, arg, {
+        force,
+        all,
+        backend,
+        keyFile,
+        keepOldKey,
+        since,
+        by,
+        format,
+        expect,
+        update,
+        target,
+        output,
+        includeStats,
+        clear,
+        action,
+        timezone,
+        apiKey,
+        headless,
+        complete,
+        account,
+        deleteMissing,
+        dryRun,
+        rest: args.slice(2),
+      }),
+    );
+  if (flags.includes("--json")) return runJsonCommand(command, run);
+  return run();
+}
 
+/**
+ * Route a parsed command to its handler.
+ * @param {string} command
+ * @param {string | undefined} arg
+ * @param {{ force: boolean, all: boolean, backend?: string, keyFile?: string, keepOldKey?: boolean, since?: string, by?: string, format?: string, expect?: string, update?: boolean, target?: string, output?: string, includeStats?: boolean, clear?: boolean, action?: string, timezone?: string, apiKey?: boolean, headless?: boolean, complete?: string, account?: string, deleteMissing?: boolean, dryRun?: boolean, rest?: string[] }} opts
+ * @returns {Promise<number>} exit code
+ */
+async function runCommand(
+  command,
+  arg,
+  {
+    force,
+    all,
+    backend,
+    keyFile,
+    keepOldKey,
+    since,
+    by,
+    format,
+    expect,
+    update,
+    target,
+    output,
+    includeStats,
+    clear,
+    action,
+    timezone,
+    apiKey,
+    headless,
+    complete,
+    account,
+    deleteMissing,
+    dryRun,
+    rest = [],
+  },
+) {
   switch (command) {
     // Auth commands
     case "login":
     case "ln":
-      return cmdLogin();
+      return cmdLogin({ apiKey, headless, complete });
     case "logout":
     case "lo":
       return cmdLogout(arg, { force, all });
     case "reauth":
     case "ra":
-      return cmdReauth(arg);
+      return cmdReauth(arg, { headless });
     case "refresh":
     case "rf":
       return cmdRefresh(arg);
@@ -1717,21 +4086,58 @@ async function dispatch(argv) {
     case "remove":
     case "rm":
       return cmdRemove(arg, { force });
+    case "label":
+      return cmdLabel(arg, target, { clear });
+    case "note":
+      return cmdNote(arg, target, { clear });
+    case "schedule":
+    case "sched":
+      return cmdSchedule(arg, rest, { timezone, clear });
     case "reset":
       return cmdReset(arg);
     case "stats":
-      return cmdStats();
+      return cmdStats({ since, by, format });
     case "reset-stats":
       return cmdResetStats(arg);
+    case "history":
+    case "hist":
+      return cmdHistory(arg, { since, action, all });
     case "strategy":
     case "strat":
       return cmdStrategy(arg);
     case "config":
     case "cfg":
+      if (arg === "validate") return cmdConfigValidate(target);
+      if (arg === "schema") return cmdConfigSchema({ output });
+      if (arg) {
+        console.error(c.red(`Unknown config subcommand: ${arg}`));
+        console.error(c.dim("Use 'config', 'config validate [file]' or 'config schema [--output <path>]'."));
+        return EXIT_CODES.USAGE;
+      }
       return cmdConfig();
     case "manage":
     case "mg":
       return cmdManage();
+    case "dashboard":
+    case "dash":
+      return cmdDashboard();
+    // Storage encryption commands
+    case "encrypt":
+      return cmdEncrypt({ backend, keyFile });
+    case "decrypt":
+      return cmdDecrypt({ force });
+    case "rekey":
+      return cmdRekey({ backend, keyFile, keepOldKey });
+    // Moving accounts between machines
+    case "export":
+      return cmdExport(arg, { output, includeStats, force });
+    case "import":
+      return cmdImport(arg, { force });
+    // Diagnostics
+    case "replay":
+      return cmdReplay(arg, { expect, update });
+    case "files":
+      return cmdFiles(arg, target, { account, deleteMissing, dryRun, force });
     case "help":
     case "-h":
     case "--help":
@@ -1739,7 +4145,7 @@ async function dispatch(argv) {
     default:
       console.error(c.red(`Unknown command: ${command}`));
       console.error(c.dim("Run 'opencode-anthropic-auth help' for usage."));
-      return 1;
+      return EXIT_CODES.USAGE;
   }
 }
 
@@ -1775,6 +4181,6 @@ if (await detectMain()) {
     .then((code) => process.exit(code))
     .catch((err) => {
       console.error(c.red(`Fatal: ${err.message}`));
-      process.exit(1);
+      process.exit(err?.code === STORAGE_LOCKED_CODE ? EXIT_CODES.LOCKED : EXIT_CODES.ERROR);
     });
 }
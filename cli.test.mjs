@@ -18,6 +18,11 @@ vi.mock("./lib/storage.mjs", async (importOriginal) => {
     saveAccounts: vi.fn().mockResolvedValue(undefined),
     clearAccounts: vi.fn().mockResolvedValue(undefined),
     getStoragePath: vi.fn(() => "/home/user/.config/opencode/anthropic-accounts.json"),
+    getStorageEncryption: vi.fn(() => null),
+    encryptAccountsFile: vi.fn(),
+    decryptAccountsFile: vi.fn(),
+    rekeyAccountsFile: vi.fn(),
+    setStoragePassphrase: vi.fn(),
   };
 });
 
@@ -26,11 +31,31 @@ vi.mock("./lib/config.mjs", async (importOriginal) => {
   return {
     ...original,
     loadConfig: vi.fn(() => ({ ...original.DEFAULT_CONFIG })),
+    loadConfigLayers: vi.fn(() => ({ config: { ...original.DEFAULT_CONFIG }, sources: {}, projectPath: null })),
     getConfigPath: vi.fn(() => "/home/user/.config/opencode/anthropic-auth.json"),
     getConfigDir: vi.fn(() => "/home/user/.config/opencode"),
   };
 });
 
+vi.mock("./lib/usage-ledger.mjs", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    queryUsage: vi.fn(() => ({ by: "day", rows: [], totals: {}, firstTs: null })),
+    readRecentUsageRecords: vi.fn(() => []),
+  };
+});
+
+vi.mock("./lib/audit-log.mjs", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    appendAuditEvent: vi.fn(),
+    readAuditEvents: vi.fn(() => []),
+    getAuditLogPath: vi.fn(() => "/home/user/.config/opencode/anthropic-accounts-audit.jsonl"),
+  };
+});
+
 vi.mock("./lib/oauth.mjs", () => ({
   authorize: vi.fn(async () => ({ url: "https://auth.example/authorize", verifier: "pkce-verifier" })),
   exchange: vi.fn(async () => ({
@@ -43,6 +68,54 @@ vi.mock("./lib/oauth.mjs", () => ({
   revoke: vi.fn(async () => true),
 }));
 
+// The browser never comes back unless a test says otherwise, so logins fall back to pasting
+vi.mock("./lib/oauth-callback.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  startOAuthCallbackServer: vi.fn(async () => ({
+    port: 54545,
+    redirectUri: "http://127.0.0.1:54545/callback",
+    waitForCode: vi.fn(async () => null),
+    close: vi.fn(async () => {}),
+  })),
+}));
+
+// Headless logins find their code delivered on the first poll
+vi.mock("./lib/pending-login.mjs", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    addPendingLogin: vi.fn(async () => {}),
+    removePendingLogin: vi.fn(async () => {}),
+    takePendingLoginCode: vi.fn(async () => ({ status: "delivered", code: "headless-code#headless-state" })),
+    deliverPendingLoginCode: vi.fn(async () => ({ ok: false, reason: "not-found" })),
+  };
+});
+
+// The manifest stays in memory; uploads are reported back without touching the network
+vi.mock("./lib/files-sync.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadFilesManifest: vi.fn(() => ({ files: {} })),
+  applyFilesSync: vi.fn(async () => ({ uploaded: [], deleted: [], failed: [] })),
+}));
+
+vi.mock("./index.mjs", () => ({
+  AnthropicAuthPlugin: {
+    __replay__: {
+      replayRequest: vi.fn((body) => ({
+        url: "https://api.anthropic.com/v1/messages",
+        headers: {},
+        body: JSON.parse(body),
+      })),
+      replayResponse: vi.fn(async (response) => ({
+        status: 200,
+        body: await response.text(),
+        usage: null,
+        accountError: null,
+      })),
+    },
+  },
+}));
+
 vi.mock("node:child_process", () => ({
   exec: vi.fn(),
 }));
@@ -78,12 +151,54 @@ import {
   cmdStats,
   cmdResetStats,
   cmdConfig,
+  cmdConfigValidate,
+  cmdConfigSchema,
   cmdHelp,
+  cmdEncrypt,
+  cmdDecrypt,
+  cmdRekey,
+  cmdReplay,
+  cmdDashboard,
+  renderDashboard,
+  cmdExport,
+  cmdImport,
+  cmdLabel,
+  cmdNote,
+  cmdSchedule,
+  cmdHistory,
+  cmdFiles,
   main,
+  EXIT_CODES,
+  JSON_OUTPUT_VERSION,
 } from "./cli.mjs";
-import { loadAccounts, saveAccounts } from "./lib/storage.mjs";
+import {
+  loadAccounts,
+  saveAccounts,
+  getStorageEncryption,
+  encryptAccountsFile,
+  decryptAccountsFile,
+  rekeyAccountsFile,
+  setStoragePassphrase,
+  STORAGE_LOCKED_CODE,
+} from "./lib/storage.mjs";
 import { authorize, exchange, revoke } from "./lib/oauth.mjs";
+import { startOAuthCallbackServer } from "./lib/oauth-callback.mjs";
+import {
+  addPendingLogin,
+  deliverPendingLoginCode,
+  removePendingLogin,
+  takePendingLoginCode,
+} from "./lib/pending-login.mjs";
+import { applyFilesSync, loadFilesManifest } from "./lib/files-sync.mjs";
+import { queryUsage, readRecentUsageRecords } from "./lib/usage-ledger.mjs";
+import { appendAuditEvent, readAuditEvents } from "./lib/audit-log.mjs";
+import { loadConfig, loadConfigLayers, DEFAULT_CONFIG } from "./lib/config.mjs";
+import { AnthropicAuthPlugin } from "./index.mjs";
 import { createInterface } from "node:readline/promises";
+import { mkdtempSync, readFileSync as readFixture, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { PassThrough } from "node:stream";
+import { join } from "node:path";
 import { exec } from "node:child_process";
 
 // ---------------------------------------------------------------------------
@@ -513,7 +628,7 @@ describe("cmdList", () => {
   it("shows 'no accounts' message when storage is empty", async () => {
     loadAccounts.mockResolvedValue(null);
     const code = await cmdList();
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     expect(output.text()).toContain("No accounts configured");
   });
 
@@ -532,6 +647,18 @@ describe("cmdList", () => {
     expect(text).toContain("disabled");
   });
 
+  it("shows labels next to emails and notes under the account", async () => {
+    const storage = makeStorage();
+    storage.accounts[0].label = "work";
+    storage.accounts[0].note = "weekdays only";
+    loadAccounts.mockResolvedValue(storage);
+    expect(await cmdList()).toBe(0);
+
+    const text = output.text();
+    expect(text).toContain("work (alice@example.com)");
+    expect(text).toContain("note: weekdays only");
+  });
+
   it("shows enabled/disabled counts", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     const code = await cmdList();
@@ -636,6 +763,25 @@ describe("cmdList", () => {
     expect(nextLine).not.toContain("quotas:");
   });
 
+  it("shows API-key accounts without fetching quotas", async () => {
+    const storage = makeStorage();
+    storage.accounts[1] = {
+      ...storage.accounts[1],
+      refreshToken: undefined,
+      apiKey: "sk-ant-api03-bob",
+      source: "api-key",
+    };
+    loadAccounts.mockResolvedValue(storage);
+    mockUsageForAccounts({ five_hour: { utilization: 5.0, resets_at: new Date(Date.now() + 1000).toISOString() } });
+
+    const code = await cmdList();
+    expect(code).toBe(0);
+    const text = output.text();
+    expect(text).toContain("API key 2");
+    expect(text).toContain("quotas: n/a (API key, billed per token)");
+    expect(text).toContain("1 API key (fallback only)");
+  });
+
   it("persists refreshed tokens back to disk", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     saveAccounts.mockResolvedValue(undefined);
@@ -670,7 +816,7 @@ describe("cmdStatus", () => {
   it("shows 'no accounts' for empty storage", async () => {
     loadAccounts.mockResolvedValue(null);
     const code = await cmdStatus();
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     expect(output.text()).toContain("no accounts configured");
   });
 
@@ -731,27 +877,39 @@ describe("cmdSwitch", () => {
   it("rejects invalid account number", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     const code = await cmdSwitch("99");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     expect(output.errorText()).toContain("does not exist");
   });
 
   it("rejects switching to disabled account", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     const code = await cmdSwitch("3"); // charlie is disabled
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.STATE);
     expect(output.errorText()).toContain("disabled");
   });
 
-  it("rejects non-numeric input", async () => {
+  it("switches by label or email", async () => {
+    const storage = makeStorage();
+    storage.accounts[1].label = "backup";
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdSwitch("Backup")).toBe(0);
+    expect(output.text()).toContain("Switched active account to #2 (backup).");
+    expect(await cmdSwitch("alice@example.com")).toBe(0);
+    expect(saveAccounts).toHaveBeenLastCalledWith(expect.objectContaining({ activeIndex: 0 }));
+  });
+
+  it("rejects unknown labels", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
     const code = await cmdSwitch("abc");
-    expect(code).toBe(1);
-    expect(output.errorText()).toContain("valid account number");
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
+    expect(output.errorText()).toContain("account abc does not exist");
   });
 
   it("rejects when no accounts exist", async () => {
     loadAccounts.mockResolvedValue(null);
     const code = await cmdSwitch("1");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     expect(output.errorText()).toContain("no accounts");
   });
 });
@@ -803,7 +961,7 @@ describe("cmdEnable", () => {
   it("rejects invalid account number", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     const code = await cmdEnable("99");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     expect(output.errorText()).toContain("does not exist");
   });
 });
@@ -847,7 +1005,7 @@ describe("cmdDisable", () => {
     loadAccounts.mockResolvedValue(storage);
 
     const code = await cmdDisable("1");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.STATE);
     expect(output.errorText()).toContain("last enabled");
   });
 
@@ -864,6 +1022,188 @@ describe("cmdDisable", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Dashboard
+// ---------------------------------------------------------------------------
+
+describe("renderDashboard", () => {
+  const strip = (lines) => lines.join("\n").replace(/\x1b\[[0-9;]*m/g, ""); // eslint-disable-line no-control-regex
+  const now = Date.parse("2026-03-01T12:00:00Z");
+
+  it("shows health, bucket, quotas, cooldowns and the request tail", () => {
+    const stored = makeStorage();
+    stored.accounts[0].id = "acc-alice";
+    stored.accounts[1].id = "acc-bob";
+    stored.accounts[1].rateLimitResetTimes = { anthropic: now + 90_000, soft_cooldown: now - 1 };
+
+    const text = strip(
+      renderDashboard(
+        {
+          stored,
+          config: { ...DEFAULT_CONFIG },
+          usage: { "acc-alice": { five_hour: { utilization: 42, resets_at: null } }, "acc-bob": null },
+          cacheStats: {
+            timestamp: new Date(now - 5000).toISOString(),
+            session: { turns: 3, cost_usd: 0.1234, avg_recent_hit_rate: 0.8 },
+            accounts: [{ id: "acc-alice", health_score: 64, token_bucket: 47 }],
+          },
+          recent: [
+            {
+              ts: now - 2000,
+              accountId: "acc-alice",
+              model: "claude-sonnet-4-6",
+              role: "main",
+              inputTokens: 1000,
+              outputTokens: 200,
+              cacheReadTokens: 3000,
+              cacheWriteTokens: 0,
+              costUsd: 0.0042,
+            },
+          ],
+          selected: 1,
+          message: "Switched to #2.",
+        },
+        now,
+      ),
+    );
+
+    expect(text).toContain("health 64");
+    expect(text).toContain("bucket 47/50");
+    expect(text).toContain("5h");
+    expect(text).toContain("42%");
+    expect(text).toContain("quotas: unavailable");
+    expect(text).toContain("cooldown 1m 30s (anthropic)");
+    expect(text).not.toContain("soft_cooldown");
+    expect(text).toMatch(/▸ 2/);
+    expect(text).toMatch(/#1\s+claude-sonnet-4-6\s+main\s+4\.0K in\s+200 out\s+75% cache\s+\$0\.0042/);
+    expect(text).toContain("Session: 3 turns · $0.1234 · cache 80%");
+    expect(text).toContain("Switched to #2.");
+  });
+
+  it("notes an empty ledger and accounts the plugin has not reported yet", () => {
+    const text = strip(
+      renderDashboard(
+        { stored: makeStorage(), config: { ...DEFAULT_CONFIG }, usage: {}, cacheStats: null, recent: [], selected: 0 },
+        now,
+      ),
+    );
+    expect(text).toContain("health —");
+    expect(text).toContain("quotas: loading…");
+    expect(text).toContain("No requests in the usage ledger yet.");
+    expect(text).not.toContain("Session:");
+  });
+});
+
+describe("cmdDashboard", () => {
+  let output;
+  let restoreTTY;
+
+  /** A fake TTY that feeds keypresses and records raw-mode changes. */
+  function makeKeyboard() {
+    const input = new PassThrough();
+    input.setRawMode = vi.fn();
+    const press = (key) => input.write(key);
+    return { input, press };
+  }
+
+  function makeScreen() {
+    const writes = [];
+    return { writes, stream: { write: (chunk) => writes.push(String(chunk)) } };
+  }
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    saveAccounts.mockResolvedValue(undefined);
+    loadConfig.mockReturnValue({ ...DEFAULT_CONFIG });
+    readRecentUsageRecords.mockReturnValue([]);
+    mockFetch.mockResolvedValue({ ok: false, status: 500 });
+  });
+
+  afterEach(() => {
+    output.restore();
+    restoreTTY?.();
+    restoreTTY = undefined;
+  });
+
+  it("requires an interactive terminal", async () => {
+    restoreTTY = setStdinTTY(false);
+    loadAccounts.mockResolvedValue(makeStorage());
+    expect(await cmdDashboard()).toBe(EXIT_CODES.INTERACTIVE);
+    expect(output.errorText()).toContain("requires an interactive terminal");
+  });
+
+  it("returns NOT_FOUND without accounts", async () => {
+    restoreTTY = setStdinTTY(true);
+    loadAccounts.mockResolvedValue(null);
+    expect(await cmdDashboard()).toBe(EXIT_CODES.NOT_FOUND);
+  });
+
+  it("switches, disables and quits from the keyboard", async () => {
+    restoreTTY = setStdinTTY(true);
+    loadAccounts.mockImplementation(async () => makeStorage());
+    const { input, press } = makeKeyboard();
+    const screen = makeScreen();
+
+    const done = cmdDashboard({ input, output: screen.stream, refreshMs: 60_000 });
+    await vi.waitFor(() => expect(screen.writes.join("")).toContain("Recent requests"));
+
+    press("j");
+    press("s");
+    await vi.waitFor(() => expect(saveAccounts).toHaveBeenCalledTimes(1));
+    expect(saveAccounts.mock.calls[0][0].activeIndex).toBe(1);
+
+    press("1");
+    press("d");
+    await vi.waitFor(() => expect(saveAccounts).toHaveBeenCalledTimes(2));
+    const saved = saveAccounts.mock.calls[1][0];
+    expect(saved.accounts[0].enabled).toBe(false);
+    expect(saved.activeIndex).toBe(1);
+
+    press("3");
+    press("s");
+    await vi.waitFor(() => expect(screen.writes.at(-1)).toContain("disabled. Enable it first"));
+    expect(saveAccounts).toHaveBeenCalledTimes(2);
+
+    press("q");
+    expect(await done).toBe(0);
+    expect(input.setRawMode).toHaveBeenLastCalledWith(false);
+    expect(screen.writes.at(-1)).toBe("\x1b[?25h\x1b[?1049l");
+  });
+
+  it("keeps a valid selection while the account list is emptied elsewhere", async () => {
+    restoreTTY = setStdinTTY(true);
+    let current = makeStorage();
+    loadAccounts.mockImplementation(async () => current);
+    const { input, press } = makeKeyboard();
+    const screen = makeScreen();
+
+    const done = cmdDashboard({ input, output: screen.stream, refreshMs: 60_000 });
+    await vi.waitFor(() => expect(screen.writes.join("")).toContain("Recent requests"));
+
+    // A refresh still in flight ignores "r", so press it until the screen follows
+    current = { ...makeStorage(), accounts: [] };
+    await vi.waitFor(() => {
+      press("r");
+      expect(screen.writes.at(-1)).not.toContain("▸");
+    });
+    press("j");
+    press("k");
+
+    current = makeStorage();
+    await vi.waitFor(() => {
+      press("r");
+      expect(screen.writes.at(-1)).toContain("▸");
+    });
+    press("s");
+    await vi.waitFor(() => expect(screen.writes.at(-1)).toContain("#1 is already active"));
+    expect(saveAccounts).not.toHaveBeenCalled();
+
+    press("q");
+    expect(await done).toBe(0);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Auth commands
 // ---------------------------------------------------------------------------
@@ -885,17 +1225,22 @@ describe("auth commands", () => {
       email: "new@example.com",
     });
     vi.mocked(revoke).mockResolvedValue(true);
+    // Over SSH logins go headless on their own
+    vi.stubEnv("SSH_CONNECTION", "");
+    vi.stubEnv("SSH_CLIENT", "");
+    vi.stubEnv("SSH_TTY", "");
   });
 
   afterEach(() => {
     output.restore();
+    vi.unstubAllEnvs();
   });
 
   it("cmdLogin rejects non-interactive terminals", async () => {
     const restoreTTY = setStdinTTY(false);
     try {
       const code = await cmdLogin();
-      expect(code).toBe(1);
+      expect(code).toBe(EXIT_CODES.INTERACTIVE);
       expect(output.errorText()).toContain("requires an interactive terminal");
       expect(authorize).not.toHaveBeenCalled();
     } finally {
@@ -933,6 +1278,166 @@ describe("auth commands", () => {
     }
   });
 
+  it("cmdLogin takes the code from the loopback callback without prompting", async () => {
+    loadAccounts.mockResolvedValue(null);
+    const callback = {
+      port: 54545,
+      redirectUri: "http://127.0.0.1:54545/callback",
+      waitForCode: vi.fn(async () => ({ code: "loop-code", state: "loop-state" })),
+      close: vi.fn(async () => {}),
+    };
+    vi.mocked(startOAuthCallbackServer).mockResolvedValueOnce(callback);
+    vi.mocked(authorize).mockResolvedValueOnce({ url: "https://auth.example/a", verifier: "v", state: "loop-state" });
+    const restoreTTY = setStdinTTY(true);
+
+    try {
+      const code = await cmdLogin();
+      expect(code).toBe(0);
+      expect(authorize).toHaveBeenCalledWith("max", { redirectUri: callback.redirectUri });
+      expect(callback.waitForCode).toHaveBeenCalledWith("loop-state", 120_000);
+      expect(exchange).toHaveBeenCalledWith("loop-code#loop-state", "v", { redirectUri: callback.redirectUri });
+      expect(createInterface).not.toHaveBeenCalled();
+      expect(callback.close).toHaveBeenCalledWith(true);
+      expect(saveAccounts.mock.calls[0][0].accounts[0].refreshToken).toBe("refresh-new");
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("cmdLogin falls back to pasting the code when the browser does not come back", async () => {
+    loadAccounts.mockResolvedValue(null);
+    const restoreTTY = setStdinTTY(true);
+    mockReadlineAnswer("pasted-code#state");
+
+    try {
+      const code = await cmdLogin();
+      expect(code).toBe(0);
+      expect(output.text()).toContain("falling back to pasting the code");
+      expect(authorize).toHaveBeenCalledTimes(2);
+      expect(exchange).toHaveBeenCalledWith("pasted-code#state", "pkce-verifier");
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("cmdLogin skips the listener when oauth_callback is disabled", async () => {
+    loadAccounts.mockResolvedValue(null);
+    loadConfig.mockReturnValue({ ...DEFAULT_CONFIG, oauth_callback: { enabled: false, timeout_seconds: 120 } });
+    const restoreTTY = setStdinTTY(true);
+    mockReadlineAnswer("pasted-code#state");
+
+    try {
+      expect(await cmdLogin()).toBe(0);
+      expect(startOAuthCallbackServer).not.toHaveBeenCalled();
+      expect(authorize).toHaveBeenCalledTimes(1);
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("cmdLogin --headless prints a URL and QR code and waits for login --complete", async () => {
+    loadAccounts.mockResolvedValue(null);
+    vi.mocked(authorize).mockResolvedValueOnce({
+      url: "https://auth.example/authorize?code=true&state=headless-state",
+      verifier: "headless-verifier",
+      state: "headless-state",
+    });
+    const restoreTTY = setStdinTTY(true);
+
+    try {
+      expect(await cmdLogin({ headless: true })).toBe(0);
+      expect(authorize).toHaveBeenCalledWith("max");
+      expect(startOAuthCallbackServer).not.toHaveBeenCalled();
+      expect(exec).not.toHaveBeenCalled();
+      expect(createInterface).not.toHaveBeenCalled();
+      expect(addPendingLogin).toHaveBeenCalledWith({ state: "headless-state", action: "login" });
+      expect(takePendingLoginCode).toHaveBeenCalledWith("headless-state");
+      expect(exchange).toHaveBeenCalledWith("headless-code#headless-state", "headless-verifier");
+      expect(removePendingLogin).toHaveBeenCalledWith("headless-state");
+      // Without a color terminal the full URL is printed rather than a short OSC 8 link
+      expect(output.text()).toContain("https://auth.example/authorize?code=true&state=headless-state");
+      expect(output.text()).not.toContain("authorize?…");
+      expect(output.text()).toContain("login --complete");
+      expect(output.text()).toContain("\u2588");
+      expect(saveAccounts.mock.calls[0][0].accounts[0].refreshToken).toBe("refresh-new");
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("cmdLogin goes headless in an SSH session", async () => {
+    vi.stubEnv("SSH_CONNECTION", "10.0.0.2 50000 10.0.0.1 22");
+    const restoreTTY = setStdinTTY(true);
+
+    try {
+      expect(await cmdLogin()).toBe(0);
+      expect(startOAuthCallbackServer).not.toHaveBeenCalled();
+      expect(addPendingLogin).toHaveBeenCalled();
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("cmdReauth --headless names the account in the pending login", async () => {
+    const restoreTTY = setStdinTTY(true);
+
+    try {
+      expect(await cmdReauth("1", { headless: true })).toBe(0);
+      expect(addPendingLogin).toHaveBeenCalledWith(expect.objectContaining({ action: "reauth 1" }));
+      expect(saveAccounts.mock.calls[0][0].accounts[0].refreshToken).toBe("refresh-new");
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("cmdLogin --headless gives up once the pending login expires", async () => {
+    vi.mocked(takePendingLoginCode).mockResolvedValueOnce({ status: "expired" });
+    const restoreTTY = setStdinTTY(true);
+
+    try {
+      expect(await cmdLogin({ headless: true })).toBe(EXIT_CODES.AUTH);
+      expect(output.errorText()).toContain("expired before a code was delivered");
+      expect(exchange).not.toHaveBeenCalled();
+      expect(removePendingLogin).toHaveBeenCalled();
+      expect(saveAccounts).not.toHaveBeenCalled();
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("login --complete hands the code over without needing a terminal", async () => {
+    vi.mocked(deliverPendingLoginCode).mockResolvedValueOnce({
+      ok: true,
+      flow: { state: "s", action: "reauth 2", createdAt: Date.now(), pid: 4242 },
+    });
+    const restoreTTY = setStdinTTY(false);
+
+    try {
+      expect(await cmdLogin({ complete: "code#s" })).toBe(0);
+      expect(deliverPendingLoginCode).toHaveBeenCalledWith("code#s");
+      expect(output.text()).toContain("Code delivered to the waiting reauth 2 (pid 4242)");
+      expect(authorize).not.toHaveBeenCalled();
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("login --complete explains why a code could not be delivered", async () => {
+    const cases = [
+      ["no-state", EXIT_CODES.USAGE, "missing its '#...' part"],
+      ["not-found", EXIT_CODES.NOT_FOUND, "no headless login is waiting"],
+      ["expired", EXIT_CODES.STATE, "that login expired"],
+      ["gone", EXIT_CODES.STATE, "has exited"],
+      ["delivered", EXIT_CODES.STATE, "already delivered"],
+    ];
+    for (const [reason, exitCode, message] of cases) {
+      vi.mocked(deliverPendingLoginCode).mockResolvedValueOnce({ ok: false, reason });
+      expect(await cmdLogin({ complete: "code#s" })).toBe(exitCode);
+      expect(output.errorText()).toContain(message);
+    }
+    expect(await cmdLogin({ complete: " " })).toBe(EXIT_CODES.USAGE);
+  });
+
   it("cmdLogin updates duplicate account even when at max capacity", async () => {
     const fullStorage = {
       version: 1,
@@ -988,7 +1493,7 @@ describe("auth commands", () => {
 
     try {
       const code = await cmdLogin();
-      expect(code).toBe(1);
+      expect(code).toBe(EXIT_CODES.STATE);
       expect(output.errorText()).toContain("maximum of 10 accounts reached");
       expect(saveAccounts).not.toHaveBeenCalled();
     } finally {
@@ -996,6 +1501,44 @@ describe("auth commands", () => {
     }
   });
 
+  it("cmdLogin --api-key adds a metered account without OAuth", async () => {
+    loadAccounts.mockResolvedValue(null);
+    const restoreTTY = setStdinTTY(true);
+    mockReadlineAnswer("sk-ant-api03-abcdefghijkl");
+
+    try {
+      const code = await cmdLogin({ apiKey: true });
+      expect(code).toBe(0);
+      expect(authorize).not.toHaveBeenCalled();
+      const saved = saveAccounts.mock.calls[0][0];
+      expect(saved.accounts).toEqual([
+        expect.objectContaining({ apiKey: "sk-ant-api03-abcdefghijkl", source: "api-key", enabled: true }),
+      ]);
+      expect(saved.accounts[0].refreshToken).toBeUndefined();
+      expect(saved.accounts[0].access).toBeUndefined();
+      expect(output.text()).toContain("Added account #1 (API key 1)");
+      expect(output.text()).toContain("used only when no OAuth account is available");
+    } finally {
+      restoreTTY();
+    }
+  });
+
+  it("cmdLogin --api-key rejects OAuth tokens and malformed keys", async () => {
+    const restoreTTY = setStdinTTY(true);
+    try {
+      mockReadlineAnswer("sk-ant-oat01-abcdef");
+      expect(await cmdLogin({ apiKey: true })).toBe(EXIT_CODES.USAGE);
+      expect(output.errorText()).toContain("use 'login' instead");
+
+      mockReadlineAnswer("not-a-key");
+      expect(await cmdLogin({ apiKey: true })).toBe(EXIT_CODES.USAGE);
+      expect(output.errorText()).toContain('API keys start with "sk-ant-"');
+      expect(saveAccounts).not.toHaveBeenCalled();
+    } finally {
+      restoreTTY();
+    }
+  });
+
   it("cmdLogout removes one account and revokes token", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
 
@@ -1084,22 +1627,61 @@ describe("auth commands", () => {
     expect(output.text()).toContain("re-enabled");
   });
 
+  it("cmdLogout removes API keys without revoking them", async () => {
+    const storage = makeStorage();
+    storage.accounts[1] = {
+      ...storage.accounts[1],
+      refreshToken: undefined,
+      apiKey: "sk-ant-api03-bob",
+      source: "api-key",
+    };
+    loadAccounts.mockResolvedValue(storage);
+
+    const code = await cmdLogout("2", { force: true });
+    expect(code).toBe(0);
+    expect(revoke).not.toHaveBeenCalled();
+    expect(output.text()).toContain("delete it in the Anthropic Console");
+    expect(saveAccounts.mock.calls[0][0].accounts).toHaveLength(2);
+  });
+
+  it("cmdRefresh and cmdReauth reject API-key accounts", async () => {
+    const storage = makeStorage();
+    storage.accounts[0] = {
+      ...storage.accounts[0],
+      refreshToken: undefined,
+      apiKey: "sk-ant-api03-alice",
+      source: "api-key",
+    };
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdRefresh("1")).toBe(EXIT_CODES.USAGE);
+    const restoreTTY = setStdinTTY(true);
+    try {
+      expect(await cmdReauth("1")).toBe(EXIT_CODES.USAGE);
+    } finally {
+      restoreTTY();
+    }
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(authorize).not.toHaveBeenCalled();
+    expect(saveAccounts).not.toHaveBeenCalled();
+  });
+
   it("cmdRefresh suggests reauth when refresh fails", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     mockFetch.mockResolvedValueOnce({ ok: false, status: 401 });
 
     const code = await cmdRefresh("1");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.AUTH);
     expect(output.errorText()).toContain("Try: opencode-anthropic-auth reauth 1");
     expect(saveAccounts).not.toHaveBeenCalled();
   });
 });
 
 // ---------------------------------------------------------------------------
-// cmdRemove
+// cmdLabel / cmdNote
 // ---------------------------------------------------------------------------
 
-describe("cmdRemove", () => {
+describe("cmdLabel and cmdNote", () => {
   let output;
 
   beforeEach(() => {
@@ -1112,38 +1694,295 @@ describe("cmdRemove", () => {
     output.restore();
   });
 
-  it("removes account with --force (no confirmation)", async () => {
-    loadAccounts.mockResolvedValue(makeStorage());
-    const code = await cmdRemove("2", { force: true });
-    expect(code).toBe(0);
-    expect(output.text()).toContain("Removed");
-    expect(output.text()).toContain("Account 2");
-
-    expect(saveAccounts).toHaveBeenCalledWith(
-      expect.objectContaining({
-        accounts: expect.arrayContaining([
-          expect.objectContaining({ email: "alice@example.com" }),
-          expect.objectContaining({ email: "charlie@example.com" }),
-        ]),
-      }),
-    );
-    // Should have 2 accounts remaining (alice + charlie)
-    const saved = saveAccounts.mock.calls[0][0];
-    expect(saved.accounts).toHaveLength(2);
-  });
-
-  it("adjusts activeIndex when removing account before active", async () => {
-    const storage = makeStorage({ activeIndex: 2 }); // charlie is active
+  it("sets a label that later commands accept", async () => {
+    const storage = makeStorage();
     loadAccounts.mockResolvedValue(storage);
 
-    const code = await cmdRemove("1", { force: true }); // remove alice (before active)
-    expect(code).toBe(0);
+    expect(await cmdLabel("2", "backup")).toBe(0);
+    expect(output.text()).toContain("Set label of account #2 (backup).");
+    expect(saveAccounts.mock.calls[0][0].accounts[1].label).toBe("backup");
 
-    const saved = saveAccounts.mock.calls[0][0];
-    expect(saved.activeIndex).toBe(1); // shifted down by 1
+    expect(await cmdNote("backup", "weekend seat")).toBe(0);
+    expect(storage.accounts[1].note).toBe("weekend seat");
   });
 
-  it("resets activeIndex when removing last account", async () => {
+  it("shows and clears the current value", async () => {
+    const storage = makeStorage();
+    storage.accounts[0].label = "work";
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdLabel("1")).toBe(0);
+    expect(output.text()).toContain("work");
+    expect(saveAccounts).not.toHaveBeenCalled();
+
+    expect(await cmdLabel("work", undefined, { clear: true })).toBe(0);
+    expect(storage.accounts[0].label).toBeUndefined();
+    expect(saveAccounts).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects ambiguous labels and unknown accounts", async () => {
+    const storage = makeStorage();
+    storage.accounts[0].label = "work";
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdLabel("2", "WORK")).toBe(EXIT_CODES.USAGE);
+    expect(output.errorText()).toContain("already used by account #1");
+    expect(await cmdLabel("2", "3")).toBe(EXIT_CODES.USAGE);
+    expect(await cmdLabel("9", "spare")).toBe(EXIT_CODES.NOT_FOUND);
+    expect(await cmdLabel(undefined)).toBe(EXIT_CODES.USAGE);
+    expect(saveAccounts).not.toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// cmdSchedule
+// ---------------------------------------------------------------------------
+
+describe("cmdSchedule", () => {
+  let output;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    // 2026-03-20 is a Friday; 12:00Z is 08:00 in New York
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-03-20T12:00:00Z"));
+    output = captureOutput();
+    saveAccounts.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    output.restore();
+    vi.useRealTimers();
+  });
+
+  it("sets hours from unquoted arguments and audits the change", async () => {
+    const storage = makeStorage();
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdSchedule("2", ["mon-fri", "9-17"], { timezone: "america/new_york" })).toBe(0);
+    expect(saveAccounts.mock.calls[0][0].accounts[1].availability).toEqual({
+      windows: ["mon-fri 09:00-17:00"],
+      timezone: "America/New_York",
+    });
+    expect(output.text()).toContain(
+      "Account #2 (Account 2) is available mon-fri 09:00-17:00 (America/New_York), opens in 1h.",
+    );
+    expect(appendAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "schedule",
+        details: { windows: ["mon-fri 09:00-17:00"], timezone: "America/New_York" },
+      }),
+      expect.anything(),
+    );
+  });
+
+  it("changes only the time zone, shows and clears the schedule", async () => {
+    const storage = makeStorage();
+    storage.accounts[0].availability = { windows: ["mon-fri 09:00-17:00"] };
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdSchedule("1", [], { timezone: "Europe/London" })).toBe(0);
+    expect(storage.accounts[0].availability).toEqual({ windows: ["mon-fri 09:00-17:00"], timezone: "Europe/London" });
+
+    expect(await cmdSchedule("1", [])).toBe(0);
+    expect(output.text()).toContain("mon-fri 09:00-17:00 (Europe/London), closes in 5h");
+    expect(saveAccounts).toHaveBeenCalledTimes(1);
+
+    expect(await cmdSchedule("1", [], { clear: true })).toBe(0);
+    expect(storage.accounts[0].availability).toBeUndefined();
+    expect(output.text()).toContain("it is always available");
+  });
+
+  it("rejects bad windows, unknown time zones and a time zone without hours", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+
+    expect(await cmdSchedule("1", ["funday", "9-17"])).toBe(EXIT_CODES.USAGE);
+    expect(output.errorText()).toContain('Unknown day "funday"');
+    expect(await cmdSchedule("1", ["9-17"], { timezone: "Mars/Olympus" })).toBe(EXIT_CODES.USAGE);
+    expect(output.errorText()).toContain('unknown time zone "Mars/Olympus"');
+    expect(await cmdSchedule("1", [], { timezone: "UTC" })).toBe(EXIT_CODES.USAGE);
+    expect(await cmdSchedule("9", ["9-17"])).toBe(EXIT_CODES.NOT_FOUND);
+    expect(await cmdSchedule(undefined, [])).toBe(EXIT_CODES.USAGE);
+    expect(saveAccounts).not.toHaveBeenCalled();
+  });
+
+  it("shows off-hours accounts in list with when they open", async () => {
+    const storage = makeStorage();
+    storage.accounts[1].availability = { windows: ["mon-fri 09:00-17:00"], timezone: "America/New_York" };
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdList()).toBe(0);
+    const text = output.text();
+    expect(text).toContain("off-hours");
+    expect(text).toContain("hours: mon-fri 09:00-17:00 (America/New_York), opens in 1h");
+    expect(text).toContain("1 off-hours");
+  });
+
+  it("routes schedule arguments and --timezone through main", async () => {
+    const storage = makeStorage();
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await main(["schedule", "2", "sat,sun", "10-14", "--timezone", "UTC"])).toBe(0);
+    expect(storage.accounts[1].availability).toEqual({ windows: ["sat,sun 10:00-14:00"], timezone: "UTC" });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Audit log and history
+// ---------------------------------------------------------------------------
+
+describe("audit log", () => {
+  let output;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    saveAccounts.mockResolvedValue(undefined);
+    loadConfig.mockReturnValue({ ...DEFAULT_CONFIG });
+  });
+
+  afterEach(() => {
+    output.restore();
+  });
+
+  it("records who removed or disabled an account after saving", async () => {
+    const storage = makeStorage();
+    storage.accounts[0].id = "acc-alice";
+    storage.accounts[1].id = "acc-bob";
+    loadAccounts.mockResolvedValue(storage);
+
+    expect(await cmdDisable("1")).toBe(0);
+    expect(appendAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ source: "cli", action: "disable", accountId: "acc-alice", reason: "manual" }),
+      DEFAULT_CONFIG.audit_log,
+    );
+    expect(appendAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "switch", accountId: "acc-bob", details: { fromAccountId: "acc-alice" } }),
+      DEFAULT_CONFIG.audit_log,
+    );
+
+    appendAuditEvent.mockClear();
+    loadAccounts.mockResolvedValue(makeStorage());
+    expect(await cmdRemove("1", { force: true })).toBe(0);
+    expect(appendAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ source: "cli", action: "remove", email: "alice@example.com" }),
+      DEFAULT_CONFIG.audit_log,
+    );
+  });
+
+  it("marks mutations from /anthropic slash commands", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    await main(["switch", "2"], { io: { log: () => {}, error: () => {} } });
+    expect(appendAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ source: "slash", action: "switch", reason: "manual" }),
+      DEFAULT_CONFIG.audit_log,
+    );
+  });
+
+  it("does not record failed mutations", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    expect(await cmdSwitch("3")).toBe(EXIT_CODES.STATE);
+    expect(appendAuditEvent).not.toHaveBeenCalled();
+  });
+
+  it("history resolves accounts to their ID and passes the filters", async () => {
+    const storage = makeStorage();
+    storage.accounts[1].id = "acc-bob";
+    storage.accounts[1].label = "backup";
+    loadAccounts.mockResolvedValue(storage);
+    readAuditEvents.mockReturnValue([
+      { ts: Date.now(), pid: 42, source: "plugin", action: "disable", accountId: "acc-bob", reason: "AUTH_FAILED" },
+    ]);
+
+    expect(await cmdHistory("backup", { since: "7d", action: "disable" })).toBe(0);
+    expect(readAuditEvents).toHaveBeenCalledWith({
+      since: expect.any(Number),
+      account: "acc-bob",
+      action: "disable",
+      limit: 50,
+    });
+    expect(output.text()).toContain("plugin:42");
+    expect(output.text()).toContain("backup");
+    expect(output.text()).toContain("(AUTH_FAILED)");
+  });
+
+  it("history finds removed accounts by recorded email and validates --since", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    readAuditEvents.mockReturnValue([
+      { ts: Date.now(), pid: 7, source: "cli", action: "remove", accountId: "gone", email: "dave@example.com" },
+    ]);
+
+    expect(await cmdHistory("dave@example.com", { all: true })).toBe(0);
+    expect(readAuditEvents).toHaveBeenCalledWith(
+      expect.objectContaining({ account: "dave@example.com", limit: undefined }),
+    );
+    expect(output.text()).toContain("dave@example.com");
+
+    expect(await cmdHistory(undefined, { since: "whenever" })).toBe(EXIT_CODES.USAGE);
+  });
+
+  it("history --json returns the events with ISO timestamps", async () => {
+    loadAccounts.mockResolvedValue(null);
+    readAuditEvents.mockReturnValue([{ ts: 0, pid: 1, source: "cli", action: "logout", accountId: null }]);
+
+    const logs = [];
+    await main(["history", "--json", "--action", "logout"], { io: { log: (line) => logs.push(line) } });
+    const doc = JSON.parse(logs[0]);
+    expect(doc.data.path).toContain("anthropic-accounts-audit.jsonl");
+    expect(doc.data.events).toEqual([expect.objectContaining({ action: "logout", accountId: null })]);
+    expect(readAuditEvents).toHaveBeenCalledWith(expect.objectContaining({ action: "logout" }));
+  });
+});
+
+// ---------------------------------------------------------------------------
+// cmdRemove
+// ---------------------------------------------------------------------------
+
+describe("cmdRemove", () => {
+  let output;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    saveAccounts.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    output.restore();
+  });
+
+  it("removes account with --force (no confirmation)", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    const code = await cmdRemove("2", { force: true });
+    expect(code).toBe(0);
+    expect(output.text()).toContain("Removed");
+    expect(output.text()).toContain("Account 2");
+
+    expect(saveAccounts).toHaveBeenCalledWith(
+      expect.objectContaining({
+        accounts: expect.arrayContaining([
+          expect.objectContaining({ email: "alice@example.com" }),
+          expect.objectContaining({ email: "charlie@example.com" }),
+        ]),
+      }),
+    );
+    // Should have 2 accounts remaining (alice + charlie)
+    const saved = saveAccounts.mock.calls[0][0];
+    expect(saved.accounts).toHaveLength(2);
+  });
+
+  it("adjusts activeIndex when removing account before active", async () => {
+    const storage = makeStorage({ activeIndex: 2 }); // charlie is active
+    loadAccounts.mockResolvedValue(storage);
+
+    const code = await cmdRemove("1", { force: true }); // remove alice (before active)
+    expect(code).toBe(0);
+
+    const saved = saveAccounts.mock.calls[0][0];
+    expect(saved.activeIndex).toBe(1); // shifted down by 1
+  });
+
+  it("resets activeIndex when removing last account", async () => {
     const storage = makeStorage();
     storage.accounts = [storage.accounts[0]];
     storage.activeIndex = 0;
@@ -1161,7 +2000,7 @@ describe("cmdRemove", () => {
   it("rejects invalid account number", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     const code = await cmdRemove("99", { force: true });
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     expect(output.errorText()).toContain("does not exist");
   });
 });
@@ -1221,14 +2060,14 @@ describe("cmdReset", () => {
 
   it("rejects missing argument", async () => {
     const code = await cmdReset(undefined);
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.USAGE);
     expect(output.errorText()).toContain("provide an account number");
   });
 
   it("rejects invalid account number", async () => {
     loadAccounts.mockResolvedValue(makeStorage());
     const code = await cmdReset("99");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     expect(output.errorText()).toContain("does not exist");
   });
 });
@@ -1306,6 +2145,95 @@ describe("cmdConfig", () => {
     expect(code).toBe(0);
     expect(output.text()).toContain("none");
   });
+
+  it("shows the project overlay and the values it overrides", async () => {
+    loadAccounts.mockResolvedValue(null);
+    loadConfigLayers.mockReturnValueOnce({
+      config: { ...DEFAULT_CONFIG, account_selection_strategy: "round-robin" },
+      sources: { account_selection_strategy: "project", debug: "default" },
+      projectPath: "/work/repo/.opencode/anthropic.json",
+    });
+
+    const code = await cmdConfig();
+    expect(code).toBe(0);
+    expect(loadConfigLayers).toHaveBeenCalledWith({ directory: process.cwd() });
+    const text = output.text();
+    expect(text).toContain("/work/repo/.opencode/anthropic.json");
+    expect(text).toContain('account_selection_strategy = "round-robin"');
+    expect(text).not.toContain("debug = ");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// config validate / config schema
+// ---------------------------------------------------------------------------
+
+describe("config validate and schema", () => {
+  let output;
+  let dir;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    dir = mkdtempSync(join(tmpdir(), "cli-config-"));
+  });
+
+  afterEach(() => {
+    output.restore();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reports problems with their JSON path and a dedicated exit code", async () => {
+    const file = join(dir, "anthropic.json");
+    writeFileSync(file, JSON.stringify({ output_cap: { default_max_token: 4000 }, debug: "yes" }));
+
+    const code = await cmdConfigValidate(file);
+    expect(code).toBe(EXIT_CODES.INVALID_CONFIG);
+    const text = output.text();
+    expect(text).toContain("2 problems");
+    expect(text).toContain('output_cap.default_max_token: unknown key (did you mean "default_max_tokens"?)');
+    expect(text).toContain("debug: expected boolean, got string");
+  });
+
+  it("passes a clean file and fails on a missing one", async () => {
+    const file = join(dir, "anthropic.json");
+    writeFileSync(file, JSON.stringify({ $schema: "./anthropic-auth.schema.json", debug: true }));
+    expect(await cmdConfigValidate(file)).toBe(0);
+    expect(output.text()).toContain("✓");
+
+    expect(await cmdConfigValidate(join(dir, "missing.json"))).toBe(EXIT_CODES.NOT_FOUND);
+  });
+
+  it("routes config subcommands and rejects unknown ones", async () => {
+    const file = join(dir, "anthropic.json");
+    writeFileSync(file, JSON.stringify({ verbose: true }));
+
+    const { code, doc } = await (async () => {
+      const lines = [];
+      const exit = await main(["config", "validate", file, "--json"], { io: { log: (l) => lines.push(l) } });
+      return { code: exit, doc: JSON.parse(lines.join("\n")) };
+    })();
+    expect(code).toBe(EXIT_CODES.INVALID_CONFIG);
+    expect(doc.data).toEqual({
+      valid: false,
+      files: [{ file, issues: [{ path: "verbose", message: "unknown key; ignored" }] }],
+    });
+
+    expect(await main(["config", "bogus"])).toBe(EXIT_CODES.USAGE);
+  });
+
+  it("prints the schema to stdout with --output -", async () => {
+    expect(await cmdConfigSchema({ output: "-" })).toBe(0);
+    const schema = JSON.parse(output.text());
+    expect(schema.properties.output_cap.properties.default_max_tokens.maximum).toBe(200_000);
+  });
+
+  it("writes the schema to a file", async () => {
+    const path = join(dir, "schema.json");
+    expect(await cmdConfigSchema({ output: path })).toBe(0);
+    expect(JSON.parse(readFixture(path, "utf-8")).title).toBe("opencode-anthropic-fix configuration");
+    expect(output.text()).toContain("Schema written to");
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -1424,7 +2352,7 @@ describe("main routing", () => {
 
   it("returns error for unknown command", async () => {
     const code = await main(["foobar"]);
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.USAGE);
     expect(output.errorText()).toContain("Unknown command");
   });
 
@@ -1536,25 +2464,25 @@ describe("missing argument handling", () => {
 
   it("cmdSwitch rejects undefined arg", async () => {
     const code = await cmdSwitch(undefined);
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.USAGE);
     expect(output.errorText()).toContain("valid account number");
   });
 
   it("cmdEnable rejects undefined arg", async () => {
     const code = await cmdEnable(undefined);
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.USAGE);
     expect(output.errorText()).toContain("valid account number");
   });
 
   it("cmdDisable rejects undefined arg", async () => {
     const code = await cmdDisable(undefined);
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.USAGE);
     expect(output.errorText()).toContain("valid account number");
   });
 
   it("cmdRemove rejects undefined arg", async () => {
     const code = await cmdRemove(undefined, { force: true });
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.USAGE);
     expect(output.errorText()).toContain("valid account number");
   });
 });
@@ -1682,7 +2610,7 @@ describe("cmdStats", () => {
   it("returns 1 when no accounts configured", async () => {
     loadAccounts.mockResolvedValue(null);
     const code = await cmdStats();
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
     const text = output.text();
     expect(text).toContain("No accounts");
   });
@@ -1699,6 +2627,134 @@ describe("cmdStats", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// cmdStats — usage ledger queries
+// ---------------------------------------------------------------------------
+
+describe("cmdStats ledger queries", () => {
+  let output;
+
+  /** @param {string} key @param {number} requests @param {number} costUsd */
+  function row(key, requests, costUsd, billableCostUsd = 0) {
+    return {
+      key,
+      requests,
+      inputTokens: requests * 1000,
+      outputTokens: requests * 200,
+      cacheReadTokens: requests * 5000,
+      cacheWriteTokens: 0,
+      webSearchRequests: 0,
+      costUsd,
+      billableCostUsd,
+      cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+    };
+  }
+
+  function ledgerResult(by, rows) {
+    const totals = rows.reduce(
+      (t, r) => ({
+        ...t,
+        requests: t.requests + r.requests,
+        costUsd: t.costUsd + r.costUsd,
+        billableCostUsd: t.billableCostUsd + r.billableCostUsd,
+      }),
+      { ...row("", 0, 0) },
+    );
+    delete totals.key;
+    return { by, rows, totals, firstTs: Date.now() - 3 * 86400_000 };
+  }
+
+  beforeEach(() => {
+    output = captureOutput();
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    output.restore();
+  });
+
+  it("queries the ledger with --since and --by", async () => {
+    queryUsage.mockReturnValue(
+      ledgerResult("model", [row("claude-opus-4-6", 10, 4.5), row("claude-sonnet-4-6", 30, 1.25)]),
+    );
+    const before = Date.now();
+    const code = await main(["stats", "--since", "7d", "--by", "model"]);
+    expect(code).toBe(0);
+
+    const { since, by } = queryUsage.mock.calls[0][0];
+    expect(by).toBe("model");
+    expect(since).toBeGreaterThanOrEqual(before - 7 * 86400_000);
+    expect(since).toBeLessThanOrEqual(Date.now() - 7 * 86400_000);
+
+    const text = output.text();
+    expect(text).toContain("Anthropic Usage by model");
+    expect(text).toContain("claude-opus-4-6");
+    expect(text).toContain("$4.50");
+    expect(text).toContain("Total");
+    expect(text).toContain("$5.75");
+  });
+
+  it("maps account ids to emails when grouping by account", async () => {
+    const storage = makeStorage();
+    storage.accounts[0].id = "acc-alice";
+    loadAccounts.mockResolvedValue(storage);
+    queryUsage.mockReturnValue(ledgerResult("account", [row("acc-alice", 2, 0.1), row("acc-gone", 1, 0.05)]));
+
+    const code = await cmdStats({ by: "account" });
+    expect(code).toBe(0);
+    const text = output.text();
+    expect(text).toContain("alice@example.com");
+    expect(text).toContain("acc-gone");
+  });
+
+  it("shows how much was billed to API keys", async () => {
+    queryUsage.mockReturnValue(ledgerResult("day", [row("2026-03-19", 3, 0.3, 0.25), row("2026-03-20", 1, 0.1)]));
+    const code = await cmdStats({ since: "7d" });
+    expect(code).toBe(0);
+    expect(output.text()).toContain("Billed to API keys: $0.25 of $0.40");
+  });
+
+  it("exports CSV", async () => {
+    queryUsage.mockReturnValue(ledgerResult("day", [row("2026-03-19", 3, 0.3), row("2026-03-20", 1, 0.1)]));
+    const code = await main(["stats", "--by=day", "--format=csv"]);
+    expect(code).toBe(0);
+    const lines = output.text().trim().split("\n");
+    expect(lines[0]).toBe(
+      "day,requests,input_tokens,output_tokens,cache_read_tokens,cache_write_tokens,web_search_requests,cost_usd,billable_cost_usd",
+    );
+    expect(lines[1]).toBe("2026-03-19,3,3000,600,15000,0,0,0.300000,0.000000");
+    expect(lines).toHaveLength(3);
+  });
+
+  it("exports JSON", async () => {
+    queryUsage.mockReturnValue(ledgerResult("day", [row("2026-03-20", 1, 0.1)]));
+    const code = await cmdStats({ since: "2026-03-01", format: "json" });
+    expect(code).toBe(0);
+    const parsed = JSON.parse(output.text());
+    expect(parsed.by).toBe("day");
+    expect(parsed.since).toBe(new Date(Date.parse("2026-03-01")).toISOString());
+    expect(parsed.rows[0]).toMatchObject({ key: "2026-03-20", requests: 1 });
+    expect(parsed.totals.requests).toBe(1);
+  });
+
+  it("reports an empty period", async () => {
+    queryUsage.mockReturnValue(ledgerResult("day", []));
+    const code = await cmdStats({ since: "today" });
+    expect(code).toBe(0);
+    expect(output.text()).toContain("No usage recorded");
+  });
+
+  it("rejects invalid --since, --by and --format values", async () => {
+    expect(await cmdStats({ since: "last tuesday" })).toBe(EXIT_CODES.USAGE);
+    expect(output.errorText()).toContain("Invalid --since");
+    expect(await cmdStats({ by: "planet" })).toBe(EXIT_CODES.USAGE);
+    expect(output.errorText()).toContain("Invalid --by");
+    expect(await cmdStats({ format: "xml" })).toBe(EXIT_CODES.USAGE);
+    expect(output.errorText()).toContain("Invalid --format");
+    expect(queryUsage).not.toHaveBeenCalled();
+  });
+});
+
 // ---------------------------------------------------------------------------
 // cmdResetStats
 // ---------------------------------------------------------------------------
@@ -1764,7 +2820,7 @@ describe("cmdResetStats", () => {
     loadAccounts.mockResolvedValue(storage);
 
     const code = await cmdResetStats("99");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.USAGE);
   });
 
   it("resets all accounts when no argument given", async () => {
@@ -1792,6 +2848,551 @@ describe("cmdResetStats", () => {
   it("returns 1 when no accounts configured", async () => {
     loadAccounts.mockResolvedValue(null);
     const code = await cmdResetStats("all");
-    expect(code).toBe(1);
+    expect(code).toBe(EXIT_CODES.NOT_FOUND);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Storage encryption commands
+// ---------------------------------------------------------------------------
+
+describe("storage encryption commands", () => {
+  let output;
+  let restoreTTY;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    loadAccounts.mockResolvedValue(makeStorage());
+    getStorageEncryption.mockReturnValue(null);
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+    restoreTTY = setStdinTTY(false);
+  });
+
+  afterEach(() => {
+    output.restore();
+    restoreTTY();
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+  });
+
+  it("encrypt uses the passphrase from the environment", async () => {
+    process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE = "env-pw";
+    encryptAccountsFile.mockResolvedValue({ backend: "passphrase" });
+
+    const code = await cmdEncrypt();
+    expect(code).toBe(0);
+    expect(encryptAccountsFile).toHaveBeenCalledWith({ backend: "passphrase", passphrase: "env-pw" });
+    expect(output.text()).toContain("Account storage encrypted (backend: passphrase)");
+  });
+
+  it("encrypt prompts twice for a passphrase in a TTY", async () => {
+    restoreTTY();
+    restoreTTY = setStdinTTY(true);
+    const question = vi.fn().mockResolvedValueOnce("secret-pw").mockResolvedValueOnce("secret-pw");
+    createInterface.mockReturnValue({ question, close: vi.fn() });
+    encryptAccountsFile.mockResolvedValue({ backend: "passphrase" });
+    const write = vi.spyOn(process.stdout, "write").mockImplementation(() => true);
+
+    try {
+      const code = await cmdEncrypt();
+      expect(code).toBe(0);
+      expect(question).toHaveBeenCalledTimes(2);
+      expect(encryptAccountsFile).toHaveBeenCalledWith({ backend: "passphrase", passphrase: "secret-pw" });
+    } finally {
+      write.mockRestore();
+    }
+  });
+
+  it("encrypt fails on mismatched passphrases", async () => {
+    restoreTTY();
+    restoreTTY = setStdinTTY(true);
+    const question = vi.fn().mockResolvedValueOnce("one").mockResolvedValueOnce("two");
+    createInterface.mockReturnValue({ question, close: vi.fn() });
+    const write = vi.spyOn(process.stdout, "write").mockImplementation(() => true);
+
+    try {
+      const code = await cmdEncrypt();
+      expect(code).toBe(EXIT_CODES.ERROR);
+      expect(output.errorText()).toContain("passphrases do not match");
+      expect(encryptAccountsFile).not.toHaveBeenCalled();
+    } finally {
+      write.mockRestore();
+    }
+  });
+
+  it("encrypt without a passphrase source fails in non-interactive mode", async () => {
+    const code = await cmdEncrypt();
+    expect(code).toBe(EXIT_CODES.ERROR);
+    expect(output.errorText()).toContain("OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE");
+  });
+
+  it("encrypt routes --backend and --key-file values", async () => {
+    encryptAccountsFile.mockResolvedValue({ backend: "keyfile", keyFile: "/tmp/k.key" });
+    const code = await main(["encrypt", "--backend", "keyfile", "--key-file=/tmp/k.key"]);
+    expect(code).toBe(0);
+    expect(encryptAccountsFile).toHaveBeenCalledWith({ backend: "keyfile", keyFile: "/tmp/k.key" });
+    expect(output.text()).toContain("Key file:");
+  });
+
+  it("encrypt rejects an unknown backend", async () => {
+    const code = await cmdEncrypt({ backend: "vault" });
+    expect(code).toBe(EXIT_CODES.ERROR);
+    expect(output.errorText()).toContain("unknown backend 'vault'");
+  });
+
+  it("encrypt reports storage errors", async () => {
+    encryptAccountsFile.mockRejectedValue(new Error("Account storage is already encrypted"));
+    const code = await cmdEncrypt({ backend: "keyfile" });
+    expect(code).toBe(EXIT_CODES.ERROR);
+    expect(output.errorText()).toContain("already encrypted");
+  });
+
+  it("decrypt requires --force when not interactive", async () => {
+    const code = await cmdDecrypt();
+    expect(code).toBe(EXIT_CODES.INTERACTIVE);
+    expect(decryptAccountsFile).not.toHaveBeenCalled();
+  });
+
+  it("decrypt with --force writes plaintext", async () => {
+    decryptAccountsFile.mockResolvedValue(undefined);
+    const code = await main(["decrypt", "--force"]);
+    expect(code).toBe(0);
+    expect(decryptAccountsFile).toHaveBeenCalled();
+  });
+
+  it("rekey refuses when storage is not encrypted", async () => {
+    const code = await cmdRekey();
+    expect(code).toBe(EXIT_CODES.STATE);
+    expect(output.errorText()).toContain("not encrypted");
+  });
+
+  it("rekey keeps the current backend by default", async () => {
+    getStorageEncryption.mockReturnValue({ backend: "keyfile", keyFile: "/tmp/old.key" });
+    rekeyAccountsFile.mockResolvedValue({ backend: "keyfile", keyFile: "/tmp/new.key" });
+
+    const code = await cmdRekey();
+    expect(code).toBe(0);
+    expect(rekeyAccountsFile).toHaveBeenCalledWith({ backend: "keyfile", keyFile: undefined, keepOldKeyFile: false });
+  });
+
+  it("rekey reports what happened to the old key file", async () => {
+    getStorageEncryption.mockReturnValue({ backend: "keyfile", keyFile: "/tmp/old.key" });
+    const rekeyed = { backend: "keyfile", keyFile: "/tmp/new.key", oldKeyFile: "/tmp/old.key" };
+
+    rekeyAccountsFile.mockResolvedValue({ ...rekeyed, oldKeyFileRemoved: true });
+    expect(await main(["rekey"])).toBe(0);
+    expect(output.text()).toContain("Removed the old key file /tmp/old.key");
+
+    rekeyAccountsFile.mockResolvedValue({ ...rekeyed, oldKeyFileRemoved: false });
+    expect(await main(["rekey", "--keep-old-key"])).toBe(0);
+    expect(rekeyAccountsFile).toHaveBeenLastCalledWith(expect.objectContaining({ keepOldKeyFile: true }));
+    expect(output.text()).toContain("Kept the old key file /tmp/old.key");
+
+    expect(await main(["rekey"])).toBe(0);
+    expect(output.text()).toContain("delete it by hand");
+  });
+
+  it("prompts for the storage passphrase once when the file is locked", async () => {
+    restoreTTY();
+    restoreTTY = setStdinTTY(true);
+    const locked = Object.assign(new Error("Account storage is locked"), {
+      code: STORAGE_LOCKED_CODE,
+      backend: "passphrase",
+    });
+    loadAccounts.mockRejectedValueOnce(locked).mockResolvedValue(makeStorage());
+    createInterface.mockReturnValue({ question: vi.fn().mockResolvedValue("pw"), close: vi.fn() });
+    const write = vi.spyOn(process.stdout, "write").mockImplementation(() => true);
+
+    try {
+      const code = await main(["status"]);
+      expect(code).toBe(0);
+      expect(setStoragePassphrase).toHaveBeenCalledWith("pw");
+      expect(loadAccounts).toHaveBeenCalledTimes(2);
+    } finally {
+      write.mockRestore();
+    }
+  });
+
+  it("surfaces the locked error in non-interactive mode", async () => {
+    const locked = Object.assign(new Error("Account storage is locked"), {
+      code: STORAGE_LOCKED_CODE,
+      backend: "passphrase",
+    });
+    loadAccounts.mockRejectedValue(locked);
+    await expect(main(["status"])).rejects.toThrow("locked");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Account bundles
+// ---------------------------------------------------------------------------
+
+describe("export and import", () => {
+  let output;
+  let dir;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    saveAccounts.mockResolvedValue(undefined);
+    dir = mkdtempSync(join(tmpdir(), "cli-bundle-"));
+    process.env.OPENCODE_ANTHROPIC_BUNDLE_PASSPHRASE = "bundle-pw";
+  });
+
+  afterEach(() => {
+    output.restore();
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.OPENCODE_ANTHROPIC_BUNDLE_PASSPHRASE;
+  });
+
+  it("exports the selected accounts and refuses to overwrite without --force", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    const file = join(dir, "team.bundle.json");
+
+    expect(await cmdExport("1,3", { output: file })).toBe(0);
+    expect(output.text()).toContain("Exported 2 account(s)");
+    const bundle = JSON.parse(readFixture(file, "utf-8"));
+    expect(bundle.format).toBe("opencode-anthropic-accounts");
+    expect(JSON.stringify(bundle)).not.toContain("refresh-alice");
+
+    expect(await cmdExport("all", { output: file })).toBe(EXIT_CODES.STATE);
+    expect(await cmdExport("4", { output: join(dir, "other.json") })).toBe(EXIT_CODES.USAGE);
+  });
+
+  it("imports new accounts and reports conflicts without overwriting", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    const file = join(dir, "accounts.bundle.json");
+    await cmdExport("1,3", { output: file });
+
+    // The other machine already knows alice under another token
+    const local = makeStorage();
+    local.accounts = [{ ...local.accounts[0], refreshToken: "refresh-alice-local" }];
+    loadAccounts.mockResolvedValue(local);
+
+    expect(await cmdImport(file)).toBe(EXIT_CODES.STATE);
+    const saved = saveAccounts.mock.calls[0][0];
+    expect(saved.accounts.map((a) => a.refreshToken)).toEqual(["refresh-alice-local", "refresh-charlie"]);
+    expect(saved.accounts[1].enabled).toBe(false);
+    expect(output.text()).toContain("alice@example.com conflicts with #1 (same email, different token)");
+    expect(output.errorText()).toContain("Re-run with --force");
+
+    saveAccounts.mockClear();
+    expect(await cmdImport(file, { force: true })).toBe(0);
+    expect(saveAccounts.mock.calls[0][0].accounts[0].refreshToken).toBe("refresh-alice");
+  });
+
+  it("fails cleanly on a wrong passphrase or a non-bundle file", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    const file = join(dir, "accounts.bundle.json");
+    await cmdExport(undefined, { output: file });
+
+    process.env.OPENCODE_ANTHROPIC_BUNDLE_PASSPHRASE = "wrong";
+    expect(await cmdImport(file)).toBe(EXIT_CODES.ERROR);
+    expect(output.errorText()).toContain("wrong passphrase");
+
+    const plain = join(dir, "plain.json");
+    writeFileSync(plain, JSON.stringify(makeStorage()));
+    expect(await cmdImport(plain)).toBe(EXIT_CODES.USAGE);
+    expect(saveAccounts).not.toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// --json output
+// ---------------------------------------------------------------------------
+
+describe("--json output", () => {
+  let restoreTTY;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    loadConfig.mockImplementation(() => ({ ...DEFAULT_CONFIG }));
+    saveAccounts.mockResolvedValue(undefined);
+    getStorageEncryption.mockReturnValue(null);
+    restoreTTY = setStdinTTY(false);
+  });
+
+  afterEach(() => {
+    restoreTTY();
+  });
+
+  /** Run a command with --json and parse the single document it prints. */
+  async function runJson(...argv) {
+    const logs = [];
+    const errors = [];
+    const code = await main([...argv, "--json"], {
+      io: { log: (...args) => logs.push(args.join(" ")), error: (...args) => errors.push(args.join(" ")) },
+    });
+    expect(errors).toEqual([]);
+    expect(logs).toHaveLength(1);
+    return { code, text: logs[0], doc: JSON.parse(logs[0]) };
+  }
+
+  it("wraps status in a versioned document", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+    const { code, doc } = await runJson("status");
+
+    expect(code).toBe(0);
+    expect(doc).toMatchObject({
+      version: JSON_OUTPUT_VERSION,
+      command: "status",
+      ok: true,
+      exitCode: 0,
+      error: null,
+      data: { total: 3, enabled: 2, rateLimited: 0, offHours: 0, strategy: "sticky", activeAccount: 1 },
+    });
+    expect(doc.messages[0]).toContain("anthropic: 3 accounts");
+  });
+
+  it("lists accounts with health and normalized quotas, without tokens", async () => {
+    const storage = makeStorage();
+    storage.accounts[1].rateLimitResetTimes = { default: Date.now() + 60_000 };
+    storage.accounts[1].consecutiveFailures = 2;
+    loadAccounts.mockResolvedValue(storage);
+    const usage = { five_hour: { utilization: 9.0, resets_at: "2026-02-07T06:00:00Z" }, seven_day: null };
+    mockUsageForAccounts(usage, null);
+
+    const { code, text, doc } = await runJson("list");
+
+    expect(code).toBe(0);
+    expect(text).not.toContain("refresh-alice");
+    expect(text).not.toContain("access-1");
+    const [alice, bob, charlie] = doc.data.accounts;
+    expect(alice).toMatchObject({ number: 1, email: "alice@example.com", active: true });
+    expect(alice.health.status).toBe("active");
+    expect(alice.quotas).toEqual([
+      { bucket: "five_hour", label: "5h", utilization: 9, resetsAt: "2026-02-07T06:00:00Z" },
+    ]);
+    expect(bob.health).toMatchObject({ status: "rate-limited", consecutiveFailures: 2 });
+    expect(bob.health.rateLimitedUntil).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(bob.quotas).toBeNull();
+    expect(charlie.health.status).toBe("disabled");
+  });
+
+  it("redacts secrets from the resolved config", async () => {
+    loadAccounts.mockResolvedValue(null);
+    loadConfigLayers.mockReturnValue({
+      config: { ...DEFAULT_CONFIG, otel: { ...DEFAULT_CONFIG.otel, headers: { "x-honeycomb-team": "hc-secret" } } },
+      sources: { "otel.headers.x-honeycomb-team": "global" },
+      projectPath: null,
+    });
+
+    const { code, text, doc } = await runJson("config");
+
+    expect(code).toBe(0);
+    expect(text).not.toContain("hc-secret");
+    expect(doc.data.config.otel.headers).toEqual({ "x-honeycomb-team": "[redacted]" });
+    expect(doc.data.config.account_selection_strategy).toBe("sticky");
+    expect(doc.data.accounts).toEqual({ total: 0, enabled: 0 });
+  });
+
+  it("reports failures with a typed error code", async () => {
+    loadAccounts.mockResolvedValue(makeStorage());
+
+    const missing = await runJson("switch", "9");
+    expect(missing.code).toBe(EXIT_CODES.NOT_FOUND);
+    expect(missing.doc).toMatchObject({ ok: false, data: null, error: { code: "NOT_FOUND" } });
+    expect(missing.doc.error.message).toMatch(/^account 9 does not exist/);
+
+    const unknown = await runJson("frobnicate");
+    expect(unknown.code).toBe(EXIT_CODES.USAGE);
+    expect(unknown.doc.error).toEqual({ code: "USAGE", message: "Unknown command: frobnicate" });
+  });
+
+  it("never prompts, even on a terminal", async () => {
+    restoreTTY();
+    restoreTTY = setStdinTTY(true);
+    loadAccounts.mockResolvedValue(makeStorage());
+
+    const { code, doc } = await runJson("logout", "1");
+
+    expect(code).toBe(EXIT_CODES.INTERACTIVE);
+    expect(doc.error.code).toBe("INTERACTIVE");
+    expect(createInterface).not.toHaveBeenCalled();
+    expect(saveAccounts).not.toHaveBeenCalled();
+  });
+
+  it("maps locked storage to the LOCKED exit code", async () => {
+    loadAccounts.mockRejectedValue(
+      Object.assign(new Error("Account storage is locked"), { code: STORAGE_LOCKED_CODE, backend: "passphrase" }),
+    );
+
+    const { code, doc } = await runJson("status");
+
+    expect(code).toBe(EXIT_CODES.LOCKED);
+    expect(doc.error).toEqual({ code: "LOCKED", message: "Account storage is locked" });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// replay
+// ---------------------------------------------------------------------------
+
+describe("cmdReplay", () => {
+  let output;
+  let dir;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    dir = mkdtempSync(join(tmpdir(), "cli-replay-"));
+    writeFileSync(join(dir, "req-2026-01-01T00-00-00-000Z.json"), JSON.stringify({ model: "claude-sonnet-4-6" }));
+  });
+
+  afterEach(() => {
+    output.restore();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("fails when there is nothing to replay", async () => {
+    expect(await cmdReplay(join(dir, "missing"))).toBe(EXIT_CODES.NOT_FOUND);
+    const empty = mkdtempSync(join(tmpdir(), "cli-replay-empty-"));
+    try {
+      expect(await cmdReplay(empty)).toBe(EXIT_CODES.NOT_FOUND);
+      expect(output.errorText()).toContain("debug_dump_bodies");
+    } finally {
+      rmSync(empty, { recursive: true, force: true });
+    }
+  });
+
+  it("records expectations, then reports matches and differences", async () => {
+    const expectationPath = join(dir, "expect-req-2026-01-01T00-00-00-000Z.json");
+
+    expect(await main(["replay", dir, "--update"])).toBe(0);
+    expect(JSON.parse(readFixture(expectationPath, "utf-8")).request.body).toEqual({ model: "claude-sonnet-4-6" });
+
+    expect(await cmdReplay(dir)).toBe(0);
+    expect(output.text()).toContain("✓ req-2026-01-01T00-00-00-000Z.json");
+
+    const { replayRequest } = AnthropicAuthPlugin.__replay__;
+    replayRequest.mockReturnValueOnce({
+      url: "https://api.anthropic.com/v1/messages",
+      headers: {},
+      body: { model: "x" },
+    });
+    expect(await cmdReplay(dir)).toBe(EXIT_CODES.MISMATCH);
+    expect(output.text()).toContain('~ request.body.model: "claude-sonnet-4-6" → "x"');
+  });
+
+  it("serves a captured SSE response to the response pipeline", async () => {
+    const sse = 'event: message_stop\ndata: {"type":"message_stop"}\n\n';
+    writeFileSync(join(dir, "res-2026-01-01T00-00-00-000Z.sse"), sse);
+    mockFetch.mockResolvedValue(new Response(sse));
+    const expectationPath = join(dir, "golden.json");
+
+    const code = await cmdReplay(join(dir, "req-2026-01-01T00-00-00-000Z.json"), {
+      expect: expectationPath,
+      update: true,
+    });
+
+    expect(code).toBe(0);
+    expect(String(mockFetch.mock.calls[0][0])).toMatch(/^http:\/\/127\.0\.0\.1:\d+\//);
+    expect(JSON.parse(readFixture(expectationPath, "utf-8")).response.body).toBe(sse);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Files sync
+// ---------------------------------------------------------------------------
+
+describe("cmdFiles sync", () => {
+  let output;
+  let dir;
+  let restoreTTY;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    output = captureOutput();
+    dir = mkdtempSync(join(tmpdir(), "opencode-cli-files-"));
+    writeFileSync(join(dir, "notes.md"), "# notes");
+    const storage = makeStorage();
+    storage.accounts.forEach((acc, i) => (acc.id = `acct-${i + 1}`));
+    storage.accounts[0].access = "access-alice";
+    storage.accounts[0].expires = Date.now() + 3600_000;
+    loadAccounts.mockResolvedValue(storage);
+    restoreTTY = setStdinTTY(false);
+  });
+
+  afterEach(() => {
+    restoreTTY();
+    output.restore();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("prints the plan and leaves applying to --force when it cannot prompt", async () => {
+    expect(await cmdFiles("sync", dir)).toBe(0);
+    expect(output.text()).toContain("→ account #1 (alice@example.com)");
+    expect(output.text()).toContain("+ notes.md");
+    expect(output.text()).toContain("1 to upload, 0 to delete, 0 unchanged.");
+    expect(output.text()).toContain("Re-run with --force to apply this plan.");
+    expect(applyFilesSync).not.toHaveBeenCalled();
+  });
+
+  it("stops after the plan with --dry-run, even in a terminal", async () => {
+    restoreTTY();
+    restoreTTY = setStdinTTY(true);
+    expect(await cmdFiles("sync", dir, { dryRun: true })).toBe(0);
+    expect(createInterface).not.toHaveBeenCalled();
+    expect(applyFilesSync).not.toHaveBeenCalled();
+  });
+
+  it("applies the plan after confirmation, uploading to the chosen account", async () => {
+    restoreTTY();
+    restoreTTY = setStdinTTY(true);
+    mockReadlineAnswer("y");
+    vi.mocked(applyFilesSync).mockImplementationOnce(async (plan, manifest, { headersFor }) => {
+      expect(await headersFor("acct-1")).toEqual({
+        authorization: "Bearer access-alice",
+        "anthropic-beta": "oauth-2025-04-20,files-api-2025-04-14",
+      });
+      expect(await headersFor("acct-missing")).toBeNull();
+      return { uploaded: [{ relPath: "notes.md", fileId: "file-1" }], deleted: [], failed: [] };
+    });
+
+    expect(await cmdFiles("sync", dir, { account: "alice@example.com" })).toBe(0);
+    expect(applyFilesSync).toHaveBeenCalledWith(
+      expect.objectContaining({ dir, upload: [expect.objectContaining({ relPath: "notes.md" })] }),
+      { files: {} },
+      expect.objectContaining({ accountId: "acct-1" }),
+    );
+    expect(output.text()).toContain("+ notes.md  file-1");
+    expect(output.text()).toContain("Synced: 1 uploaded, 0 deleted.");
+    expect(saveAccounts).not.toHaveBeenCalled();
+  });
+
+  it("plans deletions only with --delete and reports failed steps", async () => {
+    vi.mocked(loadFilesManifest).mockReturnValue({
+      files: {
+        [join(dir, "notes.md")]: { fileId: "file-n", accountId: "acct-1", sha256: "old", size: 1, uploadedAt: 1 },
+        [join(dir, "gone.md")]: { fileId: "file-g", accountId: "acct-2", sha256: "h", size: 1, uploadedAt: 1 },
+      },
+    });
+    expect(await cmdFiles("sync", dir, { dryRun: true })).toBe(0);
+    expect(output.text()).toContain("~ notes.md");
+    expect(output.text()).toContain("1 file(s) gone locally are kept remotely");
+
+    vi.mocked(applyFilesSync).mockResolvedValueOnce({
+      uploaded: [],
+      deleted: [{ relPath: "gone.md", fileId: "file-g" }],
+      failed: [{ relPath: "notes.md", error: "HTTP 500" }],
+    });
+    expect(await cmdFiles("sync", dir, { deleteMissing: true, force: true })).toBe(EXIT_CODES.ERROR);
+    expect(output.text()).toContain("- gone.md  (file-g)");
+    expect(output.errorText()).toContain("Error: notes.md: HTTP 500");
+  });
+
+  it("rejects other actions, missing directories and unknown or disabled accounts", async () => {
+    expect(await cmdFiles("list", dir)).toBe(EXIT_CODES.USAGE);
+    expect(await cmdFiles("sync", undefined)).toBe(EXIT_CODES.USAGE);
+    expect(await cmdFiles("sync", join(dir, "missing"))).toBe(EXIT_CODES.NOT_FOUND);
+    expect(await cmdFiles("sync", dir, { account: "nobody" })).toBe(EXIT_CODES.NOT_FOUND);
+    expect(await cmdFiles("sync", dir, { account: "3" })).toBe(EXIT_CODES.STATE);
+    expect(applyFilesSync).not.toHaveBeenCalled();
+  });
+
+  it("is routed from main with its flags", async () => {
+    const code = await main(["files", "sync", dir, "--account", "2", "--dry-run"]);
+    expect(code).toBe(0);
+    expect(output.text()).toContain("→ account #2");
   });
 });
@@ -3,6 +3,7 @@ import { stdin, stdout } from "node:process";
 import { randomBytes, randomUUID, createHash as createHashCrypto } from "node:crypto";
 import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
 import { join, resolve, basename } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
 import xxhashInit from "xxhash-wasm";
 import { AccountManager } from "./lib/accounts.mjs";
 import {
@@ -20,11 +21,57 @@ import {
   resolveBetaShortcut,
   buildExtendedUserAgent,
 } from "./lib/request-headers.mjs";
-import { loadConfig, loadConfigFresh, saveConfig, CLIENT_ID, getConfigDir } from "./lib/config.mjs";
+import {
+  loadConfig,
+  loadConfigFresh,
+  loadConfigLayers,
+  saveConfig,
+  CLIENT_ID,
+  getConfigDir,
+  getConfigPath,
+  VALID_BUDGET_MODES,
+  VALID_TOKEN_COUNTING_MODES,
+} from "./lib/config.mjs";
+import { checkConfigFiles, formatConfigWarning } from "./lib/config-schema.mjs";
+import { findUnknownAccountGroups, resolveRoutingGroup } from "./lib/routing.mjs";
 import { loadContextHintDisabledFlag, saveContextHintDisabledFlag } from "./lib/context-hint-persist.mjs";
-import { loadAccounts, saveAccounts, clearAccounts, createDefaultStats } from "./lib/storage.mjs";
-import { applyOAuthCredentials, resetAccountTracking } from "./lib/account-state.mjs";
+import { loadAccounts, saveAccounts, clearAccounts, createDefaultStats, STORAGE_LOCKED_CODE } from "./lib/storage.mjs";
+import {
+  accountDisplayName,
+  applyOAuthCredentials,
+  isApiKeyAccount,
+  matchesAccountRef,
+  resetAccountTracking,
+} from "./lib/account-state.mjs";
 import { acquireRefreshLock, releaseRefreshLock } from "./lib/refresh-lock.mjs";
+import { appendUsageRecord, maybeCompactUsageLedger } from "./lib/usage-ledger.mjs";
+import { appendAuditEvent, auditedAccount } from "./lib/audit-log.mjs";
+import { createOtelExporter } from "./lib/otel-exporter.mjs";
+import { startMetricsServer } from "./lib/metrics-server.mjs";
+import { isSshSession, startOAuthCallbackServer } from "./lib/oauth-callback.mjs";
+import { PENDING_OAUTH_TTL_MS } from "./lib/pending-login.mjs";
+import {
+  FILES_API_BASE,
+  FILE_PINS_MAX,
+  loadFilePins,
+  loadFilesManifest,
+  updateFilePins,
+  uploadFile,
+} from "./lib/files-sync.mjs";
+import { createDumpStamp, normalizeReplayHeaders, writeDebugDump } from "./lib/replay.mjs";
+import {
+  captureCacheSnapshot,
+  diffCacheSnapshots,
+  formatCacheBreakReport,
+  summarizeCacheDiff,
+} from "./lib/cache-diff.mjs";
+import {
+  evaluateBudgets,
+  loadBudgetState,
+  recordBudgetSpend,
+  resetBudgetSpend,
+  resolveProjectKey,
+} from "./lib/budget.mjs";
 import {
   isAccountSpecificError,
   parseRateLimitReason,
@@ -36,6 +83,14 @@ import {
 import { callHaiku } from "./lib/haiku-call.mjs";
 import { summarize as rollingSummarize } from "./lib/rolling-summarizer.mjs";
 import { staleReadEviction, perToolClassPrune } from "./lib/message-transform.mjs";
+import { createPricingCatalog } from "./lib/pricing.mjs";
+import { createSessionRegistry, sessionScoped } from "./lib/session-registry.mjs";
+import {
+  buildCountTokensBody,
+  createTokenCalibrator,
+  createTokenCounter,
+  hashCountTokensBody,
+} from "./lib/token-count.mjs";
 
 // ---------------------------------------------------------------------------
 // Account management CLI prompts
@@ -53,7 +108,7 @@ async function promptAccountMenu(accountManager) {
   try {
     console.log(`\n${accounts.length} account(s) configured:`);
     for (const acc of accounts) {
-      const name = acc.email || `Account ${acc.index + 1}`;
+      const name = accountDisplayName(acc, acc.index + 1);
       const active = acc.index === currentIndex ? " (active)" : "";
       const disabled = !acc.enabled ? " [disabled]" : "";
       console.log(`  ${acc.index + 1}. ${name}${active}${disabled}`);
@@ -86,7 +141,7 @@ async function promptManageAccounts(accountManager) {
   try {
     console.log("\nManage accounts:");
     for (const acc of accounts) {
-      const name = acc.email || `Account ${acc.index + 1}`;
+      const name = accountDisplayName(acc, acc.index + 1);
       const status = acc.enabled ? "enabled" : "disabled";
       console.log(`  ${acc.index + 1}. ${name} [${status}]`);
     }
@@ -180,8 +235,28 @@ async function runHaikuSessionSummarize(
 }
 
 export async function AnthropicAuthPlugin({ client, project, directory, worktree, serverUrl, $ }) {
-  const config = loadConfig();
+  // Project overlays (.opencode/anthropic.json) are resolved from where OpenCode runs.
+  const configScope = { directory, worktree };
+  const config = loadConfig(configScope);
+  /** Problems validateConfig silently dropped or clamped; shown once when the loader first runs. */
+  let pendingConfigWarning = null;
+  try {
+    pendingConfigWarning = formatConfigWarning(checkConfigFiles(configScope));
+  } catch {
+    // Never block startup on the strict check
+  }
+  const unknownGroups = findUnknownAccountGroups(config);
+  if (unknownGroups.length > 0) {
+    const routingWarning = `Routing: account group ${unknownGroups.map((g) => `"${g}"`).join(", ")} is not defined in account_groups; those requests use all accounts.`;
+    pendingConfigWarning = pendingConfigWarning ? `${pendingConfigWarning} ${routingWarning}` : routingWarning;
+  }
   _pluginConfig = config; // expose to module-level functions (cache stats, response headers)
+  pricingCatalog = createPricingCatalog(config.pricing);
+  tokenCountingState.calibrator.reset();
+  tokenCountingState.counter = createTokenCounter({
+    minIntervalMs: config.token_counting.min_interval_seconds * 1000,
+    maxEntries: config.token_counting.cache_entries,
+  });
   // QA fix H6: read emulation settings live from config instead of stale const capture
   // so that runtime toggles via `/anthropic set emulation` take effect immediately
   const getSignatureEmulationEnabled = () => config.signature_emulation.enabled;
@@ -203,6 +278,14 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
   /** @type {AccountManager | null} */
   let accountManager = null;
+  _pluginAccountHealth = () =>
+    accountManager
+      ? accountManager.getAccountsSnapshot().map((acc) => ({
+          id: acc.id,
+          health_score: accountManager.getHealthScore(acc.index),
+          token_bucket: Math.floor(accountManager.getTokenBucketTokens(acc.index)),
+        }))
+      : [];
 
   /** Track account usage toasts; show once per account change (including first use). */
   let lastToastedIndex = -1;
@@ -292,18 +375,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
   }
 
   // Token economy — session state for layered compaction strategies.
-  const tokenEconomySession = {
-    /** When thinking was last stripped (TTL-based strategy). 0 = never. */
-    lastThinkingStripMs: 0,
-    /** When proactive microcompact was last run (threshold-based). 0 = never. */
-    lastMicrocompactMs: 0,
-    /** Running count of tool_results client-compacted this session. */
-    toolResultsCompacted: 0,
-    /** Running count of thinking blocks stripped this session. */
-    thinkingStripped: 0,
-    /** Map of content-hash → first-seen tool_use_id for cross-turn dedupe. */
-    seenContentHashes: new Map(),
-  };
+  const tokenEconomySession = createTokenEconomySession();
 
   // Cache TTL session latching: latch the cache policy at session start
   // so mid-session toggles don't bust the server-side prompt cache.
@@ -321,8 +393,9 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
   let initialAccountPinned = false;
 
   /**
-   * Pending slash-command OAuth flows keyed by session ID.
-   * @type {Map<string, { mode: "login" | "reauth", verifier: string, targetIndex?: number, createdAt: number }>}
+   * Pending slash-command OAuth flows keyed by session ID. redirectUri is set
+   * while a loopback listener waits for the browser.
+   * @type {Map<string, { mode: "login" | "reauth", verifier: string, state?: string, redirectUri?: string, targetIndex?: number, createdAt: number }>}
    */
   const pendingSlashOAuth = new Map();
 
@@ -333,20 +406,38 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
   const slashOAuthExchangeCooldownUntil = new Map();
 
   /**
-   * In-memory mapping of file_id → account index for file-ID account pinning.
-   * Populated by /anthropic files commands, consumed by the fetch interceptor
-   * to route Messages API requests referencing file_ids to the correct account.
+   * Mapping of file_id → account ID for file-ID account pinning.
+   * Populated by /anthropic files commands, files sync and lazy listing of
+   * every account's files; consumed by the fetch interceptor to route Messages
+   * API requests referencing file_ids to the correct account. Persisted in the
+   * files sync manifest (anthropic-files-manifest.json) so pins survive restarts.
    * QA fix M1: bounded to prevent unbounded growth; evicts oldest entries when full.
-   * @type {Map<string, number>}
+   * @type {Map<string, string>}
    */
-  const FILE_ACCOUNT_MAP_MAX = 1000;
   const fileAccountMap = new Map();
-  /** QA fix M1: bounded set — evicts oldest entries when map exceeds max size */
-  function fileAccountMapSet(fileId, accountIndex) {
-    fileAccountMap.set(fileId, accountIndex);
-    if (fileAccountMap.size > FILE_ACCOUNT_MAP_MAX) {
+  /** Changes not yet written to disk (null = forget the file) @type {Map<string, string | null>} */
+  const pendingFilePins = new Map();
+  /** When every account's files were last listed to rebuild the map */
+  let fileAccountMapListedAt = 0;
+  /** The listing in progress, shared by requests that arrive while it runs @type {Promise<void> | null} */
+  let fileAccountMapRebuild = null;
+  const FILE_LISTING_INTERVAL_MS = 5 * 60 * 1000;
+  /** Re-uploaded copies of files whose owner was rate-limited: `${fileId}\0${accountId}` → copy's file_id */
+  const fileCopies = new Map();
+
+  /**
+   * QA fix M1: bounded set — evicts oldest entries when map exceeds max size.
+   * @param {string} fileId
+   * @param {string} accountId
+   * @param {{ persist?: boolean }} [options] - persist: false for pins loaded from the files sync manifest
+   */
+  function fileAccountMapSet(fileId, accountId, { persist = true } = {}) {
+    fileAccountMap.delete(fileId);
+    fileAccountMap.set(fileId, accountId);
+    if (persist) pendingFilePins.set(fileId, accountId);
+    if (fileAccountMap.size > FILE_PINS_MAX) {
       // Delete oldest entries (Map iterates in insertion order)
-      const excess = fileAccountMap.size - FILE_ACCOUNT_MAP_MAX;
+      const excess = fileAccountMap.size - FILE_PINS_MAX;
       let deleted = 0;
       for (const key of fileAccountMap.keys()) {
         if (deleted >= excess) break;
@@ -356,6 +447,198 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
     }
   }
 
+  /**
+   * @param {string} fileId
+   */
+  function fileAccountMapDelete(fileId) {
+    fileAccountMap.delete(fileId);
+    pendingFilePins.set(fileId, null);
+  }
+
+  /**
+   * Write pending pin changes to disk.
+   */
+  async function flushFilePins() {
+    if (pendingFilePins.size === 0) return;
+    const changes = new Map(pendingFilePins);
+    pendingFilePins.clear();
+    try {
+      await updateFilePins(changes);
+    } catch (err) {
+      debugLog("file-id pinning: could not save pins", { error: err instanceof Error ? err.message : String(err) });
+    }
+  }
+
+  /**
+   * Get Files API headers for a specific account, refreshing its token if needed.
+   * @param {import('./lib/accounts.mjs').ManagedAccount} acct
+   */
+  async function getFilesAuth(acct) {
+    if (isApiKeyAccount(acct)) {
+      return { "x-api-key": acct.apiKey, "anthropic-beta": "files-api-2025-04-14" };
+    }
+    let tok = acct.access;
+    if (!tok || !acct.expires || acct.expires < Date.now()) {
+      tok = await refreshAccountTokenSingleFlight(acct);
+    }
+    return {
+      authorization: `Bearer ${tok}`,
+      "anthropic-beta": "oauth-2025-04-20,files-api-2025-04-14",
+    };
+  }
+
+  /**
+   * List every enabled account's files to learn who owns which file_id. Runs
+   * when a request references a file_id the map does not know, at most once
+   * per FILE_LISTING_INTERVAL_MS. Requests arriving while a listing runs wait
+   * for it rather than going out unpinned.
+   * @returns {Promise<void>}
+   */
+  function rebuildFileAccountMap() {
+    if (fileAccountMapRebuild) return fileAccountMapRebuild;
+    if (Date.now() - fileAccountMapListedAt < FILE_LISTING_INTERVAL_MS) return Promise.resolve();
+    fileAccountMapRebuild = listAllAccountFiles().finally(() => {
+      fileAccountMapListedAt = Date.now();
+      fileAccountMapRebuild = null;
+    });
+    return fileAccountMapRebuild;
+  }
+
+  /**
+   * Record the owner of every file each enabled account lists.
+   */
+  async function listAllAccountFiles() {
+    for (const acct of accountManager.getEnabledAccounts()) {
+      try {
+        const res = await fetch(`${FILES_API_BASE}/v1/files?limit=1000`, { headers: await getFilesAuth(acct) });
+        if (!res.ok) {
+          debugLog("file-id pinning: listing files failed", { accountIndex: acct.index, status: res.status });
+          continue;
+        }
+        const data = await res.json();
+        for (const f of data.data || []) fileAccountMapSet(f.id, acct.id);
+      } catch (err) {
+        debugLog("file-id pinning: listing files failed", {
+          accountIndex: acct.index,
+          error: err instanceof Error ? err.message : String(err),
+        });
+      }
+    }
+    await flushFilePins();
+  }
+
+  /**
+   * Upload copies of files to `target` from their local source. The source is
+   * only known for files uploaded by `files sync`, and only trusted while its
+   * content still matches what was uploaded. Copies are reused for the rest of
+   * the process.
+   * @param {string[]} fileIds
+   * @param {import('./lib/accounts.mjs').ManagedAccount} target
+   * @returns {Promise<Map<string, string> | null>} file_id → the copy's file_id; null when any file cannot be copied
+   */
+  async function copyFilesToAccount(fileIds, target) {
+    const sources = new Map(
+      Object.entries(loadFilesManifest().files).map(([path, entry]) => [entry.fileId, { path, sha256: entry.sha256 }]),
+    );
+    const copies = new Map();
+    try {
+      for (const fileId of fileIds) {
+        const key = `${fileId}\0${target.id}`;
+        const known = fileCopies.get(key);
+        if (known) {
+          copies.set(fileId, known);
+          continue;
+        }
+        const source = sources.get(fileId);
+        if (!source || !existsSync(source.path)) return null;
+        if (createHashCrypto("sha256").update(readFileSync(source.path)).digest("hex") !== source.sha256) return null;
+        const copy = await uploadFile(source.path, await getFilesAuth(target));
+        fileCopies.set(key, copy.id);
+        fileAccountMapSet(copy.id, target.id);
+        copies.set(fileId, copy.id);
+      }
+      return copies;
+    } catch (err) {
+      debugLog("file-id pinning: re-upload failed", {
+        accountIndex: target.index,
+        error: err instanceof Error ? err.message : String(err),
+      });
+      return null;
+    } finally {
+      await flushFilePins();
+    }
+  }
+
+  /**
+   * Pick the account for a request that references uploaded files: the owner
+   * of the first file_id we know. A rate-limited owner is waited for when its
+   * limit lifts within file_pinning.max_wait_seconds. Past that, or when the
+   * owner cannot serve at all (disabled, off-hours, removed), the files are
+   * re-uploaded to the account that would be picked anyway — if
+   * file_pinning.reupload allows it and their local copies are known — and
+   * the request is rewritten to reference the copies.
+   * @param {any} body - Parsed request body; file_ids are replaced in place
+   * @param {string | null} group - Account group from routing rules
+   * @param {AbortSignal | null} [signal] - The request's signal; aborting it ends the wait for the owner
+   * @returns {Promise<{ account: import('./lib/accounts.mjs').ManagedAccount | null, rewritten: boolean }>}
+   */
+  async function pinAccountForFiles(body, group, signal) {
+    const fileIds = extractFileIds(body);
+    if (fileIds.length === 0 || !accountManager) return { account: null, rewritten: false };
+    // With a single account there is nobody else to route to
+    if (accountManager.getTotalAccountCount() > 1 && fileIds.some((fid) => !fileAccountMap.has(fid))) {
+      await rebuildFileAccountMap();
+    }
+
+    const ownerId = fileIds.map((fid) => fileAccountMap.get(fid)).find((id) => id !== undefined);
+    if (!ownerId) return { account: null, rewritten: false };
+    const owner = accountManager.getEnabledAccounts().find((a) => a.id === ownerId) ?? null;
+
+    if (owner) {
+      const waitMs = accountManager.getRateLimitResetTime(owner) - Date.now();
+      if (waitMs <= 0) {
+        debugLog("file-id pinning: routing to account", { accountIndex: owner.index, email: owner.email });
+        return { account: owner, rewritten: false };
+      }
+      if (waitMs <= config.file_pinning.max_wait_seconds * 1000) {
+        debugLog("file-id pinning: waiting for rate-limited owner", { accountIndex: owner.index, waitMs });
+        await sleep(waitMs, undefined, { signal: signal ?? undefined });
+        return { account: owner, rewritten: false };
+      }
+    }
+
+    if (config.file_pinning.reupload) {
+      const target = accountManager.getCurrentAccount(undefined, group);
+      if (target && target.id !== ownerId) {
+        const owned = [...new Set(fileIds.filter((fid) => fileAccountMap.get(fid) === ownerId))];
+        const copies = await copyFilesToAccount(owned, target);
+        if (copies) {
+          replaceFileIds(body, copies);
+          debugLog("file-id pinning: re-uploaded files to the selected account", {
+            accountIndex: target.index,
+            files: copies.size,
+          });
+          toast(
+            `Using copies of ${copies.size} file(s) on ${accountDisplayName(target, target.index + 1)}; their account is unavailable`,
+            "info",
+            { debounceKey: "file-reupload" },
+          ).catch(() => {});
+          return { account: target, rewritten: true };
+        }
+      }
+    }
+    return { account: owner, rewritten: false };
+  }
+
+  /**
+   * Pin the files the manifest knows: those uploaded by `files sync` and those
+   * pinned earlier, by this or another OpenCode instance. Redone whenever the
+   * account list is reloaded, which is also when a slash sync finishes.
+   */
+  function pinSavedFiles() {
+    for (const [fileId, accountId] of loadFilePins()) fileAccountMapSet(fileId, accountId, { persist: false });
+  }
+
   /**
    * Send an informational message into the current session.
    * @param {string} sessionID
@@ -377,6 +660,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
   async function reloadAccountManagerFromDisk() {
     if (!accountManager) return;
     accountManager = await AccountManager.load(config, null);
+    pinSavedFiles();
   }
 
   /**
@@ -442,12 +726,89 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
   /**
    * Start a pending slash-command OAuth flow and store verifier in-memory.
+   * With oauth_callback enabled the redirect lands on a loopback listener and
+   * the flow completes on its own; on timeout it restarts in paste mode. Over
+   * SSH the browser cannot reach the listener, so the code is pasted right away.
    * @param {string} sessionID
    * @param {"login" | "reauth"} mode
    * @param {number} [targetIndex]
+   * @param {{ paste?: boolean }} [options]
    */
-  async function startSlashOAuth(sessionID, mode, targetIndex) {
+  async function startSlashOAuth(sessionID, mode, targetIndex, options = {}) {
     pruneExpiredPendingOAuth();
+    const action = mode === "login" ? "login" : `reauth ${targetIndex + 1}`;
+
+    if (config.oauth_callback.enabled && !options.paste && !isSshSession()) {
+      let callback = null;
+      try {
+        callback = await startOAuthCallbackServer();
+      } catch (err) {
+        debugLog("slash oauth callback listener failed", { error: err instanceof Error ? err.message : String(err) });
+      }
+      if (callback) {
+        const { url, verifier, state } = await oauthAuthorize("max", { redirectUri: callback.redirectUri });
+        const pending = {
+          mode,
+          verifier,
+          state,
+          redirectUri: callback.redirectUri,
+          targetIndex,
+          createdAt: Date.now(),
+        };
+        pendingSlashOAuth.set(sessionID, pending);
+        const timeoutMs = config.oauth_callback.timeout_seconds * 1000;
+
+        await sendCommandMessage(
+          sessionID,
+          [
+            "▣ Anthropic OAuth",
+            "",
+            `Started ${action} flow.`,
+            "Open this URL in your browser:",
+            url,
+            "",
+            `This finishes on its own once the browser comes back (waiting up to ${Math.round(timeoutMs / 1000)}s).`,
+          ].join("\n"),
+        );
+
+        void callback
+          .waitForCode(state, timeoutMs)
+          .then(async (result) => {
+            // A newer flow or a pasted code took over in the meantime
+            if (pendingSlashOAuth.get(sessionID) !== pending) {
+              await callback.close(false);
+              return;
+            }
+            if (!result) {
+              await callback.close(false);
+              await sendCommandMessage(
+                sessionID,
+                "▣ Anthropic OAuth\n\nThe browser did not come back; falling back to pasting the code.",
+              );
+              await startSlashOAuth(sessionID, mode, targetIndex, { paste: true });
+              return;
+            }
+            if ("error" in result) {
+              pendingSlashOAuth.delete(sessionID);
+              await callback.close(false);
+              await sendCommandMessage(
+                sessionID,
+                `▣ Anthropic OAuth (error)\n\nAuthorization was not granted (${result.error}).`,
+              );
+              return;
+            }
+            const completed = await completeSlashOAuth(sessionID, `${result.code}#${result.state}`);
+            await callback.close(completed.ok);
+            const heading = completed.ok ? "▣ Anthropic OAuth" : "▣ Anthropic OAuth (error)";
+            await sendCommandMessage(sessionID, `${heading}\n\n${completed.message}`);
+          })
+          .catch((err) => {
+            debugLog("slash oauth callback failed", { error: err instanceof Error ? err.message : String(err) });
+          });
+        return;
+      }
+    }
+
     const { url, verifier, state } = await oauthAuthorize("max");
     pendingSlashOAuth.set(sessionID, {
       mode,
@@ -457,7 +818,6 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       createdAt: Date.now(),
     });
 
-    const action = mode === "login" ? "login" : `reauth ${targetIndex + 1}`;
     const followup =
       mode === "login" ? "/anthropic login complete <code#state>" : "/anthropic reauth complete <code#state>";
 
@@ -532,7 +892,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       }
     }
 
-    const credentials = await oauthExchange(code, pending.verifier);
+    const credentials = await oauthExchange(code, pending.verifier, { redirectUri: pending.redirectUri });
     if (credentials.type === "failed") {
       if (credentials.status === 429) {
         const retryAfterMs =
@@ -583,11 +943,12 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         acc.lastFailureTime = null;
         acc.rateLimitResetTimes = {};
         await saveAccounts(stored);
+        appendAuditEvent({ source: "slash", action: "update", ...auditedAccount(acc) }, config.audit_log);
         await persistOpenCodeAuth(acc.refreshToken, acc.access, acc.expires);
         await reloadAccountManagerFromDisk();
         pendingSlashOAuth.delete(sessionID);
         slashOAuthExchangeCooldownUntil.delete(sessionID);
-        const name = acc.email || `Account ${existingIdx + 1}`;
+        const name = accountDisplayName(acc, existingIdx + 1);
         return { ok: true, message: `Updated existing account #${existingIdx + 1} (${name}).` };
       }
 
@@ -632,6 +993,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         }
       }
       await saveAccounts(stored);
+      appendAuditEvent({ source: "slash", action: "add", ...auditedAccount(newAccount) }, config.audit_log);
       await persistOpenCodeAuth(newAccount.refreshToken, newAccount.access, newAccount.expires);
       await reloadAccountManagerFromDisk();
       pendingSlashOAuth.delete(sessionID);
@@ -659,11 +1021,12 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
     existing.rateLimitResetTimes = {};
 
     await saveAccounts(stored);
+    appendAuditEvent({ source: "slash", action: "reauth", ...auditedAccount(existing) }, config.audit_log);
     await persistOpenCodeAuth(existing.refreshToken, existing.access, existing.expires);
     await reloadAccountManagerFromDisk();
     pendingSlashOAuth.delete(sessionID);
     slashOAuthExchangeCooldownUntil.delete(sessionID);
-    const name = existing.email || `Account ${idx + 1}`;
+    const name = accountDisplayName(existing, idx + 1);
     return { ok: true, message: `Re-authenticated account #${idx + 1} (${name}).` };
   }
 
@@ -673,6 +1036,9 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
    * Supported examples:
    *   /anthropic
    *   /anthropic usage
+   *   /anthropic stats --since 7d --by model
+   *   /anthropic budget daily 20
+   *   /anthropic cache why
    *   /anthropic switch 2
    *   /anthropic login
    *   /anthropic login complete <code#state>
@@ -761,27 +1127,41 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
     // /anthropic config — show effective config
     if (primary === "config") {
-      const fresh = loadConfigFresh();
+      const { config: fresh, sources, projectPath } = loadConfigLayers(configScope);
+      /** @param {string} path */
+      const from = (path) => `  [${sources[path] ?? "default"}]`;
       const lines = [
         "▣ Anthropic Config",
         "",
-        `strategy: ${fresh.account_selection_strategy}`,
+        `strategy: ${fresh.account_selection_strategy}${from("account_selection_strategy")}`,
         `strategy-state: ${strategyState.mode}${strategyState.manualOverride ? " (manual override)" : ""}`,
-        `emulation: ${fresh.signature_emulation.enabled ? "on" : "off"}`,
-        `compaction: ${fresh.signature_emulation.prompt_compaction}`,
-        `1m-context: ${fresh.override_model_limits.enabled ? "on" : "off"}`,
-        `idle-refresh: ${fresh.idle_refresh.enabled ? "on" : "off"}`,
-        `debug: ${fresh.debug ? "on" : "off"}`,
-        `quiet: ${fresh.toasts.quiet ? "on" : "off"}`,
-        `custom_betas: ${fresh.custom_betas.length ? fresh.custom_betas.join(", ") : "(none)"}`,
-        `cache-boundary: ${fresh.cache_policy?.boundary_marker ? "on" : "off"}`,
-        `cache-ttl: ${fresh.cache_policy?.ttl ?? "1h"}${fresh.cache_policy?.ttl_supported === false ? " (auto-disabled)" : ""}`,
-        `fast-mode: ${fresh.fast_mode ? "on" : "off"}`,
-        `telemetry-emulation: ${fresh.telemetry?.emulate_minimal ? "on (silent observer)" : "off"}`,
-        `usage-toast: ${fresh.usage_toast ? "on" : "off"}`,
-        `adaptive-context: ${fresh.adaptive_context?.enabled ? `on (↑${Math.round((fresh.adaptive_context.escalation_threshold || 150000) / 1000)}K ↓${Math.round((fresh.adaptive_context.deescalation_threshold || 100000) / 1000)}K)${adaptiveContextState.active ? " [ACTIVE]" : ""}` : "off"}`,
-        `anti-verbosity: ${fresh.anti_verbosity?.enabled !== false ? "on" : "off"} (length-anchors: ${fresh.anti_verbosity?.length_anchors !== false ? "on" : "off"})`,
+        `emulation: ${fresh.signature_emulation.enabled ? "on" : "off"}${from("signature_emulation.enabled")}`,
+        `compaction: ${fresh.signature_emulation.prompt_compaction}${from("signature_emulation.prompt_compaction")}`,
+        `1m-context: ${fresh.override_model_limits.enabled ? "on" : "off"}${from("override_model_limits.enabled")}`,
+        `idle-refresh: ${fresh.idle_refresh.enabled ? "on" : "off"}${from("idle_refresh.enabled")}`,
+        `debug: ${fresh.debug ? "on" : "off"}${from("debug")}`,
+        `quiet: ${fresh.toasts.quiet ? "on" : "off"}${from("toasts.quiet")}`,
+        `custom_betas: ${fresh.custom_betas.length ? fresh.custom_betas.join(", ") : "(none)"}${from("custom_betas")}`,
+        `cache-boundary: ${fresh.cache_policy?.boundary_marker ? "on" : "off"}${from("cache_policy.boundary_marker")}`,
+        `cache-ttl: ${fresh.cache_policy?.ttl ?? "1h"}${fresh.cache_policy?.ttl_supported === false ? " (auto-disabled)" : ""}${from("cache_policy.ttl")}`,
+        `fast-mode: ${fresh.fast_mode ? "on" : "off"}${from("fast_mode")}`,
+        `telemetry-emulation: ${fresh.telemetry?.emulate_minimal ? "on (silent observer)" : "off"}${from("telemetry.emulate_minimal")}`,
+        `usage-toast: ${fresh.usage_toast ? "on" : "off"}${from("usage_toast")}`,
+        `adaptive-context: ${fresh.adaptive_context?.enabled ? `on (↑${Math.round((fresh.adaptive_context.escalation_threshold || 150000) / 1000)}K ↓${Math.round((fresh.adaptive_context.deescalation_threshold || 100000) / 1000)}K)${adaptiveContextState.active ? " [ACTIVE]" : ""}` : "off"}${from("adaptive_context.enabled")}`,
+        `anti-verbosity: ${fresh.anti_verbosity?.enabled !== false ? "on" : "off"} (length-anchors: ${fresh.anti_verbosity?.length_anchors !== false ? "on" : "off"})${from("anti_verbosity.enabled")}`,
+        "",
+        `Global config: ${getConfigPath()}`,
+        `Project overlay: ${projectPath ?? "(none)"}`,
       ];
+      // Everything the overlay or environment changed, including settings not summarized above.
+      const overridden = Object.entries(sources).filter(([, layer]) => layer === "project" || layer === "env");
+      if (overridden.length > 0) {
+        lines.push("", "Overrides:");
+        for (const [path, layer] of overridden) {
+          const value = path.split(".").reduce((node, key) => node?.[key], /** @type {any} */ (fresh));
+          lines.push(`  ${path} = ${JSON.stringify(value)}  [${layer}]`);
+        }
+      }
       await sendCommandMessage(input.sessionID, lines.join("\n"));
       return;
     }
@@ -800,9 +1180,9 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         sessionMetrics.totalWebSearchRequests = 0;
         sessionMetrics.recentCacheRates = [];
         sessionMetrics.sessionCostUsd = 0;
-        sessionMetrics.costBreakdown = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+        sessionMetrics.costBreakdown = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, webSearch: 0 };
         sessionMetrics.sessionStartTime = Date.now();
-        sessionMetrics.lastQuota = {
+        Object.assign(sessionMetrics.lastQuota, {
           tokens: 0,
           requests: 0,
           inputTokens: 0,
@@ -816,7 +1196,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           overageStatus: null,
           overageReason: null,
           lastPollAt: 0,
-        };
+        });
         sessionMetrics.lastStopReason = null;
         sessionMetrics.perModel = {};
         sessionMetrics.lastModelId = null;
@@ -826,6 +1206,15 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         return;
       }
 
+      // Ledger queries (--since / --by / --format) go through the CLI surface
+      if (args.length > 1) {
+        const result = await runCliCommand(["stats", ...args.slice(1)]);
+        const heading = result.code === 0 ? "▣ Anthropic" : "▣ Anthropic (error)";
+        const body = result.stdout || result.stderr || "No output.";
+        await sendCommandMessage(input.sessionID, [heading, "", body].join("\n"));
+        return;
+      }
+
       const avgRate = getAverageCacheHitRate();
       const totalTokens =
         sessionMetrics.totalInput +
@@ -837,11 +1226,10 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       const burnRate = elapsedMin > 0 ? sessionMetrics.sessionCostUsd / elapsedMin : 0;
 
       // Cache savings estimate: difference between what cache reads would cost at full input price vs cache read price
-      const pricing = getModelPricing("claude-sonnet-4-6");
-      const cacheSavings =
-        sessionMetrics.totalCacheRead > 0
-          ? (sessionMetrics.totalCacheRead / 1_000_000) * (pricing.input - pricing.cacheRead)
-          : 0;
+      const cacheSavings = Object.entries(sessionMetrics.perModel).reduce(
+        (sum, [mid, pm]) => sum + calculateCacheSavingsUsd(mid, pm.cacheRead),
+        0,
+      );
 
       const lines = [
         "▣ Anthropic Session Stats",
@@ -873,8 +1261,17 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         `  Output:      $${sessionMetrics.costBreakdown.output.toFixed(4)}`,
         `  Cache read:  $${sessionMetrics.costBreakdown.cacheRead.toFixed(4)}`,
         `  Cache write: $${sessionMetrics.costBreakdown.cacheWrite.toFixed(4)}`,
+        ...(sessionMetrics.costBreakdown.webSearch > 0
+          ? [`  Web search:  $${sessionMetrics.costBreakdown.webSearch.toFixed(4)}`]
+          : []),
         `  Total:       $${sessionMetrics.sessionCostUsd.toFixed(4)}`,
       );
+      const unpriced = Object.keys(sessionMetrics.perModel).filter((mid) => unpricedModels.has(mid));
+      if (unpriced.length > 0) {
+        lines.push(
+          `  Unpriced:    ${unpriced.join(", ")} (counted as $0; add them under pricing.models in anthropic-auth.json)`,
+        );
+      }
       if (burnRate > 0) {
         lines.push(`Burn rate: $${(burnRate * 60).toFixed(2)}/hr`);
       }
@@ -890,7 +1287,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         }
       }
 
-      const maxBudget = parseFloat(process.env.OPENCODE_ANTHROPIC_MAX_BUDGET_USD || "0");
+      const maxBudget = config.budgets?.session_usd ?? 0;
       if (maxBudget > 0) {
         const pct = (sessionMetrics.sessionCostUsd / maxBudget) * 100;
         const remaining = maxBudget - sessionMetrics.sessionCostUsd;
@@ -940,6 +1337,109 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         }
       }
 
+      // Other OpenCode sessions served by this process (only when there are any)
+      const sessions = sessionStates.entries();
+      if (sessions.length > 1) {
+        const all = aggregateSessionMetrics(sessions.map(([, state]) => state.metrics));
+        lines.push(
+          "",
+          `All sessions (${sessions.length}): ${all.turns} turns, ${all.tokens.toLocaleString()} tokens, $${all.costUsd.toFixed(4)}, cache ${(all.cacheHitRate * 100).toFixed(1)}%`,
+        );
+      }
+
+      await sendCommandMessage(input.sessionID, lines.join("\n"));
+      return;
+    }
+
+    // /anthropic budget — view and adjust spend caps
+    if (primary === "budget") {
+      const secondary = (args[1] || "").toLowerCase();
+      const value = args[2] || "";
+      const projectKey = resolveProjectKey(config.budgets, { directory, worktree });
+
+      if (secondary === "session" || secondary === "daily" || secondary === "project") {
+        const amount = value.toLowerCase() === "off" ? 0 : parseFloat(value.replace(/^\$/, ""));
+        if (!Number.isFinite(amount) || amount < 0) {
+          await sendCommandMessage(
+            input.sessionID,
+            `▣ Anthropic Budget (error)\n\nUsage: /anthropic budget ${secondary} <usd|off>`,
+          );
+          return;
+        }
+        if (secondary === "project") {
+          if (!projectKey) {
+            await sendCommandMessage(input.sessionID, "▣ Anthropic Budget (error)\n\nNo project directory known.");
+            return;
+          }
+          const projectUsd = { ...config.budgets.project_usd };
+          if (amount > 0) projectUsd[projectKey] = amount;
+          else delete projectUsd[projectKey];
+          saveConfig({ budgets: { project_usd: projectUsd } });
+          config.budgets.project_usd = projectUsd;
+        } else {
+          saveConfig({ budgets: { [`${secondary}_usd`]: amount } });
+          config.budgets[`${secondary}_usd`] = amount;
+        }
+      } else if (secondary === "mode") {
+        const mode = value.toLowerCase();
+        if (!VALID_BUDGET_MODES.includes(mode)) {
+          await sendCommandMessage(
+            input.sessionID,
+            `▣ Anthropic Budget (error)\n\nInvalid mode. Valid: ${VALID_BUDGET_MODES.join(", ")}`,
+          );
+          return;
+        }
+        saveConfig({ budgets: { mode } });
+        config.budgets.mode = mode;
+      } else if (secondary === "downgrade-model") {
+        if (!value) {
+          await sendCommandMessage(
+            input.sessionID,
+            "▣ Anthropic Budget (error)\n\nUsage: /anthropic budget downgrade-model <model>",
+          );
+          return;
+        }
+        saveConfig({ budgets: { downgrade_model: value } });
+        config.budgets.downgrade_model = value;
+      } else if (secondary === "reset") {
+        const scope = (args[2] || "").toLowerCase();
+        if (scope === "session") {
+          sessionMetrics.sessionCostUsd = 0;
+        } else if (scope === "daily" || scope === "project") {
+          await resetBudgetSpend(scope, { project: projectKey });
+        } else {
+          await sendCommandMessage(
+            input.sessionID,
+            "▣ Anthropic Budget (error)\n\nUsage: /anthropic budget reset <session|daily|project>",
+          );
+          return;
+        }
+      } else if (secondary) {
+        await sendCommandMessage(
+          input.sessionID,
+          "▣ Anthropic Budget (error)\n\nUsage: /anthropic budget [session|daily|project <usd|off> | mode <warn|block|downgrade> | downgrade-model <model> | reset <scope>]",
+        );
+        return;
+      }
+
+      const status = getBudgetStatus();
+      const projectSpent = projectKey ? (status.state.projects[projectKey]?.usd ?? 0) : 0;
+      const row = (/** @type {string} */ label, /** @type {number} */ spent, /** @type {number} */ limit) =>
+        `  ${label.padEnd(9)}$${spent.toFixed(2)} / ${limit > 0 ? `$${limit.toFixed(2)} (${((spent / limit) * 100).toFixed(0)}%)` : "off"}`;
+      const lines = [
+        "▣ Anthropic Budget",
+        "",
+        `Mode: ${config.budgets.mode} (warn at ${(config.budgets.warn_at * 100).toFixed(0)}%)`,
+        row("Session:", sessionMetrics.sessionCostUsd, config.budgets.session_usd),
+        row("Daily:", status.state.daily.usd, config.budgets.daily_usd),
+        row("Project:", projectSpent, projectKey ? (config.budgets.project_usd[projectKey] ?? 0) : 0),
+      ];
+      if (projectKey) lines.push(`  ${"".padEnd(9)}${projectKey}`);
+      if (config.budgets.mode === "downgrade") lines.push(`Downgrade model: ${config.budgets.downgrade_model}`);
+      if (status.exceeded) lines.push("", `Exceeded: ${describeBudgetCap(status.exceeded)}`);
+      if (isTruthyEnv(process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET)) {
+        lines.push("", "OPENCODE_ANTHROPIC_IGNORE_BUDGET is set — caps are not enforced.");
+      }
       await sendCommandMessage(input.sessionID, lines.join("\n"));
       return;
     }
@@ -1012,9 +1512,22 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         return;
       }
 
-      const analysis = analyzeRequestContext(sessionMetrics.lastRequestBody);
+      const countingMode = getTokenCountingMode();
+      const calibrationModel = sessionMetrics.lastModelId;
+      const ratio =
+        countingMode !== "heuristic" && calibrationModel ? tokenCountingState.calibrator.ratio(calibrationModel) : 1;
+      const analysis = analyzeRequestContext(sessionMetrics.lastRequestBody, ratio);
+      let exactTokens;
+      if (countingMode === "exact") {
+        try {
+          const countBody = buildCountTokensBody(JSON.parse(sessionMetrics.lastRequestBody));
+          if (countBody) exactTokens = tokenCountingState.counter?.get(hashCountTokensBody(countBody));
+        } catch {
+          // Truncated or non-JSON capture — no exact count
+        }
+      }
       const lines = [
-        "▣ Anthropic Context Breakdown (estimated)",
+        `▣ Anthropic Context Breakdown (${ratio !== 1 ? "calibrated estimate" : "estimated"})`,
         "",
         `System:          ${analysis.systemTokens.toLocaleString()} tokens`,
         `User messages:   ${analysis.userTokens.toLocaleString()} tokens`,
@@ -1033,6 +1546,20 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
       lines.push(`Assistant:       ${analysis.assistantTokens.toLocaleString()} tokens`);
       lines.push(`Total:           ${analysis.totalTokens.toLocaleString()} tokens`);
+      if (exactTokens !== undefined) {
+        lines.push(`Exact:           ${exactTokens.toLocaleString()} tokens  (count_tokens, incl. tool definitions)`);
+      } else if (countingMode === "exact") {
+        lines.push("Exact:           pending (counted in the background after requests)");
+      }
+      if (countingMode !== "heuristic") {
+        const calibrations = tokenCountingState.calibrator.entries();
+        lines.push(
+          "",
+          calibrations.length > 0
+            ? `Calibration:     ${calibrations.map((c) => `${c.model} ×${c.ratio.toFixed(2)} (${c.samples} samples)`).join(", ")}`
+            : "Calibration:     none yet (needs a completed turn)",
+        );
+      }
 
       if (analysis.duplicates.count > 0) {
         lines.push(
@@ -1045,6 +1572,45 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       return;
     }
 
+    // /anthropic cache why — explain the last cache break field by field
+    if (primary === "cache") {
+      const sub = (args[1] || "why").toLowerCase();
+      if (sub !== "why") {
+        await sendCommandMessage(input.sessionID, "▣ Anthropic Cache (error)\n\nUsage: /anthropic cache why");
+        return;
+      }
+
+      let report = cacheBreakState.lastReport;
+      if (!report && cacheBreakState.previousSnapshot && cacheBreakState.snapshot) {
+        report = formatCacheBreakReport(
+          diffCacheSnapshots(cacheBreakState.previousSnapshot, cacheBreakState.snapshot),
+          {
+            fromTurn: cacheBreakState.previousSnapshot.turn,
+            toTurn: cacheBreakState.snapshot.turn,
+          },
+        );
+      }
+      if (!report) {
+        const hint = config.cache_break_detection?.enabled
+          ? "Need at least two completed turns to compare."
+          : "Cache break detection is disabled (cache_break_detection.enabled).";
+        await sendCommandMessage(input.sessionID, `▣ Anthropic Cache\n\nNo cache break to explain yet. ${hint}`);
+        return;
+      }
+
+      const reportPath = join(getConfigDir(), "cache-break-report.txt");
+      let savedLine;
+      try {
+        mkdirSync(getConfigDir(), { recursive: true });
+        writeFileSync(reportPath, `${report}\n`);
+        savedLine = `Saved to: ${reportPath}`;
+      } catch (err) {
+        savedLine = `Could not save report: ${err instanceof Error ? err.message : String(err)}`;
+      }
+      await sendCommandMessage(input.sessionID, ["▣ Anthropic Cache", "", report, "", savedLine].join("\n"));
+      return;
+    }
+
     // /anthropic accounts — show per-account stats and health
     if (primary === "accounts") {
       if (!accountManager || accountManager.getAccountCount() === 0) {
@@ -1060,7 +1626,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       for (const acc of accounts) {
         const s = acc.stats;
         const totalTok = s.inputTokens + s.outputTokens + s.cacheReadTokens + s.cacheWriteTokens;
-        const label = acc.email || `Account #${acc.index + 1}`;
+        const label = accountDisplayName(acc, acc.index + 1);
         const isActive = accountManager.getCurrentIndex?.() === acc.index || false;
         const statusBadge = isActive ? " ◄ active" : "";
         const healthScore = accountManager.getHealthScore?.(acc.index) ?? "N/A";
@@ -1094,64 +1660,71 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
     if (primary === "set") {
       const key = (args[1] || "").toLowerCase();
       const value = (args[2] || "").toLowerCase();
+      /** @type {Record<string, unknown>[]} */
+      const saved = [];
+      /** @param {Record<string, unknown>} updates */
+      const save = (updates) => {
+        saved.push(updates);
+        saveConfig(updates);
+      };
       /** @type {Record<string, () => void>} */
       const setters = {
         emulation: () => {
           const enabled = value === "on" || value === "1" || value === "true";
-          saveConfig({ signature_emulation: { enabled } });
+          save({ signature_emulation: { enabled } });
           config.signature_emulation.enabled = enabled;
         },
         compaction: () => {
           const mode = value === "off" ? "off" : "minimal";
-          saveConfig({ signature_emulation: { prompt_compaction: mode } });
+          save({ signature_emulation: { prompt_compaction: mode } });
           config.signature_emulation.prompt_compaction = mode;
         },
         "1m-context": () => {
           const enabled = value === "on" || value === "1" || value === "true";
-          saveConfig({ override_model_limits: { enabled } });
+          save({ override_model_limits: { enabled } });
           if (!config.override_model_limits) config.override_model_limits = { enabled: false };
           config.override_model_limits.enabled = enabled;
         },
         "idle-refresh": () => {
           const enabled = value === "on" || value === "1" || value === "true";
-          saveConfig({ idle_refresh: { enabled } });
+          save({ idle_refresh: { enabled } });
           if (!config.idle_refresh) config.idle_refresh = { enabled: false };
           config.idle_refresh.enabled = enabled;
         },
         debug: () => {
           const enabled = value === "on" || value === "1" || value === "true";
-          saveConfig({ debug: enabled });
+          save({ debug: enabled });
           config.debug = enabled;
         },
         quiet: () => {
           const enabled = value === "on" || value === "1" || value === "true";
-          saveConfig({ toasts: { quiet: enabled } });
+          save({ toasts: { quiet: enabled } });
           config.toasts.quiet = enabled;
         },
         strategy: () => {
           const valid = ["sticky", "round-robin", "hybrid"];
           if (valid.includes(value)) {
-            saveConfig({ account_selection_strategy: value });
+            save({ account_selection_strategy: value });
             strategyState.manualOverride = true;
             strategyState.mode = "CONFIGURED";
           } else throw new Error(`Invalid strategy. Valid: ${valid.join(", ")}`);
         },
         boundary: () => {
           const enabled = value === "on" || value === "1" || value === "true";
-          saveConfig({ cache_policy: { boundary_marker: enabled } });
+          save({ cache_policy: { boundary_marker: enabled } });
           if (!config.cache_policy) config.cache_policy = {};
           config.cache_policy.boundary_marker = enabled;
         },
         "cache-ttl": () => {
           const valid = ["1h", "5m", "off"];
           if (!valid.includes(value)) throw new Error(`Invalid TTL. Valid: ${valid.join(", ")}`);
-          saveConfig({ cache_policy: { ttl: value } });
+          save({ cache_policy: { ttl: value } });
           if (!config.cache_policy) config.cache_policy = {};
           config.cache_policy.ttl = value;
         },
         fast: () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ fast_mode: enabled });
+          save({ fast_mode: enabled });
           config.fast_mode = enabled;
           _fastModeAppliedToast = false; // reset so next application toasts
           toast(enabled ? "⚡ Fast mode ON (Opus 4.6 only)" : "⚡ Fast mode OFF", enabled ? "info" : "success", {
@@ -1160,7 +1733,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         },
         "fast-mode": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ fast_mode: enabled });
+          save({ fast_mode: enabled });
           config.fast_mode = enabled;
           _fastModeAppliedToast = false;
           toast(enabled ? "⚡ Fast mode ON (Opus 4.6 only)" : "⚡ Fast mode OFF", enabled ? "info" : "success", {
@@ -1169,24 +1742,24 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         },
         telemetry: () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ telemetry: { emulate_minimal: enabled } });
+          save({ telemetry: { emulate_minimal: enabled } });
           config.telemetry = config.telemetry || {};
           config.telemetry.emulate_minimal = enabled;
         },
         "telemetry-emulation": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ telemetry: { emulate_minimal: enabled } });
+          save({ telemetry: { emulate_minimal: enabled } });
           config.telemetry = config.telemetry || {};
           config.telemetry.emulate_minimal = enabled;
         },
         "usage-toast": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ usage_toast: enabled });
+          save({ usage_toast: enabled });
           config.usage_toast = enabled;
         },
         "adaptive-context": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ adaptive_context: { ...config.adaptive_context, enabled } });
+          save({ adaptive_context: { ...config.adaptive_context, enabled } });
           if (!config.adaptive_context)
             config.adaptive_context = {
               enabled: false,
@@ -1210,7 +1783,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
             token_efficient_tools: true,
           };
           te.token_efficient_tools = enabled;
-          saveConfig({ token_economy: te });
+          save({ token_economy: te });
           config.token_economy = te;
           // Invalidate latched betas so the change takes effect next request
           betaLatchState.dirty = true;
@@ -1221,34 +1794,41 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
             token_efficient_tools: true,
           };
           te.redact_thinking = enabled;
-          saveConfig({ token_economy: te });
+          save({ token_economy: te });
           config.token_economy = te;
           betaLatchState.dirty = true;
         },
         "tool-deferral": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ token_economy_strategies: { tool_deferral: enabled } });
+          save({ token_economy_strategies: { tool_deferral: enabled } });
           if (!config.token_economy_strategies) config.token_economy_strategies = {};
           config.token_economy_strategies.tool_deferral = enabled;
         },
         "tool-compaction": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ token_economy_strategies: { tool_description_compaction: enabled } });
+          save({ token_economy_strategies: { tool_description_compaction: enabled } });
           if (!config.token_economy_strategies) config.token_economy_strategies = {};
           config.token_economy_strategies.tool_description_compaction = enabled;
         },
         "adaptive-tools": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ token_economy_strategies: { adaptive_tool_set: enabled } });
+          save({ token_economy_strategies: { adaptive_tool_set: enabled } });
           if (!config.token_economy_strategies) config.token_economy_strategies = {};
           config.token_economy_strategies.adaptive_tool_set = enabled;
         },
         "prompt-tailing": () => {
           const enabled = value === "on" || value === "true" || value === "1";
-          saveConfig({ token_economy_strategies: { system_prompt_tailing: enabled } });
+          save({ token_economy_strategies: { system_prompt_tailing: enabled } });
           if (!config.token_economy_strategies) config.token_economy_strategies = {};
           config.token_economy_strategies.system_prompt_tailing = enabled;
         },
+        "token-counting": () => {
+          if (!VALID_TOKEN_COUNTING_MODES.includes(value)) {
+            throw new Error(`Invalid mode. Valid: ${VALID_TOKEN_COUNTING_MODES.join(", ")}`);
+          }
+          save({ token_counting: { mode: value } });
+          config.token_counting.mode = value;
+        },
       };
 
       if (!key || !setters[key]) {
@@ -1265,7 +1845,31 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       }
       setters[key]();
       // Reload config into runtime
-      Object.assign(config, loadConfigFresh());
+      Object.assign(config, loadConfigFresh(configScope));
+      // The global file was written, but a project overlay or env var may still win
+      const layers = loadConfigLayers(configScope);
+      /** @param {string} path */
+      const effectiveAt = (path) => path.split(".").reduce((node, k) => node?.[k], /** @type {any} */ (layers.config));
+      const shadowed = saved
+        .flatMap((updates) => configLeaves(updates))
+        .filter(
+          ([path, written]) =>
+            (layers.sources[path] === "project" || layers.sources[path] === "env") &&
+            JSON.stringify(effectiveAt(path)) !== JSON.stringify(written),
+        );
+      if (shadowed.length > 0) {
+        const lines = [
+          "▣ Anthropic Set",
+          "",
+          `${key} = ${value} saved to ${getConfigPath()}, but it is overridden here:`,
+        ];
+        for (const [path] of shadowed) {
+          const from = layers.sources[path] === "project" ? layers.projectPath : "environment variable";
+          lines.push(`  ${path} = ${JSON.stringify(effectiveAt(path))}  [${from}]`);
+        }
+        await sendCommandMessage(input.sessionID, lines.join("\n"));
+        return;
+      }
       await sendCommandMessage(input.sessionID, `▣ Anthropic Set\n\n${key} = ${value}`);
       return;
     }
@@ -1275,7 +1879,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       const action = (args[1] || "").toLowerCase();
 
       if (!action || action === "list") {
-        const fresh = loadConfigFresh();
+        const fresh = loadConfigFresh(configScope);
         const strategy = fresh.account_selection_strategy || config.account_selection_strategy;
         const lines = [
           "▣ Anthropic Betas",
@@ -1289,7 +1893,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           `  prompt-caching-scope-2026-01-05 (non-interactive${strategy === "round-robin" ? ", skipped in round-robin" : ""})`,
           "",
           `Experimental betas: ${isTruthyEnv(process.env.CLAUDE_CODE_DISABLE_EXPERIMENTAL_BETAS) ? "disabled (CLAUDE_CODE_DISABLE_EXPERIMENTAL_BETAS=1)" : "enabled"}`,
-          `Strategy: ${strategy}${initialAccountPinned ? " (pinned via OPENCODE_ANTHROPIC_INITIAL_ACCOUNT)" : ""}`,
+          `Strategy: ${strategy}${initialAccountPinned ? " (pinned via initial_account / OPENCODE_ANTHROPIC_INITIAL_ACCOUNT)" : ""}`,
           `Custom betas: ${fresh.custom_betas.length ? fresh.custom_betas.join(", ") : "(none)"}`,
           "",
           "Toggleable presets:",
@@ -1315,14 +1919,14 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           return;
         }
         const beta = resolveBetaShortcut(betaInput);
-        const fresh = loadConfigFresh();
+        const fresh = loadConfigFresh(configScope);
         const current = fresh.custom_betas || [];
         if (current.includes(beta)) {
           await sendCommandMessage(input.sessionID, `▣ Anthropic Betas\n\n"${beta}" already added.`);
           return;
         }
         saveConfig({ custom_betas: [...current, beta] });
-        Object.assign(config, loadConfigFresh());
+        Object.assign(config, loadConfigFresh(configScope));
         const fromShortcut = beta !== betaInput;
         await sendCommandMessage(
           input.sessionID,
@@ -1338,14 +1942,14 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           return;
         }
         const beta = resolveBetaShortcut(betaInput);
-        const fresh = loadConfigFresh();
+        const fresh = loadConfigFresh(configScope);
         const current = fresh.custom_betas || [];
         if (!current.includes(beta)) {
           await sendCommandMessage(input.sessionID, `▣ Anthropic Betas\n\n"${beta}" not in custom betas.`);
           return;
         }
         saveConfig({ custom_betas: current.filter((b) => b !== beta) });
-        Object.assign(config, loadConfigFresh());
+        Object.assign(config, loadConfigFresh(configScope));
         await sendCommandMessage(input.sessionID, `▣ Anthropic Betas\n\nRemoved: ${beta}`);
         return;
       }
@@ -1354,8 +1958,8 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       return;
     }
 
-    // /anthropic files [list|upload|get|delete|download] — Files API management
-    // Supports --account <email|index> to target a specific account.
+    // /anthropic files [list|upload|get|delete|download|sync] — Files API management
+    // Supports --account <N|label|email> to target a specific account.
     // Without --account, list aggregates from ALL accounts; other actions use the current account.
     if (primary === "files") {
       // Parse --account flag from args
@@ -1380,7 +1984,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       }
 
       /**
-       * Resolve a single account by email or 1-based index.
+       * Resolve a single account by 1-based index, label or email.
        * If identifier is null, falls back to the current account.
        * @param {string | null} identifier
        * @returns {{ account: import('./lib/accounts.mjs').ManagedAccount, label: string } | null}
@@ -1388,41 +1992,38 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       function resolveTargetAccount(identifier) {
         const accounts = accountManager.getEnabledAccounts();
         if (identifier) {
-          // Try by email
-          const byEmail = accounts.find((a) => a.email === identifier);
-          if (byEmail) return { account: byEmail, label: byEmail.email || `Account ${byEmail.index + 1}` };
-          // Try by 1-based index
-          const idx = parseInt(identifier, 10);
-          if (!isNaN(idx) && idx >= 1) {
-            const byIdx = accounts.find((a) => a.index === idx - 1);
-            if (byIdx) return { account: byIdx, label: byIdx.email || `Account ${byIdx.index + 1}` };
-          }
-          return null;
+          // 1-based index, label or email
+          const match = accounts.find((a) => matchesAccountRef(a, identifier));
+          return match ? { account: match, label: accountDisplayName(match, match.index + 1) } : null;
         }
         // Default to current
         const current = accountManager.getCurrentAccount();
         if (!current) return null;
-        return { account: current, label: current.email || `Account ${current.index + 1}` };
+        return { account: current, label: accountDisplayName(current, current.index + 1) };
       }
 
-      /**
-       * Get authenticated headers for a specific account, refreshing token if needed.
-       * @param {import('./lib/accounts.mjs').ManagedAccount} acct
-       */
-      async function getFilesAuth(acct) {
-        let tok = acct.access;
-        if (!tok || !acct.expires || acct.expires < Date.now()) {
-          tok = await refreshAccountTokenSingleFlight(acct);
-        }
-        return {
-          authorization: `Bearer ${tok}`,
-          "anthropic-beta": "oauth-2025-04-20,files-api-2025-04-14",
-        };
-      }
-
-      const apiBase = "https://api.anthropic.com";
+      const apiBase = FILES_API_BASE;
 
       try {
+        // /anthropic files sync <dir> — runs the CLI command, which keeps the manifest.
+        // Without --force it only shows the plan: the CLI must not prompt here.
+        if (action === "sync") {
+          const cliArgs = ["files", "sync", ...filteredArgs.slice(2)];
+          if (targetAccountId) cliArgs.push("--account", targetAccountId);
+          const planOnly = !cliArgs.includes("--force");
+          if (planOnly && !cliArgs.includes("--dry-run")) cliArgs.push("--dry-run");
+          const result = await runCliCommand(cliArgs);
+          const heading = result.code === 0 ? "▣ Anthropic Files" : "▣ Anthropic Files (error)";
+          const lines = [heading, "", result.stdout || result.stderr || "No output."];
+          if (result.stdout && result.stderr) lines.push("", result.stderr);
+          if (result.code === 0 && planOnly && !result.stdout.includes("Already up to date.")) {
+            lines.push("", "Run the same command with --force to apply this plan.");
+          }
+          await sendCommandMessage(input.sessionID, lines.join("\n"));
+          await reloadAccountManagerFromDisk();
+          return;
+        }
+
         // /anthropic files list — list uploaded files
         if (!action || action === "list") {
           if (targetAccountId) {
@@ -1448,7 +2049,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
             }
             const data = await res.json();
             const files = data.data || [];
-            for (const f of files) fileAccountMapSet(f.id, account.index);
+            for (const f of files) fileAccountMapSet(f.id, account.id);
             if (files.length === 0) {
               await sendCommandMessage(input.sessionID, `▣ Anthropic Files [${label}]\n\nNo files uploaded.`);
               return;
@@ -1467,7 +2068,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           const allLines = ["▣ Anthropic Files (all accounts)", ""];
           let totalFiles = 0;
           for (const acct of accounts) {
-            const label = acct.email || `Account ${acct.index + 1}`;
+            const label = accountDisplayName(acct, acct.index + 1);
             try {
               const headers = await getFilesAuth(acct);
               const res = await fetch(`${apiBase}/v1/files`, { headers });
@@ -1478,7 +2079,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
               }
               const data = await res.json();
               const files = data.data || [];
-              for (const f of files) fileAccountMapSet(f.id, acct.index);
+              for (const f of files) fileAccountMapSet(f.id, acct.id);
               totalFiles += files.length;
               if (files.length === 0) {
                 allLines.push(`[${label}] No files`);
@@ -1495,13 +2096,14 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
               allLines.push("");
             }
           }
+          fileAccountMapListedAt = Date.now();
           if (totalFiles === 0 && accounts.length > 0) {
             allLines.push(`Total: No files across ${accounts.length} account(s).`);
           } else {
             allLines.push(`Total: ${totalFiles} file(s) across ${accounts.length} account(s).`);
           }
           if (accounts.length > 1) {
-            allLines.push("", "Tip: Use --account <email> to target a specific account.");
+            allLines.push("", "Tip: Use --account <label|email> to target a specific account.");
           }
           await sendCommandMessage(input.sessionID, allLines.join("\n"));
           return;
@@ -1523,7 +2125,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           if (!filePath) {
             await sendCommandMessage(
               input.sessionID,
-              "▣ Anthropic Files\n\nUsage: /anthropic files upload <path> [--account <email>]",
+              "▣ Anthropic Files\n\nUsage: /anthropic files upload <path> [--account <N|label|email>]",
             );
             return;
           }
@@ -1541,10 +2143,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
           const res = await fetch(`${apiBase}/v1/files`, {
             method: "POST",
-            headers: {
-              authorization: authHeaders.authorization,
-              "anthropic-beta": "oauth-2025-04-20,files-api-2025-04-14",
-            },
+            headers: authHeaders,
             body: form,
           });
           if (!res.ok) {
@@ -1558,7 +2157,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           const file = await res.json();
           const sizeKB = ((file.size || 0) / 1024).toFixed(1);
           // Cache file_id → account mapping for auto-pinning
-          fileAccountMapSet(file.id, account.index);
+          fileAccountMapSet(file.id, account.id);
           await sendCommandMessage(
             input.sessionID,
             `▣ Anthropic Files [${label}]\n\nUploaded: ${file.id}\n  Filename: ${file.filename}\n  Size: ${sizeKB} KB`,
@@ -1572,7 +2171,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           if (!fileId) {
             await sendCommandMessage(
               input.sessionID,
-              "▣ Anthropic Files\n\nUsage: /anthropic files get <file_id> [--account <email>]",
+              "▣ Anthropic Files\n\nUsage: /anthropic files get <file_id> [--account <N|label|email>]",
             );
             return;
           }
@@ -1586,7 +2185,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
             return;
           }
           const file = await res.json();
-          fileAccountMapSet(file.id, account.index);
+          fileAccountMapSet(file.id, account.id);
           const lines = [
             `▣ Anthropic Files [${label}]`,
             "",
@@ -1607,7 +2206,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           if (!fileId) {
             await sendCommandMessage(
               input.sessionID,
-              "▣ Anthropic Files\n\nUsage: /anthropic files delete <file_id> [--account <email>]",
+              "▣ Anthropic Files\n\nUsage: /anthropic files delete <file_id> [--account <N|label|email>]",
             );
             return;
           }
@@ -1623,7 +2222,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
             );
             return;
           }
-          fileAccountMap.delete(fileId);
+          fileAccountMapDelete(fileId);
           await sendCommandMessage(input.sessionID, `▣ Anthropic Files [${label}]\n\nDeleted: ${fileId}`);
           return;
         }
@@ -1634,7 +2233,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           if (!fileId) {
             await sendCommandMessage(
               input.sessionID,
-              "▣ Anthropic Files\n\nUsage: /anthropic files download <file_id> [output_path] [--account <email>]",
+              "▣ Anthropic Files\n\nUsage: /anthropic files download <file_id> [output_path] [--account <N|label|email>]",
             );
             return;
           }
@@ -1681,7 +2280,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         const helpLines = [
           "▣ Anthropic Files",
           "",
-          "Usage: /anthropic files <action> [--account <email|index>]",
+          "Usage: /anthropic files <action> [--account <N|label|email>]",
           "",
           "Actions:",
           "  list                          List uploaded files (all accounts if no --account)",
@@ -1689,9 +2288,10 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           "  get <file_id>                 Get file metadata",
           "  delete <file_id>              Delete a file",
           "  download <file_id> [path]     Download file content",
+          "  sync <dir> [--delete]         Mirror a directory (shows the plan; --force applies it)",
           "",
           "Options:",
-          "  --account <email|index>       Target a specific account (1-based index)",
+          "  --account <N|label|email>     Target an account by number (1-based), label or email",
           "",
           "Supported formats: PDF, DOCX, TXT, CSV, Excel, Markdown, images",
           "Files can be referenced by file_id in Messages API requests.",
@@ -1704,6 +2304,8 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       } catch (err) {
         await sendCommandMessage(input.sessionID, `▣ Anthropic Files (error)\n\n${err.message}`);
         return;
+      } finally {
+        await flushFilePins();
       }
     }
 
@@ -2144,6 +2746,242 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
     console.error("[opencode-anthropic-auth]", ...args);
   }
 
+  /**
+   * Evaluate session / daily / project spend caps against current spend.
+   * @param {import('./lib/budget.mjs').BudgetState} [state] - Fresh state from recordBudgetSpend, if at hand
+   */
+  function getBudgetStatus(state = loadBudgetState()) {
+    const projectKey = resolveProjectKey(config.budgets, { directory, worktree });
+    return {
+      projectKey,
+      state,
+      ...evaluateBudgets(config.budgets, { sessionUsd: sessionMetrics.sessionCostUsd, state, projectKey }),
+    };
+  }
+
+  /**
+   * @param {import('./lib/budget.mjs').BudgetCap} cap
+   * @returns {string}
+   */
+  function describeBudgetCap(cap) {
+    return `${cap.scope} budget ($${cap.spent.toFixed(2)} / $${cap.limit.toFixed(2)})`;
+  }
+
+  // OpenTelemetry export (opt-in): one span per /v1/messages call plus token/cost counters.
+  const otelExporter = config.otel?.enabled
+    ? createOtelExporter({
+        endpoint: config.otel.endpoint,
+        headers: config.otel.headers,
+        serviceName: config.otel.service_name,
+        flushIntervalMs: config.otel.flush_interval_ms,
+        timeoutMs: config.otel.timeout_ms,
+        onError: (message, details) => debugLog(message, details),
+      })
+    : null;
+  if (otelExporter) {
+    process.once("beforeExit", () => {
+      otelExporter.shutdown().catch(() => {});
+    });
+  }
+
+  /**
+   * Add a completed request's tokens and cost to the OpenTelemetry counters.
+   * @param {UsageStats} usage
+   * @param {string} model
+   */
+  function recordOtelUsage(usage, model) {
+    if (!otelExporter) return;
+    const tokenMeta = { unit: "{token}", description: "Tokens used by Anthropic API requests", integer: true };
+    for (const [type, count] of [
+      ["input", usage.inputTokens],
+      ["output", usage.outputTokens],
+      ["cache_read", usage.cacheReadTokens],
+      ["cache_write", usage.cacheWriteTokens],
+    ]) {
+      otelExporter.addCounter(
+        "anthropic.tokens",
+        count,
+        { "gen_ai.request.model": model, "gen_ai.token.type": type },
+        tokenMeta,
+      );
+    }
+    otelExporter.addCounter(
+      "anthropic.cost",
+      calculateCostUsd(usage, model),
+      { "gen_ai.request.model": model },
+      { unit: "USD", description: "Estimated cost of Anthropic API requests" },
+    );
+  }
+
+  // Request outcome counters for the Prometheus /metrics endpoint.
+  const requestCounters = {
+    requests: 0,
+    overloadResponses: 0,
+    /** @type {Record<string, number>} */
+    retries: {},
+    /** @type {Record<string, number>} */
+    switches: {},
+  };
+
+  /**
+   * @param {Record<string, number>} counter
+   * @param {string} key
+   */
+  function bumpCounter(counter, key) {
+    counter[key] = (counter[key] || 0) + 1;
+  }
+
+  /**
+   * Snapshot plugin state as Prometheus metric families.
+   * @returns {import('./lib/metrics-server.mjs').MetricFamily[]}
+   */
+  function collectPrometheusMetrics() {
+    const now = Date.now();
+    const accounts = accountManager ? accountManager.getAccountsSnapshot() : [];
+    /** @param {import('./lib/accounts.mjs').ManagedAccount} acc */
+    // Account IDs rather than emails: scrapers get no personal data, and a series
+    // survives the account being renumbered
+    const accountLabels = (acc) => ({ account: acc.index + 1, account_id: acc.id });
+    const quota = sharedQuota;
+    const sessions = sessionStates.entries();
+    const windows =
+      quota.updatedAt > 0
+        ? [
+            ["5h", quota.fiveHour],
+            ["7d", quota.sevenDay],
+          ]
+        : [];
+    const counterSamples = (/** @type {Record<string, number>} */ counts, /** @type {string} */ label) =>
+      Object.entries(counts).map(([key, value]) => ({ labels: { [label]: key }, value }));
+
+    return [
+      {
+        name: "anthropic_accounts",
+        help: "Configured accounts by state.",
+        type: "gauge",
+        samples: accountManager
+          ? [
+              { labels: { state: "enabled" }, value: accountManager.getAccountCount() },
+              {
+                labels: { state: "disabled" },
+                value: accountManager.getTotalAccountCount() - accountManager.getAccountCount(),
+              },
+            ]
+          : [],
+      },
+      {
+        name: "anthropic_account_active",
+        help: "1 for the account currently selected for requests.",
+        type: "gauge",
+        samples: accounts.map((acc) => ({
+          labels: accountLabels(acc),
+          value: acc.index === accountManager.getCurrentIndex() ? 1 : 0,
+        })),
+      },
+      {
+        name: "anthropic_account_health_score",
+        help: "Account health score (0-100) used for selection.",
+        type: "gauge",
+        samples: accounts.map((acc) => ({
+          labels: accountLabels(acc),
+          value: accountManager.getHealthScore(acc.index),
+        })),
+      },
+      {
+        name: "anthropic_account_token_bucket_tokens",
+        help: "Client-side token bucket level per account.",
+        type: "gauge",
+        samples: accounts.map((acc) => ({
+          labels: accountLabels(acc),
+          value: accountManager.getTokenBucketTokens(acc.index),
+        })),
+      },
+      {
+        name: "anthropic_account_consecutive_failures",
+        help: "Consecutive failures recorded for the account.",
+        type: "gauge",
+        samples: accounts.map((acc) => ({ labels: accountLabels(acc), value: acc.consecutiveFailures })),
+      },
+      {
+        name: "anthropic_account_rate_limit_reset_timestamp_seconds",
+        help: "Unix time at which an active rate-limit backoff on the account ends.",
+        type: "gauge",
+        samples: accounts.flatMap((acc) => {
+          const resetAt = Math.max(0, ...Object.values(acc.rateLimitResetTimes || {}));
+          return resetAt > now ? [{ labels: accountLabels(acc), value: Math.round(resetAt / 1000) }] : [];
+        }),
+      },
+      {
+        name: "anthropic_unified_utilization_ratio",
+        help: "Unified rate-limit utilization (0-1) from the latest response headers.",
+        type: "gauge",
+        samples: windows.map(([window, w]) => ({ labels: { window }, value: w.utilization / 100 })),
+      },
+      {
+        name: "anthropic_unified_reset_timestamp_seconds",
+        help: "Unix time at which the unified rate-limit window resets.",
+        type: "gauge",
+        samples: windows
+          .filter(([, w]) => w.resets_at)
+          .map(([window, w]) => ({ labels: { window }, value: Math.round(Date.parse(w.resets_at) / 1000) })),
+      },
+      {
+        name: "anthropic_cache_hit_rate",
+        help: "Average prompt cache hit rate over recent turns across all sessions (0-1).",
+        type: "gauge",
+        samples: [{ value: aggregateSessionMetrics(sessions.map(([, state]) => state.metrics)).cacheHitRate }],
+      },
+      {
+        name: "anthropic_session_cost_usd",
+        help: "Estimated cost of each OpenCode session in USD.",
+        type: "gauge",
+        samples: sessions.map(([session, { metrics }]) => ({ labels: { session }, value: metrics.sessionCostUsd })),
+      },
+      {
+        name: "anthropic_session_tokens_total",
+        help: "Tokens used in each OpenCode session.",
+        type: "counter",
+        samples: sessions.flatMap(([session, { metrics }]) => [
+          { labels: { session, type: "input" }, value: metrics.totalInput },
+          { labels: { session, type: "output" }, value: metrics.totalOutput },
+          { labels: { session, type: "cache_read" }, value: metrics.totalCacheRead },
+          { labels: { session, type: "cache_write" }, value: metrics.totalCacheWrite },
+        ]),
+      },
+      {
+        name: "anthropic_requests_total",
+        help: "Intercepted /v1/messages requests.",
+        type: "counter",
+        samples: [{ value: requestCounters.requests }],
+      },
+      {
+        name: "anthropic_retries_total",
+        help: "Request retries by kind (account_switch, service, transient_429, should_retry, connection_reset).",
+        type: "counter",
+        samples: counterSamples(requestCounters.retries, "kind"),
+      },
+      {
+        name: "anthropic_account_switches_total",
+        help: "Account switches caused by account-specific errors.",
+        type: "counter",
+        samples: counterSamples(requestCounters.switches, "reason"),
+      },
+      {
+        name: "anthropic_overload_responses_total",
+        help: "529 overloaded responses received from the API.",
+        type: "counter",
+        samples: [{ value: requestCounters.overloadResponses }],
+      },
+    ];
+  }
+
+  if (config.metrics_server?.enabled) {
+    const { host, port } = config.metrics_server;
+    startMetricsServer({ host, port, collect: collectPrometheusMetrics })
+      .then((server) => debugLog("metrics server listening", { host, port: server.port }))
+      .catch((err) => debugLog("metrics server failed to start", { host, port, message: err?.message }));
+  }
+
   function recordRateLimitForStrategy() {
     const now = Date.now();
     strategyState.rateLimitEvents.push(now);
@@ -2317,8 +3155,8 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
   async function refreshIdleAccount(account) {
     if (!accountManager) return;
     if (idleRefreshInFlight.has(account.id)) return;
-    // CC-sourced accounts don't use OAuth idle refresh
-    if (account.source === "cc-keychain" || account.source === "cc-file") return;
+    // CC-sourced and API-key accounts don't use OAuth idle refresh
+    if (account.source === "cc-keychain" || account.source === "cc-file" || isApiKeyAccount(account)) return;
 
     idleRefreshInFlight.add(account.id);
     const attemptedRefreshToken = account.refreshToken;
@@ -2382,6 +3220,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
     const excluded = new Set([activeAccount.index]);
     const candidates = accountManager
       .getEnabledAccounts(excluded)
+      .filter((acc) => !isApiKeyAccount(acc))
       .filter((acc) => !acc.expires || acc.expires <= now + getIdleRefreshWindowMs())
       .filter((acc) => {
         const last = idleRefreshLastAttempt.get(acc.id) ?? 0;
@@ -2405,6 +3244,13 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
   }
 
   return {
+    // Tag Anthropic requests with their OpenCode session so the fetch loader can
+    // keep per-session state; stripped again before the request leaves. Other
+    // providers never reach that fetch, so they get no header.
+    "chat.headers": async (input, output) => {
+      if (input?.model?.providerID !== "anthropic") return;
+      if (input.sessionID && output?.headers) output.headers[SESSION_ID_HEADER] = input.sessionID;
+    },
     // A1-A4: System prompt transform (unchanged)
     "experimental.chat.system.transform": (input, output) => {
       const prefix = CLAUDE_CODE_IDENTITY_STRING;
@@ -2436,7 +3282,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       output.noReply = true;
 
       try {
-        await handleAnthropicSlashCommand(input);
+        await sessionStates.run(resolveHookSessionId(input.sessionID), () => handleAnthropicSlashCommand(input));
       } catch (err) {
         const message = err instanceof Error ? err.message : String(err);
         await sendCommandMessage(input.sessionID, `▣ Anthropic (error)\n\n${message}`);
@@ -2445,15 +3291,23 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
     auth: {
       provider: "anthropic",
       async loader(getAuth, provider) {
+        if (pendingConfigWarning) {
+          debugLog("config check", pendingConfigWarning);
+          toast(pendingConfigWarning, "warning").catch(() => {});
+          pendingConfigWarning = null;
+        }
         const auth = await getAuth();
-        if (auth.type === "oauth") {
+        if (auth.type === "oauth" || auth.type === "api") {
           // B1-B2: Zero out cost for max plan and optionally override context limits.
           for (const model of Object.values(provider.models)) {
-            model.cost = {
-              input: 0,
-              output: 0,
-              cache: { read: 0, write: 0 },
-            };
+            // An API key stored in OpenCode is billed per token, so its prices stay.
+            if (auth.type === "oauth") {
+              model.cost = {
+                input: 0,
+                output: 0,
+                cache: { read: 0, write: 0 },
+              };
+            }
 
             // Override context limits for 1M-window models so OpenCode
             // triggers compaction at the right threshold instead of relying
@@ -2471,38 +3325,42 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
             }
           }
 
-          // Initialize AccountManager from disk + OpenCode auth fallback
-          accountManager = await AccountManager.load(config, {
-            refresh: auth.refresh,
-            access: auth.access,
-            expires: auth.expires,
-          });
+          // Initialize AccountManager from disk + OpenCode auth fallback.
+          // Encrypted storage is unlocked transparently by loadAccounts(); a
+          // locked file must not fall back to auth.json (the next save would
+          // otherwise overwrite the encrypted pool), so surface it and stop.
+          // An API key stored in OpenCode joins the pool as an API-key account.
+          try {
+            accountManager = await AccountManager.load(
+              config,
+              auth.type === "oauth" ? { refresh: auth.refresh, access: auth.access, expires: auth.expires } : null,
+            );
+            if (auth.type === "api" && auth.key) accountManager.addApiKeyAccount(auth.key);
+          } catch (err) {
+            if (/** @type {any} */ (err)?.code === STORAGE_LOCKED_CODE) {
+              await toast(/** @type {Error} */ (err).message, "error");
+            }
+            throw err;
+          }
 
           // If we bootstrapped from auth.json and have no stored accounts file,
           // save immediately to create it (debounced save may not fire in time)
           if (accountManager.getAccountCount() > 0) {
             await accountManager.saveToDisk();
           }
+          // Files pinned in earlier runs, by listing or by `files sync`, stay pinned to their account
+          pinSavedFiles();
 
-          // OPENCODE_ANTHROPIC_INITIAL_ACCOUNT: pin this session to a specific account.
-          // Accepts 1-based index or email. Overrides strategy to sticky and disables
+          // OPENCODE_ANTHROPIC_INITIAL_ACCOUNT (or `initial_account` in config, typically a
+          // project overlay): pin this session to a specific account.
+          // Accepts 1-based index, label or email. Overrides strategy to sticky and disables
           // syncActiveIndexFromDisk so other sessions can't override this one.
           // Use case: terminal 1 with INITIAL_ACCOUNT=1, terminal 2 with =2.
-          const initialAccountEnv = process.env.OPENCODE_ANTHROPIC_INITIAL_ACCOUNT?.trim();
+          const initialAccountEnv = process.env.OPENCODE_ANTHROPIC_INITIAL_ACCOUNT?.trim() || config.initial_account;
           if (initialAccountEnv && accountManager.getAccountCount() > 1) {
-            const accounts = accountManager.getEnabledAccounts();
-            let target = null;
-
-            // Try as 1-based index (use logical index, not array position — QA fix H5)
-            const asIndex = parseInt(initialAccountEnv, 10);
-            if (!isNaN(asIndex) && asIndex >= 1) {
-              target = accounts.find((a) => a.index === asIndex - 1) ?? null;
-            }
-
-            // Try as email
-            if (!target) {
-              target = accounts.find((a) => a.email && a.email.toLowerCase() === initialAccountEnv.toLowerCase());
-            }
+            // 1-based index (logical index, not array position — QA fix H5), label or email
+            const target =
+              accountManager.getEnabledAccounts().find((a) => matchesAccountRef(a, initialAccountEnv)) ?? null;
 
             if (target && accountManager.forceCurrentIndex(target.index)) {
               config.account_selection_strategy = "sticky";
@@ -2510,6 +3368,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
               debugLog("OPENCODE_ANTHROPIC_INITIAL_ACCOUNT: pinned to account", {
                 index: target.index + 1,
                 email: target.email,
+                label: target.label,
                 strategy: "sticky (overridden)",
               });
             } else {
@@ -2533,16 +3392,18 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
           // Pre-warm TCP+TLS connection to Anthropic API (fire-and-forget)
           preconnectApi(config);
 
-          return {
+          const oauthLoader = {
             apiKey: "",
             /**
              * @param {any} input
              * @param {any} init
+             * @param {{ failSpan?: ((error: string) => void) | null }} [scope] - Filled in with a way to end
+             *   the request's OpenTelemetry span, for when the request throws
              */
-            async fetch(input, init) {
+            async fetch(input, init, scope = {}) {
               // Re-read auth for non-oauth fallback
               const currentAuth = await getAuth();
-              if (currentAuth.type !== "oauth") return fetch(input, init);
+              if (currentAuth.type !== "oauth" && currentAuth.type !== "api") return fetch(input, init);
 
               // Transform URL once (shared across retries)
               const requestInit = init ?? {};
@@ -2619,24 +3480,54 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                 }
               }
 
+              // Spend caps: block or downgrade once a cap has been reached
+              if (
+                showUsageToast &&
+                config.budgets?.mode !== "warn" &&
+                !isTruthyEnv(process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET)
+              ) {
+                const { exceeded } = getBudgetStatus();
+                if (exceeded && config.budgets.mode === "block") {
+                  const message = `Anthropic ${describeBudgetCap(exceeded)} reached. Raise it with \`/anthropic budget ${exceeded.scope} <usd>\` or set OPENCODE_ANTHROPIC_IGNORE_BUDGET=1.`;
+                  toast(message, "error", { debounceKey: "budget-block" }).catch(() => {});
+                  debugLog("budget: blocked request", exceeded);
+                  return new Response(
+                    JSON.stringify({ type: "error", error: { type: "invalid_request_error", message } }),
+                    { status: 400, headers: { "content-type": "application/json" } },
+                  );
+                }
+                if (
+                  exceeded &&
+                  config.budgets.mode === "downgrade" &&
+                  _parsedBodyOnce &&
+                  _parsedBodyOnce.model !== config.budgets.downgrade_model
+                ) {
+                  debugLog("budget: downgrading model", {
+                    from: _parsedBodyOnce.model,
+                    to: config.budgets.downgrade_model,
+                  });
+                  _parsedBodyOnce.model = config.budgets.downgrade_model;
+                  requestInit.body = JSON.stringify(_parsedBodyOnce);
+                }
+              }
+
+              // Account group from routing rules (model family, request role, project directory).
+              // A session pinned to one account keeps using it.
+              const routingGroup = initialAccountPinned
+                ? null
+                : resolveRoutingGroup(config.routing, {
+                    model: typeof _parsedBodyOnce?.model === "string" ? _parsedBodyOnce.model : "",
+                    role: classifyRequestRole(_parsedBodyOnce),
+                    directory,
+                    worktree,
+                  });
+              if (routingGroup) debugLog("routing: account group", { group: routingGroup });
+
               let pinnedAccount = null;
-              if (_parsedBodyOnce && fileAccountMap.size > 0) {
-                const fileIds = extractFileIds(_parsedBodyOnce);
-                for (const fid of fileIds) {
-                  const pinnedIndex = fileAccountMap.get(fid);
-                  if (pinnedIndex !== undefined) {
-                    const candidates = accountManager.getEnabledAccounts();
-                    pinnedAccount = candidates.find((a) => a.index === pinnedIndex) ?? null;
-                    if (pinnedAccount) {
-                      debugLog("file-id pinning: routing to account", {
-                        fileId: fid,
-                        accountIndex: pinnedIndex,
-                        email: pinnedAccount.email,
-                      });
-                      break;
-                    }
-                  }
-                }
+              if (_parsedBodyOnce) {
+                const pin = await pinAccountForFiles(_parsedBodyOnce, routingGroup, requestInit.signal);
+                pinnedAccount = pin.account;
+                if (pin.rewritten) requestInit.body = JSON.stringify(_parsedBodyOnce);
               }
 
               let serviceWideRetryCount = 0; // Track 529/503 retries (max 2 per RE doc §5.5)
@@ -2656,18 +3547,40 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
               let _overloadRecoveryAttempted = false; // Guard: only one quota-aware switch per request
               let _connectionResetRetries = 0; // Cap ECONNRESET/EPIPE retries to prevent infinite loop
               let customBetasStripped = false; // One-shot latch: strip config.custom_betas once per logical request
+
+              // OpenTelemetry span covering the whole logical request, retries included.
+              // Ended when the response stream completes or fails, or immediately on
+              // error paths; anything thrown on the way ends it in the fetch wrapper.
+              const otelSpan = otelExporter && showUsageToast ? otelExporter.startSpan("anthropic.messages") : null;
+              let _otelAttempts = 0;
+              /**
+               * @param {Record<string, string | number | null>} attributes
+               * @param {string | null} [error]
+               */
+              let _otelSpanEnded = false;
+              const endOtelSpan = (attributes, error = null) => {
+                if (!otelSpan || _otelSpanEnded) return;
+                _otelSpanEnded = true;
+                otelSpan.setAttributes({ "anthropic.retry.count": Math.max(0, _otelAttempts - 1), ...attributes });
+                otelSpan.end({ error });
+              };
+              if (otelSpan) scope.failSpan = (error) => endOtelSpan({}, error);
+
+              if (showUsageToast) requestCounters.requests++;
+
               for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                _otelAttempts++;
                 // Select account — use pinned account on first attempt if available
                 const account =
                   attempt === 0 && pinnedAccount && !transientRefreshSkips.has(pinnedAccount.index)
                     ? pinnedAccount
-                    : accountManager.getCurrentAccount(transientRefreshSkips);
+                    : accountManager.getCurrentAccount(transientRefreshSkips, routingGroup);
 
                 // Toast account usage on first use and whenever the account changes
                 if (showUsageToast && account && accountManager) {
-                  const currentIndex = accountManager.getCurrentIndex();
+                  const currentIndex = account.index;
                   if (currentIndex !== lastToastedIndex) {
-                    const name = account.email || `Account ${currentIndex + 1}`;
+                    const name = accountDisplayName(account, currentIndex + 1);
                     const total = accountManager.getAccountCount();
                     const msg = total > 1 ? `Claude: ${name} (${currentIndex + 1}/${total})` : `Claude: ${name}`;
                     await toast(msg, "info", { debounceKey: "account-usage" });
@@ -2676,21 +3589,31 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                 }
 
                 if (!account) {
+                  endOtelSpan({}, "no available account");
                   const enabledCount = accountManager.getAccountCount();
                   if (enabledCount === 0) {
                     throw new Error(
                       "No enabled Anthropic accounts available. Enable one with 'opencode-anthropic-auth enable <N>'.",
                     );
                   }
+                  if (accountManager.getEnabledAccounts().length === 0 && accountManager.hasOffHoursAccounts()) {
+                    throw new Error(
+                      "All enabled Anthropic accounts are outside their availability windows. See 'opencode-anthropic-auth list'.",
+                    );
+                  }
                   // All accounts excluded (transient refresh failures) — give up
                   throw new Error("No available Anthropic account for request.");
                 }
 
                 // Determine access token
                 let accessToken;
+                const apiKeyAccount = isApiKeyAccount(account);
                 // Per-account token refresh
                 // Refresh 5 minutes before expiry to avoid mid-request token expiration (RE doc §1.10)
-                if (!account.access || !account.expires || account.expires < Date.now() + 300_000) {
+                if (apiKeyAccount) {
+                  // API keys don't expire; the key is sent as x-api-key.
+                  accessToken = account.apiKey;
+                } else if (!account.access || !account.expires || account.expires < Date.now() + 300_000) {
                   const attemptedRefreshToken = account.refreshToken;
                   try {
                     accessToken = await refreshAccountTokenSingleFlight(account);
@@ -2754,7 +3677,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                           retryAfterSource: details.retryAfterSource,
                         });
                         transientRefreshSkips.add(account.index);
-                        const name = account.email || `Account ${accountManager.getCurrentIndex() + 1}`;
+                        const name = accountDisplayName(account, account.index + 1);
                         await toast(
                           `${name} OAuth refresh rate-limited; pausing ${Math.ceil(backoffMs / 1000)}s`,
                           "warning",
@@ -2764,15 +3687,17 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                       }
 
                       if (details.isInvalidGrant || details.isTerminalStatus) {
-                        const name = account.email || `Account ${accountManager.getCurrentIndex() + 1}`;
+                        const name = accountDisplayName(account, account.index + 1);
                         debugLog("disabling account after terminal refresh failure", {
                           accountIndex: account.index,
                           status: details.status,
                           errorCode: details.errorCode,
                           message: details.message,
                         });
-                        account.enabled = false;
-                        accountManager.requestSaveToDisk();
+                        accountManager.disableAccount(account, "AUTH_FAILED", {
+                          status: details.status,
+                          errorCode: details.errorCode,
+                        });
                         const statusLabel = Number.isFinite(details.status)
                           ? `HTTP ${details.status}`
                           : "unknown status";
@@ -2793,7 +3718,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                 }
 
                 // Store live token for exit telemetry
-                if (accessToken) liveTokenRef.token = accessToken;
+                if (accessToken && !apiKeyAccount) liveTokenRef.token = accessToken;
 
                 // Keep non-active accounts warm without blocking the request.
                 maybeRefreshIdleAccounts(account);
@@ -2806,6 +3731,11 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                   _parsedBodyOnce,
                 );
                 const _reqProvider = detectProvider(requestUrl);
+                // Uncalibrated estimate for this request; calibrated against usage and exact counts.
+                const _rawPromptEstimate =
+                  getTokenCountingMode() !== "heuristic" && _parsedBodyOnce
+                    ? estimatePromptTokensFromParsed(_parsedBodyOnce)
+                    : 0;
 
                 // --- Adaptive 1M context decision (once per logical request, not per retry) ---
                 if (!_adaptiveDecisionMade) {
@@ -2825,9 +3755,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                   if (config.adaptive_context?.enabled && _prevAdaptiveState !== adaptiveContextState.active) {
                     const label = adaptiveContextState.active ? "1M context ON" : "1M context OFF";
                     const variant = adaptiveContextState.active ? "info" : "success";
-                    const est = _parsedBodyOnce
-                      ? estimatePromptTokensFromParsed(_parsedBodyOnce)
-                      : estimatePromptTokens(requestInit.body);
+                    const est = estimateRequestTokens(_parsedBodyOnce, requestInit.body);
                     toast(`⬡ ${label} (est. ${Math.round(est / 1000)}K tokens)`, variant, {
                       debounceKey: "adaptive-ctx",
                     }).catch(() => {});
@@ -2856,9 +3784,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                 // Microcompact: inject clear betas at high context utilization
                 let _microcompactBetas = null;
                 if (requestInit.body) {
-                  const estimatedTokens = _parsedBodyOnce
-                    ? estimatePromptTokensFromParsed(_parsedBodyOnce)
-                    : estimatePromptTokens(requestInit.body);
+                  const estimatedTokens = estimateRequestTokens(_parsedBodyOnce, requestInit.body);
                   if (shouldMicrocompact(estimatedTokens, config)) {
                     _microcompactBetas = buildMicrocompactBetas();
                     if (!microcompactState.active) {
@@ -2970,6 +3896,8 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                 const effectiveCachePolicy = latchedCachePolicy ||
                   config.cache_policy || { ttl: "1h", ttl_supported: true };
 
+                // What `replay` feeds through transformRequestBody, kept for the debug dump
+                const inboundBody = requestInit.body;
                 const body = transformRequestBody(
                   requestInit.body,
                   {
@@ -3014,12 +3942,25 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                   sessionMetrics.lastRequestBody = body.slice(0, 2_000_000);
                 }
 
-                // Pre-call: extract cache source hashes for cache break detection
+                // Pre-call: extract cache source hashes for cache break detection,
+                // plus a canonical snapshot so a break can be explained field by field.
                 if (config.cache_break_detection?.enabled && typeof body === "string") {
-                  const currentHashes = extractCacheSourceHashes(body);
+                  let parsedForCache;
+                  try {
+                    parsedForCache = JSON.parse(body);
+                  } catch {
+                    parsedForCache = undefined;
+                  }
+                  const currentHashes = extractCacheSourceHashes(body, parsedForCache);
                   if (currentHashes.size > 0) {
                     cacheBreakState._pendingHashes = currentHashes;
                   }
+                  if (parsedForCache && typeof parsedForCache === "object") {
+                    cacheBreakState._pendingSnapshot = captureCacheSnapshot(parsedForCache, computedBetaHeader, {
+                      turn: sessionMetrics.turns + 1,
+                      messagesPrefixHash: currentHashes.get("messages_prefix") ?? null,
+                    });
+                  }
                 }
 
                 // Build headers with the selected account's token
@@ -3038,6 +3979,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                   },
                   _adaptiveOverride,
                   _tokenEconomy,
+                  apiKeyAccount ? "api-key" : "oauth",
                 );
                 // cch stays as the static "00000" placeholder — cc-107 and cc-108
                 // JS bundles both emit `cch=00000;` unconditionally in the billing
@@ -3049,31 +3991,33 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                 // Opt-in: dump the OUTGOING body (post-cch) so diagnostics reflect
                 // exactly what went on the wire. Previously dumped `body` which
                 // still had the cch=00000 placeholder — that confused debugging.
+                // The inbound body is dumped next to it: `replay` runs it through
+                // the transform again, so the outgoing body would be transformed twice.
                 // Rotates at 10 files to cap disk usage. Files live under
                 // ~/.opencode/opencode-anthropic-fix/request-dumps/.
-                if (config.token_economy?.debug_dump_bodies === true && typeof finalBody === "string") {
+                const _dumpStamp =
+                  config.token_economy?.debug_dump_bodies === true &&
+                  typeof finalBody === "string" &&
+                  typeof inboundBody === "string"
+                    ? createDumpStamp()
+                    : null;
+                if (_dumpStamp) {
                   try {
-                    const fs = await import("node:fs");
-                    const path = await import("node:path");
-                    const os = await import("node:os");
-                    const dir = path.join(os.homedir(), ".opencode", "opencode-anthropic-fix", "request-dumps");
-                    fs.mkdirSync(dir, { recursive: true });
-                    // Rotate: keep last 10
-                    const existing = fs
-                      .readdirSync(dir)
-                      .filter((f) => f.startsWith("req-") && f.endsWith(".json"))
-                      .sort();
-                    while (existing.length >= 10) {
-                      fs.unlinkSync(path.join(dir, existing.shift()));
-                    }
-                    const ts = new Date().toISOString().replace(/[:.]/g, "-");
-                    fs.writeFileSync(path.join(dir, `req-${ts}.json`), finalBody);
+                    writeDebugDump("req", _dumpStamp, inboundBody);
+                    writeDebugDump("out", _dumpStamp, finalBody);
                   } catch {
                     // Disk full, permissions, whatever — never block the request.
                   }
                 }
 
                 // Execute the request
+                otelSpan?.setAttributes({
+                  "gen_ai.system": "anthropic",
+                  "gen_ai.request.model": _reqModel,
+                  "anthropic.account.index": account.index + 1,
+                  "anthropic.request.role": _requestRole,
+                });
+                const _fetchStartedAt = Date.now();
                 let response;
                 try {
                   response = await fetch(requestInput, {
@@ -3103,6 +4047,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
                   if (isConnectionReset && _connectionResetRetries < 3) {
                     _connectionResetRetries++;
+                    bumpCounter(requestCounters.retries, "connection_reset");
                     requestInit._disableKeepalive = true;
                     debugLog("connection reset detected, disabling keepalive for retry", {
                       code: errCode,
@@ -3122,6 +4067,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                     accountManager.markFailure(account);
                     transientRefreshSkips.add(account.index);
                     lastError = fetchError;
+                    bumpCounter(requestCounters.retries, "account_switch");
                     debugLog("request fetch threw, trying next account", {
                       accountIndex: account.index,
                       message: fetchError.message,
@@ -3129,8 +4075,24 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                     continue;
                   }
 
+                  endOtelSpan({}, fetchError.message || "fetch failed");
                   throw fetchError;
                 }
+                const _ttfbMs = Date.now() - _fetchStartedAt;
+                if (response.status === 529) requestCounters.overloadResponses++;
+
+                // Exact token counting (opt-in): count what was just sent, off the hot path.
+                if (
+                  getTokenCountingMode() === "exact" &&
+                  response.ok &&
+                  _rawPromptEstimate > 0 &&
+                  _requestRole === "main" &&
+                  _reqProvider === "anthropic" &&
+                  typeof finalBody === "string" &&
+                  requestUrl?.pathname.endsWith("/messages")
+                ) {
+                  scheduleExactTokenCount(finalBody, requestUrl, requestHeaders, _reqModel, _rawPromptEstimate);
+                }
 
                 // Debug: log all response headers to file for diagnosis
                 // Placed BEFORE the response.ok guard so we capture headers on ALL responses
@@ -3339,9 +4301,11 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
                     // Preemptive switch threshold
                     if (highestRisk > 0.85 && accountManager.getAccountCount() > 1) {
-                      const currentName = account.email || `Account ${account.index + 1}`;
+                      const currentName = accountDisplayName(account, account.index + 1);
                       const nextAccount = accountManager.peekNextAccount?.();
-                      const nextName = nextAccount?.email || "next account";
+                      const nextName = nextAccount
+                        ? accountDisplayName(nextAccount, nextAccount.index + 1)
+                        : "next account";
                       // QA fix L-predictive: use markPreemptiveSwitch instead of markRateLimited
                       // — the request succeeded (200), so don't penalise consecutiveFailures or health.
                       accountManager.markPreemptiveSwitch(account);
@@ -3667,6 +4631,10 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                   if (shouldRetry === false) {
                     // Server says DO NOT retry — return error directly
                     debugLog("x-should-retry: false — not retrying", { status: response.status });
+                    endOtelSpan(
+                      { "http.response.status_code": response.status, "anthropic.ttfb_ms": _ttfbMs },
+                      `HTTP ${response.status}`,
+                    );
                     return transformResponse(response);
                   }
 
@@ -3676,6 +4644,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                   // Capped at maxShouldRetries to prevent infinite loops (QA fix C1)
                   if (shouldRetry === true && !accountSpecific && shouldRetryCount < maxShouldRetries) {
                     shouldRetryCount++;
+                    bumpCounter(requestCounters.retries, "should_retry");
                     const retryDelay = parseRetryAfterMsHeader(response) ?? parseRetryAfterHeader(response) ?? 2000;
                     debugLog("x-should-retry: true on service-wide error, sleeping before retry", {
                       status: response.status,
@@ -3705,8 +4674,9 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                     ) {
                       debugLog("transient 429: sleeping before same-account retry", {
                         retryAfterMs,
-                        account: account.email || `Account ${account.index + 1}`,
+                        account: accountDisplayName(account, account.index + 1),
                       });
+                      bumpCounter(requestCounters.retries, "transient_429");
                       await new Promise((r) => setTimeout(r, retryAfterMs));
                       // Decrement attempt so this transient retry doesn't consume an account slot
                       attempt--;
@@ -3714,6 +4684,10 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                     }
 
                     accountManager.markRateLimited(account, reason, retryAfterMs);
+                    const switchReason = formatSwitchReason(response.status, reason);
+                    otelSpan?.setAttributes({ "anthropic.switch_reason": switchReason });
+                    bumpCounter(requestCounters.switches, switchReason);
+                    bumpCounter(requestCounters.retries, "account_switch");
 
                     // On auth failures, clear token so next selection forces refresh
                     if (reason === "AUTH_FAILED") {
@@ -3734,7 +4708,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                       debugLog("auto-disabled fast mode after rate limit");
                     }
 
-                    const accountName = account.email || `Account ${account.index + 1}`;
+                    const accountName = accountDisplayName(account, account.index + 1);
                     const lowerBody = String(errorBody || "").toLowerCase();
                     const switchMsg =
                       response.status === 403 || lowerBody.includes("permission")
@@ -3757,6 +4731,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                     serviceWideRetryCount < maxServiceRetries
                   ) {
                     serviceWideRetryCount++;
+                    bumpCounter(requestCounters.retries, "service");
 
                     // Track consecutive 529s for model fallback
                     if (response.status === 529) {
@@ -3832,8 +4807,8 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                       if (config.overload_recovery?.poll_quota_on_overload && account?.access) {
                         pollOAuthUsage(config, account.access).catch(() => {});
                       }
-                      const fromName = account.email || `Account ${account.index + 1}`;
-                      const toName = recovery.nextAccount.email || `Account ${recovery.nextAccount.index + 1}`;
+                      const fromName = accountDisplayName(account, account.index + 1);
+                      const toName = accountDisplayName(recovery.nextAccount, recovery.nextAccount.index + 1);
                       const cooldownMin = Math.ceil(recovery.cooldownMs / 60_000);
                       toast(`529 overloaded: ${fromName} → ${toName} (cooldown ${cooldownMin}m)`, "warning", {
                         debounceKey: "overload-switch",
@@ -3864,6 +4839,10 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                       status: response.status,
                     });
                   }
+                  endOtelSpan(
+                    { "http.response.status_code": response.status, "anthropic.ttfb_ms": _ttfbMs },
+                    `HTTP ${response.status}`,
+                  );
                   return transformResponse(response);
                 }
 
@@ -3888,6 +4867,26 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                       accountManager.recordUsage(account.index, usage);
                       // Phase 4: session metrics
                       updateSessionMetrics(usage, _reqModel);
+                      if (_rawPromptEstimate > 0) {
+                        tokenCountingState.calibrator.observe(
+                          _reqModel,
+                          _rawPromptEstimate,
+                          usage.inputTokens + usage.cacheReadTokens + usage.cacheWriteTokens,
+                        );
+                      }
+                      // Persistent cross-session usage ledger
+                      if (config.usage_ledger?.enabled) {
+                        appendUsageRecord({
+                          accountId: account.id,
+                          model: _reqModel,
+                          role: _requestRole,
+                          ...usage,
+                          costUsd: calculateCostUsd(usage, _reqModel),
+                          cost: calculateCostBreakdown(usage, _reqModel),
+                          billable: apiKeyAccount,
+                        });
+                        maybeCompactUsageLedger({ retainDays: config.usage_ledger.retain_days }).catch(() => {});
+                      }
                       // Cache hit rate warning
                       if (sessionMetrics.turns >= 3) {
                         const avgRate = getAverageCacheHitRate();
@@ -3899,23 +4898,39 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                           });
                         }
                       }
-                      // Budget warning
-                      const maxBudget = parseFloat(process.env.OPENCODE_ANTHROPIC_MAX_BUDGET_USD || "0");
-                      if (maxBudget > 0) {
-                        const pct = sessionMetrics.sessionCostUsd / maxBudget;
-                        if (pct >= 1.0 && !isTruthyEnv(process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET)) {
-                          toast(
-                            `Session budget exceeded ($${sessionMetrics.sessionCostUsd.toFixed(2)} / $${maxBudget.toFixed(2)})`,
-                            "warning",
-                            { debounceKey: "budget" },
-                          ).catch(() => {});
-                        } else if (pct >= 0.8) {
-                          toast(
-                            `Session at ${(pct * 100).toFixed(0)}% of budget ($${sessionMetrics.sessionCostUsd.toFixed(2)} / $${maxBudget.toFixed(2)})`,
-                            "warning",
-                            { debounceKey: "budget" },
-                          ).catch(() => {});
-                        }
+                      // Spend caps: persist daily/project spend, then warn
+                      recordBudgetSpend(calculateCostUsd(usage, _reqModel), {
+                        project: resolveProjectKey(config.budgets, { directory, worktree }),
+                      })
+                        .then((state) => {
+                          const budgetStatus = getBudgetStatus(state);
+                          if (budgetStatus.exceeded && !isTruthyEnv(process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET)) {
+                            const next =
+                              config.budgets.mode === "block"
+                                ? "further requests will be blocked"
+                                : config.budgets.mode === "downgrade"
+                                  ? `switching to ${config.budgets.downgrade_model}`
+                                  : "requests continue (mode: warn)";
+                            toast(`${describeBudgetCap(budgetStatus.exceeded)} exceeded — ${next}`, "warning", {
+                              debounceKey: "budget",
+                            }).catch(() => {});
+                          } else if (budgetStatus.warning) {
+                            toast(
+                              `At ${(budgetStatus.warning.ratio * 100).toFixed(0)}% of ${describeBudgetCap(budgetStatus.warning)}`,
+                              "warning",
+                              { debounceKey: "budget" },
+                            ).catch(() => {});
+                          }
+                        })
+                        .catch(() => {});
+                      // Unknown models cost $0 rather than a guessed price; say so once per model
+                      if (unpricedModels.has(_reqModel) && !warnedUnpricedModels.has(_reqModel)) {
+                        warnedUnpricedModels.add(_reqModel);
+                        toast(
+                          `No price known for ${_reqModel}; its cost is counted as $0. Add it under pricing.models in anthropic-auth.json.`,
+                          "warning",
+                          { debounceKey: `unpriced-${_reqModel}` },
+                        ).catch(() => {});
                       }
                       // Per-turn usage toast (opt-in via /anthropic set usage-toast on)
                       if (config.usage_toast) {
@@ -3966,6 +4981,19 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                             }
                           }
 
+                          // Field-level explanation for /anthropic cache why
+                          if (cacheBreakState._pendingSnapshot && cacheBreakState.snapshot) {
+                            const diff = diffCacheSnapshots(cacheBreakState.snapshot, cacheBreakState._pendingSnapshot);
+                            cacheBreakState.lastReport = formatCacheBreakReport(diff, {
+                              fromTurn: cacheBreakState.snapshot.turn,
+                              toTurn: cacheBreakState._pendingSnapshot.turn,
+                              drop,
+                            });
+                            const summary = summarizeCacheDiff(diff);
+                            if (summary) alertMsg += ` [${summary}]`;
+                            alertMsg += " — /anthropic cache why";
+                          }
+
                           toast(alertMsg, "warning", { debounceKey: "cache-break" }).catch(() => {});
                           cacheBreakState.lastAlertTurn = sessionMetrics.turns;
                         }
@@ -3976,13 +5004,18 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                           cacheBreakState.sourceHashes = cacheBreakState._pendingHashes;
                           delete cacheBreakState._pendingHashes;
                         }
+                        if (cacheBreakState._pendingSnapshot) {
+                          cacheBreakState.previousSnapshot = cacheBreakState.snapshot;
+                          cacheBreakState.snapshot = cacheBreakState._pendingSnapshot;
+                          delete cacheBreakState._pendingSnapshot;
+                        }
                       }
 
                       // Rate limit awareness: periodic usage endpoint polling (A6)
                       const shouldPollUsage =
                         sessionMetrics.turns % 10 === 0 ||
                         Date.now() - sessionMetrics.lastQuota.lastPollAt > 5 * 60_000;
-                      if (shouldPollUsage && accessToken) {
+                      if (shouldPollUsage && accessToken && !apiKeyAccount) {
                         pollOAuthUsage(config, accessToken)
                           .then(() => {
                             // Check warning levels after poll
@@ -4030,6 +5063,9 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 
                       // Mark the account for the NEXT request
                       accountManager.markRateLimited(account, details.reason, null);
+                      const switchReason = formatSwitchReason(0, details.reason);
+                      otelSpan?.setAttributes({ "anthropic.switch_reason": switchReason });
+                      bumpCounter(requestCounters.switches, switchReason);
 
                       // Mid-stream auth errors must invalidate current token so next turn refreshes.
                       if (details.invalidateToken) {
@@ -4037,7 +5073,7 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                         account.expires = 0;
                       }
 
-                      const name = account.email || `Account ${account.index + 1}`;
+                      const name = accountDisplayName(account, account.index + 1);
                       const switchMsg =
                         details.reason === "AUTH_FAILED"
                           ? `authentication failed on ${name}; switching account`
@@ -4050,14 +5086,84 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
                     }
                   : null;
 
-                return transformResponse(response, usageCallback, accountErrorCallback);
+                const streamFailCallback = otelSpan
+                  ? (/** @type {unknown} */ err) =>
+                      endOtelSpan(
+                        {
+                          "http.response.status_code": response.status,
+                          "anthropic.ttfb_ms": _ttfbMs,
+                        },
+                        err instanceof Error ? err.message : String(err),
+                      )
+                  : null;
+                const streamDoneCallback = otelSpan
+                  ? (/** @type {UsageStats} */ stats) => {
+                      recordOtelUsage(stats, _reqModel);
+                      endOtelSpan({
+                        "http.response.status_code": response.status,
+                        "anthropic.ttfb_ms": _ttfbMs,
+                        "anthropic.stream.duration_ms": Date.now() - _fetchStartedAt - _ttfbMs,
+                        "gen_ai.usage.input_tokens": stats.inputTokens,
+                        "gen_ai.usage.output_tokens": stats.outputTokens,
+                        "anthropic.usage.cache_read_tokens": stats.cacheReadTokens,
+                        "anthropic.usage.cache_write_tokens": stats.cacheWriteTokens,
+                      });
+                    }
+                  : null;
+
+                // Opt-in: capture the raw SSE stream next to the request dump so
+                // `replay` can run transformResponse against it later.
+                if (_dumpStamp && config.token_economy?.debug_dump_responses === true && response.body) {
+                  const [clientStream, dumpStream] = response.body.tee();
+                  const dumpResponse = new Response(dumpStream);
+                  response = new Response(clientStream, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                  });
+                  dumpResponse
+                    .text()
+                    .then((text) => writeDebugDump("res", _dumpStamp, text))
+                    .catch(() => {});
+                }
+
+                return transformResponse(
+                  response,
+                  usageCallback,
+                  accountErrorCallback,
+                  streamDoneCallback,
+                  streamFailCallback,
+                );
               }
 
               // All accounts tried
+              endOtelSpan({}, lastError?.message || "all accounts exhausted");
               if (lastError) throw lastError;
               throw new Error("All accounts exhausted — no account could serve this request");
             },
           };
+
+          return {
+            ...oauthLoader,
+            /**
+             * Run each request in its OpenCode session so metrics and context
+             * state stay per session.
+             * @param {any} input
+             * @param {any} init
+             */
+            fetch: (input, init) =>
+              sessionStates.run(readRequestSessionId(input, init), async () => {
+                /** @type {{ failSpan?: ((error: string) => void) | null }} */
+                const scope = {};
+                try {
+                  return await oauthLoader.fetch(input, init, scope);
+                } catch (err) {
+                  // A refresh failure or an aborted request must not leave the span open (ending twice is a no-op)
+                  scope.failSpan?.(err instanceof Error ? err.message : String(err));
+                  throw err;
+                }
+              }),
+          };
         }
 
         return {};
@@ -4190,50 +5296,54 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
         staleReadEviction({ messages: output.messages });
       }
       if (strategies.per_tool_class_prune) {
-        perToolClassPrune({ messages: output.messages });
+        perToolClassPrune({ messages: output.messages, estimate: estimateTextTokens });
       }
     },
-    "experimental.session.compacting": async (input, output) => {
-      // Reset adaptive context state on session compaction (new conversation boundary).
-      // This prevents sticky escalation from leaking across conversations.
-      adaptiveContextState.active = false;
-      adaptiveContextState.lastTransitionTurn = sessionMetrics.turns;
-      adaptiveContextState.escalatedByError = false;
-
-      // Reset cache break detection state on compaction
-      cacheBreakState.prevCacheRead = 0;
-      cacheBreakState.sourceHashes = new Map();
-      cacheBreakState.lastAlertTurn = 0;
-
-      microcompactState.active = false;
-      microcompactState.lastActivatedTurn = 0;
+    "experimental.session.compacting": (input, output) =>
+      sessionStates.run(resolveHookSessionId(input?.sessionID), async () => {
+        // Reset adaptive context state on session compaction (new conversation boundary).
+        // This prevents sticky escalation from leaking across conversations.
+        adaptiveContextState.active = false;
+        adaptiveContextState.lastTransitionTurn = sessionMetrics.turns;
+        adaptiveContextState.escalatedByError = false;
 
-      // Inject Anthropic-specific context into compaction
-      if (!accountManager) return;
-      const account = accountManager.getCurrentAccount();
-      const name = account?.email || "unknown";
-      const q = sessionMetrics.lastQuota;
-      const contextParts = [];
+        // Reset cache break detection state on compaction
+        cacheBreakState.prevCacheRead = 0;
+        cacheBreakState.sourceHashes = new Map();
+        cacheBreakState.lastAlertTurn = 0;
+        cacheBreakState.snapshot = null;
+        cacheBreakState.previousSnapshot = null;
+        cacheBreakState.lastReport = null;
+
+        microcompactState.active = false;
+        microcompactState.lastActivatedTurn = 0;
+
+        // Inject Anthropic-specific context into compaction
+        if (!accountManager) return;
+        const account = accountManager.getCurrentAccount();
+        const name = account ? accountDisplayName(account, account.index + 1) : "unknown";
+        const q = sessionMetrics.lastQuota;
+        const contextParts = [];
 
-      contextParts.push(`## Anthropic Account State
+        contextParts.push(`## Anthropic Account State
 - Active account: ${name}
 - Session cost: $${sessionMetrics.sessionCostUsd.toFixed(4)}
 - Turns: ${sessionMetrics.turns}
 - Cache hit rate: ${(getAverageCacheHitRate() * 100).toFixed(0)}%`);
 
-      if (q.updatedAt > 0) {
-        contextParts.push(
-          `- Rate limit utilization: tokens=${(q.tokens * 100).toFixed(0)}%, requests=${(q.requests * 100).toFixed(0)}%`,
-        );
-      }
+        if (q.updatedAt > 0) {
+          contextParts.push(
+            `- Rate limit utilization: tokens=${(q.tokens * 100).toFixed(0)}%, requests=${(q.requests * 100).toFixed(0)}%`,
+          );
+        }
 
-      output.context.push(contextParts.join("\n"));
+        output.context.push(contextParts.join("\n"));
 
-      // TODO(B3): wire rolling-summarizer once per-session message capture exists
-      // (requires chat.messages.transform accumulator). Module exists at
-      // lib/rolling-summarizer.mjs — call summarize(messages, {haikuCall}) here
-      // behind config.token_economy.rolling_summarizer when messages are available.
-    },
+        // TODO(B3): wire rolling-summarizer once per-session message capture exists
+        // (requires chat.messages.transform accumulator). Module exists at
+        // lib/rolling-summarizer.mjs — call summarize(messages, {haikuCall}) here
+        // behind config.token_economy.rolling_summarizer when messages are available.
+      }),
     /**
      * B3 L2 Option C: Plugin-generated compaction summary via Haiku.
      * Gated on token_economy_strategies.haiku_rolling_summary. See
@@ -4245,7 +5355,8 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
       if (!accountManager) return;
 
       const account = accountManager.getCurrentAccount();
-      if (!account) return;
+      // The Haiku call authenticates with an OAuth bearer token; API-key accounts use default compaction.
+      if (!account || isApiKeyAccount(account)) return;
 
       const getAccessToken = async () => {
         let tok = account.access;
@@ -4276,10 +5387,17 @@ export async function AnthropicAuthPlugin({ client, project, directory, worktree
 // Session-level cache & cost tracking (Phase 4)
 // ---------------------------------------------------------------------------
 
-/** @type {{turns: number, totalInput: number, totalOutput: number, totalCacheRead: number, totalCacheWrite: number, totalWebSearchRequests: number, recentCacheRates: number[], sessionCostUsd: number, costBreakdown: {input: number, output: number, cacheRead: number, cacheWrite: number}, sessionStartTime: number, lastQuota: {tokens: number, requests: number, inputTokens: number, updatedAt: number, fiveHour: {utilization: number, resets_at: string|null, status: string|null, surpassedThreshold: number|null}, sevenDay: {utilization: number, resets_at: string|null, status: string|null, surpassedThreshold: number|null}, overallStatus: string|null, representativeClaim: string|null, fallback: string|null, fallbackPercentage: number|null, overageStatus: string|null, overageReason: string|null, lastPollAt: number}, lastStopReason: string | null, perModel: Record<string, {input: number, output: number, cacheRead: number, cacheWrite: number, costUsd: number, turns: number}>, lastModelId: string | null, lastRequestBody: string | null, tokenBudget: {limit: number, used: number, continuations: number, outputHistory: number[]}}} */
+/** @type {{turns: number, totalInput: number, totalOutput: number, totalCacheRead: number, totalCacheWrite: number, totalWebSearchRequests: number, recentCacheRates: number[], sessionCostUsd: number, costBreakdown: {input: number, output: number, cacheRead: number, cacheWrite: number, webSearch: number}, sessionStartTime: number, lastQuota: {tokens: number, requests: number, inputTokens: number, updatedAt: number, fiveHour: {utilization: number, resets_at: string|null, status: string|null, surpassedThreshold: number|null}, sevenDay: {utilization: number, resets_at: string|null, status: string|null, surpassedThreshold: number|null}, overallStatus: string|null, representativeClaim: string|null, fallback: string|null, fallbackPercentage: number|null, overageStatus: string|null, overageReason: string|null, lastPollAt: number}, lastStopReason: string | null, perModel: Record<string, {input: number, output: number, cacheRead: number, cacheWrite: number, costUsd: number, turns: number}>, lastModelId: string | null, lastRequestBody: string | null, tokenBudget: {limit: number, used: number, continuations: number, outputHistory: number[]}}} */
 /** Module-level config ref for functions outside AnthropicAuthPlugin closure. */
 let _pluginConfig = null;
 
+/**
+ * In-memory account health for cache-stats.json, which the CLI dashboard
+ * reads (the trackers themselves are not persisted).
+ * @type {(() => { id: string, health_score: number, token_bucket: number }[]) | null}
+ */
+let _pluginAccountHealth = null;
+
 /**
  * Factory for the initial sessionMetrics shape. Returns a fresh object each
  * call so the reset helper (and any future test hook) doesn't alias nested
@@ -4296,7 +5414,7 @@ function createInitialSessionMetrics() {
     totalWebSearchRequests: 0,
     recentCacheRates: [], // rolling window of last 5 turns
     sessionCostUsd: 0,
-    costBreakdown: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
+    costBreakdown: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, webSearch: 0 },
     sessionStartTime: Date.now(),
     lastQuota: {
       tokens: 0,
@@ -4332,7 +5450,63 @@ function createInitialSessionMetrics() {
   };
 }
 
-const sessionMetrics = createInitialSessionMetrics();
+/** Rate-limit quota belongs to the account, so every session shares (and reports) the same windows. */
+const sharedQuota = createInitialSessionMetrics().lastQuota;
+
+/** Sessions tracked at once; beyond this the least recently active one is dropped. */
+const MAX_TRACKED_SESSIONS = 32;
+
+/**
+ * Per-session state keyed by OpenCode session ID. One OpenCode server can host
+ * several chat sessions at once; each keeps its own turns, cost, adaptive
+ * context, cache break and microcompact state. Requests resolve their session
+ * from the `x-opencode-session-id` header set in `chat.headers`, hooks from
+ * `input.sessionID`; anything without one uses the default session.
+ */
+const sessionStates = createSessionRegistry({
+  create: () => ({
+    metrics: { ...createInitialSessionMetrics(), lastQuota: sharedQuota },
+    adaptiveContext: createAdaptiveContextState(),
+    cacheBreak: createCacheBreakState(),
+    microcompact: { active: false, lastActivatedTurn: 0 },
+  }),
+  maxSessions: MAX_TRACKED_SESSIONS,
+});
+
+/** Request header carrying the OpenCode session ID from `chat.headers` to the fetch loader. */
+const SESSION_ID_HEADER = "x-opencode-session-id";
+
+/**
+ * OpenCode session ID of a provider request: our own header, or OpenCode's
+ * `x-session-affinity` on builds without the `chat.headers` hook.
+ * @param {any} input
+ * @param {any} init
+ * @returns {string | null}
+ */
+function readRequestSessionId(input, init) {
+  const headers = new Headers(input instanceof Request ? input.headers : undefined);
+  new Headers(init?.headers ?? undefined).forEach((value, key) => headers.set(key, value));
+  const sessionId = headers.get(SESSION_ID_HEADER) || headers.get("x-session-affinity") || null;
+  if (sessionId) requestsCarrySessionId = true;
+  return sessionId;
+}
+
+/** Set once a provider request arrives with a session ID. */
+let requestsCarrySessionId = false;
+
+/**
+ * Session a hook should run in. Until requests carry session IDs (older
+ * OpenCode builds never do), every request lands in the default session, so
+ * hooks must read it too or `/anthropic stats` would always look empty.
+ * @param {string | undefined} sessionId - `input.sessionID` of the hook
+ * @returns {string | undefined}
+ */
+function resolveHookSessionId(sessionId) {
+  return requestsCarrySessionId ? sessionId : undefined;
+}
+
+/** Metrics of the current session (see sessionStates). */
+const sessionMetrics = sessionScoped(() => sessionStates.current().metrics);
 
 // ---------------------------------------------------------------------------
 // Adaptive 1M context state
@@ -4343,15 +5517,32 @@ const sessionMetrics = createInitialSessionMetrics();
  * When adaptive_context.enabled is true, the context-1m-2025-08-07 beta is
  * toggled per-request based on estimated prompt size.
  *
- * @type {{ active: boolean, lastTransitionTurn: number, escalatedByError: boolean }}
- */
-const adaptiveContextState = {
-  /** Whether 1M context beta is currently being sent. */
-  active: false,
-  /** Turn number of the last transition (to avoid flapping). */
-  lastTransitionTurn: 0,
-  /** Set when escalation was triggered by a prompt_too_long error. */
-  escalatedByError: false,
+ * @returns {{ active: boolean, lastTransitionTurn: number, escalatedByError: boolean }}
+ */
+function createAdaptiveContextState() {
+  return {
+    /** Whether 1M context beta is currently being sent. */
+    active: false,
+    /** Turn number of the last transition (to avoid flapping). */
+    lastTransitionTurn: 0,
+    /** Set when escalation was triggered by a prompt_too_long error. */
+    escalatedByError: false,
+  };
+}
+
+/** Adaptive context state of the current session. */
+const adaptiveContextState = sessionScoped(() => sessionStates.current().adaptiveContext);
+
+/**
+ * Prompt token accounting for token_counting modes other than "heuristic".
+ * The calibrator learns a per-model correction for the chars/4 estimate from
+ * observed usage and exact counts; the counter caches exact counts by content hash.
+ *
+ * @type {{ calibrator: import('./lib/token-count.mjs').TokenCalibrator, counter: import('./lib/token-count.mjs').TokenCounter | null }}
+ */
+const tokenCountingState = {
+  calibrator: createTokenCalibrator(),
+  counter: null,
 };
 
 /** Track whether we've already toasted about fast mode being applied this session.
@@ -4366,26 +5557,34 @@ let _fastModeAppliedToast = false;
  * Tracks cache source hashes and previous cache_read_input_tokens to detect
  * cache breaks (e.g. system prompt or tool schema changes).
  *
- * @type {{ prevCacheRead: number, sourceHashes: Map<string, string>, lastAlertTurn: number }}
+ * The last two canonical snapshots are kept so `/anthropic cache why` can
+ * explain what changed, and the report from the most recent alert is retained.
+ *
+ * @returns {{ prevCacheRead: number, sourceHashes: Map<string, string>, lastAlertTurn: number, snapshot: import("./lib/cache-diff.mjs").CacheSnapshot | null, previousSnapshot: import("./lib/cache-diff.mjs").CacheSnapshot | null, lastReport: string | null, _pendingHashes?: Map<string, string>, _pendingSnapshot?: import("./lib/cache-diff.mjs").CacheSnapshot }}
  */
-const cacheBreakState = {
-  prevCacheRead: 0,
-  sourceHashes: new Map(),
-  lastAlertTurn: 0,
-};
+function createCacheBreakState() {
+  return {
+    prevCacheRead: 0,
+    sourceHashes: new Map(),
+    lastAlertTurn: 0,
+    snapshot: null,
+    previousSnapshot: null,
+    lastReport: null,
+  };
+}
+
+/** Cache break detection state of the current session. */
+const cacheBreakState = sessionScoped(() => sessionStates.current().cacheBreak);
 
 // ---------------------------------------------------------------------------
 // Microcompact state (Phase 3, Task 3.4)
 // ---------------------------------------------------------------------------
 
 /**
- * Tracks whether microcompact betas are currently active.
+ * Tracks whether microcompact betas are currently active in the current session.
  * @type {{ active: boolean, lastActivatedTurn: number }}
  */
-const microcompactState = {
-  active: false,
-  lastActivatedTurn: 0,
-};
+const microcompactState = sessionScoped(() => sessionStates.current().microcompact);
 
 /**
  * Determine if microcompact betas should be injected based on estimated token usage.
@@ -4498,7 +5697,7 @@ function computeQuotaWarningLevel(quota) {
  * @returns {string}
  */
 function buildOverloadErrorMessage(account, accountManager, serviceWideRetryCount, maxServiceRetries) {
-  const accountName = account?.email || `Account ${(account?.index ?? 0) + 1}`;
+  const accountName = accountDisplayName(account ?? {}, (account?.index ?? 0) + 1);
   const totalAccounts = accountManager?.getAccountCount() ?? 1;
   const parts = [
     `Anthropic API overloaded (529).`,
@@ -4938,14 +6137,95 @@ function estimatePromptTokensFromParsed(parsed) {
   return Math.ceil(charCount / 4);
 }
 
+/**
+ * Current token_counting mode: "heuristic", "calibrated" or "exact".
+ * @returns {string}
+ */
+function getTokenCountingMode() {
+  return _pluginConfig?.token_counting?.mode ?? "heuristic";
+}
+
+/**
+ * Estimate prompt tokens for a request. Outside heuristic mode the chars/4
+ * estimate is scaled by the calibration learned for the request's model.
+ * @param {object | null | undefined} parsed - Parsed request body, if available
+ * @param {string} [bodyString] - Raw body, used when parsing failed
+ * @returns {number}
+ */
+function estimateRequestTokens(parsed, bodyString) {
+  const estimated = parsed ? estimatePromptTokensFromParsed(parsed) : estimatePromptTokens(bodyString ?? "");
+  const model = /** @type {any} */ (parsed)?.model;
+  if (getTokenCountingMode() === "heuristic" || typeof model !== "string") return estimated;
+  return tokenCountingState.calibrator.adjust(model, estimated);
+}
+
+/**
+ * Estimate tokens for a piece of text (tool output), calibrated against the
+ * model of the last completed turn outside heuristic mode.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTextTokens(text) {
+  if (typeof text !== "string" || text.length === 0) return 0;
+  const estimated = Math.ceil(text.length / 4);
+  if (getTokenCountingMode() === "heuristic" || !sessionMetrics.lastModelId) return estimated;
+  return tokenCountingState.calibrator.adjust(sessionMetrics.lastModelId, estimated);
+}
+
+/**
+ * Count the prompt of a request that was just sent via
+ * /v1/messages/count_tokens, in the background and reusing its headers.
+ * The exact count is cached for `/anthropic context` and calibrates the
+ * estimator against the heuristic estimate of the original body.
+ * @param {string} bodyString - Body as sent upstream
+ * @param {URL} requestUrl
+ * @param {Headers} headers - Headers of the original request (auth, betas)
+ * @param {string} model
+ * @param {number} estimated - Heuristic estimate made for the original body
+ */
+function scheduleExactTokenCount(bodyString, requestUrl, headers, model, estimated) {
+  const counter = tokenCountingState.counter;
+  if (!counter?.ready()) return;
+  let countBody;
+  try {
+    countBody = buildCountTokensBody(JSON.parse(bodyString));
+  } catch {
+    return;
+  }
+  if (!countBody) return;
+
+  const countHeaders = new Headers(headers);
+  const betas = (countHeaders.get("anthropic-beta") || "")
+    .split(",")
+    .map((b) => b.trim())
+    .filter(Boolean);
+  if (!betas.includes(TOKEN_COUNTING_BETA_FLAG)) betas.push(TOKEN_COUNTING_BETA_FLAG);
+  countHeaders.set("anthropic-beta", betas.join(","));
+  countHeaders.set("accept", "application/json");
+  countHeaders.delete("content-length");
+  const countUrl = new URL("/v1/messages/count_tokens?beta=true", requestUrl);
+
+  counter
+    .schedule(hashCountTokensBody(countBody), async () => {
+      const res = await fetch(countUrl, { method: "POST", headers: countHeaders, body: JSON.stringify(countBody) });
+      if (!res.ok) throw new Error(`count_tokens returned ${res.status}`);
+      const data = await res.json();
+      return data?.input_tokens;
+    })
+    ?.then((exact) => {
+      if (exact !== undefined) tokenCountingState.calibrator.observe(model, estimated, exact);
+    });
+}
+
 /**
  * Analyze a request body to produce a token breakdown by role and tool.
  * Used by `/anthropic context` command.
  *
  * @param {string} bodyStr - JSON request body string
+ * @param {number} [ratio] - Calibration applied to the 4 chars/token heuristic
  * @returns {{ systemTokens: number, userTokens: number, assistantTokens: number, toolResultTokens: number, toolBreakdown: Record<string, { tokens: number, count: number }>, totalTokens: number, duplicates: { count: number, wastedTokens: number } }}
  */
-function analyzeRequestContext(bodyStr) {
+function analyzeRequestContext(bodyStr, ratio = 1) {
   const result = {
     systemTokens: 0,
     userTokens: 0,
@@ -4962,8 +6242,8 @@ function analyzeRequestContext(bodyStr) {
     const parsed = JSON.parse(bodyStr);
     const contentHashes = new Map(); // hash → { tokens, count }
 
-    // Estimate tokens from a string (4 chars/token heuristic)
-    const estimateTokens = (/** @type {string} */ s) => Math.ceil((s || "").length / 4);
+    // Estimate tokens from a string (4 chars/token heuristic, optionally calibrated)
+    const estimateTokens = (/** @type {string} */ s) => Math.ceil(((s || "").length / 4) * ratio);
 
     // System prompt
     if (Array.isArray(parsed.system)) {
@@ -5074,7 +6354,7 @@ function resolveAdaptiveContext(bodyString, model, adaptiveConfig, parsedBody) {
     return false;
   }
 
-  const estimatedTokens = parsedBody ? estimatePromptTokensFromParsed(parsedBody) : estimatePromptTokens(bodyString);
+  const estimatedTokens = estimateRequestTokens(parsedBody, bodyString);
   const turnsSinceTransition = sessionMetrics.turns - adaptiveContextState.lastTransitionTurn;
 
   if (adaptiveContextState.active) {
@@ -5140,25 +6420,28 @@ function forceEscalateAdaptiveContext() {
   return !wasActive; // true if state actually changed
 }
 
-const MODEL_PRICING = {
-  "claude-opus-4-6": { input: 15.0, output: 75.0, cacheRead: 1.5, cacheWrite: 18.75 },
-  "claude-sonnet-4-6": { input: 3.0, output: 15.0, cacheRead: 0.3, cacheWrite: 3.75 },
-  "claude-haiku-4-5": { input: 0.8, output: 4.0, cacheRead: 0.08, cacheWrite: 1.0 },
-};
-const DEFAULT_PRICING = MODEL_PRICING["claude-sonnet-4-6"];
+/**
+ * Model prices: the shipped catalog merged with `pricing` config. Rebuilt
+ * when the plugin loads its config.
+ * @type {import("./lib/pricing.mjs").PricingCatalog}
+ */
+let pricingCatalog = createPricingCatalog();
+
+/** Models seen with no known price; their token cost counts as $0. */
+const unpricedModels = new Set();
+
+/** Unpriced models the user has already been told about. */
+const warnedUnpricedModels = new Set();
 
 /**
- * Get pricing for a model, falling back to sonnet pricing for unknown models.
+ * Calculate cost breakdown by category.
+ * @param {UsageStats} usage
  * @param {string} model
- * @returns {{input: number, output: number, cacheRead: number, cacheWrite: number}}
+ * @returns {import("./lib/pricing.mjs").CostBreakdown}
  */
-function getModelPricing(model) {
-  if (!model) return DEFAULT_PRICING;
-  // Prefix match: "claude-opus-4-6-20260101" matches "claude-opus-4-6"
-  for (const [key, pricing] of Object.entries(MODEL_PRICING)) {
-    if (model.startsWith(key)) return pricing;
-  }
-  return DEFAULT_PRICING;
+function calculateCostBreakdown(usage, model) {
+  if (model && !pricingCatalog.resolve(model)) unpricedModels.add(model);
+  return pricingCatalog.cost(usage, model, { cacheTtl: _pluginConfig?.cache_policy?.ttl });
 }
 
 /**
@@ -5168,29 +6451,19 @@ function getModelPricing(model) {
  * @returns {number}
  */
 function calculateCostUsd(usage, model) {
-  const p = getModelPricing(model);
-  return (
-    ((usage.inputTokens || 0) / 1_000_000) * p.input +
-    ((usage.outputTokens || 0) / 1_000_000) * p.output +
-    ((usage.cacheReadTokens || 0) / 1_000_000) * p.cacheRead +
-    ((usage.cacheWriteTokens || 0) / 1_000_000) * p.cacheWrite
-  );
+  const c = calculateCostBreakdown(usage, model);
+  return c.input + c.output + c.cacheRead + c.cacheWrite + c.webSearch;
 }
 
 /**
- * Calculate cost breakdown by category.
- * @param {UsageStats} usage
+ * Cache savings for a model: what its cache reads would have cost at the full input price.
  * @param {string} model
- * @returns {{input: number, output: number, cacheRead: number, cacheWrite: number}}
+ * @param {number} cacheReadTokens
+ * @returns {number}
  */
-function calculateCostBreakdown(usage, model) {
-  const p = getModelPricing(model);
-  return {
-    input: ((usage.inputTokens || 0) / 1_000_000) * p.input,
-    output: ((usage.outputTokens || 0) / 1_000_000) * p.output,
-    cacheRead: ((usage.cacheReadTokens || 0) / 1_000_000) * p.cacheRead,
-    cacheWrite: ((usage.cacheWriteTokens || 0) / 1_000_000) * p.cacheWrite,
-  };
+function calculateCacheSavingsUsd(model, cacheReadTokens) {
+  const rates = pricingCatalog.rates(model);
+  return rates ? (cacheReadTokens / 1_000_000) * (rates.input - rates.cacheRead) : 0;
 }
 
 /**
@@ -5220,6 +6493,7 @@ function updateSessionMetrics(usage, model) {
   sessionMetrics.costBreakdown.output += breakdown.output;
   sessionMetrics.costBreakdown.cacheRead += breakdown.cacheRead;
   sessionMetrics.costBreakdown.cacheWrite += breakdown.cacheWrite;
+  sessionMetrics.costBreakdown.webSearch += breakdown.webSearch;
 
   // Total cost
   sessionMetrics.sessionCostUsd += calculateCostUsd(usage, model);
@@ -5255,14 +6529,33 @@ function updateSessionMetrics(usage, model) {
 
 /**
  * Get rolling average cache hit rate over last 5 turns.
+ * @param {{ recentCacheRates: number[] }} [metrics] - Defaults to the current session
  * @returns {number} 0-1
  */
-function getAverageCacheHitRate() {
-  const rates = sessionMetrics.recentCacheRates;
+function getAverageCacheHitRate(metrics = sessionMetrics) {
+  const rates = metrics.recentCacheRates;
   if (rates.length === 0) return 0;
   return rates.reduce((a, b) => a + b, 0) / rates.length;
 }
 
+/**
+ * Totals across tracked sessions for `/anthropic stats` and the metrics endpoint.
+ * @param {ReturnType<typeof createInitialSessionMetrics>[]} metricsList
+ * @returns {{ turns: number, tokens: number, costUsd: number, cacheHitRate: number }}
+ */
+function aggregateSessionMetrics(metricsList) {
+  const total = { turns: 0, tokens: 0, costUsd: 0, cacheHitRate: 0 };
+  const rates = [];
+  for (const m of metricsList) {
+    total.turns += m.turns;
+    total.tokens += m.totalInput + m.totalOutput + m.totalCacheRead + m.totalCacheWrite;
+    total.costUsd += m.sessionCostUsd;
+    rates.push(...m.recentCacheRates);
+  }
+  total.cacheHitRate = getAverageCacheHitRate({ recentCacheRates: rates });
+  return total;
+}
+
 /**
  * Write cache transparency stats to a well-known JSON file for TUI consumption.
  * The OpenCode TUI watches this file to display cache metrics in the status bar.
@@ -5278,9 +6571,10 @@ function writeCacheStatsFile(usage, model, hitRate) {
     const sessionHitRate = totalPrompt > 0 ? sessionMetrics.totalCacheRead / totalPrompt : 0;
 
     // Calculate cache savings in USD
-    const pricing = MODEL_PRICING[model] || MODEL_PRICING["claude-opus-4-6"] || { input: 15, cacheRead: 1.5 };
-    const savedPerMToken = pricing.input - (pricing.cacheRead || pricing.input * 0.1);
-    const sessionSavingsUsd = (sessionMetrics.totalCacheRead / 1_000_000) * savedPerMToken;
+    const sessionSavingsUsd = Object.entries(sessionMetrics.perModel).reduce(
+      (sum, [mid, pm]) => sum + calculateCacheSavingsUsd(mid, pm.cacheRead),
+      0,
+    );
 
     const stats = {
       // Per-turn stats (latest request)
@@ -5294,6 +6588,7 @@ function writeCacheStatsFile(usage, model, hitRate) {
       },
       // Session-level stats
       session: {
+        id: sessionStates.currentId(),
         turns: sessionMetrics.turns,
         total_input: sessionMetrics.totalInput,
         total_output: sessionMetrics.totalOutput,
@@ -5303,7 +6598,10 @@ function writeCacheStatsFile(usage, model, hitRate) {
         avg_recent_hit_rate: Math.round(avgHitRate * 1000) / 1000,
         cost_usd: Math.round(sessionMetrics.sessionCostUsd * 10000) / 10000,
         cache_savings_usd: Math.round(sessionSavingsUsd * 10000) / 10000,
+        unpriced_models: Object.keys(sessionMetrics.perModel).filter((mid) => unpricedModels.has(mid)),
       },
+      // Health score and token bucket per account, for the CLI dashboard
+      accounts: _pluginAccountHealth?.() ?? [],
       // Config state
       config: {
         cache_ttl: _pluginConfig?.cache_policy?.ttl ?? "1h",
@@ -6360,6 +7658,20 @@ function shouldDebugSystemPrompt() {
   return isTruthyEnv(process.env[DEBUG_SYSTEM_PROMPT_ENV]);
 }
 
+/**
+ * Every leaf of a (partial) config object as [dotted path, value].
+ * @param {Record<string, unknown>} obj
+ * @param {string} [prefix]
+ * @returns {Array<[string, unknown]>}
+ */
+function configLeaves(obj, prefix = "") {
+  return Object.entries(obj).flatMap(([key, value]) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? configLeaves(/** @type {Record<string, unknown>} */ (value), `${prefix}${key}.`)
+      : [/** @type {[string, unknown]} */ ([`${prefix}${key}`, value])],
+  );
+}
+
 /**
  * @param {string | undefined} value
  * @returns {boolean}
@@ -7582,6 +8894,9 @@ async function fetchLatestClaudeCodeVersion(timeoutMs = 1200) {
  * @param {string | undefined} requestBody
  * @param {URL | null} requestUrl
  * @param {{enabled: boolean, claudeCliVersion: string, strategy?: import('./lib/config.mjs').AccountSelectionStrategy, customBetas?: string[], sessionId?: string}} signature
+ * @param {any} [adaptiveOverride]
+ * @param {any} [tokenEconomy]
+ * @param {"oauth" | "api-key"} [credentialType] - "api-key" sends accessToken as x-api-key, without the OAuth beta
  * @returns {Headers}
  */
 function buildRequestHeaders(
@@ -7593,6 +8908,7 @@ function buildRequestHeaders(
   signature,
   adaptiveOverride,
   tokenEconomy,
+  credentialType = "oauth",
 ) {
   const requestHeaders = new Headers();
   if (input instanceof Request) {
@@ -7637,11 +8953,23 @@ function buildRequestHeaders(
     tokenEconomy,
   );
 
-  const authTokenOverride = process.env.ANTHROPIC_AUTH_TOKEN?.trim();
-  const bearerToken = authTokenOverride || accessToken;
-
-  requestHeaders.set("authorization", `Bearer ${bearerToken}`);
-  requestHeaders.set("anthropic-beta", mergedBetas);
+  const usesApiKey = credentialType === "api-key";
+  if (usesApiKey) {
+    requestHeaders.delete("authorization");
+    requestHeaders.set("x-api-key", accessToken);
+    requestHeaders.set(
+      "anthropic-beta",
+      mergedBetas
+        .split(",")
+        .filter((b) => b !== "oauth-2025-04-20")
+        .join(","),
+    );
+  } else {
+    const authTokenOverride = process.env.ANTHROPIC_AUTH_TOKEN?.trim();
+    const bearerToken = authTokenOverride || accessToken;
+    requestHeaders.set("authorization", `Bearer ${bearerToken}`);
+    requestHeaders.set("anthropic-beta", mergedBetas);
+  }
   requestHeaders.set("user-agent", buildExtendedUserAgent(signature.claudeCliVersion));
   if (signature.enabled) {
     requestHeaders.set("anthropic-version", "2023-06-01");
@@ -7697,9 +9025,10 @@ function buildRequestHeaders(
 
     // x-client-request-id: NOT sent by real CC (confirmed via proxy capture). Removed.
   }
-  requestHeaders.delete("x-api-key");
+  if (!usesApiKey) requestHeaders.delete("x-api-key");
   // x-session-affinity: set by opencode SDK but NOT in real CC. Strip it.
   requestHeaders.delete("x-session-affinity");
+  requestHeaders.delete(SESSION_ID_HEADER);
 
   return requestHeaders;
 }
@@ -7873,7 +9202,7 @@ function transformRequestBody(body, signature, runtime, betaHeader, config) {
 
       // (2) Proactive microcompact (client-side, pre-422)
       if (te.proactive_microcompact !== false) {
-        const estimated = estimatePromptTokensFromParsed(parsed);
+        const estimated = estimateRequestTokens(parsed);
         const cw = 200_000; // conservative — 1M models still benefit
         const res = applyProactiveMicrocompact(parsed.messages, {
           estimatedTokens: estimated,
@@ -8316,6 +9645,7 @@ function transformRequestUrl(input) {
  * @property {number} outputTokens
  * @property {number} cacheReadTokens
  * @property {number} cacheWriteTokens
+ * @property {number} [cacheWrite1hTokens] - Part of cacheWriteTokens written with a 1h TTL
  * @property {number} [webSearchRequests]
  */
 
@@ -8332,6 +9662,9 @@ function extractUsageFromSSEEvent(parsed, stats) {
     if (typeof u.output_tokens === "number") stats.outputTokens = u.output_tokens;
     if (typeof u.cache_read_input_tokens === "number") stats.cacheReadTokens = u.cache_read_input_tokens;
     if (typeof u.cache_creation_input_tokens === "number") stats.cacheWriteTokens = u.cache_creation_input_tokens;
+    if (typeof u.cache_creation?.ephemeral_1h_input_tokens === "number") {
+      stats.cacheWrite1hTokens = u.cache_creation.ephemeral_1h_input_tokens;
+    }
     // Web search requests (server tool usage)
     if (typeof u.server_tool_use?.web_search_requests === "number") {
       stats.webSearchRequests = u.server_tool_use.web_search_requests;
@@ -8355,6 +9688,9 @@ function extractUsageFromSSEEvent(parsed, stats) {
     if (stats.cacheWriteTokens === 0 && typeof u.cache_creation_input_tokens === "number") {
       stats.cacheWriteTokens = u.cache_creation_input_tokens;
     }
+    if (stats.cacheWrite1hTokens === undefined && typeof u.cache_creation?.ephemeral_1h_input_tokens === "number") {
+      stats.cacheWrite1hTokens = u.cache_creation.ephemeral_1h_input_tokens;
+    }
   }
 }
 
@@ -8529,10 +9865,16 @@ function stripMcpPrefixFromParsedEvent(parsed) {
  * @param {((stats: UsageStats) => void) | null} [onUsage] - Called when stream ends with final usage
  * @param {((details: {reason: import('./lib/backoff.mjs').RateLimitReason, invalidateToken: boolean}) => void) | null} [onAccountError]
  *   Called if a mid-stream error looks account-specific
+ * @param {((stats: UsageStats) => void) | null} [onDone] - Called once the body has been fully read, even without usage
+ * @param {((error: unknown) => void) | null} [onFail] - Called instead of onDone when reading the body fails or the
+ *   consumer cancels it
  * @returns {Response}
  */
-function transformResponse(response, onUsage, onAccountError) {
-  if (!response.body) return response;
+function transformResponse(response, onUsage, onAccountError, onDone, onFail) {
+  if (!response.body) {
+    onDone?.({ inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 });
+    return response;
+  }
 
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
@@ -8573,7 +9915,7 @@ function transformResponse(response, onUsage, onAccountError) {
       try {
         const parsed = JSON.parse(payload);
 
-        if (onUsage) {
+        if (onUsage || onDone) {
           extractUsageFromSSEEvent(parsed, stats);
         }
 
@@ -8617,8 +9959,16 @@ function transformResponse(response, onUsage, onAccountError) {
   }
 
   const stream = new ReadableStream({
-    async pull(controller) {
-      const { done, value } = await reader.read();
+    // Usage callbacks fire while the consumer pulls; keep them in the request's session.
+    pull: sessionStates.bind(async (controller) => {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (err) {
+        onFail?.(err);
+        throw err;
+      }
+      const { done, value } = chunk;
       if (done) {
         processSSEBuffer(true);
 
@@ -8633,13 +9983,14 @@ function transformResponse(response, onUsage, onAccountError) {
         ) {
           onUsage(stats);
         }
+        onDone?.(stats);
         controller.close();
         return;
       }
 
       const text = decoder.decode(value, { stream: true });
 
-      if (onUsage || onAccountError) {
+      if (onUsage || onAccountError || onDone) {
         // Normalize CRLF for parser only; preserve original bytes for passthrough.
         sseBuffer += text.replace(/\r\n/g, "\n");
         processSSEBuffer(false);
@@ -8653,6 +10004,10 @@ function transformResponse(response, onUsage, onAccountError) {
         // partial line buffered for later rewrite.
         controller.enqueue(EMPTY_CHUNK);
       }
+    }),
+    cancel(reason) {
+      onFail?.(reason ?? new Error("stream cancelled"));
+      return reader.cancel(reason);
     },
   });
 
@@ -8767,6 +10122,9 @@ function applyDiskAuthIfFresher(account, diskAuth, options = {}) {
  * @throws {Error} If refresh fails
  */
 async function refreshAccountToken(account, client, source = "foreground", { onTokensUpdated } = {}) {
+  // API keys never expire and have nothing to refresh.
+  if (isApiKeyAccount(account)) return account.apiKey;
+
   // CC-sourced accounts must NEVER enter the OAuth HTTP refresh flow.
   // Instead, re-read credentials from the CC source.  If they're still
   // expired, let the caller handle it (the account will be skipped).
@@ -8887,8 +10245,6 @@ async function refreshAccountToken(account, client, source = "foreground", { onT
 // Plugin entry point
 // ---------------------------------------------------------------------------
 
-const PENDING_OAUTH_TTL_MS = 10 * 60 * 1000;
-
 /**
  * Remove ANSI color/control codes from output text.
  * @param {string} value
@@ -8947,6 +10303,182 @@ function extractFileIds(body) {
   return ids;
 }
 
+/**
+ * Point file content blocks at other file_ids, in place.
+ * @param {any} body - Parsed JSON body
+ * @param {Map<string, string>} replacements - Old file_id → new file_id
+ */
+function replaceFileIds(body, replacements) {
+  const MAX_DEPTH = 20;
+  function walk(obj, depth) {
+    if (depth > MAX_DEPTH) return;
+    if (Array.isArray(obj)) {
+      for (const item of obj) walk(item, depth + 1);
+    } else if (obj && typeof obj === "object") {
+      const replacement = obj.source?.file_id ? replacements.get(obj.source.file_id) : undefined;
+      if (replacement) obj.source.file_id = replacement;
+      for (const val of Object.values(obj)) {
+        if (val && typeof val === "object") walk(val, depth + 1);
+      }
+    }
+  }
+  walk(body.messages, 0);
+  walk(body.system, 0);
+}
+
+/**
+ * Fresh per-session state for the layered token-economy strategies.
+ */
+function createTokenEconomySession() {
+  return {
+    /** When thinking was last stripped (TTL-based strategy). 0 = never. */
+    lastThinkingStripMs: 0,
+    /** When proactive microcompact was last run (threshold-based). 0 = never. */
+    lastMicrocompactMs: 0,
+    /** Running count of tool_results client-compacted this session. */
+    toolResultsCompacted: 0,
+    /** Running count of thinking blocks stripped this session. */
+    thinkingStripped: 0,
+    /** Map of content-hash → first-seen tool_use_id for cross-turn dedupe. */
+    seenContentHashes: new Map(),
+  };
+}
+
+/** Fixed identifiers used by replays so repeated runs over one dump are comparable. */
+const REPLAY_IDS = {
+  persistentUserId: "0".repeat(64),
+  sessionId: "00000000-0000-4000-8000-000000000000",
+  accountId: "replay",
+  accessToken: "replay-access-token",
+};
+
+/**
+ * Run a captured request body through the offline request pipeline — beta
+ * header, body transform and header construction — the way the fetch
+ * interceptor does for the first request of a fresh session. Nothing is sent.
+ *
+ * @param {string} body - Raw request body (e.g. a `debug_dump_bodies` file)
+ * @param {{ config: import('./lib/config.mjs').AnthropicAuthConfig, url?: string, claudeCliVersion?: string }} options
+ * @returns {{ url: string, headers: Record<string, string>, body: any }}
+ */
+function replayRequest(
+  body,
+  { config, url = "https://api.anthropic.com/v1/messages", claudeCliVersion = FALLBACK_CLAUDE_CLI_VERSION },
+) {
+  const requestUrl = new URL(url);
+  /** @type {any} */
+  let parsed = null;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    // Non-JSON bodies pass through the pipeline untouched.
+  }
+  const { model, hasFileReferences } = parseRequestBodyMetadata(body, parsed);
+  const provider = detectProvider(requestUrl);
+  const requestRole = classifyRequestRole(parsed);
+  const signatureEnabled = config.signature_emulation.enabled;
+  const strategy = config.account_selection_strategy;
+  const customBetas = config.custom_betas ?? [];
+  const tokenEconomy =
+    requestRole === "main"
+      ? { ...config.token_economy, __requestRole: requestRole }
+      : { ...config.token_economy, context_hint: false, __requestRole: requestRole };
+  const adaptiveOverride = config.adaptive_context?.enabled
+    ? { use1MContext: resolveAdaptiveContext(body, model, config.adaptive_context, parsed) }
+    : undefined;
+  const estimatedTokens = estimateRequestTokens(parsed, body);
+  const microcompactBetas = shouldMicrocompact(estimatedTokens, config) ? buildMicrocompactBetas() : null;
+
+  const betaHeader = buildAnthropicBetaHeader(
+    "",
+    signatureEnabled,
+    model,
+    provider,
+    customBetas,
+    strategy,
+    requestUrl.pathname,
+    hasFileReferences,
+    adaptiveOverride,
+    tokenEconomy,
+    microcompactBetas,
+  );
+  const te = config.token_economy_strategies;
+  const transformed = transformRequestBody(
+    body,
+    {
+      enabled: signatureEnabled,
+      claudeCliVersion,
+      promptCompactionMode: config.signature_emulation.prompt_compaction === "off" ? "off" : "minimal",
+      provider,
+      cachePolicy: config.cache_policy || { ttl: "1h", ttl_supported: true },
+      fastMode: config.fast_mode || false,
+      strategy,
+      toolDeferral: te?.tool_deferral,
+      toolDescriptionCompaction: te?.tool_description_compaction,
+      adaptiveToolSet: te?.adaptive_tool_set,
+      systemPromptTailing: te?.system_prompt_tailing,
+      systemPromptTailTurns: te?.system_prompt_tail_turns,
+      systemPromptTailMaxChars: te?.system_prompt_tail_max_chars,
+    },
+    {
+      persistentUserId: REPLAY_IDS.persistentUserId,
+      sessionId: REPLAY_IDS.sessionId,
+      accountId: REPLAY_IDS.accountId,
+      turns: 0,
+      usedTools: new Set(),
+      tokenEconomySession: createTokenEconomySession(),
+      requestRole,
+    },
+    betaHeader,
+    config,
+  );
+  const headers = buildRequestHeaders(
+    requestUrl.toString(),
+    { method: "POST", headers: { "content-type": "application/json" } },
+    REPLAY_IDS.accessToken,
+    transformed,
+    requestUrl,
+    { enabled: signatureEnabled, claudeCliVersion, customBetas, strategy, sessionId: REPLAY_IDS.sessionId },
+    adaptiveOverride,
+    tokenEconomy,
+  );
+
+  let transformedBody = transformed;
+  try {
+    transformedBody = typeof transformed === "string" ? JSON.parse(transformed) : transformed;
+  } catch {
+    // Keep the raw string.
+  }
+  return { url: requestUrl.toString(), headers: normalizeReplayHeaders(headers), body: transformedBody };
+}
+
+/**
+ * Run a (mock-served) response through transformResponse and collect what the
+ * client would have received, plus the usage and account errors it reported.
+ * @param {Response} response
+ * @returns {Promise<{ status: number, body: string, usage: UsageStats | null, accountError: any }>}
+ */
+async function replayResponse(response) {
+  /** @type {UsageStats | null} */
+  let usage = null;
+  let accountError = null;
+  const transformed = transformResponse(
+    response,
+    (stats) => {
+      usage = { ...stats };
+    },
+    (details) => {
+      accountError = details;
+    },
+  );
+  const body = await transformed.text();
+  return { status: transformed.status, body, usage, accountError };
+}
+
+// Offline request/response pipeline for the CLI `replay` command. Attached as
+// a property for the same plugin-loader reason as `__testing__` below.
+AnthropicAuthPlugin.__replay__ = { replayRequest, replayResponse };
+
 // Internals exposed for tests only. Do not consume from production code paths.
 //
 // IMPORTANT: do NOT add a new `export` declaration here. Opencode's plugin
@@ -8991,17 +10523,12 @@ AnthropicAuthPlugin.__testing__ = {
     sessionMetrics.turns = n;
   },
   /** Test-only: reset session metrics between tests.
-   *  Uses createInitialSessionMetrics() so every tracked field — including
-   *  nested objects (lastQuota, perModel, costBreakdown, tokenBudget) and the
-   *  usedTools Set — is restored to its initial value. Mutates the existing
-   *  sessionMetrics object in place because many module-level references
-   *  close over it. */
+   *  Drops every tracked session, so the next access creates fresh state
+   *  from createInitialSessionMetrics(), and clears the shared quota. */
   resetSessionMetricsForTest() {
-    const fresh = createInitialSessionMetrics();
-    for (const key of Object.keys(sessionMetrics)) {
-      delete sessionMetrics[key];
-    }
-    Object.assign(sessionMetrics, fresh);
+    sessionStates.clear();
+    requestsCarrySessionId = false;
+    Object.assign(sharedQuota, createInitialSessionMetrics().lastQuota);
   },
 };
 
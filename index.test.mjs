@@ -8,6 +8,10 @@
  * the real plugin code paths.
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 
 // ---------------------------------------------------------------------------
 // Mocks — must be set up before importing the module under test
@@ -37,6 +41,82 @@ vi.mock("./lib/refresh-lock.mjs", () => ({
   releaseRefreshLock: vi.fn().mockResolvedValue(undefined),
 }));
 
+// Keep the audit log off the real config directory
+vi.mock("./lib/audit-log.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  appendAuditEvent: vi.fn(),
+}));
+
+// Keep tracker state off the real config directory
+vi.mock("./lib/tracker-state.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadTrackerState: vi.fn(() => ({})),
+  saveTrackerState: vi.fn((local) => local),
+}));
+
+// Keep the usage ledger off the real config directory
+vi.mock("./lib/usage-ledger.mjs", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    appendUsageRecord: vi.fn(),
+    maybeCompactUsageLedger: vi.fn(async () => {}),
+  };
+});
+
+// Keep budget spend off the real config directory
+vi.mock("./lib/budget.mjs", async (importOriginal) => {
+  const original = await importOriginal();
+  const emptyState = () => ({ version: 1, daily: { day: "2026-01-01", usd: 0 }, projects: {} });
+  return {
+    ...original,
+    loadBudgetState: vi.fn(emptyState),
+    recordBudgetSpend: vi.fn(async () => emptyState()),
+    resetBudgetSpend: vi.fn(async () => emptyState()),
+  };
+});
+
+// Capture OTLP spans/counters in memory instead of posting through the mocked global fetch
+vi.mock("./lib/otel-exporter.mjs", () => ({
+  createOtelExporter: vi.fn(),
+}));
+
+// Never bind a real port; tests call the captured collect callback directly
+vi.mock("./lib/metrics-server.mjs", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    startMetricsServer: vi.fn(async () => ({ port: 9464, close: async () => {} })),
+  };
+});
+
+// Slash logins wait on a listener the browser never reaches unless a test resolves it
+vi.mock("./lib/oauth-callback.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  startOAuthCallbackServer: vi.fn(async () => ({
+    port: 54545,
+    redirectUri: "http://127.0.0.1:54545/callback",
+    waitForCode: () => new Promise(() => {}),
+    close: async () => {},
+  })),
+}));
+
+// Keep the files sync manifest, and the file pins saved in it, off the real config directory
+vi.mock("./lib/files-sync.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadFilesManifest: vi.fn(() => ({ files: {} })),
+  loadFilePins: vi.fn(() => new Map()),
+  updateFilePins: vi.fn(async () => {}),
+}));
+
+vi.mock("./lib/replay.mjs", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    writeDebugDump: vi.fn(),
+  };
+});
+
 // Mock config — always return defaults
 vi.mock("./lib/config.mjs", async (importOriginal) => {
   const original = await importOriginal();
@@ -81,6 +161,14 @@ vi.stubGlobal("fetch", mockFetch);
 import { AnthropicAuthPlugin } from "./index.mjs";
 import { saveAccounts, loadAccounts, clearAccounts } from "./lib/storage.mjs";
 import { acquireRefreshLock, releaseRefreshLock } from "./lib/refresh-lock.mjs";
+import { appendUsageRecord } from "./lib/usage-ledger.mjs";
+import { loadBudgetState, recordBudgetSpend } from "./lib/budget.mjs";
+import { createOtelExporter } from "./lib/otel-exporter.mjs";
+import { AccountManager } from "./lib/accounts.mjs";
+import { formatPrometheusMetrics, startMetricsServer } from "./lib/metrics-server.mjs";
+import { writeDebugDump } from "./lib/replay.mjs";
+import { startOAuthCallbackServer } from "./lib/oauth-callback.mjs";
+import { loadFilePins, loadFilesManifest, updateFilePins } from "./lib/files-sync.mjs";
 import { loadConfig, loadConfigFresh, saveConfig as saveRuntimeConfig, DEFAULT_CONFIG } from "./lib/config.mjs";
 
 beforeEach(() => {
@@ -402,17 +490,30 @@ describe("plugin lifecycle", () => {
     expect(savedData.accounts[1].refreshToken).toBe("second-refresh");
   });
 
-  it("loader returns empty object for non-oauth auth", async () => {
+  it("loader returns empty object for auth types it does not handle", async () => {
     const plugin = await AnthropicAuthPlugin({ client });
     const getAuth = vi.fn().mockResolvedValue({
-      type: "api",
-      key: "sk-ant-xxx",
+      type: "wellknown",
+      key: "token",
+      token: "token",
     });
 
     const result = await plugin.auth.loader(getAuth, makeProvider());
     expect(result).toEqual({});
     expect(saveAccounts).not.toHaveBeenCalled();
   });
+
+  it("loader adds an API key from opencode auth to the pool", async () => {
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "api",
+      key: "sk-ant-api03-xxx",
+    });
+
+    const result = await plugin.auth.loader(getAuth, makeProvider());
+    expect(result.fetch).toBeTypeOf("function");
+    expect(result.apiKey).toBe("");
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -450,12 +551,20 @@ describe("slash commands", () => {
 
   beforeEach(async () => {
     vi.resetAllMocks();
+    // Slash logins use the loopback listener unless a test runs them over SSH
+    vi.stubEnv("SSH_CONNECTION", "");
+    vi.stubEnv("SSH_CLIENT", "");
+    vi.stubEnv("SSH_TTY", "");
     client = makeClient();
     loadAccounts.mockResolvedValue(null);
     saveAccounts.mockResolvedValue(undefined);
     plugin = await AnthropicAuthPlugin({ client });
   });
 
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
   it("registers /anthropic command in config hook", async () => {
     const cfg = { command: {} };
     await plugin.config(cfg);
@@ -479,6 +588,12 @@ describe("slash commands", () => {
     expect(text).toContain("Anthropic Multi-Account Status");
   });
 
+  it("routes stats ledger queries through the CLI command surface", async () => {
+    const text = await runAnthropic("stats --since 7d --by planet");
+    expect(text).toContain("▣ Anthropic (error)");
+    expect(text).toContain("Invalid --by value: planet");
+  });
+
   it("routes switch through CLI command surface", async () => {
     loadAccounts.mockResolvedValue(
       makeAccountsData([
@@ -564,6 +679,72 @@ describe("slash commands", () => {
     );
   });
 
+  it("completes slash login on its own when the browser reaches the callback listener", async () => {
+    let deliver;
+    const callback = {
+      port: 54545,
+      redirectUri: "http://127.0.0.1:54545/callback",
+      waitForCode: vi.fn(() => new Promise((resolve) => (deliver = resolve))),
+      close: vi.fn(async () => {}),
+    };
+    startOAuthCallbackServer.mockResolvedValueOnce(callback);
+
+    const text = await runAnthropic("login");
+    expect(text).toContain("finishes on its own");
+    expect(text).toContain(encodeURIComponent(callback.redirectUri));
+    const state = text.match(/[?&]state=([^&\s]+)/)[1];
+    expect(callback.waitForCode).toHaveBeenCalledWith(state, 120_000);
+
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        access_token: "access-from-callback",
+        refresh_token: "refresh-from-callback",
+        expires_in: 3600,
+        account: { email_address: "loop@example.com" },
+      }),
+    });
+    deliver({ code: "loop-code", state });
+
+    await vi.waitFor(() => expect(callback.close).toHaveBeenCalledWith(true));
+    const tokenCall = mockFetch.mock.calls.find(([url]) => String(url).includes("/v1/oauth/token"));
+    const body = JSON.parse(tokenCall[1].body);
+    expect(body).toMatchObject({ code: "loop-code", state, redirect_uri: callback.redirectUri });
+    expect(client.session.prompt.mock.calls.at(-1)[0].body.parts[0].text).toContain(
+      "Added account #1 (loop@example.com)",
+    );
+  });
+
+  it("restarts slash login in paste mode when the callback times out", async () => {
+    const callback = {
+      port: 54545,
+      redirectUri: "http://127.0.0.1:54545/callback",
+      waitForCode: vi.fn(async () => null),
+      close: vi.fn(async () => {}),
+    };
+    startOAuthCallbackServer.mockResolvedValueOnce(callback);
+
+    await runAnthropic("login");
+
+    await vi.waitFor(() =>
+      expect(client.session.prompt.mock.calls.at(-1)[0].body.parts[0].text).toContain(
+        "Then run: /anthropic login complete <code#state>",
+      ),
+    );
+    const texts = client.session.prompt.mock.calls.map((call) => call[0].body.parts[0].text);
+    expect(texts.some((t) => t.includes("falling back to pasting the code"))).toBe(true);
+    expect(callback.close).toHaveBeenCalledWith(false);
+  });
+
+  it("asks for the code right away over SSH instead of waiting on the callback listener", async () => {
+    vi.stubEnv("SSH_CONNECTION", "10.0.0.2 50000 10.0.0.1 22");
+
+    const text = await runAnthropic("login");
+
+    expect(startOAuthCallbackServer).not.toHaveBeenCalled();
+    expect(text).toContain("Then run: /anthropic login complete <code#state>");
+  });
+
   it("surfaces token exchange error details in slash OAuth flow", async () => {
     const loginText = await runAnthropic("login");
 
@@ -774,6 +955,24 @@ describe("fetch interceptor", () => {
     expect(headers.has("x-api-key")).toBe(false);
   });
 
+  it("sends x-api-key without the OAuth beta for an API key from opencode auth", async () => {
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({ type: "api", key: "sk-ant-api03-test" });
+    const { fetch: apiKeyFetch } = await plugin.auth.loader(getAuth, makeProvider());
+    mockFetch.mockResolvedValueOnce(new Response("{}", { status: 200 }));
+
+    await apiKeyFetch("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({ messages: [] }),
+    });
+
+    const [, init] = mockFetch.mock.calls.at(-1);
+    expect(init.headers.get("x-api-key")).toBe("sk-ant-api03-test");
+    expect(init.headers.has("authorization")).toBe(false);
+    expect(init.headers.get("anthropic-beta")).not.toContain("oauth-2025-04-20");
+    expect(init.headers.get("anthropic-beta")).toContain("claude-code-20250219");
+  });
+
   it("adds ?beta=true to /v1/messages URL", async () => {
     mockFetch.mockResolvedValueOnce(new Response("", { status: 200 }));
 
@@ -1255,6 +1454,255 @@ describe("file-id account pinning", () => {
     expect(headers.get("authorization")).toBe("Bearer access-2");
   });
 
+  it("pins the files saved in the manifest by an earlier run", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    loadFilePins.mockReturnValue(
+      new Map([
+        ["file-synced", "acct-2"],
+        ["file-orphan", "acct-gone"],
+      ]),
+    );
+    const fetchFn = await setupFetchFn(client, [
+      { id: "acct-1", access: "access-1", expires: Date.now() + 3600_000 },
+      { id: "acct-2", access: "access-2", expires: Date.now() + 3600_000 },
+    ]);
+
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    await fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({
+        messages: [{ role: "user", content: [{ type: "file", source: { type: "file", file_id: "file-synced" } }] }],
+      }),
+    });
+
+    expect(mockFetch.mock.calls[0][1].headers.get("authorization")).toBe("Bearer access-2");
+  });
+
+  it("lists every account's files once to find the owner of an unknown file_id", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    const fetchFn = await setupFetchFn(client, [
+      { id: "acct-1", access: "access-1", expires: Date.now() + 3600_000 },
+      { id: "acct-2", access: "access-2", expires: Date.now() + 3600_000 },
+    ]);
+
+    mockFetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({ data: [] }), { status: 200 }))
+      .mockResolvedValueOnce(new Response(JSON.stringify({ data: [{ id: "file-new" }] }), { status: 200 }))
+      .mockImplementation(async () => new Response('{"content":[]}', { status: 200 }));
+    const send = (fileId) =>
+      fetchFn("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        body: JSON.stringify({
+          messages: [{ role: "user", content: [{ type: "file", source: { type: "file", file_id: fileId } }] }],
+        }),
+      });
+
+    await send("file-new");
+    expect(String(mockFetch.mock.calls[0][0])).toContain("/v1/files?limit=1000");
+    expect(mockFetch.mock.calls[2][1].headers.get("authorization")).toBe("Bearer access-2");
+    expect(updateFilePins).toHaveBeenCalledWith(new Map([["file-new", "acct-2"]]));
+
+    // Still unknown, but the listing is not repeated right away
+    await send("file-unknown");
+    expect(mockFetch).toHaveBeenCalledTimes(4);
+  });
+
+  it("holds requests that arrive during a listing until it finishes", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    const fetchFn = await setupFetchFn(client, [
+      { id: "acct-1", access: "access-1", expires: Date.now() + 3600_000 },
+      { id: "acct-2", access: "access-2", expires: Date.now() + 3600_000 },
+    ]);
+
+    let finishListing = () => {};
+    mockFetch
+      .mockResolvedValueOnce(new Response(JSON.stringify({ data: [] }), { status: 200 }))
+      .mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            finishListing = () =>
+              resolve(new Response(JSON.stringify({ data: [{ id: "file-new" }] }), { status: 200 }));
+          }),
+      )
+      .mockImplementation(async () => new Response('{"content":[]}', { status: 200 }));
+    const send = () =>
+      fetchFn("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        body: JSON.stringify({
+          messages: [{ role: "user", content: [{ type: "file", source: { type: "file", file_id: "file-new" } }] }],
+        }),
+      });
+
+    const first = send();
+    await vi.waitFor(() => expect(mockFetch).toHaveBeenCalledTimes(2));
+    const second = send();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+    finishListing();
+    await Promise.all([first, second]);
+
+    expect(mockFetch).toHaveBeenCalledTimes(4);
+    expect(mockFetch.mock.calls[2][1].headers.get("authorization")).toBe("Bearer access-2");
+    expect(mockFetch.mock.calls[3][1].headers.get("authorization")).toBe("Bearer access-2");
+  });
+
+  it("waits for an owner whose rate limit lifts within max_wait_seconds", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    loadFilePins.mockReturnValue(new Map([["file-old", "acct-2"]]));
+    const fetchFn = await setupFetchFn(client, [
+      { id: "acct-1", access: "access-1", expires: Date.now() + 3600_000 },
+      {
+        id: "acct-2",
+        access: "access-2",
+        expires: Date.now() + 3600_000,
+        rateLimitResetTimes: { anthropic: Date.now() + 50 },
+      },
+    ]);
+
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    await fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({
+        messages: [{ role: "user", content: [{ type: "file", source: { type: "file", file_id: "file-old" } }] }],
+      }),
+    });
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockFetch.mock.calls[0][1].headers.get("authorization")).toBe("Bearer access-2");
+  });
+
+  it("stops waiting for a rate-limited owner when the request is aborted", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    loadFilePins.mockReturnValue(new Map([["file-old", "acct-2"]]));
+    const fetchFn = await setupFetchFn(client, [
+      { id: "acct-1", access: "access-1", expires: Date.now() + 3600_000 },
+      {
+        id: "acct-2",
+        access: "access-2",
+        expires: Date.now() + 3600_000,
+        rateLimitResetTimes: { anthropic: Date.now() + 20_000 },
+      },
+    ]);
+
+    const controller = new AbortController();
+    const request = fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      signal: controller.signal,
+      body: JSON.stringify({
+        messages: [{ role: "user", content: [{ type: "file", source: { type: "file", file_id: "file-old" } }] }],
+      }),
+    });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(request).rejects.toThrow(/abort/i);
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it("does not wait out an owner's soft cooldown", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    loadFilePins.mockReturnValue(new Map([["file-synced", "acct-2"]]));
+    const fetchFn = await setupFetchFn(client, [
+      { id: "acct-1", access: "access-1", expires: Date.now() + 3600_000 },
+      {
+        id: "acct-2",
+        access: "access-2",
+        expires: Date.now() + 3600_000,
+        rateLimitResetTimes: { soft_cooldown: Date.now() + 10_000 },
+      },
+    ]);
+
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    await fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({
+        messages: [{ role: "user", content: [{ type: "file", source: { type: "file", file_id: "file-synced" } }] }],
+      }),
+    });
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(mockFetch.mock.calls[0][1].headers.get("authorization")).toBe("Bearer access-2");
+  });
+
+  it("re-uploads synced files to another account while the owner stays rate-limited", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    const dir = mkdtempSync(join(tmpdir(), "opencode-file-pins-"));
+    try {
+      const path = join(dir, "notes.txt");
+      writeFileSync(path, "hello");
+      const sha256 = createHash("sha256").update("hello").digest("hex");
+      loadFilePins.mockReturnValue(new Map([["file-synced", "acct-2"]]));
+      loadFilesManifest.mockReturnValue({
+        files: { [path]: { fileId: "file-synced", accountId: "acct-2", sha256, size: 5, uploadedAt: 1 } },
+      });
+      const fetchFn = await setupFetchFn(client, [
+        { id: "acct-1", access: "access-1", expires: Date.now() + 3600_000 },
+        {
+          id: "acct-2",
+          access: "access-2",
+          expires: Date.now() + 3600_000,
+          rateLimitResetTimes: { anthropic: Date.now() + 3600_000 },
+        },
+      ]);
+
+      mockFetch
+        .mockResolvedValueOnce(new Response(JSON.stringify({ id: "file-copy" }), { status: 200 }))
+        .mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+      await fetchFn("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        body: JSON.stringify({
+          messages: [{ role: "user", content: [{ type: "file", source: { type: "file", file_id: "file-synced" } }] }],
+        }),
+      });
+
+      const [uploadUrl, uploadInit] = mockFetch.mock.calls[0];
+      expect(uploadUrl).toBe("https://api.anthropic.com/v1/files");
+      expect(uploadInit.headers.authorization).toBe("Bearer access-1");
+      const [, messagesInit] = mockFetch.mock.calls[1];
+      expect(messagesInit.headers.get("authorization")).toBe("Bearer access-1");
+      expect(JSON.parse(messagesInit.body).messages[0].content[0].source.file_id).toBe("file-copy");
+      expect(updateFilePins).toHaveBeenCalledWith(new Map([["file-copy", "acct-1"]]));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("/anthropic files sync shows the plan without applying it", async () => {
+    vi.resetAllMocks();
+    const client = makeClient();
+    const dir = mkdtempSync(join(tmpdir(), "opencode-files-sync-"));
+    try {
+      writeFileSync(join(dir, "a.txt"), "hello");
+      loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acct-1", email: "a@test.com" }]));
+      const plugin = await AnthropicAuthPlugin({ client });
+      await plugin.auth.loader(
+        vi.fn().mockResolvedValue({ type: "oauth", refresh: "refresh-1", access: "access-1", expires: 0 }),
+        makeProvider(),
+      );
+      mockFetch.mockReset();
+
+      await plugin["command.execute.before"](
+        { command: "anthropic", arguments: `files sync ${dir}`, sessionID: "s1" },
+        { parts: [] },
+      );
+
+      const text = client.session.prompt.mock.calls.at(-1)[0].body.parts[0].text;
+      expect(text).toContain("▣ Anthropic Files");
+      expect(text).toContain("+ a.txt");
+      expect(text).toContain("1 to upload, 0 to delete, 0 unchanged.");
+      expect(text).toContain("--force to apply this plan");
+      expect(mockFetch).not.toHaveBeenCalled();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
   it("uses default account selection when no file_ids are referenced", async () => {
     vi.resetAllMocks();
     const client = makeClient();
@@ -3980,6 +4428,43 @@ describe("OPENCODE_ANTHROPIC_INITIAL_ACCOUNT", () => {
     expect(init.headers.get("authorization")).toBe("Bearer access-2");
   });
 
+  it("pins session to specific account by label", async () => {
+    vi.resetAllMocks();
+    process.env.OPENCODE_ANTHROPIC_INITIAL_ACCOUNT = "Backup";
+    process.env.OPENCODE_ANTHROPIC_SIGNATURE_USER_ID = "test-signature-user";
+
+    const client = makeClient();
+    const data = makeAccountsData([
+      { refreshToken: "refresh-1", email: "a@test.com", access: "access-1", expires: Date.now() + 3600_000 },
+      {
+        refreshToken: "refresh-2",
+        label: "backup",
+        access: "access-2",
+        expires: Date.now() + 3600_000,
+      },
+    ]);
+    loadAccounts.mockResolvedValue(data);
+    saveAccounts.mockResolvedValue(undefined);
+
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "oauth",
+      refresh: "refresh-1",
+      access: "access-1",
+      expires: Date.now() + 3600_000,
+    });
+    const result = await plugin.auth.loader(getAuth, makeProvider());
+
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    await result.fetch("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({ messages: [{ role: "user", content: "hello" }] }),
+    });
+
+    const [, init] = mockFetch.mock.calls[0];
+    expect(init.headers.get("authorization")).toBe("Bearer access-2");
+  });
+
   it("includes prompt-caching beta when round-robin config is overridden to sticky by pinning", async () => {
     vi.resetAllMocks();
     process.env.OPENCODE_ANTHROPIC_INITIAL_ACCOUNT = "1";
@@ -4073,7 +4558,44 @@ describe("OPENCODE_ANTHROPIC_INITIAL_ACCOUNT", () => {
     const [, init] = mockFetch.mock.calls[0];
     expect(init.headers.get("authorization")).toBe("Bearer access-1");
   });
-});
+
+  it("pins from the initial_account config key when the env var is unset", async () => {
+    vi.resetAllMocks();
+    loadConfig.mockReturnValue({
+      ...DEFAULT_CONFIG,
+      signature_emulation: { ...DEFAULT_CONFIG.signature_emulation, fetch_claude_code_version_on_startup: false },
+      idle_refresh: { ...DEFAULT_CONFIG.idle_refresh, enabled: false },
+      initial_account: "b@test.com",
+    });
+
+    const client = makeClient();
+    loadAccounts.mockResolvedValue(
+      makeAccountsData([
+        { refreshToken: "refresh-1", email: "a@test.com", access: "access-1", expires: Date.now() + 3600_000 },
+        { refreshToken: "refresh-2", email: "b@test.com", access: "access-2", expires: Date.now() + 3600_000 },
+      ]),
+    );
+    saveAccounts.mockResolvedValue(undefined);
+
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "oauth",
+      refresh: "refresh-1",
+      access: "access-1",
+      expires: Date.now() + 3600_000,
+    });
+    const result = await plugin.auth.loader(getAuth, makeProvider());
+
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    await result.fetch("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({ messages: [{ role: "user", content: "hello" }] }),
+    });
+
+    const [, init] = mockFetch.mock.calls[0];
+    expect(init.headers.get("authorization")).toBe("Bearer access-2");
+  });
+});
 
 // ---------------------------------------------------------------------------
 // markSuccess wiring
@@ -4148,7 +4670,7 @@ describe("markSuccess wiring", () => {
 
       const response = await fetchFn("https://api.anthropic.com/v1/messages", {
         method: "POST",
-        body: JSON.stringify({ messages: [{ role: "user", content: "Hi" }] }),
+        body: JSON.stringify({ model: "claude-sonnet-4-6", messages: [{ role: "user", content: "Hi" }] }),
       });
 
       expect(response.status).toBe(200);
@@ -4168,6 +4690,19 @@ describe("markSuccess wiring", () => {
       expect(acc.stats.requests).toBeGreaterThan(0);
       expect(acc.stats.outputTokens).toBe(42);
       expect(acc.stats.inputTokens).toBe(25);
+
+      // The same usage lands in the persistent ledger, tagged with account and role
+      expect(appendUsageRecord).toHaveBeenCalledWith(
+        expect.objectContaining({
+          accountId: acc.id,
+          role: "small",
+          inputTokens: 25,
+          outputTokens: 42,
+          cacheReadTokens: 10,
+          cacheWriteTokens: 5,
+        }),
+      );
+      expect(appendUsageRecord.mock.calls[0][0].costUsd).toBeGreaterThan(0);
     } finally {
       vi.useRealTimers();
     }
@@ -5651,3 +6186,1042 @@ describe("custom_betas retry latch (400/anthropic-beta and 413)", () => {
     expect(mockFetch.mock.calls.length).toBeLessThan(30);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Spend caps (budgets)
+// ---------------------------------------------------------------------------
+
+describe("spend caps", () => {
+  const savedIgnore = process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET;
+
+  function budgetConfig(budgets) {
+    return {
+      ...DEFAULT_CONFIG,
+      signature_emulation: { ...DEFAULT_CONFIG.signature_emulation, fetch_claude_code_version_on_startup: false },
+      override_model_limits: { ...DEFAULT_CONFIG.override_model_limits },
+      idle_refresh: { ...DEFAULT_CONFIG.idle_refresh, enabled: false },
+      budgets: { ...DEFAULT_CONFIG.budgets, project_usd: {}, ...budgets },
+    };
+  }
+
+  function overDailyCap() {
+    loadBudgetState.mockReturnValue({ version: 1, daily: { day: "2026-01-01", usd: 25 }, projects: {} });
+  }
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    delete process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET;
+  });
+
+  afterEach(() => {
+    if (savedIgnore === undefined) delete process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET;
+    else process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET = savedIgnore;
+  });
+
+  const body = JSON.stringify({
+    model: "claude-opus-4-6",
+    max_tokens: 4096,
+    messages: [{ role: "user", content: "hi" }],
+  });
+
+  it("blocks requests once a cap is reached in block mode", async () => {
+    loadConfig.mockReturnValue(budgetConfig({ daily_usd: 20, mode: "block" }));
+    overDailyCap();
+    const client = makeClient();
+    const fetchFn = await setupFetchFn(client);
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+
+    expect(response.status).toBe(400);
+    const payload = await response.json();
+    expect(payload.error.message).toContain("daily budget ($25.00 / $20.00)");
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it("downgrades the model once a cap is reached in downgrade mode", async () => {
+    loadConfig.mockReturnValue(budgetConfig({ daily_usd: 20, mode: "downgrade" }));
+    overDailyCap();
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    const client = makeClient();
+    const fetchFn = await setupFetchFn(client);
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+
+    expect(response.status).toBe(200);
+    const sent = JSON.parse(mockFetch.mock.calls[0][1].body);
+    expect(sent.model).toBe("claude-haiku-4-5");
+  });
+
+  it("only warns in warn mode", async () => {
+    loadConfig.mockReturnValue(budgetConfig({ daily_usd: 20, mode: "warn" }));
+    overDailyCap();
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    const client = makeClient();
+    const fetchFn = await setupFetchFn(client);
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(mockFetch.mock.calls[0][1].body).model).toBe("claude-opus-4-6");
+  });
+
+  it("skips enforcement when OPENCODE_ANTHROPIC_IGNORE_BUDGET is set", async () => {
+    process.env.OPENCODE_ANTHROPIC_IGNORE_BUDGET = "1";
+    loadConfig.mockReturnValue(budgetConfig({ daily_usd: 20, mode: "block" }));
+    overDailyCap();
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+    const client = makeClient();
+    const fetchFn = await setupFetchFn(client);
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+    expect(response.status).toBe(200);
+  });
+
+  it("records streamed request cost toward daily and project caps", async () => {
+    loadConfig.mockReturnValue(budgetConfig({}));
+    const client = makeClient();
+    const fetchFn = await setupFetchFn(client);
+    const sseBody = [
+      "event: message_delta",
+      'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"input_tokens":1000000,"output_tokens":0}}',
+      "",
+    ].join("\n");
+    mockFetch.mockResolvedValueOnce(
+      new Response(sseBody, { status: 200, headers: { "content-type": "text/event-stream" } }),
+    );
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+    await response.text();
+
+    // 1M prompt tokens on claude-opus-4-6 are billed at the long-context input price
+    expect(recordBudgetSpend).toHaveBeenCalledWith(10, expect.objectContaining({ project: null }));
+  });
+
+  describe("/anthropic budget", () => {
+    async function runBudget(client, plugin, args) {
+      client.session.prompt.mockClear();
+      await plugin["command.execute.before"](
+        { command: "anthropic", arguments: `budget ${args}`.trim(), sessionID: "s1" },
+        { parts: [] },
+      );
+      const calls = client.session.prompt.mock.calls;
+      return calls[calls.length - 1][0].body.parts[0].text;
+    }
+
+    it("shows caps and spend", async () => {
+      loadConfig.mockReturnValue(budgetConfig({ daily_usd: 20, mode: "block" }));
+      overDailyCap();
+      const client = makeClient();
+      const plugin = await AnthropicAuthPlugin({ client, directory: "/work/repo" });
+
+      const text = await runBudget(client, plugin, "");
+      expect(text).toContain("Mode: block");
+      expect(text).toContain("Daily:   $25.00 / $20.00 (125%)");
+      expect(text).toContain("Session: $");
+      expect(text).toContain("/work/repo");
+      expect(text).toContain("Exceeded: daily budget");
+    });
+
+    it("updates caps and mode live", async () => {
+      loadConfig.mockReturnValue(budgetConfig({}));
+      const client = makeClient();
+      const plugin = await AnthropicAuthPlugin({ client, directory: "/work/repo" });
+
+      let text = await runBudget(client, plugin, "daily 12.5");
+      expect(saveRuntimeConfig).toHaveBeenCalledWith({ budgets: { daily_usd: 12.5 } });
+      expect(text).toContain("Daily:   $0.00 / $12.50 (0%)");
+
+      text = await runBudget(client, plugin, "project 40");
+      expect(saveRuntimeConfig).toHaveBeenCalledWith({ budgets: { project_usd: { "/work/repo": 40 } } });
+      expect(text).toContain("Project: $0.00 / $40.00 (0%)");
+
+      text = await runBudget(client, plugin, "mode downgrade");
+      expect(saveRuntimeConfig).toHaveBeenCalledWith({ budgets: { mode: "downgrade" } });
+      expect(text).toContain("Downgrade model: claude-haiku-4-5");
+    });
+
+    it("rejects invalid values", async () => {
+      loadConfig.mockReturnValue(budgetConfig({}));
+      const client = makeClient();
+      const plugin = await AnthropicAuthPlugin({ client });
+
+      expect(await runBudget(client, plugin, "daily lots")).toContain("Usage: /anthropic budget daily <usd|off>");
+      expect(await runBudget(client, plugin, "mode panic")).toContain("Invalid mode");
+      expect(saveRuntimeConfig).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// OpenTelemetry export
+// ---------------------------------------------------------------------------
+
+describe("otel export", () => {
+  function otelConfig() {
+    return {
+      ...DEFAULT_CONFIG,
+      signature_emulation: { ...DEFAULT_CONFIG.signature_emulation, fetch_claude_code_version_on_startup: false },
+      override_model_limits: { ...DEFAULT_CONFIG.override_model_limits },
+      idle_refresh: { ...DEFAULT_CONFIG.idle_refresh, enabled: false },
+      otel: { ...DEFAULT_CONFIG.otel, enabled: true },
+    };
+  }
+
+  function fakeExporter() {
+    const spans = [];
+    const counters = [];
+    return {
+      spans,
+      counters,
+      startSpan(name) {
+        const span = { name, attributes: {}, ended: 0, error: null };
+        spans.push(span);
+        return {
+          setAttributes: (attrs) => Object.assign(span.attributes, attrs),
+          end: ({ error } = {}) => {
+            span.ended++;
+            span.error = error ?? null;
+          },
+        };
+      },
+      addCounter: (name, value, attributes) => counters.push({ name, value, attributes }),
+      flush: async () => {},
+      shutdown: async () => {},
+    };
+  }
+
+  const body = JSON.stringify({
+    model: "claude-opus-4-6",
+    max_tokens: 4096,
+    messages: [{ role: "user", content: "hi" }],
+  });
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("does not create an exporter unless enabled", async () => {
+    loadConfig.mockReturnValue({ ...otelConfig(), otel: { ...DEFAULT_CONFIG.otel } });
+    await AnthropicAuthPlugin({ client: makeClient() });
+    expect(createOtelExporter).not.toHaveBeenCalled();
+  });
+
+  it("ends one span per streamed request with usage attributes and counters", async () => {
+    const exporter = fakeExporter();
+    createOtelExporter.mockReturnValue(exporter);
+    loadConfig.mockReturnValue(otelConfig());
+    const fetchFn = await setupFetchFn(makeClient());
+    const sseBody = [
+      "event: message_start",
+      'data: {"type":"message_start","message":{"usage":{"input_tokens":10,"cache_read_input_tokens":200,"cache_creation_input_tokens":5}}}',
+      "",
+      "event: message_delta",
+      'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":7}}',
+      "",
+    ].join("\n");
+    mockFetch.mockResolvedValueOnce(
+      new Response(sseBody, { status: 200, headers: { "content-type": "text/event-stream" } }),
+    );
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+    expect(exporter.spans[0].ended).toBe(0);
+    await response.text();
+
+    expect(exporter.spans).toHaveLength(1);
+    const [span] = exporter.spans;
+    expect(span.ended).toBe(1);
+    expect(span.error).toBeNull();
+    expect(span.attributes).toMatchObject({
+      "gen_ai.request.model": "claude-opus-4-6",
+      "anthropic.account.index": 1,
+      "anthropic.request.role": "main",
+      "anthropic.retry.count": 0,
+      "http.response.status_code": 200,
+      "gen_ai.usage.input_tokens": 10,
+      "gen_ai.usage.output_tokens": 7,
+      "anthropic.usage.cache_read_tokens": 200,
+      "anthropic.usage.cache_write_tokens": 5,
+    });
+    expect(typeof span.attributes["anthropic.ttfb_ms"]).toBe("number");
+    expect(typeof span.attributes["anthropic.stream.duration_ms"]).toBe("number");
+
+    const tokens = exporter.counters.filter((c) => c.name === "anthropic.tokens");
+    expect(tokens.map((c) => [c.attributes["gen_ai.token.type"], c.value])).toEqual([
+      ["input", 10],
+      ["output", 7],
+      ["cache_read", 200],
+      ["cache_write", 5],
+    ]);
+    expect(exporter.counters.find((c) => c.name === "anthropic.cost").value).toBeGreaterThan(0);
+  });
+
+  it("records retries and the switch reason after a 429", async () => {
+    const exporter = fakeExporter();
+    createOtelExporter.mockReturnValue(exporter);
+    loadConfig.mockReturnValue(otelConfig());
+    const fetchFn = await setupFetchFn(makeClient(), [{}, {}]);
+    mockFetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: { type: "rate_limit_error", message: "Rate limit exceeded" } }), {
+        status: 429,
+        headers: { "retry-after": "0" },
+      }),
+    );
+    mockFetch.mockResolvedValueOnce(mockTokenRefresh("access-2", "refresh-2"));
+    mockFetch.mockResolvedValueOnce(new Response('{"content":[]}', { status: 200 }));
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+    await response.text();
+
+    const [span] = exporter.spans;
+    expect(span.ended).toBe(1);
+    expect(span.attributes).toMatchObject({
+      "anthropic.account.index": 2,
+      "anthropic.retry.count": 1,
+      "anthropic.switch_reason": "rate-limited",
+      "http.response.status_code": 200,
+    });
+  });
+
+  it("marks the span as failed on a service-wide error", async () => {
+    const exporter = fakeExporter();
+    createOtelExporter.mockReturnValue(exporter);
+    loadConfig.mockReturnValue(otelConfig());
+    const fetchFn = await setupFetchFn(makeClient());
+    mockFetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: { type: "invalid_request_error", message: "bad" } }), { status: 400 }),
+    );
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+
+    expect(response.status).toBe(400);
+    expect(exporter.spans[0]).toMatchObject({ ended: 1, error: "HTTP 400" });
+    expect(exporter.spans[0].attributes["http.response.status_code"]).toBe(400);
+  });
+
+  it("ends the span with an error when the request is aborted", async () => {
+    const exporter = fakeExporter();
+    createOtelExporter.mockReturnValue(exporter);
+    loadConfig.mockReturnValue(otelConfig());
+    const fetchFn = await setupFetchFn(makeClient());
+    mockFetch.mockRejectedValueOnce(Object.assign(new Error("This operation was aborted"), { name: "AbortError" }));
+
+    await expect(fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body })).rejects.toThrow("aborted");
+    expect(exporter.spans[0]).toMatchObject({ ended: 1, error: "This operation was aborted" });
+  });
+
+  it("ends the span with an error when something throws mid-request", async () => {
+    const exporter = fakeExporter();
+    createOtelExporter.mockReturnValue(exporter);
+    loadConfig.mockReturnValue(otelConfig());
+    const fetchFn = await setupFetchFn(makeClient());
+    const spy = vi.spyOn(AccountManager.prototype, "getCurrentAccount").mockImplementationOnce(() => {
+      throw new Error("account store unreadable");
+    });
+
+    try {
+      await expect(fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body })).rejects.toThrow(
+        "account store unreadable",
+      );
+    } finally {
+      spy.mockRestore();
+    }
+    expect(exporter.spans[0]).toMatchObject({ ended: 1, error: "account store unreadable" });
+  });
+
+  it("ends the span with an error when the response stream is cancelled", async () => {
+    const exporter = fakeExporter();
+    createOtelExporter.mockReturnValue(exporter);
+    loadConfig.mockReturnValue(otelConfig());
+    const fetchFn = await setupFetchFn(makeClient());
+    mockFetch.mockResolvedValueOnce(
+      new Response("event: message_start\n", { status: 200, headers: { "content-type": "text/event-stream" } }),
+    );
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", { method: "POST", body });
+    await response.body.cancel(new Error("client went away"));
+
+    expect(exporter.spans[0]).toMatchObject({ ended: 1, error: "client went away" });
+    expect(exporter.spans[0].attributes["http.response.status_code"]).toBe(200);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Prometheus metrics endpoint
+// ---------------------------------------------------------------------------
+
+describe("prometheus metrics", () => {
+  function metricsConfig(enabled = true) {
+    return {
+      ...DEFAULT_CONFIG,
+      signature_emulation: { ...DEFAULT_CONFIG.signature_emulation, fetch_claude_code_version_on_startup: false },
+      override_model_limits: { ...DEFAULT_CONFIG.override_model_limits },
+      idle_refresh: { ...DEFAULT_CONFIG.idle_refresh, enabled: false },
+      metrics_server: { ...DEFAULT_CONFIG.metrics_server, enabled },
+    };
+  }
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("does not listen unless enabled", async () => {
+    loadConfig.mockReturnValue(metricsConfig(false));
+    await AnthropicAuthPlugin({ client: makeClient() });
+    expect(startMetricsServer).not.toHaveBeenCalled();
+  });
+
+  it("exposes account health, token buckets, rate limits and retry counters", async () => {
+    loadConfig.mockReturnValue(metricsConfig());
+    const fetchFn = await setupFetchFn(makeClient(), [
+      { id: "acct-a", email: "a@test.com" },
+      { id: "acct-b", email: "b@test.com" },
+    ]);
+    expect(startMetricsServer).toHaveBeenCalledWith(expect.objectContaining({ host: "127.0.0.1", port: 9464 }));
+    const { collect } = startMetricsServer.mock.calls[0][0];
+
+    mockFetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: { type: "rate_limit_error", message: "Rate limit exceeded" } }), {
+        status: 429,
+        headers: { "retry-after": "60" },
+      }),
+    );
+    mockFetch.mockResolvedValueOnce(mockTokenRefresh("access-2", "refresh-2"));
+    mockFetch.mockResolvedValueOnce(
+      new Response('{"content":[]}', {
+        status: 200,
+        headers: {
+          "anthropic-ratelimit-unified-5h-utilization": "0.42",
+          "anthropic-ratelimit-unified-5h-reset": "1900000000",
+        },
+      }),
+    );
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({ model: "claude-sonnet-4-6", messages: [{ role: "user", content: "hi" }] }),
+    });
+    await response.text();
+
+    const text = formatPrometheusMetrics(collect());
+    expect(text).toContain("# TYPE anthropic_account_health_score gauge");
+    expect(text).toMatch(/anthropic_account_health_score\{account="1",account_id="acct-a"\} \d+/);
+    expect(text).toMatch(/anthropic_account_token_bucket_tokens\{account="2",account_id="acct-b"\} [\d.]+/);
+    expect(text).toMatch(/anthropic_account_rate_limit_reset_timestamp_seconds\{account="1",account_id="acct-a"\} \d+/);
+    expect(text).not.toMatch(/anthropic_account_rate_limit_reset_timestamp_seconds\{account="2"/);
+    expect(text).toContain('anthropic_account_active{account="2",account_id="acct-b"} 1');
+    expect(text).not.toContain("@test.com");
+    expect(text).toContain('anthropic_unified_utilization_ratio{window="5h"} 0.42');
+    expect(text).toContain('anthropic_unified_reset_timestamp_seconds{window="5h"} 1900000000');
+    expect(text).toMatch(/anthropic_cache_hit_rate [\d.]+/);
+    expect(text).toContain("anthropic_requests_total 1");
+    expect(text).toContain('anthropic_retries_total{kind="account_switch"} 1');
+    expect(text).toContain('anthropic_account_switches_total{reason="rate-limited"} 1');
+    expect(text).toContain("anthropic_overload_responses_total 0");
+  });
+});
+
+describe("request replay", () => {
+  function replayConfig(tokenEconomy = {}) {
+    return {
+      ...DEFAULT_CONFIG,
+      signature_emulation: { ...DEFAULT_CONFIG.signature_emulation, fetch_claude_code_version_on_startup: false },
+      override_model_limits: { ...DEFAULT_CONFIG.override_model_limits },
+      idle_refresh: { ...DEFAULT_CONFIG.idle_refresh, enabled: false },
+      token_economy: { ...DEFAULT_CONFIG.token_economy, ...tokenEconomy },
+    };
+  }
+
+  const SSE =
+    'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":12,"output_tokens":1}}}\n\n' +
+    'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"tool_use","id":"t1","name":"mcp_bash","input":{}}}\n\n' +
+    'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":7}}\n\n';
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("runs a dumped body through the offline request pipeline deterministically", () => {
+    const { replayRequest } = AnthropicAuthPlugin.__replay__;
+    const body = JSON.stringify({
+      model: "claude-sonnet-4-6",
+      max_tokens: 4096,
+      system: [{ type: "text", text: "You are opencode, an interactive CLI tool." }],
+      messages: [{ role: "user", content: "hello" }],
+      tools: [{ name: "bash", description: "Run a command", input_schema: { type: "object" } }],
+    });
+
+    const first = replayRequest(body, { config: replayConfig() });
+    expect(replayRequest(body, { config: replayConfig() })).toEqual(first);
+    expect(first.url).toBe("https://api.anthropic.com/v1/messages");
+    expect(first.headers.authorization).toBe("[redacted]");
+    expect(first.headers["anthropic-beta"]).toContain("oauth-2025-04-20");
+    expect(first.headers["x-claude-code-session-id"]).toBe("00000000-0000-4000-8000-000000000000");
+    expect(first.body.system[0].text).toContain("x-anthropic-billing-header");
+  });
+
+  it("replays a captured SSE stream through the response pipeline", async () => {
+    const { replayResponse } = AnthropicAuthPlugin.__replay__;
+    const result = await replayResponse(new Response(SSE, { headers: { "content-type": "text/event-stream" } }));
+
+    expect(result.status).toBe(200);
+    expect(result.body).toContain('"name":"bash"');
+    expect(result.body).not.toContain("mcp_bash");
+    expect(result.usage).toEqual({ inputTokens: 12, outputTokens: 7, cacheReadTokens: 0, cacheWriteTokens: 0 });
+    expect(result.accountError).toBeNull();
+  });
+
+  it("dumps the request and its raw SSE response under one stamp when enabled", async () => {
+    loadConfig.mockReturnValue(replayConfig({ debug_dump_bodies: true, debug_dump_responses: true }));
+    const fetchFn = await setupFetchFn(makeClient());
+    mockFetch.mockResolvedValueOnce(new Response(SSE, { headers: { "content-type": "text/event-stream" } }));
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({ model: "claude-sonnet-4-6", messages: [{ role: "user", content: "hi" }] }),
+    });
+    expect(await response.text()).not.toContain("mcp_bash");
+    await vi.waitFor(() => expect(writeDebugDump).toHaveBeenCalledTimes(3));
+
+    const [[reqKind, reqStamp, reqBody], [outKind, outStamp], [resKind, resStamp, resBody]] = writeDebugDump.mock.calls;
+    expect(reqKind).toBe("req");
+    expect(JSON.parse(reqBody).model).toBe("claude-sonnet-4-6");
+    expect(outKind).toBe("out");
+    expect(outStamp).toBe(reqStamp);
+    expect(resKind).toBe("res");
+    expect(resStamp).toBe(reqStamp);
+    expect(resBody).toBe(SSE);
+  });
+
+  it("does not dump responses unless asked", async () => {
+    loadConfig.mockReturnValue(replayConfig({ debug_dump_bodies: true }));
+    const fetchFn = await setupFetchFn(makeClient());
+    mockFetch.mockResolvedValueOnce(new Response(SSE, { headers: { "content-type": "text/event-stream" } }));
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({ model: "claude-sonnet-4-6", messages: [{ role: "user", content: "hi" }] }),
+    });
+    await response.text();
+
+    expect(writeDebugDump.mock.calls.map(([kind]) => kind)).toEqual(["req", "out"]);
+  });
+
+  it("replays a captured dump into the body that went on the wire", async () => {
+    const config = replayConfig({ debug_dump_bodies: true });
+    loadConfig.mockReturnValue(config);
+    const fetchFn = await setupFetchFn(makeClient());
+    mockFetch.mockResolvedValueOnce(new Response(SSE, { headers: { "content-type": "text/event-stream" } }));
+
+    const response = await fetchFn("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      body: JSON.stringify({
+        model: "claude-sonnet-4-6",
+        max_tokens: 4096,
+        system: [{ type: "text", text: "You are opencode, an interactive CLI tool." }],
+        messages: [{ role: "user", content: "hello" }],
+        tools: [{ name: "bash", description: "Run a command", input_schema: { type: "object" } }],
+      }),
+    });
+    await response.text();
+
+    const dumps = Object.fromEntries(writeDebugDump.mock.calls.map(([kind, , content]) => [kind, content]));
+    expect(mockFetch.mock.calls[0][1].body).toBe(dumps.out);
+    expect(dumps.req).not.toBe(dumps.out);
+    const replayed = AnthropicAuthPlugin.__replay__.replayRequest(dumps.req, { config });
+    // Only the per-install and per-session IDs are pinned differently in a replay
+    const withoutIds = (/** @type {any} */ body) => ({ ...body, metadata: undefined });
+    expect(withoutIds(replayed.body)).toEqual(withoutIds(JSON.parse(dumps.out)));
+  });
+});
+
+describe("/anthropic cache why", () => {
+  let configHome;
+  const originalXdg = process.env.XDG_CONFIG_HOME;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    configHome = mkdtempSync(join(tmpdir(), "cache-why-"));
+    process.env.XDG_CONFIG_HOME = configHome;
+  });
+
+  afterEach(() => {
+    if (originalXdg === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = originalXdg;
+    rmSync(configHome, { recursive: true, force: true });
+  });
+
+  function usageStream(cacheRead) {
+    return new Response(
+      [
+        "event: message_start",
+        `data: {"type":"message_start","message":{"usage":{"input_tokens":10,"cache_read_input_tokens":${cacheRead}}}}`,
+        "",
+        "event: message_delta",
+        'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":3}}',
+        "",
+      ].join("\n"),
+      { status: 200, headers: { "content-type": "text/event-stream" } },
+    );
+  }
+
+  function requestBody(tools) {
+    return JSON.stringify({
+      model: "claude-sonnet-4-6",
+      max_tokens: 1024,
+      system: [{ type: "text", text: "You are opencode, an interactive CLI tool." }],
+      messages: [{ role: "user", content: "hi" }],
+      tools,
+    });
+  }
+
+  async function setup() {
+    const client = makeClient();
+    loadAccounts.mockResolvedValue(makeAccountsData([{}]));
+    const plugin = await AnthropicAuthPlugin({ client });
+    // Cache break state is module-level; start from a clean baseline.
+    await plugin["experimental.session.compacting"]({}, { context: [] });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "oauth",
+      refresh: "refresh-1",
+      access: "access-1",
+      expires: Date.now() + 3600_000,
+    });
+    const { fetch } = await plugin.auth.loader(getAuth, makeProvider());
+    return { client, plugin, fetch };
+  }
+
+  async function runCacheWhy(client, plugin) {
+    client.session.prompt.mockClear();
+    await plugin["command.execute.before"]({ command: "anthropic", arguments: "cache why", sessionID: "s1" }, {});
+    const calls = client.session.prompt.mock.calls;
+    return calls[calls.length - 1][0].body.parts[0].text;
+  }
+
+  it("explains a cache break field by field and saves the report", async () => {
+    const { client, plugin, fetch } = await setup();
+    const read = { name: "read", description: "Read a file", input_schema: { type: "object" } };
+    const write = { name: "write", description: "Write a file", input_schema: { type: "object" } };
+
+    mockFetch.mockResolvedValueOnce(usageStream(50_000));
+    await (await fetch("https://api.anthropic.com/v1/messages", { method: "POST", body: requestBody([read]) })).text();
+    mockFetch.mockResolvedValueOnce(usageStream(0));
+    await (
+      await fetch("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        body: requestBody([{ ...read, description: "Read any file" }, write]),
+      })
+    ).text();
+
+    expect(client.tui.showToast).toHaveBeenCalledWith(
+      expect.objectContaining({
+        body: expect.objectContaining({ message: expect.stringContaining("/anthropic cache why") }),
+      }),
+    );
+
+    const text = await runCacheWhy(client, plugin);
+    expect(text).toContain("▣ Anthropic Cache");
+    expect(text).toContain("−50,000 cache-read tokens");
+    expect(text).toContain("+ Write added");
+    expect(text).toContain('~ description: "Read a file" → "Read any file"');
+
+    const reportPath = join(configHome, "opencode", "cache-break-report.txt");
+    expect(text).toContain(`Saved to: ${reportPath}`);
+    expect(readFileSync(reportPath, "utf-8")).toContain("+ Write added");
+  });
+
+  it("says so when there is nothing to compare yet", async () => {
+    const { client, plugin } = await setup();
+    const text = await runCacheWhy(client, plugin);
+    expect(text).toContain("No cache break to explain yet");
+  });
+});
+
+describe("token counting", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("counts sent requests via count_tokens in exact mode and reports the calibration", async () => {
+    const original = await vi.importActual("./lib/config.mjs");
+    loadConfig.mockReturnValueOnce({
+      ...original.DEFAULT_CONFIG,
+      signature_emulation: {
+        ...original.DEFAULT_CONFIG.signature_emulation,
+        fetch_claude_code_version_on_startup: false,
+      },
+      idle_refresh: { ...original.DEFAULT_CONFIG.idle_refresh, enabled: false },
+      adaptive_context: { ...original.DEFAULT_CONFIG.adaptive_context, enabled: false },
+      token_counting: { mode: "exact", min_interval_seconds: 30, cache_entries: 32 },
+    });
+    const client = makeClient();
+    loadAccounts.mockResolvedValue(makeAccountsData([{}]));
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "oauth",
+      refresh: "refresh-1",
+      access: "access-1",
+      expires: Date.now() + 3600_000,
+    });
+    const { fetch } = await plugin.auth.loader(getAuth, makeProvider());
+
+    mockFetch.mockImplementation(async (input) => {
+      if (String(input).includes("/count_tokens")) return Response.json({ input_tokens: 2000 });
+      return new Response(
+        [
+          "event: message_start",
+          'data: {"type":"message_start","message":{"usage":{"input_tokens":1000,"cache_read_input_tokens":500}}}',
+          "",
+          "event: message_delta",
+          'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":3}}',
+          "",
+        ].join("\n"),
+        { status: 200, headers: { "content-type": "text/event-stream" } },
+      );
+    });
+
+    // 400 + 3600 chars → 1000 tokens by the chars/4 heuristic
+    const body = JSON.stringify({
+      model: "claude-sonnet",
+      max_tokens: 8000,
+      stream: true,
+      system: [{ type: "text", text: "s".repeat(400) }],
+      messages: [{ role: "user", content: "x".repeat(3600) }],
+    });
+    await (await fetch("https://api.anthropic.com/v1/messages", { method: "POST", body })).text();
+    const countCall = () => mockFetch.mock.calls.find(([input]) => String(input).includes("/count_tokens"));
+    await vi.waitFor(() => expect(countCall()).toBeDefined());
+
+    const [countUrl, countInit] = countCall();
+    expect(String(countUrl)).toBe("https://api.anthropic.com/v1/messages/count_tokens?beta=true");
+    expect(countInit.headers.get("anthropic-beta")).toContain("token-counting-2024-11-01");
+    expect(countInit.headers.get("authorization")).toBe("Bearer access-1");
+    const countBody = JSON.parse(countInit.body);
+    expect(countBody.model).toBe("claude-sonnet");
+    expect(countBody).not.toHaveProperty("stream");
+    expect(countBody).not.toHaveProperty("max_tokens");
+
+    await vi.waitFor(async () => {
+      client.session.prompt.mockClear();
+      await plugin["command.execute.before"]({ command: "anthropic", arguments: "context", sessionID: "s1" }, {});
+      const text = client.session.prompt.mock.calls[0][0].body.parts[0].text;
+      expect(text).toContain("(calibrated estimate)");
+      expect(text).toContain("Exact:           2,000 tokens");
+      expect(text).toMatch(/Calibration: {5}claude-sonnet ×1\.\d\d \(2 samples\)/);
+    });
+  });
+});
+
+describe("model pricing", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    AnthropicAuthPlugin.__testing__.resetSessionMetricsForTest();
+  });
+
+  it("flags models without a price instead of costing them at another model's rate", async () => {
+    const original = await vi.importActual("./lib/config.mjs");
+    loadConfig.mockReturnValueOnce({
+      ...original.DEFAULT_CONFIG,
+      signature_emulation: {
+        ...original.DEFAULT_CONFIG.signature_emulation,
+        fetch_claude_code_version_on_startup: false,
+      },
+      idle_refresh: { ...original.DEFAULT_CONFIG.idle_refresh, enabled: false },
+      pricing: { ...original.DEFAULT_CONFIG.pricing, models: { "claude-sonnet-4-6": { input: 2, output: 10 } } },
+    });
+    const client = makeClient();
+    loadAccounts.mockResolvedValue(makeAccountsData([{}]));
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "oauth",
+      refresh: "refresh-1",
+      access: "access-1",
+      expires: Date.now() + 3600_000,
+    });
+    const { fetch } = await plugin.auth.loader(getAuth, makeProvider());
+    mockFetch.mockImplementation(
+      async () =>
+        new Response(
+          [
+            "event: message_delta",
+            'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"input_tokens":1000000,"output_tokens":100000}}',
+            "",
+          ].join("\n"),
+          { status: 200, headers: { "content-type": "text/event-stream" } },
+        ),
+    );
+
+    for (const model of ["claude-sonnet-4-6", "claude-mystery-9"]) {
+      const body = JSON.stringify({ model, stream: true, messages: [{ role: "user", content: "hi" }] });
+      await (await fetch("https://api.anthropic.com/v1/messages", { method: "POST", body })).text();
+    }
+
+    await plugin["command.execute.before"]({ command: "anthropic", arguments: "stats", sessionID: "s1" }, {});
+    const text = client.session.prompt.mock.calls[0][0].body.parts[0].text;
+    expect(text).toContain("Total:       $3.0000");
+    expect(text).toContain("Unpriced:    claude-mystery-9 (counted as $0");
+    expect(client.tui.showToast).toHaveBeenCalledWith(
+      expect.objectContaining({
+        body: expect.objectContaining({ message: expect.stringContaining("No price known for claude-mystery-9") }),
+      }),
+    );
+  });
+});
+
+describe("account routing", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    AnthropicAuthPlugin.__testing__.resetSessionMetricsForTest();
+  });
+
+  it("sends title requests to one group and main-thread requests to another", async () => {
+    const original = await vi.importActual("./lib/config.mjs");
+    loadConfig.mockReturnValueOnce({
+      ...original.DEFAULT_CONFIG,
+      signature_emulation: {
+        ...original.DEFAULT_CONFIG.signature_emulation,
+        fetch_claude_code_version_on_startup: false,
+      },
+      idle_refresh: { ...original.DEFAULT_CONFIG.idle_refresh, enabled: false },
+      account_groups: {
+        personal: { accounts: ["me@example.com"], strategy: null, fallback: true },
+        team: { accounts: [2, 3], strategy: "round-robin", fallback: true },
+      },
+      routing: { rules: [{ role: "title", group: "personal" }], default_group: "team" },
+    });
+    const expires = Date.now() + 3600_000;
+    const fetch = await setupFetchFn(
+      makeClient(),
+      ["me@example.com", "a@team.com", "b@team.com"].map((email, i) => ({
+        email,
+        access: `access-${i + 1}`,
+        expires,
+      })),
+    );
+    mockFetch.mockImplementation(async () => new Response('{"content":[]}', { status: 200 }));
+
+    const send = (body) =>
+      fetch("https://api.anthropic.com/v1/messages", { method: "POST", body: JSON.stringify(body) });
+    const main = { model: "claude-opus-4-7", max_tokens: 8000, messages: [{ role: "user", content: "work" }] };
+    await send(main);
+    await send({ model: "claude-haiku-4-5", max_tokens: 100, messages: [{ role: "user", content: "name it" }] });
+    await send(main);
+
+    const tokens = mockFetch.mock.calls.map(([, init]) => init.headers.get("authorization"));
+    expect(tokens).toEqual(["Bearer access-2", "Bearer access-1", "Bearer access-3"]);
+  });
+});
+
+describe("per-session state", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    AnthropicAuthPlugin.__testing__.resetSessionMetricsForTest();
+  });
+
+  afterEach(() => {
+    AnthropicAuthPlugin.__testing__.resetSessionMetricsForTest();
+  });
+
+  it("tags only Anthropic chat requests with the session header", async () => {
+    const plugin = await AnthropicAuthPlugin({ client: makeClient() });
+
+    const openai = { headers: {} };
+    await plugin["chat.headers"]({ sessionID: "ses_a", model: { providerID: "openai" } }, openai);
+    expect(openai.headers).toEqual({});
+
+    const anthropic = { headers: {} };
+    await plugin["chat.headers"]({ sessionID: "ses_a", model: { providerID: "anthropic" } }, anthropic);
+    expect(anthropic.headers).toEqual({ "x-opencode-session-id": "ses_a" });
+  });
+
+  it("keeps stats separate for each OpenCode session and aggregates them", async () => {
+    const original = await vi.importActual("./lib/config.mjs");
+    loadConfig.mockReturnValueOnce({
+      ...original.DEFAULT_CONFIG,
+      signature_emulation: {
+        ...original.DEFAULT_CONFIG.signature_emulation,
+        fetch_claude_code_version_on_startup: false,
+      },
+      idle_refresh: { ...original.DEFAULT_CONFIG.idle_refresh, enabled: false },
+    });
+    const client = makeClient();
+    loadAccounts.mockResolvedValue(makeAccountsData([{}]));
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "oauth",
+      refresh: "refresh-1",
+      access: "access-1",
+      expires: Date.now() + 3600_000,
+    });
+    const { fetch } = await plugin.auth.loader(getAuth, makeProvider());
+    mockFetch.mockImplementation(
+      async () =>
+        new Response(
+          [
+            "event: message_start",
+            'data: {"type":"message_start","message":{"usage":{"input_tokens":100}}}',
+            "",
+            "event: message_delta",
+            'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":10}}',
+            "",
+          ].join("\n"),
+          { status: 200, headers: { "content-type": "text/event-stream" } },
+        ),
+    );
+
+    /** @param {string} sessionID */
+    const send = async (sessionID) => {
+      const output = { headers: {} };
+      await plugin["chat.headers"]({ sessionID, model: { providerID: "anthropic" } }, output);
+      const body = JSON.stringify({
+        model: "claude-sonnet-4-6",
+        system: [{ type: "text", text: "s".repeat(400) }],
+        messages: [{ role: "user", content: "hi" }],
+      });
+      await (
+        await fetch("https://api.anthropic.com/v1/messages", { method: "POST", headers: output.headers, body })
+      ).text();
+    };
+    await send("ses_a");
+    await send("ses_a");
+    await send("ses_b");
+
+    const apiCalls = mockFetch.mock.calls.filter(([input]) => String(input).includes("/v1/messages"));
+    expect(apiCalls.length).toBeGreaterThanOrEqual(3);
+    for (const [, init] of apiCalls) expect(init.headers.has("x-opencode-session-id")).toBe(false);
+
+    /** @param {string} sessionID */
+    const stats = async (sessionID) => {
+      client.session.prompt.mockClear();
+      await plugin["command.execute.before"]({ command: "anthropic", arguments: "stats", sessionID }, {});
+      return client.session.prompt.mock.calls[0][0].body.parts[0].text;
+    };
+    const statsA = await stats("ses_a");
+    expect(statsA).toMatch(/^Turns: 2 /m);
+    expect(statsA).toMatch(/^All sessions \(2\): 3 turns, 330 tokens/m);
+    expect(await stats("ses_b")).toMatch(/^Turns: 1 /m);
+  });
+});
+
+describe("project config overlays", () => {
+  let root;
+  const originalXdg = process.env.XDG_CONFIG_HOME;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    root = mkdtempSync(join(tmpdir(), "project-config-"));
+    process.env.XDG_CONFIG_HOME = join(root, "xdg");
+    mkdirSync(join(root, "xdg", "opencode"), { recursive: true });
+    writeFileSync(join(root, "xdg", "opencode", "anthropic-auth.json"), JSON.stringify({ debug: true }));
+    mkdirSync(join(root, "repo", "pkg", ".opencode"), { recursive: true });
+    writeFileSync(
+      join(root, "repo", "pkg", ".opencode", "anthropic.json"),
+      JSON.stringify({ account_selection_strategy: "round-robin", token_economy: { conservative: false } }),
+    );
+  });
+
+  afterEach(() => {
+    if (originalXdg === undefined) delete process.env.XDG_CONFIG_HOME;
+    else process.env.XDG_CONFIG_HOME = originalXdg;
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it("loads config for the plugin's directory and worktree", async () => {
+    const directory = join(root, "repo", "pkg");
+    const worktree = join(root, "repo");
+    await AnthropicAuthPlugin({ client: makeClient(), directory, worktree });
+    expect(loadConfig).toHaveBeenCalledWith({ directory, worktree });
+  });
+
+  it("/anthropic config shows which layer each value came from", async () => {
+    const client = makeClient();
+    const plugin = await AnthropicAuthPlugin({
+      client,
+      directory: join(root, "repo", "pkg"),
+      worktree: join(root, "repo"),
+    });
+
+    await plugin["command.execute.before"]({ command: "anthropic", arguments: "config", sessionID: "s1" }, {});
+    const text = client.session.prompt.mock.calls[0][0].body.parts[0].text;
+
+    expect(text).toContain("strategy: round-robin  [project]");
+    expect(text).toContain("debug: on  [global]");
+    expect(text).toContain("quiet: off  [default]");
+    expect(text).toContain(`Project overlay: ${join(root, "repo", "pkg", ".opencode", "anthropic.json")}`);
+    expect(text).toContain("token_economy.conservative = false  [project]");
+  });
+  it("/anthropic set warns when the project overlay still overrides the value", async () => {
+    const client = makeClient();
+    const plugin = await AnthropicAuthPlugin({
+      client,
+      directory: join(root, "repo", "pkg"),
+      worktree: join(root, "repo"),
+    });
+
+    await plugin["command.execute.before"](
+      { command: "anthropic", arguments: "set strategy sticky", sessionID: "s1" },
+      {},
+    );
+    const text = client.session.prompt.mock.calls[0][0].body.parts[0].text;
+
+    expect(saveRuntimeConfig).toHaveBeenCalledWith({ account_selection_strategy: "sticky" });
+    expect(text).toContain("strategy = sticky saved to");
+    expect(text).toContain(
+      `account_selection_strategy = "round-robin"  [${join(root, "repo", "pkg", ".opencode", "anthropic.json")}]`,
+    );
+
+    client.session.prompt.mockClear();
+    await plugin["command.execute.before"]({ command: "anthropic", arguments: "set debug off", sessionID: "s1" }, {});
+    expect(client.session.prompt.mock.calls[0][0].body.parts[0].text).toBe("▣ Anthropic Set\n\ndebug = off");
+  });
+
+  it("warns once about config problems when the loader starts", async () => {
+    writeFileSync(
+      join(root, "repo", "pkg", ".opencode", "anthropic.json"),
+      JSON.stringify({ output_cap: { default_max_token: 4000 } }),
+    );
+    loadAccounts.mockResolvedValue(makeAccountsData());
+    const client = makeClient();
+    const plugin = await AnthropicAuthPlugin({
+      client,
+      directory: join(root, "repo", "pkg"),
+      worktree: join(root, "repo"),
+    });
+    const getAuth = vi.fn().mockResolvedValue({ type: "oauth", refresh: "refresh-1", access: "a", expires: 0 });
+
+    await plugin.auth.loader(getAuth, makeProvider());
+    await plugin.auth.loader(getAuth, makeProvider());
+
+    const warnings = client.tui.showToast.mock.calls.filter(([arg]) => arg.body.message.startsWith("Config:"));
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0][0].body.variant).toBe("info");
+    expect(warnings[0][0].body.message).toContain(
+      'output_cap.default_max_token: unknown key (did you mean "default_max_tokens"?)',
+    );
+  });
+});
+
+describe("experimental.session.compacting", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  it("adds the account state as an unindented markdown list", async () => {
+    const client = makeClient();
+    loadAccounts.mockResolvedValue(makeAccountsData([{ email: "alice@example.com", label: "work" }]));
+    const plugin = await AnthropicAuthPlugin({ client });
+    const getAuth = vi.fn().mockResolvedValue({
+      type: "oauth",
+      refresh: "refresh-1",
+      access: "access-1",
+      expires: Date.now() + 3600_000,
+    });
+    await plugin.auth.loader(getAuth, makeProvider());
+
+    const output = { context: [] };
+    await plugin["experimental.session.compacting"]({}, output);
+
+    const lines = output.context[0].split("\n");
+    expect(lines[0]).toBe("## Anthropic Account State");
+    expect(lines[1]).toBe("- Active account: work (alice@example.com)");
+    expect(lines.slice(1).every((line) => line.startsWith("- "))).toBe(true);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Portable, passphrase-encrypted account bundles for moving accounts between
+ * machines (`export` / `import` CLI commands).
+ *
+ * A bundle carries only what identifies an account and lets it sign in again:
+ * refresh token (or API key, for API-key accounts, which are marked as
+ * such), email, enabled flag, label, note and availability schedule, plus
+ * usage stats on request.
+ * Access tokens, rate-limit reset times and failure counters are
+ * machine-local state and never leave the machine. The account list is
+ * encrypted with the same AES-256-GCM + scrypt envelope as the accounts file:
+ *
+ *   {
+ *     "format": "opencode-anthropic-accounts",
+ *     "version": 1,
+ *     "exportedAt": "<ISO date>",
+ *     "encryption": { cipher, backend: "passphrase", kdf, iv, tag },
+ *     "ciphertext": "<base64>"
+ *   }
+ *
+ * @module account-bundle
+ */
+
+import { MAX_ACCOUNTS } from "./accounts.mjs";
+import { accountCredential, isApiKeyAccount, validateAccountLabel } from "./account-state.mjs";
+import { normalizeAvailability } from "./availability.mjs";
+import { createDefaultStats, deduplicateByRefreshToken } from "./storage.mjs";
+import { decryptPayload, encryptPayload } from "./storage-crypto.mjs";
+
+export const BUNDLE_FORMAT = "opencode-anthropic-accounts";
+export const BUNDLE_VERSION = 1;
+
+/**
+ * @typedef {object} BundleAccount
+ * @property {string} id
+ * @property {string} [email]
+ * @property {string} [label]
+ * @property {string} [note]
+ * @property {import('./availability.mjs').AvailabilitySchedule} [availability]
+ * @property {string} [accountUuid]
+ * @property {string} [organizationUuid]
+ * @property {string} [refreshToken] - OAuth accounts only
+ * @property {string} [apiKey] - API-key accounts only
+ * @property {"api-key"} [source] - Set for API-key accounts only; OAuth is implied otherwise
+ * @property {boolean} enabled
+ * @property {number} addedAt
+ * @property {import('./storage.mjs').AccountStats} [stats]
+ */
+
+/**
+ * @typedef {object} AccountBundle
+ * @property {typeof BUNDLE_FORMAT} format
+ * @property {number} version
+ * @property {string} exportedAt
+ * @property {import('./storage-crypto.mjs').EncryptionHeader} encryption
+ * @property {string} ciphertext
+ */
+
+/**
+ * @typedef {object} BundleConflict
+ * @property {BundleAccount} account - Account from the bundle
+ * @property {number} index - Index of the local account it collides with
+ * @property {"email" | "account"} reason - Same email, or same Anthropic account UUID, with another refresh token
+ */
+
+/**
+ * @typedef {object} BundleMergeResult
+ * @property {import('./storage.mjs').AccountStorage} storage - Merged storage, ready to save
+ * @property {BundleAccount[]} added
+ * @property {BundleAccount[]} unchanged - Already present with the same refresh token
+ * @property {BundleConflict[]} conflicts - Left untouched (unless replaced)
+ * @property {BundleConflict[]} replaced - Conflicts whose local refresh token was replaced
+ * @property {BundleAccount[]} skipped - Not added because the account limit was reached
+ */
+
+/** Optional identity fields copied as-is when present. */
+const OPTIONAL_STRING_FIELDS = /** @type {const} */ (["email", "label", "note", "accountUuid", "organizationUuid"]);
+
+/**
+ * Reduce a stored account to its portable fields.
+ * @param {import('./storage.mjs').AccountMetadata} acc
+ * @param {boolean} includeStats
+ * @returns {BundleAccount}
+ */
+function toBundleAccount(acc, includeStats) {
+  /** @type {BundleAccount} */
+  const out = { id: acc.id, enabled: acc.enabled !== false, addedAt: acc.addedAt };
+  if (isApiKeyAccount(acc)) out.apiKey = acc.apiKey;
+  else out.refreshToken = acc.refreshToken;
+  for (const field of OPTIONAL_STRING_FIELDS) {
+    const value = /** @type {Record<string, unknown>} */ (acc)[field];
+    if (typeof value === "string" && value) out[field] = value;
+  }
+  const availability = normalizeAvailability(acc.availability);
+  if (availability) out.availability = availability;
+  if (isApiKeyAccount(acc)) out.source = "api-key";
+  if (includeStats && acc.stats) out.stats = { ...acc.stats };
+  return out;
+}
+
+/**
+ * Check whether parsed JSON looks like an account bundle.
+ * @param {unknown} data
+ * @returns {data is AccountBundle}
+ */
+export function isAccountBundle(data) {
+  if (!data || typeof data !== "object") return false;
+  const d = /** @type {Record<string, any>} */ (data);
+  return d.format === BUNDLE_FORMAT && typeof d.ciphertext === "string" && !!d.encryption;
+}
+
+/**
+ * Encrypt the given accounts into a bundle.
+ * @param {import('./storage.mjs').AccountMetadata[]} accounts
+ * @param {string} passphrase
+ * @param {{ includeStats?: boolean, now?: number }} [opts]
+ * @returns {AccountBundle}
+ */
+export function createAccountBundle(accounts, passphrase, { includeStats = false, now = Date.now() } = {}) {
+  const payload = { accounts: accounts.map((acc) => toBundleAccount(acc, includeStats)) };
+  const { encryption, ciphertext } = encryptPayload(payload, { backend: "passphrase", secret: passphrase });
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    encryption,
+    ciphertext,
+  };
+}
+
+/**
+ * Decrypt a bundle and validate its accounts. Entries without a refresh
+ * token or API key are dropped.
+ * @param {unknown} bundle - Parsed bundle file
+ * @param {string} passphrase
+ * @returns {BundleAccount[]}
+ */
+export function openAccountBundle(bundle, passphrase) {
+  if (!isAccountBundle(bundle)) throw new Error("Not an account bundle (missing format or ciphertext)");
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version ${bundle.version} (expected ${BUNDLE_VERSION})`);
+  }
+
+  let payload;
+  try {
+    payload = /** @type {any} */ (decryptPayload(/** @type {any} */ (bundle), passphrase));
+  } catch (err) {
+    throw new Error("Failed to decrypt bundle (wrong passphrase or corrupted file)", { cause: err });
+  }
+
+  const now = Date.now();
+  const entries = Array.isArray(payload?.accounts) ? payload.accounts : [];
+  /** @type {BundleAccount[]} */
+  const accounts = [];
+  for (const raw of entries) {
+    if (!raw || typeof raw !== "object") continue;
+    const apiKey = isApiKeyAccount(raw);
+    // Bundles written before apiKey existed carry the key in refreshToken.
+    const credential = apiKey ? raw.apiKey || raw.refreshToken : raw.refreshToken;
+    if (typeof credential !== "string" || !credential) continue;
+    const addedAt = typeof raw.addedAt === "number" && Number.isFinite(raw.addedAt) ? raw.addedAt : now;
+    const acc = toBundleAccount(
+      {
+        ...raw,
+        refreshToken: apiKey ? undefined : credential,
+        apiKey: apiKey ? credential : undefined,
+        id: typeof raw.id === "string" && raw.id ? raw.id : `${addedAt}:${credential.slice(0, 12)}`,
+        addedAt,
+        stats: raw.stats && typeof raw.stats === "object" ? { ...createDefaultStats(now), ...raw.stats } : undefined,
+      },
+      true,
+    );
+    accounts.push(acc);
+  }
+  return accounts;
+}
+
+/**
+ * Find the local account an imported one would collide with: same email or
+ * same Anthropic account UUID, but a different refresh token.
+ * @param {import('./storage.mjs').AccountMetadata[]} local
+ * @param {BundleAccount} incoming
+ * @returns {BundleConflict | null}
+ */
+function findConflict(local, incoming) {
+  const email = incoming.email?.toLowerCase();
+  for (let index = 0; index < local.length; index++) {
+    const acc = local[index];
+    if (incoming.accountUuid && acc.accountUuid === incoming.accountUuid) {
+      return { account: incoming, index, reason: "account" };
+    }
+    if (email && acc.email?.toLowerCase() === email) return { account: incoming, index, reason: "email" };
+  }
+  return null;
+}
+
+/**
+ * Merge imported accounts into local storage. Accounts whose refresh token
+ * is already present are left alone; accounts that collide with a local one
+ * by identity are reported as conflicts and only replace the local refresh
+ * token or API key when `replace` is set. New accounts start with clean rate-limit and
+ * failure state, and drop labels that are already taken locally.
+ * @param {import('./storage.mjs').AccountStorage | null} stored
+ * @param {BundleAccount[]} incoming
+ * @param {{ replace?: boolean, maxAccounts?: number, now?: number }} [opts]
+ * @returns {BundleMergeResult}
+ */
+export function mergeBundleAccounts(
+  stored,
+  incoming,
+  { replace = false, maxAccounts = MAX_ACCOUNTS, now = Date.now() } = {},
+) {
+  const accounts = (stored?.accounts ?? []).map((acc) => ({ ...acc }));
+  /** @type {BundleMergeResult} */
+  const result = {
+    storage: { version: stored?.version ?? 1, accounts, activeIndex: stored?.activeIndex ?? 0 },
+    added: [],
+    unchanged: [],
+    conflicts: [],
+    replaced: [],
+    skipped: [],
+  };
+
+  for (const acc of incoming) {
+    if (accounts.some((local) => accountCredential(local) === accountCredential(acc))) {
+      result.unchanged.push(acc);
+      continue;
+    }
+
+    const conflict = findConflict(accounts, acc);
+    if (conflict) {
+      if (!replace) {
+        result.conflicts.push(conflict);
+        continue;
+      }
+      const local = accounts[conflict.index];
+      const apiKey = isApiKeyAccount(acc);
+      accounts[conflict.index] = {
+        ...local,
+        // The credential may change type: an API key replaces an OAuth login or the other way round
+        refreshToken: apiKey ? undefined : acc.refreshToken,
+        apiKey: apiKey ? acc.apiKey : undefined,
+        source: apiKey ? "api-key" : isApiKeyAccount(local) ? "oauth" : local.source,
+        access: undefined,
+        expires: undefined,
+        token_updated_at: now,
+        enabled: acc.enabled,
+        rateLimitResetTimes: {},
+        consecutiveFailures: 0,
+        lastFailureTime: null,
+      };
+      result.replaced.push(conflict);
+      continue;
+    }
+
+    if (accounts.length >= maxAccounts) {
+      result.skipped.push(acc);
+      continue;
+    }
+
+    const { stats, ...identity } = acc;
+    // A label already taken locally would make references ambiguous
+    if (identity.label && validateAccountLabel(identity.label, accounts, accounts.length)) delete identity.label;
+    accounts.push({
+      ...identity,
+      token_updated_at: now,
+      lastUsed: 0,
+      rateLimitResetTimes: {},
+      consecutiveFailures: 0,
+      lastFailureTime: null,
+      stats: stats ?? createDefaultStats(now),
+    });
+    result.added.push(acc);
+  }
+
+  // Same rule loadAccounts applies, so the saved file never holds a token twice.
+  result.storage.accounts = deduplicateByRefreshToken(accounts);
+  return result;
+}
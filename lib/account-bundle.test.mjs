@@ -0,0 +1,168 @@
+import { describe, it, expect } from "vitest";
+
+import { BUNDLE_FORMAT, createAccountBundle, mergeBundleAccounts, openAccountBundle } from "./account-bundle.mjs";
+import { encryptPayload } from "./storage-crypto.mjs";
+
+function makeAccount(overrides = {}) {
+  return {
+    id: "1000:aaa",
+    email: "alice@example.com",
+    refreshToken: "refresh-alice",
+    access: "access-alice",
+    expires: 5000,
+    token_updated_at: 1000,
+    addedAt: 1000,
+    lastUsed: 4000,
+    enabled: true,
+    rateLimitResetTimes: { anthropic: 9_999_999_999_999 },
+    consecutiveFailures: 3,
+    lastFailureTime: 3000,
+    stats: { requests: 5, inputTokens: 10, outputTokens: 20, cacheReadTokens: 0, cacheWriteTokens: 0, lastReset: 1 },
+    ...overrides,
+  };
+}
+
+describe("createAccountBundle / openAccountBundle", () => {
+  it("round-trips portable fields only and hides them from the file", () => {
+    const availability = { windows: ["mon-fri 09:00-17:00"], timezone: "Europe/Berlin" };
+    const bundle = createAccountBundle([makeAccount({ label: "work", availability })], "s3cret", { now: 0 });
+    expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, version: 1, exportedAt: "1970-01-01T00:00:00.000Z" });
+    expect(JSON.stringify(bundle)).not.toContain("refresh-alice");
+
+    expect(openAccountBundle(bundle, "s3cret")).toEqual([
+      {
+        id: "1000:aaa",
+        email: "alice@example.com",
+        label: "work",
+        availability,
+        refreshToken: "refresh-alice",
+        enabled: true,
+        addedAt: 1000,
+      },
+    ]);
+  });
+
+  it("carries stats only when asked", () => {
+    const bundle = createAccountBundle([makeAccount()], "s3cret", { includeStats: true });
+    expect(openAccountBundle(bundle, "s3cret")[0].stats.requests).toBe(5);
+  });
+
+  it("keeps API-key accounts marked as such", () => {
+    const bundle = createAccountBundle(
+      [
+        makeAccount(),
+        makeAccount({
+          id: "2000:sk",
+          email: undefined,
+          refreshToken: undefined,
+          apiKey: "sk-ant-api03-x",
+          source: "api-key",
+        }),
+      ],
+      "s3cret",
+    );
+    const [oauth, apiKey] = openAccountBundle(bundle, "s3cret");
+    expect(oauth.source).toBeUndefined();
+    expect(oauth.apiKey).toBeUndefined();
+    expect(apiKey).toMatchObject({ apiKey: "sk-ant-api03-x", source: "api-key" });
+    expect(apiKey.refreshToken).toBeUndefined();
+  });
+
+  it("reads API keys from bundles that carried them as refresh tokens", () => {
+    const legacy = { id: "2000:sk", refreshToken: "sk-ant-api03-x", source: "api-key", enabled: true, addedAt: 2000 };
+    const { encryption, ciphertext } = encryptPayload(
+      { accounts: [legacy] },
+      { backend: "passphrase", secret: "s3cret" },
+    );
+    const bundle = { ...createAccountBundle([], "s3cret"), encryption, ciphertext };
+    const [apiKey] = openAccountBundle(bundle, "s3cret");
+    expect(apiKey).toMatchObject({ apiKey: "sk-ant-api03-x", source: "api-key" });
+    expect(apiKey.refreshToken).toBeUndefined();
+  });
+
+  it("rejects a wrong passphrase and foreign files", () => {
+    const bundle = createAccountBundle([makeAccount()], "s3cret");
+    expect(() => openAccountBundle(bundle, "nope")).toThrow(/wrong passphrase/);
+    expect(() => openAccountBundle({ version: 1, accounts: [] }, "s3cret")).toThrow(/Not an account bundle/);
+    expect(() => openAccountBundle({ ...bundle, version: 9 }, "s3cret")).toThrow(/Unsupported bundle version 9/);
+  });
+});
+
+describe("mergeBundleAccounts", () => {
+  const stored = () => ({ version: 1, accounts: [makeAccount()], activeIndex: 0 });
+  const incoming = [
+    { id: "1000:aaa", email: "alice@example.com", refreshToken: "refresh-alice", enabled: true, addedAt: 1000 },
+    { id: "2000:bbb", email: "ALICE@example.com", refreshToken: "refresh-alice-2", enabled: false, addedAt: 2000 },
+    { id: "3000:ccc", email: "bob@example.com", refreshToken: "refresh-bob", enabled: true, addedAt: 3000 },
+  ];
+
+  it("adds new accounts with clean state and reports conflicts without touching them", () => {
+    const result = mergeBundleAccounts(stored(), incoming, { now: 7000 });
+    expect(result.unchanged.map((a) => a.id)).toEqual(["1000:aaa"]);
+    expect(result.conflicts).toEqual([{ account: incoming[1], index: 0, reason: "email" }]);
+    expect(result.added.map((a) => a.id)).toEqual(["3000:ccc"]);
+    expect(result.storage.accounts.map((a) => a.refreshToken)).toEqual(["refresh-alice", "refresh-bob"]);
+    expect(result.storage.accounts[1]).toMatchObject({
+      lastUsed: 0,
+      token_updated_at: 7000,
+      rateLimitResetTimes: {},
+      consecutiveFailures: 0,
+      stats: { requests: 0, lastReset: 7000 },
+    });
+  });
+
+  it("replaces the local token of a conflicting account when asked", () => {
+    const result = mergeBundleAccounts(stored(), incoming, { replace: true, now: 7000 });
+    expect(result.replaced).toHaveLength(1);
+    expect(result.storage.accounts[0]).toMatchObject({
+      id: "1000:aaa",
+      refreshToken: "refresh-alice-2",
+      access: undefined,
+      enabled: false,
+      rateLimitResetTimes: {},
+      stats: { requests: 5 },
+    });
+  });
+
+  it("replaces across credential types, API key included", () => {
+    const apiKeyAccount = {
+      id: "2000:sk",
+      email: "alice@example.com",
+      apiKey: "sk-ant-api03-new",
+      source: "api-key",
+      enabled: true,
+      addedAt: 2000,
+    };
+    const result = mergeBundleAccounts(stored(), [apiKeyAccount], { replace: true, now: 7000 });
+    expect(result.replaced).toHaveLength(1);
+    expect(result.storage.accounts[0]).toMatchObject({
+      id: "1000:aaa",
+      refreshToken: undefined,
+      apiKey: "sk-ant-api03-new",
+      source: "api-key",
+    });
+
+    const back = mergeBundleAccounts(result.storage, [incoming[1]], { replace: true, now: 8000 });
+    expect(back.storage.accounts[0]).toMatchObject({
+      refreshToken: "refresh-alice-2",
+      apiKey: undefined,
+      source: "oauth",
+    });
+  });
+
+  it("drops imported labels that are already taken locally", () => {
+    const local = { version: 1, accounts: [makeAccount({ label: "work" })], activeIndex: 0 };
+    const result = mergeBundleAccounts(local, [
+      { ...incoming[2], label: "WORK" },
+      { id: "4000:ddd", refreshToken: "refresh-carol", enabled: true, addedAt: 4000, label: "backup" },
+    ]);
+    expect(result.storage.accounts.map((a) => a.label)).toEqual(["work", undefined, "backup"]);
+  });
+
+  it("stops at the account limit and merges into empty storage", () => {
+    const result = mergeBundleAccounts(null, incoming.slice(1), { maxAccounts: 1 });
+    expect(result.added.map((a) => a.id)).toEqual(["2000:bbb"]);
+    expect(result.skipped.map((a) => a.id)).toEqual(["3000:ccc"]);
+    expect(result.storage.activeIndex).toBe(0);
+  });
+});
@@ -51,3 +51,101 @@ export function applyOAuthCredentials(account, credentials) {
     account.email = credentials.email;
   }
 }
+
+/** Longest account label accepted. */
+export const MAX_ACCOUNT_LABEL_LENGTH = 32;
+
+/**
+ * Whether an account authenticates with an Anthropic API key rather than
+ * OAuth. The key is kept in apiKey; such accounts have no refresh token,
+ * access token or expiry and are billed per token.
+ * @param {{ source?: string } | null | undefined} account
+ * @returns {boolean}
+ */
+export function isApiKeyAccount(account) {
+  return account?.source === "api-key";
+}
+
+/**
+ * The secret an account signs in with: its API key, or its OAuth refresh
+ * token. Duplicate detection and disk merges match accounts by it.
+ * @param {{ source?: string, refreshToken?: string, apiKey?: string }} account
+ * @returns {string | undefined}
+ */
+export function accountCredential(account) {
+  return isApiKeyAccount(account) ? account.apiKey : account.refreshToken;
+}
+
+/**
+ * Check an API key before storing it.
+ * @param {string} key
+ * @returns {string | null} Error message, or null when the key looks usable
+ */
+export function validateApiKey(key) {
+  if (!key) return "API key is empty";
+  if (/\s/.test(key)) return "API keys cannot contain whitespace";
+  if (key.startsWith("sk-ant-oat")) return "that is an OAuth token, not an API key; use 'login' instead";
+  if (!key.startsWith("sk-ant-")) return 'API keys start with "sk-ant-"';
+  return null;
+}
+
+/**
+ * Name to show for an account: its label, with the email when both exist,
+ * else the email, else "Account N" ("API key N" for API-key accounts).
+ * @param {{ label?: string, email?: string, source?: string }} account
+ * @param {number} number - 1-based account number
+ * @returns {string}
+ */
+export function accountDisplayName(account, number) {
+  if (account.label && account.email) return `${account.label} (${account.email})`;
+  return account.label || account.email || `${isApiKeyAccount(account) ? "API key" : "Account"} ${number}`;
+}
+
+/**
+ * Whether an account matches a user-supplied reference: a 1-based account
+ * number, a label or email (case-insensitive) or a stored account ID.
+ * @param {{ index: number, id?: string, email?: string, label?: string }} account
+ * @param {string | number} ref
+ * @returns {boolean}
+ */
+export function matchesAccountRef(account, ref) {
+  if (typeof ref === "number") return account.index === ref - 1;
+  const value = ref.trim();
+  if (/^\d+$/.test(value)) return account.index === Number(value) - 1;
+  if (account.id && account.id === value) return true;
+  const lower = value.toLowerCase();
+  if (account.label && account.label.toLowerCase() === lower) return true;
+  return !!account.email && account.email.toLowerCase() === lower;
+}
+
+/**
+ * Find the account a reference points at (see matchesAccountRef).
+ * @param {Array<{ id?: string, email?: string, label?: string }>} accounts - Accounts in storage order
+ * @param {string | number | undefined} ref
+ * @returns {number} 0-based index, or -1 when nothing matches
+ */
+export function findAccountIndex(accounts, ref) {
+  if (ref === undefined || ref === "") return -1;
+  return accounts.findIndex((acc, index) => matchesAccountRef({ ...acc, index }, ref));
+}
+
+/**
+ * Check a new label for an account. Labels must not look like an account
+ * number or collide with another account's label or email, so every
+ * reference stays unambiguous.
+ * @param {string} label
+ * @param {Array<{ email?: string, label?: string }>} accounts
+ * @param {number} index - 0-based index of the account being labelled
+ * @returns {string | null} Error message, or null when the label is usable
+ */
+export function validateAccountLabel(label, accounts, index) {
+  if (!/^[\w.@+-]+$/.test(label)) return "labels may only contain letters, digits and . _ - + @";
+  if (label.length > MAX_ACCOUNT_LABEL_LENGTH) return `labels are at most ${MAX_ACCOUNT_LABEL_LENGTH} characters`;
+  if (/^\d+$/.test(label)) return "labels cannot be plain numbers";
+  if (label.toLowerCase() === "all") return `"all" is reserved`;
+  const lower = label.toLowerCase();
+  const clash = accounts.findIndex(
+    (acc, i) => i !== index && (acc.label?.toLowerCase() === lower || acc.email?.toLowerCase() === lower),
+  );
+  return clash === -1 ? null : `already used by account #${clash + 1}`;
+}
@@ -1,5 +1,15 @@
 import { describe, it, expect } from "vitest";
-import { applyOAuthCredentials, resetAccountTracking, adjustActiveIndexAfterRemoval } from "./account-state.mjs";
+import {
+  accountDisplayName,
+  applyOAuthCredentials,
+  adjustActiveIndexAfterRemoval,
+  findAccountIndex,
+  isApiKeyAccount,
+  matchesAccountRef,
+  resetAccountTracking,
+  validateAccountLabel,
+  validateApiKey,
+} from "./account-state.mjs";
 
 describe("resetAccountTracking", () => {
   it("resets rate-limit and failure fields", () => {
@@ -107,3 +117,81 @@ describe("adjustActiveIndexAfterRemoval", () => {
     expect(storage.activeIndex).toBe(1);
   });
 });
+
+describe("accountDisplayName", () => {
+  it("prefers the label, keeping the email alongside it", () => {
+    expect(accountDisplayName({ label: "work", email: "a@example.com" }, 1)).toBe("work (a@example.com)");
+    expect(accountDisplayName({ label: "work" }, 1)).toBe("work");
+    expect(accountDisplayName({ email: "a@example.com" }, 1)).toBe("a@example.com");
+    expect(accountDisplayName({}, 3)).toBe("Account 3");
+    expect(accountDisplayName({ source: "api-key" }, 4)).toBe("API key 4");
+  });
+});
+
+describe("isApiKeyAccount", () => {
+  it("only matches the api-key source", () => {
+    expect(isApiKeyAccount({ source: "api-key" })).toBe(true);
+    expect(isApiKeyAccount({ source: "oauth" })).toBe(false);
+    expect(isApiKeyAccount({})).toBe(false);
+    expect(isApiKeyAccount(null)).toBe(false);
+  });
+});
+
+describe("validateApiKey", () => {
+  it("accepts API keys and rejects OAuth tokens and malformed input", () => {
+    expect(validateApiKey("sk-ant-api03-abc_DEF-123")).toBeNull();
+    expect(validateApiKey("")).toBe("API key is empty");
+    expect(validateApiKey("sk-ant-api03 abc")).toMatch(/whitespace/);
+    expect(validateApiKey("sk-ant-oat01-abc")).toMatch(/OAuth token/);
+    expect(validateApiKey("sk-proj-abc")).toMatch(/start with "sk-ant-"/);
+  });
+});
+
+describe("matchesAccountRef", () => {
+  const account = { index: 1, id: "1700:abc", email: "Me@Example.com", label: "Work-Max" };
+
+  it("matches by 1-based number, label, email or id", () => {
+    expect(matchesAccountRef(account, 2)).toBe(true);
+    expect(matchesAccountRef(account, "2")).toBe(true);
+    expect(matchesAccountRef(account, "work-max")).toBe(true);
+    expect(matchesAccountRef(account, "me@example.com")).toBe(true);
+    expect(matchesAccountRef(account, "1700:abc")).toBe(true);
+    expect(matchesAccountRef(account, 1)).toBe(false);
+    expect(matchesAccountRef(account, "you@example.com")).toBe(false);
+  });
+});
+
+describe("findAccountIndex", () => {
+  const accounts = [{ email: "a@example.com" }, { email: "b@example.com", label: "backup" }];
+
+  it("returns the 0-based index of the referenced account", () => {
+    expect(findAccountIndex(accounts, "2")).toBe(1);
+    expect(findAccountIndex(accounts, "backup")).toBe(1);
+    expect(findAccountIndex(accounts, "A@example.com")).toBe(0);
+  });
+
+  it("returns -1 for missing, out-of-range and unknown references", () => {
+    expect(findAccountIndex(accounts, undefined)).toBe(-1);
+    expect(findAccountIndex(accounts, "0")).toBe(-1);
+    expect(findAccountIndex(accounts, "3")).toBe(-1);
+    expect(findAccountIndex(accounts, "work")).toBe(-1);
+  });
+});
+
+describe("validateAccountLabel", () => {
+  const accounts = [{ email: "a@example.com", label: "work" }, { email: "b@example.com" }];
+
+  it("accepts new labels and relabelling an account with its own label", () => {
+    expect(validateAccountLabel("backup", accounts, 1)).toBeNull();
+    expect(validateAccountLabel("WORK", accounts, 0)).toBeNull();
+  });
+
+  it("rejects labels that would make references ambiguous", () => {
+    expect(validateAccountLabel("Work", accounts, 1)).toMatch(/account #1/);
+    expect(validateAccountLabel("a@example.com", accounts, 1)).toMatch(/account #1/);
+    expect(validateAccountLabel("2", accounts, 1)).toMatch(/numbers/);
+    expect(validateAccountLabel("all", accounts, 1)).toMatch(/reserved/);
+    expect(validateAccountLabel("two words", accounts, 1)).toMatch(/letters/);
+    expect(validateAccountLabel("x".repeat(33), accounts, 1)).toMatch(/32/);
+  });
+});
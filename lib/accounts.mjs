@@ -1,8 +1,12 @@
 import { createHash } from "node:crypto";
 import { loadAccounts, saveAccounts, createDefaultStats } from "./storage.mjs";
 import { HealthScoreTracker, TokenBucketTracker, selectAccount } from "./rotation.mjs";
+import { isAccountAvailable } from "./availability.mjs";
 import { calculateBackoffMs } from "./backoff.mjs";
 import { readCCCredentials } from "./cc-credentials.mjs";
+import { accountCredential, isApiKeyAccount, matchesAccountRef } from "./account-state.mjs";
+import { appendAuditEvent, auditedAccount } from "./audit-log.mjs";
+import { loadTrackerState, newerTrackerState, saveTrackerState } from "./tracker-state.mjs";
 
 /** QA fix M12: hash token fragment instead of leaking raw prefix */
 function hashTokenFragment(token) {
@@ -22,7 +26,7 @@ function hashTokenFragment(token) {
  */
 
 /**
- * @typedef {'oauth' | 'cc-keychain' | 'cc-file'} AccountSource
+ * @typedef {'oauth' | 'cc-keychain' | 'cc-file' | 'api-key'} AccountSource
  */
 
 /**
@@ -30,7 +34,11 @@ function hashTokenFragment(token) {
  * @property {string} id
  * @property {number} index
  * @property {string} [email]
- * @property {string} refreshToken
+ * @property {string} [label]
+ * @property {string} [note]
+ * @property {import('./availability.mjs').AvailabilitySchedule} [availability]
+ * @property {string} [refreshToken] - OAuth refresh token; absent for API-key accounts
+ * @property {string} [apiKey] - Anthropic API key, for API-key accounts only
  * @property {string} [access]
  * @property {number} [expires]
  * @property {number} tokenUpdatedAt
@@ -42,10 +50,10 @@ function hashTokenFragment(token) {
  * @property {number | null} lastFailureTime
  * @property {string} [lastSwitchReason]
  * @property {AccountStats} stats
- * @property {AccountSource} [source] - Origin of the account. CC accounts must not enter OAuth HTTP refresh.
+ * @property {AccountSource} [source] - Origin of the account. CC and API-key accounts must not enter OAuth HTTP refresh.
  */
 
-const MAX_ACCOUNTS = 10;
+export const MAX_ACCOUNTS = 10;
 const RATE_LIMIT_KEY = "anthropic";
 
 /**
@@ -79,6 +87,19 @@ export class AccountManager {
    * @type {Map<string, StatsDelta>}
    */
   #statsDeltas = new Map();
+  /**
+   * Selection position per account group. Tracked by account id so it
+   * survives re-indexing, and kept apart from #currentIndex so routed
+   * requests don't move the active account.
+   * @type {Map<string, { currentId: string | null, cursor: number }>}
+   */
+  #groupSelection = new Map();
+  /**
+   * Tracker state as last loaded from or saved to disk, so a save can tell
+   * what this process changed since.
+   * @type {import('./tracker-state.mjs').TrackerState}
+   */
+  #syncedTrackerState = {};
 
   /**
    * @param {AnthropicAuthConfig} config
@@ -104,12 +125,16 @@ export class AccountManager {
     // re-bootstrapping from OpenCode auth fallback credentials.
     if (stored) {
       manager.#accounts = stored.accounts.map((acc, index) => ({
-        id: acc.id || `${acc.addedAt}:${hashTokenFragment(acc.refreshToken)}`,
+        id: acc.id || `${acc.addedAt}:${hashTokenFragment(accountCredential(acc))}`,
         index,
         email: acc.email,
+        label: acc.label,
+        note: acc.note,
+        availability: acc.availability,
         accountUuid: acc.accountUuid,
         organizationUuid: acc.organizationUuid,
         refreshToken: acc.refreshToken,
+        apiKey: acc.apiKey,
         access: acc.access,
         expires: acc.expires,
         tokenUpdatedAt: acc.token_updated_at,
@@ -147,6 +172,7 @@ export class AccountManager {
 
       // Merge CC credentials if enabled
       manager.#mergeCC(config);
+      manager.#syncTrackerState(loadTrackerState());
 
       return manager;
     }
@@ -179,6 +205,7 @@ export class AccountManager {
 
     // Merge CC credentials if enabled
     manager.#mergeCC(config);
+    manager.#syncTrackerState(loadTrackerState());
 
     return manager;
   }
@@ -301,6 +328,15 @@ export class AccountManager {
     return this.#healthTracker.getScore(accountIndex);
   }
 
+  /**
+   * Get the current token bucket level for a specific account (including regeneration).
+   * @param {number} accountIndex
+   * @returns {number}
+   */
+  getTokenBucketTokens(accountIndex) {
+    return this.#tokenTracker.getTokens(accountIndex);
+  }
+
   /**
    * Force the active account to a specific index.
    * Used by OPENCODE_ANTHROPIC_INITIAL_ACCOUNT to pin a session to one account.
@@ -321,7 +357,10 @@ export class AccountManager {
    * @returns {ManagedAccount | null}
    */
   peekNextAccount() {
-    const enabled = this.#accounts.filter((acc) => acc.enabled && acc.index !== this.#currentIndex);
+    const now = Date.now();
+    const enabled = this.#accounts.filter(
+      (acc) => acc.enabled && acc.index !== this.#currentIndex && isAccountAvailable(acc.availability, now),
+    );
     if (enabled.length === 0) return null;
     // Return the first enabled account that isn't the current one
     return enabled[0] ?? null;
@@ -329,12 +368,26 @@ export class AccountManager {
 
   /**
    * Get enabled account references for internal plugin operations.
+   * Accounts outside their availability window are left out until it opens.
    * Returned objects are mutable managed accounts.
    * @param {Set<number>} [excludedIndices]
    * @returns {ManagedAccount[]}
    */
   getEnabledAccounts(excludedIndices) {
-    return this.#accounts.filter((acc) => acc.enabled && !excludedIndices?.has(acc.index));
+    const now = Date.now();
+    return this.#accounts.filter(
+      (acc) => acc.enabled && !excludedIndices?.has(acc.index) && isAccountAvailable(acc.availability, now),
+    );
+  }
+
+  /**
+   * Whether any enabled account exists that is only held back by its
+   * availability window, as opposed to being disabled.
+   * @returns {boolean}
+   */
+  hasOffHoursAccounts() {
+    const now = Date.now();
+    return this.#accounts.some((acc) => acc.enabled && !isAccountAvailable(acc.availability, now));
   }
 
   /**
@@ -361,15 +414,53 @@ export class AccountManager {
     return resetTime !== undefined && Date.now() < resetTime;
   }
 
+  /**
+   * When an account's request rate limit lifts, as account selection sees it.
+   * Soft cooldowns from quota thresholds do not count.
+   * @param {ManagedAccount} account
+   * @returns {number} Epoch ms, or 0 when the account is not rate-limited
+   */
+  getRateLimitResetTime(account) {
+    return this.#isRateLimited(account) ? account.rateLimitResetTimes[RATE_LIMIT_KEY] : 0;
+  }
+
+  /**
+   * Run the selection strategy. With api_key_accounts.fallback_only, API-key
+   * accounts are only considered when no other candidate can be selected.
+   * @param {import('./rotation.mjs').AccountCandidate[]} candidates
+   * @param {AccountSelectionStrategy} strategy
+   * @param {number | null} currentIndex
+   * @param {number} cursor
+   */
+  #select(candidates, strategy, currentIndex, cursor) {
+    if (this.#config.api_key_accounts?.fallback_only) {
+      const preferred = candidates.filter((c) => !isApiKeyAccount(this.#accounts[c.index]));
+      if (preferred.length < candidates.length) {
+        const result = selectAccount(
+          preferred,
+          strategy,
+          currentIndex,
+          this.#healthTracker,
+          this.#tokenTracker,
+          cursor,
+        );
+        if (result) return result;
+      }
+    }
+    return selectAccount(candidates, strategy, currentIndex, this.#healthTracker, this.#tokenTracker, cursor);
+  }
+
   /**
    * Select the best account for the current request.
    * @param {Set<number>} [excludedIndices] - Temporary per-request exclusions
+   * @param {string | null} [group] - Account group from routing rules; null selects from all accounts
    * @returns {ManagedAccount | null}
    */
-  getCurrentAccount(excludedIndices) {
+  getCurrentAccount(excludedIndices, group = null) {
     if (this.#accounts.length === 0) return null;
 
     // Build candidates list
+    const now = Date.now();
     const candidates = this.#accounts
       .filter((acc) => acc.enabled && !excludedIndices?.has(acc.index))
       .map((acc) => {
@@ -380,15 +471,40 @@ export class AccountManager {
           healthScore: this.#healthTracker.getScore(acc.index),
           isRateLimited: this.#isRateLimited(acc),
           enabled: acc.enabled,
+          isAvailable: isAccountAvailable(acc.availability, now),
         };
       });
 
-    const result = selectAccount(
+    const groupConfig = group ? this.#config.account_groups?.[group] : undefined;
+    if (groupConfig) {
+      const members = candidates.filter((c) =>
+        groupConfig.accounts.some((ref) => matchesAccountRef(this.#accounts[c.index], ref)),
+      );
+      const selection = this.#groupSelection.get(group) ?? { currentId: null, cursor: 0 };
+      const current = this.#accounts.find((acc) => acc.id === selection.currentId);
+      const result = this.#select(
+        members,
+        groupConfig.strategy ?? this.#config.account_selection_strategy,
+        current ? current.index : null,
+        selection.cursor,
+      );
+      if (result) {
+        const account = this.#accounts[result.index];
+        this.#groupSelection.set(group, { currentId: account.id, cursor: result.cursor });
+        account.lastUsed = Date.now();
+        this.#tokenTracker.consume(account.index);
+        return account;
+      }
+      if (!groupConfig.fallback) return null;
+      // No member available: fall back to the whole pool
+    }
+
+    const strategy = this.#config.account_selection_strategy;
+    const previous = this.#currentIndex >= 0 ? this.#accounts[this.#currentIndex] : undefined;
+    const result = this.#select(
       candidates,
-      this.#config.account_selection_strategy,
+      strategy,
       this.#currentIndex >= 0 ? this.#currentIndex : null,
-      this.#healthTracker,
-      this.#tokenTracker,
       this.#cursor,
     );
 
@@ -401,6 +517,22 @@ export class AccountManager {
     if (account) {
       account.lastUsed = Date.now();
       this.#tokenTracker.consume(account.index);
+      // Round-robin moves on every request by design; only audit switches away from an account.
+      if (previous && previous !== account && strategy !== "round-robin") {
+        account.lastSwitchReason = !previous.enabled
+          ? "disabled"
+          : excludedIndices?.has(previous.index)
+            ? "unavailable"
+            : !isAccountAvailable(previous.availability, now)
+              ? "off-hours"
+              : this.#isRateLimited(previous)
+                ? "rate-limit"
+                : "rotation";
+        this.#audit("switch", account, {
+          reason: account.lastSwitchReason,
+          details: { fromAccountId: previous.id },
+        });
+      }
     }
 
     return account ?? null;
@@ -517,6 +649,7 @@ export class AccountManager {
       existing.tokenUpdatedAt = Date.now();
       if (email) existing.email = email;
       existing.enabled = true;
+      this.#audit("update", existing);
       return existing;
     }
 
@@ -541,6 +674,7 @@ export class AccountManager {
     };
 
     this.#accounts.push(account);
+    this.#audit("add", account);
 
     // If this is the first account, make it active
     if (this.#accounts.length === 1) {
@@ -551,6 +685,44 @@ export class AccountManager {
     return account;
   }
 
+  /**
+   * Add an API-key account to the pool.
+   * @param {string} apiKey
+   * @returns {ManagedAccount | null} The account (the existing one for a known key), or null if at capacity
+   */
+  addApiKeyAccount(apiKey) {
+    const existing = this.#accounts.find((acc) => isApiKeyAccount(acc) && acc.apiKey === apiKey);
+    if (existing) return existing;
+    if (this.#accounts.length >= MAX_ACCOUNTS) return null;
+
+    const now = Date.now();
+    /** @type {ManagedAccount} */
+    const account = {
+      id: `${now}:${hashTokenFragment(apiKey)}`,
+      index: this.#accounts.length,
+      apiKey,
+      tokenUpdatedAt: now,
+      addedAt: now,
+      lastUsed: 0,
+      enabled: true,
+      rateLimitResetTimes: {},
+      consecutiveFailures: 0,
+      lastFailureTime: null,
+      lastSwitchReason: "initial",
+      stats: createDefaultStats(now),
+      source: "api-key",
+    };
+
+    this.#accounts.push(account);
+    this.#audit("add", account);
+    if (this.#accounts.length === 1) {
+      this.#currentIndex = 0;
+    }
+
+    this.requestSaveToDisk();
+    return account;
+  }
+
   /**
    * Remove an account by index.
    * @param {number} index
@@ -559,7 +731,9 @@ export class AccountManager {
   removeAccount(index) {
     if (index < 0 || index >= this.#accounts.length) return false;
 
-    this.#accounts.splice(index, 1);
+    const trackerState = this.#trackerStateById();
+    const [removed] = this.#accounts.splice(index, 1);
+    this.#audit("remove", removed);
 
     // Re-index remaining accounts
     this.#accounts.forEach((acc, i) => {
@@ -580,10 +754,11 @@ export class AccountManager {
       }
     }
 
-    // Reset both health and token trackers since indices shifted after splice (QA fix H10).
-    // Rebuilding is simpler and safer than trying to remap individual entries.
+    // Rebuild both health and token trackers since indices shifted after splice (QA fix H10),
+    // carrying each remaining account's state over by id.
     this.#healthTracker = new HealthScoreTracker(this.#config.health_score);
     this.#tokenTracker = new TokenBucketTracker(this.#config.token_bucket);
+    this.#applyTrackerState(trackerState);
     this.requestSaveToDisk();
     return true;
   }
@@ -598,14 +773,94 @@ export class AccountManager {
     if (!account) return false;
 
     account.enabled = !account.enabled;
+    this.#audit(account.enabled ? "enable" : "disable", account);
     this.requestSaveToDisk();
     return account.enabled;
   }
 
+  /**
+   * Disable an account the plugin can no longer use (e.g. its refresh token
+   * was revoked).
+   * @param {ManagedAccount} account
+   * @param {string} reason - e.g. AUTH_FAILED
+   * @param {Record<string, unknown>} [details]
+   */
+  disableAccount(account, reason, details) {
+    if (!account.enabled) return;
+    account.enabled = false;
+    this.#audit("disable", account, { reason, details });
+    this.requestSaveToDisk();
+  }
+
+  /**
+   * Record an account mutation made by the plugin in the audit log.
+   * @param {string} action
+   * @param {ManagedAccount | null} account
+   * @param {{ reason?: string, details?: Record<string, unknown> }} [extra]
+   */
+  #audit(action, account, { reason, details } = {}) {
+    appendAuditEvent({ source: "plugin", action, ...auditedAccount(account), reason, details }, this.#config.audit_log);
+  }
+
+  /**
+   * Health and token bucket state of every tracked account, keyed by id.
+   * @returns {import('./tracker-state.mjs').TrackerState}
+   */
+  #trackerStateById() {
+    /** @type {import('./tracker-state.mjs').TrackerState} */
+    const state = {};
+    for (const acc of this.#accounts) {
+      const health = this.#healthTracker.getState(acc.index);
+      const bucket = this.#tokenTracker.getState(acc.index);
+      if (!health && !bucket) continue;
+      state[acc.id] = {};
+      if (health) state[acc.id].health = health;
+      if (bucket) state[acc.id].bucket = bucket;
+    }
+    return state;
+  }
+
+  /**
+   * Adopt tracker state for current accounts wherever it is newer than ours.
+   * @param {import('./tracker-state.mjs').TrackerState} state
+   */
+  #applyTrackerState(state) {
+    for (const acc of this.#accounts) {
+      const entry = state[acc.id];
+      if (!entry) continue;
+      const health = newerTrackerState(this.#healthTracker.getState(acc.index), entry.health);
+      if (health) this.#healthTracker.setState(acc.index, health);
+      const bucket = newerTrackerState(this.#tokenTracker.getState(acc.index), entry.bucket);
+      if (bucket) this.#tokenTracker.setState(acc.index, bucket);
+    }
+  }
+
+  /**
+   * Adopt tracker state read from or written to disk, remembering each token
+   * bucket we end up with as the base the next save measures our consumption
+   * from. A saved (merged) bucket replaces ours outright; a loaded one only
+   * when it is newer, since ours may carry consumption not yet saved.
+   * @param {import('./tracker-state.mjs').TrackerState} state
+   * @param {{ saved?: boolean }} [opts]
+   */
+  #syncTrackerState(state, { saved = false } = {}) {
+    this.#applyTrackerState(state);
+    const synced = { ...this.#syncedTrackerState };
+    for (const acc of this.#accounts) {
+      const bucket = state[acc.id]?.bucket;
+      if (!bucket) continue;
+      if (saved) this.#tokenTracker.setState(acc.index, bucket);
+      const ours = this.#tokenTracker.getState(acc.index);
+      if (ours && ours.lastUpdated <= bucket.lastUpdated) synced[acc.id] = { bucket: ours };
+    }
+    this.#syncedTrackerState = synced;
+  }
+
   /**
    * Clear all accounts and reset state.
    */
   clearAll() {
+    if (this.#accounts.length > 0) this.#audit("clear", null, { details: { count: this.#accounts.length } });
     this.#accounts = [];
     this.#currentIndex = -1;
     this.#cursor = 0;
@@ -613,6 +868,8 @@ export class AccountManager {
     this.#healthTracker = new HealthScoreTracker(this.#config.health_score);
     this.#tokenTracker = new TokenBucketTracker(this.#config.token_bucket);
     this.#statsDeltas.clear();
+    this.#groupSelection.clear();
+    this.#syncedTrackerState = {};
   }
 
   /**
@@ -631,10 +888,15 @@ export class AccountManager {
    * Persist current state to disk immediately.
    * Stats use merge-on-save: read disk values, add this instance's deltas,
    * write merged result. This prevents concurrent instances from clobbering
-   * each other's stats.
+   * each other's stats. Tracker state goes to its own file, where the most
+   * recent health per account wins and token bucket consumption adds up.
    * @returns {Promise<void>}
    */
   async saveToDisk() {
+    this.#syncTrackerState(saveTrackerState(this.#trackerStateById(), Date.now(), this.#syncedTrackerState), {
+      saved: true,
+    });
+
     // Read current disk state to merge stats
     /** @type {Map<string, import('./storage.mjs').AccountMetadata> | null} */
     let diskAccountsById = null;
@@ -652,7 +914,7 @@ export class AccountManager {
           const bucket = diskAccountsByAddedAt.get(diskAcc.addedAt) || [];
           bucket.push(diskAcc);
           diskAccountsByAddedAt.set(diskAcc.addedAt, bucket);
-          diskAccountsByRefreshToken.set(diskAcc.refreshToken, diskAcc);
+          diskAccountsByRefreshToken.set(accountCredential(diskAcc), diskAcc);
         }
       }
     } catch {
@@ -671,7 +933,7 @@ export class AccountManager {
       const byAddedAt = diskAccountsByAddedAt?.get(account.addedAt);
       if (byAddedAt?.length === 1) return byAddedAt[0];
 
-      const byToken = diskAccountsByRefreshToken?.get(account.refreshToken);
+      const byToken = diskAccountsByRefreshToken?.get(accountCredential(account));
       if (byToken) return byToken;
 
       if (byAddedAt && byAddedAt.length > 0) return byAddedAt[0];
@@ -738,9 +1000,14 @@ export class AccountManager {
         return {
           id: acc.id,
           email: acc.email,
+          // Labels, notes and schedules are only edited on disk (CLI), so the disk copy wins
+          label: diskAcc ? diskAcc.label : acc.label,
+          note: diskAcc ? diskAcc.note : acc.note,
+          availability: diskAcc ? diskAcc.availability : acc.availability,
           accountUuid: acc.accountUuid,
           organizationUuid: acc.organizationUuid,
           refreshToken: freshestAuth.refreshToken,
+          apiKey: acc.apiKey,
           access: freshestAuth.access,
           expires: freshestAuth.expires,
           token_updated_at: freshestAuth.tokenUpdatedAt,
@@ -795,28 +1062,36 @@ export class AccountManager {
     if (!stored) return;
 
     // Reconcile account list/enabled states with disk (CLI may add/remove/enable/disable)
-    const existingByTokenForSnapshot = new Map(this.#accounts.map((acc) => [acc.refreshToken, acc]));
-    const memSnapshot = this.#accounts.map((acc) => `${acc.id}:${acc.refreshToken}:${acc.enabled ? 1 : 0}`).join("|");
+    const existingByTokenForSnapshot = new Map(this.#accounts.map((acc) => [accountCredential(acc), acc]));
+    const memSnapshot = this.#accounts
+      .map((acc) => `${acc.id}:${accountCredential(acc)}:${acc.enabled ? 1 : 0}`)
+      .join("|");
 
     const diskSnapshot = stored.accounts
       .map((acc) => {
-        const resolvedId = acc.id || existingByTokenForSnapshot.get(acc.refreshToken)?.id || acc.refreshToken;
-        return `${resolvedId}:${acc.refreshToken}:${acc.enabled ? 1 : 0}`;
+        const credential = accountCredential(acc);
+        const resolvedId = acc.id || existingByTokenForSnapshot.get(credential)?.id || credential;
+        return `${resolvedId}:${credential}:${acc.enabled ? 1 : 0}`;
       })
       .join("|");
 
     if (diskSnapshot !== memSnapshot) {
+      const trackerState = this.#trackerStateById();
       const existingById = new Map(this.#accounts.map((acc) => [acc.id, acc]));
-      const existingByToken = new Map(this.#accounts.map((acc) => [acc.refreshToken, acc]));
+      const existingByToken = new Map(this.#accounts.map((acc) => [accountCredential(acc), acc]));
 
       this.#accounts = stored.accounts.map((acc, index) => {
         const existing =
-          (acc.id && existingById.get(acc.id)) || (!acc.id ? existingByToken.get(acc.refreshToken) : null);
+          (acc.id && existingById.get(acc.id)) || (!acc.id ? existingByToken.get(accountCredential(acc)) : null);
         return {
-          id: acc.id || existing?.id || `${acc.addedAt}:${hashTokenFragment(acc.refreshToken)}`,
+          id: acc.id || existing?.id || `${acc.addedAt}:${hashTokenFragment(accountCredential(acc))}`,
           index,
           email: acc.email ?? existing?.email,
+          label: acc.label,
+          note: acc.note,
+          availability: acc.availability,
           refreshToken: acc.refreshToken,
+          apiKey: acc.apiKey,
           access: acc.access ?? existing?.access,
           expires: acc.expires ?? existing?.expires,
           tokenUpdatedAt: acc.token_updated_at ?? existing?.tokenUpdatedAt ?? acc.addedAt,
@@ -832,9 +1107,10 @@ export class AccountManager {
         };
       });
 
-      // Trackers are index-based; reset when account set/order changes.
+      // Trackers are index-based; rebuild when account set/order changes.
       this.#healthTracker = new HealthScoreTracker(this.#config.health_score);
       this.#tokenTracker = new TokenBucketTracker(this.#config.token_bucket);
+      this.#applyTrackerState(trackerState);
 
       // Prune orphaned stats deltas for accounts no longer in the set.
       const currentIds = new Set(this.#accounts.map((a) => a.id));
@@ -847,8 +1123,18 @@ export class AccountManager {
         this.#cursor = 0;
         return;
       }
+    } else {
+      // Same account set: still pick up labels, notes and schedules edited from the CLI.
+      stored.accounts.forEach((acc, index) => {
+        this.#accounts[index].label = acc.label;
+        this.#accounts[index].note = acc.note;
+        this.#accounts[index].availability = acc.availability;
+      });
     }
 
+    // Pick up health and token bucket changes from other plugin processes.
+    this.#syncTrackerState(loadTrackerState());
+
     const diskIndex = Math.min(stored.activeIndex, this.#accounts.length - 1);
     if (diskIndex >= 0 && diskIndex !== this.#currentIndex) {
       const diskAccount = stored.accounts[diskIndex];
@@ -12,7 +12,22 @@ vi.mock("./storage.mjs", async (importOriginal) => {
   };
 });
 
+// Keep the audit log off the real config directory
+vi.mock("./audit-log.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  appendAuditEvent: vi.fn(),
+}));
+
+// Tracker state is kept in memory; tests seed what "other processes" wrote
+vi.mock("./tracker-state.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadTrackerState: vi.fn(() => ({})),
+  saveTrackerState: vi.fn((local) => local),
+}));
+
 import { loadAccounts, saveAccounts } from "./storage.mjs";
+import { appendAuditEvent } from "./audit-log.mjs";
+import { loadTrackerState, saveTrackerState } from "./tracker-state.mjs";
 
 /** Build a stored account with sensible defaults; override any field. */
 function makeStoredAccount(overrides = {}) {
@@ -227,6 +242,161 @@ describe("AccountManager account management", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+
+describe("AccountManager audit log", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-15T12:00:00Z"));
+  });
+
+  it("records removals, toggles and AUTH_FAILED disables with the account identity", async () => {
+    loadAccounts.mockResolvedValue(
+      makeAccountsData([
+        { id: "acc-1", email: "a@example.com", label: "work" },
+        { id: "acc-2", email: "b@example.com" },
+      ]),
+    );
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+
+    manager.toggleAccount(1);
+    manager.disableAccount(manager.getCurrentAccount(), "AUTH_FAILED", { status: 400 });
+    manager.removeAccount(0);
+
+    const events = appendAuditEvent.mock.calls.map(([event]) => event);
+    expect(events).toEqual([
+      expect.objectContaining({ source: "plugin", action: "disable", accountId: "acc-2" }),
+      expect.objectContaining({
+        action: "disable",
+        accountId: "acc-1",
+        reason: "AUTH_FAILED",
+        details: { status: 400 },
+      }),
+      expect.objectContaining({ action: "remove", accountId: "acc-1", email: "a@example.com", label: "work" }),
+    ]);
+    expect(appendAuditEvent.mock.calls[0][1]).toBe(DEFAULT_CONFIG.audit_log);
+  });
+
+  it("records switches away from a rate-limited account with the switch reason", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acc-1" }, { id: "acc-2" }]));
+    const manager = await AccountManager.load({ ...DEFAULT_CONFIG, account_selection_strategy: "sticky" }, null);
+
+    const first = manager.getCurrentAccount();
+    manager.getCurrentAccount();
+    expect(appendAuditEvent).not.toHaveBeenCalled();
+
+    manager.markRateLimited(first, "RATE_LIMIT_EXCEEDED", 60_000);
+    const next = manager.getCurrentAccount();
+
+    expect(next.lastSwitchReason).toBe("rate-limit");
+    expect(appendAuditEvent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "switch",
+        accountId: "acc-2",
+        reason: "rate-limit",
+        details: { fromAccountId: "acc-1" },
+      }),
+      DEFAULT_CONFIG.audit_log,
+    );
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Tracker state persistence
+// ---------------------------------------------------------------------------
+
+describe("AccountManager tracker state", () => {
+  const HOUR = 3_600_000;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-15T12:00:00Z"));
+    saveAccounts.mockResolvedValue(undefined);
+  });
+
+  it("restores health and tokens by account id, recovering for the downtime", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acc-1" }, { id: "acc-2" }]));
+    loadTrackerState.mockReturnValue({
+      "acc-2": {
+        health: { score: 40, lastUpdated: Date.now() - 2 * HOUR, consecutiveFailures: 3 },
+        bucket: { tokens: 0, lastUpdated: Date.now() - 60_000 },
+      },
+      "acc-removed": { health: { score: 0, lastUpdated: Date.now(), consecutiveFailures: 9 } },
+    });
+
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+
+    // recovery_rate_per_hour 2, regeneration_rate_per_minute 6
+    expect(manager.getHealthScore(1)).toBe(44);
+    expect(manager.getTokenBucketTokens(1)).toBe(6);
+    expect(manager.getHealthScore(0)).toBe(DEFAULT_CONFIG.health_score.initial);
+  });
+
+  it("saves state keyed by id and adopts newer state from other processes", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acc-1" }, { id: "acc-2" }]));
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+    manager.markRateLimited(manager.getCurrentAccount(), "RATE_LIMIT_EXCEEDED", 1000);
+
+    saveTrackerState.mockImplementation((local) => ({
+      ...local,
+      "acc-2": { health: { score: 10, lastUpdated: Date.now(), consecutiveFailures: 4 } },
+    }));
+    await manager.saveToDisk();
+
+    const [local] = saveTrackerState.mock.calls[0];
+    expect(Object.keys(local)).toEqual(["acc-1"]);
+    expect(local["acc-1"].health).toMatchObject({ score: 60, consecutiveFailures: 1 });
+    expect(local["acc-1"].bucket.tokens).toBe(DEFAULT_CONFIG.token_bucket.initial_tokens - 1);
+    expect(manager.getHealthScore(1)).toBe(10);
+  });
+
+  it("passes the buckets it last synced as the base for the next save", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acc-1" }, { id: "acc-2" }]));
+    loadTrackerState.mockReturnValue({ "acc-1": { bucket: { tokens: 40, lastUpdated: Date.now() } } });
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+
+    saveTrackerState.mockImplementation(() => ({ "acc-1": { bucket: { tokens: 30, lastUpdated: Date.now() } } }));
+    await manager.saveToDisk();
+    expect(saveTrackerState.mock.calls[0][2]).toEqual({
+      "acc-1": { bucket: { tokens: 40, lastUpdated: Date.now() } },
+    });
+    // The merged bucket replaces ours outright, and becomes the next base.
+    expect(manager.getTokenBucketTokens(0)).toBe(30);
+
+    await manager.saveToDisk();
+    expect(saveTrackerState.mock.calls[1][2]).toEqual({
+      "acc-1": { bucket: { tokens: 30, lastUpdated: Date.now() } },
+    });
+  });
+
+  it("ignores shared state older than its own", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acc-1" }]));
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+    manager.markFailure(manager.getCurrentAccount());
+
+    loadTrackerState.mockReturnValue({
+      "acc-1": { health: { score: 95, lastUpdated: Date.now() - 1000, consecutiveFailures: 0 } },
+    });
+    await manager.syncActiveIndexFromDisk();
+
+    expect(manager.getHealthScore(0)).toBe(50);
+  });
+
+  it("keeps each account's state when another account is removed", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acc-1" }, { id: "acc-2" }]));
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+    manager.markFailure(manager.getAccountsSnapshot()[1]);
+
+    manager.removeAccount(0);
+
+    expect(manager.getHealthScore(0)).toBe(50);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Account selection
 // ---------------------------------------------------------------------------
@@ -268,6 +438,154 @@ describe("AccountManager account selection", () => {
   });
 });
 
+describe("AccountManager account groups", () => {
+  const config = {
+    ...DEFAULT_CONFIG,
+    account_groups: {
+      personal: { accounts: ["me@example.com"], strategy: null, fallback: false },
+      team: { accounts: [2, "3"], strategy: "round-robin", fallback: true },
+    },
+  };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-15T12:00:00Z"));
+    loadAccounts.mockImplementation(async () =>
+      makeAccountsData([{ email: "me@example.com" }, { email: "a@team.com" }, { email: "b@team.com" }]),
+    );
+  });
+
+  it("selects within a group using its own strategy without moving the active account", async () => {
+    const manager = await AccountManager.load(config, null);
+    const picks = [1, 2, 3].map(() => manager.getCurrentAccount(undefined, "team").email);
+    expect(picks).toEqual(["a@team.com", "b@team.com", "a@team.com"]);
+    expect(manager.getCurrentAccount(undefined, "personal").email).toBe("me@example.com");
+    expect(manager.getCurrentIndex()).toBe(0);
+    expect(manager.getCurrentAccount().email).toBe("me@example.com");
+  });
+
+  it("falls back to all accounts only when the group allows it", async () => {
+    const strict = await AccountManager.load(config, null);
+    strict.markRateLimited(strict.getCurrentAccount(undefined, "personal"), "RATE_LIMIT_EXCEEDED", 60_000);
+    expect(strict.getCurrentAccount(undefined, "personal")).toBeNull();
+
+    const lenient = await AccountManager.load(config, null);
+    lenient.toggleAccount(1);
+    lenient.toggleAccount(2);
+    expect(lenient.getCurrentAccount(undefined, "team").email).toBe("me@example.com");
+  });
+
+  it("uses the whole pool for unknown groups", async () => {
+    const manager = await AccountManager.load(config, null);
+    expect(manager.getCurrentAccount(undefined, "missing").email).toBe("me@example.com");
+  });
+});
+
+describe("AccountManager availability windows", () => {
+  // 2026-01-15 is a Thursday; 12:00Z is 07:00 in New York
+  const newYorkOfficeHours = { windows: ["mon-fri 09:00-17:00"], timezone: "America/New_York" };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-15T12:00:00Z"));
+  });
+
+  it("leaves accounts out outside their window and takes them back once it opens", async () => {
+    loadAccounts.mockResolvedValue(
+      makeAccountsData([{ email: "ny@example.com", availability: newYorkOfficeHours }, { email: "b@example.com" }]),
+    );
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+
+    expect(manager.getEnabledAccounts().map((a) => a.email)).toEqual(["b@example.com"]);
+    expect(manager.hasOffHoursAccounts()).toBe(true);
+    const account = manager.getCurrentAccount();
+    expect(account.email).toBe("b@example.com");
+    expect(account.lastSwitchReason).toBe("off-hours");
+    expect(manager.peekNextAccount()).toBeNull();
+
+    vi.setSystemTime(new Date("2026-01-15T14:30:00Z"));
+    expect(manager.getEnabledAccounts()).toHaveLength(2);
+    expect(manager.hasOffHoursAccounts()).toBe(false);
+    expect(manager.peekNextAccount().email).toBe("ny@example.com");
+  });
+
+  it("selects nothing when every enabled account is off-hours", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ availability: newYorkOfficeHours }]));
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+    expect(manager.getCurrentAccount()).toBeNull();
+    expect(manager.getAccountCount()).toBe(1);
+  });
+
+  it("picks up schedules edited on disk by the CLI", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: "acc-1" }, { id: "acc-2" }]));
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+    expect(manager.getEnabledAccounts()).toHaveLength(2);
+
+    loadAccounts.mockResolvedValue(
+      makeAccountsData([{ id: "acc-1", availability: newYorkOfficeHours }, { id: "acc-2" }]),
+    );
+    await manager.syncActiveIndexFromDisk();
+    expect(manager.getEnabledAccounts().map((a) => a.id)).toEqual(["acc-2"]);
+
+    await manager.saveToDisk();
+    expect(saveAccounts.mock.calls[0][0].accounts[0].availability).toEqual(newYorkOfficeHours);
+  });
+});
+
+describe("AccountManager API-key accounts", () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-01-15T12:00:00Z"));
+  });
+
+  it("adds an API key once, as an account without tokens", async () => {
+    loadAccounts.mockResolvedValue(makeAccountsData([{ email: "a@example.com" }]));
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+
+    const account = manager.addApiKeyAccount("sk-ant-api03-key");
+    expect(account).toMatchObject({ index: 1, apiKey: "sk-ant-api03-key", source: "api-key", enabled: true });
+    expect(account.refreshToken).toBeUndefined();
+    expect(account.access).toBeUndefined();
+    expect(manager.addApiKeyAccount("sk-ant-api03-key")).toBe(account);
+    expect(manager.getAccountCount()).toBe(2);
+    expect(appendAuditEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps API-key accounts back until no OAuth account can serve", async () => {
+    loadAccounts.mockResolvedValue(
+      makeAccountsData([
+        { source: "api-key", apiKey: "sk-ant-api03-key", refreshToken: undefined, email: "key@example.com" },
+        { email: "oauth@example.com" },
+      ]),
+    );
+    const manager = await AccountManager.load(DEFAULT_CONFIG, null);
+
+    expect(manager.getCurrentAccount().email).toBe("oauth@example.com");
+
+    const [, oauth] = manager.getEnabledAccounts();
+    manager.markRateLimited(oauth, "RATE_LIMIT_EXCEEDED", 60_000);
+    expect(manager.getCurrentAccount().email).toBe("key@example.com");
+
+    vi.advanceTimersByTime(61_000);
+    expect(manager.getCurrentAccount().email).toBe("oauth@example.com");
+  });
+
+  it("selects API-key accounts like any other without fallback_only", async () => {
+    loadAccounts.mockResolvedValue(
+      makeAccountsData([
+        { source: "api-key", apiKey: "sk-ant-api03-key", refreshToken: undefined, email: "key@example.com" },
+        { email: "oauth@example.com" },
+      ]),
+    );
+    const config = { ...DEFAULT_CONFIG, api_key_accounts: { fallback_only: false } };
+    const manager = await AccountManager.load(config, null);
+    expect(manager.getCurrentAccount().email).toBe("key@example.com");
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Rate limiting and health
 // ---------------------------------------------------------------------------
@@ -331,6 +649,25 @@ describe("AccountManager rate limiting", () => {
     manager.markRateLimited(account, "RATE_LIMIT_EXCEEDED", null);
     expect(account.consecutiveFailures).toBe(1); // Reset to 0, then +1
   });
+
+  it("getRateLimitResetTime reports the rate limit but not soft cooldowns", () => {
+    const account = manager.getCurrentAccount();
+    manager.applySurpassedThreshold(account, new Date(Date.now() + 600_000).toISOString());
+    expect(manager.getRateLimitResetTime(account)).toBe(0);
+
+    manager.markRateLimited(account, "RATE_LIMIT_EXCEEDED", 60_000);
+    expect(manager.getRateLimitResetTime(account)).toBe(Date.now() + 60_000);
+
+    vi.advanceTimersByTime(60_001);
+    expect(manager.getRateLimitResetTime(account)).toBe(0);
+  });
+
+  it("getTokenBucketTokens reflects consumption by account selection", () => {
+    const before = manager.getTokenBucketTokens(0);
+    manager.getCurrentAccount();
+    expect(manager.getTokenBucketTokens(0)).toBe(before - 1);
+    expect(manager.getTokenBucketTokens(1)).toBe(before);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -647,6 +984,24 @@ describe("AccountManager merge-on-save", () => {
     return manager;
   }
 
+  it("keeps labels and notes set on disk by the CLI", async () => {
+    const manager = await createManagerWithAccounts(1);
+    const [acc] = manager.getAccountsSnapshot();
+
+    loadAccounts.mockResolvedValue(
+      makeAccountsData([{ id: acc.id, refreshToken: "tok-1", label: "work", note: "weekdays" }]),
+    );
+    await manager.syncActiveIndexFromDisk();
+    expect(manager.getAccountsSnapshot()[0]).toMatchObject({ label: "work", note: "weekdays" });
+
+    // Cleared on disk after our last sync: the save must not bring it back
+    loadAccounts.mockResolvedValue(makeAccountsData([{ id: acc.id, refreshToken: "tok-1" }]));
+    await manager.saveToDisk();
+    const saved = saveAccounts.mock.calls[0][0];
+    expect(saved.accounts[0].label).toBeUndefined();
+    expect(saved.accounts[0].note).toBeUndefined();
+  });
+
   it("merges stats with disk values on save", async () => {
     const manager = await createManagerWithAccounts(1);
     const snap = manager.getAccountsSnapshot();
@@ -0,0 +1,193 @@
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  statSync,
+} from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { getConfigDir } from "./config.mjs";
+
+const AUDIT_LOG_FILENAME = "anthropic-accounts-audit.jsonl";
+
+/** Processes that write the accounts file. */
+export const AUDIT_SOURCES = ["plugin", "cli", "slash"];
+
+/**
+ * One account mutation, as appended to the audit log.
+ * @typedef {object} AuditEvent
+ * @property {number} ts - ms since epoch
+ * @property {number} pid
+ * @property {"plugin" | "cli" | "slash"} source - Plugin runtime, CLI, or CLI run from an /anthropic slash command
+ * @property {string} action - e.g. add, remove, enable, disable, switch, logout
+ * @property {string | null} accountId - Stored account ID; null for actions on every account
+ * @property {string} [email] - Email at the time, so removed accounts stay identifiable
+ * @property {string} [label] - Label at the time
+ * @property {string} [reason] - Why it happened, e.g. a switch reason or AUTH_FAILED
+ * @property {Record<string, unknown>} [details]
+ */
+
+/**
+ * @typedef {object} AuditLogOptions
+ * @property {boolean} [enabled]
+ * @property {number} [max_bytes] - Rotate the live file once it reaches this size
+ * @property {number} [max_files] - Rotated files to keep
+ */
+
+/**
+ * @returns {string}
+ */
+export function getAuditLogPath() {
+  return join(getConfigDir(), AUDIT_LOG_FILENAME);
+}
+
+/**
+ * Rotated files, oldest first. Rotated names carry the rotation time and the
+ * pid so two processes rotating at once never overwrite each other's file.
+ * @param {string} path - Live log path
+ * @returns {string[]}
+ */
+function listRotatedFiles(path) {
+  const dir = dirname(path);
+  const stem = basename(path, ".jsonl");
+  let names;
+  try {
+    names = readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return names
+    .filter((name) => name.startsWith(`${stem}.`) && name.endsWith(".jsonl") && name !== basename(path))
+    .sort()
+    .map((name) => join(dir, name));
+}
+
+/**
+ * Move the live file aside and prune the oldest rotated files.
+ * @param {string} path
+ * @param {number} maxFiles
+ * @param {number} now
+ */
+function rotate(path, maxFiles, now) {
+  const rotated = path.replace(/\.jsonl$/, `.${String(now).padStart(14, "0")}-${process.pid}.jsonl`);
+  try {
+    renameSync(path, rotated);
+  } catch {
+    // Another process rotated it first.
+    return;
+  }
+  const files = listRotatedFiles(path);
+  for (const old of files.slice(0, Math.max(0, files.length - maxFiles))) {
+    rmSync(old, { force: true });
+  }
+}
+
+/**
+ * Append one account mutation to the audit log. Best-effort: disk failures
+ * are swallowed so auditing never breaks the mutation itself.
+ * @param {Omit<AuditEvent, "ts" | "pid"> & { ts?: number }} event
+ * @param {AuditLogOptions} [options] - The `audit_log` config section
+ */
+export function appendAuditEvent(event, options = {}) {
+  const { enabled = true, max_bytes: maxBytes = 1_048_576, max_files: maxFiles = 5 } = options;
+  if (!enabled) return;
+
+  const path = getAuditLogPath();
+  /** @type {AuditEvent} */
+  const entry = {
+    ts: event.ts ?? Date.now(),
+    pid: process.pid,
+    source: event.source,
+    action: event.action,
+    accountId: event.accountId ?? null,
+  };
+  if (event.email) entry.email = event.email;
+  if (event.label) entry.label = event.label;
+  if (event.reason) entry.reason = event.reason;
+  if (event.details && Object.keys(event.details).length > 0) entry.details = event.details;
+
+  try {
+    mkdirSync(dirname(path), { recursive: true });
+    if (existsSync(path) && statSync(path).size >= maxBytes) rotate(path, maxFiles, entry.ts);
+    appendFileSync(path, JSON.stringify(entry) + "\n", { encoding: "utf-8", mode: 0o600 });
+  } catch {
+    // Best-effort.
+  }
+}
+
+/**
+ * @param {string} path
+ * @returns {AuditEvent[]}
+ */
+function readAuditFile(path) {
+  let content;
+  try {
+    content = readFileSync(path, "utf-8");
+  } catch {
+    return [];
+  }
+  /** @type {AuditEvent[]} */
+  const events = [];
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed && typeof parsed.ts === "number" && typeof parsed.action === "string") events.push(parsed);
+    } catch {
+      // A partially written trailing line from a crashed process.
+    }
+  }
+  return events;
+}
+
+/**
+ * @typedef {object} AuditFilter
+ * @property {number | null} [since]
+ * @property {string} [account] - Account ID, email or label (as recorded at the time)
+ * @property {string} [action]
+ * @property {number} [limit] - Keep only the newest events
+ */
+
+/**
+ * Whether an event concerns the given account. Matches the recorded email and
+ * label too, so history stays queryable after an account is removed.
+ * @param {AuditEvent} event
+ * @param {string} ref
+ */
+function concernsAccount(event, ref) {
+  if (event.accountId === ref) return true;
+  const lower = ref.toLowerCase();
+  return event.email?.toLowerCase() === lower || event.label?.toLowerCase() === lower;
+}
+
+/**
+ * Query the audit log, including rotated files.
+ * @param {AuditFilter} [filter]
+ * @returns {AuditEvent[]} Oldest first
+ */
+export function readAuditEvents(filter = {}) {
+  const path = getAuditLogPath();
+  const action = filter.action?.toLowerCase();
+  const events = [...listRotatedFiles(path), path]
+    .flatMap(readAuditFile)
+    .filter(
+      (e) =>
+        (filter.since == null || e.ts >= filter.since) &&
+        (!filter.account || concernsAccount(e, filter.account)) &&
+        (!action || e.action === action),
+    )
+    .sort((a, b) => a.ts - b.ts);
+  return filter.limit ? events.slice(-filter.limit) : events;
+}
+
+/**
+ * Identity fields of an account for an audit event.
+ * @param {{ id?: string, email?: string, label?: string } | null | undefined} account
+ * @returns {Pick<AuditEvent, "accountId" | "email" | "label">}
+ */
+export function auditedAccount(account) {
+  return { accountId: account?.id ?? null, email: account?.email, label: account?.label };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { appendFileSync, mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+let configDir = "";
+
+vi.mock("./config.mjs", () => ({
+  getConfigDir: () => configDir,
+}));
+
+import { appendAuditEvent, auditedAccount, getAuditLogPath, readAuditEvents } from "./audit-log.mjs";
+
+const NOW = Date.parse("2026-03-20T12:00:00Z");
+
+beforeEach(() => {
+  configDir = mkdtempSync(join(tmpdir(), "opencode-audit-log-"));
+});
+
+afterEach(() => {
+  rmSync(configDir, { recursive: true, force: true });
+});
+
+describe("appendAuditEvent", () => {
+  it("appends one JSON line per mutation with pid and account identity", () => {
+    const account = { id: "acc-1", email: "a@example.com", label: "work", refreshToken: "secret" };
+    appendAuditEvent({
+      ts: NOW,
+      source: "plugin",
+      action: "disable",
+      ...auditedAccount(account),
+      reason: "AUTH_FAILED",
+    });
+    appendAuditEvent({ ts: NOW + 1, source: "cli", action: "logout", accountId: null, details: { count: 2 } });
+
+    const lines = readFileSync(getAuditLogPath(), "utf-8").trim().split("\n").map(JSON.parse);
+    expect(lines).toEqual([
+      {
+        ts: NOW,
+        pid: process.pid,
+        source: "plugin",
+        action: "disable",
+        accountId: "acc-1",
+        email: "a@example.com",
+        label: "work",
+        reason: "AUTH_FAILED",
+      },
+      { ts: NOW + 1, pid: process.pid, source: "cli", action: "logout", accountId: null, details: { count: 2 } },
+    ]);
+  });
+
+  it("writes nothing when disabled", () => {
+    appendAuditEvent({ source: "cli", action: "remove", accountId: "acc-1" }, { enabled: false });
+    expect(readdirSync(configDir)).toEqual([]);
+  });
+
+  it("rotates the live file at max_bytes and keeps max_files rotated files", () => {
+    const options = { max_bytes: 100, max_files: 2 };
+    for (let i = 0; i < 8; i++) {
+      appendAuditEvent({ ts: NOW + i, source: "cli", action: "switch", accountId: `acc-${i}` }, options);
+    }
+
+    const files = readdirSync(configDir).sort();
+    expect(files).toHaveLength(3);
+    expect(files).toContain("anthropic-accounts-audit.jsonl");
+    // The newest events survive; the oldest rotated files were pruned
+    const ids = readAuditEvents().map((e) => e.accountId);
+    expect(ids.at(-1)).toBe("acc-7");
+    expect(ids).not.toContain("acc-0");
+    expect(ids).toEqual([...ids].sort());
+  });
+});
+
+describe("readAuditEvents", () => {
+  beforeEach(() => {
+    appendAuditEvent({ ts: NOW - 3000, source: "cli", action: "add", accountId: "acc-1", email: "a@example.com" });
+    appendAuditEvent({ ts: NOW - 2000, source: "plugin", action: "disable", accountId: "acc-2", label: "backup" });
+    appendAuditEvent({ ts: NOW - 1000, source: "slash", action: "remove", accountId: "acc-1", email: "a@example.com" });
+    appendAuditEvent({ ts: NOW, source: "cli", action: "logout", accountId: null });
+  });
+
+  it("filters by account ID, recorded email or label, action and time", () => {
+    expect(readAuditEvents({ account: "acc-1" }).map((e) => e.action)).toEqual(["add", "remove"]);
+    expect(readAuditEvents({ account: "A@Example.com" })).toHaveLength(2);
+    expect(readAuditEvents({ account: "backup" }).map((e) => e.accountId)).toEqual(["acc-2"]);
+    expect(readAuditEvents({ action: "REMOVE" }).map((e) => e.source)).toEqual(["slash"]);
+    expect(readAuditEvents({ since: NOW - 1500 }).map((e) => e.action)).toEqual(["remove", "logout"]);
+  });
+
+  it("keeps the newest events when limited and skips torn lines", () => {
+    appendFileSync(getAuditLogPath(), '{"ts":1,"act');
+    expect(readAuditEvents({ limit: 2 }).map((e) => e.action)).toEqual(["remove", "logout"]);
+    expect(readAuditEvents()).toHaveLength(4);
+  });
+});
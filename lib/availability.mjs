@@ -0,0 +1,264 @@
+/**
+ * Per-account availability schedules: weekday/hour windows in a time zone,
+ * outside of which an account is left out of selection.
+ */
+
+/**
+ * @typedef {object} AvailabilitySchedule
+ * @property {string[]} windows - e.g. "mon-fri 09:00-18:00", "sat,sun 10:00-14:00", "22:00-06:00"
+ * @property {string} [timezone] - IANA time zone; the system time zone when unset
+ */
+
+const DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const DAY_ALIASES = {
+  daily: DAYS,
+  weekdays: DAYS.slice(0, 5),
+  weekends: DAYS.slice(5),
+};
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/** One window: optional day list, then a time range. End before start wraps past midnight. */
+const WINDOW_PATTERN = /\s*(?:([a-z][a-z,-]*)\s+)?(\d{1,2}(?::\d{2})?)\s*-\s*(\d{1,2}(?::\d{2})?)\s*(?:[,;]|$)/iy;
+
+/**
+ * @param {string} token - Day name ("mon", "monday"), range ("mon-fri", "fri-mon") or alias ("weekdays")
+ * @returns {number[]} Day offsets, Monday = 0
+ */
+function parseDays(token) {
+  /** @type {Set<number>} */
+  const days = new Set();
+  for (const part of token.toLowerCase().split(",")) {
+    if (!part) continue;
+    const alias = DAY_ALIASES[/** @type {keyof typeof DAY_ALIASES} */ (part)];
+    if (alias) {
+      for (const day of alias) days.add(DAYS.indexOf(day));
+      continue;
+    }
+    const [from, to, ...rest] = part.split("-");
+    const start = DAYS.indexOf(from.slice(0, 3));
+    const end = to === undefined ? start : DAYS.indexOf(to.slice(0, 3));
+    if (start < 0 || end < 0 || rest.length > 0) throw new Error(`Unknown day "${part}"`);
+    for (let d = start; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === end) break;
+    }
+  }
+  if (days.size === 0) throw new Error(`No days in "${token}"`);
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * @param {string} text - "9", "09:30" or "24:00"
+ * @returns {number} Minutes since midnight
+ */
+function parseTime(text) {
+  const [h, m = "0"] = text.split(":");
+  const minutes = Number(h) * 60 + Number(m);
+  if (Number(m) > 59 || minutes > MINUTES_PER_DAY) throw new Error(`Invalid time "${text}"`);
+  return minutes;
+}
+
+/**
+ * @param {number} minutes
+ */
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @typedef {object} ParsedWindow
+ * @property {string} text - Canonical form
+ * @property {Array<[number, number]>} intervals - [start, end) in minutes since Monday 00:00
+ */
+
+/**
+ * @param {string | undefined} daysToken
+ * @param {string} startText
+ * @param {string} endText
+ * @returns {ParsedWindow}
+ */
+function compileWindow(daysToken, startText, endText) {
+  const days = daysToken ? parseDays(daysToken) : parseDays("daily");
+  const start = parseTime(startText);
+  const endOfDay = parseTime(endText);
+  if (start === endOfDay) throw new Error(`Empty window ${startText}-${endText}`);
+  const end = endOfDay < start ? endOfDay + MINUTES_PER_DAY : endOfDay;
+
+  /** @type {Array<[number, number]>} */
+  const intervals = [];
+  for (const day of days) {
+    const s = day * MINUTES_PER_DAY + start;
+    const e = day * MINUTES_PER_DAY + end;
+    if (e <= MINUTES_PER_WEEK) {
+      intervals.push([s, e]);
+    } else {
+      // Sunday night into Monday morning
+      intervals.push([s, MINUTES_PER_WEEK], [0, e - MINUTES_PER_WEEK]);
+    }
+  }
+  const times = `${formatTime(start)}-${formatTime(endOfDay)}`;
+  return { text: daysToken ? `${daysToken.toLowerCase()} ${times}` : times, intervals };
+}
+
+/**
+ * Parse one or more windows, separated by commas or semicolons:
+ * "mon-fri 09:00-18:00, sat 10-14". Days are optional (every day when omitted).
+ * @param {string} text
+ * @returns {string[]} Windows in canonical form
+ * @throws {Error} If any part is not a valid window
+ */
+export function parseAvailabilityWindows(text) {
+  /** @type {string[]} */
+  const windows = [];
+  const input = text.trim();
+  WINDOW_PATTERN.lastIndex = 0;
+  while (WINDOW_PATTERN.lastIndex < input.length) {
+    const at = WINDOW_PATTERN.lastIndex;
+    const match = WINDOW_PATTERN.exec(input);
+    if (!match) throw new Error(`Invalid availability window near "${input.slice(at)}"`);
+    windows.push(compileWindow(match[1], match[2], match[3]).text);
+  }
+  if (windows.length === 0) throw new Error("No availability windows given");
+  return windows;
+}
+
+/**
+ * Canonical IANA name for a time zone.
+ * @param {string} timezone
+ * @returns {string}
+ * @throws {RangeError} If the time zone is unknown
+ */
+export function normalizeTimezone(timezone) {
+  return new Intl.DateTimeFormat("en-US", { timeZone: timezone }).resolvedOptions().timeZone;
+}
+
+/** @type {Map<string, ParsedWindow>} */
+const compiledWindows = new Map();
+
+/**
+ * @param {string} window - Canonical window, as stored
+ * @returns {ParsedWindow}
+ */
+function compiled(window) {
+  let parsed = compiledWindows.get(window);
+  if (!parsed) {
+    WINDOW_PATTERN.lastIndex = 0;
+    const match = WINDOW_PATTERN.exec(window);
+    if (!match) throw new Error(`Invalid availability window "${window}"`);
+    parsed = compileWindow(match[1], match[2], match[3]);
+    compiledWindows.set(window, parsed);
+  }
+  return parsed;
+}
+
+/**
+ * Validate a stored schedule. Invalid windows are dropped; an unknown time
+ * zone drops the whole schedule so the account is never excluded at the
+ * wrong hours.
+ * @param {unknown} raw
+ * @returns {AvailabilitySchedule | undefined}
+ */
+export function normalizeAvailability(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(/** @type {any} */ (raw).windows)) return undefined;
+  const { windows, timezone } = /** @type {{ windows: unknown[], timezone?: unknown }} */ (raw);
+
+  /** @type {string[]} */
+  const valid = [];
+  for (const window of windows) {
+    if (typeof window !== "string") continue;
+    try {
+      valid.push(...parseAvailabilityWindows(window));
+    } catch {
+      // Skip it.
+    }
+  }
+  if (valid.length === 0) return undefined;
+  if (timezone === undefined || timezone === null || timezone === "") return { windows: valid };
+  if (typeof timezone !== "string") return undefined;
+  try {
+    return { windows: valid, timezone: normalizeTimezone(timezone) };
+  } catch {
+    return undefined;
+  }
+}
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * Minutes since Monday 00:00 in the given time zone.
+ * @param {number} now
+ * @param {string} [timezone]
+ */
+function minuteOfWeek(now, timezone) {
+  const key = timezone ?? "";
+  let formatter = formatters.get(key);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    formatters.set(key, formatter);
+  }
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const part of formatter.formatToParts(now)) parts[part.type] = part.value;
+  const day = DAYS.indexOf(parts.weekday.toLowerCase());
+  return day * MINUTES_PER_DAY + Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+/**
+ * @param {AvailabilitySchedule} schedule
+ * @param {number} minute
+ */
+function covers(schedule, minute) {
+  return schedule.windows.some((w) => compiled(w).intervals.some(([s, e]) => minute >= s && minute < e));
+}
+
+/**
+ * Whether an account with this schedule may be used now.
+ * @param {AvailabilitySchedule | undefined} schedule
+ * @param {number} [now]
+ * @returns {boolean} Always true without a schedule
+ */
+export function isAccountAvailable(schedule, now = Date.now()) {
+  if (!schedule?.windows?.length) return true;
+  return covers(schedule, minuteOfWeek(now, schedule.timezone));
+}
+
+/**
+ * When the account next becomes available (if it is not now) or unavailable
+ * (if it is). Exact to the minute; a DST change in between may shift it.
+ * @param {AvailabilitySchedule | undefined} schedule
+ * @param {number} [now]
+ * @returns {number | null} ms since epoch; null without a schedule or if it never changes
+ */
+export function nextAvailabilityChange(schedule, now = Date.now()) {
+  if (!schedule?.windows?.length) return null;
+  const minute = minuteOfWeek(now, schedule.timezone);
+  const available = covers(schedule, minute);
+
+  const deltas = schedule.windows
+    .flatMap((w) => compiled(w).intervals.flat())
+    .map((boundary) => (boundary - minute + MINUTES_PER_WEEK) % MINUTES_PER_WEEK || MINUTES_PER_WEEK)
+    .sort((a, b) => a - b);
+  for (const delta of deltas) {
+    if (covers(schedule, (minute + delta) % MINUTES_PER_WEEK) !== available) {
+      return now - (now % 60_000) + delta * 60_000;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {AvailabilitySchedule | undefined} schedule
+ * @returns {string}
+ */
+export function formatAvailability(schedule) {
+  if (!schedule?.windows?.length) return "always";
+  return schedule.windows.join(", ") + (schedule.timezone ? ` (${schedule.timezone})` : "");
+}
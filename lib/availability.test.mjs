@@ -0,0 +1,103 @@
+import { describe, it, expect } from "vitest";
+import {
+  formatAvailability,
+  isAccountAvailable,
+  nextAvailabilityChange,
+  normalizeAvailability,
+  parseAvailabilityWindows,
+} from "./availability.mjs";
+
+// 2026-03-20 is a Friday; 12:00Z is 08:00 in New York and 21:00 in Tokyo
+const FRIDAY_NOON_UTC = Date.parse("2026-03-20T12:00:00Z");
+
+describe("parseAvailabilityWindows", () => {
+  it("parses day ranges, lists, aliases and bare time ranges into canonical form", () => {
+    expect(parseAvailabilityWindows("mon-fri 9-18, sat,sun 10:00-14:00; 22:00-06:00")).toEqual([
+      "mon-fri 09:00-18:00",
+      "sat,sun 10:00-14:00",
+      "22:00-06:00",
+    ]);
+    expect(parseAvailabilityWindows("Weekdays 08:30-24:00")).toEqual(["weekdays 08:30-24:00"]);
+  });
+
+  it("rejects unknown days, invalid times and empty windows", () => {
+    expect(() => parseAvailabilityWindows("funday 9-17")).toThrow('Unknown day "funday"');
+    expect(() => parseAvailabilityWindows("mon 9:75-17")).toThrow('Invalid time "9:75"');
+    expect(() => parseAvailabilityWindows("mon 25-26")).toThrow("Invalid time");
+    expect(() => parseAvailabilityWindows("09:00-09:00")).toThrow("Empty window");
+    expect(() => parseAvailabilityWindows("mon-fri")).toThrow("Invalid availability window");
+    expect(() => parseAvailabilityWindows(" ")).toThrow("No availability windows");
+  });
+});
+
+describe("normalizeAvailability", () => {
+  it("keeps valid windows and canonicalizes the time zone", () => {
+    expect(normalizeAvailability({ windows: ["mon 9-17", "bogus", 42], timezone: "asia/tokyo" })).toEqual({
+      windows: ["mon 09:00-17:00"],
+      timezone: "Asia/Tokyo",
+    });
+    expect(normalizeAvailability({ windows: ["9-17"] })).toEqual({ windows: ["09:00-17:00"] });
+  });
+
+  it("drops schedules without valid windows or with an unknown time zone", () => {
+    expect(normalizeAvailability(undefined)).toBeUndefined();
+    expect(normalizeAvailability({ windows: [] })).toBeUndefined();
+    expect(normalizeAvailability({ windows: ["9-17"], timezone: "Mars/Olympus" })).toBeUndefined();
+  });
+});
+
+describe("isAccountAvailable", () => {
+  it("is always true without a schedule", () => {
+    expect(isAccountAvailable(undefined, FRIDAY_NOON_UTC)).toBe(true);
+    expect(isAccountAvailable({ windows: [] }, FRIDAY_NOON_UTC)).toBe(true);
+  });
+
+  it("evaluates windows in the schedule's time zone", () => {
+    const schedule = { windows: ["mon-fri 09:00-18:00"] };
+    expect(isAccountAvailable({ ...schedule, timezone: "America/New_York" }, FRIDAY_NOON_UTC)).toBe(false);
+    expect(isAccountAvailable({ ...schedule, timezone: "Europe/London" }, FRIDAY_NOON_UTC)).toBe(true);
+  });
+
+  it("carries overnight windows into the next day, across the end of the week", () => {
+    const schedule = { windows: ["sun 22:00-02:00"], timezone: "UTC" };
+    expect(isAccountAvailable(schedule, Date.parse("2026-03-22T23:00:00Z"))).toBe(true);
+    expect(isAccountAvailable(schedule, Date.parse("2026-03-23T01:59:00Z"))).toBe(true);
+    expect(isAccountAvailable(schedule, Date.parse("2026-03-23T02:00:00Z"))).toBe(false);
+    expect(isAccountAvailable(schedule, Date.parse("2026-03-21T23:00:00Z"))).toBe(false);
+  });
+});
+
+describe("nextAvailabilityChange", () => {
+  it("returns when a closed window opens and when an open one closes", () => {
+    const schedule = { windows: ["mon-fri 09:00-18:00"], timezone: "America/New_York" };
+    expect(nextAvailabilityChange(schedule, FRIDAY_NOON_UTC)).toBe(Date.parse("2026-03-20T13:00:00Z"));
+    expect(nextAvailabilityChange(schedule, Date.parse("2026-03-20T14:00:00Z"))).toBe(
+      Date.parse("2026-03-20T22:00:00Z"),
+    );
+    // Friday evening: next opening is Monday morning
+    expect(nextAvailabilityChange(schedule, Date.parse("2026-03-20T23:00:00Z"))).toBe(
+      Date.parse("2026-03-23T13:00:00Z"),
+    );
+  });
+
+  it("skips boundaries where adjacent windows join up", () => {
+    const schedule = { windows: ["mon 08:00-12:00", "mon 12:00-16:00"], timezone: "UTC" };
+    expect(nextAvailabilityChange(schedule, Date.parse("2026-03-23T09:00:00Z"))).toBe(
+      Date.parse("2026-03-23T16:00:00Z"),
+    );
+  });
+
+  it("returns null without a schedule or when it never closes", () => {
+    expect(nextAvailabilityChange(undefined, FRIDAY_NOON_UTC)).toBeNull();
+    expect(nextAvailabilityChange({ windows: ["00:00-24:00"] }, FRIDAY_NOON_UTC)).toBeNull();
+  });
+});
+
+describe("formatAvailability", () => {
+  it("lists windows with the time zone", () => {
+    expect(formatAvailability({ windows: ["mon-fri 09:00-18:00", "sat 10:00-14:00"], timezone: "Asia/Tokyo" })).toBe(
+      "mon-fri 09:00-18:00, sat 10:00-14:00 (Asia/Tokyo)",
+    );
+    expect(formatAvailability(undefined)).toBe("always");
+  });
+});
@@ -0,0 +1,185 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { randomBytes } from "node:crypto";
+import { getConfigDir } from "./config.mjs";
+import { acquireRefreshLock, releaseRefreshLock } from "./refresh-lock.mjs";
+import { toUtcDay } from "./usage-ledger.mjs";
+
+const STATE_FILENAME = "anthropic-budget-state.json";
+const STATE_VERSION = 1;
+const STATE_LOCK_ID = "budget-state";
+
+/**
+ * @typedef {object} BudgetState
+ * @property {number} version
+ * @property {{ day: string, usd: number }} daily - Spend for the current UTC day
+ * @property {Record<string, { usd: number, since: number }>} projects - Cumulative spend per project key
+ */
+
+/**
+ * @typedef {object} BudgetCap
+ * @property {"session" | "daily" | "project"} scope
+ * @property {number} limit
+ * @property {number} spent
+ * @property {number} ratio - spent / limit
+ */
+
+/**
+ * @returns {string}
+ */
+export function getBudgetStatePath() {
+  return join(getConfigDir(), STATE_FILENAME);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+function usd(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Load persisted spend. The daily bucket is reset when the UTC day changed.
+ * @param {number} [now]
+ * @returns {BudgetState}
+ */
+export function loadBudgetState(now = Date.now()) {
+  const today = toUtcDay(now);
+  /** @type {BudgetState} */
+  const state = { version: STATE_VERSION, daily: { day: today, usd: 0 }, projects: {} };
+
+  const p = getBudgetStatePath();
+  if (!existsSync(p)) return state;
+  try {
+    const data = JSON.parse(readFileSync(p, "utf-8"));
+    if (data?.daily?.day === today) state.daily.usd = usd(data.daily.usd);
+    if (data?.projects && typeof data.projects === "object") {
+      for (const [key, entry] of Object.entries(data.projects)) {
+        state.projects[key] = { usd: usd(entry?.usd), since: typeof entry?.since === "number" ? entry.since : now };
+      }
+    }
+  } catch {
+    // Corrupted or unreadable — start from zero rather than blocking requests.
+  }
+  return state;
+}
+
+/**
+ * @param {BudgetState} state
+ */
+function saveBudgetState(state) {
+  const p = getBudgetStatePath();
+  const tmpPath = `${p}.${randomBytes(6).toString("hex")}.tmp`;
+  try {
+    mkdirSync(dirname(p), { recursive: true });
+    writeFileSync(tmpPath, JSON.stringify(state, null, 2), { encoding: "utf-8", mode: 0o600 });
+    renameSync(tmpPath, p);
+  } catch {
+    // Best-effort.
+  }
+}
+
+/**
+ * Read, change and write the state file under a cross-process lock, so
+ * concurrent OpenCode instances accumulate into the same totals instead of
+ * overwriting each other's spend. If the lock cannot be had in time, the
+ * update is written anyway rather than dropped.
+ * @param {number} now
+ * @param {(state: BudgetState) => void} update
+ * @returns {Promise<BudgetState>}
+ */
+async function updateBudgetState(now, update) {
+  const lock = await acquireRefreshLock(STATE_LOCK_ID).catch(() => null);
+  try {
+    const state = loadBudgetState(now);
+    update(state);
+    saveBudgetState(state);
+    return state;
+  } finally {
+    if (lock?.acquired) await releaseRefreshLock(lock);
+  }
+}
+
+/**
+ * Add a completed request's cost to the persisted daily and project totals.
+ * @param {number} costUsd
+ * @param {{ project?: string | null, now?: number }} [opts]
+ * @returns {Promise<BudgetState>}
+ */
+export async function recordBudgetSpend(costUsd, opts = {}) {
+  const now = opts.now ?? Date.now();
+  const amount = usd(costUsd);
+  if (amount === 0) return loadBudgetState(now);
+
+  return updateBudgetState(now, (state) => {
+    state.daily.usd += amount;
+    if (opts.project) {
+      const entry = state.projects[opts.project] || { usd: 0, since: now };
+      entry.usd += amount;
+      state.projects[opts.project] = entry;
+    }
+  });
+}
+
+/**
+ * Zero the persisted daily total, or one project's total.
+ * @param {"daily" | "project"} scope
+ * @param {{ project?: string | null, now?: number }} [opts]
+ * @returns {Promise<BudgetState>}
+ */
+export async function resetBudgetSpend(scope, opts = {}) {
+  const now = opts.now ?? Date.now();
+  return updateBudgetState(now, (state) => {
+    if (scope === "daily") {
+      state.daily = { day: toUtcDay(now), usd: 0 };
+    } else if (scope === "project" && opts.project) {
+      state.projects[opts.project] = { usd: 0, since: now };
+    }
+  });
+}
+
+/**
+ * Pick the key that identifies the current project in `budgets.project_usd`.
+ * An existing entry for the directory wins, then one for the worktree;
+ * otherwise the directory itself is the key.
+ * @param {{ project_usd?: Record<string, number> } | undefined} budgets
+ * @param {{ directory?: string, worktree?: string }} location
+ * @returns {string | null}
+ */
+export function resolveProjectKey(budgets, { directory, worktree }) {
+  const caps = budgets?.project_usd || {};
+  const candidates = [directory, worktree].filter(Boolean).map((p) => resolve(/** @type {string} */ (p)));
+  for (const candidate of candidates) {
+    const match = Object.keys(caps).find((key) => resolve(key) === candidate);
+    if (match) return match;
+  }
+  return candidates[0] ?? null;
+}
+
+/**
+ * Compare current spend against every configured cap.
+ * @param {{ session_usd?: number, daily_usd?: number, project_usd?: Record<string, number>, warn_at?: number } | undefined} budgets
+ * @param {{ sessionUsd: number, state: BudgetState, projectKey?: string | null }} spend
+ * @returns {{ caps: BudgetCap[], exceeded: BudgetCap | null, warning: BudgetCap | null }}
+ */
+export function evaluateBudgets(budgets, { sessionUsd, state, projectKey }) {
+  /** @type {BudgetCap[]} */
+  const caps = [];
+  const add = (/** @type {BudgetCap["scope"]} */ scope, /** @type {number} */ limit, /** @type {number} */ spent) => {
+    if (limit > 0) caps.push({ scope, limit, spent, ratio: spent / limit });
+  };
+
+  add("session", usd(budgets?.session_usd), sessionUsd);
+  add("daily", usd(budgets?.daily_usd), state.daily.usd);
+  if (projectKey) {
+    add("project", usd(budgets?.project_usd?.[projectKey]), state.projects[projectKey]?.usd ?? 0);
+  }
+
+  const warnAt = budgets?.warn_at ?? 0.8;
+  const byRatio = [...caps].sort((a, b) => b.ratio - a.ratio);
+  const exceeded = byRatio.find((cap) => cap.ratio >= 1) ?? null;
+  const warning = exceeded ? null : (byRatio.find((cap) => cap.ratio >= warnAt) ?? null);
+
+  return { caps, exceeded, warning };
+}
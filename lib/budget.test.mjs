@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+let configDir = "";
+
+vi.mock("./config.mjs", () => ({
+  getConfigDir: () => configDir,
+}));
+
+import { acquireRefreshLock, releaseRefreshLock } from "./refresh-lock.mjs";
+import {
+  evaluateBudgets,
+  getBudgetStatePath,
+  loadBudgetState,
+  recordBudgetSpend,
+  resetBudgetSpend,
+  resolveProjectKey,
+} from "./budget.mjs";
+
+const NOW = Date.parse("2026-03-20T12:00:00Z");
+const DAY = 86_400_000;
+
+beforeEach(() => {
+  configDir = mkdtempSync(join(tmpdir(), "opencode-budget-"));
+});
+
+afterEach(() => {
+  rmSync(configDir, { recursive: true, force: true });
+});
+
+describe("budget state", () => {
+  it("starts empty when no state file exists", () => {
+    expect(loadBudgetState(NOW)).toEqual({ version: 1, daily: { day: "2026-03-20", usd: 0 }, projects: {} });
+  });
+
+  it("accumulates daily and project spend across loads", async () => {
+    await recordBudgetSpend(1.5, { project: "/work/a", now: NOW });
+    await recordBudgetSpend(0.25, { project: "/work/a", now: NOW + 1000 });
+    await recordBudgetSpend(1, { now: NOW + 2000 });
+
+    const state = loadBudgetState(NOW + 3000);
+    expect(state.daily.usd).toBeCloseTo(2.75);
+    expect(state.projects["/work/a"]).toEqual({ usd: 1.75, since: NOW });
+  });
+
+  it("reads the totals only once it holds the lock", async () => {
+    const lock = await acquireRefreshLock("budget-state");
+    const pending = recordBudgetSpend(1, { now: NOW });
+    // Another process records while this one waits for the lock
+    writeFileSync(
+      getBudgetStatePath(),
+      JSON.stringify({ version: 1, daily: { day: "2026-03-20", usd: 2 }, projects: {} }),
+    );
+    await releaseRefreshLock(lock);
+
+    expect((await pending).daily.usd).toBe(3);
+    expect(loadBudgetState(NOW).daily.usd).toBe(3);
+  });
+
+  it("writes the state file with owner-only permissions", async () => {
+    await recordBudgetSpend(1, { now: NOW });
+    if (process.platform !== "win32") {
+      expect(statSync(getBudgetStatePath()).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  it("rolls the daily total over on a new UTC day but keeps project totals", async () => {
+    await recordBudgetSpend(3, { project: "/work/a", now: NOW });
+    const tomorrow = loadBudgetState(NOW + DAY);
+    expect(tomorrow.daily).toEqual({ day: "2026-03-21", usd: 0 });
+    expect(tomorrow.projects["/work/a"].usd).toBe(3);
+  });
+
+  it("ignores zero, negative and non-finite costs", async () => {
+    await recordBudgetSpend(0, { now: NOW });
+    await recordBudgetSpend(-1, { now: NOW });
+    await recordBudgetSpend(NaN, { now: NOW });
+    expect(loadBudgetState(NOW).daily.usd).toBe(0);
+  });
+
+  it("treats a corrupted state file as empty", () => {
+    writeFileSync(getBudgetStatePath(), "{not json");
+    expect(loadBudgetState(NOW).daily.usd).toBe(0);
+  });
+
+  it("resets daily or project spend", async () => {
+    await recordBudgetSpend(2, { project: "/work/a", now: NOW });
+    await resetBudgetSpend("daily", { now: NOW });
+    expect(loadBudgetState(NOW).daily.usd).toBe(0);
+    expect(loadBudgetState(NOW).projects["/work/a"].usd).toBe(2);
+
+    await resetBudgetSpend("project", { project: "/work/a", now: NOW + 5 });
+    expect(JSON.parse(readFileSync(getBudgetStatePath(), "utf-8")).projects["/work/a"]).toEqual({
+      usd: 0,
+      since: NOW + 5,
+    });
+  });
+});
+
+describe("resolveProjectKey", () => {
+  it("prefers a configured directory, then a configured worktree", () => {
+    const budgets = { project_usd: { "/repo": 10, "/repo/pkg": 5 } };
+    expect(resolveProjectKey(budgets, { directory: "/repo/pkg", worktree: "/repo" })).toBe("/repo/pkg");
+    expect(resolveProjectKey(budgets, { directory: "/repo/other", worktree: "/repo" })).toBe("/repo");
+  });
+
+  it("falls back to the directory, or null without one", () => {
+    expect(resolveProjectKey({ project_usd: {} }, { directory: "/x", worktree: "/y" })).toBe("/x");
+    expect(resolveProjectKey(undefined, {})).toBeNull();
+  });
+});
+
+describe("evaluateBudgets", () => {
+  const state = { version: 1, daily: { day: "2026-03-20", usd: 8.5 }, projects: { "/repo": { usd: 49, since: 0 } } };
+
+  it("reports no caps when budgets are unset", () => {
+    expect(evaluateBudgets(undefined, { sessionUsd: 100, state })).toEqual({
+      caps: [],
+      exceeded: null,
+      warning: null,
+    });
+  });
+
+  it("warns on the cap closest to its limit", () => {
+    const result = evaluateBudgets(
+      { session_usd: 10, daily_usd: 10, project_usd: { "/repo": 50 }, warn_at: 0.8 },
+      { sessionUsd: 1, state, projectKey: "/repo" },
+    );
+    expect(result.caps.map((c) => c.scope)).toEqual(["session", "daily", "project"]);
+    expect(result.exceeded).toBeNull();
+    expect(result.warning).toMatchObject({ scope: "project", limit: 50, spent: 49 });
+  });
+
+  it("reports the most exceeded cap", () => {
+    const result = evaluateBudgets(
+      { session_usd: 5, daily_usd: 8, warn_at: 0.8 },
+      { sessionUsd: 6, state, projectKey: "/repo" },
+    );
+    expect(result.exceeded).toMatchObject({ scope: "session", ratio: 1.2 });
+    expect(result.warning).toBeNull();
+  });
+
+  it("stays quiet below the warning threshold", () => {
+    const result = evaluateBudgets({ daily_usd: 100, warn_at: 0.8 }, { sessionUsd: 0, state });
+    expect(result.exceeded).toBeNull();
+    expect(result.warning).toBeNull();
+  });
+});
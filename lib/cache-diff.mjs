@@ -0,0 +1,265 @@
+import { diffJson, formatReplayDiff } from "./replay.mjs";
+
+/** Characters of context shown on each side of a changed system block region. */
+const EXCERPT_CONTEXT = 40;
+
+/**
+ * Canonicalized view of the cacheable prefix of one request: the system
+ * blocks and tool schemas (without `cache_control`, which is legitimately
+ * re-stamped each turn), the beta header and a hash of the message history.
+ *
+ * @typedef {object} CacheSnapshot
+ * @property {number} turn
+ * @property {string[]} system - Text of each system block, in order
+ * @property {{ name: string, schema: Record<string, unknown> }[]} tools
+ * @property {string[]} betas
+ * @property {string | null} messagesPrefixHash
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function stripCacheControl(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  const { cache_control: _cc, ...rest } = /** @type {Record<string, unknown>} */ (value);
+  return rest;
+}
+
+/**
+ * Capture a snapshot from a parsed (transformed) request body. Token budget
+ * blocks are skipped for the same reason extractCacheSourceHashes skips them.
+ * @param {Record<string, any>} parsedBody
+ * @param {string} betaHeader - Comma-separated `anthropic-beta` value actually sent
+ * @param {{ turn?: number, messagesPrefixHash?: string | null }} [meta]
+ * @returns {CacheSnapshot}
+ */
+export function captureCacheSnapshot(parsedBody, betaHeader, meta = {}) {
+  /** @type {string[]} */
+  let system = [];
+  if (Array.isArray(parsedBody.system)) {
+    system = parsedBody.system
+      .filter((b) => !(b?.text && b.text.startsWith("Token budget:")))
+      .map((b) => (typeof b?.text === "string" ? b.text : JSON.stringify(stripCacheControl(b))));
+  } else if (typeof parsedBody.system === "string" && parsedBody.system) {
+    system = [parsedBody.system];
+  }
+
+  const tools = Array.isArray(parsedBody.tools)
+    ? parsedBody.tools.map((tool, i) => ({
+        name: typeof tool?.name === "string" ? tool.name : `#${i}`,
+        schema: /** @type {Record<string, unknown>} */ (stripCacheControl(tool)),
+      }))
+    : [];
+
+  const betas = (betaHeader || "")
+    .split(",")
+    .map((b) => b.trim())
+    .filter(Boolean);
+
+  return {
+    turn: meta.turn ?? 0,
+    system,
+    tools,
+    betas,
+    messagesPrefixHash: meta.messagesPrefixHash ?? null,
+  };
+}
+
+/**
+ * @typedef {object} SystemBlockChange
+ * @property {number} index
+ * @property {"added" | "removed" | "changed"} kind
+ * @property {number} [byteOffset] - UTF-8 offset of the first differing byte
+ * @property {number} [beforeBytes]
+ * @property {number} [afterBytes]
+ * @property {string} [beforeExcerpt]
+ * @property {string} [afterExcerpt]
+ */
+
+/**
+ * @typedef {object} CacheSnapshotDiff
+ * @property {SystemBlockChange[]} system
+ * @property {{ added: string[], removed: string[], reordered: { before: string[], after: string[] } | null, changed: { name: string, lines: string[] }[] }} tools
+ * @property {{ latched: string[], unlatched: string[] }} betas
+ * @property {boolean} messagesPrefixChanged
+ * @property {boolean} empty - True when nothing in the cacheable prefix differs
+ */
+
+/**
+ * Locate the changed region of two strings and render short excerpts of it.
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ byteOffset: number, beforeExcerpt: string, afterExcerpt: string }}
+ */
+function locateChange(before, after) {
+  let start = 0;
+  const max = Math.min(before.length, after.length);
+  while (start < max && before[start] === after[start]) start++;
+  let suffix = 0;
+  while (suffix < max - start && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+    suffix++;
+  }
+  const from = Math.max(0, start - EXCERPT_CONTEXT);
+  /** @param {string} text */
+  const excerpt = (text) => {
+    const to = Math.min(text.length, text.length - suffix + EXCERPT_CONTEXT);
+    return `${from > 0 ? "…" : ""}${text.slice(from, to)}${to < text.length ? "…" : ""}`;
+  };
+  return {
+    byteOffset: Buffer.byteLength(before.slice(0, start)),
+    beforeExcerpt: excerpt(before),
+    afterExcerpt: excerpt(after),
+  };
+}
+
+/**
+ * Explain what changed in the cacheable prefix between two turns.
+ * @param {CacheSnapshot} prev
+ * @param {CacheSnapshot} curr
+ * @returns {CacheSnapshotDiff}
+ */
+export function diffCacheSnapshots(prev, curr) {
+  /** @type {SystemBlockChange[]} */
+  const system = [];
+  const blockCount = Math.max(prev.system.length, curr.system.length);
+  for (let i = 0; i < blockCount; i++) {
+    const before = prev.system[i];
+    const after = curr.system[i];
+    if (before === after) continue;
+    if (before === undefined) {
+      system.push({ index: i, kind: "added", afterBytes: Buffer.byteLength(after) });
+    } else if (after === undefined) {
+      system.push({ index: i, kind: "removed", beforeBytes: Buffer.byteLength(before) });
+    } else {
+      system.push({
+        index: i,
+        kind: "changed",
+        beforeBytes: Buffer.byteLength(before),
+        afterBytes: Buffer.byteLength(after),
+        ...locateChange(before, after),
+      });
+    }
+  }
+
+  const prevNames = prev.tools.map((t) => t.name);
+  const currNames = curr.tools.map((t) => t.name);
+  const added = currNames.filter((n) => !prevNames.includes(n));
+  const removed = prevNames.filter((n) => !currNames.includes(n));
+  const keptBefore = prevNames.filter((n) => currNames.includes(n));
+  const keptAfter = currNames.filter((n) => prevNames.includes(n));
+  const reordered = keptBefore.some((n, i) => keptAfter[i] !== n) ? { before: keptBefore, after: keptAfter } : null;
+  const changed = [];
+  for (const tool of curr.tools) {
+    const old = prev.tools.find((t) => t.name === tool.name);
+    if (!old) continue;
+    const lines = formatReplayDiff(diffJson(old.schema, tool.schema));
+    if (lines.length > 0) changed.push({ name: tool.name, lines });
+  }
+
+  const latched = curr.betas.filter((b) => !prev.betas.includes(b));
+  const unlatched = prev.betas.filter((b) => !curr.betas.includes(b));
+
+  const messagesPrefixChanged =
+    prev.messagesPrefixHash !== null &&
+    curr.messagesPrefixHash !== null &&
+    prev.messagesPrefixHash !== curr.messagesPrefixHash;
+
+  return {
+    system,
+    tools: { added, removed, reordered, changed },
+    betas: { latched, unlatched },
+    messagesPrefixChanged,
+    empty:
+      system.length === 0 &&
+      added.length === 0 &&
+      removed.length === 0 &&
+      !reordered &&
+      changed.length === 0 &&
+      latched.length === 0 &&
+      unlatched.length === 0 &&
+      !messagesPrefixChanged,
+  };
+}
+
+/**
+ * One-line summary suitable for a toast.
+ * @param {CacheSnapshotDiff} diff
+ * @returns {string}
+ */
+export function summarizeCacheDiff(diff) {
+  const parts = [];
+  if (diff.system.length > 0) parts.push(`system[${diff.system.map((s) => s.index).join(",")}]`);
+  for (const name of diff.tools.added) parts.push(`+tool ${name}`);
+  for (const name of diff.tools.removed) parts.push(`-tool ${name}`);
+  if (diff.tools.reordered) parts.push("tools reordered");
+  for (const { name } of diff.tools.changed) parts.push(`tool ${name} schema`);
+  for (const beta of diff.betas.latched) parts.push(`+beta ${beta}`);
+  for (const beta of diff.betas.unlatched) parts.push(`-beta ${beta}`);
+  if (diff.messagesPrefixChanged) parts.push("message history");
+  return parts.join(", ");
+}
+
+/**
+ * Render a diff as a plain-text report that can be pasted into an issue.
+ * @param {CacheSnapshotDiff} diff
+ * @param {{ fromTurn: number, toTurn: number, drop?: number }} meta
+ * @returns {string}
+ */
+export function formatCacheBreakReport(diff, meta) {
+  const lines = [];
+  const dropText = meta.drop ? ` (−${meta.drop.toLocaleString()} cache-read tokens)` : "";
+  lines.push(`Cache break: turn ${meta.fromTurn} → turn ${meta.toTurn}${dropText}`);
+
+  if (diff.empty) {
+    lines.push(
+      "",
+      "System blocks, tool schemas, betas and message history are byte-identical.",
+      "The drop most likely came from cache TTL expiry or server-side eviction.",
+    );
+    return lines.join("\n");
+  }
+
+  if (diff.system.length > 0) {
+    lines.push("", "System blocks:");
+    for (const s of diff.system) {
+      if (s.kind === "added") {
+        lines.push(`  + system[${s.index}] added (${s.afterBytes?.toLocaleString()} bytes)`);
+      } else if (s.kind === "removed") {
+        lines.push(`  - system[${s.index}] removed (${s.beforeBytes?.toLocaleString()} bytes)`);
+      } else {
+        lines.push(
+          `  ~ system[${s.index}] changed at byte ${s.byteOffset?.toLocaleString()} (${s.beforeBytes?.toLocaleString()} → ${s.afterBytes?.toLocaleString()} bytes)`,
+          `      before: ${JSON.stringify(s.beforeExcerpt)}`,
+          `      after:  ${JSON.stringify(s.afterExcerpt)}`,
+        );
+      }
+    }
+  }
+
+  const { tools } = diff;
+  if (tools.added.length || tools.removed.length || tools.reordered || tools.changed.length) {
+    lines.push("", "Tools:");
+    for (const name of tools.added) lines.push(`  + ${name} added`);
+    for (const name of tools.removed) lines.push(`  - ${name} removed`);
+    if (tools.reordered) {
+      lines.push(`  ↕ reordered: ${tools.reordered.before.join(", ")} → ${tools.reordered.after.join(", ")}`);
+    }
+    for (const { name, lines: changes } of tools.changed) {
+      lines.push(`  ~ ${name} schema changed:`);
+      for (const change of changes) lines.push(`      ${change}`);
+    }
+  }
+
+  if (diff.betas.latched.length || diff.betas.unlatched.length) {
+    lines.push("", "Betas:");
+    for (const beta of diff.betas.latched) lines.push(`  + latched ${beta}`);
+    for (const beta of diff.betas.unlatched) lines.push(`  - unlatched ${beta}`);
+  }
+
+  if (diff.messagesPrefixChanged) {
+    lines.push("", "Message history: earlier messages changed (history was rewritten, not just appended).");
+  }
+
+  return lines.join("\n");
+}
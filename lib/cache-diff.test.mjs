@@ -0,0 +1,137 @@
+import { describe, it, expect } from "vitest";
+
+import { captureCacheSnapshot, diffCacheSnapshots, formatCacheBreakReport, summarizeCacheDiff } from "./cache-diff.mjs";
+
+const tool = (name, description = `${name} tool`) => ({
+  name,
+  description,
+  input_schema: { type: "object" },
+});
+
+describe("captureCacheSnapshot", () => {
+  it("canonicalizes system blocks, tools and betas", () => {
+    const snapshot = captureCacheSnapshot(
+      {
+        system: [
+          { type: "text", text: "identity", cache_control: { type: "ephemeral" } },
+          { type: "text", text: "Token budget: 500k" },
+          { type: "text", text: "instructions" },
+        ],
+        tools: [{ ...tool("read"), cache_control: { type: "ephemeral" } }],
+      },
+      "oauth-2025-04-20, claude-code-20250219",
+      { turn: 3, messagesPrefixHash: "abc" },
+    );
+
+    expect(snapshot).toEqual({
+      turn: 3,
+      system: ["identity", "instructions"],
+      tools: [{ name: "read", schema: tool("read") }],
+      betas: ["oauth-2025-04-20", "claude-code-20250219"],
+      messagesPrefixHash: "abc",
+    });
+  });
+
+  it("accepts a plain string system prompt", () => {
+    expect(captureCacheSnapshot({ system: "hello" }, "").system).toEqual(["hello"]);
+  });
+});
+
+describe("diffCacheSnapshots", () => {
+  const base = {
+    turn: 1,
+    system: ["identity", "Working directory: /repo\nPlatform: linux"],
+    tools: [
+      { name: "read", schema: tool("read") },
+      { name: "write", schema: tool("write") },
+    ],
+    betas: ["oauth-2025-04-20"],
+    messagesPrefixHash: "h1",
+  };
+
+  it("reports nothing for identical snapshots", () => {
+    const diff = diffCacheSnapshots(base, { ...base, turn: 2 });
+    expect(diff.empty).toBe(true);
+    expect(summarizeCacheDiff(diff)).toBe("");
+    expect(formatCacheBreakReport(diff, { fromTurn: 1, toTurn: 2 })).toContain("byte-identical");
+  });
+
+  it("locates the changed bytes inside a system block", () => {
+    const diff = diffCacheSnapshots(base, {
+      ...base,
+      system: ["identity", "Working directory: /repo/sub\nPlatform: linux", "extra"],
+    });
+
+    expect(diff.system).toEqual([
+      {
+        index: 1,
+        kind: "changed",
+        byteOffset: 24,
+        beforeBytes: 40,
+        afterBytes: 44,
+        beforeExcerpt: "Working directory: /repo\nPlatform: linux",
+        afterExcerpt: "Working directory: /repo/sub\nPlatform: linux",
+      },
+      { index: 2, kind: "added", afterBytes: 5 },
+    ]);
+  });
+
+  it("reports added, removed, reordered and changed tools", () => {
+    const diff = diffCacheSnapshots(
+      { ...base, tools: [...base.tools, { name: "bash", schema: tool("bash") }] },
+      {
+        ...base,
+        tools: [
+          { name: "write", schema: tool("write") },
+          { name: "read", schema: tool("read", "Read any file") },
+          { name: "grep", schema: tool("grep") },
+        ],
+      },
+    );
+
+    expect(diff.tools).toEqual({
+      added: ["grep"],
+      removed: ["bash"],
+      reordered: { before: ["read", "write"], after: ["write", "read"] },
+      changed: [{ name: "read", lines: ['~ description: "read tool" → "Read any file"'] }],
+    });
+  });
+
+  it("reports latched and unlatched betas and a rewritten history", () => {
+    const diff = diffCacheSnapshots(base, {
+      ...base,
+      betas: ["context-1m-2025-08-07"],
+      messagesPrefixHash: "h2",
+    });
+
+    expect(diff.betas).toEqual({ latched: ["context-1m-2025-08-07"], unlatched: ["oauth-2025-04-20"] });
+    expect(diff.messagesPrefixChanged).toBe(true);
+    expect(summarizeCacheDiff(diff)).toBe("+beta context-1m-2025-08-07, -beta oauth-2025-04-20, message history");
+  });
+});
+
+describe("formatCacheBreakReport", () => {
+  it("renders every section with the token drop", () => {
+    const prev = captureCacheSnapshot({ system: [{ text: "a".repeat(100) }], tools: [tool("read")] }, "b1");
+    const curr = captureCacheSnapshot(
+      { system: [{ text: `${"a".repeat(60)}X${"a".repeat(39)}` }], tools: [tool("read"), tool("grep")] },
+      "b1,b2",
+    );
+
+    const report = formatCacheBreakReport(diffCacheSnapshots(prev, curr), { fromTurn: 4, toTurn: 5, drop: 42_000 });
+    expect(report.split("\n")).toEqual([
+      "Cache break: turn 4 → turn 5 (−42,000 cache-read tokens)",
+      "",
+      "System blocks:",
+      "  ~ system[0] changed at byte 60 (100 → 100 bytes)",
+      `      before: "…${"a".repeat(80)}"`,
+      `      after:  "…${"a".repeat(40)}X${"a".repeat(39)}"`,
+      "",
+      "Tools:",
+      "  + grep added",
+      "",
+      "Betas:",
+      "  + latched b2",
+    ]);
+  });
+});
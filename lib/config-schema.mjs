@@ -0,0 +1,366 @@
+import { existsSync, readFileSync } from "node:fs";
+import { basename } from "node:path";
+import { MODEL_PRICE_FIELDS } from "./pricing.mjs";
+import { REQUEST_ROLES } from "./routing.mjs";
+import {
+  DEFAULT_CONFIG,
+  LOOPBACK_HOSTS,
+  VALID_BUDGET_MODES,
+  VALID_STRATEGIES,
+  VALID_TOKEN_COUNTING_MODES,
+  findProjectConfigPath,
+  getConfigPath,
+  validateConfig,
+} from "./config.mjs";
+
+/** File name used when the schema is written next to the global config. */
+export const CONFIG_SCHEMA_FILE = "anthropic-auth.schema.json";
+
+const JSON_SCHEMA_DRAFT = "http://json-schema.org/draft-07/schema#";
+
+/** Magnitude used to discover the bounds validateConfig clamps a number to. */
+const RANGE_PROBE = 1e15;
+
+/**
+ * Schema fragments for values whose shape can't be inferred from the default
+ * alone: enums, nullable values and free-form maps.
+ * @type {Record<string, Record<string, unknown>>}
+ */
+const SCHEMA_OVERRIDES = {
+  account_selection_strategy: { enum: VALID_STRATEGIES },
+  initial_account: { type: ["string", "integer", "null"], minimum: 1 },
+  "signature_emulation.prompt_compaction": { enum: ["minimal", "off"] },
+  "cache_policy.ttl": { enum: ["1h", "5m", "off"] },
+  "headers.overrides": { type: "object", additionalProperties: { type: "string" } },
+  "budgets.mode": { enum: VALID_BUDGET_MODES },
+  "budgets.project_usd": { type: "object", additionalProperties: { type: "number", minimum: 0 } },
+  "otel.headers": { type: "object", additionalProperties: { type: "string" } },
+  "metrics_server.host": { enum: LOOPBACK_HOSTS },
+  "token_counting.mode": { enum: VALID_TOKEN_COUNTING_MODES },
+  "pricing.models": {
+    type: "object",
+    additionalProperties: {
+      type: "object",
+      properties: Object.fromEntries(MODEL_PRICE_FIELDS.map((field) => [field, { type: "number", minimum: 0 }])),
+      additionalProperties: false,
+    },
+  },
+  account_groups: {
+    type: "object",
+    additionalProperties: {
+      type: "object",
+      properties: {
+        accounts: { type: "array", items: { type: ["string", "integer"] } },
+        strategy: { enum: VALID_STRATEGIES },
+        fallback: { type: "boolean" },
+      },
+      required: ["accounts"],
+      additionalProperties: false,
+    },
+  },
+  "routing.rules": {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        model: { type: "string" },
+        role: { enum: REQUEST_ROLES },
+        project: { type: "string" },
+        group: { type: "string" },
+      },
+      required: ["group"],
+      additionalProperties: false,
+    },
+  },
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {string[]} path
+ * @param {unknown} value
+ * @returns {Record<string, unknown>}
+ */
+function nest(path, value) {
+  return path.reduceRight((inner, key) => ({ [key]: inner }), /** @type {any} */ (value));
+}
+
+/**
+ * @param {unknown} obj
+ * @param {string[]} path
+ * @returns {unknown}
+ */
+function lookup(obj, path) {
+  return path.reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), obj);
+}
+
+/**
+ * Discover the range validateConfig clamps a number to by feeding it extreme
+ * values, so the schema can never drift from the validation code.
+ * @param {string[]} path
+ * @returns {{ minimum?: number, maximum?: number }}
+ */
+function probeRange(path) {
+  const low = lookup(validateConfig(nest(path, -RANGE_PROBE)), path);
+  const high = lookup(validateConfig(nest(path, RANGE_PROBE)), path);
+  /** @type {{ minimum?: number, maximum?: number }} */
+  const range = {};
+  if (typeof low === "number" && low > -RANGE_PROBE) range.minimum = low;
+  if (typeof high === "number" && high < RANGE_PROBE) range.maximum = high;
+  return range;
+}
+
+/**
+ * @param {unknown} value - Default value
+ * @param {string[]} path
+ * @returns {Record<string, unknown>}
+ */
+function schemaFor(value, path) {
+  const override = SCHEMA_OVERRIDES[path.join(".")] ?? {};
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    /** @type {Record<string, unknown>} */
+    const properties = {};
+    for (const [key, child] of Object.entries(value)) properties[key] = schemaFor(child, [...path, key]);
+    return { type: "object", properties, additionalProperties: false, ...override };
+  }
+  /** @type {Record<string, unknown>} */
+  let base;
+  if (typeof value === "boolean") base = { type: "boolean" };
+  else if (typeof value === "number") base = { type: "number", ...probeRange(path) };
+  else if (typeof value === "string") base = { type: "string" };
+  else if (Array.isArray(value)) base = { type: "array", items: { type: "string" } };
+  else base = { type: "object" };
+  return { ...base, ...override, default: value };
+}
+
+/**
+ * Build a JSON Schema (draft-07) for `anthropic-auth.json` and project
+ * overlays from DEFAULT_CONFIG and the bounds enforced by validateConfig.
+ * @returns {Record<string, any>}
+ */
+export function buildConfigSchema() {
+  const root = schemaFor(DEFAULT_CONFIG, []);
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: "opencode-anthropic-fix configuration",
+    ...root,
+    properties: { $schema: { type: "string" }, .../** @type {object} */ (root.properties) },
+  };
+}
+
+/**
+ * @typedef {object} ConfigIssue
+ * @property {string} path - Dotted JSON path, e.g. `output_cap.default_max_tokens`
+ * @property {string} message
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function typeName(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * @param {unknown} value
+ * @param {string | string[]} expected
+ * @returns {boolean}
+ */
+function matchesType(value, expected) {
+  const actual = typeName(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+  return types.some((t) => t === actual || (t === "number" && actual === "integer"));
+}
+
+/**
+ * Levenshtein distance, used to suggest the key a typo was meant to be.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * @param {string} key
+ * @param {string[]} candidates
+ * @returns {string | null}
+ */
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function show(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * @param {unknown} value
+ * @param {Record<string, any>} schema
+ * @param {string[]} path
+ * @param {Record<string, unknown>} effective - Result of validateConfig on the whole file
+ * @param {ConfigIssue[]} issues
+ */
+function checkValue(value, schema, path, effective, issues) {
+  const where = path.join(".");
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(" or ") : schema.type;
+    issues.push({ path: where, message: `expected ${expected}, got ${typeName(value)}; ignored` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    const used = lookup(effective, path);
+    issues.push({
+      path: where,
+      message: `must be one of ${schema.enum.map(show).join(", ")}, got ${show(value)}; ${used === undefined ? "ignored" : `using ${show(used)}`}`,
+    });
+    return;
+  }
+  if (typeof value === "number") {
+    const tooLow = schema.minimum !== undefined && value < schema.minimum;
+    const tooHigh = schema.maximum !== undefined && value > schema.maximum;
+    if (tooLow || tooHigh) {
+      const range =
+        schema.minimum !== undefined && schema.maximum !== undefined
+          ? `between ${schema.minimum} and ${schema.maximum}`
+          : tooLow
+            ? `at least ${schema.minimum}`
+            : `at most ${schema.maximum}`;
+      const used = lookup(effective, path);
+      issues.push({
+        path: where,
+        message: `must be ${range}, got ${value}${used !== undefined ? `; using ${used}` : ""}`,
+      });
+    }
+    return;
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      if (!matchesType(item, schema.items.type)) {
+        const expected = Array.isArray(schema.items.type) ? schema.items.type.join(" or ") : schema.items.type;
+        issues.push({
+          path: `${where}[${i}]`,
+          message: `expected ${expected}, got ${typeName(item)}; ignored`,
+        });
+      } else if (isPlainObject(item)) {
+        checkValue(item, schema.items, [...path.slice(0, -1), `${path.at(-1)}[${i}]`], effective, issues);
+      }
+    });
+    return;
+  }
+  if (isPlainObject(value)) {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) issues.push({ path: where, message: `missing required key "${key}"; ignored` });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) {
+        checkValue(child, properties[key], [...path, key], effective, issues);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        checkValue(child, schema.additionalProperties, [...path, key], effective, issues);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(properties));
+        issues.push({
+          path: [...path, key].join("."),
+          message: `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ""}; ignored`,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Strictly check a raw config object against the schema. Reports unknown
+ * keys, type errors, enum mismatches and out-of-range numbers that
+ * validateConfig would otherwise silently drop or clamp.
+ * @param {unknown} raw
+ * @param {Record<string, any>} [schema]
+ * @returns {ConfigIssue[]}
+ */
+export function checkConfig(raw, schema = buildConfigSchema()) {
+  if (!isPlainObject(raw)) return [{ path: "(root)", message: `expected object, got ${typeName(raw)}; ignored` }];
+  /** @type {ConfigIssue[]} */
+  const issues = [];
+  checkValue(raw, schema, [], /** @type {Record<string, unknown>} */ (validateConfig(raw)), issues);
+  return issues;
+}
+
+/**
+ * Read and check one config file. Missing files have no issues.
+ * @param {string} path
+ * @param {Record<string, any>} [schema]
+ * @returns {ConfigIssue[]}
+ */
+export function checkConfigFile(path, schema = buildConfigSchema()) {
+  if (!existsSync(path)) return [];
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    return [
+      { path: "(root)", message: `invalid JSON (${err instanceof Error ? err.message : String(err)}); file ignored` },
+    ];
+  }
+  return checkConfig(raw, schema);
+}
+
+/**
+ * Check the global config and the project overlay for a scope.
+ * @param {import("./config.mjs").ConfigScope} [scope]
+ * @returns {{ file: string, issues: ConfigIssue[] }[]} One entry per existing file
+ */
+export function checkConfigFiles(scope = {}) {
+  const schema = buildConfigSchema();
+  const files = [getConfigPath()];
+  const projectPath = findProjectConfigPath(scope);
+  if (projectPath) files.push(projectPath);
+  return files.filter((file) => existsSync(file)).map((file) => ({ file, issues: checkConfigFile(file, schema) }));
+}
+
+/**
+ * One-line summary of config problems for a startup toast, or null when all
+ * files are clean. Shows the first issue and points at `config validate`.
+ * @param {{ file: string, issues: ConfigIssue[] }[]} results
+ * @returns {string | null}
+ */
+export function formatConfigWarning(results) {
+  const withIssues = results.filter((r) => r.issues.length > 0);
+  if (withIssues.length === 0) return null;
+  const total = withIssues.reduce((sum, r) => sum + r.issues.length, 0);
+  const files = withIssues.map((r) => basename(r.file)).join(", ");
+  const [first] = withIssues[0].issues;
+  const more = total > 1 ? ` (+${total - 1} more)` : "";
+  return `Config: ${total} problem${total === 1 ? "" : "s"} in ${files} — ${first.path}: ${first.message}${more}. Run \`opencode-anthropic-auth config validate\` for details.`;
+}
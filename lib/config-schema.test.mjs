@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { DEFAULT_CONFIG } from "./config.mjs";
+import { buildConfigSchema, checkConfig, checkConfigFile, formatConfigWarning } from "./config-schema.mjs";
+
+describe("buildConfigSchema", () => {
+  const schema = buildConfigSchema();
+
+  it("describes every default with its type and default value", () => {
+    expect(schema.$schema).toBe("http://json-schema.org/draft-07/schema#");
+    expect(schema.additionalProperties).toBe(false);
+    expect(schema.properties.$schema).toEqual({ type: "string" });
+    expect(Object.keys(schema.properties)).toEqual(["$schema", ...Object.keys(DEFAULT_CONFIG)]);
+    expect(schema.properties.debug).toEqual({ type: "boolean", default: false });
+    expect(schema.properties.custom_betas).toEqual({ type: "array", items: { type: "string" }, default: [] });
+  });
+
+  it("takes numeric bounds from the clamps in validateConfig", () => {
+    expect(schema.properties.output_cap.properties.default_max_tokens).toEqual({
+      type: "number",
+      minimum: 256,
+      maximum: 200_000,
+      default: 8_000,
+    });
+    expect(schema.properties.failure_ttl_seconds).toMatchObject({ minimum: 60, maximum: 7200 });
+  });
+
+  it("adds enums, nullable values and maps", () => {
+    expect(schema.properties.account_selection_strategy.enum).toEqual(["sticky", "round-robin", "hybrid"]);
+    expect(schema.properties.cache_policy.properties.ttl.enum).toEqual(["1h", "5m", "off"]);
+    expect(schema.properties.initial_account.type).toEqual(["string", "integer", "null"]);
+    expect(schema.properties.budgets.properties.project_usd.additionalProperties).toEqual({
+      type: "number",
+      minimum: 0,
+    });
+  });
+});
+
+describe("checkConfig", () => {
+  it("accepts the defaults and a $schema reference", () => {
+    expect(checkConfig({ $schema: "./anthropic-auth.schema.json", ...structuredClone(DEFAULT_CONFIG) })).toEqual([]);
+  });
+
+  it("reports unknown keys with a suggestion", () => {
+    expect(checkConfig({ output_cap: { default_max_token: 4000 }, verbose: true })).toEqual([
+      {
+        path: "output_cap.default_max_token",
+        message: 'unknown key (did you mean "default_max_tokens"?); ignored',
+      },
+      { path: "verbose", message: "unknown key; ignored" },
+    ]);
+  });
+
+  it("reports type errors, enum mismatches and out-of-range values with the value used", () => {
+    expect(
+      checkConfig({
+        debug: "yes",
+        account_selection_strategy: "rr",
+        output_cap: { default_max_tokens: 10 },
+        custom_betas: ["ok", 3],
+        budgets: { project_usd: { "/repo": -5 } },
+      }),
+    ).toEqual([
+      { path: "debug", message: "expected boolean, got string; ignored" },
+      {
+        path: "account_selection_strategy",
+        message: 'must be one of "sticky", "round-robin", "hybrid", got "rr"; using "sticky"',
+      },
+      { path: "output_cap.default_max_tokens", message: "must be between 256 and 200000, got 10; using 256" },
+      { path: "custom_betas[1]", message: "expected string, got integer; ignored" },
+      { path: "budgets.project_usd./repo", message: "must be at least 0, got -5" },
+    ]);
+  });
+
+  it("checks the objects inside routing rules and account groups", () => {
+    expect(
+      checkConfig({
+        account_groups: { personal: { accounts: [1, "me@example.com", true], strategy: "fastest" } },
+        routing: {
+          rules: [
+            { role: "title", group: "personal" },
+            { model: "haiku", grup: "personal" },
+          ],
+        },
+      }),
+    ).toEqual([
+      { path: "account_groups.personal.accounts[2]", message: "expected string or integer, got boolean; ignored" },
+      {
+        path: "account_groups.personal.strategy",
+        message: 'must be one of "sticky", "round-robin", "hybrid", got "fastest"; using null',
+      },
+      { path: "routing.rules[1]", message: 'missing required key "group"; ignored' },
+      { path: "routing.rules[1].grup", message: 'unknown key (did you mean "group"?); ignored' },
+    ]);
+  });
+
+  it("rejects a non-object document", () => {
+    expect(checkConfig([])).toEqual([{ path: "(root)", message: "expected object, got array; ignored" }]);
+  });
+});
+
+describe("config files", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "config-schema-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reports unparseable files and ignores missing ones", () => {
+    const path = join(dir, "anthropic-auth.json");
+    expect(checkConfigFile(path)).toEqual([]);
+    writeFileSync(path, "{ nope");
+    const [issue] = checkConfigFile(path);
+    expect(issue.path).toBe("(root)");
+    expect(issue.message).toMatch(/^invalid JSON \(.+\); file ignored$/);
+  });
+
+  it("summarizes problems for a startup toast", () => {
+    expect(formatConfigWarning([{ file: join(dir, "anthropic-auth.json"), issues: [] }])).toBeNull();
+    expect(
+      formatConfigWarning([
+        { file: join(dir, "anthropic-auth.json"), issues: [{ path: "verbose", message: "unknown key; ignored" }] },
+        { file: join(dir, ".opencode", "anthropic.json"), issues: [{ path: "debug", message: "x" }] },
+      ]),
+    ).toBe(
+      "Config: 2 problems in anthropic-auth.json, anthropic.json — verbose: unknown key; ignored (+1 more). " +
+        "Run `opencode-anthropic-auth config validate` for details.",
+    );
+  });
+});
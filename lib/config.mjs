@@ -1,7 +1,9 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync } from "node:fs";
-import { join, dirname } from "node:path";
+import { join, dirname, resolve, relative, isAbsolute } from "node:path";
 import { homedir } from "node:os";
 import { randomBytes } from "node:crypto";
+import { MODEL_PRICE_FIELDS } from "./pricing.mjs";
+import { REQUEST_ROLES } from "./routing.mjs";
 
 /**
  * @typedef {'sticky' | 'round-robin' | 'hybrid'} AccountSelectionStrategy
@@ -75,11 +77,68 @@ import { randomBytes } from "node:crypto";
  * @property {boolean} billing_header - Whether to include billing header in system prompt
  */
 
+/**
+ * @typedef {'warn' | 'block' | 'downgrade'} BudgetMode
+ */
+
+/**
+ * @typedef {object} BudgetConfig
+ * @property {number} session_usd - Cap for the current OpenCode session (0 = off)
+ * @property {number} daily_usd - Cap per UTC day across all sessions (0 = off)
+ * @property {Record<string, number>} project_usd - Caps keyed by project directory or worktree
+ * @property {BudgetMode} mode - What to do once a cap is reached
+ * @property {number} warn_at - Fraction of a cap (0-1) at which to start warning
+ * @property {string} downgrade_model - Model used for requests in "downgrade" mode
+ */
+
+/**
+ * @typedef {object} PricingConfig
+ * @property {Record<string, Partial<import("./pricing.mjs").ModelPrice>>} models - Per-model price overrides
+ *   (USD per million tokens) keyed by model ID prefix; merged over the shipped catalog
+ * @property {number} cache_read_multiplier - Cache read price as a multiple of input, when not set per model
+ * @property {number} cache_write_5m_multiplier - 5-minute cache write price as a multiple of input
+ * @property {number} cache_write_1h_multiplier - 1-hour cache write price as a multiple of input
+ * @property {number} long_context_threshold_tokens - Prompt size above which long_context_* prices apply
+ * @property {number} web_search_usd_per_request
+ */
+
+/**
+ * @typedef {object} AccountGroupConfig
+ * @property {(string | number)[]} accounts - Members by 1-based number, label, email or account ID
+ * @property {AccountSelectionStrategy | null} strategy - Strategy within the group (null = account_selection_strategy)
+ * @property {boolean} fallback - Use any account when no member is available, instead of failing the request
+ */
+
+/**
+ * @typedef {object} RoutingRule
+ * @property {string} [model] - Matches model IDs containing this text, e.g. "haiku" or "claude-opus-4"
+ * @property {string} [role] - Request role: main, title, small, empty or unknown
+ * @property {string} [project] - Project directory; matches it and everything below it
+ * @property {string} group - Account group for matching requests
+ */
+
+/**
+ * @typedef {object} RoutingConfig
+ * @property {RoutingRule[]} rules - First matching rule wins
+ * @property {string} default_group - Group for requests no rule matches ("" = all accounts)
+ */
+
+/**
+ * @typedef {object} OtelConfig
+ * @property {boolean} enabled
+ * @property {string} endpoint - OTLP/HTTP base URL (no trailing /v1/...)
+ * @property {Record<string, string>} headers - Extra headers sent with every export
+ * @property {string} service_name - Reported as the service.name resource attribute
+ * @property {number} flush_interval_ms - How often batched spans and counters are exported
+ * @property {number} timeout_ms - Per-export request timeout
+ */
+
 /**
  * @typedef {object} AnthropicAuthConfig
  * @property {AccountSelectionStrategy} account_selection_strategy
  * @property {number} failure_ttl_seconds
  * @property {boolean} debug
+ * @property {string | null} initial_account - 1-based index, label or email to pin new sessions to
  * @property {{ enabled: boolean, fetch_claude_code_version_on_startup: boolean, prompt_compaction: 'minimal' | 'off' }} signature_emulation
  * @property {OverrideModelLimitsConfig} override_model_limits
  * @property {string[]} custom_betas
@@ -104,6 +163,18 @@ import { randomBytes } from "node:crypto";
  * @property {{ enabled: boolean, default_cooldown_ms: number, poll_quota_on_overload: boolean }} overload_recovery
  * @property {{ proactive_disabled: boolean }} account_management
  * @property {{ enabled: boolean, length_anchors: boolean }} anti_verbosity
+ * @property {{ enabled: boolean, retain_days: number }} usage_ledger
+ * @property {{ enabled: boolean, max_bytes: number, max_files: number }} audit_log
+ * @property {BudgetConfig} budgets
+ * @property {OtelConfig} otel
+ * @property {{ enabled: boolean, host: string, port: number }} metrics_server
+ * @property {{ enabled: boolean, timeout_seconds: number }} oauth_callback
+ * @property {{ mode: string, min_interval_seconds: number, cache_entries: number }} token_counting
+ * @property {PricingConfig} pricing
+ * @property {{ fallback_only: boolean }} api_key_accounts
+ * @property {{ max_wait_seconds: number, reupload: boolean }} file_pinning
+ * @property {Record<string, AccountGroupConfig>} account_groups
+ * @property {RoutingConfig} routing
  */
 
 /** @type {AnthropicAuthConfig} */
@@ -111,6 +182,8 @@ export const DEFAULT_CONFIG = {
   account_selection_strategy: "sticky",
   failure_ttl_seconds: 3600,
   debug: false,
+  /** Pin new sessions to this account (1-based index, label or email). OPENCODE_ANTHROPIC_INITIAL_ACCOUNT wins. */
+  initial_account: null,
   signature_emulation: {
     enabled: true,
     fetch_claude_code_version_on_startup: true,
@@ -210,6 +283,11 @@ export const DEFAULT_CONFIG = {
      *  so contains user conversation content — don't enable on a shared host. */
     debug_dump_bodies: false,
 
+    /** With debug_dump_bodies, also capture each raw SSE response as
+     *  `res-<stamp>.sse` next to its request dump so `replay` can run the
+     *  response pipeline against it. Same privacy caveat as above. */
+    debug_dump_responses: false,
+
     /** Conservative mode (default ON). Disables every history-rewriting and
      *  tool-array transform below that can invalidate the prompt-cache prefix
      *  turn-to-turn. Rationale: every rewrite risks breaking the 1h cache,
@@ -389,10 +467,102 @@ export const DEFAULT_CONFIG = {
     /** Also inject numeric length anchors (≤25 words between tool calls, ≤100 words final). */
     length_anchors: true,
   },
+  /** Usage ledger: append one record per completed request to anthropic-usage.jsonl.
+   *  Records older than retain_days are compacted into daily rollups. */
+  usage_ledger: {
+    enabled: true,
+    retain_days: 14,
+  },
+  /** Audit log: one line per account mutation (add, remove, enable, disable, switch...)
+   *  in anthropic-accounts-audit.jsonl, rotated at max_bytes keeping max_files old files. */
+  audit_log: {
+    enabled: true,
+    max_bytes: 1_048_576,
+    max_files: 5,
+  },
+  /** Spend caps. Daily and project spend persist in anthropic-budget-state.json.
+   *  mode: "warn" only toasts, "block" rejects requests, "downgrade" switches to downgrade_model. */
+  budgets: {
+    session_usd: 0,
+    daily_usd: 0,
+    project_usd: {},
+    mode: "warn",
+    warn_at: 0.8,
+    downgrade_model: "claude-haiku-4-5",
+  },
+  /** OpenTelemetry export: one span per /v1/messages call plus token and cost counters,
+   *  sent as OTLP/HTTP JSON to `${endpoint}/v1/traces` and `${endpoint}/v1/metrics`. */
+  otel: {
+    enabled: false,
+    endpoint: "http://127.0.0.1:4318",
+    headers: {},
+    service_name: "opencode-anthropic-auth",
+    flush_interval_ms: 5000,
+    timeout_ms: 3000,
+  },
+  /** Prometheus metrics: serve `/metrics` on a loopback-only HTTP listener
+   *  (meant for headless `opencode serve` deployments). */
+  metrics_server: {
+    enabled: false,
+    host: "127.0.0.1",
+    port: 9464,
+  },
+  /** Receive the OAuth redirect on a loopback listener during login instead of asking for the
+   *  code; falls back to pasting it when the browser has not come back within timeout_seconds.
+   *  Never used over SSH, where the browser runs on another machine. */
+  oauth_callback: {
+    enabled: true,
+    timeout_seconds: 120,
+  },
+  /** Prompt token accounting. "heuristic" uses 4 chars/token; "calibrated" scales that per model
+   *  from observed usage.input_tokens; "exact" also calls /v1/messages/count_tokens in the
+   *  background (cached by content hash, at most once per min_interval_seconds). */
+  token_counting: {
+    mode: "heuristic",
+    min_interval_seconds: 30,
+    cache_entries: 32,
+  },
+  /** Cost estimation. `models` overrides or adds catalog entries (USD per million tokens);
+   *  models with no price at all are reported as unpriced and cost $0 instead of being guessed. */
+  pricing: {
+    models: {},
+    cache_read_multiplier: 0.1,
+    cache_write_5m_multiplier: 1.25,
+    cache_write_1h_multiplier: 2,
+    long_context_threshold_tokens: 200_000,
+    web_search_usd_per_request: 0.01,
+  },
+  /** API-key accounts (login --api-key) are billed per token. With fallback_only they are
+   *  picked only when no OAuth account can take the request. */
+  api_key_accounts: {
+    fallback_only: true,
+  },
+  /** Requests referencing a file_id go to the account that owns the file. When that account is
+   *  rate-limited, wait up to max_wait_seconds for it; past that, with reupload, upload the file's
+   *  local copy (known for `files sync` uploads) to the account that would be picked instead. */
+  file_pinning: {
+    max_wait_seconds: 30,
+    reupload: true,
+  },
+  /** Named sets of accounts, each with an optional selection strategy of its own. */
+  account_groups: {},
+  /** Send requests to an account group by model, request role or project directory.
+   *  Without rules, every request picks from all enabled accounts. */
+  routing: {
+    rules: [],
+    default_group: "",
+  },
 };
 
 export const VALID_STRATEGIES = ["sticky", "round-robin", "hybrid"];
 
+export const VALID_BUDGET_MODES = ["warn", "block", "downgrade"];
+
+export const VALID_TOKEN_COUNTING_MODES = ["heuristic", "calibrated", "exact"];
+
+/** Hosts the Prometheus metrics listener may bind to. */
+export const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
 /** OpenCode's OAuth client ID for Anthropic console auth flows. */
 export const CLIENT_ID = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
 
@@ -428,6 +598,18 @@ function createDefaultConfig() {
     microcompact: { ...DEFAULT_CONFIG.microcompact },
     overload_recovery: { ...DEFAULT_CONFIG.overload_recovery },
     account_management: { ...DEFAULT_CONFIG.account_management },
+    usage_ledger: { ...DEFAULT_CONFIG.usage_ledger },
+    audit_log: { ...DEFAULT_CONFIG.audit_log },
+    budgets: { ...DEFAULT_CONFIG.budgets, project_usd: {} },
+    otel: { ...DEFAULT_CONFIG.otel, headers: {} },
+    metrics_server: { ...DEFAULT_CONFIG.metrics_server },
+    oauth_callback: { ...DEFAULT_CONFIG.oauth_callback },
+    token_counting: { ...DEFAULT_CONFIG.token_counting },
+    pricing: { ...DEFAULT_CONFIG.pricing, models: {} },
+    api_key_accounts: { ...DEFAULT_CONFIG.api_key_accounts },
+    file_pinning: { ...DEFAULT_CONFIG.file_pinning },
+    account_groups: {},
+    routing: { ...DEFAULT_CONFIG.routing, rules: [] },
   };
 }
 
@@ -470,7 +652,7 @@ function clampNumber(value, min, max, fallback) {
  * @param {Record<string, unknown>} raw
  * @returns {AnthropicAuthConfig}
  */
-function validateConfig(raw) {
+export function validateConfig(raw) {
   const config = createDefaultConfig();
 
   if (typeof raw.account_selection_strategy === "string" && VALID_STRATEGIES.includes(raw.account_selection_strategy)) {
@@ -483,6 +665,16 @@ function validateConfig(raw) {
     config.debug = raw.debug;
   }
 
+  if (typeof raw.initial_account === "string" && raw.initial_account.trim()) {
+    config.initial_account = raw.initial_account.trim();
+  } else if (
+    typeof raw.initial_account === "number" &&
+    Number.isInteger(raw.initial_account) &&
+    raw.initial_account >= 1
+  ) {
+    config.initial_account = String(raw.initial_account);
+  }
+
   // Signature emulation sub-config
   if (raw.signature_emulation && typeof raw.signature_emulation === "object") {
     const se = /** @type {Record<string, unknown>} */ (raw.signature_emulation);
@@ -710,6 +902,10 @@ function validateConfig(raw) {
         typeof te.debug_dump_bodies === "boolean"
           ? te.debug_dump_bodies
           : DEFAULT_CONFIG.token_economy.debug_dump_bodies,
+      debug_dump_responses:
+        typeof te.debug_dump_responses === "boolean"
+          ? te.debug_dump_responses
+          : DEFAULT_CONFIG.token_economy.debug_dump_responses,
       ttl_thinking_strip:
         typeof te.ttl_thinking_strip === "boolean"
           ? te.ttl_thinking_strip
@@ -948,6 +1144,201 @@ function validateConfig(raw) {
     };
   }
 
+  // Usage ledger sub-config
+  if (raw.usage_ledger && typeof raw.usage_ledger === "object") {
+    const ul = /** @type {Record<string, unknown>} */ (raw.usage_ledger);
+    config.usage_ledger = {
+      enabled: typeof ul.enabled === "boolean" ? ul.enabled : DEFAULT_CONFIG.usage_ledger.enabled,
+      retain_days: clampNumber(ul.retain_days, 1, 365, DEFAULT_CONFIG.usage_ledger.retain_days),
+    };
+  }
+
+  // Audit log sub-config
+  if (raw.audit_log && typeof raw.audit_log === "object") {
+    const al = /** @type {Record<string, unknown>} */ (raw.audit_log);
+    config.audit_log = {
+      enabled: typeof al.enabled === "boolean" ? al.enabled : DEFAULT_CONFIG.audit_log.enabled,
+      max_bytes: clampNumber(al.max_bytes, 65_536, 104_857_600, DEFAULT_CONFIG.audit_log.max_bytes),
+      max_files: clampNumber(al.max_files, 1, 50, DEFAULT_CONFIG.audit_log.max_files),
+    };
+  }
+
+  // Budgets sub-config
+  if (raw.budgets && typeof raw.budgets === "object") {
+    const b = /** @type {Record<string, unknown>} */ (raw.budgets);
+    /** @type {Record<string, number>} */
+    const projectUsd = {};
+    if (b.project_usd && typeof b.project_usd === "object" && !Array.isArray(b.project_usd)) {
+      for (const [dir, limit] of Object.entries(b.project_usd)) {
+        if (typeof limit === "number" && Number.isFinite(limit) && limit > 0) projectUsd[dir] = limit;
+      }
+    }
+    config.budgets = {
+      session_usd: clampNumber(b.session_usd, 0, 1_000_000, DEFAULT_CONFIG.budgets.session_usd),
+      daily_usd: clampNumber(b.daily_usd, 0, 1_000_000, DEFAULT_CONFIG.budgets.daily_usd),
+      project_usd: projectUsd,
+      mode: VALID_BUDGET_MODES.includes(/** @type {string} */ (b.mode))
+        ? /** @type {BudgetMode} */ (b.mode)
+        : DEFAULT_CONFIG.budgets.mode,
+      warn_at: clampNumber(b.warn_at, 0.1, 1, DEFAULT_CONFIG.budgets.warn_at),
+      downgrade_model:
+        typeof b.downgrade_model === "string" && b.downgrade_model.trim()
+          ? b.downgrade_model.trim()
+          : DEFAULT_CONFIG.budgets.downgrade_model,
+    };
+  }
+
+  // OpenTelemetry sub-config
+  if (raw.otel && typeof raw.otel === "object") {
+    const o = /** @type {Record<string, unknown>} */ (raw.otel);
+    /** @type {Record<string, string>} */
+    const headers = {};
+    if (o.headers && typeof o.headers === "object" && !Array.isArray(o.headers)) {
+      for (const [name, value] of Object.entries(o.headers)) {
+        if (typeof value === "string") headers[name] = value;
+      }
+    }
+    config.otel = {
+      enabled: typeof o.enabled === "boolean" ? o.enabled : DEFAULT_CONFIG.otel.enabled,
+      endpoint:
+        typeof o.endpoint === "string" && /^https?:\/\//i.test(o.endpoint.trim())
+          ? o.endpoint.trim().replace(/\/+$/, "")
+          : DEFAULT_CONFIG.otel.endpoint,
+      headers,
+      service_name:
+        typeof o.service_name === "string" && o.service_name.trim()
+          ? o.service_name.trim()
+          : DEFAULT_CONFIG.otel.service_name,
+      flush_interval_ms: clampNumber(o.flush_interval_ms, 100, 300_000, DEFAULT_CONFIG.otel.flush_interval_ms),
+      timeout_ms: clampNumber(o.timeout_ms, 100, 60_000, DEFAULT_CONFIG.otel.timeout_ms),
+    };
+  }
+
+  // Prometheus metrics listener sub-config (loopback hosts only)
+  if (raw.metrics_server && typeof raw.metrics_server === "object") {
+    const ms = /** @type {Record<string, unknown>} */ (raw.metrics_server);
+    config.metrics_server = {
+      enabled: typeof ms.enabled === "boolean" ? ms.enabled : DEFAULT_CONFIG.metrics_server.enabled,
+      host: LOOPBACK_HOSTS.includes(/** @type {string} */ (ms.host))
+        ? /** @type {string} */ (ms.host)
+        : DEFAULT_CONFIG.metrics_server.host,
+      port: Math.round(clampNumber(ms.port, 1, 65535, DEFAULT_CONFIG.metrics_server.port)),
+    };
+  }
+
+  // Loopback OAuth callback sub-config
+  if (raw.oauth_callback && typeof raw.oauth_callback === "object") {
+    const oc = /** @type {Record<string, unknown>} */ (raw.oauth_callback);
+    config.oauth_callback = {
+      enabled: typeof oc.enabled === "boolean" ? oc.enabled : DEFAULT_CONFIG.oauth_callback.enabled,
+      timeout_seconds: Math.round(
+        clampNumber(oc.timeout_seconds, 10, 900, DEFAULT_CONFIG.oauth_callback.timeout_seconds),
+      ),
+    };
+  }
+
+  // Token counting sub-config
+  if (raw.token_counting && typeof raw.token_counting === "object") {
+    const tc = /** @type {Record<string, unknown>} */ (raw.token_counting);
+    config.token_counting = {
+      mode: VALID_TOKEN_COUNTING_MODES.includes(/** @type {string} */ (tc.mode))
+        ? /** @type {string} */ (tc.mode)
+        : DEFAULT_CONFIG.token_counting.mode,
+      min_interval_seconds: clampNumber(
+        tc.min_interval_seconds,
+        1,
+        3600,
+        DEFAULT_CONFIG.token_counting.min_interval_seconds,
+      ),
+      cache_entries: Math.round(clampNumber(tc.cache_entries, 1, 1000, DEFAULT_CONFIG.token_counting.cache_entries)),
+    };
+  }
+
+  // Pricing sub-config (unknown price fields and negative prices are dropped)
+  if (raw.pricing && typeof raw.pricing === "object") {
+    const pr = /** @type {Record<string, unknown>} */ (raw.pricing);
+    const d = DEFAULT_CONFIG.pricing;
+    /** @type {PricingConfig["models"]} */
+    const models = {};
+    if (pr.models && typeof pr.models === "object" && !Array.isArray(pr.models)) {
+      for (const [model, entry] of Object.entries(pr.models)) {
+        if (!model || !entry || typeof entry !== "object") continue;
+        /** @type {Record<string, number>} */
+        const price = {};
+        for (const field of MODEL_PRICE_FIELDS) {
+          const value = /** @type {Record<string, unknown>} */ (entry)[field];
+          if (typeof value === "number" && Number.isFinite(value) && value >= 0) price[field] = value;
+        }
+        if (Object.keys(price).length > 0) models[model] = price;
+      }
+    }
+    config.pricing = {
+      models,
+      cache_read_multiplier: clampNumber(pr.cache_read_multiplier, 0, 10, d.cache_read_multiplier),
+      cache_write_5m_multiplier: clampNumber(pr.cache_write_5m_multiplier, 0, 10, d.cache_write_5m_multiplier),
+      cache_write_1h_multiplier: clampNumber(pr.cache_write_1h_multiplier, 0, 10, d.cache_write_1h_multiplier),
+      long_context_threshold_tokens: Math.round(
+        clampNumber(pr.long_context_threshold_tokens, 1000, 10_000_000, d.long_context_threshold_tokens),
+      ),
+      web_search_usd_per_request: clampNumber(pr.web_search_usd_per_request, 0, 10, d.web_search_usd_per_request),
+    };
+  }
+
+  // API-key accounts sub-config
+  if (raw.api_key_accounts && typeof raw.api_key_accounts === "object") {
+    const ak = /** @type {Record<string, unknown>} */ (raw.api_key_accounts);
+    config.api_key_accounts = {
+      fallback_only:
+        typeof ak.fallback_only === "boolean" ? ak.fallback_only : DEFAULT_CONFIG.api_key_accounts.fallback_only,
+    };
+  }
+
+  // File-ID pinning sub-config
+  if (raw.file_pinning && typeof raw.file_pinning === "object") {
+    const fp = /** @type {Record<string, unknown>} */ (raw.file_pinning);
+    config.file_pinning = {
+      max_wait_seconds: Math.round(
+        clampNumber(fp.max_wait_seconds, 0, 600, DEFAULT_CONFIG.file_pinning.max_wait_seconds),
+      ),
+      reupload: typeof fp.reupload === "boolean" ? fp.reupload : DEFAULT_CONFIG.file_pinning.reupload,
+    };
+  }
+
+  // Account groups (groups without any member reference are dropped)
+  if (raw.account_groups && typeof raw.account_groups === "object" && !Array.isArray(raw.account_groups)) {
+    for (const [name, entry] of Object.entries(raw.account_groups)) {
+      if (!name || !entry || typeof entry !== "object" || !Array.isArray(entry.accounts)) continue;
+      const accounts = entry.accounts.filter(
+        (/** @type {unknown} */ ref) =>
+          (typeof ref === "string" && ref.trim()) || (typeof ref === "number" && Number.isInteger(ref) && ref >= 1),
+      );
+      if (accounts.length === 0) continue;
+      config.account_groups[name] = {
+        accounts,
+        strategy: VALID_STRATEGIES.includes(entry.strategy) ? entry.strategy : null,
+        fallback: typeof entry.fallback === "boolean" ? entry.fallback : true,
+      };
+    }
+  }
+
+  // Routing rules (rules without a group or with an unknown role are dropped)
+  if (raw.routing && typeof raw.routing === "object") {
+    const rt = /** @type {Record<string, unknown>} */ (raw.routing);
+    if (Array.isArray(rt.rules)) {
+      for (const entry of rt.rules) {
+        if (!entry || typeof entry !== "object" || typeof entry.group !== "string" || !entry.group) continue;
+        if (entry.role !== undefined && !REQUEST_ROLES.includes(entry.role)) continue;
+        /** @type {RoutingRule} */
+        const rule = { group: entry.group };
+        for (const key of /** @type {const} */ (["model", "role", "project"])) {
+          if (typeof entry[key] === "string" && entry[key]) rule[key] = entry[key];
+        }
+        config.routing.rules.push(rule);
+      }
+    }
+    if (typeof rt.default_group === "string") config.routing.default_group = rt.default_group;
+  }
+
   return config;
 }
 
@@ -1055,44 +1446,129 @@ function applyEnvOverrides(config) {
     config.anti_verbosity.length_anchors = false;
   }
 
+  // Legacy session cap; the budgets subsystem enforces it like budgets.session_usd.
+  const maxBudgetUsd = parseFloat(env.OPENCODE_ANTHROPIC_MAX_BUDGET_USD || "");
+  if (Number.isFinite(maxBudgetUsd) && maxBudgetUsd > 0) {
+    config.budgets.session_usd = maxBudgetUsd;
+  }
+
+  if (env.OPENCODE_ANTHROPIC_USAGE_LEDGER === "1" || env.OPENCODE_ANTHROPIC_USAGE_LEDGER === "true") {
+    config.usage_ledger.enabled = true;
+  }
+  if (env.OPENCODE_ANTHROPIC_USAGE_LEDGER === "0" || env.OPENCODE_ANTHROPIC_USAGE_LEDGER === "false") {
+    config.usage_ledger.enabled = false;
+  }
+
+  if (env.OPENCODE_ANTHROPIC_AUDIT_LOG === "1" || env.OPENCODE_ANTHROPIC_AUDIT_LOG === "true") {
+    config.audit_log.enabled = true;
+  }
+  if (env.OPENCODE_ANTHROPIC_AUDIT_LOG === "0" || env.OPENCODE_ANTHROPIC_AUDIT_LOG === "false") {
+    config.audit_log.enabled = false;
+  }
+
+  if (env.OPENCODE_ANTHROPIC_API_KEY_FALLBACK_ONLY === "1" || env.OPENCODE_ANTHROPIC_API_KEY_FALLBACK_ONLY === "true") {
+    config.api_key_accounts.fallback_only = true;
+  }
+  if (
+    env.OPENCODE_ANTHROPIC_API_KEY_FALLBACK_ONLY === "0" ||
+    env.OPENCODE_ANTHROPIC_API_KEY_FALLBACK_ONLY === "false"
+  ) {
+    config.api_key_accounts.fallback_only = false;
+  }
+
+  const otelEndpoint = (env.OPENCODE_ANTHROPIC_OTEL_ENDPOINT || "").trim();
+  if (/^https?:\/\//i.test(otelEndpoint)) {
+    config.otel.enabled = true;
+    config.otel.endpoint = otelEndpoint.replace(/\/+$/, "");
+  }
+  if (env.OPENCODE_ANTHROPIC_OTEL === "1" || env.OPENCODE_ANTHROPIC_OTEL === "true") {
+    config.otel.enabled = true;
+  }
+  if (env.OPENCODE_ANTHROPIC_OTEL === "0" || env.OPENCODE_ANTHROPIC_OTEL === "false") {
+    config.otel.enabled = false;
+  }
+
+  const metricsPort = parseInt(env.OPENCODE_ANTHROPIC_METRICS_PORT || "", 10);
+  if (Number.isInteger(metricsPort) && metricsPort > 0 && metricsPort <= 65535) {
+    config.metrics_server.enabled = true;
+    config.metrics_server.port = metricsPort;
+  }
+
+  if (env.OPENCODE_ANTHROPIC_OAUTH_CALLBACK === "1" || env.OPENCODE_ANTHROPIC_OAUTH_CALLBACK === "true") {
+    config.oauth_callback.enabled = true;
+  }
+  if (env.OPENCODE_ANTHROPIC_OAUTH_CALLBACK === "0" || env.OPENCODE_ANTHROPIC_OAUTH_CALLBACK === "false") {
+    config.oauth_callback.enabled = false;
+  }
+
+  if (VALID_TOKEN_COUNTING_MODES.includes(env.OPENCODE_ANTHROPIC_TOKEN_COUNTING || "")) {
+    config.token_counting.mode = /** @type {string} */ (env.OPENCODE_ANTHROPIC_TOKEN_COUNTING);
+  }
+
   return config;
 }
 
 /**
- * Load config from disk, validate, apply env overrides.
- * @returns {AnthropicAuthConfig}
+ * Project overlay location, relative to a project directory.
  */
-export function loadConfig() {
-  const configPath = getConfigPath();
+export const PROJECT_CONFIG_FILE = join(".opencode", "anthropic.json");
 
-  if (!existsSync(configPath)) {
-    return applyEnvOverrides(createDefaultConfig());
-  }
+/**
+ * Where a project lives. `directory` is where OpenCode was started; `worktree`
+ * is the repository root. Either may be omitted.
+ * @typedef {object} ConfigScope
+ * @property {string} [directory]
+ * @property {string} [worktree]
+ */
 
-  try {
-    const content = readFileSync(configPath, "utf-8");
-    const raw = JSON.parse(content);
-    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
-      return applyEnvOverrides(createDefaultConfig());
+/**
+ * @typedef {'default' | 'global' | 'project' | 'env'} ConfigLayer
+ */
+
+/**
+ * Find the project overlay for a scope. Walks from `directory` up to the
+ * `worktree` root (inclusive) so a package inside a monorepo can carry its own
+ * overlay while the repo root provides a shared one; the closest file wins.
+ * @param {ConfigScope} [scope]
+ * @returns {string | null}
+ */
+export function findProjectConfigPath(scope = {}) {
+  const start = scope.directory ? resolve(scope.directory) : null;
+  const root = scope.worktree ? resolve(scope.worktree) : null;
+
+  /** @type {string[]} */
+  const candidates = [];
+  if (start) {
+    const rel = root ? relative(root, start) : null;
+    const insideRoot = rel !== null && !rel.startsWith("..") && !isAbsolute(rel);
+    let dir = start;
+    while (true) {
+      candidates.push(dir);
+      if (!insideRoot || dir === root) break;
+      const parent = dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
     }
-    const config = validateConfig(raw);
-    return applyEnvOverrides(config);
-  } catch {
-    return applyEnvOverrides(createDefaultConfig());
   }
+  if (root && !candidates.includes(root)) candidates.push(root);
+
+  for (const dir of candidates) {
+    const path = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(path)) return path;
+  }
+  return null;
 }
 
 /**
- * Load the raw config JSON from disk (without validation or env overrides).
- * Returns an empty object if the file doesn't exist or is invalid.
+ * Read a JSON object from disk. Returns an empty object if the file doesn't
+ * exist, is invalid, or isn't an object.
+ * @param {string} path
  * @returns {Record<string, unknown>}
  */
-export function loadRawConfig() {
-  const configPath = getConfigPath();
-  if (!existsSync(configPath)) return {};
+function readConfigObject(path) {
+  if (!existsSync(path)) return {};
   try {
-    const content = readFileSync(configPath, "utf-8");
-    const raw = JSON.parse(content);
+    const raw = JSON.parse(readFileSync(path, "utf-8"));
     if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
     return raw;
   } catch {
@@ -1100,6 +1576,124 @@ export function loadRawConfig() {
   }
 }
 
+/**
+ * Recursively merge an overlay into a base config. Objects merge key by key;
+ * arrays and primitives from the overlay replace the base value.
+ * @param {Record<string, unknown>} base
+ * @param {Record<string, unknown>} overlay
+ * @returns {Record<string, unknown>}
+ */
+function mergeConfigLayers(base, overlay) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(overlay)) {
+    const current = result[key];
+    if (isPlainObject(value) && isPlainObject(current)) {
+      result[key] = mergeConfigLayers(
+        /** @type {Record<string, unknown>} */ (current),
+        /** @type {Record<string, unknown>} */ (value),
+      );
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} obj
+ * @param {string[]} path
+ * @returns {{ found: boolean, value?: unknown }}
+ */
+function lookupPath(obj, path) {
+  let node = obj;
+  for (const key of path) {
+    if (!isPlainObject(node) || !(key in /** @type {object} */ (node))) return { found: false };
+    node = /** @type {Record<string, unknown>} */ (node)[key];
+  }
+  return { found: true, value: node };
+}
+
+/**
+ * Attribute every leaf of the effective config to the layer that set it.
+ * @param {Record<string, unknown>} effective
+ * @param {Record<string, unknown>} fromFiles - Validated config before env overrides
+ * @param {Record<string, unknown>} globalRaw
+ * @param {Record<string, unknown>} projectRaw
+ * @param {string[]} [path]
+ * @param {Record<string, ConfigLayer>} [out]
+ * @returns {Record<string, ConfigLayer>}
+ */
+function collectConfigSources(effective, fromFiles, globalRaw, projectRaw, path = [], out = {}) {
+  for (const [key, value] of Object.entries(effective)) {
+    const keyPath = [...path, key];
+    if (isPlainObject(value) && Object.keys(/** @type {object} */ (value)).length > 0) {
+      collectConfigSources(
+        /** @type {Record<string, unknown>} */ (value),
+        fromFiles,
+        globalRaw,
+        projectRaw,
+        keyPath,
+        out,
+      );
+      continue;
+    }
+    const beforeEnv = lookupPath(fromFiles, keyPath);
+    /** @type {ConfigLayer} */
+    let layer = "default";
+    if (!beforeEnv.found || JSON.stringify(beforeEnv.value) !== JSON.stringify(value)) layer = "env";
+    else if (lookupPath(projectRaw, keyPath).found) layer = "project";
+    else if (lookupPath(globalRaw, keyPath).found) layer = "global";
+    out[keyPath.join(".")] = layer;
+  }
+  return out;
+}
+
+/**
+ * Load the layered config: defaults, then the global file, then the project
+ * overlay (deep-merged and validated together), then env overrides.
+ * `sources` maps each dotted leaf path to the layer its value came from.
+ * @param {ConfigScope} [scope]
+ * @returns {{ config: AnthropicAuthConfig, sources: Record<string, ConfigLayer>, projectPath: string | null }}
+ */
+export function loadConfigLayers(scope = {}) {
+  const globalRaw = loadRawConfig();
+  const projectPath = findProjectConfigPath(scope);
+  const projectRaw = projectPath ? readConfigObject(projectPath) : {};
+
+  const fromFiles = validateConfig(mergeConfigLayers(globalRaw, projectRaw));
+  const config = applyEnvOverrides(structuredClone(fromFiles));
+  const sources = collectConfigSources(config, fromFiles, globalRaw, projectRaw);
+  return { config, sources, projectPath };
+}
+
+/**
+ * Load config from disk, validate, apply env overrides. When a scope is
+ * given, the nearest project overlay (`.opencode/anthropic.json`) is merged
+ * over the global config first.
+ * @param {ConfigScope} [scope]
+ * @returns {AnthropicAuthConfig}
+ */
+export function loadConfig(scope = {}) {
+  return loadConfigLayers(scope).config;
+}
+
+/**
+ * Load the raw config JSON from disk (without validation or env overrides).
+ * Returns an empty object if the file doesn't exist or is invalid.
+ * @returns {Record<string, unknown>}
+ */
+export function loadRawConfig() {
+  return readConfigObject(getConfigPath());
+}
+
 /**
  * Save a partial config update to disk (read-modify-write).
  * Only writes the keys you provide; other keys are preserved.
@@ -1155,8 +1749,9 @@ export function saveConfig(updates) {
 /**
  * Load config fresh from disk (bypassing any startup cache).
  * Useful for slash commands that need current on-disk state.
+ * @param {ConfigScope} [scope]
  * @returns {AnthropicAuthConfig}
  */
-export function loadConfigFresh() {
-  return loadConfig();
+export function loadConfigFresh(scope = {}) {
+  return loadConfig(scope);
 }
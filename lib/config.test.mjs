@@ -1,6 +1,14 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { loadConfig, DEFAULT_CONFIG, getConfigDir, getConfigPath } from "./config.mjs";
+import {
+  loadConfig,
+  loadConfigLayers,
+  findProjectConfigPath,
+  DEFAULT_CONFIG,
+  getConfigDir,
+  getConfigPath,
+} from "./config.mjs";
 import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
 
 // Mock fs module
 vi.mock("node:fs", () => ({
@@ -71,6 +79,15 @@ describe("loadConfig", () => {
     delete process.env.OPENCODE_ANTHROPIC_FETCH_CLAUDE_CODE_VERSION;
     delete process.env.OPENCODE_ANTHROPIC_PROMPT_COMPACTION;
     delete process.env.OPENCODE_ANTHROPIC_ADAPTIVE_CONTEXT;
+    delete process.env.OPENCODE_ANTHROPIC_USAGE_LEDGER;
+    delete process.env.OPENCODE_ANTHROPIC_AUDIT_LOG;
+    delete process.env.OPENCODE_ANTHROPIC_API_KEY_FALLBACK_ONLY;
+    delete process.env.OPENCODE_ANTHROPIC_MAX_BUDGET_USD;
+    delete process.env.OPENCODE_ANTHROPIC_OTEL;
+    delete process.env.OPENCODE_ANTHROPIC_OTEL_ENDPOINT;
+    delete process.env.OPENCODE_ANTHROPIC_METRICS_PORT;
+    delete process.env.OPENCODE_ANTHROPIC_OAUTH_CALLBACK;
+    delete process.env.OPENCODE_ANTHROPIC_TOKEN_COUNTING;
   });
 
   afterEach(() => {
@@ -378,6 +395,325 @@ describe("loadConfig", () => {
     const config = loadConfig();
     expect(config.adaptive_context.enabled).toBe(false);
   });
+
+  it("defaults usage_ledger to enabled with 14-day retention", () => {
+    existsSync.mockReturnValue(false);
+    const config = loadConfig();
+    expect(config.usage_ledger).toEqual({ enabled: true, retain_days: 14 });
+  });
+
+  it("clamps usage_ledger.retain_days to 1-365", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(JSON.stringify({ usage_ledger: { enabled: false, retain_days: 0 } }));
+    const config = loadConfig();
+    expect(config.usage_ledger).toEqual({ enabled: false, retain_days: 1 });
+  });
+
+  it("disables the usage ledger from OPENCODE_ANTHROPIC_USAGE_LEDGER=0", () => {
+    existsSync.mockReturnValue(false);
+    process.env.OPENCODE_ANTHROPIC_USAGE_LEDGER = "0";
+    const config = loadConfig();
+    expect(config.usage_ledger.enabled).toBe(false);
+  });
+
+  it("clamps audit_log rotation settings", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(JSON.stringify({ audit_log: { max_bytes: 10, max_files: 500 } }));
+    const config = loadConfig();
+    expect(config.audit_log).toEqual({ enabled: true, max_bytes: 65_536, max_files: 50 });
+  });
+
+  it("disables the audit log from OPENCODE_ANTHROPIC_AUDIT_LOG=0", () => {
+    existsSync.mockReturnValue(false);
+    process.env.OPENCODE_ANTHROPIC_AUDIT_LOG = "0";
+    const config = loadConfig();
+    expect(config.audit_log.enabled).toBe(false);
+  });
+
+  it("keeps API-key accounts as fallback only unless configured or overridden", () => {
+    existsSync.mockReturnValue(false);
+    expect(loadConfig().api_key_accounts).toEqual({ fallback_only: true });
+
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(JSON.stringify({ api_key_accounts: { fallback_only: "no" } }));
+    expect(loadConfig().api_key_accounts.fallback_only).toBe(true);
+    readFileSync.mockReturnValue(JSON.stringify({ api_key_accounts: { fallback_only: false } }));
+    expect(loadConfig().api_key_accounts.fallback_only).toBe(false);
+
+    existsSync.mockReturnValue(false);
+    process.env.OPENCODE_ANTHROPIC_API_KEY_FALLBACK_ONLY = "0";
+    expect(loadConfig().api_key_accounts.fallback_only).toBe(false);
+  });
+
+  it("defaults budgets to off in warn mode", () => {
+    existsSync.mockReturnValue(false);
+    const config = loadConfig();
+    expect(config.budgets).toEqual({
+      session_usd: 0,
+      daily_usd: 0,
+      project_usd: {},
+      mode: "warn",
+      warn_at: 0.8,
+      downgrade_model: "claude-haiku-4-5",
+    });
+  });
+
+  it("validates budgets and drops invalid project caps", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(
+      JSON.stringify({
+        budgets: {
+          session_usd: 5,
+          daily_usd: -3,
+          project_usd: { "/repo": 50, "/bad": "lots", "/zero": 0 },
+          mode: "block",
+          warn_at: 5,
+          downgrade_model: "  ",
+        },
+      }),
+    );
+    const config = loadConfig();
+    expect(config.budgets).toEqual({
+      session_usd: 5,
+      daily_usd: 0,
+      project_usd: { "/repo": 50 },
+      mode: "block",
+      warn_at: 1,
+      downgrade_model: "claude-haiku-4-5",
+    });
+  });
+
+  it("falls back to warn for an unknown budgets.mode", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(JSON.stringify({ budgets: { mode: "panic" } }));
+    expect(loadConfig().budgets.mode).toBe("warn");
+  });
+
+  it("maps OPENCODE_ANTHROPIC_MAX_BUDGET_USD to budgets.session_usd", () => {
+    existsSync.mockReturnValue(false);
+    process.env.OPENCODE_ANTHROPIC_MAX_BUDGET_USD = "12.5";
+    expect(loadConfig().budgets.session_usd).toBe(12.5);
+  });
+
+  it("keeps otel export disabled by default", () => {
+    existsSync.mockReturnValue(false);
+    expect(loadConfig().otel).toEqual({
+      enabled: false,
+      endpoint: "http://127.0.0.1:4318",
+      headers: {},
+      service_name: "opencode-anthropic-auth",
+      flush_interval_ms: 5000,
+      timeout_ms: 3000,
+    });
+  });
+
+  it("validates the otel endpoint, headers and intervals", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(
+      JSON.stringify({
+        otel: {
+          enabled: true,
+          endpoint: "http://collector:4318/",
+          headers: { authorization: "Bearer x", bad: 1 },
+          flush_interval_ms: 1,
+        },
+      }),
+    );
+    const { otel } = loadConfig();
+    expect(otel.endpoint).toBe("http://collector:4318");
+    expect(otel.headers).toEqual({ authorization: "Bearer x" });
+    expect(otel.flush_interval_ms).toBe(100);
+
+    readFileSync.mockReturnValue(JSON.stringify({ otel: { endpoint: "collector:4318" } }));
+    expect(loadConfig().otel.endpoint).toBe("http://127.0.0.1:4318");
+  });
+
+  it("enables otel export from OPENCODE_ANTHROPIC_OTEL_ENDPOINT", () => {
+    existsSync.mockReturnValue(false);
+    process.env.OPENCODE_ANTHROPIC_OTEL_ENDPOINT = "http://localhost:4318";
+    const { otel } = loadConfig();
+    expect(otel.enabled).toBe(true);
+    expect(otel.endpoint).toBe("http://localhost:4318");
+  });
+
+  it("keeps the metrics listener on a loopback host", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(JSON.stringify({ metrics_server: { enabled: true, host: "0.0.0.0", port: 70000.4 } }));
+    expect(loadConfig().metrics_server).toEqual({ enabled: true, host: "127.0.0.1", port: 65535 });
+
+    readFileSync.mockReturnValue(JSON.stringify({ metrics_server: { host: "::1", port: 9100 } }));
+    expect(loadConfig().metrics_server).toEqual({ enabled: false, host: "::1", port: 9100 });
+  });
+
+  it("clamps the OAuth callback timeout and honors OPENCODE_ANTHROPIC_OAUTH_CALLBACK", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(JSON.stringify({ oauth_callback: { enabled: "yes", timeout_seconds: 2 } }));
+    expect(loadConfig().oauth_callback).toEqual({ enabled: true, timeout_seconds: 10 });
+
+    existsSync.mockReturnValue(false);
+    process.env.OPENCODE_ANTHROPIC_OAUTH_CALLBACK = "0";
+    expect(loadConfig().oauth_callback).toEqual({ enabled: false, timeout_seconds: 120 });
+  });
+
+  it("clamps the file pinning wait and ignores a non-boolean reupload", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(JSON.stringify({ file_pinning: { max_wait_seconds: 900.7, reupload: "no" } }));
+    expect(loadConfig().file_pinning).toEqual({ max_wait_seconds: 600, reupload: true });
+
+    readFileSync.mockReturnValue(JSON.stringify({ file_pinning: { max_wait_seconds: 4.4, reupload: false } }));
+    expect(loadConfig().file_pinning).toEqual({ max_wait_seconds: 4, reupload: false });
+  });
+
+  it("enables the metrics listener from OPENCODE_ANTHROPIC_METRICS_PORT", () => {
+    existsSync.mockReturnValue(false);
+    process.env.OPENCODE_ANTHROPIC_METRICS_PORT = "9200";
+    expect(loadConfig().metrics_server).toEqual({ enabled: true, host: "127.0.0.1", port: 9200 });
+  });
+
+  it("validates token_counting and reads the mode from OPENCODE_ANTHROPIC_TOKEN_COUNTING", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(
+      JSON.stringify({ token_counting: { mode: "precise", min_interval_seconds: 0, cache_entries: 12.6 } }),
+    );
+    expect(loadConfig().token_counting).toEqual({ mode: "heuristic", min_interval_seconds: 1, cache_entries: 13 });
+
+    process.env.OPENCODE_ANTHROPIC_TOKEN_COUNTING = "exact";
+    expect(loadConfig().token_counting.mode).toBe("exact");
+  });
+
+  it("keeps valid pricing overrides and drops unknown fields and negative prices", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(
+      JSON.stringify({
+        pricing: {
+          models: {
+            "claude-opus-4-7": { input: 4, long_context_input: 8, discount: 0.5 },
+            "my-proxy-model": { input: -1, output: 2 },
+            broken: "cheap",
+          },
+          cache_write_1h_multiplier: 20,
+        },
+      }),
+    );
+    expect(loadConfig().pricing).toEqual({
+      ...DEFAULT_CONFIG.pricing,
+      models: { "claude-opus-4-7": { input: 4, long_context_input: 8 }, "my-proxy-model": { output: 2 } },
+      cache_write_1h_multiplier: 10,
+    });
+  });
+
+  it("keeps account groups with members and well-formed routing rules", () => {
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(
+      JSON.stringify({
+        account_groups: {
+          personal: { accounts: ["me@example.com", 0, 2], strategy: "fastest" },
+          team: { accounts: [1.5, ""], strategy: "hybrid" },
+          pool: { accounts: ["a@team.com"], strategy: "hybrid", fallback: false },
+        },
+        routing: {
+          rules: [
+            { role: "title", group: "personal", extra: true },
+            { model: "haiku", group: "" },
+            { role: "background", group: "pool" },
+            { model: "opus", project: "/work/app", group: "pool" },
+          ],
+          default_group: "personal",
+        },
+      }),
+    );
+    const config = loadConfig();
+    expect(config.account_groups).toEqual({
+      personal: { accounts: ["me@example.com", 2], strategy: null, fallback: true },
+      pool: { accounts: ["a@team.com"], strategy: "hybrid", fallback: false },
+    });
+    expect(config.routing).toEqual({
+      rules: [
+        { role: "title", group: "personal" },
+        { model: "opus", project: "/work/app", group: "pool" },
+      ],
+      default_group: "personal",
+    });
+  });
+});
+
+describe("project config overlays", () => {
+  const repo = join("/work", "mono");
+  const pkg = join(repo, "packages", "api");
+
+  /** @param {Record<string, unknown>} files */
+  function mockFiles(files) {
+    existsSync.mockImplementation((path) => path in files);
+    readFileSync.mockImplementation((path) => JSON.stringify(files[path]));
+  }
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    delete process.env.OPENCODE_ANTHROPIC_DEBUG;
+    delete process.env.OPENCODE_ANTHROPIC_STRATEGY;
+  });
+
+  afterEach(() => {
+    delete process.env.OPENCODE_ANTHROPIC_DEBUG;
+  });
+
+  it("finds the closest overlay between the directory and the worktree root", () => {
+    mockFiles({ [join(repo, ".opencode", "anthropic.json")]: {} });
+    expect(findProjectConfigPath({ directory: pkg, worktree: repo })).toBe(join(repo, ".opencode", "anthropic.json"));
+
+    mockFiles({ [join(repo, ".opencode", "anthropic.json")]: {}, [join(pkg, ".opencode", "anthropic.json")]: {} });
+    expect(findProjectConfigPath({ directory: pkg, worktree: repo })).toBe(join(pkg, ".opencode", "anthropic.json"));
+  });
+
+  it("does not search above the worktree root", () => {
+    mockFiles({ [join("/work", ".opencode", "anthropic.json")]: {} });
+    expect(findProjectConfigPath({ directory: pkg, worktree: repo })).toBeNull();
+    expect(findProjectConfigPath({})).toBeNull();
+  });
+
+  it("deep-merges the overlay over the global config through validation", () => {
+    mockFiles({
+      [getConfigPath()]: {
+        token_economy: { conservative: true, debug_dump_bodies: true },
+        output_cap: { escalated_max_tokens: 32_000 },
+      },
+      [join(repo, ".opencode", "anthropic.json")]: {
+        token_economy: { conservative: false, tool_result_dedupe: true },
+        output_cap: { default_max_tokens: 4000 },
+        initial_account: 2,
+      },
+    });
+
+    const config = loadConfig({ directory: repo, worktree: repo });
+    expect(config.token_economy).toMatchObject({
+      conservative: false,
+      tool_result_dedupe: true,
+      debug_dump_bodies: true,
+    });
+    expect(config.output_cap.escalated_max_tokens).toBe(32_000);
+    expect(config.output_cap.default_max_tokens).toBe(4000);
+    expect(config.initial_account).toBe("2");
+  });
+
+  it("reports which layer each effective value came from", () => {
+    mockFiles({
+      [getConfigPath()]: { debug: true, account_selection_strategy: "round-robin" },
+      [join(repo, ".opencode", "anthropic.json")]: { account_selection_strategy: "hybrid", toasts: { quiet: true } },
+    });
+    process.env.OPENCODE_ANTHROPIC_DEBUG = "0";
+
+    const { config, sources, projectPath } = loadConfigLayers({ directory: repo });
+    expect(projectPath).toBe(join(repo, ".opencode", "anthropic.json"));
+    expect(config.account_selection_strategy).toBe("hybrid");
+    expect(config.debug).toBe(false);
+    expect(sources).toMatchObject({
+      account_selection_strategy: "project",
+      "toasts.quiet": "project",
+      debug: "env",
+      "toasts.debounce_seconds": "default",
+      custom_betas: "default",
+    });
+  });
 });
 
 describe("token_economy_strategies.haiku_rolling_summary", () => {
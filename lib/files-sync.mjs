@@ -0,0 +1,412 @@
+import { existsSync, mkdirSync, readFileSync, readdirSync, renameSync, statSync, writeFileSync } from "node:fs";
+import { basename, dirname, join, relative, resolve, sep } from "node:path";
+import { createHash, randomBytes } from "node:crypto";
+import { getConfigDir } from "./config.mjs";
+import { acquireRefreshLock, releaseRefreshLock } from "./refresh-lock.mjs";
+
+// ---------------------------------------------------------------------------
+// Files API directory sync — mirror a local directory into one account's
+// Files API storage, remembering what was uploaded where.
+// ---------------------------------------------------------------------------
+
+const MANIFEST_FILENAME = "anthropic-files-manifest.json";
+const MANIFEST_VERSION = 1;
+const MANIFEST_LOCK_ID = "files-manifest";
+
+/** Most file_id → account pins kept besides the synced files. Oldest go first. */
+export const FILE_PINS_MAX = 1000;
+
+export const FILES_API_BASE = "https://api.anthropic.com";
+
+/**
+ * One uploaded file. Accounts are referenced by ID so entries survive
+ * accounts being reordered.
+ * @typedef {object} FilesManifestEntry
+ * @property {string} fileId
+ * @property {string} accountId
+ * @property {string} sha256
+ * @property {number} size
+ * @property {number} uploadedAt
+ */
+
+/**
+ * @typedef {object} FilesManifest
+ * @property {Record<string, FilesManifestEntry>} files - Keyed by absolute local path
+ */
+
+/**
+ * Which account owns a file that did not come from `files sync` (uploaded
+ * through the API or a slash command, or found by listing an account's files).
+ * Kept in the manifest's `pins` section; synced files are pinned by their
+ * manifest entry and never appear there.
+ * @typedef {object} FilePin
+ * @property {string} accountId
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {object} LocalFile
+ * @property {string} path - Absolute
+ * @property {string} relPath - Relative to the synced directory, `/`-separated
+ * @property {string} sha256
+ * @property {number} size
+ */
+
+/**
+ * @typedef {object} FilesSyncPlan
+ * @property {string} dir - Absolute
+ * @property {Array<LocalFile & { replaces?: FilesManifestEntry }>} upload - New files, and changed ones with the upload they replace
+ * @property {Array<{ path: string, relPath: string, entry: FilesManifestEntry }>} remove - Gone locally (only when deleting)
+ * @property {Array<{ path: string, relPath: string, entry: FilesManifestEntry }>} kept - Gone locally but left alone
+ * @property {number} unchanged
+ */
+
+/**
+ * @returns {string}
+ */
+export function getFilesManifestPath() {
+  return join(getConfigDir(), MANIFEST_FILENAME);
+}
+
+/**
+ * @param {any} raw
+ * @returns {raw is FilesManifestEntry}
+ */
+function isManifestEntry(raw) {
+  return (
+    !!raw &&
+    typeof raw.fileId === "string" &&
+    raw.fileId !== "" &&
+    typeof raw.accountId === "string" &&
+    typeof raw.sha256 === "string" &&
+    typeof raw.size === "number" &&
+    typeof raw.uploadedAt === "number"
+  );
+}
+
+/**
+ * The manifest file as stored, or null when it is missing or corrupted.
+ * @returns {{ files?: Record<string, unknown>, pins?: Record<string, unknown> } | null}
+ */
+function readManifestFile() {
+  const p = getFilesManifestPath();
+  if (!existsSync(p)) return null;
+  try {
+    const data = JSON.parse(readFileSync(p, "utf-8"));
+    return data && typeof data === "object" ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Record<string, unknown>} files
+ * @param {Record<string, unknown>} pins
+ */
+function writeManifestFile(files, pins) {
+  const p = getFilesManifestPath();
+  const tmpPath = `${p}.${randomBytes(6).toString("hex")}.tmp`;
+  mkdirSync(dirname(p), { recursive: true });
+  writeFileSync(tmpPath, JSON.stringify({ version: MANIFEST_VERSION, files, pins }, null, 2), {
+    encoding: "utf-8",
+    mode: 0o600,
+  });
+  renameSync(tmpPath, p);
+}
+
+/**
+ * Read and rewrite the manifest under a cross-process lock: `files sync`
+ * writes the files and OpenCode instances write the pins, so neither may drop
+ * the other's section. If the lock cannot be had in time, the write goes
+ * ahead anyway rather than being lost.
+ * @param {(data: { files?: Record<string, unknown>, pins?: Record<string, unknown> } | null) => void} write
+ * @returns {Promise<void>}
+ */
+async function updateManifestFile(write) {
+  const lock = await acquireRefreshLock(MANIFEST_LOCK_ID).catch(() => null);
+  try {
+    write(readManifestFile());
+  } finally {
+    if (lock?.acquired) await releaseRefreshLock(lock);
+  }
+}
+
+/**
+ * Load the manifest. A missing or corrupted file reads as empty.
+ * @returns {FilesManifest}
+ */
+export function loadFilesManifest() {
+  /** @type {FilesManifest} */
+  const manifest = { files: {} };
+  // When corrupted, start over; the next sync re-uploads what it cannot account for
+  for (const [path, entry] of Object.entries(readManifestFile()?.files ?? {})) {
+    if (isManifestEntry(entry)) manifest.files[path] = entry;
+  }
+  return manifest;
+}
+
+/**
+ * Save the synced files, keeping the pins as they are on disk.
+ * @param {FilesManifest} manifest
+ * @returns {Promise<void>}
+ */
+export function saveFilesManifest(manifest) {
+  return updateManifestFile((data) => writeManifestFile(manifest.files, data?.pins ?? {}));
+}
+
+/**
+ * @param {{ pins?: Record<string, unknown> } | null} data
+ * @returns {Array<[string, FilePin]>} Oldest first
+ */
+function readFilePins(data) {
+  return /** @type {Array<[string, FilePin]>} */ (Object.entries(data?.pins ?? {}))
+    .filter(
+      ([fileId, pin]) =>
+        fileId !== "" && typeof pin?.accountId === "string" && pin.accountId !== "" && Number.isFinite(pin.updatedAt),
+    )
+    .sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+}
+
+/**
+ * Every file the manifest knows the account of: pinned files, oldest first,
+ * then the files uploaded by `files sync`.
+ * @returns {Map<string, string>} file_id → account ID
+ */
+export function loadFilePins() {
+  const pins = new Map(readFilePins(readManifestFile()).map(([fileId, pin]) => [fileId, pin.accountId]));
+  for (const entry of Object.values(loadFilesManifest().files)) {
+    pins.delete(entry.fileId);
+    pins.set(entry.fileId, entry.accountId);
+  }
+  return pins;
+}
+
+/**
+ * Apply this process's pin changes on top of what is on disk (other OpenCode
+ * instances pin files too), keeping the newest FILE_PINS_MAX pins. Files
+ * uploaded by `files sync` are left to their manifest entry.
+ * @param {Map<string, string | null>} changes - file_id → account ID, or null to forget the file
+ * @param {number} [now]
+ * @returns {Promise<void>}
+ */
+export async function updateFilePins(changes, now = Date.now()) {
+  if (changes.size === 0) return;
+  await updateManifestFile((data) => {
+    const files = data?.files ?? {};
+    const synced = new Set(Object.values(files).map((entry) => /** @type {any} */ (entry)?.fileId));
+    const pins = new Map(readFilePins(data));
+    for (const [fileId, accountId] of changes) {
+      pins.delete(fileId);
+      if (accountId && !synced.has(fileId)) pins.set(fileId, { accountId, updatedAt: now });
+    }
+    writeManifestFile(files, Object.fromEntries([...pins].slice(-FILE_PINS_MAX)));
+  });
+}
+
+/**
+ * Hash every regular file under `dir`, recursively. Hidden files and
+ * directories (leading dot) are skipped.
+ * @param {string} dir
+ * @returns {LocalFile[]} Sorted by relPath
+ */
+export function scanSyncDir(dir) {
+  const root = resolve(dir);
+  /** @type {LocalFile[]} */
+  const files = [];
+  /** @param {string} current */
+  const walk = (current) => {
+    for (const entry of readdirSync(current, { withFileTypes: true })) {
+      if (entry.name.startsWith(".")) continue;
+      const path = join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(path);
+      } else if (entry.isFile() || (entry.isSymbolicLink() && statSync(path, { throwIfNoEntry: false })?.isFile())) {
+        const content = readFileSync(path);
+        files.push({
+          path,
+          relPath: relative(root, path).split(sep).join("/"),
+          sha256: createHash("sha256").update(content).digest("hex"),
+          size: content.length,
+        });
+      }
+    }
+  };
+  walk(root);
+  return files.sort((a, b) => a.relPath.localeCompare(b.relPath));
+}
+
+/**
+ * Compare local files with what the manifest says was uploaded from `dir`.
+ * @param {string} dir
+ * @param {LocalFile[]} localFiles
+ * @param {FilesManifest} manifest
+ * @param {{ deleteMissing?: boolean }} [options]
+ * @returns {FilesSyncPlan}
+ */
+export function planFilesSync(dir, localFiles, manifest, { deleteMissing = false } = {}) {
+  const root = resolve(dir);
+  /** @type {FilesSyncPlan} */
+  const plan = { dir: root, upload: [], remove: [], kept: [], unchanged: 0 };
+
+  const seen = new Set();
+  for (const file of localFiles) {
+    seen.add(file.path);
+    const entry = manifest.files[file.path];
+    if (!entry) plan.upload.push(file);
+    else if (entry.sha256 !== file.sha256) plan.upload.push({ ...file, replaces: entry });
+    else plan.unchanged++;
+  }
+
+  for (const [path, entry] of Object.entries(manifest.files)) {
+    if (seen.has(path) || !path.startsWith(root + sep)) continue;
+    const missing = { path, relPath: relative(root, path).split(sep).join("/"), entry };
+    (deleteMissing ? plan.remove : plan.kept).push(missing);
+  }
+  plan.remove.sort((a, b) => a.relPath.localeCompare(b.relPath));
+  plan.kept.sort((a, b) => a.relPath.localeCompare(b.relPath));
+  return plan;
+}
+
+/**
+ * @param {FilesSyncPlan} plan
+ */
+export function isFilesSyncPlanEmpty(plan) {
+  return plan.upload.length === 0 && plan.remove.length === 0;
+}
+
+/**
+ * Human-readable plan, one line per change.
+ * @param {FilesSyncPlan} plan
+ * @returns {string[]}
+ */
+export function formatFilesSyncPlan(plan) {
+  const lines = [];
+  for (const file of plan.upload) {
+    const sizeKB = (file.size / 1024).toFixed(1);
+    lines.push(`  ${file.replaces ? "~" : "+"} ${file.relPath}  (${sizeKB} KB${file.replaces ? ", changed" : ""})`);
+  }
+  for (const file of plan.remove) lines.push(`  - ${file.relPath}  (${file.entry.fileId})`);
+  lines.push(`${plan.upload.length} to upload, ${plan.remove.length} to delete, ${plan.unchanged} unchanged.`);
+  if (plan.kept.length > 0) {
+    lines.push(`${plan.kept.length} file(s) gone locally are kept remotely; add --delete to remove them.`);
+  }
+  return lines;
+}
+
+/**
+ * @param {unknown} err
+ */
+function errorMessage(err) {
+  return err instanceof Error ? err.message : String(err);
+}
+
+/**
+ * @param {Response} res
+ */
+async function httpError(res) {
+  const body = await res.text().catch(() => "");
+  return new Error(`HTTP ${res.status}${body ? `: ${body}` : ""}`);
+}
+
+/**
+ * Upload one file to the Files API.
+ * @param {string} path
+ * @param {Record<string, string>} headers - Auth and beta headers for the owning account
+ * @returns {Promise<{ id: string }>}
+ */
+export async function uploadFile(path, headers) {
+  const form = new FormData();
+  form.append("file", new Blob([readFileSync(path)]), basename(path));
+  form.append("purpose", "assistants");
+  const res = await fetch(`${FILES_API_BASE}/v1/files`, { method: "POST", headers, body: form });
+  if (!res.ok) throw await httpError(res);
+  return res.json();
+}
+
+/**
+ * Delete one file. A file that is already gone counts as deleted.
+ * @param {string} fileId
+ * @param {Record<string, string>} headers
+ */
+export async function deleteRemoteFile(fileId, headers) {
+  const res = await fetch(`${FILES_API_BASE}/v1/files/${encodeURIComponent(fileId)}`, { method: "DELETE", headers });
+  if (!res.ok && res.status !== 404) throw await httpError(res);
+}
+
+/**
+ * @typedef {object} FilesSyncResult
+ * @property {Array<{ relPath: string, fileId: string }>} uploaded
+ * @property {Array<{ relPath: string, fileId: string }>} deleted
+ * @property {Array<{ relPath: string, error: string }>} failed
+ */
+
+/**
+ * Carry out a plan: upload to `accountId`, delete replaced and removed files
+ * from whichever account holds them, and record every step in the manifest.
+ * The manifest is saved even when a step fails, so a re-run only redoes
+ * what is left.
+ * @param {FilesSyncPlan} plan
+ * @param {FilesManifest} manifest - Updated in place
+ * @param {{ accountId: string, headersFor: (accountId: string) => Promise<Record<string, string> | null>, now?: () => number }} options
+ *   headersFor resolves to null for accounts that no longer exist
+ * @returns {Promise<FilesSyncResult>}
+ */
+export async function applyFilesSync(plan, manifest, { accountId, headersFor, now = Date.now }) {
+  /** @type {FilesSyncResult} */
+  const result = { uploaded: [], deleted: [], failed: [] };
+
+  /**
+   * @param {FilesManifestEntry} entry
+   */
+  const removeRemote = async (entry) => {
+    const headers = await headersFor(entry.accountId);
+    // The account is gone, and its files with it
+    if (headers) await deleteRemoteFile(entry.fileId, headers);
+  };
+
+  try {
+    /** @type {Record<string, string> | null} */
+    let uploadHeaders = null;
+    let unavailable = "account is not available";
+    if (plan.upload.length > 0) {
+      uploadHeaders = await headersFor(accountId).catch((err) => {
+        unavailable = errorMessage(err);
+        return null;
+      });
+    }
+    for (const file of plan.upload) {
+      try {
+        if (!uploadHeaders) throw new Error(unavailable);
+        const uploaded = await uploadFile(file.path, uploadHeaders);
+        manifest.files[file.path] = {
+          fileId: uploaded.id,
+          accountId,
+          sha256: file.sha256,
+          size: file.size,
+          uploadedAt: now(),
+        };
+        result.uploaded.push({ relPath: file.relPath, fileId: uploaded.id });
+        if (file.replaces) {
+          await removeRemote(file.replaces).catch(() => {
+            // The old version lingers remotely; it is no longer referenced
+          });
+        }
+      } catch (err) {
+        result.failed.push({ relPath: file.relPath, error: errorMessage(err) });
+      }
+    }
+
+    for (const file of plan.remove) {
+      try {
+        await removeRemote(file.entry);
+        delete manifest.files[file.path];
+        result.deleted.push({ relPath: file.relPath, fileId: file.entry.fileId });
+      } catch (err) {
+        result.failed.push({ relPath: file.relPath, error: errorMessage(err) });
+      }
+    }
+  } finally {
+    await saveFilesManifest(manifest);
+  }
+  return result;
+}
@@ -0,0 +1,287 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { createHash } from "node:crypto";
+import { tmpdir } from "node:os";
+
+let configDir = "";
+
+vi.mock("./config.mjs", () => ({
+  getConfigDir: () => configDir,
+}));
+
+import {
+  FILE_PINS_MAX,
+  applyFilesSync,
+  formatFilesSyncPlan,
+  getFilesManifestPath,
+  isFilesSyncPlanEmpty,
+  loadFilePins,
+  loadFilesManifest,
+  planFilesSync,
+  saveFilesManifest,
+  scanSyncDir,
+  updateFilePins,
+} from "./files-sync.mjs";
+
+const NOW = Date.parse("2026-03-20T12:00:00Z");
+
+/** @type {string} */
+let dir = "";
+
+beforeEach(() => {
+  configDir = mkdtempSync(join(tmpdir(), "opencode-files-manifest-"));
+  dir = mkdtempSync(join(tmpdir(), "opencode-files-dir-"));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  rmSync(configDir, { recursive: true, force: true });
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * @param {string} fileId
+ * @param {string} accountId
+ * @param {string} sha256
+ */
+const entry = (fileId, accountId, sha256) => ({ fileId, accountId, sha256, size: 1, uploadedAt: NOW });
+
+describe("scanSyncDir", () => {
+  it("hashes files recursively and skips hidden entries", () => {
+    mkdirSync(join(dir, "sub"));
+    mkdirSync(join(dir, ".git"));
+    writeFileSync(join(dir, "b.txt"), "bee");
+    writeFileSync(join(dir, "sub", "a.md"), "# a");
+    writeFileSync(join(dir, ".env"), "secret");
+    writeFileSync(join(dir, ".git", "HEAD"), "ref");
+
+    const files = scanSyncDir(dir);
+    expect(files.map((f) => f.relPath)).toEqual(["b.txt", "sub/a.md"]);
+    expect(files[0]).toEqual({
+      path: join(dir, "b.txt"),
+      relPath: "b.txt",
+      size: 3,
+      sha256: createHash("sha256").update("bee").digest("hex"),
+    });
+  });
+});
+
+describe("planFilesSync", () => {
+  it("uploads new and changed files and leaves unchanged ones alone", () => {
+    writeFileSync(join(dir, "new.txt"), "new");
+    writeFileSync(join(dir, "same.txt"), "same");
+    writeFileSync(join(dir, "changed.txt"), "v2");
+    const local = scanSyncDir(dir);
+    const hash = Object.fromEntries(local.map((f) => [f.relPath, f.sha256]));
+    const manifest = {
+      files: {
+        [join(dir, "same.txt")]: entry("file-same", "acct-1", hash["same.txt"]),
+        [join(dir, "changed.txt")]: entry("file-old", "acct-1", "stale-hash"),
+        [join(dir, "gone.txt")]: entry("file-gone", "acct-1", "h"),
+        "/elsewhere/other.txt": entry("file-other", "acct-1", "h"),
+      },
+    };
+
+    const plan = planFilesSync(dir, local, manifest);
+    expect(plan.upload.map((f) => [f.relPath, f.replaces?.fileId])).toEqual([
+      ["changed.txt", "file-old"],
+      ["new.txt", undefined],
+    ]);
+    expect(plan.unchanged).toBe(1);
+    expect(plan.remove).toEqual([]);
+    expect(plan.kept.map((f) => f.relPath)).toEqual(["gone.txt"]);
+    expect(formatFilesSyncPlan(plan)).toEqual([
+      "  ~ changed.txt  (0.0 KB, changed)",
+      "  + new.txt  (0.0 KB)",
+      "2 to upload, 0 to delete, 1 unchanged.",
+      "1 file(s) gone locally are kept remotely; add --delete to remove them.",
+    ]);
+
+    const withDelete = planFilesSync(dir, local, manifest, { deleteMissing: true });
+    expect(withDelete.remove.map((f) => f.entry.fileId)).toEqual(["file-gone"]);
+    expect(withDelete.kept).toEqual([]);
+  });
+
+  it("is empty once everything is uploaded", () => {
+    writeFileSync(join(dir, "a.txt"), "a");
+    const local = scanSyncDir(dir);
+    const plan = planFilesSync(dir, local, { files: { [local[0].path]: entry("f", "acct", local[0].sha256) } });
+    expect(isFilesSyncPlanEmpty(plan)).toBe(true);
+  });
+});
+
+describe("applyFilesSync", () => {
+  it("uploads, replaces and deletes on the owning accounts and records the manifest", async () => {
+    writeFileSync(join(dir, "new.txt"), "new");
+    writeFileSync(join(dir, "changed.txt"), "v2");
+    const manifest = {
+      files: {
+        [join(dir, "changed.txt")]: entry("file-old", "acct-1", "stale-hash"),
+        [join(dir, "gone.txt")]: entry("file-gone", "acct-2", "h"),
+      },
+    };
+    const plan = planFilesSync(dir, scanSyncDir(dir), manifest, { deleteMissing: true });
+
+    /** @type {Array<[string, string, string | null]>} */
+    const calls = [];
+    let nextId = 0;
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url, init) => {
+        calls.push([init.method, String(url), init.headers["x-api-key"] ?? null]);
+        if (init.method === "POST") {
+          const file = /** @type {File} */ (init.body.get("file"));
+          expect(init.body.get("purpose")).toBe("assistants");
+          return Response.json({ id: `file-${++nextId}`, filename: file.name });
+        }
+        return new Response(null, { status: 404 });
+      }),
+    );
+
+    const result = await applyFilesSync(plan, manifest, {
+      accountId: "acct-1",
+      headersFor: async (accountId) => ({ "x-api-key": `key-${accountId}` }),
+      now: () => NOW,
+    });
+
+    expect(result).toEqual({
+      uploaded: [
+        { relPath: "changed.txt", fileId: "file-1" },
+        { relPath: "new.txt", fileId: "file-2" },
+      ],
+      deleted: [{ relPath: "gone.txt", fileId: "file-gone" }],
+      failed: [],
+    });
+    expect(calls).toEqual([
+      ["POST", "https://api.anthropic.com/v1/files", "key-acct-1"],
+      ["DELETE", "https://api.anthropic.com/v1/files/file-old", "key-acct-1"],
+      ["POST", "https://api.anthropic.com/v1/files", "key-acct-1"],
+      ["DELETE", "https://api.anthropic.com/v1/files/file-gone", "key-acct-2"],
+    ]);
+
+    const saved = loadFilesManifest();
+    expect(Object.keys(saved.files).sort()).toEqual([join(dir, "changed.txt"), join(dir, "new.txt")]);
+    expect(saved.files[join(dir, "new.txt")]).toMatchObject({ fileId: "file-2", accountId: "acct-1", size: 3 });
+    expect(statSync(getFilesManifestPath()).mode & 0o777).toBe(0o600);
+  });
+
+  it("keeps finished steps when others fail so a re-run only retries the rest", async () => {
+    writeFileSync(join(dir, "a.txt"), "a");
+    writeFileSync(join(dir, "b.txt"), "b");
+    const manifest = { files: {} };
+    const plan = planFilesSync(dir, scanSyncDir(dir), manifest);
+
+    vi.stubGlobal(
+      "fetch",
+      vi
+        .fn()
+        .mockResolvedValueOnce(Response.json({ id: "file-a" }))
+        .mockResolvedValueOnce(new Response("quota exceeded", { status: 429 })),
+    );
+    const result = await applyFilesSync(plan, manifest, {
+      accountId: "acct-1",
+      headersFor: async () => ({ authorization: "Bearer t" }),
+    });
+
+    expect(result.uploaded).toEqual([{ relPath: "a.txt", fileId: "file-a" }]);
+    expect(result.failed).toEqual([{ relPath: "b.txt", error: "HTTP 429: quota exceeded" }]);
+    const again = planFilesSync(dir, scanSyncDir(dir), loadFilesManifest());
+    expect(again.upload.map((f) => f.relPath)).toEqual(["b.txt"]);
+  });
+
+  it("fails every upload when the target account cannot authenticate", async () => {
+    writeFileSync(join(dir, "a.txt"), "a");
+    const manifest = { files: {} };
+    const fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await applyFilesSync(planFilesSync(dir, scanSyncDir(dir), manifest), manifest, {
+      accountId: "acct-1",
+      headersFor: async () => {
+        throw new Error("token refresh failed");
+      },
+    });
+
+    expect(result.failed).toEqual([{ relPath: "a.txt", error: "token refresh failed" }]);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(JSON.parse(readFileSync(getFilesManifestPath(), "utf-8"))).toEqual({ version: 1, files: {}, pins: {} });
+  });
+
+  it("reads a corrupted manifest as empty", () => {
+    writeFileSync(getFilesManifestPath(), "{not json");
+    expect(loadFilesManifest()).toEqual({ files: {} });
+  });
+});
+
+describe("file pins", () => {
+  it("round-trips pins and forgets deleted files", async () => {
+    await updateFilePins(
+      new Map([
+        ["file-a", "acct-1"],
+        ["file-b", "acct-2"],
+      ]),
+      1000,
+    );
+    await updateFilePins(
+      new Map([
+        ["file-a", null],
+        ["file-c", "acct-1"],
+      ]),
+      2000,
+    );
+
+    expect(loadFilePins()).toEqual(
+      new Map([
+        ["file-b", "acct-2"],
+        ["file-c", "acct-1"],
+      ]),
+    );
+    const saved = JSON.parse(readFileSync(getFilesManifestPath(), "utf-8"));
+    expect(saved.pins["file-c"]).toEqual({ accountId: "acct-1", updatedAt: 2000 });
+    expect(statSync(getFilesManifestPath()).mode & 0o777).toBe(0o600);
+  });
+
+  it("shares one file with the synced files without either dropping the other", async () => {
+    await updateFilePins(new Map([["file-listed", "acct-1"]]), 1000);
+    await saveFilesManifest({ files: { "/docs/a.txt": entry("file-synced", "acct-2", "x") } });
+    await updateFilePins(
+      new Map([
+        ["file-synced", "acct-1"],
+        ["file-other", "acct-3"],
+      ]),
+      2000,
+    );
+
+    expect(loadFilesManifest().files["/docs/a.txt"].fileId).toBe("file-synced");
+    // Synced files are pinned by their manifest entry, not duplicated as pins
+    expect(Object.keys(JSON.parse(readFileSync(getFilesManifestPath(), "utf-8")).pins)).toEqual([
+      "file-listed",
+      "file-other",
+    ]);
+    expect(loadFilePins()).toEqual(
+      new Map([
+        ["file-listed", "acct-1"],
+        ["file-other", "acct-3"],
+        ["file-synced", "acct-2"],
+      ]),
+    );
+  });
+
+  it("drops the oldest pins beyond FILE_PINS_MAX", async () => {
+    const changes = new Map();
+    for (let i = 0; i <= FILE_PINS_MAX; i++) changes.set(`file-${i}`, "acct-1");
+    await updateFilePins(changes, 1000);
+    await updateFilePins(new Map([["file-0", "acct-2"]]), 2000);
+
+    const pins = loadFilePins();
+    expect(pins.size).toBe(FILE_PINS_MAX);
+    expect(pins.has("file-1")).toBe(false);
+    expect(pins.get("file-0")).toBe("acct-2");
+  });
+
+  it("reads a corrupted file as no pins", () => {
+    writeFileSync(getFilesManifestPath(), "{not json");
+    expect(loadFilePins()).toEqual(new Map());
+  });
+});
@@ -74,7 +74,10 @@ export function staleReadEviction({ messages, threshold = 10, tools = STALE_READ
  * Stateless. Mirrors the core `compaction.prune()` logic but applies at
  * request-assembly time instead of persisting to storage.
  *
- * @param {{messages: Array<{info: any, parts: any[]}>, reproducibleThreshold?: number, statefulThreshold?: number, reproducibleTools?: Set<string>}} args
+ * `estimate` defaults to the chars/4 heuristic; the plugin passes a
+ * calibrated estimator when token_counting is enabled.
+ *
+ * @param {{messages: Array<{info: any, parts: any[]}>, reproducibleThreshold?: number, statefulThreshold?: number, reproducibleTools?: Set<string>, estimate?: (text: string) => number}} args
  * @returns {{pruned: number, tokensSaved: number}}
  */
 export function perToolClassPrune({
@@ -82,6 +85,7 @@ export function perToolClassPrune({
   reproducibleThreshold = 10_000,
   statefulThreshold = 40_000,
   reproducibleTools = REPRODUCIBLE_TOOLS,
+  estimate = estimateTokens,
 }) {
   if (!Array.isArray(messages) || messages.length === 0) {
     return { pruned: 0, tokensSaved: 0 };
@@ -105,24 +109,24 @@ export function perToolClassPrune({
       if (PRUNE_PROTECTED_TOOLS.has(part.tool)) continue;
       if (part.state.time?.compacted) break outer;
 
-      const estimate = estimateTokens(part.state.output);
+      const tokens = estimate(part.state.output);
       const isReproducible = reproducibleTools.has(part.tool.toLowerCase());
 
       if (isReproducible) {
-        totalReproducible += estimate;
+        totalReproducible += tokens;
         if (totalReproducible > reproducibleThreshold) {
           part.state.output = "";
           if (part.state.attachments) part.state.attachments = [];
           pruned++;
-          tokensSaved += estimate;
+          tokensSaved += tokens;
         }
       } else {
-        totalStateful += estimate;
+        totalStateful += tokens;
         if (totalStateful > statefulThreshold) {
           part.state.output = "";
           if (part.state.attachments) part.state.attachments = [];
           pruned++;
-          tokensSaved += estimate;
+          tokensSaved += tokens;
         }
       }
     }
@@ -166,6 +166,18 @@ describe("perToolClassPrune", () => {
     expect(pruned).toBe(2);
   });
 
+  it("uses a caller-supplied estimator for thresholds", () => {
+    const output = "x".repeat(30_000); // ~7_500 tokens by the heuristic
+    const msgs = Array.from({ length: 2 }, () => toolMsg("read", output));
+    const { pruned, tokensSaved } = perToolClassPrune({
+      messages: msgs,
+      reproducibleThreshold: 10_000,
+      estimate: (text) => Math.ceil(text.length / 2),
+    });
+    expect(pruned).toBe(2);
+    expect(tokensSaved).toBe(30_000);
+  });
+
   it("handles empty/missing messages gracefully", () => {
     expect(perToolClassPrune({ messages: [] }).pruned).toBe(0);
     expect(perToolClassPrune({ messages: null }).pruned).toBe(0);
@@ -0,0 +1,109 @@
+import { createServer } from "node:http";
+
+// ---------------------------------------------------------------------------
+// Prometheus text exposition (format 0.0.4)
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+// ---------------------------------------------------------------------------
+
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/**
+ * @typedef {object} MetricSample
+ * @property {Record<string, string | number>} [labels]
+ * @property {number} value
+ */
+
+/**
+ * @typedef {object} MetricFamily
+ * @property {string} name
+ * @property {string} help
+ * @property {"gauge" | "counter"} type
+ * @property {MetricSample[]} samples
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+/**
+ * Render metric families in Prometheus text format. Families without samples
+ * are skipped so scrapers never see a TYPE line with no series.
+ * @param {MetricFamily[]} families
+ * @returns {string}
+ */
+export function formatPrometheusMetrics(families) {
+  /** @type {string[]} */
+  const lines = [];
+  for (const family of families) {
+    if (family.samples.length === 0) continue;
+    lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels || {})
+        .map(([key, value]) => `${key}="${escapeLabelValue(String(value))}"`)
+        .join(",");
+      lines.push(`${family.name}${labels ? `{${labels}}` : ""} ${formatValue(sample.value)}`);
+    }
+  }
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+/**
+ * Start an HTTP listener that serves `GET /metrics`. The server is unref'd so
+ * it never keeps the host process alive on its own.
+ * @param {{ host: string, port: number, collect: () => MetricFamily[] }} options
+ * @returns {Promise<{ port: number, close: () => Promise<void> }>}
+ */
+export function startMetricsServer({ host, port, collect }) {
+  const server = createServer((req, res) => {
+    const path = (req.url || "").split("?")[0];
+    if (path !== "/metrics") {
+      res.writeHead(404, { "content-type": "text/plain" });
+      res.end("Not found\n");
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { "content-type": "text/plain", allow: "GET, HEAD" });
+      res.end("Method not allowed\n");
+      return;
+    }
+    let body;
+    try {
+      body = formatPrometheusMetrics(collect());
+    } catch (err) {
+      res.writeHead(500, { "content-type": "text/plain" });
+      res.end(`Failed to collect metrics: ${err instanceof Error ? err.message : String(err)}\n`);
+      return;
+    }
+    res.writeHead(200, { "content-type": PROMETHEUS_CONTENT_TYPE });
+    res.end(req.method === "HEAD" ? undefined : body);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      server.unref();
+      const address = /** @type {import("node:net").AddressInfo} */ (server.address());
+      resolve({
+        port: address.port,
+        close: () => new Promise((done) => server.close(() => done(undefined))),
+      });
+    });
+  });
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect, afterEach } from "vitest";
+import { createServer } from "node:net";
+
+import { PROMETHEUS_CONTENT_TYPE, formatPrometheusMetrics, startMetricsServer } from "./metrics-server.mjs";
+
+describe("formatPrometheusMetrics", () => {
+  it("renders HELP, TYPE and labelled samples", () => {
+    const text = formatPrometheusMetrics([
+      {
+        name: "anthropic_account_health_score",
+        help: "Health score (0-100)",
+        type: "gauge",
+        samples: [
+          { labels: { account: 1, account_id: "acct-a" }, value: 70 },
+          { labels: { account: 2, account_id: "acct-b" }, value: 100 },
+        ],
+      },
+      { name: "anthropic_retries_total", help: "Retries", type: "counter", samples: [{ value: 3 }] },
+    ]);
+    expect(text).toBe(
+      [
+        "# HELP anthropic_account_health_score Health score (0-100)",
+        "# TYPE anthropic_account_health_score gauge",
+        'anthropic_account_health_score{account="1",account_id="acct-a"} 70',
+        'anthropic_account_health_score{account="2",account_id="acct-b"} 100',
+        "# HELP anthropic_retries_total Retries",
+        "# TYPE anthropic_retries_total counter",
+        "anthropic_retries_total 3",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("escapes label values and special numbers, and skips empty families", () => {
+    const text = formatPrometheusMetrics([
+      { name: "empty", help: "x", type: "gauge", samples: [] },
+      { name: "odd", help: "x", type: "gauge", samples: [{ labels: { v: 'a"b\\c\nd' }, value: NaN }] },
+    ]);
+    expect(text).not.toContain("empty");
+    expect(text).toContain('odd{v="a\\"b\\\\c\\nd"} NaN');
+    expect(formatPrometheusMetrics([])).toBe("");
+  });
+});
+
+describe("startMetricsServer", () => {
+  /** @type {{ port: number, close: () => Promise<void> } | null} */
+  let server = null;
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+  });
+
+  it("serves /metrics from the collect callback on each scrape", async () => {
+    let scrapes = 0;
+    server = await startMetricsServer({
+      host: "127.0.0.1",
+      port: 0,
+      collect: () => [{ name: "scrapes_total", help: "Scrapes", type: "counter", samples: [{ value: ++scrapes }] }],
+    });
+    const base = `http://127.0.0.1:${server.port}`;
+
+    const first = await fetch(`${base}/metrics`);
+    expect(first.status).toBe(200);
+    expect(first.headers.get("content-type")).toBe(PROMETHEUS_CONTENT_TYPE);
+    expect(await first.text()).toContain("scrapes_total 1");
+    expect(await (await fetch(`${base}/metrics`)).text()).toContain("scrapes_total 2");
+
+    expect((await fetch(`${base}/other`)).status).toBe(404);
+    expect((await fetch(`${base}/metrics`, { method: "POST" })).status).toBe(405);
+  });
+
+  it("answers 500 when collection throws", async () => {
+    server = await startMetricsServer({
+      host: "127.0.0.1",
+      port: 0,
+      collect: () => {
+        throw new Error("boom");
+      },
+    });
+    const res = await fetch(`http://127.0.0.1:${server.port}/metrics`);
+    expect(res.status).toBe(500);
+    expect(await res.text()).toContain("boom");
+  });
+
+  it("rejects when the port is already taken", async () => {
+    const blocker = createServer();
+    await new Promise((resolve) => blocker.listen(0, "127.0.0.1", () => resolve(undefined)));
+    const { port } = /** @type {import("node:net").AddressInfo} */ (blocker.address());
+    try {
+      await expect(startMetricsServer({ host: "127.0.0.1", port, collect: () => [] })).rejects.toMatchObject({
+        code: "EADDRINUSE",
+      });
+    } finally {
+      await new Promise((resolve) => blocker.close(() => resolve(undefined)));
+    }
+  });
+});
@@ -0,0 +1,132 @@
+import { createServer } from "node:http";
+
+// ---------------------------------------------------------------------------
+// Loopback OAuth callback listener — receives the authorization redirect on
+// 127.0.0.1 so the user does not have to copy the code by hand.
+// ---------------------------------------------------------------------------
+
+export const OAUTH_CALLBACK_PATH = "/callback";
+/** Where the browser is sent once the login went through (same page Claude Code uses). */
+export const OAUTH_SUCCESS_URL = "https://platform.claude.com/oauth/code/success?app=claude-code";
+
+/**
+ * @typedef {{ code: string, state: string } | { error: string }} OAuthCallbackResult
+ */
+
+/**
+ * Whether this process runs inside an SSH session, where neither a browser
+ * nor a loopback redirect can reach it.
+ * @returns {boolean}
+ */
+export function isSshSession() {
+  return Boolean(process.env.SSH_CONNECTION || process.env.SSH_CLIENT || process.env.SSH_TTY);
+}
+
+/**
+ * @typedef {object} OAuthCallbackServer
+ * @property {number} port
+ * @property {string} redirectUri - Pass to authorize() and exchange()
+ * @property {(state: string, timeoutMs: number) => Promise<OAuthCallbackResult | null>} waitForCode
+ *   Resolves with the first redirect carrying `state`, or null after `timeoutMs`
+ * @property {(success?: boolean) => Promise<void>} close
+ *   Answer the browser (success page or failure notice) and stop listening
+ */
+
+/**
+ * @param {string} message
+ */
+function page(message) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>Anthropic login</title></head><body><p>${message}</p></body></html>`;
+}
+
+/**
+ * Start listening for the OAuth redirect. Redirects whose `state` does not
+ * match are answered with 400 and ignored, so a forged request cannot end the
+ * login early. The browser's request is held open until close() reports how
+ * the token exchange went.
+ * @param {{ host?: string, port?: number, successUrl?: string }} [options]
+ * @returns {Promise<OAuthCallbackServer>}
+ */
+export function startOAuthCallbackServer({ host = "127.0.0.1", port = 0, successUrl = OAUTH_SUCCESS_URL } = {}) {
+  /** @type {string | null} */
+  let expectedState = null;
+  /** @type {((result: OAuthCallbackResult | null) => void) | null} */
+  let settle = null;
+  /** @type {import("node:http").ServerResponse | null} */
+  let held = null;
+  let closed = false;
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    if (url.pathname !== OAUTH_CALLBACK_PATH) {
+      res.writeHead(404, { "content-type": "text/plain" });
+      res.end("Not found\n");
+      return;
+    }
+    const state = url.searchParams.get("state");
+    if (!settle || !expectedState || state !== expectedState) {
+      res.writeHead(400, { "content-type": "text/html; charset=utf-8" });
+      res.end(page("This login link is not the one the terminal is waiting for. Start the login again."));
+      return;
+    }
+
+    const error = url.searchParams.get("error");
+    const code = url.searchParams.get("code");
+    if (!error && !code) {
+      res.writeHead(400, { "content-type": "text/html; charset=utf-8" });
+      res.end(page("The redirect carried no authorization code."));
+      return;
+    }
+
+    held = res;
+    settle(error ? { error: url.searchParams.get("error_description") || error } : { code: String(code), state });
+  });
+
+  /** @param {boolean} success */
+  function answer(success) {
+    const res = held;
+    held = null;
+    if (!res) return;
+    if (success) {
+      res.writeHead(302, { location: successUrl, connection: "close" });
+      res.end();
+    } else {
+      res.writeHead(200, { "content-type": "text/html; charset=utf-8", connection: "close" });
+      res.end(page("Login did not complete. Check the terminal for details."));
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      const address = /** @type {import("node:net").AddressInfo} */ (server.address());
+      // Advertise the address actually bound: "localhost" may resolve to ::1 first.
+      const origin = `http://${host.includes(":") ? `[${host}]` : host}:${address.port}`;
+      resolve({
+        port: address.port,
+        redirectUri: `${origin}${OAUTH_CALLBACK_PATH}`,
+        waitForCode(state, timeoutMs) {
+          expectedState = state;
+          return new Promise((done) => {
+            const timer = setTimeout(() => finish(null), timeoutMs);
+            /** @param {OAuthCallbackResult | null} result */
+            function finish(result) {
+              clearTimeout(timer);
+              settle = null;
+              done(result);
+            }
+            settle = finish;
+          });
+        },
+        close(success = false) {
+          answer(success);
+          settle?.(null);
+          if (closed) return Promise.resolve();
+          closed = true;
+          return new Promise((done) => server.close(() => done(undefined)));
+        },
+      });
+    });
+  });
+}
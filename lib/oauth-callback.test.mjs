@@ -0,0 +1,139 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { createServer } from "node:http";
+
+import { OAUTH_SUCCESS_URL, startOAuthCallbackServer } from "./oauth-callback.mjs";
+import { authorize, exchange } from "./oauth.mjs";
+
+const realFetch = globalThis.fetch;
+
+/** @type {Array<{ close: (success?: boolean) => Promise<void> } | import("node:http").Server>} */
+let opened = [];
+
+afterEach(async () => {
+  vi.unstubAllGlobals();
+  for (const item of opened) {
+    if ("listen" in item) await new Promise((done) => item.close(done));
+    else await item.close();
+  }
+  opened = [];
+});
+
+async function listen(options) {
+  const callback = await startOAuthCallbackServer(options);
+  opened.push(callback);
+  return callback;
+}
+
+/**
+ * Fake authorization server: /oauth/authorize redirects straight back with a
+ * code (the user "approved"), /v1/oauth/token hands out tokens for it.
+ */
+async function startFakeAuthServer() {
+  /** @type {Record<string, unknown>[]} */
+  const tokenRequests = [];
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://127.0.0.1");
+    if (url.pathname === "/oauth/authorize") {
+      const back = new URL(/** @type {string} */ (url.searchParams.get("redirect_uri")));
+      back.searchParams.set("code", "fake-code");
+      back.searchParams.set("state", /** @type {string} */ (url.searchParams.get("state")));
+      res.writeHead(302, { location: back.toString() });
+      res.end();
+      return;
+    }
+    if (url.pathname === "/v1/oauth/token" && req.method === "POST") {
+      let raw = "";
+      for await (const chunk of req) raw += chunk;
+      tokenRequests.push(JSON.parse(raw));
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ access_token: "fake-access", refresh_token: "fake-refresh", expires_in: 3600 }));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise((done) => server.listen(0, "127.0.0.1", done));
+  opened.push(server);
+  const { port } = /** @type {import("node:net").AddressInfo} */ (server.address());
+  return { origin: `http://127.0.0.1:${port}`, tokenRequests };
+}
+
+/** Point the real Anthropic OAuth hosts at the fake server. */
+function rewriteTo(origin) {
+  return (/** @type {string} */ url) => url.replace(/^https:\/\/(claude\.ai|platform\.claude\.com)/, origin);
+}
+
+/** Follow one redirect by hand, the way the browser would, without leaving the machine. */
+async function follow(url) {
+  const res = await realFetch(url, { redirect: "manual" });
+  return res.headers.get("location");
+}
+
+describe("startOAuthCallbackServer", () => {
+  it("completes a login end-to-end against a fake authorization server", async () => {
+    const fake = await startFakeAuthServer();
+    const rewrite = rewriteTo(fake.origin);
+    vi.stubGlobal("fetch", (input, init) => realFetch(rewrite(String(input)), init));
+
+    const callback = await listen();
+    expect(callback.redirectUri).toBe(`http://127.0.0.1:${callback.port}/callback`);
+    const { url, verifier, state } = await authorize("max", { redirectUri: callback.redirectUri });
+    expect(new URL(url).searchParams.get("redirect_uri")).toBe(callback.redirectUri);
+
+    const waiting = callback.waitForCode(state, 5000);
+    const redirect = await follow(rewrite(url));
+    // The browser is held on the callback until the exchange is done
+    const landing = follow(/** @type {string} */ (redirect));
+
+    const result = await waiting;
+    expect(result).toEqual({ code: "fake-code", state });
+
+    const credentials = await exchange(`${result.code}#${result.state}`, verifier, {
+      redirectUri: callback.redirectUri,
+    });
+    expect(credentials).toMatchObject({ type: "success", refresh: "fake-refresh", access: "fake-access" });
+    expect(fake.tokenRequests[0]).toMatchObject({
+      code: "fake-code",
+      state,
+      code_verifier: verifier,
+      redirect_uri: callback.redirectUri,
+    });
+
+    await callback.close(true);
+    expect(await landing).toBe(OAUTH_SUCCESS_URL);
+  });
+
+  it("ignores redirects with the wrong state and keeps waiting", async () => {
+    const callback = await listen();
+    const base = `http://127.0.0.1:${callback.port}/callback`;
+    const waiting = callback.waitForCode("expected", 5000);
+
+    const forged = await realFetch(`${base}?code=evil&state=forged`);
+    expect(forged.status).toBe(400);
+    expect((await realFetch(`http://127.0.0.1:${callback.port}/other`)).status).toBe(404);
+
+    const landing = realFetch(`${base}?code=good&state=expected`, { redirect: "manual" });
+    expect(await waiting).toEqual({ code: "good", state: "expected" });
+    await callback.close(false);
+    const page = await landing;
+    expect(page.status).toBe(200);
+    expect(await page.text()).toContain("Login did not complete");
+  });
+
+  it("reports a denied authorization", async () => {
+    const callback = await listen();
+    const waiting = callback.waitForCode("s", 5000);
+    const landing = realFetch(
+      `http://127.0.0.1:${callback.port}/callback?error=access_denied&error_description=User%20said%20no&state=s`,
+    );
+    expect(await waiting).toEqual({ error: "User said no" });
+    await callback.close(false);
+    await landing;
+  });
+
+  it("gives up after the timeout so the caller can fall back to pasting", async () => {
+    const callback = await listen();
+    expect(await callback.waitForCode("s", 20)).toBeNull();
+    expect((await realFetch(`http://127.0.0.1:${callback.port}/callback?code=late&state=s`)).status).toBe(400);
+  });
+});
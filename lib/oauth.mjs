@@ -157,16 +157,18 @@ function parseOAuthErrorBody(rawText) {
 /**
  * Build an OAuth authorization URL with PKCE challenge.
  * @param {"max" | "console"} mode
+ * @param {{ redirectUri?: string }} [options] - redirectUri: a loopback callback
+ *   (see oauth-callback.mjs) instead of the page that shows the code for pasting
  * @returns {Promise<{url: string, verifier: string, state: string}>}
  */
-export async function authorize(mode) {
+export async function authorize(mode, options = {}) {
   const pkce = generatePKCE();
 
   const url = new URL(`https://${mode === "console" ? OAUTH_CONSOLE_HOST : OAUTH_MAX_HOST}/oauth/authorize`);
   url.searchParams.set("code", "true");
   url.searchParams.set("client_id", CLIENT_ID);
   url.searchParams.set("response_type", "code");
-  url.searchParams.set("redirect_uri", OAUTH_REDIRECT_URI);
+  url.searchParams.set("redirect_uri", options.redirectUri || OAUTH_REDIRECT_URI);
   const scopes = mode === "console" ? CONSOLE_SCOPES : CLAUDE_AI_SCOPES;
   url.searchParams.set("scope", scopes.join(" "));
   url.searchParams.set("code_challenge", pkce.challenge);
@@ -261,6 +263,7 @@ export function parseOAuthCallback(input) {
  * Exchange an authorization code for tokens.
  * @param {string} code
  * @param {string} verifier
+ * @param {{ redirectUri?: string }} [options] - Must match the redirectUri given to authorize()
  * @returns {Promise<
  *   | { type: "success", refresh: string, access: string, expires: number, email?: string }
  *   | {
@@ -274,7 +277,7 @@ export function parseOAuthCallback(input) {
  *     }
  * >}
  */
-export async function exchange(code, verifier) {
+export async function exchange(code, verifier, options = {}) {
   const fail = (status, rawText = "", cooldownHint = { retryAfterMs: null }) => {
     const { errorCode, reason } = parseOAuthErrorBody(rawText);
     const retryAfterMs =
@@ -305,7 +308,7 @@ export async function exchange(code, verifier) {
       const _exchangeBody = {
         grant_type: "authorization_code",
         code: _authCode,
-        redirect_uri: OAUTH_REDIRECT_URI,
+        redirect_uri: options.redirectUri || OAUTH_REDIRECT_URI,
         client_id: CLIENT_ID,
         code_verifier: verifier,
         ...(_authState != null ? { state: _authState } : {}),
@@ -0,0 +1,317 @@
+/**
+ * Minimal OTLP/HTTP JSON exporter.
+ *
+ * Emits spans and monotonic counters to an OpenTelemetry collector without
+ * pulling in the OpenTelemetry SDK. Payloads follow the OTLP JSON encoding
+ * (https://opentelemetry.io/docs/specs/otlp/#json-protobuf-encoding).
+ * Exports are batched and best-effort: a missing or slow collector never
+ * affects the request path.
+ *
+ * @module otel-exporter
+ */
+
+import { randomBytes } from "node:crypto";
+
+const SCOPE_NAME = "opencode-anthropic-auth";
+const SPAN_KIND_CLIENT = 3;
+const STATUS_CODE_OK = 1;
+const STATUS_CODE_ERROR = 2;
+const AGGREGATION_TEMPORALITY_CUMULATIVE = 2;
+const MAX_BATCH_SPANS = 64;
+const MAX_QUEUED_SPANS = 1000;
+
+/**
+ * @typedef {string | number | boolean | null | undefined} AttributeValue
+ */
+
+/**
+ * @typedef {object} OtelSpanRecord
+ * @property {string} traceId
+ * @property {string} spanId
+ * @property {string} name
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {Record<string, AttributeValue>} attributes
+ * @property {string | null} error
+ */
+
+/**
+ * @typedef {object} OtelCounter
+ * @property {string} name
+ * @property {string} unit
+ * @property {string} description
+ * @property {boolean} integer
+ * @property {Map<string, { attributes: Record<string, AttributeValue>, value: number }>} points
+ */
+
+/**
+ * @typedef {object} OtelSpan
+ * @property {string} traceId
+ * @property {string} spanId
+ * @property {(attributes: Record<string, AttributeValue>) => void} setAttributes
+ * @property {(opts?: { error?: string | null }) => void} end - Idempotent; queues the span for export
+ */
+
+/**
+ * @typedef {object} OtelExporterOptions
+ * @property {string} endpoint - Collector base URL, e.g. http://127.0.0.1:4318
+ * @property {Record<string, string>} [headers]
+ * @property {string} [serviceName]
+ * @property {string} [serviceVersion]
+ * @property {number} [flushIntervalMs]
+ * @property {number} [timeoutMs]
+ * @property {(message: string, details?: unknown) => void} [onError] - Called when an export fails
+ */
+
+/**
+ * Convert a flat attribute map to OTLP KeyValue entries. Null and undefined
+ * values are dropped.
+ * @param {Record<string, AttributeValue>} attributes
+ * @returns {Array<{ key: string, value: Record<string, unknown> }>}
+ */
+export function toOtlpAttributes(attributes) {
+  /** @type {Array<{ key: string, value: Record<string, unknown> }>} */
+  const out = [];
+  for (const [key, value] of Object.entries(attributes || {})) {
+    if (value == null) continue;
+    if (typeof value === "boolean") {
+      out.push({ key, value: { boolValue: value } });
+    } else if (typeof value === "number") {
+      if (!Number.isFinite(value)) continue;
+      out.push({ key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } });
+    } else {
+      out.push({ key, value: { stringValue: String(value) } });
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {number} ms
+ * @returns {string}
+ */
+function toUnixNano(ms) {
+  return (BigInt(Math.round(ms)) * 1_000_000n).toString();
+}
+
+/**
+ * Build an ExportTraceServiceRequest body.
+ * @param {OtelSpanRecord[]} spans
+ * @param {Record<string, AttributeValue>} resource
+ * @returns {object}
+ */
+export function buildTraceExportRequest(spans, resource) {
+  return {
+    resourceSpans: [
+      {
+        resource: { attributes: toOtlpAttributes(resource) },
+        scopeSpans: [
+          {
+            scope: { name: SCOPE_NAME },
+            spans: spans.map((span) => ({
+              traceId: span.traceId,
+              spanId: span.spanId,
+              name: span.name,
+              kind: SPAN_KIND_CLIENT,
+              startTimeUnixNano: toUnixNano(span.startMs),
+              endTimeUnixNano: toUnixNano(span.endMs),
+              attributes: toOtlpAttributes(span.attributes),
+              status: span.error ? { code: STATUS_CODE_ERROR, message: span.error } : { code: STATUS_CODE_OK },
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Build an ExportMetricsServiceRequest body with cumulative monotonic sums.
+ * @param {OtelCounter[]} counters
+ * @param {Record<string, AttributeValue>} resource
+ * @param {number} startMs - Start of the cumulative window (exporter creation)
+ * @param {number} nowMs
+ * @returns {object}
+ */
+export function buildMetricsExportRequest(counters, resource, startMs, nowMs) {
+  return {
+    resourceMetrics: [
+      {
+        resource: { attributes: toOtlpAttributes(resource) },
+        scopeMetrics: [
+          {
+            scope: { name: SCOPE_NAME },
+            metrics: counters.map((counter) => ({
+              name: counter.name,
+              unit: counter.unit,
+              description: counter.description,
+              sum: {
+                aggregationTemporality: AGGREGATION_TEMPORALITY_CUMULATIVE,
+                isMonotonic: true,
+                dataPoints: [...counter.points.values()].map((point) => ({
+                  attributes: toOtlpAttributes(point.attributes),
+                  startTimeUnixNano: toUnixNano(startMs),
+                  timeUnixNano: toUnixNano(nowMs),
+                  ...(counter.integer ? { asInt: String(Math.round(point.value)) } : { asDouble: point.value }),
+                })),
+              },
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Create a batching OTLP/HTTP JSON exporter.
+ * Spans are sent to `${endpoint}/v1/traces`, counters to `${endpoint}/v1/metrics`.
+ * @param {OtelExporterOptions} options
+ */
+export function createOtelExporter(options) {
+  const endpoint = options.endpoint.replace(/\/+$/, "");
+  const headers = { "content-type": "application/json", ...(options.headers || {}) };
+  const flushIntervalMs = options.flushIntervalMs ?? 5000;
+  const timeoutMs = options.timeoutMs ?? 3000;
+  /** @type {Record<string, AttributeValue>} */
+  const resource = {
+    "service.name": options.serviceName || SCOPE_NAME,
+    "service.version": options.serviceVersion,
+    "process.pid": process.pid,
+  };
+  const startMs = Date.now();
+
+  /** @type {OtelSpanRecord[]} */
+  const queue = [];
+  /** @type {Map<string, OtelCounter>} */
+  const counters = new Map();
+  let countersDirty = false;
+  /** @type {ReturnType<typeof setInterval> | null} */
+  let timer = null;
+  /** @type {Promise<void>} */
+  let pending = Promise.resolve();
+
+  function ensureTimer() {
+    if (timer) return;
+    timer = setInterval(() => {
+      flush().catch(() => {});
+    }, flushIntervalMs);
+    timer.unref?.();
+  }
+
+  /**
+   * @param {string} path
+   * @param {object} body
+   */
+  async function post(path, body) {
+    try {
+      const res = await fetch(`${endpoint}${path}`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) options.onError?.(`otel export to ${path} failed`, { status: res.status });
+      // Drain the body so the connection can be reused.
+      await res.arrayBuffer().catch(() => {});
+    } catch (err) {
+      options.onError?.(`otel export to ${path} failed`, { message: err instanceof Error ? err.message : String(err) });
+    }
+  }
+
+  async function exportPending() {
+    while (queue.length > 0) {
+      await post("/v1/traces", buildTraceExportRequest(queue.splice(0, MAX_BATCH_SPANS), resource));
+    }
+    if (countersDirty) {
+      countersDirty = false;
+      await post("/v1/metrics", buildMetricsExportRequest([...counters.values()], resource, startMs, Date.now()));
+    }
+  }
+
+  /**
+   * Export everything queued so far. Concurrent calls are serialized.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    pending = pending.then(exportPending, exportPending);
+    return pending;
+  }
+
+  /**
+   * Start a client span. Nothing is exported until `end()` is called.
+   * @param {string} name
+   * @param {Record<string, AttributeValue>} [attributes]
+   * @returns {OtelSpan}
+   */
+  function startSpan(name, attributes = {}) {
+    ensureTimer();
+    /** @type {OtelSpanRecord} */
+    const record = {
+      traceId: randomBytes(16).toString("hex"),
+      spanId: randomBytes(8).toString("hex"),
+      name,
+      startMs: Date.now(),
+      endMs: 0,
+      attributes: { ...attributes },
+      error: null,
+    };
+    let ended = false;
+    return {
+      traceId: record.traceId,
+      spanId: record.spanId,
+      setAttributes(attrs) {
+        if (!ended) Object.assign(record.attributes, attrs);
+      },
+      end(opts = {}) {
+        if (ended) return;
+        ended = true;
+        record.endMs = Date.now();
+        record.error = opts.error || null;
+        if (queue.length >= MAX_QUEUED_SPANS) queue.shift();
+        queue.push(record);
+        if (queue.length >= MAX_BATCH_SPANS) flush().catch(() => {});
+      },
+    };
+  }
+
+  /**
+   * Add to a cumulative counter. Each distinct attribute set is its own series.
+   * @param {string} name
+   * @param {number} value
+   * @param {Record<string, AttributeValue>} [attributes]
+   * @param {{ unit?: string, description?: string, integer?: boolean }} [meta]
+   */
+  function addCounter(name, value, attributes = {}, meta = {}) {
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) return;
+    ensureTimer();
+    let counter = counters.get(name);
+    if (!counter) {
+      counter = {
+        name,
+        unit: meta.unit || "1",
+        description: meta.description || "",
+        integer: meta.integer ?? false,
+        points: new Map(),
+      };
+      counters.set(name, counter);
+    }
+    const key = JSON.stringify(Object.entries(attributes).sort(([a], [b]) => a.localeCompare(b)));
+    const point = counter.points.get(key) || { attributes: { ...attributes }, value: 0 };
+    point.value += value;
+    counter.points.set(key, point);
+    countersDirty = true;
+  }
+
+  /**
+   * Stop the flush timer and export whatever is left.
+   * @returns {Promise<void>}
+   */
+  async function shutdown() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    await flush();
+  }
+
+  return { startSpan, addCounter, flush, shutdown };
+}
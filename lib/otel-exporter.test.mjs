@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { createServer } from "node:http";
+
+import { buildMetricsExportRequest, createOtelExporter, toOtlpAttributes } from "./otel-exporter.mjs";
+
+/**
+ * Local stand-in for an OTLP/HTTP collector that records every request.
+ */
+async function startCollector(status = 200) {
+  /** @type {Array<{ path: string, headers: import("node:http").IncomingHttpHeaders, body: any }>} */
+  const received = [];
+  const server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      received.push({ path: req.url || "", headers: req.headers, body: JSON.parse(raw) });
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end("{}");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+  const address = /** @type {import("node:net").AddressInfo} */ (server.address());
+  return {
+    received,
+    endpoint: `http://127.0.0.1:${address.port}`,
+    close: () => new Promise((resolve) => server.close(() => resolve(undefined))),
+  };
+}
+
+/**
+ * @param {Array<{ key: string, value: Record<string, unknown> }>} attributes
+ */
+function attrMap(attributes) {
+  return Object.fromEntries(attributes.map(({ key, value }) => [key, Object.values(value)[0]]));
+}
+
+describe("toOtlpAttributes", () => {
+  it("encodes strings, integers, doubles and booleans and drops empty values", () => {
+    expect(toOtlpAttributes({ a: "x", b: 3, c: 1.5, d: true, e: null, f: undefined, g: NaN })).toEqual([
+      { key: "a", value: { stringValue: "x" } },
+      { key: "b", value: { intValue: "3" } },
+      { key: "c", value: { doubleValue: 1.5 } },
+      { key: "d", value: { boolValue: true } },
+    ]);
+  });
+});
+
+describe("buildMetricsExportRequest", () => {
+  it("emits cumulative monotonic sums", () => {
+    const counter = {
+      name: "tokens",
+      unit: "{token}",
+      description: "",
+      integer: true,
+      points: new Map([["k", { attributes: { type: "input" }, value: 12 }]]),
+    };
+    const body = /** @type {any} */ (buildMetricsExportRequest([counter], { "service.name": "svc" }, 1000, 2000));
+    const sum = body.resourceMetrics[0].scopeMetrics[0].metrics[0].sum;
+    expect(sum.isMonotonic).toBe(true);
+    expect(sum.aggregationTemporality).toBe(2);
+    expect(sum.dataPoints[0]).toMatchObject({
+      asInt: "12",
+      startTimeUnixNano: "1000000000",
+      timeUnixNano: "2000000000",
+    });
+  });
+});
+
+describe("createOtelExporter", () => {
+  /** @type {Awaited<ReturnType<typeof startCollector>>} */
+  let collector;
+
+  beforeEach(async () => {
+    collector = await startCollector();
+  });
+
+  afterEach(async () => {
+    await collector.close();
+  });
+
+  it("exports ended spans to /v1/traces with resource and status", async () => {
+    const exporter = createOtelExporter({
+      endpoint: `${collector.endpoint}/`,
+      headers: { authorization: "Bearer test" },
+      serviceName: "svc",
+    });
+    const span = exporter.startSpan("anthropic.messages", { "gen_ai.request.model": "claude-sonnet-4-6" });
+    span.setAttributes({ "http.response.status_code": 200, "anthropic.retry.count": 1 });
+    span.end();
+    const failed = exporter.startSpan("anthropic.messages");
+    failed.end({ error: "fetch failed" });
+    await exporter.shutdown();
+
+    expect(collector.received).toHaveLength(1);
+    const [req] = collector.received;
+    expect(req.path).toBe("/v1/traces");
+    expect(req.headers.authorization).toBe("Bearer test");
+    expect(req.headers["content-type"]).toBe("application/json");
+
+    const { resource, scopeSpans } = req.body.resourceSpans[0];
+    expect(attrMap(resource.attributes)["service.name"]).toBe("svc");
+    const [ok, err] = scopeSpans[0].spans;
+    expect(ok.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(ok.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(BigInt(ok.endTimeUnixNano) >= BigInt(ok.startTimeUnixNano)).toBe(true);
+    expect(attrMap(ok.attributes)).toEqual({
+      "gen_ai.request.model": "claude-sonnet-4-6",
+      "http.response.status_code": "200",
+      "anthropic.retry.count": "1",
+    });
+    expect(ok.status).toEqual({ code: 1 });
+    expect(err.status).toEqual({ code: 2, message: "fetch failed" });
+  });
+
+  it("does not export a span twice or before it ends", async () => {
+    const exporter = createOtelExporter({ endpoint: collector.endpoint });
+    const open = exporter.startSpan("pending");
+    const span = exporter.startSpan("done");
+    span.end();
+    span.end();
+    await exporter.flush();
+    expect(collector.received[0].body.resourceSpans[0].scopeSpans[0].spans.map((s) => s.name)).toEqual(["done"]);
+    open.end();
+    await exporter.shutdown();
+    expect(collector.received).toHaveLength(2);
+  });
+
+  it("aggregates counters per attribute set and reports cumulative totals", async () => {
+    const exporter = createOtelExporter({ endpoint: collector.endpoint });
+    const meta = { unit: "{token}", integer: true };
+    exporter.addCounter("anthropic.tokens", 100, { type: "input", model: "m" }, meta);
+    exporter.addCounter("anthropic.tokens", 50, { model: "m", type: "input" }, meta);
+    exporter.addCounter("anthropic.tokens", 7, { type: "output", model: "m" }, meta);
+    exporter.addCounter("anthropic.cost", 0.25, { model: "m" }, { unit: "USD" });
+    exporter.addCounter("anthropic.cost", 0, { model: "m" });
+    await exporter.flush();
+
+    exporter.addCounter("anthropic.cost", 0.5, { model: "m" }, { unit: "USD" });
+    await exporter.flush();
+    // Nothing changed since the last export.
+    await exporter.shutdown();
+
+    const metricBodies = collector.received.filter((r) => r.path === "/v1/metrics").map((r) => r.body);
+    expect(metricBodies).toHaveLength(2);
+
+    const [tokens, cost] = metricBodies[0].resourceMetrics[0].scopeMetrics[0].metrics;
+    expect(tokens.name).toBe("anthropic.tokens");
+    expect(tokens.unit).toBe("{token}");
+    expect(tokens.sum.dataPoints.map((p) => [attrMap(p.attributes).type, p.asInt])).toEqual([
+      ["input", "150"],
+      ["output", "7"],
+    ]);
+    expect(cost.sum.dataPoints[0].asDouble).toBe(0.25);
+
+    const latestCost = metricBodies[1].resourceMetrics[0].scopeMetrics[0].metrics[1];
+    expect(latestCost.sum.dataPoints[0].asDouble).toBe(0.75);
+  });
+
+  it("never throws when the collector is unreachable or rejects the export", async () => {
+    /** @type {string[]} */
+    const errors = [];
+    const rejecting = await startCollector(500);
+    const exporter = createOtelExporter({ endpoint: rejecting.endpoint, onError: (msg) => errors.push(msg) });
+    exporter.startSpan("x").end();
+    await exporter.shutdown();
+    await rejecting.close();
+
+    const offline = createOtelExporter({
+      endpoint: rejecting.endpoint,
+      timeoutMs: 500,
+      onError: (msg) => errors.push(msg),
+    });
+    offline.startSpan("y").end();
+    await expect(offline.shutdown()).resolves.toBeUndefined();
+    expect(errors).toEqual(["otel export to /v1/traces failed", "otel export to /v1/traces failed"]);
+  });
+});
@@ -0,0 +1,215 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { randomBytes } from "node:crypto";
+import { getConfigDir } from "./config.mjs";
+import { parseOAuthCallback } from "./oauth.mjs";
+import { acquireRefreshLock, releaseRefreshLock } from "./refresh-lock.mjs";
+
+const PENDING_FILENAME = "anthropic-login-pending.json";
+const PENDING_VERSION = 1;
+const PENDING_LOCK_ID = "pending-login";
+
+/** How long a started OAuth flow waits for its code (slash commands and headless logins). */
+export const PENDING_OAUTH_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * A headless login waiting in one terminal for the code that `login --complete`
+ * hands over from another. Identified by its OAuth state, which the code the
+ * user copies carries after the `#`. The PKCE verifier never leaves the
+ * waiting process.
+ * @typedef {object} PendingLogin
+ * @property {string} state
+ * @property {string} action - What is being authorized, e.g. "login" or "reauth 2"
+ * @property {number} createdAt
+ * @property {number} pid - Process waiting for the code
+ * @property {string} [code] - Set by `login --complete`
+ * @property {number} [deliveredAt]
+ */
+
+/**
+ * @returns {string}
+ */
+export function getPendingLoginPath() {
+  return join(getConfigDir(), PENDING_FILENAME);
+}
+
+/**
+ * @param {any} raw
+ * @returns {raw is PendingLogin}
+ */
+function isPendingLogin(raw) {
+  return (
+    !!raw &&
+    typeof raw.state === "string" &&
+    raw.state !== "" &&
+    typeof raw.action === "string" &&
+    typeof raw.createdAt === "number" &&
+    typeof raw.pid === "number"
+  );
+}
+
+/**
+ * All flows in the file, expired ones included.
+ * @returns {PendingLogin[]}
+ */
+function readPendingLogins() {
+  const p = getPendingLoginPath();
+  if (!existsSync(p)) return [];
+  try {
+    const data = JSON.parse(readFileSync(p, "utf-8"));
+    return Array.isArray(data?.flows) ? data.flows.filter(isPendingLogin) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {PendingLogin[]} flows
+ */
+function writePendingLogins(flows) {
+  const p = getPendingLoginPath();
+  if (flows.length === 0) {
+    rmSync(p, { force: true });
+    return;
+  }
+  const tmpPath = `${p}.${randomBytes(6).toString("hex")}.tmp`;
+  mkdirSync(dirname(p), { recursive: true });
+  writeFileSync(tmpPath, JSON.stringify({ version: PENDING_VERSION, flows }, null, 2), {
+    encoding: "utf-8",
+    mode: 0o600,
+  });
+  renameSync(tmpPath, p);
+}
+
+/**
+ * @param {PendingLogin} flow
+ * @param {number} now
+ */
+function isExpired(flow, now) {
+  return now - flow.createdAt > PENDING_OAUTH_TTL_MS;
+}
+
+/**
+ * Read, change and write the file under a cross-process lock, so a `login`
+ * registering its flow and a `login --complete` delivering a code cannot drop
+ * each other's entry. If the lock cannot be had in time, the change is made
+ * anyway rather than lost. `update` returns the flows to write (or null to
+ * leave the file alone) and the caller's result.
+ * @template T
+ * @param {(flows: PendingLogin[]) => { flows: PendingLogin[] | null, result: T }} update
+ * @returns {Promise<T>}
+ */
+async function updatePendingLogins(update) {
+  const lock = await acquireRefreshLock(PENDING_LOCK_ID).catch(() => null);
+  try {
+    const { flows, result } = update(readPendingLogins());
+    if (flows) writePendingLogins(flows);
+    return result;
+  } finally {
+    if (lock?.acquired) await releaseRefreshLock(lock);
+  }
+}
+
+/**
+ * Flows still waiting for a code; expired ones are dropped from the file.
+ * @param {number} [now]
+ * @returns {Promise<PendingLogin[]>}
+ */
+export function loadPendingLogins(now = Date.now()) {
+  return updatePendingLogins((flows) => {
+    const live = flows.filter((flow) => !isExpired(flow, now));
+    return { flows: live.length !== flows.length ? live : null, result: live };
+  });
+}
+
+/**
+ * Register a flow that waits for its code.
+ * @param {{ state: string, action: string }} flow
+ * @param {number} [now]
+ * @returns {Promise<PendingLogin>}
+ */
+export function addPendingLogin({ state, action }, now = Date.now()) {
+  /** @type {PendingLogin} */
+  const entry = { state, action, createdAt: now, pid: process.pid };
+  return updatePendingLogins((flows) => ({
+    flows: [...flows.filter((flow) => flow.state !== state && !isExpired(flow, now)), entry],
+    result: entry,
+  }));
+}
+
+/**
+ * @param {PendingLogin[]} flows
+ * @param {string} state
+ * @returns {PendingLogin[] | null} The remaining flows, or null if `state` was not among them
+ */
+function withoutFlow(flows, state) {
+  const rest = flows.filter((flow) => flow.state !== state);
+  return rest.length !== flows.length ? rest : null;
+}
+
+/**
+ * Forget a flow, whether it finished, failed or was abandoned.
+ * @param {string} state
+ * @returns {Promise<void>}
+ */
+export function removePendingLogin(state) {
+  return updatePendingLogins((flows) => ({ flows: withoutFlow(flows, state), result: undefined }));
+}
+
+/**
+ * Pick up the code for a flow once `login --complete` delivered it.
+ * @param {string} state
+ * @param {number} [now]
+ * @returns {Promise<{ status: "waiting" } | { status: "delivered", code: string } | { status: "expired" }>}
+ *   "expired" also covers a flow that was removed from the file
+ */
+export function takePendingLoginCode(state, now = Date.now()) {
+  return updatePendingLogins((flows) => {
+    const flow = flows.find((f) => f.state === state);
+    if (!flow || isExpired(flow, now)) return { flows: withoutFlow(flows, state), result: { status: "expired" } };
+    if (!flow.code) return { flows: null, result: { status: "waiting" } };
+    return { flows: withoutFlow(flows, state), result: { status: "delivered", code: flow.code } };
+  });
+}
+
+/**
+ * @param {number} pid
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return /** @type {NodeJS.ErrnoException} */ (err).code === "EPERM";
+  }
+}
+
+/**
+ * Hand a code (as copied from the authorization page: `code#state`) to the
+ * flow waiting for it.
+ * @param {string} input
+ * @param {number} [now]
+ * @returns {Promise<{ ok: true, flow: PendingLogin } | { ok: false, reason: "no-state" | "not-found" | "expired" | "gone" | "delivered" }>}
+ *   "gone" means the waiting process exited without removing its flow
+ */
+export async function deliverPendingLoginCode(input, now = Date.now()) {
+  const { code, state } = parseOAuthCallback(input);
+  if (!code || !state) return { ok: false, reason: "no-state" };
+
+  return updatePendingLogins((flows) => {
+    const flow = flows.find((f) => f.state === state);
+    if (!flow) return { flows: null, result: { ok: false, reason: "not-found" } };
+    if (isExpired(flow, now)) {
+      return { flows: flows.filter((f) => !isExpired(f, now)), result: { ok: false, reason: "expired" } };
+    }
+    if (flow.code) return { flows: null, result: { ok: false, reason: "delivered" } };
+    if (!isProcessAlive(flow.pid)) {
+      return { flows: flows.filter((f) => f !== flow), result: { ok: false, reason: "gone" } };
+    }
+
+    flow.code = `${code}#${state}`;
+    flow.deliveredAt = now;
+    return { flows, result: { ok: true, flow } };
+  });
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+let configDir = "";
+
+vi.mock("./config.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getConfigDir: () => configDir,
+}));
+
+import {
+  PENDING_OAUTH_TTL_MS,
+  addPendingLogin,
+  deliverPendingLoginCode,
+  getPendingLoginPath,
+  loadPendingLogins,
+  removePendingLogin,
+  takePendingLoginCode,
+} from "./pending-login.mjs";
+import { acquireRefreshLock, releaseRefreshLock } from "./refresh-lock.mjs";
+
+const NOW = Date.parse("2026-03-20T12:00:00Z");
+
+beforeEach(() => {
+  configDir = mkdtempSync(join(tmpdir(), "opencode-pending-login-"));
+});
+
+afterEach(() => {
+  rmSync(configDir, { recursive: true, force: true });
+});
+
+describe("pending logins", async () => {
+  it("hands a delivered code to the waiting flow exactly once", async () => {
+    await addPendingLogin({ state: "st1", action: "login" }, NOW);
+    expect(await takePendingLoginCode("st1", NOW + 1000)).toEqual({ status: "waiting" });
+
+    const delivered = await deliverPendingLoginCode("  the-code#st1 ", NOW + 2000);
+    expect(delivered).toMatchObject({ ok: true, flow: { state: "st1", action: "login", pid: process.pid } });
+    expect(await deliverPendingLoginCode("the-code#st1", NOW + 3000)).toEqual({ ok: false, reason: "delivered" });
+
+    expect(await takePendingLoginCode("st1", NOW + 4000)).toEqual({ status: "delivered", code: "the-code#st1" });
+    expect(await takePendingLoginCode("st1", NOW + 5000)).toEqual({ status: "expired" });
+    expect(() => statSync(getPendingLoginPath())).toThrow();
+  });
+
+  it("keeps the file private and other flows intact", async () => {
+    await addPendingLogin({ state: "a", action: "login" }, NOW);
+    await addPendingLogin({ state: "b", action: "reauth 2" }, NOW);
+    expect(statSync(getPendingLoginPath()).mode & 0o777).toBe(0o600);
+
+    await removePendingLogin("a");
+    expect((await loadPendingLogins(NOW)).map((flow) => flow.state)).toEqual(["b"]);
+    expect(JSON.parse(readFileSync(getPendingLoginPath(), "utf-8"))).toMatchObject({ version: 1 });
+  });
+
+  it("expires flows after PENDING_OAUTH_TTL_MS", async () => {
+    await addPendingLogin({ state: "old", action: "login" }, NOW);
+    await addPendingLogin({ state: "new", action: "login" }, NOW + PENDING_OAUTH_TTL_MS);
+    const later = NOW + PENDING_OAUTH_TTL_MS + 1;
+
+    expect(await deliverPendingLoginCode("c#old", later)).toEqual({ ok: false, reason: "expired" });
+    expect(await takePendingLoginCode("old", later)).toEqual({ status: "expired" });
+    expect((await loadPendingLogins(later)).map((flow) => flow.state)).toEqual(["new"]);
+  });
+
+  it("refuses codes it cannot match to a live flow", async () => {
+    await addPendingLogin({ state: "st", action: "login" }, NOW);
+
+    expect(await deliverPendingLoginCode("code-without-state", NOW)).toEqual({ ok: false, reason: "no-state" });
+    expect(await deliverPendingLoginCode("code#other", NOW)).toEqual({ ok: false, reason: "not-found" });
+
+    const flows = JSON.parse(readFileSync(getPendingLoginPath(), "utf-8")).flows;
+    flows[0].pid = 2 ** 22 + 1; // above any pid_max, so never a live process
+    writeFileSync(getPendingLoginPath(), JSON.stringify({ version: 1, flows }));
+    expect(await deliverPendingLoginCode("code#st", NOW)).toEqual({ ok: false, reason: "gone" });
+    expect(await loadPendingLogins(NOW)).toEqual([]);
+  });
+
+  it("ignores a corrupted file", async () => {
+    writeFileSync(getPendingLoginPath(), "{not json");
+    expect(await loadPendingLogins(NOW)).toEqual([]);
+    expect(await deliverPendingLoginCode("code#st", NOW)).toEqual({ ok: false, reason: "not-found" });
+  });
+
+  it("waits for another process's change before writing its own", async () => {
+    await addPendingLogin({ state: "a", action: "login" }, NOW);
+    const lock = await acquireRefreshLock("pending-login");
+    expect(lock.acquired).toBe(true);
+
+    const adding = addPendingLogin({ state: "b", action: "login" }, NOW);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    // The other process delivers a code while holding the lock
+    const flows = JSON.parse(readFileSync(getPendingLoginPath(), "utf-8")).flows;
+    flows[0].code = "code#a";
+    writeFileSync(getPendingLoginPath(), JSON.stringify({ version: 1, flows }));
+    await releaseRefreshLock(lock);
+    await adding;
+
+    expect(await takePendingLoginCode("a", NOW)).toEqual({ status: "delivered", code: "code#a" });
+    expect((await loadPendingLogins(NOW)).map((flow) => flow.state)).toEqual(["b"]);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Price of one model in USD per million tokens. Cache prices default to
+ * multiples of `input`; `long_context_*` prices apply to the whole request
+ * once the prompt exceeds the long-context threshold.
+ * @typedef {object} ModelPrice
+ * @property {number} input
+ * @property {number} output
+ * @property {number} [cache_read]
+ * @property {number} [cache_write_5m]
+ * @property {number} [cache_write_1h]
+ * @property {number} [long_context_input]
+ * @property {number} [long_context_output]
+ */
+
+/** Fields a `pricing.models` entry may set. */
+export const MODEL_PRICE_FIELDS = [
+  "input",
+  "output",
+  "cache_read",
+  "cache_write_5m",
+  "cache_write_1h",
+  "long_context_input",
+  "long_context_output",
+];
+
+/**
+ * Published list prices, keyed by model ID prefix (the longest matching
+ * prefix wins, so `claude-opus-4-6` overrides `claude-opus-4`).
+ * @type {Record<string, ModelPrice>}
+ */
+export const DEFAULT_MODEL_PRICING = {
+  "claude-opus-4-7": { input: 5, output: 25, long_context_input: 10, long_context_output: 37.5 },
+  "claude-opus-4-6": { input: 5, output: 25, long_context_input: 10, long_context_output: 37.5 },
+  "claude-opus-4-5": { input: 5, output: 25 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4": { input: 3, output: 15, long_context_input: 6, long_context_output: 22.5 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-haiku": { input: 0.25, output: 1.25 },
+};
+
+/**
+ * @typedef {object} PricingOptions
+ * @property {Record<string, Partial<ModelPrice>>} [models] - Overrides merged over DEFAULT_MODEL_PRICING
+ * @property {number} [cache_read_multiplier]
+ * @property {number} [cache_write_5m_multiplier]
+ * @property {number} [cache_write_1h_multiplier]
+ * @property {number} [long_context_threshold_tokens]
+ * @property {number} [web_search_usd_per_request]
+ */
+
+/**
+ * @typedef {object} PriceRates
+ * @property {number} input
+ * @property {number} output
+ * @property {number} cacheRead
+ * @property {number} cacheWrite5m
+ * @property {number} cacheWrite1h
+ * @property {boolean} longContext - Whether long-context prices were used
+ */
+
+/**
+ * Token counts of one request, as collected from the response usage.
+ * @typedef {object} PricedUsage
+ * @property {number} [inputTokens]
+ * @property {number} [outputTokens]
+ * @property {number} [cacheReadTokens]
+ * @property {number} [cacheWriteTokens]
+ * @property {number} [cacheWrite1hTokens] - Part of cacheWriteTokens written with a 1h TTL, when reported
+ * @property {number} [webSearchRequests]
+ */
+
+/**
+ * @typedef {object} CostBreakdown
+ * @property {number} input
+ * @property {number} output
+ * @property {number} cacheRead
+ * @property {number} cacheWrite
+ * @property {number} webSearch
+ */
+
+/**
+ * @typedef {object} PricingCatalog
+ * @property {(model: string) => { key: string, price: ModelPrice } | null} resolve - Null when no price is known
+ * @property {(model: string, promptTokens?: number) => PriceRates | null} rates - Per-MTok rates for a prompt size
+ * @property {(usage: PricedUsage, model: string, options?: { cacheTtl?: string }) => CostBreakdown} cost -
+ *   Cost of one request; token costs are 0 for models without a price
+ * @property {() => [string, ModelPrice][]} entries
+ */
+
+/**
+ * Build a pricing catalog from the shipped defaults and `pricing` config.
+ * @param {PricingOptions} [options]
+ * @returns {PricingCatalog}
+ */
+export function createPricingCatalog(options = {}) {
+  const {
+    models = {},
+    cache_read_multiplier: readMultiplier = 0.1,
+    cache_write_5m_multiplier: write5mMultiplier = 1.25,
+    cache_write_1h_multiplier: write1hMultiplier = 2,
+    long_context_threshold_tokens: longContextThreshold = 200_000,
+    web_search_usd_per_request: webSearchUsd = 0.01,
+  } = options;
+
+  /** @type {Map<string, ModelPrice>} */
+  const prices = new Map();
+  for (const key of new Set([...Object.keys(DEFAULT_MODEL_PRICING), ...Object.keys(models)])) {
+    const price = { ...DEFAULT_MODEL_PRICING[key], ...models[key] };
+    // A new model needs at least input and output prices to be usable
+    if (typeof price.input === "number" && typeof price.output === "number") {
+      prices.set(key, /** @type {ModelPrice} */ (price));
+    }
+  }
+  // Longest prefix first
+  const keys = [...prices.keys()].sort((a, b) => b.length - a.length);
+
+  /** @param {string} model */
+  function resolve(model) {
+    if (!model) return null;
+    const key = keys.find((k) => model.startsWith(k));
+    return key ? { key, price: /** @type {ModelPrice} */ (prices.get(key)) } : null;
+  }
+
+  /**
+   * @param {string} model
+   * @param {number} [promptTokens]
+   * @returns {PriceRates | null}
+   */
+  function rates(model, promptTokens = 0) {
+    const match = resolve(model);
+    if (!match) return null;
+    const p = match.price;
+    const longContext = p.long_context_input !== undefined && promptTokens > longContextThreshold;
+    if (longContext) {
+      // Explicit cache prices are base-tier prices; the long-context tier scales from its own input price.
+      const input = /** @type {number} */ (p.long_context_input);
+      return {
+        input,
+        output: p.long_context_output ?? p.output,
+        cacheRead: input * readMultiplier,
+        cacheWrite5m: input * write5mMultiplier,
+        cacheWrite1h: input * write1hMultiplier,
+        longContext,
+      };
+    }
+    return {
+      input: p.input,
+      output: p.output,
+      cacheRead: p.cache_read ?? p.input * readMultiplier,
+      cacheWrite5m: p.cache_write_5m ?? p.input * write5mMultiplier,
+      cacheWrite1h: p.cache_write_1h ?? p.input * write1hMultiplier,
+      longContext,
+    };
+  }
+
+  return {
+    resolve,
+    rates,
+    cost(usage, model, { cacheTtl } = {}) {
+      const inputTokens = usage.inputTokens || 0;
+      const cacheReadTokens = usage.cacheReadTokens || 0;
+      const cacheWriteTokens = usage.cacheWriteTokens || 0;
+      const webSearch = (usage.webSearchRequests || 0) * webSearchUsd;
+      const r = rates(model, inputTokens + cacheReadTokens + cacheWriteTokens);
+      if (!r) return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, webSearch };
+      // Responses report the 1h/5m split; without it, assume the TTL we asked for.
+      const write1h = Math.min(
+        cacheWriteTokens,
+        usage.cacheWrite1hTokens ?? (cacheTtl === "1h" ? cacheWriteTokens : 0),
+      );
+      return {
+        input: (inputTokens / 1_000_000) * r.input,
+        output: ((usage.outputTokens || 0) / 1_000_000) * r.output,
+        cacheRead: (cacheReadTokens / 1_000_000) * r.cacheRead,
+        cacheWrite:
+          (write1h / 1_000_000) * r.cacheWrite1h + ((cacheWriteTokens - write1h) / 1_000_000) * r.cacheWrite5m,
+        webSearch,
+      };
+    },
+    entries() {
+      return keys.map((key) => [key, /** @type {ModelPrice} */ (prices.get(key))]);
+    },
+  };
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+
+import { DEFAULT_MODEL_PRICING, createPricingCatalog } from "./pricing.mjs";
+
+const M = 1_000_000;
+
+describe("createPricingCatalog", () => {
+  it("resolves dated model IDs by their longest catalog prefix", () => {
+    const catalog = createPricingCatalog();
+    expect(catalog.resolve("claude-opus-4-7")?.key).toBe("claude-opus-4-7");
+    expect(catalog.resolve("claude-opus-4-1-20250805")?.key).toBe("claude-opus-4");
+    expect(catalog.resolve("claude-sonnet-4-6-20260101")?.price).toEqual(DEFAULT_MODEL_PRICING["claude-sonnet-4"]);
+    expect(catalog.resolve("gpt-5")).toBeNull();
+    expect(catalog.resolve("")).toBeNull();
+  });
+
+  it("prices cache reads and both cache write tiers from the input price", () => {
+    const catalog = createPricingCatalog({ long_context_threshold_tokens: 10 * M });
+    const usage = { inputTokens: M, outputTokens: M, cacheReadTokens: M, cacheWriteTokens: 2 * M };
+
+    expect(catalog.cost({ ...usage, cacheWrite1hTokens: M }, "claude-sonnet-4-6")).toEqual({
+      input: 3,
+      output: 15,
+      cacheRead: expect.closeTo(0.3),
+      cacheWrite: 6 + 3.75,
+      webSearch: 0,
+    });
+    // Without a reported split, the requested TTL decides the tier
+    expect(catalog.cost(usage, "claude-sonnet-4-6", { cacheTtl: "1h" }).cacheWrite).toBe(12);
+    expect(catalog.cost(usage, "claude-sonnet-4-6", { cacheTtl: "5m" }).cacheWrite).toBe(7.5);
+  });
+
+  it("switches to long-context prices above the threshold", () => {
+    const catalog = createPricingCatalog();
+    expect(catalog.rates("claude-opus-4-6", 200_000)).toMatchObject({ input: 5, output: 25, longContext: false });
+    expect(catalog.rates("claude-opus-4-6", 200_001)).toMatchObject({
+      input: 10,
+      output: 37.5,
+      cacheRead: 1,
+      longContext: true,
+    });
+    expect(catalog.rates("claude-haiku-4-5", 500_000)).toMatchObject({ input: 1, longContext: false });
+  });
+
+  it("applies config overrides and charges web searches per request", () => {
+    const catalog = createPricingCatalog({
+      models: { "claude-haiku-4-5": { output: 4 }, "my-proxy-model": { input: 2, output: 8, cache_read: 0.5 } },
+      cache_write_5m_multiplier: 1.5,
+      long_context_threshold_tokens: 1000,
+      web_search_usd_per_request: 0.02,
+    });
+    expect(catalog.rates("claude-haiku-4-5")).toMatchObject({ input: 1, output: 4, cacheWrite5m: 1.5 });
+    expect(catalog.rates("my-proxy-model")).toMatchObject({ input: 2, cacheRead: 0.5, cacheWrite1h: 4 });
+    expect(catalog.rates("claude-sonnet-4-6", 1001)?.longContext).toBe(true);
+    expect(catalog.cost({ webSearchRequests: 3 }, "claude-haiku-4-5").webSearch).toBeCloseTo(0.06);
+  });
+
+  it("charges nothing but web searches for models without a price", () => {
+    const catalog = createPricingCatalog({ models: { "half-defined": { input: 1 } } });
+    expect(catalog.resolve("half-defined")).toBeNull();
+    expect(catalog.cost({ inputTokens: M, outputTokens: M, webSearchRequests: 1 }, "mystery-model")).toEqual({
+      input: 0,
+      output: 0,
+      cacheRead: 0,
+      cacheWrite: 0,
+      webSearch: 0.01,
+    });
+  });
+});
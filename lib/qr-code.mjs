@@ -0,0 +1,487 @@
+/**
+ * Minimal QR Code encoder (ISO/IEC 18004): byte mode, error correction level
+ * L, versions 1-40, automatic mask selection. Just enough to put a login URL
+ * on a terminal so it can be scanned with a phone.
+ */
+
+// Error correction level L, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30,
+  30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19,
+  19, 20, 21, 22, 24, 25,
+];
+/** Format-information bits of level L. */
+const ECC_LEVEL_L_BITS = 1;
+
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+/**
+ * @param {number} value
+ * @param {number} i
+ */
+function getBit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+/**
+ * Data and error correction modules of a version, after function patterns.
+ * @param {number} version
+ */
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * @param {number} version
+ */
+function getNumDataCodewords(version) {
+  return (
+    Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version]
+  );
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+ * @param {number} x
+ * @param {number} y
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Generator polynomial for `degree` error correction codewords, highest
+ * coefficient first and the leading 1 omitted.
+ * @param {number} degree
+ * @returns {number[]}
+ */
+export function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block.
+ * @param {number[]} data
+ * @param {number[]} divisor
+ * @returns {number[]}
+ */
+export function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ /** @type {number} */ (result.shift());
+    result.push(0);
+    divisor.forEach((coef, i) => (result[i] ^= gfMultiply(coef, factor)));
+  }
+  return result;
+}
+
+/**
+ * Split data codewords into blocks, append error correction and interleave.
+ * @param {number[]} data
+ * @param {number} version
+ * @returns {number[]}
+ */
+function addEccAndInterleave(data, version) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  /** @type {number[][]} */
+  const blocks = [];
+  const divisor = reedSolomonDivisor(blockEccLen);
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = reedSolomonRemainder(dat, divisor);
+    // Placeholder keeps short and long blocks aligned for interleaving
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  /** @type {number[]} */
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/**
+ * Centers of the alignment patterns along one axis.
+ * @param {number} version
+ * @returns {number[]}
+ */
+export function alignmentPatternPositions(version) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+/**
+ * 15-bit format information (level L) for a mask, BCH-protected and masked.
+ * @param {number} mask
+ */
+export function formatBits(mask) {
+  const data = (ECC_LEVEL_L_BITS << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+/**
+ * 18-bit version information (versions 7 and up).
+ * @param {number} version
+ */
+export function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (version << 12) | rem;
+}
+
+/**
+ * @param {number} mask
+ * @param {number} x
+ * @param {number} y
+ */
+function maskApplies(mask, x, y) {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0;
+    case 1:
+      return y % 2 === 0;
+    case 2:
+      return x % 3 === 0;
+    case 3:
+      return (x + y) % 3 === 0;
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5:
+      return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6:
+      return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default:
+      return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+class QrMatrix {
+  /**
+   * @param {number} version
+   */
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    /** @type {boolean[][]} */
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    /** @type {boolean[][]} */
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} dark
+   */
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    const positions = alignmentPatternPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++)
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      });
+    });
+    this.drawFormat(0);
+    if (this.version >= 7) {
+      const bits = versionBits(this.version);
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, getBit(bits, i));
+        this.setFunction(b, a, getBit(bits, i));
+      }
+    }
+  }
+
+  /**
+   * @param {number} mask
+   */
+  drawFormat(mask) {
+    const { size } = this;
+    const bits = formatBits(mask);
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  /**
+   * Place codewords in the zigzag order, two columns at a time from the right.
+   * @param {number[]} codewords
+   */
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask over the data modules; applying it twice undoes it.
+   * @param {number} mask
+   */
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && maskApplies(mask, x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * Penalty score of the current modules (lower scans better).
+   */
+  penalty() {
+    const { size, modules } = this;
+    let result = 0;
+    /** @param {(a: number, b: number) => boolean} at */
+    const scanLines = (at) => {
+      for (let a = 0; a < size; a++) {
+        let runColor = false;
+        let run = 0;
+        const history = [0, 0, 0, 0, 0, 0, 0];
+        for (let b = 0; b < size; b++) {
+          if (at(a, b) === runColor) {
+            run++;
+            if (run === 5) result += PENALTY_N1;
+            else if (run > 5) result++;
+          } else {
+            addHistory(run, history, size);
+            if (!runColor) result += countFinderLike(history) * PENALTY_N3;
+            runColor = at(a, b);
+            run = 1;
+          }
+        }
+        if (runColor) {
+          addHistory(run, history, size);
+          run = 0;
+        }
+        addHistory(run + size, history, size);
+        result += countFinderLike(history) * PENALTY_N3;
+      }
+    };
+    scanLines((y, x) => modules[y][x]);
+    scanLines((x, y) => modules[y][x]);
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (
+          y < size - 1 &&
+          x < size - 1 &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          result += PENALTY_N2;
+        }
+      }
+    }
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_N4;
+    return result;
+  }
+}
+
+/**
+ * @param {number} run
+ * @param {number[]} history
+ * @param {number} size
+ */
+function addHistory(run, history, size) {
+  // The light border counts as part of the first run
+  if (history[0] === 0) run += size;
+  history.pop();
+  history.unshift(run);
+}
+
+/**
+ * Dark-light-dark-light-dark runs in 1:1:3:1:1 with light space on a side.
+ * @param {number[]} history
+ */
+function countFinderLike(history) {
+  const n = history[1];
+  const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+  return (
+    (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0)
+  );
+}
+
+/**
+ * Encode text as a QR code.
+ * @param {string} text
+ * @returns {{ version: number, size: number, modules: boolean[][] }} modules[y][x], true = dark
+ * @throws {Error} If the text does not fit in a version 40 symbol
+ */
+export function encodeQr(text) {
+  const bytes = [...Buffer.from(text, "utf-8")];
+  let version = 1;
+  for (; version <= 40; version++) {
+    const needed = 4 + (version < 10 ? 8 : 16) + bytes.length * 8;
+    if (needed <= getNumDataCodewords(version) * 8) break;
+  }
+  if (version > 40) throw new Error("Text is too long for a QR code");
+
+  /** @type {number[]} */
+  const bits = [];
+  /** @param {number} value @param {number} length */
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) append(b, 8);
+
+  const capacity = getNumDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  /** @type {number[]} */
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addEccAndInterleave(data, version));
+
+  let bestMask = 0;
+  let minPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormat(mask);
+    const penalty = matrix.penalty();
+    if (penalty < minPenalty) {
+      bestMask = mask;
+      minPenalty = penalty;
+    }
+    matrix.applyMask(mask);
+  }
+  matrix.applyMask(bestMask);
+  matrix.drawFormat(bestMask);
+
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Render a QR code with half-block characters, two module rows per line.
+ * Light modules are drawn as blocks, which scans correctly on the usual
+ * light-on-dark terminal; `margin` is the quiet zone in modules.
+ * @param {{ size: number, modules: boolean[][] }} qr
+ * @param {{ margin?: number }} [options]
+ * @returns {string}
+ */
+export function renderQr(qr, { margin = 2 } = {}) {
+  const span = qr.size + margin * 2;
+  /** @param {number} x @param {number} y */
+  const light = (x, y) => {
+    if (y >= span) return false;
+    const mx = x - margin;
+    const my = y - margin;
+    if (mx < 0 || my < 0 || mx >= qr.size || my >= qr.size) return true;
+    return !qr.modules[my][mx];
+  };
+
+  /** @type {string[]} */
+  const lines = [];
+  for (let y = 0; y < span; y += 2) {
+    let line = "";
+    for (let x = 0; x < span; x++) {
+      const top = light(x, y);
+      const bottom = light(x, y + 1);
+      line += top && bottom ? "█" : top ? "▀" : bottom ? "▄" : " ";
+    }
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
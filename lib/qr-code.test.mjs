@@ -0,0 +1,171 @@
+import { describe, it, expect } from "vitest";
+
+import {
+  alignmentPatternPositions,
+  encodeQr,
+  formatBits,
+  reedSolomonDivisor,
+  reedSolomonRemainder,
+  renderQr,
+  versionBits,
+} from "./qr-code.mjs";
+
+// Same shape as a real authorize URL: PKCE challenge and state are 43 characters each
+const AUTHORIZE_URL =
+  "https://claude.ai/oauth/authorize?code=true&client_id=9d1c250a-e61b-44d9-88ed-5944d1962f5e&response_type=code" +
+  "&redirect_uri=https%3A%2F%2Fplatform.claude.com%2Foauth%2Fcode%2Fcallback" +
+  "&scope=user%3Aprofile+user%3Ainference+user%3Asessions%3Aclaude_code+user%3Amcp_servers+user%3Afile_upload" +
+  "&code_challenge=W9C-D7Aai8R2eTsB2VGQU8-B7PJJykUyyZAgvU4HomQ&code_challenge_method=S256" +
+  "&state=HxyWNOPzki91SGYwNWtcOqhxFvZA3vHjuHLoxwcpRaU";
+
+// AUTHORIZE_URL as drawn by an independent encoder (python-qrcode 7.4.2, byte mode, level L,
+// mask 2): one hex string per row, 69 modules padded to 72 bits, dark = 1
+const AUTHORIZE_URL_SYMBOL = [
+  "fe5253811469db7bf8",
+  "8286a1cc8e5bbd0208",
+  "ba2f489441d86062e8",
+  "ba836c1ebd63834ae8",
+  "ba4993e0fd2147aae8",
+  "82dbf5ca8f96a02208",
+  "feaaaaaaaaaaaaabf8",
+  "002f63cf89bd64c000",
+  "fb8f791efe57e42550",
+  "04af52e6e878c61c78",
+  "a63bb9959f1ba0e610",
+  "851568f615ca7a75f0",
+  "3bb57c4b7c75e71630",
+  "5cc297b4a178521de8",
+  "5b396d62fe7f313d30",
+  "bcf55dff00ec4ad9e0",
+  "66e078de5e37c41650",
+  "0c6813e1c4f5079cf8",
+  "a7e4fb528bf6fa7af0",
+  "a8cf78871de81daca0",
+  "9edc61467871c40508",
+  "68a570a1d538571db0",
+  "2bff3863ea59616310",
+  "a8aad7c418f11a88e8",
+  "fba168ce5b71e70600",
+  "bcfe85e33961d60ce8",
+  "e6959029de47253bd0",
+  "f4e6f60a18ac0ff8e8",
+  "b320a84b6251e61870",
+  "f98a53b4a4b9db1c68",
+  "e20b3c02b943a511b0",
+  "09645f451dc97be7f8",
+  "0fbbe94efd51e70fd8",
+  "b89e56a08cf5dec8e8",
+  "ca9c41ceaf0bb1fa90",
+  "a8895b828caa5ce8e0",
+  "2fd8fc1afc12865fc8",
+  "60a943e18861cf9978",
+  "5ea86656462f2e24e0",
+  "600c74c4fdb97fd2e8",
+  "f64169df4c10e72100",
+  "14ad57e7f87dc70628",
+  "7230040807c7a52c70",
+  "2cb63fd2fca83376e8",
+  "33e2684e1a11816df8",
+  "755e77b1f5a8de8528",
+  "afcc23a0925f334c30",
+  "3460238d188d0ab678",
+  "928360438a73e523c0",
+  "894676e181e14f8a28",
+  "e6d8e61ecb1c29f508",
+  "e83f28c8deea5b9870",
+  "7ff9e11e1411a74180",
+  "699e54e1ac604a0540",
+  "0a073608a116b02590",
+  "38ed1fee18e84fd7f8",
+  "e21a295ed117832580",
+  "b81613a53470c71168",
+  "ae0e306e429fb07d70",
+  "81c50996a9e80fd5b0",
+  "9bf7b85eff65d10fc8",
+  "009653b08db0c398a8",
+  "fefdb8b7aa57216ad0",
+  "823507018cec7cb8b0",
+  "baa2e156fc30e32fd8",
+  "baf717849839d711e0",
+  "bacc15aaee47b8fa60",
+  "829273c5b3d97f80e0",
+  "fec2ed1f3851e14310",
+];
+
+/** @param {number} value @param {number} width */
+const bits = (value, width) => value.toString(2).padStart(width, "0");
+
+describe("QR building blocks", () => {
+  it("computes error correction codewords (ISO 18004 HELLO WORLD 1-M example)", () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    expect(reedSolomonRemainder(data, reedSolomonDivisor(10))).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it("encodes format and version information", () => {
+    expect(bits(formatBits(0), 15)).toBe("111011111000100");
+    expect(bits(formatBits(7), 15)).toBe("110100101110110");
+    expect(bits(versionBits(7), 18)).toBe("000111110010010100");
+    expect(bits(versionBits(40), 18)).toBe("101000110001101001");
+  });
+
+  it("places alignment patterns", () => {
+    expect(alignmentPatternPositions(1)).toEqual([]);
+    expect(alignmentPatternPositions(2)).toEqual([6, 18]);
+    expect(alignmentPatternPositions(13)).toEqual([6, 34, 62]);
+    expect(alignmentPatternPositions(14)).toEqual([6, 26, 46, 66]);
+    expect(alignmentPatternPositions(32)).toEqual([6, 34, 60, 86, 112, 138]);
+  });
+});
+
+describe("encodeQr", () => {
+  it("picks the smallest version that holds the text", () => {
+    expect(encodeQr("a")).toMatchObject({ version: 1, size: 21 });
+    expect(encodeQr("a".repeat(17))).toMatchObject({ version: 1 });
+    expect(encodeQr("a".repeat(18))).toMatchObject({ version: 2, size: 25 });
+    expect(encodeQr(AUTHORIZE_URL)).toMatchObject({ version: 13, size: 69 });
+  });
+
+  it("draws finder, timing and dark modules", () => {
+    const { size, version, modules } = encodeQr(AUTHORIZE_URL);
+    for (const [x, y] of [
+      [0, 0],
+      [size - 7, 0],
+      [0, size - 7],
+    ]) {
+      expect(modules[y].slice(x, x + 7)).toEqual(Array(7).fill(true));
+      expect(modules[y + 2].slice(x, x + 7)).toEqual([true, false, true, true, true, false, true]);
+    }
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+    expect(modules[4 * version + 9][8]).toBe(true);
+  });
+
+  it("matches a reference symbol module for module (version 13: four interleaved blocks of two sizes)", () => {
+    const { modules } = encodeQr(AUTHORIZE_URL);
+    const rows = modules.map((row) =>
+      BigInt(`0b${row.map(Number).join("")}000`)
+        .toString(16)
+        .padStart(18, "0"),
+    );
+    expect(rows).toEqual(AUTHORIZE_URL_SYMBOL);
+  });
+
+  it("rejects text beyond version 40", () => {
+    expect(encodeQr("a".repeat(2953))).toMatchObject({ version: 40, size: 177 });
+    expect(() => encodeQr("a".repeat(2954))).toThrow("Text is too long for a QR code");
+  });
+});
+
+describe("renderQr", () => {
+  it("packs two module rows per line inside a quiet zone", () => {
+    const qr = encodeQr(AUTHORIZE_URL);
+    const lines = renderQr(qr).split("\n");
+    expect(lines).toHaveLength(Math.ceil((qr.size + 4) / 2));
+    for (const line of lines) expect([...line]).toHaveLength(qr.size + 4);
+    // Quiet zone is light, i.e. drawn as full blocks
+    expect(lines[0]).toBe("█".repeat(qr.size + 4));
+    expect(renderQr(qr, { margin: 0 }).split("\n")).toHaveLength(Math.ceil(qr.size / 2));
+  });
+});
@@ -0,0 +1,229 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { homedir } from "node:os";
+import { basename, dirname, join } from "node:path";
+
+/** Number of request (and response) dumps kept before the oldest is rotated out. */
+export const DEBUG_DUMP_KEEP = 10;
+
+/** Version of the replay expectation file shape. */
+export const REPLAY_FORMAT_VERSION = 1;
+
+/** Headers whose values are masked before a replay result is stored or diffed. */
+const MASKED_HEADERS = new Set(["authorization", "x-api-key", "cookie"]);
+
+/**
+ * Directory used by `token_economy.debug_dump_bodies` / `debug_dump_responses`.
+ * @returns {string}
+ */
+export function getRequestDumpDir() {
+  return join(homedir(), ".opencode", "opencode-anthropic-fix", "request-dumps");
+}
+
+/**
+ * Filesystem-safe timestamp shared by a request dump and its response dump.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function createDumpStamp(now = new Date()) {
+  return now.toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Write a request body as the plugin received it (`req-<stamp>.json`, the
+ * input `replay` runs), as it went on the wire (`out-<stamp>.json`), or a raw
+ * SSE response (`res-<stamp>.sse`), keeping only the last DEBUG_DUMP_KEEP of
+ * each kind.
+ * @param {"req" | "out" | "res"} kind
+ * @param {string} stamp
+ * @param {string} content
+ * @param {string} [dir]
+ */
+export function writeDebugDump(kind, stamp, content, dir = getRequestDumpDir()) {
+  const ext = kind === "res" ? ".sse" : ".json";
+  mkdirSync(dir, { recursive: true });
+  const existing = readdirSync(dir)
+    .filter((f) => f.startsWith(`${kind}-`) && f.endsWith(ext))
+    .sort();
+  while (existing.length >= DEBUG_DUMP_KEEP) {
+    unlinkSync(join(dir, /** @type {string} */ (existing.shift())));
+  }
+  writeFileSync(join(dir, `${kind}-${stamp}${ext}`), content);
+}
+
+/**
+ * @typedef {object} ReplayCase
+ * @property {string} name - Display name (request file basename)
+ * @property {string} requestPath
+ * @property {string | null} responsePath - Captured SSE stream, when one was dumped
+ * @property {string} expectationPath
+ */
+
+/**
+ * @param {string} requestPath
+ * @param {string} [expectationPath]
+ * @returns {ReplayCase}
+ */
+function toReplayCase(requestPath, expectationPath) {
+  const dir = dirname(requestPath);
+  const name = basename(requestPath);
+  const responseName = name.replace(/^req-/, "res-").replace(/\.json$/, ".sse");
+  const responsePath = responseName !== name && existsSync(join(dir, responseName)) ? join(dir, responseName) : null;
+  return {
+    name,
+    requestPath,
+    responsePath,
+    expectationPath: expectationPath || join(dir, `expect-${name}`),
+  };
+}
+
+/**
+ * Resolve a replay target. A directory is treated as a captured session and
+ * yields every `req-*.json` dump in chronological order; a file yields itself.
+ * Expectations live next to the dump as `expect-<name>` unless overridden.
+ * @param {string} target
+ * @param {{ expect?: string }} [opts] - Expectation path (single-file targets only)
+ * @returns {ReplayCase[] | null} null when the target does not exist
+ */
+export function listReplayCases(target, opts = {}) {
+  if (!existsSync(target)) return null;
+  if (!statSync(target).isDirectory()) return [toReplayCase(target, opts.expect)];
+  return readdirSync(target)
+    .filter((f) => f.startsWith("req-") && f.endsWith(".json"))
+    .sort()
+    .map((f) => toReplayCase(join(target, f)));
+}
+
+/**
+ * Read a stored expectation.
+ * @param {string} path
+ * @returns {Record<string, any> | null}
+ */
+export function readReplayExpectation(path) {
+  if (!existsSync(path)) return null;
+  return JSON.parse(readFileSync(path, "utf-8"));
+}
+
+/**
+ * @param {string} path
+ * @param {Record<string, any>} result
+ */
+export function writeReplayExpectation(path, result) {
+  writeFileSync(path, `${JSON.stringify(result, null, 2)}\n`);
+}
+
+/**
+ * Turn a Headers object into a sorted plain object with credentials masked,
+ * so replay results are stable across runs and safe to commit.
+ * @param {Headers} headers
+ * @returns {Record<string, string>}
+ */
+export function normalizeReplayHeaders(headers) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  const keys = [...headers.keys()].sort();
+  for (const key of keys) {
+    out[key] = MASKED_HEADERS.has(key) ? "[redacted]" : /** @type {string} */ (headers.get(key));
+  }
+  return out;
+}
+
+/**
+ * @typedef {object} ReplayDifference
+ * @property {string} path - Dotted/indexed path, e.g. `request.body.system[1].text`
+ * @property {"added" | "removed" | "changed"} kind
+ * @property {unknown} [before]
+ * @property {unknown} [after]
+ */
+
+/**
+ * Structural diff of two JSON values. Arrays are compared by index.
+ * @param {unknown} before
+ * @param {unknown} after
+ * @param {string} [path]
+ * @returns {ReplayDifference[]}
+ */
+export function diffJson(before, after, path = "") {
+  if (Object.is(before, after)) return [];
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  const bothObjects =
+    before && after && typeof before === "object" && typeof after === "object" && !Array.isArray(before);
+  if (bothArrays) {
+    /** @type {ReplayDifference[]} */
+    const out = [];
+    const len = Math.max(before.length, after.length);
+    for (let i = 0; i < len; i++) {
+      const p = `${path}[${i}]`;
+      if (i >= after.length) out.push({ path: p, kind: "removed", before: before[i] });
+      else if (i >= before.length) out.push({ path: p, kind: "added", after: after[i] });
+      else out.push(...diffJson(before[i], after[i], p));
+    }
+    return out;
+  }
+  if (bothObjects && !Array.isArray(after)) {
+    /** @type {ReplayDifference[]} */
+    const out = [];
+    const a = /** @type {Record<string, unknown>} */ (before);
+    const b = /** @type {Record<string, unknown>} */ (after);
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const p = path ? `${path}.${key}` : key;
+      if (!(key in b)) out.push({ path: p, kind: "removed", before: a[key] });
+      else if (!(key in a)) out.push({ path: p, kind: "added", after: b[key] });
+      else out.push(...diffJson(a[key], b[key], p));
+    }
+    return out;
+  }
+  return [{ path: path || "(root)", kind: "changed", before, after }];
+}
+
+/**
+ * @param {unknown} value
+ * @param {number} max
+ * @returns {string}
+ */
+function preview(value, max) {
+  const text = JSON.stringify(value) ?? "undefined";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Render differences one per line (`+` added, `-` removed, `~` changed).
+ * @param {ReplayDifference[]} differences
+ * @param {number} [max] - Truncate each value preview to this many characters
+ * @returns {string[]}
+ */
+export function formatReplayDiff(differences, max = 80) {
+  return differences.map((d) => {
+    if (d.kind === "added") return `+ ${d.path}: ${preview(d.after, max)}`;
+    if (d.kind === "removed") return `- ${d.path}: ${preview(d.before, max)}`;
+    return `~ ${d.path}: ${preview(d.before, max)} → ${preview(d.after, max)}`;
+  });
+}
+
+/**
+ * Serve a captured SSE stream from a loopback mock server, one event per
+ * write, so the response pipeline sees real chunked streaming.
+ * @param {string} sse
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export function serveSseCapture(sse) {
+  const events = sse.split(/(?<=\n\n)/);
+  const server = createServer((_req, res) => {
+    res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-cache" });
+    for (const event of events) res.write(event);
+    res.end();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      server.off("error", reject);
+      server.unref();
+      const address = /** @type {import("node:net").AddressInfo} */ (server.address());
+      resolve({
+        url: `http://127.0.0.1:${address.port}/v1/messages`,
+        close: () => new Promise((done) => server.close(() => done(undefined))),
+      });
+    });
+  });
+}
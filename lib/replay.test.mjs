@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import {
+  DEBUG_DUMP_KEEP,
+  createDumpStamp,
+  diffJson,
+  formatReplayDiff,
+  listReplayCases,
+  normalizeReplayHeaders,
+  readReplayExpectation,
+  serveSseCapture,
+  writeDebugDump,
+  writeReplayExpectation,
+} from "./replay.mjs";
+
+describe("debug dumps", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "replay-test-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("builds filesystem-safe stamps", () => {
+    expect(createDumpStamp(new Date("2026-03-01T12:34:56.789Z"))).toBe("2026-03-01T12-34-56-789Z");
+  });
+
+  it("rotates requests and responses independently", () => {
+    for (let i = 0; i < DEBUG_DUMP_KEEP + 2; i++) {
+      writeDebugDump("req", `stamp-${String(i).padStart(2, "0")}`, "{}", dir);
+    }
+    writeDebugDump("res", "stamp-11", "data: {}\n\n", dir);
+
+    const files = readdirSync(dir).sort();
+    expect(files.filter((f) => f.startsWith("req-"))).toHaveLength(DEBUG_DUMP_KEEP);
+    expect(files).not.toContain("req-stamp-00.json");
+    expect(files).toContain("req-stamp-11.json");
+    expect(files).toContain("res-stamp-11.sse");
+  });
+
+  it("pairs dumps with their captured response and expectation", () => {
+    writeFileSync(join(dir, "req-a.json"), "{}");
+    writeFileSync(join(dir, "res-a.sse"), "");
+    writeFileSync(join(dir, "req-b.json"), "{}");
+    writeFileSync(join(dir, "notes.txt"), "");
+
+    const cases = listReplayCases(dir);
+    expect(cases.map((c) => c.name)).toEqual(["req-a.json", "req-b.json"]);
+    expect(cases[0]).toMatchObject({
+      responsePath: join(dir, "res-a.sse"),
+      expectationPath: join(dir, "expect-req-a.json"),
+    });
+    expect(cases[1].responsePath).toBeNull();
+
+    const [single] = listReplayCases(join(dir, "req-b.json"), { expect: join(dir, "golden.json") });
+    expect(single.expectationPath).toBe(join(dir, "golden.json"));
+    expect(listReplayCases(join(dir, "missing"))).toBeNull();
+  });
+
+  it("round-trips expectations", () => {
+    const path = join(dir, "expect-req-a.json");
+    expect(readReplayExpectation(path)).toBeNull();
+    writeReplayExpectation(path, { version: 1, request: { body: { a: 1 } } });
+    expect(existsSync(path)).toBe(true);
+    expect(readReplayExpectation(path)).toEqual({ version: 1, request: { body: { a: 1 } } });
+  });
+});
+
+describe("diffJson", () => {
+  it("reports added, removed and changed paths", () => {
+    const before = { body: { model: "a", system: [{ text: "x" }, { text: "y" }], stream: true } };
+    const after = { body: { model: "b", system: [{ text: "x" }], thinking: { type: "adaptive" } } };
+
+    expect(diffJson(before, after)).toEqual([
+      { path: "body.model", kind: "changed", before: "a", after: "b" },
+      { path: "body.system[1]", kind: "removed", before: { text: "y" } },
+      { path: "body.stream", kind: "removed", before: true },
+      { path: "body.thinking", kind: "added", after: { type: "adaptive" } },
+    ]);
+    expect(diffJson(before, structuredClone(before))).toEqual([]);
+  });
+
+  it("treats type changes as a single change", () => {
+    expect(diffJson({ a: [1] }, { a: { 0: 1 } })).toEqual([
+      { path: "a", kind: "changed", before: [1], after: { 0: 1 } },
+    ]);
+  });
+
+  it("formats one line per difference with truncated values", () => {
+    const lines = formatReplayDiff(
+      [
+        { path: "a", kind: "added", after: 1 },
+        { path: "b", kind: "removed", before: "gone" },
+        { path: "c", kind: "changed", before: "x".repeat(50), after: "y" },
+      ],
+      20,
+    );
+    expect(lines).toEqual(["+ a: 1", '- b: "gone"', `~ c: "${"x".repeat(18)}… → "y"`]);
+  });
+});
+
+describe("normalizeReplayHeaders", () => {
+  it("sorts header names and masks credentials", () => {
+    const headers = new Headers({ "x-app": "cli", authorization: "Bearer secret", "anthropic-beta": "a,b" });
+    expect(normalizeReplayHeaders(headers)).toEqual({
+      "anthropic-beta": "a,b",
+      authorization: "[redacted]",
+      "x-app": "cli",
+    });
+    expect(Object.keys(normalizeReplayHeaders(headers))).toEqual(["anthropic-beta", "authorization", "x-app"]);
+  });
+});
+
+describe("serveSseCapture", () => {
+  it("streams the captured events back verbatim", async () => {
+    const sse = 'event: ping\ndata: {"type":"ping"}\n\nevent: message_stop\ndata: {"type":"message_stop"}\n\n';
+    const server = await serveSseCapture(sse);
+    try {
+      const res = await fetch(server.url);
+      expect(res.headers.get("content-type")).toBe("text/event-stream");
+      expect(await res.text()).toBe(sse);
+    } finally {
+      await server.close();
+    }
+  });
+});
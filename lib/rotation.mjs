@@ -13,12 +13,28 @@ import { DEFAULT_CONFIG } from "./config.mjs";
  * @property {number} healthScore
  * @property {boolean} isRateLimited
  * @property {boolean} enabled
+ * @property {boolean} [isAvailable] - False outside the account's availability window
+ */
+
+/**
+ * Persistable health state of one account.
+ * @typedef {object} HealthState
+ * @property {number} score - Score as of lastUpdated, before passive recovery
+ * @property {number} lastUpdated
+ * @property {number} consecutiveFailures
+ */
+
+/**
+ * Persistable token bucket state of one account.
+ * @typedef {object} BucketState
+ * @property {number} tokens - Tokens as of lastUpdated, before regeneration
+ * @property {number} lastUpdated
  */
 
 // --- Health Score Tracker ---
 
 export class HealthScoreTracker {
-  /** @type {Map<number, {score: number, lastUpdated: number, consecutiveFailures: number}>} */
+  /** @type {Map<number, HealthState>} */
   #scores = new Map();
   /** @type {HealthScoreConfig} */
   #config;
@@ -115,18 +131,42 @@ export class HealthScoreTracker {
   }
 
   /**
-   * Reset tracking for an account.
+   * Reset an account to the initial score. Recorded as a fresh update so a
+   * reset wins over older state shared by other processes.
    * @param {number} accountIndex
    */
   reset(accountIndex) {
-    this.#scores.delete(accountIndex);
+    this.#scores.set(accountIndex, { score: this.#config.initial, lastUpdated: Date.now(), consecutiveFailures: 0 });
+  }
+
+  /**
+   * Raw state for persistence; recovery since lastUpdated is applied on read.
+   * @param {number} accountIndex
+   * @returns {HealthState | null}
+   */
+  getState(accountIndex) {
+    const state = this.#scores.get(accountIndex);
+    return state ? { ...state } : null;
+  }
+
+  /**
+   * Restore persisted state. Passive recovery covers the time since it was saved.
+   * @param {number} accountIndex
+   * @param {HealthState} state
+   */
+  setState(accountIndex, state) {
+    this.#scores.set(accountIndex, {
+      score: Math.min(this.#config.max_score, Math.max(0, state.score)),
+      lastUpdated: state.lastUpdated,
+      consecutiveFailures: state.consecutiveFailures,
+    });
   }
 }
 
 // --- Token Bucket Tracker ---
 
 export class TokenBucketTracker {
-  /** @type {Map<number, {tokens: number, lastUpdated: number}>} */
+  /** @type {Map<number, BucketState>} */
   #buckets = new Map();
   /** @type {TokenBucketConfig} */
   #config;
@@ -200,6 +240,28 @@ export class TokenBucketTracker {
   getMaxTokens() {
     return this.#config.max_tokens;
   }
+
+  /**
+   * Raw state for persistence; regeneration since lastUpdated is applied on read.
+   * @param {number} accountIndex
+   * @returns {BucketState | null}
+   */
+  getState(accountIndex) {
+    const state = this.#buckets.get(accountIndex);
+    return state ? { ...state } : null;
+  }
+
+  /**
+   * Restore persisted state. Regeneration covers the time since it was saved.
+   * @param {number} accountIndex
+   * @param {BucketState} state
+   */
+  setState(accountIndex, state) {
+    this.#buckets.set(accountIndex, {
+      tokens: Math.min(this.#config.max_tokens, Math.max(0, state.tokens)),
+      lastUpdated: state.lastUpdated,
+    });
+  }
 }
 
 // --- Selection Algorithms ---
@@ -236,7 +298,7 @@ function calculateHybridScore(account, maxTokens) {
  * @returns {{index: number, cursor: number} | null}
  */
 export function selectAccount(candidates, strategy, currentIndex, healthTracker, tokenTracker, cursor) {
-  const available = candidates.filter((acc) => acc.enabled && !acc.isRateLimited);
+  const available = candidates.filter((acc) => acc.enabled && !acc.isRateLimited && acc.isAvailable !== false);
 
   if (available.length === 0) return null;
 
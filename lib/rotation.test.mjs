@@ -95,6 +95,13 @@ describe("HealthScoreTracker", () => {
     expect(custom.getScore(0)).toBe(95);
     expect(custom.isUsable(0)).toBe(true);
   });
+
+  it("restores saved state and recovers for the time since", () => {
+    tracker.setState(0, { score: 30, lastUpdated: Date.now() - 3 * 3_600_000, consecutiveFailures: 2 });
+    expect(tracker.getScore(0)).toBe(36);
+    expect(tracker.getState(0)).toMatchObject({ score: 30, consecutiveFailures: 2 });
+    expect(tracker.getState(1)).toBeNull();
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -131,6 +138,13 @@ describe("TokenBucketTracker", () => {
     expect(tracker.hasTokens(0)).toBe(false);
   });
 
+  it("restores saved state and regenerates for the time since", () => {
+    tracker.setState(0, { tokens: 2, lastUpdated: Date.now() - 2 * 60_000 });
+    expect(tracker.getTokens(0)).toBeCloseTo(14, 0);
+    tracker.setState(1, { tokens: 500, lastUpdated: Date.now() });
+    expect(tracker.getTokens(1)).toBe(50);
+  });
+
   it("refund adds tokens back", () => {
     tracker.consume(0);
     tracker.consume(0);
@@ -206,6 +220,12 @@ describe("selectAccount", () => {
     expect(selectAccount(candidates, "sticky", null, healthTracker, tokenTracker, 0)).toBeNull();
   });
 
+  it("skips candidates outside their availability window", () => {
+    const candidates = [makeCandidate({ index: 0, isAvailable: false }), makeCandidate({ index: 1 })];
+    expect(selectAccount(candidates, "sticky", 0, healthTracker, tokenTracker, 0)?.index).toBe(1);
+    expect(selectAccount([candidates[0]], "hybrid", 0, healthTracker, tokenTracker, 0)).toBeNull();
+  });
+
   it("returns null when all candidates are disabled", () => {
     const candidates = [makeCandidate({ index: 0, enabled: false })];
     expect(selectAccount(candidates, "sticky", null, healthTracker, tokenTracker, 0)).toBeNull();
@@ -0,0 +1,64 @@
+import { resolve, sep } from "node:path";
+
+/** Request roles a routing rule can match (see classifyRequestRole in index.mjs). */
+export const REQUEST_ROLES = ["main", "title", "small", "empty", "unknown"];
+
+/**
+ * @typedef {object} RoutingRequest
+ * @property {string} [model] - Model ID from the request body
+ * @property {string} [role] - Role from classifyRequestRole()
+ * @property {string} [directory] - OpenCode project directory
+ * @property {string} [worktree]
+ */
+
+/**
+ * @param {string} dir
+ * @param {string} project
+ */
+function isWithin(dir, project) {
+  const root = resolve(project);
+  const target = resolve(dir);
+  return target === root || target.startsWith(root.endsWith(sep) ? root : root + sep);
+}
+
+/**
+ * Whether every condition a rule sets matches the request. `model` matches
+ * any model ID containing it (so "haiku" covers every Haiku release),
+ * `project` matches the project directory or worktree and anything below it.
+ * @param {import('./config.mjs').RoutingRule} rule
+ * @param {RoutingRequest} request
+ * @returns {boolean}
+ */
+export function matchesRoutingRule(rule, request) {
+  if (rule.model && !(request.model || "").toLowerCase().includes(rule.model.toLowerCase())) return false;
+  if (rule.role && rule.role !== request.role) return false;
+  if (rule.project) {
+    const dirs = [request.directory, request.worktree].filter(Boolean);
+    if (!dirs.some((dir) => isWithin(/** @type {string} */ (dir), /** @type {string} */ (rule.project)))) return false;
+  }
+  return true;
+}
+
+/**
+ * Pick the account group for a request: the group of the first matching
+ * rule, else `default_group`. Null means "all accounts".
+ * @param {import('./config.mjs').RoutingConfig | undefined} routing
+ * @param {RoutingRequest} request
+ * @returns {string | null}
+ */
+export function resolveRoutingGroup(routing, request) {
+  if (!routing) return null;
+  const rule = routing.rules.find((r) => matchesRoutingRule(r, request));
+  return rule?.group || routing.default_group || null;
+}
+
+/**
+ * Group names that routing rules or `default_group` use but `account_groups`
+ * does not define. Requests routed to them fall back to all accounts.
+ * @param {import('./config.mjs').AnthropicAuthConfig} config
+ * @returns {string[]}
+ */
+export function findUnknownAccountGroups(config) {
+  const referenced = [...config.routing.rules.map((r) => r.group), config.routing.default_group].filter(Boolean);
+  return [...new Set(referenced)].filter((name) => !Object.hasOwn(config.account_groups, name));
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { join } from "node:path";
+
+import { DEFAULT_CONFIG } from "./config.mjs";
+import { findUnknownAccountGroups, resolveRoutingGroup } from "./routing.mjs";
+
+const routing = {
+  rules: [
+    { role: "title", group: "personal" },
+    { model: "haiku", group: "personal" },
+    { model: "claude-opus", role: "main", group: "team" },
+    { project: join("/work", "client"), group: "client" },
+  ],
+  default_group: "",
+};
+
+describe("resolveRoutingGroup", () => {
+  it("returns the group of the first rule whose conditions all match", () => {
+    expect(resolveRoutingGroup(routing, { model: "claude-opus-4-7", role: "title" })).toBe("personal");
+    expect(resolveRoutingGroup(routing, { model: "claude-3-5-Haiku-latest", role: "small" })).toBe("personal");
+    expect(resolveRoutingGroup(routing, { model: "claude-opus-4-7", role: "main" })).toBe("team");
+    expect(resolveRoutingGroup(routing, { model: "claude-opus-4-7", role: "small" })).toBeNull();
+  });
+
+  it("matches a project directory and the directories below it", () => {
+    const at = (directory) => resolveRoutingGroup(routing, { model: "claude-sonnet-4-6", role: "main", directory });
+    expect(at(join("/work", "client"))).toBe("client");
+    expect(at(join("/work", "client", "packages", "api"))).toBe("client");
+    expect(at(join("/work", "client-b"))).toBeNull();
+    expect(resolveRoutingGroup(routing, { role: "main", directory: "/tmp/x", worktree: join("/work", "client") })).toBe(
+      "client",
+    );
+  });
+
+  it("uses default_group when no rule matches", () => {
+    expect(resolveRoutingGroup({ ...routing, default_group: "team" }, { role: "main" })).toBe("team");
+    expect(resolveRoutingGroup(undefined, { role: "main" })).toBeNull();
+  });
+});
+
+describe("findUnknownAccountGroups", () => {
+  it("lists groups that rules use but account_groups does not define", () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      account_groups: { personal: { accounts: [1], strategy: null, fallback: true } },
+      routing: { ...routing, default_group: "team" },
+    };
+    expect(findUnknownAccountGroups(config)).toEqual(["team", "client"]);
+  });
+});
@@ -0,0 +1,103 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/** Session used for requests and hooks that don't carry an OpenCode session ID. */
+export const DEFAULT_SESSION_ID = "default";
+
+/**
+ * @template T
+ * @typedef {object} SessionRegistry
+ * @property {(id: string) => T} get - State for a session, created on first use
+ * @property {<R>(id: string | null | undefined, fn: () => R) => R} run - Run `fn` (and everything
+ *   it awaits or schedules) with the session as current
+ * @property {<F extends (...args: any[]) => any>(fn: F) => F} bind - Pin a callback to the current
+ *   session, for code that runs later from another context (e.g. a stream consumer's pull)
+ * @property {() => T} current - State of the current session (the default session outside `run`)
+ * @property {() => string} currentId
+ * @property {() => [string, T][]} entries - Least recently used first
+ * @property {() => void} clear
+ */
+
+/**
+ * Keep per-session state keyed by OpenCode session ID, evicting the least
+ * recently used session once `maxSessions` are tracked. The current session
+ * travels with async execution, so concurrent requests from different
+ * sessions never see each other's state.
+ * @template T
+ * @param {{ create: (id: string) => T, maxSessions: number }} options
+ * @returns {SessionRegistry<T>}
+ */
+export function createSessionRegistry({ create, maxSessions }) {
+  /** @type {Map<string, T>} */
+  const sessions = new Map();
+  /** @type {AsyncLocalStorage<string>} */
+  const storage = new AsyncLocalStorage();
+
+  /** @param {string} id */
+  function get(id) {
+    let state = sessions.get(id);
+    if (state === undefined) {
+      state = create(id);
+    } else {
+      sessions.delete(id);
+    }
+    sessions.set(id, state);
+    while (sessions.size > maxSessions) sessions.delete(sessions.keys().next().value);
+    return state;
+  }
+
+  return {
+    get,
+    run(id, fn) {
+      const sessionId = id || DEFAULT_SESSION_ID;
+      get(sessionId);
+      return storage.run(sessionId, fn);
+    },
+    bind(fn) {
+      return AsyncLocalStorage.bind(fn);
+    },
+    current() {
+      const id = storage.getStore() ?? DEFAULT_SESSION_ID;
+      // An evicted session that is still streaming gets a fresh entry rather than
+      // writing into another session's state.
+      return sessions.get(id) ?? get(id);
+    },
+    currentId() {
+      return storage.getStore() ?? DEFAULT_SESSION_ID;
+    },
+    entries() {
+      return [...sessions];
+    },
+    clear() {
+      sessions.clear();
+    },
+  };
+}
+
+/**
+ * A stand-in object that forwards every property access to whatever
+ * `resolve()` returns at that moment. Lets long-standing module-level state
+ * objects become per-session without rewriting every reference.
+ * @template {object} T
+ * @param {() => T} resolve
+ * @returns {T}
+ */
+export function sessionScoped(resolve) {
+  return /** @type {T} */ (
+    new Proxy(
+      {},
+      {
+        get: (_target, prop) => Reflect.get(resolve(), prop),
+        set: (_target, prop, value) => Reflect.set(resolve(), prop, value),
+        has: (_target, prop) => Reflect.has(resolve(), prop),
+        deleteProperty: (_target, prop) => Reflect.deleteProperty(resolve(), prop),
+        ownKeys: () => Reflect.ownKeys(resolve()),
+        getOwnPropertyDescriptor: (_target, prop) => {
+          const descriptor = Reflect.getOwnPropertyDescriptor(resolve(), prop);
+          // The proxy target has no own properties, so every key must be reported configurable.
+          if (descriptor) descriptor.configurable = true;
+          return descriptor;
+        },
+      },
+    )
+  );
+}
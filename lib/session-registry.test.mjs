@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+
+import { DEFAULT_SESSION_ID, createSessionRegistry, sessionScoped } from "./session-registry.mjs";
+
+const makeRegistry = (maxSessions = 3) => createSessionRegistry({ create: () => ({ turns: 0 }), maxSessions });
+
+describe("createSessionRegistry", () => {
+  it("uses the default session outside run and for missing ids", () => {
+    const registry = makeRegistry();
+    registry.current().turns++;
+    registry.run(undefined, () => registry.current().turns++);
+    expect(registry.currentId()).toBe(DEFAULT_SESSION_ID);
+    expect(registry.get(DEFAULT_SESSION_ID).turns).toBe(2);
+  });
+
+  it("keeps concurrent sessions apart across awaits", async () => {
+    const registry = makeRegistry();
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+    const work = (id, turns) =>
+      registry.run(id, async () => {
+        for (let i = 0; i < turns; i++) {
+          await tick();
+          registry.current().turns++;
+        }
+        return registry.currentId();
+      });
+
+    expect(await Promise.all([work("a", 3), work("b", 1)])).toEqual(["a", "b"]);
+    expect(registry.get("a").turns).toBe(3);
+    expect(registry.get("b").turns).toBe(1);
+  });
+
+  it("binds callbacks to the session they were created in", async () => {
+    const registry = makeRegistry();
+    const later = registry.run("a", () => registry.bind(() => registry.currentId()));
+    expect(later()).toBe("a");
+    expect(registry.currentId()).toBe(DEFAULT_SESSION_ID);
+  });
+
+  it("evicts the least recently used session", () => {
+    const registry = makeRegistry(2);
+    registry.get("a").turns = 1;
+    registry.get("b");
+    registry.get("a");
+    registry.get("c");
+    expect(registry.entries().map(([id]) => id)).toEqual(["a", "c"]);
+    expect(registry.get("b").turns).toBe(0);
+
+    registry.clear();
+    expect(registry.entries()).toEqual([]);
+  });
+});
+
+describe("sessionScoped", () => {
+  it("forwards reads, writes and enumeration to the current session", () => {
+    const registry = makeRegistry();
+    const state = sessionScoped(() => registry.current());
+    registry.run("a", () => {
+      state.turns = 5;
+      state.note = "x";
+      delete state.note;
+    });
+    expect(state.turns).toBe(0);
+    expect(registry.run("a", () => ({ ...state }))).toEqual({ turns: 5 });
+    expect(Object.keys(state)).toEqual(["turns"]);
+    expect("turns" in state).toBe(true);
+  });
+});
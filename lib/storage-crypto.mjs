@@ -0,0 +1,394 @@
+/**
+ * Encrypted-at-rest envelope for the accounts storage file.
+ *
+ * The plaintext account payload (storage version 1) is serialised, encrypted
+ * with AES-256-GCM and wrapped in a version 2 envelope:
+ *
+ *   {
+ *     "version": 2,
+ *     "encryption": { cipher, backend, kdf: { name, salt, N, r, p }, iv, tag, keyFile?, aad },
+ *     "ciphertext": "<base64>"
+ *   }
+ *
+ * The AES key is derived with scrypt from a secret supplied by a pluggable
+ * key backend:
+ *   - passphrase      — OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE (or set at runtime)
+ *   - keyfile         — random secret in a 0600 file (OPENCODE_ANTHROPIC_STORAGE_KEY_FILE)
+ *   - secret-service  — Linux Secret Service via `secret-tool`
+ *
+ * Only the envelope header (never the secret) is written to disk. Its cipher,
+ * backend, KDF and key file fields are authenticated as GCM additional data,
+ * so they cannot be changed without decryption failing. Envelopes written
+ * before that carry no `aad` marker and are still read.
+ *
+ * @module storage-crypto
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from "node:crypto";
+import { execFileSync } from "node:child_process";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+
+/**
+ * @typedef {object} KdfParams
+ * @property {"scrypt"} name
+ * @property {string} salt - base64
+ * @property {number} N
+ * @property {number} r
+ * @property {number} p
+ */
+
+/**
+ * @typedef {object} EncryptionHeader
+ * @property {"aes-256-gcm"} cipher
+ * @property {string} backend - Key backend name used to obtain the secret.
+ * @property {KdfParams} kdf
+ * @property {string} iv - base64
+ * @property {string} tag - base64
+ * @property {string} [keyFile] - Key file path (keyfile backend only).
+ * @property {typeof HEADER_AAD} [aad] - Set when the header is authenticated as additional data.
+ */
+
+/**
+ * @typedef {object} EncryptedStorage
+ * @property {2} version
+ * @property {EncryptionHeader} encryption
+ * @property {string} ciphertext - base64
+ */
+
+/**
+ * @typedef {object} ProvisionOptions
+ * @property {string} [passphrase] - New passphrase (passphrase backend).
+ * @property {string} [keyFile] - Key file path (keyfile backend).
+ */
+
+/**
+ * @typedef {object} KeyBackend
+ * @property {string} name
+ * @property {string} description
+ * @property {(header: Partial<EncryptionHeader>) => string | null} getSecret
+ *   Return the secret for an existing envelope, or null when unavailable.
+ * @property {(opts: ProvisionOptions) => { secret: string, keyFile?: string }} provision
+ *   Create (or accept) a secret for a new envelope. Throws when the backend cannot be used.
+ */
+
+export const ENCRYPTED_STORAGE_VERSION = 2;
+
+/** Error code set on the error thrown when no backend secret is available. */
+export const STORAGE_LOCKED_CODE = "ESTORAGELOCKED";
+
+const CIPHER = "aes-256-gcm";
+/** Marks envelopes whose header fields are bound to the ciphertext as GCM additional data. */
+const HEADER_AAD = "header-v1";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const SCRYPT_DEFAULTS = { N: 1 << 15, r: 8, p: 1 };
+// scrypt needs 128 * N * r bytes; Node's default maxmem (32 MiB) is exactly the
+// boundary for N=2^15, r=8, so give it headroom.
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const SECRET_SERVICE_ATTRS = ["service", "opencode-anthropic-auth", "account", "storage-key"];
+
+// ---------------------------------------------------------------------------
+// Key backends
+// ---------------------------------------------------------------------------
+
+/** Passphrase set at runtime (e.g. prompted by the CLI). Env var wins. */
+let runtimePassphrase = null;
+
+/**
+ * Set (or clear) the passphrase used by the passphrase backend for this process.
+ * @param {string | null} passphrase
+ */
+export function setStoragePassphrase(passphrase) {
+  runtimePassphrase = typeof passphrase === "string" && passphrase ? passphrase : null;
+}
+
+/** @type {KeyBackend} */
+const passphraseBackend = {
+  name: "passphrase",
+  description: "Passphrase from OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE",
+  getSecret() {
+    return process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE || runtimePassphrase;
+  },
+  provision(opts) {
+    const passphrase = opts.passphrase || process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE || runtimePassphrase;
+    if (!passphrase) {
+      throw new Error("No passphrase provided (set OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE)");
+    }
+    return { secret: passphrase };
+  },
+};
+
+/**
+ * Read a key file, returning its trimmed contents or null.
+ * @param {string | undefined} path
+ * @returns {string | null}
+ */
+function readKeyFile(path) {
+  if (!path) return null;
+  try {
+    const content = readFileSync(path, "utf-8").trim();
+    return content || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Key file the keyfile backend uses, for unlocking and provisioning alike.
+ * OPENCODE_ANTHROPIC_STORAGE_KEY_FILE wins over any other path, so a key
+ * provisioned while it is set is the key that unlocks the file later.
+ * @param {string | undefined} keyFile - Path recorded in the header or chosen by the caller
+ * @returns {string | undefined}
+ */
+export function resolveKeyFilePath(keyFile) {
+  return process.env.OPENCODE_ANTHROPIC_STORAGE_KEY_FILE || keyFile;
+}
+
+/** @type {KeyBackend} */
+const keyFileBackend = {
+  name: "keyfile",
+  description: "Random key in a 0600 file (OPENCODE_ANTHROPIC_STORAGE_KEY_FILE)",
+  getSecret(header) {
+    return readKeyFile(resolveKeyFilePath(header.keyFile));
+  },
+  provision(opts) {
+    const keyFile = resolveKeyFilePath(opts.keyFile);
+    if (!keyFile) throw new Error("No key file path provided");
+    const existing = existsSync(keyFile) ? readKeyFile(keyFile) : null;
+    if (existing) return { secret: existing, keyFile };
+    const secret = randomBytes(KEY_LENGTH).toString("hex");
+    writeFileSync(keyFile, secret + "\n", { encoding: "utf-8", mode: 0o600 });
+    return { secret, keyFile };
+  },
+};
+
+/** @type {KeyBackend} */
+const secretServiceBackend = {
+  name: "secret-service",
+  description: "Linux Secret Service (GNOME Keyring / KWallet) via secret-tool",
+  getSecret() {
+    if (process.platform !== "linux") return null;
+    try {
+      const out = execFileSync("secret-tool", ["lookup", ...SECRET_SERVICE_ATTRS], {
+        timeout: 5_000,
+        encoding: "utf-8",
+        stdio: ["ignore", "pipe", "ignore"],
+      });
+      return out.trim() || null;
+    } catch {
+      return null;
+    }
+  },
+  provision() {
+    if (process.platform !== "linux") {
+      throw new Error("The secret-service backend is only available on Linux");
+    }
+    const secret = randomBytes(KEY_LENGTH).toString("hex");
+    try {
+      execFileSync("secret-tool", ["store", "--label=opencode-anthropic-auth storage key", ...SECRET_SERVICE_ATTRS], {
+        timeout: 5_000,
+        input: secret,
+        stdio: ["pipe", "ignore", "pipe"],
+      });
+    } catch (err) {
+      throw new Error(`secret-tool store failed: ${err instanceof Error ? err.message : String(err)}`, { cause: err });
+    }
+    return { secret };
+  },
+};
+
+/** @type {Map<string, KeyBackend>} */
+const backends = new Map([
+  [passphraseBackend.name, passphraseBackend],
+  [keyFileBackend.name, keyFileBackend],
+  [secretServiceBackend.name, secretServiceBackend],
+]);
+
+/**
+ * Register (or replace) a key backend.
+ * @param {KeyBackend} backend
+ */
+export function registerKeyBackend(backend) {
+  if (!backend || typeof backend.name !== "string" || !backend.name) {
+    throw new Error("Key backend must have a name");
+  }
+  if (typeof backend.getSecret !== "function" || typeof backend.provision !== "function") {
+    throw new Error(`Key backend "${backend.name}" must implement getSecret() and provision()`);
+  }
+  backends.set(backend.name, backend);
+}
+
+/**
+ * Look up a key backend by name.
+ * @param {string} name
+ * @returns {KeyBackend | undefined}
+ */
+export function getKeyBackend(name) {
+  return backends.get(name);
+}
+
+/**
+ * Names of all registered key backends.
+ * @returns {string[]}
+ */
+export function listKeyBackends() {
+  return [...backends.keys()];
+}
+
+// ---------------------------------------------------------------------------
+// Envelope
+// ---------------------------------------------------------------------------
+
+/** Derived-key cache so repeated saves don't pay the scrypt cost each time. */
+/** @type {Map<string, Buffer>} */
+const derivedKeyCache = new Map();
+
+/**
+ * Derive the AES key for a secret + KDF params.
+ * @param {string} secret
+ * @param {KdfParams} kdf
+ * @returns {Buffer}
+ */
+function deriveKey(secret, kdf) {
+  const cacheKey = `${kdf.salt}:${kdf.N}:${kdf.r}:${kdf.p}:${secret}`;
+  const cached = derivedKeyCache.get(cacheKey);
+  if (cached) return cached;
+  const key = scryptSync(secret, Buffer.from(kdf.salt, "base64"), KEY_LENGTH, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+  // Keep the cache tiny: one entry per live envelope is all we ever need.
+  if (derivedKeyCache.size >= 4) derivedKeyCache.clear();
+  derivedKeyCache.set(cacheKey, key);
+  return key;
+}
+
+/**
+ * Create fresh KDF parameters with a random salt.
+ * @returns {KdfParams}
+ */
+export function createKdfParams() {
+  return { name: "scrypt", salt: randomBytes(SALT_LENGTH).toString("base64"), ...SCRYPT_DEFAULTS };
+}
+
+/**
+ * Check whether parsed file content is an encrypted storage envelope.
+ * @param {unknown} data
+ * @returns {data is EncryptedStorage}
+ */
+export function isEncryptedStorage(data) {
+  if (!data || typeof data !== "object") return false;
+  const d = /** @type {Record<string, any>} */ (data);
+  return (
+    d.version === ENCRYPTED_STORAGE_VERSION &&
+    !!d.encryption &&
+    typeof d.encryption === "object" &&
+    typeof d.ciphertext === "string"
+  );
+}
+
+/**
+ * The header fields authenticated with the ciphertext, in a fixed order.
+ * iv and tag are left out: they are GCM inputs and outputs already.
+ * @param {Partial<EncryptionHeader>} header
+ * @returns {Buffer}
+ */
+function headerAad(header) {
+  const { kdf } = header;
+  return Buffer.from(
+    JSON.stringify([
+      header.aad,
+      header.cipher,
+      header.backend,
+      [kdf?.name, kdf?.salt, kdf?.N, kdf?.r, kdf?.p],
+      header.keyFile ?? null,
+    ]),
+    "utf-8",
+  );
+}
+
+/**
+ * Encrypt a plaintext storage payload into a version 2 envelope.
+ * A new IV is generated on every call; the KDF params (salt) are reused so the
+ * same secret keeps unlocking the file.
+ * @param {object} payload - Plaintext storage object.
+ * @param {{ backend: string, secret: string, kdf?: KdfParams, keyFile?: string }} key
+ * @returns {EncryptedStorage}
+ */
+export function encryptPayload(payload, key) {
+  const kdf = key.kdf ?? createKdfParams();
+  const iv = randomBytes(IV_LENGTH);
+  /** @type {Partial<EncryptionHeader>} */
+  const authenticated = { cipher: CIPHER, backend: key.backend, kdf, aad: HEADER_AAD };
+  if (key.keyFile) authenticated.keyFile = key.keyFile;
+  const cipher = createCipheriv(CIPHER, deriveKey(key.secret, kdf), iv);
+  cipher.setAAD(headerAad(authenticated));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), "utf-8"), cipher.final()]);
+
+  /** @type {EncryptionHeader} */
+  const encryption = {
+    cipher: CIPHER,
+    backend: key.backend,
+    kdf,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+  };
+  if (key.keyFile) encryption.keyFile = key.keyFile;
+  encryption.aad = HEADER_AAD;
+
+  return { version: ENCRYPTED_STORAGE_VERSION, encryption, ciphertext: ciphertext.toString("base64") };
+}
+
+/**
+ * Decrypt a version 2 envelope with the given secret.
+ * @param {EncryptedStorage} envelope
+ * @param {string} secret
+ * @returns {unknown} Parsed plaintext storage payload.
+ */
+export function decryptPayload(envelope, secret) {
+  const { encryption } = envelope;
+  if (encryption.cipher !== CIPHER) {
+    throw new Error(`Unsupported storage cipher: ${encryption.cipher}`);
+  }
+  if (encryption.kdf?.name !== "scrypt") {
+    throw new Error(`Unsupported storage KDF: ${encryption.kdf?.name}`);
+  }
+  try {
+    const decipher = createDecipheriv(CIPHER, deriveKey(secret, encryption.kdf), Buffer.from(encryption.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(encryption.tag, "base64"));
+    // Dropping the marker does not help: the tag was computed over it
+    if (encryption.aad !== undefined) decipher.setAAD(headerAad(encryption));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, "base64")), decipher.final()]);
+    return JSON.parse(plaintext.toString("utf-8"));
+  } catch (err) {
+    // GCM auth failure and garbage plaintext look the same to the caller.
+    throw new Error("Failed to decrypt account storage (wrong key or corrupted file)", { cause: err });
+  }
+}
+
+/**
+ * Resolve the secret for an envelope using the backend recorded in its header.
+ * @param {EncryptedStorage} envelope
+ * @returns {{ backend: string, secret: string, kdf: KdfParams, keyFile?: string }}
+ */
+export function unlockEnvelope(envelope) {
+  const name = envelope.encryption.backend;
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Account storage is encrypted with unknown key backend "${name}"`);
+  }
+  const secret = backend.getSecret(envelope.encryption);
+  if (!secret) {
+    const error = new Error(
+      `Account storage is locked: no key available from the "${name}" backend (${backend.description})`,
+    );
+    /** @type {any} */ (error).code = STORAGE_LOCKED_CODE;
+    /** @type {any} */ (error).backend = name;
+    throw error;
+  }
+  return { backend: name, secret, kdf: envelope.encryption.kdf, keyFile: envelope.encryption.keyFile };
+}
@@ -0,0 +1,275 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { createCipheriv, randomBytes, scryptSync } from "node:crypto";
+import { tmpdir } from "node:os";
+
+vi.mock("node:child_process", () => ({
+  execFileSync: vi.fn(),
+}));
+
+import { execFileSync } from "node:child_process";
+import {
+  ENCRYPTED_STORAGE_VERSION,
+  STORAGE_LOCKED_CODE,
+  createKdfParams,
+  decryptPayload,
+  encryptPayload,
+  getKeyBackend,
+  isEncryptedStorage,
+  listKeyBackends,
+  registerKeyBackend,
+  setStoragePassphrase,
+  unlockEnvelope,
+} from "./storage-crypto.mjs";
+
+// Cheap KDF params keep the suite fast; production uses N=2^15.
+const fastKdf = () => ({ ...createKdfParams(), N: 1024 });
+
+const payload = {
+  version: 1,
+  accounts: [{ id: "a1", refreshToken: "refresh-secret", access: "access-secret" }],
+  activeIndex: 0,
+};
+
+describe("encryptPayload / decryptPayload", () => {
+  it("round-trips a storage payload", () => {
+    const envelope = encryptPayload(payload, { backend: "passphrase", secret: "hunter2", kdf: fastKdf() });
+    expect(envelope.version).toBe(ENCRYPTED_STORAGE_VERSION);
+    expect(envelope.encryption.cipher).toBe("aes-256-gcm");
+    expect(envelope.encryption.backend).toBe("passphrase");
+    expect(decryptPayload(envelope, "hunter2")).toEqual(payload);
+  });
+
+  it("never writes tokens in the clear", () => {
+    const envelope = encryptPayload(payload, { backend: "passphrase", secret: "hunter2", kdf: fastKdf() });
+    const serialized = JSON.stringify(envelope);
+    expect(serialized).not.toContain("refresh-secret");
+    expect(serialized).not.toContain("access-secret");
+    expect(serialized).not.toContain("hunter2");
+  });
+
+  it("uses a fresh IV for every encryption with the same key", () => {
+    const kdf = fastKdf();
+    const a = encryptPayload(payload, { backend: "passphrase", secret: "s", kdf });
+    const b = encryptPayload(payload, { backend: "passphrase", secret: "s", kdf });
+    expect(a.encryption.iv).not.toBe(b.encryption.iv);
+    expect(a.encryption.kdf.salt).toBe(b.encryption.kdf.salt);
+  });
+
+  it("rejects a wrong secret", () => {
+    const envelope = encryptPayload(payload, { backend: "passphrase", secret: "right", kdf: fastKdf() });
+    expect(() => decryptPayload(envelope, "wrong")).toThrow("wrong key or corrupted file");
+  });
+
+  it("rejects a tampered ciphertext", () => {
+    const envelope = encryptPayload(payload, { backend: "passphrase", secret: "s", kdf: fastKdf() });
+    const bytes = Buffer.from(envelope.ciphertext, "base64");
+    bytes[0] ^= 0xff;
+    envelope.ciphertext = bytes.toString("base64");
+    expect(() => decryptPayload(envelope, "s")).toThrow("wrong key or corrupted file");
+  });
+
+  it("rejects a header whose backend, key file or marker was changed", () => {
+    const kdf = fastKdf();
+    const fresh = () => encryptPayload(payload, { backend: "keyfile", secret: "s", kdf, keyFile: "/tmp/x.key" });
+    const tampered = [
+      (h) => (h.backend = "passphrase"),
+      (h) => (h.keyFile = "/tmp/other.key"),
+      (h) => delete h.keyFile,
+      (h) => delete h.aad,
+      (h) => (h.kdf = { ...h.kdf, p: 2 }),
+    ];
+    expect(decryptPayload(fresh(), "s")).toEqual(payload);
+    for (const change of tampered) {
+      const envelope = fresh();
+      change(envelope.encryption);
+      expect(() => decryptPayload(envelope, "s")).toThrow("wrong key or corrupted file");
+    }
+  });
+
+  it("still reads envelopes written before the header was authenticated", () => {
+    const kdf = fastKdf();
+    const iv = randomBytes(12);
+    const key = scryptSync("s", Buffer.from(kdf.salt, "base64"), 32, { N: kdf.N, r: kdf.r, p: kdf.p });
+    const cipher = createCipheriv("aes-256-gcm", key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), "utf-8"), cipher.final()]);
+    const envelope = {
+      version: ENCRYPTED_STORAGE_VERSION,
+      encryption: {
+        cipher: "aes-256-gcm",
+        backend: "passphrase",
+        kdf,
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+      },
+      ciphertext: ciphertext.toString("base64"),
+    };
+    expect(decryptPayload(envelope, "s")).toEqual(payload);
+  });
+
+  it("records the key file path in the header", () => {
+    const envelope = encryptPayload(payload, {
+      backend: "keyfile",
+      secret: "s",
+      kdf: fastKdf(),
+      keyFile: "/tmp/x.key",
+    });
+    expect(envelope.encryption.keyFile).toBe("/tmp/x.key");
+  });
+});
+
+describe("isEncryptedStorage", () => {
+  it("detects version 2 envelopes", () => {
+    const envelope = encryptPayload(payload, { backend: "passphrase", secret: "s", kdf: fastKdf() });
+    expect(isEncryptedStorage(envelope)).toBe(true);
+  });
+
+  it("rejects plaintext storage and junk", () => {
+    expect(isEncryptedStorage(payload)).toBe(false);
+    expect(isEncryptedStorage({ version: 2, accounts: [] })).toBe(false);
+    expect(isEncryptedStorage(null)).toBe(false);
+    expect(isEncryptedStorage("x")).toBe(false);
+  });
+});
+
+describe("key backends", () => {
+  /** @type {string} */
+  let dir;
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    dir = mkdtempSync(join(tmpdir(), "opencode-storage-crypto-"));
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_KEY_FILE;
+    setStoragePassphrase(null);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    process.env = { ...savedEnv };
+    setStoragePassphrase(null);
+  });
+
+  it("lists the built-in backends", () => {
+    expect(listKeyBackends()).toEqual(expect.arrayContaining(["passphrase", "keyfile", "secret-service"]));
+  });
+
+  it("passphrase backend reads the env var, then the runtime passphrase", () => {
+    const backend = getKeyBackend("passphrase");
+    expect(backend.getSecret({})).toBeNull();
+    setStoragePassphrase("runtime");
+    expect(backend.getSecret({})).toBe("runtime");
+    process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE = "from-env";
+    expect(backend.getSecret({})).toBe("from-env");
+  });
+
+  it("passphrase backend refuses to provision without a passphrase", () => {
+    expect(() => getKeyBackend("passphrase").provision({})).toThrow("No passphrase provided");
+    expect(getKeyBackend("passphrase").provision({ passphrase: "p" })).toEqual({ secret: "p" });
+  });
+
+  it("keyfile backend generates a 0600 key file once and reuses it", () => {
+    const keyFile = join(dir, "anthropic-accounts.key");
+    const backend = getKeyBackend("keyfile");
+    const first = backend.provision({ keyFile });
+    expect(first.keyFile).toBe(keyFile);
+    expect(first.secret).toMatch(/^[0-9a-f]{64}$/);
+    if (process.platform !== "win32") {
+      expect(statSync(keyFile).mode & 0o777).toBe(0o600);
+    }
+    expect(backend.provision({ keyFile }).secret).toBe(first.secret);
+    expect(backend.getSecret({ keyFile })).toBe(first.secret);
+  });
+
+  it("keyfile backend prefers OPENCODE_ANTHROPIC_STORAGE_KEY_FILE over the header path", () => {
+    const envFile = join(dir, "env.key");
+    writeFileSync(envFile, "env-secret\n");
+    process.env.OPENCODE_ANTHROPIC_STORAGE_KEY_FILE = envFile;
+    expect(getKeyBackend("keyfile").getSecret({ keyFile: join(dir, "missing.key") })).toBe("env-secret");
+  });
+
+  it("keyfile backend returns null for a missing file", () => {
+    expect(getKeyBackend("keyfile").getSecret({ keyFile: join(dir, "missing.key") })).toBeNull();
+  });
+
+  it.runIf(process.platform === "linux")("secret-service backend stores and looks up via secret-tool", () => {
+    const backend = getKeyBackend("secret-service");
+    const { secret } = backend.provision({});
+    expect(execFileSync).toHaveBeenCalledWith(
+      "secret-tool",
+      expect.arrayContaining(["store", "service", "opencode-anthropic-auth"]),
+      expect.objectContaining({ input: secret }),
+    );
+
+    execFileSync.mockReturnValue(`${secret}\n`);
+    expect(backend.getSecret({})).toBe(secret);
+    expect(execFileSync).toHaveBeenLastCalledWith(
+      "secret-tool",
+      expect.arrayContaining(["lookup", "service", "opencode-anthropic-auth"]),
+      expect.any(Object),
+    );
+  });
+
+  it.runIf(process.platform === "linux")("secret-service backend returns null when secret-tool fails", () => {
+    execFileSync.mockImplementation(() => {
+      throw new Error("ENOENT");
+    });
+    expect(getKeyBackend("secret-service").getSecret({})).toBeNull();
+  });
+
+  it("accepts custom backends", () => {
+    registerKeyBackend({
+      name: "test-vault",
+      description: "test",
+      getSecret: () => "vault-secret",
+      provision: () => ({ secret: "vault-secret" }),
+    });
+    expect(getKeyBackend("test-vault").getSecret({})).toBe("vault-secret");
+    expect(() => registerKeyBackend({ name: "broken" })).toThrow("must implement");
+  });
+});
+
+describe("unlockEnvelope", () => {
+  afterEach(() => {
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+  });
+
+  it("resolves the secret through the recorded backend", () => {
+    const envelope = encryptPayload(payload, { backend: "passphrase", secret: "pw", kdf: fastKdf() });
+    process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE = "pw";
+    const key = unlockEnvelope(envelope);
+    expect(key.backend).toBe("passphrase");
+    expect(key.kdf).toEqual(envelope.encryption.kdf);
+    expect(decryptPayload(envelope, key.secret)).toEqual(payload);
+  });
+
+  it("throws a locked error when the backend has no secret", () => {
+    const envelope = encryptPayload(payload, { backend: "passphrase", secret: "pw", kdf: fastKdf() });
+    expect(() => unlockEnvelope(envelope)).toThrow("Account storage is locked");
+    try {
+      unlockEnvelope(envelope);
+    } catch (err) {
+      expect(err).toMatchObject({ code: STORAGE_LOCKED_CODE, backend: "passphrase" });
+    }
+  });
+
+  it("throws for an unknown backend", () => {
+    const envelope = encryptPayload(payload, { backend: "nope", secret: "pw", kdf: fastKdf() });
+    expect(() => unlockEnvelope(envelope)).toThrow('unknown key backend "nope"');
+  });
+
+  it("reads the key file named in the header", () => {
+    const dir = mkdtempSync(join(tmpdir(), "opencode-storage-crypto-"));
+    try {
+      const keyFile = join(dir, "k.key");
+      writeFileSync(keyFile, "file-secret");
+      const envelope = encryptPayload(payload, { backend: "keyfile", secret: "file-secret", kdf: fastKdf(), keyFile });
+      expect(unlockEnvelope(envelope)).toMatchObject({ backend: "keyfile", secret: "file-secret", keyFile });
+      expect(readFileSync(keyFile, "utf-8")).toBe("file-secret");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
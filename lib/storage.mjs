@@ -1,8 +1,23 @@
 import { promises as fs } from "node:fs";
 import { existsSync, readFileSync, appendFileSync, writeFileSync } from "node:fs";
-import { dirname, join } from "node:path";
+import { dirname, join, resolve } from "node:path";
 import { randomBytes, createHash } from "node:crypto";
 import { getConfigDir } from "./config.mjs";
+import { normalizeAvailability } from "./availability.mjs";
+import { accountCredential } from "./account-state.mjs";
+import {
+  ENCRYPTED_STORAGE_VERSION,
+  STORAGE_LOCKED_CODE,
+  createKdfParams,
+  decryptPayload,
+  encryptPayload,
+  getKeyBackend,
+  isEncryptedStorage,
+  listKeyBackends,
+  resolveKeyFilePath,
+  setStoragePassphrase,
+  unlockEnvelope,
+} from "./storage-crypto.mjs";
 
 /**
  * @typedef {object} AccountStats
@@ -18,7 +33,11 @@ import { getConfigDir } from "./config.mjs";
  * @typedef {object} AccountMetadata
  * @property {string} id
  * @property {string} [email]
- * @property {string} refreshToken
+ * @property {string} [label] - User-assigned name, accepted wherever an account number or email is
+ * @property {string} [note] - Free-form note shown in listings
+ * @property {import('./availability.mjs').AvailabilitySchedule} [availability] - Hours the account may be used
+ * @property {string} [refreshToken] - OAuth refresh token; absent for API-key accounts
+ * @property {string} [apiKey] - Anthropic API key, for API-key accounts only
  * @property {string} [access]
  * @property {number} [expires]
  * @property {number} token_updated_at
@@ -30,7 +49,7 @@ import { getConfigDir } from "./config.mjs";
  * @property {number | null} lastFailureTime
  * @property {string} [lastSwitchReason]
  * @property {AccountStats} stats
- * @property {import('./accounts.mjs').AccountSource} [source] - Origin of the account ('oauth' | 'cc-keychain' | 'cc-file').
+ * @property {import('./accounts.mjs').AccountSource} [source] - Origin of the account ('oauth' | 'cc-keychain' | 'cc-file' | 'api-key').
  */
 
 /**
@@ -79,7 +98,19 @@ function validateStats(raw, now) {
   };
 }
 
-const GITIGNORE_ENTRIES = [".gitignore", "anthropic-accounts.json", "anthropic-accounts.json.*.tmp"];
+const GITIGNORE_ENTRIES = [
+  ".gitignore",
+  "anthropic-accounts.json",
+  "anthropic-accounts.json.*.tmp",
+  "anthropic-accounts*.key",
+];
+
+/**
+ * Key used to write the accounts file, mirroring what was last seen on disk.
+ * `undefined` = disk not read yet, `null` = plaintext (version 1) on disk.
+ * @type {{ backend: string, secret: string, kdf: import('./storage-crypto.mjs').KdfParams, keyFile?: string } | null | undefined}
+ */
+let activeStorageKey;
 
 /**
  * Get the path to the accounts storage file.
@@ -89,6 +120,14 @@ export function getStoragePath() {
   return join(getConfigDir(), "anthropic-accounts.json");
 }
 
+/**
+ * Default key file path for the keyfile encryption backend.
+ * @returns {string}
+ */
+export function getDefaultKeyFilePath() {
+  return join(getConfigDir(), "anthropic-accounts.key");
+}
+
 /**
  * Ensure .gitignore in the config directory includes our files.
  * @param {string} configDir
@@ -121,7 +160,8 @@ export function ensureGitignore(configDir) {
 }
 
 /**
- * Deduplicate accounts by refresh token, keeping the most recently used.
+ * Deduplicate accounts by refresh token (API key for API-key accounts),
+ * keeping the most recently used.
  * @param {AccountMetadata[]} accounts
  * @returns {AccountMetadata[]}
  */
@@ -130,10 +170,11 @@ export function deduplicateByRefreshToken(accounts) {
   const tokenMap = new Map();
 
   for (const acc of accounts) {
-    if (!acc.refreshToken) continue;
-    const existing = tokenMap.get(acc.refreshToken);
+    const credential = accountCredential(acc);
+    if (!credential) continue;
+    const existing = tokenMap.get(credential);
     if (!existing || (acc.lastUsed || 0) > (existing.lastUsed || 0)) {
-      tokenMap.set(acc.refreshToken, acc);
+      tokenMap.set(credential, acc);
     }
   }
 
@@ -150,7 +191,13 @@ function validateAccount(raw, now) {
   if (!raw || typeof raw !== "object") return null;
   const acc = /** @type {Record<string, unknown>} */ (raw);
 
-  if (typeof acc.refreshToken !== "string" || !acc.refreshToken) return null;
+  const source =
+    typeof acc.source === "string" && ["oauth", "cc-keychain", "cc-file", "api-key"].includes(acc.source)
+      ? acc.source
+      : undefined;
+  // API-key accounts written before apiKey existed kept the key in refreshToken.
+  const credential = source === "api-key" ? acc.apiKey || acc.refreshToken : acc.refreshToken;
+  if (typeof credential !== "string" || !credential) return null;
 
   const addedAt = typeof acc.addedAt === "number" && Number.isFinite(acc.addedAt) ? acc.addedAt : now;
 
@@ -158,14 +205,18 @@ function validateAccount(raw, now) {
   const id =
     typeof acc.id === "string" && acc.id
       ? acc.id
-      : `${addedAt}:${createHash("sha256").update(acc.refreshToken).digest("hex").slice(0, 12)}`;
+      : `${addedAt}:${createHash("sha256").update(credential).digest("hex").slice(0, 12)}`;
 
   return {
     id,
     email: typeof acc.email === "string" ? acc.email : undefined,
+    label: typeof acc.label === "string" && acc.label ? acc.label : undefined,
+    note: typeof acc.note === "string" && acc.note ? acc.note : undefined,
+    availability: normalizeAvailability(acc.availability),
     accountUuid: typeof acc.accountUuid === "string" ? acc.accountUuid : undefined,
     organizationUuid: typeof acc.organizationUuid === "string" ? acc.organizationUuid : undefined,
-    refreshToken: acc.refreshToken,
+    refreshToken: source === "api-key" ? undefined : credential,
+    apiKey: source === "api-key" ? credential : undefined,
     access: typeof acc.access === "string" ? acc.access : undefined,
     expires: typeof acc.expires === "number" && Number.isFinite(acc.expires) ? acc.expires : undefined,
     token_updated_at:
@@ -185,16 +236,71 @@ function validateAccount(raw, now) {
       typeof acc.consecutiveFailures === "number" ? Math.max(0, Math.floor(acc.consecutiveFailures)) : 0,
     lastFailureTime: typeof acc.lastFailureTime === "number" ? acc.lastFailureTime : null,
     lastSwitchReason: typeof acc.lastSwitchReason === "string" ? acc.lastSwitchReason : undefined,
-    source:
-      typeof acc.source === "string" && ["oauth", "cc-keychain", "cc-file"].includes(acc.source)
-        ? acc.source
-        : undefined,
+    source,
     stats: validateStats(acc.stats, now),
   };
 }
 
+/**
+ * Turn parsed file content into the plaintext storage payload, unlocking a
+ * version 2 envelope through its key backend. Records the key so the next
+ * save re-encrypts with it. Throws when the file is encrypted and locked —
+ * treating a locked file as empty would let the next save clobber it.
+ * @param {any} data
+ * @returns {any}
+ */
+function decodeStorageContent(data) {
+  if (!isEncryptedStorage(data)) {
+    activeStorageKey = null;
+    return data;
+  }
+
+  // Reuse the unlocked key while the envelope's salt/backend are unchanged
+  // (another process may have re-keyed the file since we last read it).
+  const header = data.encryption;
+  let key = activeStorageKey;
+  if (!key || key.backend !== header.backend || key.kdf?.salt !== header.kdf?.salt) {
+    activeStorageKey = undefined;
+    key = unlockEnvelope(data);
+  }
+  const payload = decryptPayload(data, key.secret);
+  activeStorageKey = key;
+  return payload;
+}
+
+/**
+ * Describe the encryption state of the accounts file as last read from disk.
+ * @returns {{ backend: string, keyFile?: string } | null} null when stored in plaintext (or not read yet)
+ */
+export function getStorageEncryption() {
+  if (!activeStorageKey) return null;
+  return activeStorageKey.keyFile
+    ? { backend: activeStorageKey.backend, keyFile: activeStorageKey.keyFile }
+    : { backend: activeStorageKey.backend };
+}
+
+/**
+ * Resolve the key for the next write. If the disk state is unknown (nothing
+ * loaded in this process yet), peek at the file so an encrypted file is never
+ * silently downgraded to plaintext.
+ * @param {string} storagePath
+ */
+async function resolveWriteKey(storagePath) {
+  if (activeStorageKey !== undefined) return activeStorageKey;
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(storagePath, "utf-8"));
+  } catch {
+    return null;
+  }
+  if (!isEncryptedStorage(data)) return null;
+  activeStorageKey = unlockEnvelope(data);
+  return activeStorageKey;
+}
+
 /**
  * Load accounts from disk.
+ * Encrypted (version 2) files are unlocked transparently via their key backend.
  * @returns {Promise<AccountStorage | null>}
  */
 export async function loadAccounts() {
@@ -202,7 +308,7 @@ export async function loadAccounts() {
 
   try {
     const content = await fs.readFile(storagePath, "utf-8");
-    const data = JSON.parse(content);
+    const data = decodeStorageContent(JSON.parse(content));
 
     if (!data || typeof data !== "object" || !Array.isArray(data.accounts)) {
       return null;
@@ -248,7 +354,10 @@ export async function loadAccounts() {
     };
   } catch (error) {
     const code = /** @type {NodeJS.ErrnoException} */ (error).code;
-    if (code === "ENOENT") return null;
+    if (code === "ENOENT") {
+      activeStorageKey = null;
+      return null;
+    }
     // QA fix H11: only swallow ENOENT and JSON parse errors; throw for real I/O failures
     if (error instanceof SyntaxError) {
       // Corrupted JSON file — treat as empty
@@ -285,7 +394,7 @@ export async function saveAccounts(storage, storageOrDiskData = undefined) {
       const diskById = new Map(disk.accounts.map((a) => [a.id, a]));
       /** @type {Map<number, AccountMetadata[]>} */
       const diskByAddedAt = new Map();
-      const diskByToken = new Map(disk.accounts.map((a) => [a.refreshToken, a]));
+      const diskByToken = new Map(disk.accounts.map((a) => [accountCredential(a), a]));
       for (const d of disk.accounts) {
         const bucket = diskByAddedAt.get(d.addedAt) || [];
         bucket.push(d);
@@ -299,7 +408,7 @@ export async function saveAccounts(storage, storageOrDiskData = undefined) {
         const byAddedAt = diskByAddedAt.get(acc.addedAt);
         if (byAddedAt?.length === 1) return byAddedAt[0];
 
-        const byToken = diskByToken.get(acc.refreshToken);
+        const byToken = diskByToken.get(accountCredential(acc));
         if (byToken) return byToken;
 
         if (byAddedAt && byAddedAt.length > 0) return byAddedAt[0];
@@ -341,8 +450,9 @@ export async function saveAccounts(storage, storageOrDiskData = undefined) {
     // If merge read fails, continue with caller-provided storage payload.
   }
 
+  const writeKey = await resolveWriteKey(storagePath);
   const tempPath = `${storagePath}.${randomBytes(6).toString("hex")}.tmp`;
-  const content = JSON.stringify(storageToWrite, null, 2);
+  const content = JSON.stringify(writeKey ? encryptPayload(storageToWrite, writeKey) : storageToWrite, null, 2);
 
   try {
     // QA note H9: mode 0o600 (owner-only read/write) is enforced on Linux/macOS.
@@ -374,3 +484,120 @@ export async function clearAccounts() {
     if (code !== "ENOENT") throw error;
   }
 }
+
+// ---------------------------------------------------------------------------
+// Encryption management (CLI: encrypt / decrypt / rekey)
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} EncryptOptions
+ * @property {string} [backend] - Key backend name (default: "passphrase").
+ * @property {string} [passphrase] - Passphrase for the passphrase backend.
+ * @property {string} [keyFile] - Key file path for the keyfile backend.
+ */
+
+/**
+ * Provision a fresh key from a backend.
+ * @param {EncryptOptions} opts
+ * @param {string} fallbackBackend
+ */
+function provisionKey(opts, fallbackBackend) {
+  const name = opts.backend || fallbackBackend;
+  const backend = getKeyBackend(name);
+  if (!backend) {
+    throw new Error(`Unknown key backend "${name}" (available: ${listKeyBackends().join(", ")})`);
+  }
+  const envKeyFile = process.env.OPENCODE_ANTHROPIC_STORAGE_KEY_FILE;
+  if (name === "keyfile" && envKeyFile && opts.keyFile && resolve(opts.keyFile) !== resolve(envKeyFile)) {
+    throw new Error(
+      `OPENCODE_ANTHROPIC_STORAGE_KEY_FILE points at ${envKeyFile}, which would be read instead of ${opts.keyFile} (unset it or use the same path)`,
+    );
+  }
+  const keyFile = name === "keyfile" ? resolveKeyFilePath(opts.keyFile || getDefaultKeyFilePath()) : opts.keyFile;
+  const { secret, keyFile: provisionedKeyFile } = backend.provision({ passphrase: opts.passphrase, keyFile });
+  return { backend: name, secret, kdf: createKdfParams(), keyFile: provisionedKeyFile };
+}
+
+/**
+ * Encrypt a plaintext accounts file (storage version 1 → 2).
+ * @param {EncryptOptions} [opts]
+ * @returns {Promise<{ backend: string, keyFile?: string }>}
+ */
+export async function encryptAccountsFile(opts = {}) {
+  const stored = await loadAccounts();
+  if (!stored) throw new Error("No accounts file to encrypt");
+  if (activeStorageKey) throw new Error("Account storage is already encrypted (use rekey to change the key)");
+
+  activeStorageKey = provisionKey(opts, "passphrase");
+  // Pass the freshly loaded data as disk state so the merge step doesn't
+  // re-read the (still plaintext) file and reset the key.
+  await saveAccounts(stored, stored);
+  return /** @type {{ backend: string, keyFile?: string }} */ (getStorageEncryption());
+}
+
+/**
+ * Decrypt an encrypted accounts file back to plaintext (storage version 2 → 1).
+ * @returns {Promise<void>}
+ */
+export async function decryptAccountsFile() {
+  const stored = await loadAccounts();
+  if (!stored) throw new Error("No accounts file to decrypt");
+  if (!activeStorageKey) throw new Error("Account storage is not encrypted");
+
+  activeStorageKey = null;
+  await saveAccounts(stored, stored);
+}
+
+/**
+ * Re-encrypt the accounts file with a new key (and optionally a new backend).
+ * Once the new envelope is saved, the old key file is deleted unless
+ * `keepOldKeyFile` is set; it would otherwise still open any copy of the old file.
+ * @param {EncryptOptions & { keepOldKeyFile?: boolean }} [opts]
+ * @returns {Promise<{ backend: string, keyFile?: string, oldKeyFile?: string, oldKeyFileRemoved?: boolean }>}
+ */
+export async function rekeyAccountsFile(opts = {}) {
+  const stored = await loadAccounts();
+  if (!stored) throw new Error("No accounts file to re-key");
+  if (!activeStorageKey) throw new Error("Account storage is not encrypted (use encrypt first)");
+
+  const current = activeStorageKey;
+  const toKeyFile = (opts.backend || current.backend) === "keyfile";
+  if (toKeyFile && current.backend === "keyfile" && process.env.OPENCODE_ANTHROPIC_STORAGE_KEY_FILE) {
+    // The env var pins the key file, so the new key has nowhere to go but over the old one
+    throw new Error(
+      "Cannot re-key into the key file named by OPENCODE_ANTHROPIC_STORAGE_KEY_FILE; unset it, re-key, then point it at the new key file",
+    );
+  }
+  // A keyfile re-key must not reuse the existing key file's secret, and must not
+  // overwrite it before the new envelope is on disk — write a sibling file instead.
+  const keyFile =
+    toKeyFile && !opts.keyFile && current.keyFile
+      ? join(dirname(current.keyFile), `anthropic-accounts.${randomBytes(4).toString("hex")}.key`)
+      : opts.keyFile;
+  const { keepOldKeyFile, ...keyOpts } = opts;
+  activeStorageKey = provisionKey({ ...keyOpts, keyFile }, current.backend);
+  try {
+    await saveAccounts(stored, stored);
+  } catch (error) {
+    activeStorageKey = current;
+    throw error;
+  }
+
+  const info = /** @type {{ backend: string, keyFile?: string, oldKeyFile?: string, oldKeyFileRemoved?: boolean }} */ (
+    getStorageEncryption()
+  );
+  if (!current.keyFile || current.keyFile === info.keyFile) return info;
+  info.oldKeyFile = current.keyFile;
+  info.oldKeyFileRemoved = false;
+  if (keepOldKeyFile) return info;
+  try {
+    await fs.unlink(current.keyFile);
+    info.oldKeyFileRemoved = true;
+  } catch (error) {
+    // The store is already re-keyed; a key file that cannot be removed is reported, not fatal
+    info.oldKeyFileRemoved = /** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT";
+  }
+  return info;
+}
+
+export { ENCRYPTED_STORAGE_VERSION, STORAGE_LOCKED_CODE, listKeyBackends, setStoragePassphrase };
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import {
   deduplicateByRefreshToken,
   ensureGitignore,
@@ -7,7 +7,12 @@ import {
   saveAccounts,
   clearAccounts,
   createDefaultStats,
+  getStorageEncryption,
+  encryptAccountsFile,
+  decryptAccountsFile,
+  rekeyAccountsFile,
 } from "./storage.mjs";
+import { encryptPayload, createKdfParams } from "./storage-crypto.mjs";
 import { promises as fs } from "node:fs";
 import { existsSync, readFileSync, appendFileSync, writeFileSync } from "node:fs";
 
@@ -30,10 +35,15 @@ vi.mock("node:fs", () => ({
 vi.mock("node:crypto", async (importOriginal) => {
   const actual = await importOriginal();
   return {
-    randomBytes: vi.fn(() => ({
-      toString: () => "abcdef123456",
-    })),
-    createHash: actual.createHash,
+    ...actual,
+    // Temp-file suffixes are pinned; key material (IVs, salts) stays random.
+    randomBytes: vi.fn((size) =>
+      size === 6
+        ? {
+            toString: () => "abcdef123456",
+          }
+        : actual.randomBytes(size),
+    ),
   };
 });
 
@@ -163,7 +173,9 @@ describe("ensureGitignore", () => {
 
   it("does nothing when all entries already present", () => {
     existsSync.mockReturnValue(true);
-    readFileSync.mockReturnValue(".gitignore\nanthropic-accounts.json\nanthropic-accounts.json.*.tmp\n");
+    readFileSync.mockReturnValue(
+      ".gitignore\nanthropic-accounts.json\nanthropic-accounts.json.*.tmp\nanthropic-accounts*.key\n",
+    );
     ensureGitignore("/config/dir");
     expect(appendFileSync).not.toHaveBeenCalled();
     expect(writeFileSync).not.toHaveBeenCalled();
@@ -315,6 +327,73 @@ describe("loadAccounts", () => {
     expect(acc.rateLimitResetTimes).toEqual({});
     expect(acc.lastUsed).toBe(0);
   });
+
+  it("keeps labels and notes, dropping empty or non-string ones", async () => {
+    fs.readFile.mockResolvedValue(
+      JSON.stringify({
+        version: 1,
+        accounts: [
+          { refreshToken: "token1", label: "work", note: "weekdays only" },
+          { refreshToken: "token2", label: "", note: 42 },
+        ],
+        activeIndex: 0,
+      }),
+    );
+    const result = await loadAccounts();
+    expect(result.accounts[0]).toMatchObject({ label: "work", note: "weekdays only" });
+    expect(result.accounts[1].label).toBeUndefined();
+    expect(result.accounts[1].note).toBeUndefined();
+  });
+
+  it("keeps valid availability schedules and drops invalid ones", async () => {
+    fs.readFile.mockResolvedValue(
+      JSON.stringify({
+        version: 1,
+        accounts: [
+          { refreshToken: "token1", availability: { windows: ["mon-fri 9-18"], timezone: "Asia/Tokyo" } },
+          { refreshToken: "token2", availability: { windows: ["9-18"], timezone: "Nowhere/Land" } },
+        ],
+        activeIndex: 0,
+      }),
+    );
+    const result = await loadAccounts();
+    expect(result.accounts[0].availability).toEqual({ windows: ["mon-fri 09:00-18:00"], timezone: "Asia/Tokyo" });
+    expect(result.accounts[1].availability).toBeUndefined();
+  });
+
+  it("keeps the api-key source and drops unknown ones", async () => {
+    fs.readFile.mockResolvedValue(
+      JSON.stringify({
+        version: 1,
+        accounts: [
+          { refreshToken: "sk-ant-api03-key", source: "api-key" },
+          { refreshToken: "token2", source: "magic" },
+        ],
+        activeIndex: 0,
+      }),
+    );
+    const result = await loadAccounts();
+    expect(result.accounts[0].source).toBe("api-key");
+    expect(result.accounts[1].source).toBeUndefined();
+  });
+
+  it("keeps API keys in apiKey, moving them out of refreshToken from older files", async () => {
+    fs.readFile.mockResolvedValue(
+      JSON.stringify({
+        version: 1,
+        accounts: [
+          { refreshToken: "sk-ant-api03-old", source: "api-key" },
+          { apiKey: "sk-ant-api03-new", source: "api-key" },
+          { apiKey: "sk-ant-api03-orphan" },
+        ],
+        activeIndex: 0,
+      }),
+    );
+    const result = await loadAccounts();
+    expect(result.accounts).toHaveLength(2);
+    expect(result.accounts[0]).toMatchObject({ apiKey: "sk-ant-api03-old", refreshToken: undefined });
+    expect(result.accounts[1]).toMatchObject({ apiKey: "sk-ant-api03-new", refreshToken: undefined });
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -325,7 +404,9 @@ describe("saveAccounts", () => {
   beforeEach(() => {
     vi.resetAllMocks();
     existsSync.mockReturnValue(true);
-    readFileSync.mockReturnValue(".gitignore\nanthropic-accounts.json\nanthropic-accounts.json.*.tmp\n");
+    readFileSync.mockReturnValue(
+      ".gitignore\nanthropic-accounts.json\nanthropic-accounts.json.*.tmp\nanthropic-accounts*.key\n",
+    );
     fs.mkdir.mockResolvedValue(undefined);
     fs.writeFile.mockResolvedValue(undefined);
     fs.rename.mockResolvedValue(undefined);
@@ -612,3 +693,204 @@ describe("loadAccounts with stats", () => {
     expect(result.accounts[0].stats.outputTokens).toBe(0);
   });
 });
+
+// ---------------------------------------------------------------------------
+// Encrypted storage (version 2)
+// ---------------------------------------------------------------------------
+
+describe("encrypted storage", () => {
+  const plaintext = {
+    version: 1,
+    accounts: [{ id: "a1", refreshToken: "refresh-secret", access: "access-secret", addedAt: 1000 }],
+    activeIndex: 0,
+  };
+
+  const makeEnvelope = (secret = "pw") =>
+    JSON.stringify(
+      encryptPayload(plaintext, { backend: "passphrase", secret, kdf: { ...createKdfParams(), N: 1024 } }),
+    );
+
+  /** Last content written through the temp-file path. */
+  const lastWritten = () => JSON.parse(fs.writeFile.mock.calls.at(-1)[1]);
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    existsSync.mockReturnValue(true);
+    readFileSync.mockReturnValue(
+      ".gitignore\nanthropic-accounts.json\nanthropic-accounts.json.*.tmp\nanthropic-accounts*.key\n",
+    );
+    fs.mkdir.mockResolvedValue(undefined);
+    fs.writeFile.mockResolvedValue(undefined);
+    fs.rename.mockResolvedValue(undefined);
+    process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE = "pw";
+  });
+
+  afterEach(() => {
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+  });
+
+  it("loadAccounts unlocks a version 2 file transparently", async () => {
+    fs.readFile.mockResolvedValue(makeEnvelope());
+    const result = await loadAccounts();
+    expect(result.accounts[0].refreshToken).toBe("refresh-secret");
+    expect(getStorageEncryption()).toEqual({ backend: "passphrase" });
+  });
+
+  it("loadAccounts throws (instead of returning null) when the file is locked", async () => {
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+    fs.readFile.mockResolvedValue(makeEnvelope());
+    await expect(loadAccounts()).rejects.toThrow("Account storage is locked");
+  });
+
+  it("loadAccounts throws on a wrong passphrase", async () => {
+    fs.readFile.mockResolvedValue(makeEnvelope("other"));
+    await expect(loadAccounts()).rejects.toThrow("wrong key or corrupted file");
+  });
+
+  it("saveAccounts re-encrypts when the file on disk is encrypted", async () => {
+    fs.readFile.mockResolvedValue(makeEnvelope());
+    const stored = await loadAccounts();
+    await saveAccounts(stored);
+
+    const written = lastWritten();
+    expect(written.version).toBe(2);
+    expect(written.encryption.backend).toBe("passphrase");
+    expect(JSON.stringify(written)).not.toContain("refresh-secret");
+  });
+
+  it("saveAccounts refuses to downgrade a locked encrypted file to plaintext", async () => {
+    fs.readFile.mockResolvedValue(makeEnvelope());
+    delete process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE;
+    await expect(loadAccounts()).rejects.toThrow("locked");
+    await expect(saveAccounts({ version: 1, accounts: [], activeIndex: 0 })).rejects.toThrow("locked");
+    expect(fs.rename).not.toHaveBeenCalled();
+  });
+
+  it("saveAccounts keeps plaintext files plaintext", async () => {
+    fs.readFile.mockResolvedValue(JSON.stringify(plaintext));
+    const stored = await loadAccounts();
+    await saveAccounts(stored);
+    expect(lastWritten().version).toBe(1);
+    expect(getStorageEncryption()).toBeNull();
+  });
+
+  it("encryptAccountsFile migrates a version 1 file to version 2", async () => {
+    fs.readFile.mockResolvedValue(JSON.stringify(plaintext));
+    const result = await encryptAccountsFile({ backend: "passphrase", passphrase: "new-pw" });
+    expect(result).toEqual({ backend: "passphrase" });
+
+    const written = lastWritten();
+    expect(written.version).toBe(2);
+    // Written envelope decrypts with the new passphrase
+    process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE = "new-pw";
+    fs.readFile.mockResolvedValue(JSON.stringify(written));
+    expect((await loadAccounts()).accounts[0].refreshToken).toBe("refresh-secret");
+  });
+
+  it("encryptAccountsFile rejects an already-encrypted file and unknown backends", async () => {
+    fs.readFile.mockResolvedValue(makeEnvelope());
+    await expect(encryptAccountsFile({ passphrase: "x" })).rejects.toThrow("already encrypted");
+
+    fs.readFile.mockResolvedValue(JSON.stringify(plaintext));
+    await expect(encryptAccountsFile({ backend: "nope" })).rejects.toThrow('Unknown key backend "nope"');
+  });
+
+  it("provisions and unlocks the key file named by OPENCODE_ANTHROPIC_STORAGE_KEY_FILE", async () => {
+    process.env.OPENCODE_ANTHROPIC_STORAGE_KEY_FILE = "/secrets/env.key";
+    try {
+      /** @type {Map<string, string>} */
+      const keyFiles = new Map();
+      const gitignore = readFileSync();
+      existsSync.mockImplementation((p) => !String(p).endsWith(".key") || keyFiles.has(p));
+      writeFileSync.mockImplementation((p, content) => {
+        if (String(p).endsWith(".key")) keyFiles.set(p, content);
+      });
+      readFileSync.mockImplementation((p) => keyFiles.get(p) ?? gitignore);
+      fs.readFile.mockResolvedValue(JSON.stringify(plaintext));
+
+      const result = await encryptAccountsFile({ backend: "keyfile" });
+      expect(result).toEqual({ backend: "keyfile", keyFile: "/secrets/env.key" });
+      expect([...keyFiles.keys()]).toEqual(["/secrets/env.key"]);
+
+      fs.readFile.mockResolvedValue(JSON.stringify(lastWritten()));
+      expect((await loadAccounts()).accounts[0].refreshToken).toBe("refresh-secret");
+
+      // Another path would be provisioned but never read back
+      await expect(rekeyAccountsFile({ backend: "keyfile" })).rejects.toThrow("OPENCODE_ANTHROPIC_STORAGE_KEY_FILE");
+      fs.readFile.mockResolvedValue(JSON.stringify(plaintext));
+      await loadAccounts();
+      await expect(encryptAccountsFile({ backend: "keyfile", keyFile: "/elsewhere.key" })).rejects.toThrow(
+        "OPENCODE_ANTHROPIC_STORAGE_KEY_FILE points at /secrets/env.key",
+      );
+    } finally {
+      delete process.env.OPENCODE_ANTHROPIC_STORAGE_KEY_FILE;
+    }
+  });
+
+  it("decryptAccountsFile writes a version 1 file", async () => {
+    fs.readFile.mockResolvedValue(makeEnvelope());
+    await decryptAccountsFile();
+    const written = lastWritten();
+    expect(written.version).toBe(1);
+    expect(written.accounts[0].refreshToken).toBe("refresh-secret");
+    expect(getStorageEncryption()).toBeNull();
+  });
+
+  it("decryptAccountsFile rejects a plaintext file", async () => {
+    fs.readFile.mockResolvedValue(JSON.stringify(plaintext));
+    await expect(decryptAccountsFile()).rejects.toThrow("not encrypted");
+  });
+
+  it("rekeyAccountsFile re-encrypts with a new salt and passphrase", async () => {
+    const original = makeEnvelope();
+    fs.readFile.mockResolvedValue(original);
+    await rekeyAccountsFile({ passphrase: "rotated" });
+
+    const written = lastWritten();
+    expect(written.encryption.kdf.salt).not.toBe(JSON.parse(original).encryption.kdf.salt);
+    process.env.OPENCODE_ANTHROPIC_STORAGE_PASSPHRASE = "rotated";
+    fs.readFile.mockResolvedValue(JSON.stringify(written));
+    expect((await loadAccounts()).accounts).toHaveLength(1);
+  });
+
+  it("rekeyAccountsFile deletes the old key file after saving, unless asked to keep it", async () => {
+    /** @type {Map<string, string>} */
+    const keyFiles = new Map([["/keys/old.key", "old-secret"]]);
+    const gitignore = readFileSync();
+    existsSync.mockImplementation((p) => !String(p).endsWith(".key") || keyFiles.has(p));
+    writeFileSync.mockImplementation((p, content) => {
+      if (String(p).endsWith(".key")) keyFiles.set(p, content);
+    });
+    readFileSync.mockImplementation((p) => keyFiles.get(p) ?? gitignore);
+    fs.unlink.mockImplementation(async (p) => {
+      keyFiles.delete(p);
+    });
+    fs.readFile.mockResolvedValue(JSON.stringify(plaintext));
+    await encryptAccountsFile({ backend: "keyfile", keyFile: "/keys/old.key" });
+
+    fs.readFile.mockResolvedValue(JSON.stringify(lastWritten()));
+    const kept = await rekeyAccountsFile({ keepOldKeyFile: true });
+    expect(kept).toMatchObject({ backend: "keyfile", oldKeyFile: "/keys/old.key", oldKeyFileRemoved: false });
+    expect(keyFiles.has("/keys/old.key")).toBe(true);
+
+    fs.readFile.mockResolvedValue(JSON.stringify(lastWritten()));
+    const order = [];
+    fs.rename.mockImplementation(async () => order.push("save"));
+    fs.unlink.mockImplementation(async (p) => {
+      order.push(`unlink ${p}`);
+      keyFiles.delete(p);
+    });
+    const removed = await rekeyAccountsFile({});
+    expect(removed).toMatchObject({ oldKeyFile: kept.keyFile, oldKeyFileRemoved: true });
+    expect(order).toEqual(["save", `unlink ${kept.keyFile}`]);
+    expect([...keyFiles.keys()]).toEqual(["/keys/old.key", removed.keyFile]);
+  });
+
+  it("rekeyAccountsFile restores the previous key when the write fails", async () => {
+    fs.readFile.mockResolvedValue(makeEnvelope());
+    fs.writeFile.mockRejectedValue(new Error("disk full"));
+    fs.unlink.mockResolvedValue(undefined);
+    await expect(rekeyAccountsFile({ passphrase: "rotated" })).rejects.toThrow("disk full");
+    expect(getStorageEncryption()).toEqual({ backend: "passphrase" });
+  });
+});
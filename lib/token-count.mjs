@@ -0,0 +1,139 @@
+import { createHash } from "node:crypto";
+
+/** Request fields `/v1/messages/count_tokens` accepts; everything else is dropped. */
+const COUNTABLE_FIELDS = ["model", "system", "messages", "tools", "tool_choice", "thinking"];
+
+/** Weight of the newest observation in the per-model calibration average. */
+const CALIBRATION_ALPHA = 0.3;
+
+/** Calibration ratios are clamped so one bad observation can't wreck estimates. */
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+
+/**
+ * Build a `/v1/messages/count_tokens` body from a parsed `/v1/messages` body.
+ * @param {Record<string, any>} parsed
+ * @returns {Record<string, unknown> | null} Null when the body has no model or messages
+ */
+export function buildCountTokensBody(parsed) {
+  if (!parsed || typeof parsed !== "object") return null;
+  if (typeof parsed.model !== "string" || !Array.isArray(parsed.messages)) return null;
+  /** @type {Record<string, unknown>} */
+  const body = {};
+  for (const field of COUNTABLE_FIELDS) {
+    if (parsed[field] !== undefined) body[field] = parsed[field];
+  }
+  return body;
+}
+
+/**
+ * Content hash used to cache exact counts.
+ * @param {Record<string, unknown>} countBody - Result of buildCountTokensBody
+ * @returns {string}
+ */
+export function hashCountTokensBody(countBody) {
+  return createHash("sha256").update(JSON.stringify(countBody)).digest("hex").slice(0, 32);
+}
+
+/**
+ * @typedef {object} TokenCalibrator
+ * @property {(model: string, estimated: number, actual: number) => number} observe - Record a heuristic
+ *   estimate and the real token count for the same prompt; returns the new ratio
+ * @property {(model: string) => number} ratio - Current actual/estimated ratio (1 when unknown)
+ * @property {(model: string, estimated: number) => number} adjust - Scale a heuristic estimate
+ * @property {() => { model: string, ratio: number, samples: number }[]} entries
+ * @property {() => void} reset
+ */
+
+/**
+ * Per-model calibration of the chars/4 heuristic. Each observation moves an
+ * exponential moving average of actual/estimated, so estimates converge over
+ * a session without a tokenizer.
+ * @returns {TokenCalibrator}
+ */
+export function createTokenCalibrator() {
+  /** @type {Map<string, { ratio: number, samples: number }>} */
+  const models = new Map();
+
+  return {
+    observe(model, estimated, actual) {
+      const entry = models.get(model);
+      if (!model || !(estimated > 0) || !(actual > 0)) return entry?.ratio ?? 1;
+      const observed = Math.min(MAX_RATIO, Math.max(MIN_RATIO, actual / estimated));
+      const ratio = entry ? entry.ratio + CALIBRATION_ALPHA * (observed - entry.ratio) : observed;
+      models.set(model, { ratio, samples: (entry?.samples ?? 0) + 1 });
+      return ratio;
+    },
+    ratio(model) {
+      return models.get(model)?.ratio ?? 1;
+    },
+    adjust(model, estimated) {
+      return Math.ceil(estimated * this.ratio(model));
+    },
+    entries() {
+      return [...models].map(([model, { ratio, samples }]) => ({ model, ratio, samples }));
+    },
+    reset() {
+      models.clear();
+    },
+  };
+}
+
+/**
+ * @typedef {object} TokenCounter
+ * @property {(key: string) => number | undefined} get - Cached exact count for a content hash
+ * @property {() => boolean} ready - True when a new count may start (nothing in flight, interval elapsed)
+ * @property {(key: string, run: () => Promise<number>) => Promise<number | undefined> | null} schedule -
+ *   Start a count in the background; null when cached, busy or rate-limited. Failures resolve to undefined.
+ * @property {() => void} clear
+ */
+
+/**
+ * Cache and rate-limit for exact token counts. At most one count runs at a
+ * time and starts are spaced by `minIntervalMs`, so counting never competes
+ * with the conversation for rate limit.
+ * @param {{ minIntervalMs: number, maxEntries: number, now?: () => number }} options
+ * @returns {TokenCounter}
+ */
+export function createTokenCounter({ minIntervalMs, maxEntries, now = Date.now }) {
+  /** @type {Map<string, number>} */
+  const cache = new Map();
+  let inFlight = false;
+  let lastStartedAt = -Infinity;
+
+  return {
+    get(key) {
+      const count = cache.get(key);
+      if (count === undefined) return undefined;
+      // Refresh recency for LRU eviction
+      cache.delete(key);
+      cache.set(key, count);
+      return count;
+    },
+    ready() {
+      return !inFlight && now() - lastStartedAt >= minIntervalMs;
+    },
+    schedule(key, run) {
+      if (cache.has(key) || !this.ready()) return null;
+      inFlight = true;
+      lastStartedAt = now();
+      return Promise.resolve()
+        .then(run)
+        .then(
+          (count) => {
+            if (!Number.isFinite(count)) return undefined;
+            cache.set(key, count);
+            while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+            return count;
+          },
+          () => undefined,
+        )
+        .finally(() => {
+          inFlight = false;
+        });
+    },
+    clear() {
+      cache.clear();
+    },
+  };
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from "vitest";
+
+import {
+  buildCountTokensBody,
+  createTokenCalibrator,
+  createTokenCounter,
+  hashCountTokensBody,
+} from "./token-count.mjs";
+
+describe("buildCountTokensBody", () => {
+  it("keeps only the fields count_tokens accepts", () => {
+    const body = buildCountTokensBody({
+      model: "claude-sonnet-4-6",
+      max_tokens: 8000,
+      stream: true,
+      metadata: { user_id: "u" },
+      system: [{ type: "text", text: "sys" }],
+      messages: [{ role: "user", content: "hi" }],
+      tools: [{ name: "read" }],
+      thinking: { type: "adaptive" },
+    });
+    expect(body).toEqual({
+      model: "claude-sonnet-4-6",
+      system: [{ type: "text", text: "sys" }],
+      messages: [{ role: "user", content: "hi" }],
+      tools: [{ name: "read" }],
+      thinking: { type: "adaptive" },
+    });
+    expect(buildCountTokensBody({ messages: [] })).toBeNull();
+  });
+
+  it("hashes identical content to the same key", () => {
+    const a = buildCountTokensBody({ model: "m", messages: [{ role: "user", content: "hi" }], stream: true });
+    const b = buildCountTokensBody({ model: "m", messages: [{ role: "user", content: "hi" }] });
+    expect(hashCountTokensBody(a)).toBe(hashCountTokensBody(b));
+    expect(hashCountTokensBody(a)).not.toBe(hashCountTokensBody({ ...b, model: "n" }));
+  });
+});
+
+describe("createTokenCalibrator", () => {
+  it("converges on the observed ratio per model", () => {
+    const calibrator = createTokenCalibrator();
+    expect(calibrator.adjust("opus", 1000)).toBe(1000);
+
+    expect(calibrator.observe("opus", 1000, 1500)).toBe(1.5);
+    expect(calibrator.observe("opus", 1000, 2000)).toBeCloseTo(1.65);
+    expect(calibrator.adjust("opus", 1000)).toBe(1650);
+    expect(calibrator.ratio("haiku")).toBe(1);
+    expect(calibrator.entries()).toEqual([{ model: "opus", ratio: expect.closeTo(1.65), samples: 2 }]);
+  });
+
+  it("ignores empty observations and clamps outliers", () => {
+    const calibrator = createTokenCalibrator();
+    calibrator.observe("opus", 0, 500);
+    calibrator.observe("", 100, 500);
+    expect(calibrator.entries()).toEqual([]);
+
+    calibrator.observe("opus", 10, 10_000);
+    expect(calibrator.ratio("opus")).toBe(4);
+    calibrator.reset();
+    expect(calibrator.ratio("opus")).toBe(1);
+  });
+});
+
+describe("createTokenCounter", () => {
+  it("caches counts by key and rate-limits new counts", async () => {
+    let now = 0;
+    const counter = createTokenCounter({ minIntervalMs: 10_000, maxEntries: 2, now: () => now });
+    const run = vi.fn().mockResolvedValue(1234);
+
+    expect(await counter.schedule("a", run)).toBe(1234);
+    expect(counter.get("a")).toBe(1234);
+    expect(counter.ready()).toBe(false);
+    expect(counter.schedule("b", run)).toBeNull();
+
+    now = 10_000;
+    expect(counter.schedule("a", run)).toBeNull(); // already cached
+    await counter.schedule("b", run);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  it("allows one count at a time and swallows failures", async () => {
+    let now = 0;
+    const counter = createTokenCounter({ minIntervalMs: 0, maxEntries: 2, now: () => now });
+    let finish;
+    const pending = counter.schedule("a", () => new Promise((resolve) => (finish = resolve)));
+    expect(counter.schedule("b", async () => 1)).toBeNull();
+    await vi.waitFor(() => expect(finish).toBeTypeOf("function"));
+    finish(10);
+    expect(await pending).toBe(10);
+
+    now = 1;
+    expect(await counter.schedule("b", async () => Promise.reject(new Error("429")))).toBeUndefined();
+    expect(counter.get("b")).toBeUndefined();
+    expect(counter.ready()).toBe(true);
+  });
+
+  it("evicts the least recently used count", async () => {
+    let now = 0;
+    const counter = createTokenCounter({ minIntervalMs: 0, maxEntries: 2, now: () => now++ });
+    await counter.schedule("a", async () => 1);
+    await counter.schedule("b", async () => 2);
+    counter.get("a");
+    await counter.schedule("c", async () => 3);
+    expect(counter.get("a")).toBe(1);
+    expect(counter.get("b")).toBeUndefined();
+    expect(counter.get("c")).toBe(3);
+  });
+});
@@ -0,0 +1,162 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, unlinkSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { randomBytes } from "node:crypto";
+import { getConfigDir } from "./config.mjs";
+
+const STATE_FILENAME = "anthropic-accounts-trackers.json";
+const STATE_VERSION = 1;
+
+/**
+ * Entries untouched for this long are dropped: every account has long since
+ * recovered to full health and a full bucket.
+ */
+const STALE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Health and token bucket state of one account, as the rotation trackers
+ * last recorded it. Recovery and regeneration for the time since are applied
+ * when the trackers read it back.
+ * @typedef {object} AccountTrackerState
+ * @property {import('./rotation.mjs').HealthState} [health]
+ * @property {import('./rotation.mjs').BucketState} [bucket]
+ */
+
+/**
+ * Tracker state per account ID. Keyed by ID rather than index so it survives
+ * accounts being added, removed or reordered.
+ * @typedef {Record<string, AccountTrackerState>} TrackerState
+ */
+
+/**
+ * @returns {string}
+ */
+export function getTrackerStatePath() {
+  return join(getConfigDir(), STATE_FILENAME);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is number}
+ */
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * @param {any} raw
+ * @returns {import('./rotation.mjs').HealthState | undefined}
+ */
+function parseHealth(raw) {
+  if (!raw || !isFiniteNumber(raw.score) || !isFiniteNumber(raw.lastUpdated)) return undefined;
+  const failures = isFiniteNumber(raw.consecutiveFailures) ? Math.max(0, Math.floor(raw.consecutiveFailures)) : 0;
+  return { score: raw.score, lastUpdated: raw.lastUpdated, consecutiveFailures: failures };
+}
+
+/**
+ * @param {any} raw
+ * @returns {import('./rotation.mjs').BucketState | undefined}
+ */
+function parseBucket(raw) {
+  if (!raw || !isFiniteNumber(raw.tokens) || !isFiniteNumber(raw.lastUpdated)) return undefined;
+  return { tokens: raw.tokens, lastUpdated: raw.lastUpdated };
+}
+
+/**
+ * Whichever of two states was updated last.
+ * @template {{ lastUpdated: number }} T
+ * @param {T | null | undefined} a
+ * @param {T | null | undefined} b
+ * @returns {T | undefined}
+ */
+export function newerTrackerState(a, b) {
+  if (!a) return b ?? undefined;
+  if (!b) return a;
+  return b.lastUpdated > a.lastUpdated ? b : a;
+}
+
+/**
+ * Load persisted tracker state, dropping malformed and stale entries.
+ * @param {number} [now]
+ * @returns {TrackerState}
+ */
+export function loadTrackerState(now = Date.now()) {
+  /** @type {TrackerState} */
+  const state = {};
+  const p = getTrackerStatePath();
+  if (!existsSync(p)) return state;
+  try {
+    const data = JSON.parse(readFileSync(p, "utf-8"));
+    if (!data?.accounts || typeof data.accounts !== "object") return state;
+    for (const [id, entry] of Object.entries(data.accounts)) {
+      const health = parseHealth(entry?.health);
+      const bucket = parseBucket(entry?.bucket);
+      const lastUpdated = Math.max(health?.lastUpdated ?? 0, bucket?.lastUpdated ?? 0);
+      if (now - lastUpdated > STALE_AFTER_MS) continue;
+      state[id] = {};
+      if (health) state[id].health = health;
+      if (bucket) state[id].bucket = bucket;
+    }
+  } catch {
+    // Corrupted or unreadable — every account starts fresh, as before persistence.
+  }
+  return state;
+}
+
+/**
+ * Merge a process's bucket into the one on disk. Buckets are counters, so a
+ * bucket this process changed since it last synced contributes its change
+ * rather than its value — otherwise concurrent processes would each overwrite
+ * the requests the others consumed.
+ * @param {import('./rotation.mjs').BucketState | undefined} disk
+ * @param {import('./rotation.mjs').BucketState | undefined} local
+ * @param {import('./rotation.mjs').BucketState | undefined} base - What this process last read or wrote
+ * @returns {import('./rotation.mjs').BucketState | undefined}
+ */
+function mergeBucket(disk, local, base) {
+  if (!disk || !local || !base) return newerTrackerState(disk, local);
+  if (local.lastUpdated <= base.lastUpdated) return disk;
+  return {
+    tokens: Math.max(0, disk.tokens + local.tokens - base.tokens),
+    lastUpdated: Math.max(disk.lastUpdated, local.lastUpdated),
+  };
+}
+
+/**
+ * Merge this process's tracker state into the file and return the result.
+ * Re-reads the file first so concurrent OpenCode instances share state: per
+ * account, the most recently updated health wins and token buckets add up
+ * the consumption of every process.
+ * @param {TrackerState} local
+ * @param {number} [now]
+ * @param {TrackerState} [base] - State this process last loaded or saved
+ * @returns {TrackerState} Merged state, including entries other processes wrote
+ */
+export function saveTrackerState(local, now = Date.now(), base = {}) {
+  const merged = loadTrackerState(now);
+  for (const [id, entry] of Object.entries(local)) {
+    const health = newerTrackerState(merged[id]?.health, entry.health);
+    const bucket = mergeBucket(merged[id]?.bucket, entry.bucket, base[id]?.bucket);
+    merged[id] = {};
+    if (health) merged[id].health = health;
+    if (bucket) merged[id].bucket = bucket;
+  }
+
+  const p = getTrackerStatePath();
+  const tmpPath = `${p}.${randomBytes(6).toString("hex")}.tmp`;
+  try {
+    mkdirSync(dirname(p), { recursive: true });
+    writeFileSync(tmpPath, JSON.stringify({ version: STATE_VERSION, accounts: merged }, null, 2), {
+      encoding: "utf-8",
+      mode: 0o600,
+    });
+    renameSync(tmpPath, p);
+  } catch {
+    // Best-effort.
+    try {
+      unlinkSync(tmpPath);
+    } catch {
+      // Never written, or already gone.
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+let configDir = "";
+
+vi.mock("./config.mjs", () => ({
+  getConfigDir: () => configDir,
+}));
+
+import { getTrackerStatePath, loadTrackerState, newerTrackerState, saveTrackerState } from "./tracker-state.mjs";
+
+const NOW = Date.parse("2026-03-20T12:00:00Z");
+const DAY = 86_400_000;
+
+beforeEach(() => {
+  configDir = mkdtempSync(join(tmpdir(), "opencode-tracker-state-"));
+});
+
+afterEach(() => {
+  rmSync(configDir, { recursive: true, force: true });
+});
+
+describe("loadTrackerState", () => {
+  it("returns empty state without a file or with a corrupted one", () => {
+    expect(loadTrackerState(NOW)).toEqual({});
+    writeFileSync(getTrackerStatePath(), "{not json");
+    expect(loadTrackerState(NOW)).toEqual({});
+  });
+
+  it("drops malformed and stale entries", () => {
+    writeFileSync(
+      getTrackerStatePath(),
+      JSON.stringify({
+        version: 1,
+        accounts: {
+          fresh: { health: { score: 40, lastUpdated: NOW - 1000 }, bucket: { tokens: "many", lastUpdated: NOW } },
+          stale: { health: { score: 10, lastUpdated: NOW - 8 * DAY, consecutiveFailures: 5 } },
+          broken: null,
+        },
+      }),
+    );
+
+    expect(loadTrackerState(NOW)).toEqual({
+      fresh: { health: { score: 40, lastUpdated: NOW - 1000, consecutiveFailures: 0 } },
+    });
+  });
+});
+
+describe("saveTrackerState", () => {
+  it("merges with state other processes wrote, newest update per tracker winning", () => {
+    saveTrackerState(
+      {
+        "acc-1": {
+          health: { score: 50, lastUpdated: NOW - 1000, consecutiveFailures: 1 },
+          bucket: { tokens: 10, lastUpdated: NOW - 1000 },
+        },
+        "acc-2": { bucket: { tokens: 3, lastUpdated: NOW - 500 } },
+      },
+      NOW,
+    );
+
+    const merged = saveTrackerState(
+      {
+        "acc-1": {
+          health: { score: 60, lastUpdated: NOW, consecutiveFailures: 0 },
+          bucket: { tokens: 40, lastUpdated: NOW - 5000 },
+        },
+      },
+      NOW,
+    );
+
+    const expected = {
+      "acc-1": {
+        health: { score: 60, lastUpdated: NOW, consecutiveFailures: 0 },
+        bucket: { tokens: 10, lastUpdated: NOW - 1000 },
+      },
+      "acc-2": { bucket: { tokens: 3, lastUpdated: NOW - 500 } },
+    };
+    expect(merged).toEqual(expected);
+    expect(JSON.parse(readFileSync(getTrackerStatePath(), "utf-8"))).toEqual({ version: 1, accounts: expected });
+  });
+
+  it("adds up token bucket consumption of concurrent processes", () => {
+    const base = { "acc-1": { bucket: { tokens: 50, lastUpdated: NOW - 2000 } } };
+    saveTrackerState(base, NOW - 2000);
+    // Another process consumed two tokens since both synced.
+    saveTrackerState({ "acc-1": { bucket: { tokens: 48, lastUpdated: NOW - 1000 } } }, NOW - 1000, base);
+
+    const merged = saveTrackerState({ "acc-1": { bucket: { tokens: 49, lastUpdated: NOW } } }, NOW, base);
+
+    expect(merged["acc-1"].bucket).toEqual({ tokens: 47, lastUpdated: NOW });
+  });
+
+  it("keeps the bucket on disk when ours has not changed since the last sync", () => {
+    const base = { "acc-1": { bucket: { tokens: 50, lastUpdated: NOW - 2000 } } };
+    saveTrackerState({ "acc-1": { bucket: { tokens: 45, lastUpdated: NOW - 1000 } } }, NOW);
+
+    const merged = saveTrackerState(base, NOW, base);
+
+    expect(merged["acc-1"].bucket).toEqual({ tokens: 45, lastUpdated: NOW - 1000 });
+  });
+
+  it("removes its temporary file when the state file cannot be replaced", () => {
+    mkdirSync(getTrackerStatePath());
+
+    saveTrackerState({ "acc-1": { bucket: { tokens: 1, lastUpdated: NOW } } }, NOW);
+
+    expect(readdirSync(configDir).filter((name) => name.endsWith(".tmp"))).toEqual([]);
+  });
+});
+
+describe("newerTrackerState", () => {
+  it("prefers the later update and tolerates missing sides", () => {
+    const older = { tokens: 1, lastUpdated: 1 };
+    const newer = { tokens: 2, lastUpdated: 2 };
+    expect(newerTrackerState(older, newer)).toBe(newer);
+    expect(newerTrackerState(newer, older)).toBe(newer);
+    expect(newerTrackerState(null, older)).toBe(older);
+    expect(newerTrackerState(older, undefined)).toBe(older);
+    expect(newerTrackerState(null, undefined)).toBeUndefined();
+  });
+});
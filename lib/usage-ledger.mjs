@@ -0,0 +1,687 @@
+import { promises as fs } from "node:fs";
+import { appendFileSync, closeSync, existsSync, fstatSync, mkdirSync, openSync, readFileSync, readSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { createHash, randomBytes } from "node:crypto";
+import { getConfigDir } from "./config.mjs";
+import { acquireRefreshLock, releaseRefreshLock } from "./refresh-lock.mjs";
+
+const LEDGER_FILENAME = "anthropic-usage.jsonl";
+const ROLLUPS_FILENAME = "anthropic-usage-rollups.json";
+const ROLLUPS_VERSION = 1;
+const DAY_MS = 86_400_000;
+
+/** Lock id shared with the refresh-lock directory; one compactor at a time. */
+const COMPACTION_LOCK_ID = "usage-ledger-compaction";
+
+/** Dimensions accepted by `queryUsage({ by })`. */
+export const USAGE_GROUP_BY = ["day", "week", "month", "model", "account", "role"];
+
+/**
+ * @typedef {object} UsageCost
+ * @property {number} input
+ * @property {number} output
+ * @property {number} cacheRead
+ * @property {number} cacheWrite
+ * @property {number} webSearch
+ */
+
+/**
+ * One completed request, as appended to the ledger.
+ * @typedef {object} UsageRecord
+ * @property {number} ts - Completion time (ms since epoch)
+ * @property {string} accountId
+ * @property {string} model
+ * @property {string} role - Request role from classifyRequestRole()
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cacheReadTokens
+ * @property {number} cacheWriteTokens
+ * @property {number} webSearchRequests
+ * @property {number} costUsd
+ * @property {UsageCost} cost
+ * @property {boolean} [billable] - Served by an API-key account, so costUsd is actually billed
+ */
+
+/**
+ * Aggregated usage for one UTC day / account / model / role.
+ * @typedef {object} UsageRollup
+ * @property {string} day - UTC date, YYYY-MM-DD
+ * @property {string} accountId
+ * @property {string} model
+ * @property {string} role
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cacheReadTokens
+ * @property {number} cacheWriteTokens
+ * @property {number} webSearchRequests
+ * @property {number} costUsd
+ * @property {number} [billableCostUsd] - Part of costUsd billed to API keys (absent in older rollups)
+ * @property {UsageCost} cost
+ */
+
+/**
+ * @typedef {object} UsageRow
+ * @property {string} key
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cacheReadTokens
+ * @property {number} cacheWriteTokens
+ * @property {number} webSearchRequests
+ * @property {number} costUsd
+ * @property {number} billableCostUsd - Part of costUsd billed to API keys
+ * @property {UsageCost} cost
+ */
+
+// ---------------------------------------------------------------------------
+// Paths
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {string}
+ */
+export function getUsageLedgerPath() {
+  return join(getConfigDir(), LEDGER_FILENAME);
+}
+
+/**
+ * @returns {string}
+ */
+export function getUsageRollupsPath() {
+  return join(getConfigDir(), ROLLUPS_FILENAME);
+}
+
+/**
+ * Ledger file being folded by an in-progress (or interrupted) compaction.
+ * @returns {string}
+ */
+function getCompactingPath() {
+  return `${getUsageLedgerPath()}.compacting`;
+}
+
+// ---------------------------------------------------------------------------
+// Date helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {number} ts
+ * @returns {string} UTC date (YYYY-MM-DD)
+ */
+export function toUtcDay(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/**
+ * ISO-8601 week label for a UTC date, e.g. "2026-W03".
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string}
+ */
+function toIsoWeek(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  const weekday = d.getUTCDay() || 7;
+  // Shift to the Thursday of this week; its year owns the week.
+  d.setUTCDate(d.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((d.getTime() - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Parse a `--since` value into a timestamp.
+ *
+ * Accepts relative durations (`30m`, `24h`, `7d`, `2w`), `today`, or anything
+ * `Date.parse` understands (`2026-01-15`, full ISO timestamps).
+ *
+ * @param {string | undefined} value
+ * @param {number} [now]
+ * @returns {number | null} ms since epoch, or null when unparseable
+ */
+export function parseSince(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = value.trim().toLowerCase();
+  if (trimmed === "today") return Date.parse(`${toUtcDay(now)}T00:00:00Z`);
+
+  const rel = /^(\d+)\s*(m|h|d|w)$/.exec(trimmed);
+  if (rel) {
+    const unitMs = { m: 60_000, h: 3_600_000, d: DAY_MS, w: 7 * DAY_MS }[rel[2]];
+    return now - Number(rel[1]) * unitMs;
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// ---------------------------------------------------------------------------
+// Reading / writing
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {UsageCost}
+ */
+function emptyCost() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, webSearch: 0 };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number}
+ */
+function num(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Append one completed request to the ledger. Best-effort: disk failures are
+ * swallowed so usage tracking never breaks a request.
+ * @param {Omit<UsageRecord, "ts"> & { ts?: number }} record
+ */
+export function appendUsageRecord(record) {
+  const path = getUsageLedgerPath();
+  /** @type {UsageRecord} */
+  const entry = {
+    ts: record.ts ?? Date.now(),
+    accountId: record.accountId || "unknown",
+    model: record.model || "unknown",
+    role: record.role || "unknown",
+    inputTokens: num(record.inputTokens),
+    outputTokens: num(record.outputTokens),
+    cacheReadTokens: num(record.cacheReadTokens),
+    cacheWriteTokens: num(record.cacheWriteTokens),
+    webSearchRequests: num(record.webSearchRequests),
+    costUsd: num(record.costUsd),
+    cost: { ...emptyCost(), ...record.cost },
+  };
+  if (record.billable) entry.billable = true;
+  try {
+    mkdirSync(dirname(path), { recursive: true });
+    appendFileSync(path, JSON.stringify(entry) + "\n", { encoding: "utf-8", mode: 0o600 });
+  } catch {
+    // Best-effort.
+  }
+}
+
+/**
+ * Parse a JSONL ledger file, skipping torn or malformed lines.
+ * @param {string} path
+ * @returns {UsageRecord[]}
+ */
+function readLedgerFile(path) {
+  if (!existsSync(path)) return [];
+  let content;
+  try {
+    content = readFileSync(path, "utf-8");
+  } catch {
+    return [];
+  }
+  return parseLedgerLines(content);
+}
+
+/**
+ * @param {string} content - JSONL text
+ * @returns {UsageRecord[]}
+ */
+function parseLedgerLines(content) {
+  /** @type {UsageRecord[]} */
+  const records = [];
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed && typeof parsed.ts === "number") records.push(parsed);
+    } catch {
+      // A partially written trailing line from a crashed process.
+    }
+  }
+  return records;
+}
+
+/**
+ * Raw ledger records, including any left behind by an interrupted compaction.
+ * @returns {UsageRecord[]}
+ */
+export function readUsageRecords() {
+  const compacting = readCompactingFile();
+  // A batch already in the rollups is only waiting to be deleted
+  const pending = compacting.batch && compacting.batch === readRollupsFile().compaction ? [] : compacting.records;
+  return [...pending, ...readLedgerFile(getUsageLedgerPath())];
+}
+
+/**
+ * The newest ledger records, read from the end of the file so polling stays
+ * cheap however large the ledger grows.
+ * @param {number} limit
+ * @param {number} [maxBytes] - How much of the file tail to scan
+ * @returns {UsageRecord[]} Oldest first
+ */
+export function readRecentUsageRecords(limit, maxBytes = 64 * 1024) {
+  let fd;
+  try {
+    fd = openSync(getUsageLedgerPath(), "r");
+    const size = fstatSync(fd).size;
+    const start = Math.max(0, size - maxBytes);
+    const buffer = Buffer.alloc(size - start);
+    readSync(fd, buffer, 0, buffer.length, start);
+    let content = buffer.toString("utf-8");
+    // Drop the line the window starts in the middle of
+    if (start > 0) content = content.slice(content.indexOf("\n") + 1);
+    return parseLedgerLines(content).slice(-limit);
+  } catch {
+    return [];
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+/**
+ * @returns {UsageRollup[]}
+ */
+export function readUsageRollups() {
+  return readRollupsFile().rollups;
+}
+
+/**
+ * @returns {{ rollups: UsageRollup[], compaction: string | null }} compaction: ID of the last batch folded in
+ */
+function readRollupsFile() {
+  const path = getUsageRollupsPath();
+  if (!existsSync(path)) return { rollups: [], compaction: null };
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    if (data?.version !== ROLLUPS_VERSION || !Array.isArray(data.rollups)) return { rollups: [], compaction: null };
+    return { rollups: data.rollups, compaction: typeof data.compaction === "string" ? data.compaction : null };
+  } catch {
+    return { rollups: [], compaction: null };
+  }
+}
+
+/**
+ * @param {UsageRollup[]} rollups
+ * @param {string} compaction - Batch being committed
+ */
+async function writeUsageRollups(rollups, compaction) {
+  await writeFileAtomic(
+    getUsageRollupsPath(),
+    JSON.stringify({ version: ROLLUPS_VERSION, rollups, compaction }, null, 2),
+  );
+}
+
+/**
+ * @param {string} path
+ * @param {string} content
+ */
+async function writeFileAtomic(path, content) {
+  const tempPath = `${path}.${randomBytes(6).toString("hex")}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content, { encoding: "utf-8", mode: 0o600 });
+    await fs.rename(tempPath, path);
+  } catch (error) {
+    try {
+      await fs.unlink(tempPath);
+    } catch {
+      // Ignore cleanup errors
+    }
+    throw error;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation
+// ---------------------------------------------------------------------------
+
+/**
+ * Add a record (requests = 1) or a rollup (requests = n) into an accumulator.
+ * @param {Omit<UsageRow, "key"> | UsageRollup} target
+ * @param {UsageRecord | UsageRollup} source
+ */
+function accumulate(target, source) {
+  target.requests += "requests" in source ? num(source.requests) : 1;
+  target.inputTokens += num(source.inputTokens);
+  target.outputTokens += num(source.outputTokens);
+  target.cacheReadTokens += num(source.cacheReadTokens);
+  target.cacheWriteTokens += num(source.cacheWriteTokens);
+  target.webSearchRequests += num(source.webSearchRequests);
+  target.costUsd += num(source.costUsd);
+  // Records carry a billable flag; rollups carry the billable share of their cost.
+  target.billableCostUsd =
+    num(target.billableCostUsd) +
+    ("billable" in source && source.billable ? num(source.costUsd) : num(source.billableCostUsd));
+  target.cost.input += num(source.cost?.input);
+  target.cost.output += num(source.cost?.output);
+  target.cost.cacheRead += num(source.cost?.cacheRead);
+  target.cost.cacheWrite += num(source.cost?.cacheWrite);
+  target.cost.webSearch += num(source.cost?.webSearch);
+}
+
+/**
+ * @returns {Omit<UsageRow, "key">}
+ */
+function emptyTotals() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    webSearchRequests: 0,
+    costUsd: 0,
+    billableCostUsd: 0,
+    cost: emptyCost(),
+  };
+}
+
+/**
+ * Fold records into rollups keyed by day/account/model/role.
+ * @param {UsageRollup[]} rollups - Existing rollups (not mutated)
+ * @param {UsageRecord[]} records
+ * @returns {UsageRollup[]}
+ */
+export function foldIntoRollups(rollups, records) {
+  /** @type {Map<string, UsageRollup>} */
+  const byKey = new Map();
+  const keyOf = (/** @type {{ day: string, accountId: string, model: string, role: string }} */ r) =>
+    `${r.day}\u0000${r.accountId}\u0000${r.model}\u0000${r.role}`;
+
+  for (const r of rollups) {
+    byKey.set(keyOf(r), { ...r, cost: { ...emptyCost(), ...r.cost } });
+  }
+  for (const rec of records) {
+    const dims = { day: toUtcDay(rec.ts), accountId: rec.accountId, model: rec.model, role: rec.role };
+    const key = keyOf(dims);
+    let rollup = byKey.get(key);
+    if (!rollup) {
+      rollup = { ...dims, ...emptyTotals() };
+      byKey.set(key, rollup);
+    }
+    accumulate(rollup, rec);
+  }
+
+  return [...byKey.values()].sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Group key for a record or rollup.
+ * @param {{ day: string, accountId: string, model: string, role: string }} dims
+ * @param {string} by
+ * @returns {string}
+ */
+function groupKey(dims, by) {
+  switch (by) {
+    case "week":
+      return toIsoWeek(dims.day);
+    case "month":
+      return dims.day.slice(0, 7);
+    case "model":
+      return dims.model;
+    case "account":
+      return dims.accountId;
+    case "role":
+      return dims.role;
+    default:
+      return dims.day;
+  }
+}
+
+/**
+ * Query the ledger and its rollups.
+ *
+ * Raw records are filtered by exact timestamp; rollups only have day
+ * resolution, so a rollup is included when its UTC day overlaps the window.
+ *
+ * @param {{ since?: number | null, until?: number | null, by?: string }} [opts]
+ * @returns {{ by: string, rows: UsageRow[], totals: Omit<UsageRow, "key">, firstTs: number | null }}
+ */
+export function queryUsage(opts = {}) {
+  const by = USAGE_GROUP_BY.includes(opts.by || "") ? /** @type {string} */ (opts.by) : "day";
+  const since = opts.since ?? null;
+  const until = opts.until ?? null;
+  const sinceDay = since != null ? toUtcDay(since) : null;
+  const untilDay = until != null ? toUtcDay(until) : null;
+
+  /** @type {Map<string, UsageRow>} */
+  const groups = new Map();
+  const totals = emptyTotals();
+  /** @type {number | null} */
+  let firstTs = null;
+
+  const add = (/** @type {string} */ key, /** @type {UsageRecord | UsageRollup} */ source) => {
+    let row = groups.get(key);
+    if (!row) {
+      row = { key, ...emptyTotals() };
+      groups.set(key, row);
+    }
+    accumulate(row, source);
+    accumulate(totals, source);
+  };
+
+  for (const rollup of readUsageRollups()) {
+    if (sinceDay && rollup.day < sinceDay) continue;
+    if (untilDay && rollup.day > untilDay) continue;
+    add(groupKey(rollup, by), rollup);
+    const dayStart = Date.parse(`${rollup.day}T00:00:00Z`);
+    if (firstTs == null || dayStart < firstTs) firstTs = dayStart;
+  }
+
+  for (const rec of readUsageRecords()) {
+    if (since != null && rec.ts < since) continue;
+    if (until != null && rec.ts > until) continue;
+    const dims = { day: toUtcDay(rec.ts), accountId: rec.accountId, model: rec.model, role: rec.role };
+    add(groupKey(dims, by), rec);
+    if (firstTs == null || rec.ts < firstTs) firstTs = rec.ts;
+  }
+
+  const rows = [...groups.values()];
+  if (by === "day" || by === "week" || by === "month") {
+    rows.sort((a, b) => a.key.localeCompare(b.key));
+  } else {
+    rows.sort((a, b) => b.costUsd - a.costUsd || b.requests - a.requests);
+  }
+
+  return { by, rows, totals, firstTs };
+}
+
+// ---------------------------------------------------------------------------
+// Compaction
+// ---------------------------------------------------------------------------
+
+/**
+ * The compacting file. Once split, its first line names the batch and the
+ * records below it are exactly the ones that batch folds into rollups.
+ * @returns {{ batch: string | null, records: UsageRecord[] }}
+ */
+function readCompactingFile() {
+  const path = getCompactingPath();
+  if (!existsSync(path)) return { batch: null, records: [] };
+  let content;
+  try {
+    content = readFileSync(path, "utf-8");
+  } catch {
+    return { batch: null, records: [] };
+  }
+  let batch = null;
+  try {
+    const first = JSON.parse(content.split("\n", 1)[0]);
+    if (typeof first?.compaction === "string") batch = first.compaction;
+  } catch {
+    // Not split yet: the whole file is a renamed ledger
+  }
+  return { batch, records: parseLedgerLines(content) };
+}
+
+/**
+ * The cutoff day under which the recent records of `batch` were already put
+ * back in the live ledger, or null if they were not.
+ * @param {string} batch
+ * @returns {string | null}
+ */
+function findRestoredCutoff(batch) {
+  let content;
+  try {
+    content = readFileSync(getUsageLedgerPath(), "utf-8");
+  } catch {
+    return null;
+  }
+  for (const line of content.split("\n")) {
+    if (!line.includes(batch)) continue;
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed?.restored === batch && typeof parsed.cutoffDay === "string") return parsed.cutoffDay;
+    } catch {
+      // Not a marker
+    }
+  }
+  return null;
+}
+
+/**
+ * Fold the compacting file into the rollups.
+ *
+ * The recent records (from the cutoff day on) go back to the live ledger
+ * first, followed by a marker line naming the batch and the cutoff. The batch
+ * ID is derived from the file's records, so a retry after a crash finds the
+ * marker and neither appends them twice nor splits elsewhere. Only then is the file split: rewritten to hold the
+ * older records under that batch ID. Writing the rollups records the batch ID
+ * in the same atomic rename, so a crash before the file is deleted cannot
+ * fold it twice.
+ *
+ * @param {string} cutoffDay
+ * @returns {Promise<{ compacted: number, retained: number }>}
+ */
+async function foldCompactingFile(cutoffDay) {
+  const compactingPath = getCompactingPath();
+  let { batch, records } = readCompactingFile();
+  const { rollups, compaction } = readRollupsFile();
+  let retained = 0;
+
+  if (batch && batch === compaction) {
+    records = [];
+  } else if (!batch) {
+    batch = createHash("sha256")
+      .update(records.map((r) => JSON.stringify(r)).join("\n"))
+      .digest("hex")
+      .slice(0, 16);
+    // A retry splits where the interrupted run did, whatever the date is now
+    const restoredCutoff = findRestoredCutoff(batch);
+    const splitDay = restoredCutoff ?? cutoffDay;
+    const recent = records.filter((r) => toUtcDay(r.ts) >= splitDay);
+    records = records.filter((r) => toUtcDay(r.ts) < splitDay);
+    if (recent.length > 0 && !restoredCutoff) {
+      const lines = [...recent.map((r) => JSON.stringify(r)), JSON.stringify({ restored: batch, cutoffDay })];
+      appendFileSync(getUsageLedgerPath(), lines.join("\n") + "\n", { encoding: "utf-8", mode: 0o600 });
+    }
+    const lines = [JSON.stringify({ compaction: batch }), ...records.map((r) => JSON.stringify(r))];
+    await writeFileAtomic(compactingPath, lines.join("\n") + "\n");
+    retained = recent.length;
+  }
+
+  if (records.length > 0) await writeUsageRollups(foldIntoRollups(rollups, records), batch);
+  await fs.rm(compactingPath, { force: true });
+  return { compacted: records.length, retained };
+}
+
+/**
+ * Fold ledger records older than `retainDays` into daily rollups.
+ *
+ * The live ledger is renamed aside first so concurrent appenders start a
+ * fresh file instead of racing the rewrite; recent records are appended back
+ * afterwards. A cross-process lock keeps two compactors from double-counting.
+ *
+ * @param {{ retainDays?: number, now?: number }} [opts]
+ * @returns {Promise<{ compacted: number, retained: number } | null>} null when another process holds the lock
+ */
+export async function compactUsageLedger(opts = {}) {
+  const retainDays = Math.max(0, opts.retainDays ?? 14);
+  const now = opts.now ?? Date.now();
+  const cutoffDay = toUtcDay(now - retainDays * DAY_MS);
+
+  const lock = await acquireRefreshLock(COMPACTION_LOCK_ID, { timeoutMs: 100 });
+  if (!lock.acquired) return null;
+
+  try {
+    const result = { compacted: 0, retained: 0 };
+    // A leftover .compacting file means a previous run died mid-way; finish
+    // that batch before starting on the current ledger.
+    if (existsSync(getCompactingPath())) {
+      const leftover = await foldCompactingFile(cutoffDay);
+      result.compacted += leftover.compacted;
+      result.retained = leftover.retained;
+    }
+    if (existsSync(getUsageLedgerPath())) {
+      await fs.rename(getUsageLedgerPath(), getCompactingPath());
+      const current = await foldCompactingFile(cutoffDay);
+      result.compacted += current.compacted;
+      result.retained = current.retained;
+    }
+    return result;
+  } finally {
+    await releaseRefreshLock(lock);
+  }
+}
+
+/** UTC day of the last compaction attempt in this process. */
+let lastCompactionDay = null;
+
+/**
+ * Compact the ledger at most once per UTC day per process. Best-effort.
+ * @param {{ retainDays?: number, now?: number }} [opts]
+ * @returns {Promise<void>}
+ */
+export async function maybeCompactUsageLedger(opts = {}) {
+  const today = toUtcDay(opts.now ?? Date.now());
+  if (lastCompactionDay === today) return;
+  lastCompactionDay = today;
+  try {
+    await compactUsageLedger(opts);
+  } catch {
+    // Best-effort; the next day's attempt picks up where this one stopped.
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Render query rows as CSV (header + one line per row).
+ * @param {UsageRow[]} rows
+ * @param {string} by - Header name for the key column
+ * @returns {string}
+ */
+export function formatUsageCsv(rows, by) {
+  const header = [
+    by,
+    "requests",
+    "input_tokens",
+    "output_tokens",
+    "cache_read_tokens",
+    "cache_write_tokens",
+    "web_search_requests",
+    "cost_usd",
+    "billable_cost_usd",
+  ];
+  const lines = [header.join(",")];
+  for (const row of rows) {
+    lines.push(
+      [
+        csvField(row.key),
+        row.requests,
+        row.inputTokens,
+        row.outputTokens,
+        row.cacheReadTokens,
+        row.cacheWriteTokens,
+        row.webSearchRequests,
+        row.costUsd.toFixed(6),
+        row.billableCostUsd.toFixed(6),
+      ].join(","),
+    );
+  }
+  return lines.join("\n");
+}
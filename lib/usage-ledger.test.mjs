@@ -0,0 +1,294 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { existsSync, mkdtempSync, promises as fsp, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+let configDir = "";
+
+vi.mock("./config.mjs", () => ({
+  getConfigDir: () => configDir,
+}));
+
+import {
+  appendUsageRecord,
+  compactUsageLedger,
+  foldIntoRollups,
+  formatUsageCsv,
+  getUsageLedgerPath,
+  getUsageRollupsPath,
+  parseSince,
+  queryUsage,
+  readRecentUsageRecords,
+  readUsageRecords,
+  readUsageRollups,
+} from "./usage-ledger.mjs";
+
+const NOW = Date.parse("2026-03-20T12:00:00Z");
+const DAY = 86_400_000;
+
+/**
+ * @param {Partial<import('./usage-ledger.mjs').UsageRecord>} overrides
+ */
+function record(overrides = {}) {
+  return {
+    ts: NOW,
+    accountId: "acc-1",
+    model: "claude-sonnet-4-6",
+    role: "main",
+    inputTokens: 100,
+    outputTokens: 50,
+    cacheReadTokens: 1000,
+    cacheWriteTokens: 10,
+    webSearchRequests: 0,
+    costUsd: 0.01,
+    cost: { input: 0.0003, output: 0.00075, cacheRead: 0.0003, cacheWrite: 0.0000375 },
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  configDir = mkdtempSync(join(tmpdir(), "opencode-usage-ledger-"));
+});
+
+afterEach(() => {
+  rmSync(configDir, { recursive: true, force: true });
+});
+
+describe("parseSince", () => {
+  it("parses relative durations", () => {
+    expect(parseSince("30m", NOW)).toBe(NOW - 30 * 60_000);
+    expect(parseSince("24h", NOW)).toBe(NOW - DAY);
+    expect(parseSince("7d", NOW)).toBe(NOW - 7 * DAY);
+    expect(parseSince("2w", NOW)).toBe(NOW - 14 * DAY);
+  });
+
+  it("parses today and absolute dates", () => {
+    expect(parseSince("today", NOW)).toBe(Date.parse("2026-03-20T00:00:00Z"));
+    expect(parseSince("2026-03-01", NOW)).toBe(Date.parse("2026-03-01"));
+  });
+
+  it("returns null for missing or invalid input", () => {
+    expect(parseSince(undefined, NOW)).toBeNull();
+    expect(parseSince("yesterday-ish", NOW)).toBeNull();
+  });
+});
+
+describe("appendUsageRecord", () => {
+  it("appends one JSON line per request", () => {
+    appendUsageRecord(record());
+    appendUsageRecord(record({ model: "claude-opus-4-6" }));
+    const lines = readFileSync(getUsageLedgerPath(), "utf-8").trim().split("\n");
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1]).model).toBe("claude-opus-4-6");
+  });
+
+  it("fills defaults for missing fields", () => {
+    appendUsageRecord({ accountId: "", model: "", role: "", inputTokens: 5 });
+    const [rec] = readUsageRecords();
+    expect(rec).toMatchObject({ accountId: "unknown", model: "unknown", role: "unknown", inputTokens: 5 });
+    expect(rec.cost).toEqual({ input: 0, output: 0, cacheRead: 0, cacheWrite: 0, webSearch: 0 });
+    expect(typeof rec.ts).toBe("number");
+  });
+
+  it("skips torn lines when reading", () => {
+    appendUsageRecord(record());
+    writeFileSync(getUsageLedgerPath(), readFileSync(getUsageLedgerPath(), "utf-8") + '{"ts": 1, "acc');
+    expect(readUsageRecords()).toHaveLength(1);
+  });
+
+  it("reads the newest records from the end of the file", () => {
+    expect(readRecentUsageRecords(3)).toEqual([]);
+    for (let i = 0; i < 20; i++) appendUsageRecord(record({ ts: NOW + i }));
+    expect(readRecentUsageRecords(3).map((r) => r.ts)).toEqual([NOW + 17, NOW + 18, NOW + 19]);
+    // A window that starts mid-line drops the partial line
+    const recent = readRecentUsageRecords(100, 1000);
+    expect(recent.length).toBeGreaterThan(0);
+    expect(recent.length).toBeLessThan(20);
+    expect(recent.at(-1).ts).toBe(NOW + 19);
+  });
+});
+
+describe("foldIntoRollups", () => {
+  it("aggregates by day, account, model and role", () => {
+    const rollups = foldIntoRollups(
+      [],
+      [record(), record({ ts: NOW + 1000 }), record({ role: "title" }), record({ ts: NOW - DAY })],
+    );
+    expect(rollups).toHaveLength(3);
+    const main = rollups.find((r) => r.day === "2026-03-20" && r.role === "main");
+    expect(main).toMatchObject({ requests: 2, inputTokens: 200, cacheReadTokens: 2000 });
+    expect(main.costUsd).toBeCloseTo(0.02);
+    expect(rollups[0].day).toBe("2026-03-19");
+  });
+
+  it("merges into existing rollups without mutating them", () => {
+    const existing = foldIntoRollups([], [record()]);
+    const merged = foldIntoRollups(existing, [record()]);
+    expect(existing[0].requests).toBe(1);
+    expect(merged[0].requests).toBe(2);
+  });
+});
+
+describe("compactUsageLedger", () => {
+  it("moves records older than the retention window into rollups", async () => {
+    appendUsageRecord(record({ ts: NOW - 20 * DAY }));
+    appendUsageRecord(record({ ts: NOW - 20 * DAY, accountId: "acc-2" }));
+    appendUsageRecord(record({ ts: NOW - DAY }));
+
+    const result = await compactUsageLedger({ retainDays: 14, now: NOW });
+    expect(result).toEqual({ compacted: 2, retained: 1 });
+
+    expect(readUsageRecords()).toHaveLength(1);
+    const rollups = readUsageRollups();
+    expect(rollups).toHaveLength(2);
+    expect(rollups.every((r) => r.day === "2026-02-28")).toBe(true);
+    expect(existsSync(`${getUsageLedgerPath()}.compacting`)).toBe(false);
+  });
+
+  it("keeps query totals identical before and after compaction", async () => {
+    for (let i = 0; i < 30; i++) appendUsageRecord(record({ ts: NOW - i * DAY }));
+    const before = queryUsage({ by: "model" });
+    await compactUsageLedger({ retainDays: 7, now: NOW });
+    const after = queryUsage({ by: "model" });
+    expect(after.totals.requests).toBe(30);
+    expect(after.totals.costUsd).toBeCloseTo(before.totals.costUsd);
+    expect(readUsageRecords().length).toBeLessThan(30);
+  });
+
+  it("recovers records left behind by an interrupted compaction", async () => {
+    writeFileSync(`${getUsageLedgerPath()}.compacting`, JSON.stringify(record({ ts: NOW - 30 * DAY })) + "\n");
+    appendUsageRecord(record());
+    expect(readUsageRecords()).toHaveLength(2);
+
+    await compactUsageLedger({ retainDays: 14, now: NOW });
+    expect(readUsageRecords()).toHaveLength(1);
+    expect(readUsageRollups()).toHaveLength(1);
+  });
+
+  it("keeps recent records when the split fails, and does not restore them twice", async () => {
+    appendUsageRecord(record({ ts: NOW - 20 * DAY }));
+    appendUsageRecord(record({ ts: NOW - DAY }));
+    const rename = fsp.rename;
+    let renames = 0;
+    // The ledger is moved aside, then writing the split file fails
+    const spy = vi.spyOn(fsp, "rename").mockImplementation(async (from, to) => {
+      if (++renames === 2) throw new Error("disk full");
+      return rename(from, to);
+    });
+    try {
+      await expect(compactUsageLedger({ retainDays: 14, now: NOW })).rejects.toThrow("disk full");
+    } finally {
+      spy.mockRestore();
+    }
+
+    // Retried once the recent record is old too: the leftover splits where the
+    // failed run did, and the restored copy is folded from the ledger only
+    expect(await compactUsageLedger({ retainDays: 14, now: NOW + 14 * DAY })).toEqual({ compacted: 2, retained: 0 });
+    expect(queryUsage().totals.requests).toBe(2);
+    expect(readUsageRecords()).toHaveLength(0);
+  });
+
+  it("does not fold a batch twice when it crashed after committing the rollups", async () => {
+    const compactingPath = `${getUsageLedgerPath()}.compacting`;
+    const old = record({ ts: NOW - 30 * DAY });
+    writeFileSync(
+      getUsageRollupsPath(),
+      JSON.stringify({ version: 1, rollups: foldIntoRollups([], [old]), compaction: "batch-1" }),
+    );
+    writeFileSync(compactingPath, `${JSON.stringify({ compaction: "batch-1" })}\n${JSON.stringify(old)}\n`);
+    appendUsageRecord(record());
+    expect(queryUsage().totals.requests).toBe(2);
+
+    expect(await compactUsageLedger({ retainDays: 14, now: NOW })).toEqual({ compacted: 0, retained: 1 });
+    expect(queryUsage().totals.requests).toBe(2);
+    expect(readUsageRollups()[0].requests).toBe(1);
+    expect(existsSync(compactingPath)).toBe(false);
+  });
+
+  it("folds a split batch whose rollups were never written", async () => {
+    const compactingPath = `${getUsageLedgerPath()}.compacting`;
+    writeFileSync(
+      compactingPath,
+      `${JSON.stringify({ compaction: "batch-2" })}\n${JSON.stringify(record({ ts: NOW - 30 * DAY }))}\n`,
+    );
+
+    expect(await compactUsageLedger({ retainDays: 14, now: NOW })).toEqual({ compacted: 1, retained: 0 });
+    expect(readUsageRollups()[0].requests).toBe(1);
+    expect(JSON.parse(readFileSync(getUsageRollupsPath(), "utf-8")).compaction).toBe("batch-2");
+  });
+
+  it("is a no-op on an empty ledger", async () => {
+    expect(await compactUsageLedger({ now: NOW })).toEqual({ compacted: 0, retained: 0 });
+    expect(existsSync(getUsageRollupsPath())).toBe(false);
+  });
+});
+
+describe("queryUsage", () => {
+  beforeEach(() => {
+    appendUsageRecord(record({ ts: NOW - 10 * DAY, model: "claude-opus-4-6", costUsd: 0.5 }));
+    appendUsageRecord(record({ ts: NOW - 2 * DAY, accountId: "acc-2" }));
+    appendUsageRecord(record({ ts: NOW, role: "title", costUsd: 0.001 }));
+  });
+
+  it("groups by day in chronological order", () => {
+    const { rows, totals } = queryUsage({ by: "day" });
+    expect(rows.map((r) => r.key)).toEqual(["2026-03-10", "2026-03-18", "2026-03-20"]);
+    expect(totals.requests).toBe(3);
+  });
+
+  it("groups by model and account, most expensive first", () => {
+    expect(queryUsage({ by: "model" }).rows.map((r) => r.key)).toEqual(["claude-opus-4-6", "claude-sonnet-4-6"]);
+    const byAccount = queryUsage({ by: "account" }).rows;
+    expect(byAccount.map((r) => r.key)).toEqual(["acc-1", "acc-2"]);
+    expect(byAccount[0].requests).toBe(2);
+  });
+
+  it("groups by week and month", () => {
+    expect(queryUsage({ by: "week" }).rows.map((r) => r.key)).toEqual(["2026-W11", "2026-W12"]);
+    expect(queryUsage({ by: "month" }).rows.map((r) => r.key)).toEqual(["2026-03"]);
+  });
+
+  it("filters by since and until", () => {
+    expect(queryUsage({ since: NOW - 3 * DAY }).totals.requests).toBe(2);
+    expect(queryUsage({ since: NOW - 3 * DAY, until: NOW - DAY }).totals.requests).toBe(1);
+  });
+
+  it("includes rollups for days inside the window", async () => {
+    await compactUsageLedger({ retainDays: 5, now: NOW });
+    expect(readUsageRollups()).toHaveLength(1);
+    expect(queryUsage({ since: NOW - 11 * DAY }).totals.requests).toBe(3);
+    expect(queryUsage({ since: NOW - 3 * DAY }).totals.requests).toBe(2);
+  });
+
+  it("falls back to grouping by day for unknown dimensions", () => {
+    expect(queryUsage({ by: "nope" }).by).toBe("day");
+  });
+
+  it("reports the earliest tracked timestamp", () => {
+    expect(queryUsage().firstTs).toBe(NOW - 10 * DAY);
+  });
+
+  it("totals the cost billed to API keys, including compacted days", async () => {
+    appendUsageRecord(record({ ts: NOW - 9 * DAY, accountId: "key-1", costUsd: 0.25, billable: true }));
+    appendUsageRecord(record({ ts: NOW, accountId: "key-1", costUsd: 0.05, billable: true }));
+    expect(readUsageRecords().filter((r) => r.billable)).toHaveLength(2);
+    expect(queryUsage().totals.billableCostUsd).toBeCloseTo(0.3);
+
+    await compactUsageLedger({ retainDays: 5, now: NOW });
+    const byAccount = queryUsage({ by: "account" }).rows;
+    expect(byAccount.find((r) => r.key === "key-1").billableCostUsd).toBeCloseTo(0.3);
+    expect(byAccount.find((r) => r.key === "acc-1").billableCostUsd).toBe(0);
+  });
+});
+
+describe("formatUsageCsv", () => {
+  it("renders a header and one line per row, quoting keys when needed", () => {
+    appendUsageRecord(record({ model: 'odd,"model"' }));
+    const csv = formatUsageCsv(queryUsage({ by: "model" }).rows, "model");
+    const lines = csv.split("\n");
+    expect(lines[0]).toBe(
+      "model,requests,input_tokens,output_tokens,cache_read_tokens,cache_write_tokens,web_search_requests,cost_usd,billable_cost_usd",
+    );
+    expect(lines[1]).toBe('"odd,""model""",1,100,50,1000,10,0,0.010000,0.000000');
+  });
+});
@@ -43,6 +43,19 @@ vi.mock("../../lib/refresh-lock.mjs", () => ({
   releaseRefreshLock: vi.fn().mockResolvedValue(undefined),
 }));
 
+// Keep the audit log off the real config directory
+vi.mock("../../lib/audit-log.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  appendAuditEvent: vi.fn(),
+}));
+
+// Keep tracker state off the real config directory
+vi.mock("../../lib/tracker-state.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadTrackerState: vi.fn(() => ({})),
+  saveTrackerState: vi.fn((local) => local),
+}));
+
 vi.mock("../../lib/config.mjs", async (importOriginal) => {
   const original = await importOriginal();
   return {